@@ -0,0 +1,341 @@
+// Email events an organization can customize. Subjects and bodies use {{variable}}
+// placeholders, and {{#variable}}...{{/variable}} for parts shown only when the
+// variable has a value. Bodies are wrapped in the shared ResolveSuite layout.
+// Variables marked `html` hold lists built by the server and are inserted unescaped.
+
+export const SUPPORTED_LANGUAGES = [
+  { code: 'en', label: 'English' },
+  { code: 'hi', label: 'Hindi' },
+  { code: 'es', label: 'Spanish' },
+  { code: 'fr', label: 'French' },
+  { code: 'de', label: 'German' },
+  { code: 'ar', label: 'Arabic' }
+];
+
+export const DEFAULT_LANGUAGE = 'en';
+
+// Available in every template
+export const GLOBAL_VARIABLES = [
+  { name: 'organizationName', description: 'Name of the organization', sample: 'Springfield University' },
+  { name: 'frontendUrl', description: 'Address of the ResolveSuite web app', sample: 'https://resolvesuite.example.com' }
+];
+
+const complaintVariables = [
+  { name: 'userName', description: 'Recipient name', sample: 'Alex Morgan' },
+  { name: 'complaintTitle', description: 'Complaint title', sample: 'Broken projector in Room 204' },
+  { name: 'complaintId', description: 'Complaint ID', sample: '65f1c0ffee0000000000abcd' }
+];
+
+export const EMAIL_TEMPLATE_DEFAULTS = {
+  DEPARTMENT_ASSIGNMENT: {
+    label: 'Department assignment',
+    description: 'Sent to a user when they are added to a department',
+    variables: [
+      { name: 'userName', description: 'Recipient name', sample: 'Alex Morgan' },
+      { name: 'departmentName', description: 'Department name', sample: 'IT Services' }
+    ],
+    subject: 'Department Assignment Notification',
+    body: `<h2 style="color: #254E58;">Department Assignment Notice</h2>
+<p>Dear {{userName}},</p>
+<p>You have been assigned to the following department at {{organizationName}}:</p>
+<div style="background-color: #f8f9fa; padding: 15px; border-radius: 5px; margin: 20px 0;">
+  <h3 style="color: #254E58; margin: 0;">{{departmentName}}</h3>
+</div>
+<p>You can now access department-specific features and responsibilities through your ResolveSuite dashboard.</p>`
+  },
+
+  PASSWORD_RESET: {
+    label: 'Password reset code',
+    description: 'Sent when a user asks to reset their password',
+    // Carries a one-time code: the outbox drops the body once delivered and it can never be resent
+    sensitive: true,
+    variables: [
+      { name: 'role', description: 'Recipient role', sample: 'Student' },
+      { name: 'otp', description: 'One-time code', sample: '482913' }
+    ],
+    subject: 'ResolveSuite Password Reset',
+    body: `<h2 style="color: #254E58;">Password Reset Request</h2>
+<p>A password reset was requested for your ResolveSuite account.</p>
+<p><strong>Organization:</strong> {{organizationName}}</p>
+<p><strong>Role:</strong> {{role}}</p>
+<div style="background-color: #f8f9fa; padding: 15px; border-radius: 5px; text-align: center; margin: 20px 0;">
+  <p style="margin: 0;">Your OTP:</p>
+  <h2 style="color: #254E58; margin: 10px 0;">{{otp}}</h2>
+  <p style="margin: 0; color: #666; font-size: 12px;">This OTP will expire in 15 minutes</p>
+</div>
+<p style="color: #666;">If you didn't request this password reset, please ignore this email.</p>`
+  },
+
+  NEW_COMPLAINT: {
+    label: 'New complaint',
+    description: 'Sent to department users when a complaint is filed with their department',
+    variables: [
+      ...complaintVariables,
+      { name: 'priority', description: 'Complaint priority', sample: 'High' }
+    ],
+    subject: 'New Complaint Assigned - {{complaintTitle}}',
+    body: `<h2 style="color: #254E58;">New Complaint Notification</h2>
+<p>Dear {{userName}},</p>
+<p>A new complaint has been assigned to your department:</p>
+<div style="background-color: #f8f9fa; padding: 15px; border-radius: 5px; margin: 20px 0;">
+  <h3 style="color: #254E58; margin: 0;">{{complaintTitle}}</h3>
+  <p style="margin: 10px 0;"><strong>Complaint ID:</strong> {{complaintId}}</p>
+  <p style="margin: 10px 0;"><strong>Priority:</strong> {{priority}}</p>
+</div>
+<p>Please review and take appropriate action.</p>`
+  },
+
+  COMPLAINT_STATUS_UPDATE: {
+    label: 'Complaint status update',
+    description: 'Sent to the complainant when their complaint changes status',
+    variables: [
+      ...complaintVariables,
+      { name: 'newStatus', description: 'The new status', sample: 'In Progress' },
+      { name: 'comment', description: 'Comment left with the update', sample: 'A technician has been scheduled.' }
+    ],
+    subject: 'Complaint Status Update - {{complaintTitle}}',
+    body: `<h2 style="color: #254E58;">Complaint Status Update</h2>
+<p>Dear {{userName}},</p>
+<p>Your complaint has been updated:</p>
+<div style="background-color: #f8f9fa; padding: 15px; border-radius: 5px; margin: 20px 0;">
+  <h3 style="color: #254E58; margin: 0;">{{complaintTitle}}</h3>
+  <p style="margin: 10px 0;"><strong>Complaint ID:</strong> {{complaintId}}</p>
+  <p style="margin: 10px 0;"><strong>New Status:</strong> {{newStatus}}</p>
+  {{#comment}}<p style="margin: 10px 0;"><strong>Comment:</strong> {{comment}}</p>{{/comment}}
+</div>`
+  },
+
+  COMPLAINT_ASSIGNED: {
+    label: 'Complaint assigned',
+    description: 'Sent to a user when a complaint is assigned to them',
+    variables: [
+      ...complaintVariables,
+      { name: 'priority', description: 'Complaint priority', sample: 'High' }
+    ],
+    subject: 'Complaint Assigned - {{complaintTitle}}',
+    body: `<h2 style="color: #254E58;">Complaint Assignment Notice</h2>
+<p>Dear {{userName}},</p>
+<p>A complaint has been assigned to you:</p>
+<div style="background-color: #f8f9fa; padding: 15px; border-radius: 5px; margin: 20px 0;">
+  <h3 style="color: #254E58; margin: 0;">{{complaintTitle}}</h3>
+  <p style="margin: 10px 0;"><strong>Complaint ID:</strong> {{complaintId}}</p>
+  <p style="margin: 10px 0;"><strong>Priority:</strong> {{priority}}</p>
+</div>
+<p>Please review and take appropriate action.</p>`
+  },
+
+  COMPLAINT_ESCALATED: {
+    label: 'Complaint escalated',
+    description: 'Sent to department users when a complaint is escalated',
+    variables: [
+      ...complaintVariables,
+      { name: 'reason', description: 'Escalation reason', sample: 'No response for three days.' }
+    ],
+    subject: 'Complaint Escalated - {{complaintTitle}}',
+    body: `<h2 style="color: #254E58;">Complaint Escalation Notice</h2>
+<p>Dear {{userName}},</p>
+<p>A complaint in your department has been escalated and marked urgent:</p>
+<div style="background-color: #f8f9fa; padding: 15px; border-radius: 5px; margin: 20px 0;">
+  <h3 style="color: #254E58; margin: 0;">{{complaintTitle}}</h3>
+  <p style="margin: 10px 0;"><strong>Complaint ID:</strong> {{complaintId}}</p>
+  <p style="margin: 10px 0;"><strong>Reason:</strong> {{reason}}</p>
+</div>
+<p>Please review and take appropriate action as soon as possible.</p>`
+  },
+
+  COMPLAINT_REOPENED: {
+    label: 'Complaint reopened',
+    description: 'Sent to the assignee or department when a complainant reopens a complaint',
+    variables: [
+      ...complaintVariables,
+      { name: 'reason', description: 'Reopen reason', sample: 'The projector stopped working again.' }
+    ],
+    subject: 'Complaint Reopened - {{complaintTitle}}',
+    body: `<h2 style="color: #254E58;">Complaint Reopened</h2>
+<p>Dear {{userName}},</p>
+<p>The complainant has reopened a complaint you worked on:</p>
+<div style="background-color: #f8f9fa; padding: 15px; border-radius: 5px; margin: 20px 0;">
+  <h3 style="color: #254E58; margin: 0;">{{complaintTitle}}</h3>
+  <p style="margin: 10px 0;"><strong>Complaint ID:</strong> {{complaintId}}</p>
+  <p style="margin: 10px 0;"><strong>Reason:</strong> {{reason}}</p>
+</div>
+<div style="text-align: center; margin: 20px 0;">
+  <a href="{{frontendUrl}}/complaints/{{complaintId}}" style="background-color: #254E58; color: white; padding: 12px 24px; text-decoration: none; border-radius: 5px; display: inline-block;">View Complaint</a>
+</div>`
+  },
+
+  NEW_COMMENT: {
+    label: 'New comment',
+    description: 'Sent to the complainant or assignee when the other side comments on a complaint',
+    variables: [
+      ...complaintVariables,
+      { name: 'authorName', description: 'Who wrote the comment', sample: 'Jamie Lee' },
+      { name: 'comment', description: 'Comment text', sample: 'A technician will visit tomorrow morning.' }
+    ],
+    subject: 'New Comment - {{complaintTitle}}',
+    body: `<h2 style="color: #254E58;">New Comment</h2>
+<p>Dear {{userName}},</p>
+<p>{{authorName}} commented on a complaint:</p>
+<div style="background-color: #f8f9fa; padding: 15px; border-radius: 5px; margin: 20px 0;">
+  <h3 style="color: #254E58; margin: 0;">{{complaintTitle}}</h3>
+  <p style="margin: 10px 0;"><strong>Complaint ID:</strong> {{complaintId}}</p>
+  <p style="margin: 10px 0; font-style: italic; background-color: #fff; padding: 10px; border-left: 4px solid #254E58;">"{{comment}}"</p>
+</div>
+<div style="text-align: center; margin: 20px 0;">
+  <a href="{{frontendUrl}}/complaints/{{complaintId}}" style="background-color: #254E58; color: white; padding: 12px 24px; text-decoration: none; border-radius: 5px; display: inline-block;">View Complaint</a>
+</div>`
+  },
+
+  APPROVAL_REQUESTED: {
+    label: 'Approval requested',
+    description: 'Sent to the approvers of a workflow stage when a complaint waits for their decision',
+    variables: [
+      ...complaintVariables,
+      { name: 'stageName', description: 'Workflow stage asking for approval', sample: 'Budget Approval' },
+      { name: 'instructions', description: 'What the approvers should check, if set', sample: 'Confirm the repair fits this term\'s budget.' }
+    ],
+    subject: 'Approval Needed - {{complaintTitle}}',
+    body: `<h2 style="color: #254E58;">Your Approval Is Needed</h2>
+<p>Dear {{userName}},</p>
+<p>A complaint is waiting for your decision in the <strong>{{stageName}}</strong> stage:</p>
+<div style="background-color: #f8f9fa; padding: 15px; border-radius: 5px; margin: 20px 0;">
+  <h3 style="color: #254E58; margin: 0;">{{complaintTitle}}</h3>
+  <p style="margin: 10px 0;"><strong>Complaint ID:</strong> {{complaintId}}</p>
+  {{#instructions}}<p style="margin: 10px 0;"><strong>Instructions:</strong> {{instructions}}</p>{{/instructions}}
+</div>
+<div style="text-align: center; margin: 20px 0;">
+  <a href="{{frontendUrl}}/approvals" style="background-color: #254E58; color: white; padding: 12px 24px; text-decoration: none; border-radius: 5px; display: inline-block;">Open Approvals</a>
+</div>`
+  },
+
+  COMPLAINT_TRANSFERRED: {
+    label: 'Complaint transferred',
+    description: 'Sent to both departments when a complaint moves from one to the other',
+    variables: [
+      ...complaintVariables,
+      { name: 'fromDepartment', description: 'Department the complaint left', sample: 'IT Support' },
+      { name: 'toDepartment', description: 'Department now handling it', sample: 'Finance' },
+      { name: 'reason', description: 'Why it was transferred', sample: 'This is a fee refund, not a portal fault.' }
+    ],
+    subject: 'Complaint Transferred - {{complaintTitle}}',
+    body: `<h2 style="color: #254E58;">Complaint Transferred</h2>
+<p>Dear {{userName}},</p>
+<p>A complaint has been transferred from <strong>{{fromDepartment}}</strong> to <strong>{{toDepartment}}</strong>:</p>
+<div style="background-color: #f8f9fa; padding: 15px; border-radius: 5px; margin: 20px 0;">
+  <h3 style="color: #254E58; margin: 0;">{{complaintTitle}}</h3>
+  <p style="margin: 10px 0;"><strong>Complaint ID:</strong> {{complaintId}}</p>
+  <p style="margin: 10px 0;"><strong>Reason:</strong> {{reason}}</p>
+</div>
+<div style="text-align: center; margin: 20px 0;">
+  <a href="{{frontendUrl}}/complaints/{{complaintId}}" style="background-color: #254E58; color: white; padding: 12px 24px; text-decoration: none; border-radius: 5px; display: inline-block;">View Complaint</a>
+</div>`
+  },
+
+  FEEDBACK_RECEIVED: {
+    label: 'Feedback received',
+    description: 'Sent to the assignee when the complainant rates a resolved complaint',
+    variables: [
+      ...complaintVariables,
+      { name: 'complainantName', description: 'Who left the feedback', sample: 'Jamie Lee' },
+      { name: 'rating', description: 'Rating from 1 to 5', sample: '4' },
+      { name: 'starRating', description: 'Rating drawn as stars', sample: '★★★★☆' },
+      { name: 'feedbackComment', description: 'Feedback comment, if any', sample: 'Quick and friendly service.' }
+    ],
+    subject: 'Feedback Received - {{complaintTitle}}',
+    body: `<h2 style="color: #254E58;">Feedback Received</h2>
+<p>Dear {{userName}},</p>
+<p>You have received feedback for a complaint you handled:</p>
+<div style="background-color: #f8f9fa; padding: 15px; border-radius: 5px; margin: 20px 0;">
+  <h3 style="color: #254E58; margin: 0;">{{complaintTitle}}</h3>
+  <p style="margin: 10px 0;"><strong>Complaint ID:</strong> {{complaintId}}</p>
+  <p style="margin: 10px 0;"><strong>From:</strong> {{complainantName}}</p>
+  <p style="margin: 10px 0;"><strong>Rating:</strong> {{starRating}} ({{rating}}/5)</p>
+  {{#feedbackComment}}<p style="margin: 10px 0;"><strong>Comment:</strong></p><p style="margin: 10px 0; font-style: italic; background-color: #fff; padding: 10px; border-left: 4px solid #254E58;">"{{feedbackComment}}"</p>{{/feedbackComment}}
+</div>
+<p>This feedback helps us improve our service quality. Thank you for your excellent work!</p>`
+  },
+
+  REGISTRATION_INVITE: {
+    label: 'Registration invite',
+    description: 'Sent to pre-approved users with the registration ID they sign up with',
+    variables: [
+      { name: 'registrationId', description: 'Registration ID', sample: 'SPRI_STUDENT_42' },
+      { name: 'role', description: 'Role the user was added as', sample: 'Student' }
+    ],
+    subject: "You're invited to ResolveSuite - {{organizationName}}",
+    body: `<h2 style="color: #254E58;">Complete Your Registration</h2>
+<p>You have been added to {{organizationName}} on ResolveSuite as <strong>{{role}}</strong>.</p>
+<div style="background-color: #f8f9fa; padding: 15px; border-radius: 5px; text-align: center; margin: 20px 0;">
+  <p style="margin: 0;">Your Registration ID:</p>
+  <h2 style="color: #254E58; margin: 10px 0;">{{registrationId}}</h2>
+</div>
+<p>Use this ID together with this email address to create your account.</p>
+<div style="text-align: center; margin: 20px 0;">
+  <a href="{{frontendUrl}}/signup" style="background-color: #254E58; color: white; padding: 12px 24px; text-decoration: none; border-radius: 5px; display: inline-block;">Sign Up</a>
+</div>`
+  },
+
+  FEEDBACK_REQUEST: {
+    label: 'Feedback request',
+    description: 'Sent to the complainant when their complaint is resolved',
+    variables: [
+      ...complaintVariables,
+      { name: 'resolutionComment', description: 'Resolution details, if any', sample: 'The projector bulb was replaced.' }
+    ],
+    subject: 'Please Provide Feedback - {{complaintTitle}}',
+    body: `<h2 style="color: #254E58;">Your Complaint Has Been Resolved</h2>
+<p>Dear {{userName}},</p>
+<p>Great news! Your complaint has been successfully resolved.</p>
+<div style="background-color: #f8f9fa; padding: 15px; border-radius: 5px; margin: 20px 0;">
+  <h3 style="color: #254E58; margin: 0;">{{complaintTitle}}</h3>
+  <p style="margin: 10px 0;"><strong>Complaint ID:</strong> {{complaintId}}</p>
+  <p style="margin: 10px 0;"><strong>Status:</strong> <span style="color: #28a745; font-weight: bold;">Resolved</span></p>
+  {{#resolutionComment}}<p style="margin: 10px 0;"><strong>Resolution Details:</strong></p><p style="margin: 10px 0; background-color: #fff; padding: 10px; border-left: 4px solid #28a745;">{{resolutionComment}}</p>{{/resolutionComment}}
+</div>
+<div style="background-color: #fff3cd; padding: 15px; border-radius: 5px; margin: 20px 0; border-left: 4px solid #ffc107;">
+  <h4 style="color: #856404; margin: 0 0 10px 0;">📝 Your Feedback Matters!</h4>
+  <p style="margin: 0; color: #856404;">We would greatly appreciate your feedback on how we handled your complaint. Your input helps us improve our services.</p>
+  <p style="margin: 10px 0 0 0; color: #856404;"><strong>Please log in to your account to provide feedback.</strong></p>
+</div>
+<div style="text-align: center; margin: 20px 0;">
+  <a href="{{frontendUrl}}/complaints" style="background-color: #254E58; color: white; padding: 12px 24px; text-decoration: none; border-radius: 5px; display: inline-block;">View Complaint &amp; Provide Feedback</a>
+</div>`
+  },
+
+  NOTIFICATION_DIGEST: {
+    label: 'Notification digest',
+    description: 'Daily or weekly summary sent to users who opted into digests',
+    variables: [
+      { name: 'userName', description: 'Recipient name', sample: 'Alex Morgan' },
+      { name: 'since', description: 'Start of the period the digest covers', sample: 'Mar 4, 2025, 8:00 AM' },
+      { name: 'newCount', description: 'New complaints in your department', sample: '2' },
+      { name: 'newComplaints', description: 'List of new complaints', html: true, sample: '<ul><li>Broken projector in Room 204 · High</li><li>Library Wi-Fi keeps dropping · Medium</li></ul>' },
+      { name: 'assignedCount', description: 'Open complaints assigned to you', sample: '1' },
+      { name: 'assignedComplaints', description: 'List of open complaints assigned to you', html: true, sample: '<ul><li>Broken projector in Room 204 · High</li></ul>' },
+      { name: 'overdueCount', description: 'Complaints past their stage deadline', sample: '1' },
+      { name: 'overdueComplaints', description: 'List of overdue complaints', html: true, sample: '<ul><li>Leaking roof in Hostel B · Urgent</li></ul>' },
+      { name: 'escalatedCount', description: 'Complaints escalated in the period', sample: '1' },
+      { name: 'escalatedComplaints', description: 'List of escalated complaints', html: true, sample: '<ul><li>Leaking roof in Hostel B · Urgent</li></ul>' },
+      { name: 'feedbackCount', description: 'Feedback received in the period', sample: '1' },
+      { name: 'recentFeedback', description: 'List of recent feedback', html: true, sample: '<ul><li>Cafeteria hygiene · ★★★★☆</li></ul>' },
+      { name: 'updateCount', description: 'Notifications routed to the digest', sample: '3' },
+      { name: 'otherUpdates', description: 'List of notifications routed to the digest', html: true, sample: '<ul><li>New comment on complaint: Broken projector in Room 204</li></ul>' }
+    ],
+    subject: 'Your ResolveSuite digest',
+    body: `<h2 style="color: #254E58;">Your Digest</h2>
+<p>Dear {{userName}},</p>
+<p>Here is what happened since {{since}}.</p>
+{{#overdueComplaints}}<h3 style="color: #dc3545;">Overdue ({{overdueCount}})</h3>{{overdueComplaints}}{{/overdueComplaints}}
+{{#escalatedComplaints}}<h3 style="color: #254E58;">Escalated ({{escalatedCount}})</h3>{{escalatedComplaints}}{{/escalatedComplaints}}
+{{#newComplaints}}<h3 style="color: #254E58;">New complaints ({{newCount}})</h3>{{newComplaints}}{{/newComplaints}}
+{{#assignedComplaints}}<h3 style="color: #254E58;">Assigned to you ({{assignedCount}})</h3>{{assignedComplaints}}{{/assignedComplaints}}
+{{#recentFeedback}}<h3 style="color: #254E58;">Feedback ({{feedbackCount}})</h3>{{recentFeedback}}{{/recentFeedback}}
+{{#otherUpdates}}<h3 style="color: #254E58;">Other updates ({{updateCount}})</h3>{{otherUpdates}}{{/otherUpdates}}
+<div style="text-align: center; margin: 20px 0;">
+  <a href="{{frontendUrl}}/complaints" style="background-color: #254E58; color: white; padding: 12px 24px; text-decoration: none; border-radius: 5px; display: inline-block;">Open ResolveSuite</a>
+</div>
+<p style="color: #666; font-size: 12px;">You can change how often you get this email in your notification settings.</p>`
+  }
+};
+
+export const EMAIL_EVENT_TYPES = Object.keys(EMAIL_TEMPLATE_DEFAULTS);
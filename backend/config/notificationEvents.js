@@ -0,0 +1,62 @@
+// Notification events users can tune, and the channels each one can be delivered on.
+// Account emails (password reset, registration invites, department assignment) are
+// always sent and are not listed here.
+
+export const NOTIFICATION_CHANNELS = [
+  { key: 'inApp', label: 'In-app' },
+  { key: 'email', label: 'Email' },
+  { key: 'digest', label: 'Digest' }
+];
+
+export const NOTIFICATION_EVENTS = [
+  {
+    type: 'NEW_COMPLAINT',
+    label: 'New complaints',
+    description: 'A complaint is filed in your department',
+    defaults: { inApp: true, email: true, digest: false }
+  },
+  {
+    type: 'STATUS_UPDATE',
+    label: 'Status updates',
+    description: 'A complaint you filed or handle changes status, is resolved or is reopened',
+    defaults: { inApp: true, email: true, digest: false }
+  },
+  {
+    type: 'NEW_COMMENT',
+    label: 'Comments',
+    description: 'Someone comments on a complaint you filed or are assigned to',
+    defaults: { inApp: true, email: false, digest: false }
+  },
+  {
+    type: 'ASSIGNED_COMPLAINT',
+    label: 'Assignments',
+    description: 'A complaint is assigned to you',
+    defaults: { inApp: true, email: true, digest: false }
+  },
+  {
+    type: 'COMPLAINT_ESCALATED',
+    label: 'Escalations',
+    description: 'A complaint in your department is escalated',
+    defaults: { inApp: true, email: true, digest: false }
+  },
+  {
+    type: 'APPROVAL_REQUESTED',
+    label: 'Approval requests',
+    description: 'A complaint waits for your approval in a workflow stage',
+    defaults: { inApp: true, email: true, digest: false }
+  },
+  {
+    type: 'COMPLAINT_TRANSFERRED',
+    label: 'Transfers',
+    description: 'A complaint moves into or out of your department, or waits for your department to accept it',
+    defaults: { inApp: true, email: true, digest: false }
+  },
+  {
+    type: 'FEEDBACK_RECEIVED',
+    label: 'Feedback',
+    description: 'A complainant rates a complaint you handled',
+    defaults: { inApp: true, email: true, digest: false }
+  }
+];
+
+export const NOTIFICATION_EVENT_TYPES = NOTIFICATION_EVENTS.map(event => event.type);
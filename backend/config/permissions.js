@@ -0,0 +1,71 @@
+// Named permissions that roles can grant, grouped the way the role editor shows them
+export const PERMISSIONS = [
+  { key: 'complaint.create', label: 'File complaints', group: 'Complaints' },
+  { key: 'complaint.view', label: 'View complaints', group: 'Complaints' },
+  { key: 'complaint.comment', label: 'Comment on complaints', group: 'Complaints' },
+  { key: 'complaint.updateStatus', label: 'Update complaint status', group: 'Complaints' },
+  { key: 'complaint.escalate', label: 'Escalate complaints', group: 'Complaints' },
+  { key: 'complaint.assign', label: 'Assign complaints', group: 'Complaints' },
+  { key: 'outOfOffice.manage', label: 'Set an out-of-office period and hand complaints to a delegate', group: 'Complaints' },
+  { key: 'workflow.view', label: 'View workflows', group: 'Workflows' },
+  { key: 'workflow.transition', label: 'Move complaints between stages', group: 'Workflows' },
+  { key: 'workflow.edit', label: 'Create and edit workflows', group: 'Workflows' },
+  { key: 'approval.decide', label: 'Review and decide approval requests', group: 'Workflows' },
+  { key: 'escalationRule.manage', label: 'Manage escalation rules', group: 'Workflows' },
+  { key: 'sla.manage', label: 'Manage SLA policies and business-hours calendars', group: 'Workflows' },
+  { key: 'feedback.submit', label: 'Submit feedback', group: 'Feedback' },
+  { key: 'feedback.view', label: 'View feedback reports', group: 'Feedback' },
+  { key: 'department.view', label: 'View departments and their members', group: 'Administration' },
+  { key: 'department.manage', label: 'Manage departments', group: 'Administration' },
+  { key: 'complaintType.manage', label: 'Manage complaint types', group: 'Administration' },
+  { key: 'user.manage', label: 'Manage users', group: 'Administration' },
+  { key: 'role.manage', label: 'Manage roles and permissions', group: 'Administration' },
+  { key: 'job.manage', label: 'View and run background jobs', group: 'Administration' },
+  { key: 'emailTemplate.manage', label: 'Manage email templates', group: 'Administration' },
+  { key: 'emailLog.manage', label: 'View the email delivery log and resend emails', group: 'Administration' },
+  { key: 'sms.manage', label: 'View SMS usage and set the monthly SMS quota', group: 'Administration' }
+];
+
+export const PERMISSION_KEYS = PERMISSIONS.map(permission => permission.key);
+
+// Built-in roles every organization starts with. SuperAdmin always holds every
+// permission so an organization cannot lock itself out of role management.
+// Roles already stored keep their permissions; grant a newly added default to
+// them with scripts/grantPermissions.js.
+export const DEFAULT_ROLE_PERMISSIONS = {
+  SuperAdmin: PERMISSION_KEYS,
+  DepartmentUser: [
+    'complaint.view',
+    'complaint.comment',
+    'complaint.updateStatus',
+    'complaint.escalate',
+    'complaint.assign',
+    'outOfOffice.manage',
+    'workflow.view',
+    'workflow.transition',
+    'approval.decide',
+    'department.view'
+  ],
+  Faculty: [
+    'complaint.create',
+    'complaint.view',
+    'complaint.comment',
+    'complaint.updateStatus',
+    'complaint.escalate',
+    'outOfOffice.manage',
+    'workflow.view',
+    'workflow.transition',
+    'approval.decide',
+    'feedback.submit'
+  ],
+  Student: [
+    'complaint.create',
+    'complaint.view',
+    'complaint.comment',
+    'workflow.view',
+    'feedback.submit'
+  ]
+};
+
+// Roles whose permissions an organization can edit or build custom roles on
+export const CONFIGURABLE_BASE_ROLES = ['DepartmentUser', 'Faculty', 'Student'];
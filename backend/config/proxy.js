@@ -0,0 +1,10 @@
+// Reverse proxies in front of the API. Express takes the client address from
+// X-Forwarded-For through this many hops, so per-IP limits such as the password
+// reset throttles see each client rather than the proxy. Set TRUST_PROXY_HOPS to
+// the number of proxies; it defaults to 1 on Vercel and 0 (no proxy) elsewhere,
+// since trusting a header nobody strips would let clients pick their own address.
+export const trustProxyHops = (value = process.env.TRUST_PROXY_HOPS) => {
+  const hops = parseInt(value, 10);
+  if (Number.isInteger(hops) && hops >= 0) return hops;
+  return process.env.VERCEL ? 1 : 0;
+};
@@ -0,0 +1,129 @@
+import { schedulerService } from '../services/schedulerService.js';
+import { workflowService } from '../services/workflowService.js';
+import { escalationRuleService } from '../services/escalationRuleService.js';
+import { emailOutboxService } from '../services/emailOutboxService.js';
+import { digestService } from '../services/digestService.js';
+import { delegationService } from '../services/delegationService.js';
+
+// Read an interval (in minutes) from the environment, falling back to a default
+const intervalFromEnv = (key, fallback) => {
+  const value = parseFloat(process.env[key]);
+  return Number.isFinite(value) ? value : fallback;
+};
+
+// Register the background jobs run by the API server
+const registerJobs = () => {
+  schedulerService.registerJob(
+    'workflow-timed-transitions',
+    async () => {
+      const result = await workflowService.checkTimedTransitions();
+      return {
+        processed: result.processed,
+        touched: result.transitioned + result.escalated,
+        failures: result.failures,
+        summary: {
+          transitioned: result.transitioned,
+          escalated: result.escalated
+        }
+      };
+    },
+    {
+      description: 'Applies TIME_BASED transitions and escalates workflows that exceeded their stage SLA',
+      intervalMinutes: intervalFromEnv('WORKFLOW_SWEEP_INTERVAL_MINUTES', 15)
+    }
+  );
+
+  schedulerService.registerJob(
+    'escalation-rules',
+    async () => {
+      const result = await escalationRuleService.evaluateRules();
+      return {
+        processed: result.processed,
+        touched: result.fired,
+        failures: result.failures,
+        summary: {
+          rulesEvaluated: result.rules,
+          rulesFired: result.fired
+        }
+      };
+    },
+    {
+      description: 'Applies active escalation rules to open complaints',
+      intervalMinutes: intervalFromEnv('ESCALATION_RULES_INTERVAL_MINUTES', 15)
+    }
+  );
+
+  schedulerService.registerJob(
+    'email-outbox',
+    async () => {
+      const result = await emailOutboxService.processDue();
+      return {
+        processed: result.processed,
+        touched: result.sent,
+        failures: result.failures,
+        summary: {
+          sent: result.sent,
+          retried: result.retried,
+          deadLettered: result.dead,
+          released: result.released
+        }
+      };
+    },
+    {
+      description: 'Delivers queued emails, retrying failures with exponential backoff',
+      intervalMinutes: intervalFromEnv('EMAIL_OUTBOX_INTERVAL_MINUTES', 1)
+    }
+  );
+
+  schedulerService.registerJob(
+    'notification-digest',
+    async () => {
+      const result = await digestService.sendDueDigests();
+      return {
+        processed: result.processed,
+        touched: result.sent,
+        failures: result.failures,
+        summary: {
+          sent: result.sent,
+          empty: result.empty
+        }
+      };
+    },
+    {
+      description: 'Sends daily and weekly digest emails to users whose chosen send time has come',
+      intervalMinutes: intervalFromEnv('DIGEST_INTERVAL_MINUTES', 15)
+    }
+  );
+
+  schedulerService.registerJob(
+    'out-of-office-handover',
+    async () => {
+      const result = await delegationService.handOverDue();
+      return {
+        processed: result.processed,
+        touched: result.handedOver,
+        failures: result.failures,
+        summary: {
+          handedOver: result.handedOver
+        }
+      };
+    },
+    {
+      description: 'Hands open complaints to delegates once their assignee\'s out-of-office period starts',
+      intervalMinutes: intervalFromEnv('OUT_OF_OFFICE_INTERVAL_MINUTES', 15)
+    }
+  );
+};
+
+const startScheduler = () => {
+  registerJobs();
+
+  if (process.env.SCHEDULER_ENABLED === 'false') {
+    console.log('Scheduler disabled (SCHEDULER_ENABLED=false); jobs can still be triggered manually');
+    return;
+  }
+
+  schedulerService.start();
+};
+
+export default startScheduler;
@@ -0,0 +1,20 @@
+// Short texts sent by SMS. They use the same {{variable}} placeholders as the
+// email templates and are kept under one 160-character segment where possible.
+
+export const SMS_TEMPLATES = {
+  URGENT_COMPLAINT: {
+    label: 'Urgent complaint',
+    text: 'ResolveSuite: Urgent complaint "{{complaintTitle}}" was filed with your department. {{link}}'
+  },
+  COMPLAINT_ESCALATED: {
+    label: 'Complaint escalated',
+    text: 'ResolveSuite: Complaint "{{complaintTitle}}" was escalated. {{link}}'
+  },
+  PASSWORD_RESET: {
+    label: 'Password reset code',
+    redact: ['otp'], // Masked in the SMS log
+    text: 'Your ResolveSuite password reset code is {{otp}}. It expires in 15 minutes. Ignore this if you did not ask for it.'
+  }
+};
+
+export const SMS_EVENT_TYPES = Object.keys(SMS_TEMPLATES);
@@ -0,0 +1,139 @@
+// controllers/approvalController.js
+import { validationResult } from 'express-validator';
+import { Approval, ComplaintLog } from '../models/models.js';
+import { approvalService, APPROVAL_DECISIONS } from '../services/approvalService.js';
+import { workflowService } from '../services/workflowService.js';
+import { notificationDispatchService } from '../services/notificationDispatchService.js';
+
+const toInboxItem = (approval) => ({
+  ...approval.toJSON(),
+  decisions: approvalService.getDecisions(approval)
+});
+
+// Get the user's approval inbox: requests waiting for them (?status=pending, the default)
+// or requests they decided (?status=decided), newest first
+export const getApprovals = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const skip = (page - 1) * limit;
+
+    const filter = req.query.status === 'decided'
+      ? { organizationId: req.user.organizationId, decidedBy: req.user._id }
+      : { organizationId: req.user.organizationId, approverIds: req.user._id, status: 'PENDING' };
+
+    const [approvals, total] = await Promise.all([
+      Approval.find(filter)
+        .populate({
+          path: 'complaintId',
+          select: 'title priority status departmentId complainantId createdAt',
+          populate: [
+            { path: 'departmentId', select: 'name' },
+            { path: 'complainantId', select: 'firstName lastName' }
+          ]
+        })
+        .populate('approverIds', 'firstName lastName')
+        .populate('decidedBy', 'firstName lastName')
+        .sort(req.query.status === 'decided' ? { decidedAt: -1 } : { createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      Approval.countDocuments(filter)
+    ]);
+
+    res.json({
+      approvals: approvals.map(toInboxItem),
+      totalCount: total,
+      currentPage: page,
+      totalPages: Math.ceil(total / limit)
+    });
+  } catch (err) {
+    console.error('Error fetching approvals:', err);
+    res.status(500).json({ msg: 'Server error while fetching approvals' });
+  }
+};
+
+// Count the requests waiting for the user's decision
+export const getPendingApprovalCount = async (req, res) => {
+  try {
+    const count = await Approval.countDocuments({
+      organizationId: req.user.organizationId,
+      approverIds: req.user._id,
+      status: 'PENDING'
+    });
+    res.json({ count });
+  } catch (err) {
+    console.error('Error counting pending approvals:', err);
+    res.status(500).json({ msg: 'Server error while counting approvals' });
+  }
+};
+
+// Approve, reject or request changes; the decision moves the complaint along its mapped transition
+export const decideApproval = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { decision } = req.body;
+    const comment = req.body.comment?.trim() || undefined;
+
+    const approval = await Approval.findOne({ _id: req.params.id, organizationId: req.user.organizationId });
+    if (!approval) {
+      return res.status(404).json({ msg: 'Approval not found' });
+    }
+
+    if (!approval.approverIds.some(id => id.equals(req.user._id))) {
+      return res.status(403).json({ msg: 'You are not an approver of this request' });
+    }
+
+    if (approval.status !== 'PENDING') {
+      return res.status(409).json({ msg: 'This approval has already been decided' });
+    }
+
+    const { label } = APPROVAL_DECISIONS[decision];
+    if (!approvalService.getDecisions(approval).includes(decision)) {
+      return res.status(400).json({ msg: `"${label}" is not an option for this approval` });
+    }
+
+    if (decision !== 'APPROVED' && !comment) {
+      return res.status(400).json({ msg: 'Please explain the decision in a comment' });
+    }
+
+    const outcome = await workflowService.decideApproval(approval, req.user, decision, comment);
+    if (!outcome) {
+      return res.status(409).json({ msg: 'This approval is no longer pending; the complaint has moved on' });
+    }
+
+    const { stage, targetStage, complaint, stageChanged } = outcome;
+
+    await ComplaintLog.create({
+      complaintId: complaint._id,
+      userId: req.user._id,
+      action: 'APPROVAL_DECISION',
+      comment: comment ? `${label}: ${comment}` : label,
+      previousStage: stage.name,
+      newStage: targetStage.name
+    });
+
+    if (stageChanged) {
+      await notificationDispatchService.dispatch({
+        event: 'STATUS_UPDATE',
+        recipients: [complaint.complainantId],
+        notification: {
+          type: 'WORKFLOW_UPDATED',
+          message: `Workflow stage updated to: ${targetStage.name}`,
+          relatedTo: {
+            type: 'COMPLAINT',
+            id: complaint._id
+          }
+        }
+      });
+    }
+
+    res.json(toInboxItem(outcome.approval));
+  } catch (err) {
+    console.error('Error deciding approval:', err);
+    res.status(500).json({ msg: 'Server error while recording the decision' });
+  }
+};
@@ -1,8 +1,28 @@
 import bcrypt from 'bcryptjs';
 import jwt from 'jsonwebtoken';
-import { User, Organization } from '../models/models.js';
+import { User, Organization, Session } from '../models/models.js';
 import { otpService } from '../services/otpService.js';
 import { emailService } from '../services/emailService.js';
+import { smsService } from '../services/smsService.js';
+import { permissionService } from '../services/permissionService.js';
+import { sessionService } from '../services/sessionService.js';
+
+// Reply with a refused OTP request, including when the client may retry
+const sendOtpFailure = (res, result) => {
+  if (result.retryAfter) res.set('Retry-After', String(result.retryAfter));
+  return res.status(result.status).json({
+    msg: result.msg,
+    code: result.code,
+    retryAfter: result.retryAfter,
+    attemptsRemaining: result.attemptsRemaining
+  });
+};
+
+// Describe the device a session was started from
+const clientInfo = (req) => ({
+  userAgent: req.get('User-Agent'),
+  ipAddress: req.ip
+});
 
 // SuperAdmin registration
 export const registerSuperAdmin = async (req, res) => {
@@ -74,23 +94,20 @@ export const loginUser = async (req, res) => {
     const isMatch = await bcrypt.compare(password, user.passwordHash);
     if (!isMatch) return res.status(400).json({ msg: 'Invalid credentials' });
 
-    const payload = { 
-      userId: user._id, 
-      role: user.role,
-      organizationId: user.organizationId
-    };
-    const token = jwt.sign(payload, process.env.JWT_SECRET, { expiresIn: '1h' });
+    const { accessToken, refreshToken } = await sessionService.createSession(user, clientInfo(req));
 
     // Return more user data
     res.json({
-      token,
+      token: accessToken,
+      refreshToken,
       role: user.role,
       userId: user._id,
       firstName: user.firstName || '',
       lastName: user.lastName || '',
       email: user.email,
       departmentId: user.departmentId || null,
-      organizationId: user.organizationId
+      organizationId: user.organizationId,
+      permissions: await permissionService.getPermissions(user)
     });
   } catch (err) {
     console.error(err.message);
@@ -100,6 +117,16 @@ export const loginUser = async (req, res) => {
 
 export const logoutUser = async (req, res) => {
   try {
+    const session = req.sessionId
+      ? await Session.findOne({ _id: req.sessionId, userId: req.user._id, revokedAt: null })
+      : null;
+
+    if (session) {
+      await sessionService.revokeSession(session, 'LOGOUT');
+    }
+    // The access token in use may be newer or older than the one the session last issued
+    await sessionService.revokeAccessToken(req.tokenId, req.tokenExpiresAt, req.user._id);
+
     res.status(200).json({ message: 'Logged out successfully' });
   } catch (error) {
     console.error('Logout error:', error);
@@ -160,14 +187,19 @@ export const forgotPassword = async (req, res) => {
       return res.status(404).json({ msg: 'User not found' });
     }
 
-    // Generate and store OTP
-    const otp = otpService.generateOTP();
-    otpService.storeOTP(email, otp);
+    // Generate and store OTP, subject to resend cooldown and send limits
+    const result = await otpService.issueOTP(email, req.ip);
+    if (!result.ok) return sendOtpFailure(res, result);
 
-    // Send email with OTP
-    await emailService.sendPasswordResetEmail(email, user, otp);
+    // Send email with OTP, and by SMS to users who opted in
+    await emailService.sendPasswordResetEmail(email, user, result.otp);
+    await smsService.sendPasswordResetCode(user, result.otp);
 
-    res.json({ msg: 'OTP sent to your email' });
+    res.json({
+      msg: 'OTP sent to your email',
+      expiresIn: result.expiresIn,
+      resendAfter: result.resendAfter
+    });
 
   } catch (err) {
     console.error('Forgot password error:', err);
@@ -182,13 +214,14 @@ export const verifyOTP = async (req, res) => {
   const { email, otp } = req.body;
 
   try {
-    const isValid = otpService.verifyOTP(email, otp);
+    const result = await otpService.verifyOTP(email, otp, req.ip);
+    if (!result.ok) return sendOtpFailure(res, result);
 
-    if (!isValid) {
-      return res.status(400).json({ msg: 'Invalid or expired OTP' });
-    }
-
-    res.json({ msg: 'OTP verified successfully' });
+    res.json({
+      msg: 'OTP verified successfully',
+      resetToken: result.resetToken,
+      expiresIn: result.expiresIn
+    });
   } catch (err) {
     console.error('OTP verification error:', err);
     res.status(500).json({ msg: 'Server Error' });
@@ -196,9 +229,17 @@ export const verifyOTP = async (req, res) => {
 };
 
 export const resetPassword = async (req, res) => {
-  const { email, password } = req.body;
+  const { email, password, resetToken } = req.body;
 
   try {
+    // Only a client that verified the emailed code holds a valid reset token
+    if (!await otpService.consumeResetToken(email, resetToken)) {
+      return res.status(400).json({
+        msg: 'Your reset session has expired. Please verify a new code.',
+        code: 'RESET_TOKEN_INVALID'
+      });
+    }
+
     const user = await User.findOne({ email });
     if (!user) {
       return res.status(404).json({ msg: 'User not found' });
@@ -209,9 +250,81 @@ export const resetPassword = async (req, res) => {
     user.passwordHash = await bcrypt.hash(password, salt);
     await user.save();
 
+    // Sign out every device that used the old password
+    await sessionService.revokeAllForUser(user._id, 'PASSWORD_RESET');
+
     res.json({ msg: 'Password reset successful' });
   } catch (err) {
     console.error('Password reset error:', err);
     res.status(500).json({ msg: 'Server Error' });
   }
-};
\ No newline at end of file
+};
+
+// Exchange a refresh token for a new access and refresh token pair
+export const refreshSession = async (req, res) => {
+  try {
+    const result = await sessionService.rotate(req.body.refreshToken, clientInfo(req));
+
+    if (!result) {
+      return res.status(401).json({
+        error: 'Invalid or expired refresh token',
+        code: 'INVALID_REFRESH_TOKEN'
+      });
+    }
+
+    res.json({
+      token: result.accessToken,
+      refreshToken: result.refreshToken
+    });
+  } catch (err) {
+    console.error('Error refreshing session:', err);
+    res.status(500).json({ msg: 'Server Error' });
+  }
+};
+
+// List the current user's signed-in devices
+export const getSessions = async (req, res) => {
+  try {
+    const sessions = await sessionService.listActiveSessions(req.user._id);
+
+    res.json(sessions.map(session => ({
+      ...session.toObject(),
+      current: session._id.toString() === req.sessionId
+    })));
+  } catch (err) {
+    console.error('Error fetching sessions:', err);
+    res.status(500).json({ msg: 'Server Error' });
+  }
+};
+
+// Sign out one of the current user's devices
+export const revokeSession = async (req, res) => {
+  try {
+    const session = await Session.findOne({
+      _id: req.params.id,
+      userId: req.user._id,
+      revokedAt: null
+    });
+
+    if (!session) {
+      return res.status(404).json({ msg: 'Session not found' });
+    }
+
+    await sessionService.revokeSession(session, req.params.id === req.sessionId ? 'LOGOUT' : 'REVOKED');
+    res.json({ msg: 'Session revoked' });
+  } catch (err) {
+    console.error('Error revoking session:', err);
+    res.status(500).json({ msg: 'Server Error' });
+  }
+};
+
+// Sign out every device except the one making the request
+export const revokeOtherSessions = async (req, res) => {
+  try {
+    const count = await sessionService.revokeAllForUser(req.user._id, 'REVOKED', req.sessionId);
+    res.json({ msg: `${count} session(s) revoked`, count });
+  } catch (err) {
+    console.error('Error revoking sessions:', err);
+    res.status(500).json({ msg: 'Server Error' });
+  }
+};
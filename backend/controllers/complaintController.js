@@ -1,9 +1,19 @@
 // controllers/complaintController.js
+import mongoose from 'mongoose';
 import { validationResult } from 'express-validator';
-import { Complaint, ComplaintLog, User, Department, Workflow, WorkflowInstance } from '../models/models.js';
+import { Complaint, ComplaintLog, ComplaintType, User, Department, WorkflowInstance, AssignmentDecision } from '../models/models.js';
 import { emailService } from '../services/emailService.js';
 import { workflowService } from '../services/workflowService.js';
-import { notificationService } from '../services/notificationService.js'; // Add this import
+import { notificationDispatchService } from '../services/notificationDispatchService.js';
+import { smsService } from '../services/smsService.js';
+import { complaintAccessService } from '../services/complaintAccessService.js';
+import { workflowVersionService } from '../services/workflowVersionService.js';
+import { slaService } from '../services/slaService.js';
+import { assignmentService } from '../services/assignmentService.js';
+import { delegationService } from '../services/delegationService.js';
+import { mergeService } from '../services/mergeService.js';
+import { approvalService } from '../services/approvalService.js';
+import { transitionConditionService } from '../services/transitionConditionService.js';
 
 // Create new complaint
 export const createComplaint = async (req, res) => {
@@ -60,6 +70,9 @@ export const createComplaint = async (req, res) => {
       currentStage: 'Initial Review'
     });
 
+    // Targets of the best matching SLA policy, if the organization has one
+    await slaService.applyPolicy(complaint);
+
     const savedComplaint = await complaint.save();
 
     // Create initial complaint log
@@ -80,7 +93,7 @@ export const createComplaint = async (req, res) => {
         console.log(`Workflow initialized for complaint ${savedComplaint._id}`);
         
         // Update the complaint with initial stage name if available
-        const workflow = await Workflow.findById(workflowInstance.workflowId);
+        const workflow = await workflowVersionService.getDefinition(workflowInstance);
         if (workflow) {
           const initialStage = workflow.stages.find(s => s.id === workflowInstance.currentStageId);
           if (initialStage) {
@@ -96,6 +109,15 @@ export const createComplaint = async (req, res) => {
       // Continue without failing the complaint creation
     }
 
+    // Open complaints that look like the same issue, for the department to merge
+    let similarComplaints = [];
+    try {
+      similarComplaints = await mergeService.findSimilar(savedComplaint, { excludeId: savedComplaint._id });
+    } catch (similarErr) {
+      console.error('Error finding similar complaints:', similarErr);
+      // The complaint is already saved; failing here would make the client file it again
+    }
+
     // Notify department users
     const departmentUsers = await User.find({
       departmentId,
@@ -103,83 +125,221 @@ export const createComplaint = async (req, res) => {
       isActive: true
     });
 
-    // Create notifications for department users
-    if (departmentUsers.length > 0) {
-      const userIds = departmentUsers.map(user => user._id);
-      await notificationService.createNotificationsForUsers(
-        userIds,
-        'NEW_COMPLAINT',
-        `New complaint: ${title}`,
-        {
+    await notificationDispatchService.dispatch({
+      event: 'NEW_COMPLAINT',
+      recipients: departmentUsers,
+      notification: {
+        message: similarComplaints.length > 0
+          ? `New complaint: ${title} (similar to ${similarComplaints.length} open complaint(s))`
+          : `New complaint: ${title}`,
+        relatedTo: {
           type: 'COMPLAINT',
           id: savedComplaint._id
         }
-      );
-    }
-
-    // Send email notifications to department users
-    for (const user of departmentUsers) {
-      try {
-        await emailService.sendNewComplaintNotification(
-          user.email,
-          {
-            userName: `${user.firstName} ${user.lastName}`,
-            complaintTitle: title,
-            complaintId: savedComplaint._id,
-            priority
-          }
-        );
-      } catch (error) {
-        console.error('Failed to send email notification:', error);
-      }
-    }
+      },
+      sendEmail: (user) => emailService.sendNewComplaintNotification(
+        user.email,
+        {
+          userName: `${user.firstName} ${user.lastName}`,
+          complaintTitle: title,
+          complaintId: savedComplaint._id,
+          priority
+        },
+        { organizationId: savedComplaint.organizationId }
+      ),
+      sendSms: priority === 'Urgent'
+        ? (user) => smsService.sendUrgentComplaintAlert(user, savedComplaint)
+        : undefined
+    });
 
-    res.status(201).json(savedComplaint);
+    res.status(201).json({ ...savedComplaint.toObject(), similarComplaints });
   } catch (err) {
     console.error('Error creating complaint:', err);
     res.status(500).json({ msg: 'Server error while creating complaint' });
   }
 };
 
-// Get complaints with filtering
+// Columns the complaint list can be sorted on. Status and priority sort by
+// their natural order rather than alphabetically.
+const COMPLAINT_SORT_FIELDS = ['createdAt', 'updatedAt', 'resolvedAt', 'title', 'status', 'priority', 'relevance'];
+const STATUS_ORDER = ['Open', 'In Progress', 'Resolved', 'Closed'];
+const PRIORITY_ORDER = ['Low', 'Medium', 'High', 'Urgent'];
+const MAX_PAGE_SIZE = 100;
+
+const toObjectId = (value) =>
+  mongoose.Types.ObjectId.isValid(value) ? new mongoose.Types.ObjectId(value) : null;
+
+// Build the sort stages for the complaint list, adding rank fields where needed
+const buildComplaintSort = (sortBy, direction) => {
+  if (sortBy === 'relevance') {
+    return [{ $sort: { score: -1, updatedAt: -1 } }];
+  }
+
+  if (sortBy === 'status' || sortBy === 'priority') {
+    const order = sortBy === 'status' ? STATUS_ORDER : PRIORITY_ORDER;
+    return [
+      { $addFields: { sortRank: { $indexOfArray: [order, `$${sortBy}`] } } },
+      { $sort: { sortRank: direction, updatedAt: -1 } },
+      { $unset: 'sortRank' }
+    ];
+  }
+
+  return [{ $sort: { [sortBy]: direction, _id: direction } }];
+};
+
+// Count complaints per value of a field, resolving names for referenced documents
+const buildFacet = (match, field, lookupCollection) => {
+  const stages = [
+    { $match: match },
+    { $group: { _id: `$${field}`, count: { $sum: 1 } } }
+  ];
+
+  if (lookupCollection) {
+    stages.push(
+      { $lookup: { from: lookupCollection, localField: '_id', foreignField: '_id', as: 'ref' } },
+      { $project: { _id: 0, value: '$_id', label: { $arrayElemAt: ['$ref.name', 0] }, count: 1 } },
+      { $sort: { label: 1 } }
+    );
+  } else {
+    stages.push({ $project: { _id: 0, value: '$_id', count: 1 } });
+  }
+
+  return stages;
+};
+
+// Get complaints (paginated, sortable, searchable) with facet counts
 export const getComplaints = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
   try {
-    const { status, priority, department, startDate, endDate } = req.query;
-    const filter = { organizationId: req.user.organizationId };
+    const { status, priority, department, complaintType, startDate, endDate, q } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), MAX_PAGE_SIZE);
+    const search = q?.trim();
 
-    // Add filters based on user role
-    if (req.user.role === 'Student') {
-      filter.complainantId = req.user._id;
-    } else if (req.user.role === 'DepartmentUser') {
-      filter.departmentId = req.user.departmentId;
-    }
+    // The base filter covers what every facet shares: scope, search and date range
+    const baseFilter = {
+      organizationId: req.user.organizationId,
+      // Add filters based on user role (Faculty can narrow with ?scope=filed|review)
+      ...await complaintAccessService.getListFilter(req.user, req.query.scope)
+    };
 
-    // Add query filters
-    if (status) filter.status = status;
-    if (priority) filter.priority = priority;
-    if (department) filter.departmentId = department;
+    if (search) {
+      baseFilter.$text = { $search: search };
+    }
 
     // Date range filter
     if (startDate || endDate) {
-      filter.createdAt = {};
-      if (startDate) filter.createdAt.$gte = new Date(startDate);
-      if (endDate) filter.createdAt.$lte = new Date(endDate);
+      baseFilter.createdAt = {};
+      if (startDate) baseFilter.createdAt.$gte = new Date(startDate);
+      if (endDate) baseFilter.createdAt.$lte = new Date(endDate);
     }
 
-    const complaints = await Complaint.find(filter)
-      .populate('complainantId', 'firstName lastName email')
-      .populate('departmentId', 'name')
-      .populate('assignedTo', 'firstName lastName')
-      .populate('complaintTypeId', 'name')
-      .sort({ updatedAt: -1 });
+    // Option filters; each facet ignores its own so the other options keep their counts
+    const optionFilters = {};
+    if (status) optionFilters.status = status;
+    if (priority) optionFilters.priority = priority;
+    if (department && req.user.role !== 'DepartmentUser') {
+      optionFilters.departmentId = toObjectId(department);
+      if (!optionFilters.departmentId) {
+        return res.status(400).json({ msg: 'Invalid department ID' });
+      }
+    }
+    if (complaintType) {
+      optionFilters.complaintTypeId = toObjectId(complaintType);
+      if (!optionFilters.complaintTypeId) {
+        return res.status(400).json({ msg: 'Invalid complaint type ID' });
+      }
+    }
+
+    const without = (field) => {
+      const { [field]: omitted, ...rest } = optionFilters;
+      return rest;
+    };
 
-    res.json(complaints);
+    let sortBy = COMPLAINT_SORT_FIELDS.includes(req.query.sortBy) ? req.query.sortBy : null;
+    if (!sortBy || (sortBy === 'relevance' && !search)) {
+      sortBy = search ? 'relevance' : 'updatedAt';
+    }
+    const direction = req.query.sortOrder === 'asc' ? 1 : -1;
+
+    const [result] = await Complaint.aggregate([
+      { $match: baseFilter },
+      ...(search ? [{ $addFields: { score: { $meta: 'textScore' } } }] : []),
+      {
+        $facet: {
+          complaints: [
+            { $match: optionFilters },
+            ...buildComplaintSort(sortBy, direction),
+            { $skip: (page - 1) * limit },
+            { $limit: limit },
+            ...(search ? [{ $unset: 'score' }] : [])
+          ],
+          total: [{ $match: optionFilters }, { $count: 'count' }],
+          resolution: [
+            { $match: { ...optionFilters, resolvedAt: { $ne: null } } },
+            { $group: { _id: null, averageMs: { $avg: { $subtract: ['$resolvedAt', '$createdAt'] } } } }
+          ],
+          status: buildFacet(without('status'), 'status'),
+          priority: buildFacet(without('priority'), 'priority'),
+          department: buildFacet(without('departmentId'), 'departmentId', Department.collection.name),
+          complaintType: buildFacet(without('complaintTypeId'), 'complaintTypeId', ComplaintType.collection.name)
+        }
+      }
+    ]);
+
+    const complaints = (await Complaint.populate(result.complaints, [
+      { path: 'complainantId', select: 'firstName lastName email' },
+      { path: 'departmentId', select: 'name' },
+      { path: 'assignedTo', select: 'firstName lastName' },
+      { path: 'complaintTypeId', select: 'name' }
+    ])).map(complaint => ({ ...complaint, slaStatus: slaService.getStatus(complaint) }));
+
+    const total = result.total[0]?.count || 0;
+
+    res.json({
+      complaints,
+      totalCount: total,
+      currentPage: page,
+      totalPages: Math.ceil(total / limit),
+      averageResolutionMs: result.resolution[0]?.averageMs || 0,
+      facets: {
+        status: result.status,
+        priority: result.priority,
+        department: result.department,
+        complaintType: result.complaintType
+      }
+    });
   } catch (err) {
     console.error('Error fetching complaints:', err);
     res.status(500).json({ msg: 'Server error while fetching complaints' });
   }
 };
 
+export const REOPEN_REASONS = ['NOT_RESOLVED', 'ISSUE_RECURRED', 'INCOMPLETE_RESOLUTION', 'OTHER'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Latest time the complainant may reopen a resolved or closed complaint, or null if they cannot.
+ * The window comes from the workflow's reopen policy, else COMPLAINT_REOPEN_WINDOW_DAYS (default 14).
+ */
+const getReopenDeadline = (complaint, workflow) => {
+  if (!['Resolved', 'Closed'].includes(complaint.status)) return null;
+
+  const resolvedAt = complaint.resolvedAt || complaint.closedAt;
+  if (!resolvedAt) return null;
+
+  const windowInDays = workflow?.reopenPolicy?.windowInDays ??
+    Number(process.env.COMPLAINT_REOPEN_WINDOW_DAYS || 14);
+  if (!(windowInDays > 0)) return null;
+
+  return new Date(new Date(resolvedAt).getTime() + windowInDays * DAY_MS);
+};
+
 // Get complaint by ID
 export const getComplaintById = async (req, res) => {
   try {
@@ -190,12 +350,17 @@ export const getComplaintById = async (req, res) => {
     .populate('complainantId', 'firstName lastName email')
     .populate('departmentId', 'name')
     .populate('assignedTo', 'firstName lastName')
-    .populate('complaintTypeId', 'name');
+    .populate('complaintTypeId', 'name')
+    .populate('mergedInto', 'title status');
 
     if (!complaint) {
       return res.status(404).json({ msg: 'Complaint not found' });
     }
 
+    if (!await complaintAccessService.canView(req.user, complaint)) {
+      return res.status(403).json({ msg: 'Not authorized to view this complaint' });
+    }
+
     // Get complaint logs for all users
     const logs = await ComplaintLog.find({ complaintId: complaint._id })
       .populate('userId', 'firstName lastName')
@@ -213,13 +378,18 @@ export const getComplaintById = async (req, res) => {
           ]
         });
 
-      if (workflowInstance) {
+      // Stages come from the version the complaint is pinned to, not the workflow's latest edit
+      const definition = workflowInstance && await workflowVersionService.getDefinition(workflowInstance);
+
+      if (definition) {
         workflowData = {
           instance: workflowInstance,
-          currentStage: workflowInstance.workflowId.stages.find(
+          version: definition.version,
+          reopenPolicy: definition.reopenPolicy,
+          currentStage: definition.stages.find(
             s => s.id === workflowInstance.currentStageId
           ),
-          allStages: workflowInstance.workflowId.stages.sort((a, b) => a.order - b.order),
+          allStages: [...definition.stages].sort((a, b) => a.order - b.order),
           expectedCompletionDate: workflowInstance.expectedCompletionDate
         };
       }
@@ -228,11 +398,19 @@ export const getComplaintById = async (req, res) => {
       // Continue without workflow data
     }
 
+    // Only the complainant can reopen, and only until the window closes
+    const reopenDeadline = complaint.complainantId._id.toString() === req.user._id.toString()
+      ? getReopenDeadline(complaint, workflowData)
+      : null;
+
     // Add logs to complaint object
     const complaintWithData = {
       ...complaint.toObject(),
       logs,
-      workflow: workflowData
+      workflow: workflowData,
+      canUpdate: await complaintAccessService.canAct(req.user, complaint),
+      slaStatus: slaService.getStatus(complaint),
+      reopenUntil: reopenDeadline && reopenDeadline > new Date() ? reopenDeadline : null
     };
 
     res.json(complaintWithData);
@@ -242,6 +420,11 @@ export const getComplaintById = async (req, res) => {
   }
 };
 
+// Whether entering a workflow stage sets the complaint to a status
+const setsStatus = (stage, status) => (stage.actions || []).some(action =>
+  action.type === 'STATUS_UPDATE' && action.config?.status === status
+);
+
 // Update complaint status
 export const updateComplaintStatus = async (req, res) => {
   const errors = validationResult(req);
@@ -250,7 +433,7 @@ export const updateComplaintStatus = async (req, res) => {
   }
 
   try {
-    const { status, comment } = req.body;
+    const { status, comment, overrideApproval } = req.body;
     const complaint = await Complaint.findOne({
       _id: req.params.id,
       organizationId: req.user.organizationId
@@ -260,88 +443,108 @@ export const updateComplaintStatus = async (req, res) => {
       return res.status(404).json({ msg: 'Complaint not found' });
     }
 
-    // Verify user has permission to update status
-    if (req.user.role === 'Student') {
-      return res.status(403).json({ msg: 'Not authorized to update complaint status' });
+    // Department users need the complaint's department; Faculty must be its assignee or current reviewer
+    if (!await complaintAccessService.canAct(req.user, complaint)) {
+      return res.status(403).json({ msg: 'Not authorized to update this complaint' });
     }
 
-    // For DepartmentUser, verify they belong to the complaint's department
-    if (
-      req.user.role === 'DepartmentUser' && 
-      req.user.departmentId.toString() !== complaint.departmentId.toString()
-    ) {
-      return res.status(403).json({ msg: 'Not authorized to update this complaint' });
+    if (complaint.mergedInto) {
+      return res.status(400).json({ msg: 'This complaint was merged into another one and follows its status' });
     }
 
     // Check if there's a workflow instance for this complaint
-    const workflowInstance = await WorkflowInstance.findOne({ complaintId: complaint._id })
-      .populate('workflowId');
+    const workflowInstance = await workflowService.findInstance(complaint._id);
+    const workflow = workflowInstance && await workflowVersionService.getDefinition(workflowInstance);
 
-    if (workflowInstance) {
-      // Get workflow and current stage
-      const workflow = workflowInstance.workflowId;
+    if (workflow) {
       const currentStage = workflow.stages.find(s => s.id === workflowInstance.currentStageId);
-      
-      if (currentStage) {
-        // Find a stage that corresponds to this status change
-        const targetStages = workflow.stages.filter(stage => {
-          const stageActions = stage.actions || [];
-          return stageActions.some(action => 
-            action.type === 'STATUS_UPDATE' && 
-            action.config && 
-            action.config.status === status
-          );
-        });
 
-        if (targetStages.length > 0) {
-          // Use the first matching stage
-          const targetStage = targetStages[0];
-          
-          // Update the current stage in workflow instance history
-          if (workflowInstance.currentStageId) {
-            const currentHistoryEntry = workflowInstance.history.find(
-              h => h.stageId === workflowInstance.currentStageId && !h.exitedAt
-            );
-            
-            if (currentHistoryEntry) {
-              currentHistoryEntry.exitedAt = new Date();
-              
-              // Add comment as action
-              currentHistoryEntry.actions.push({
-                type: 'COMMENT',
-                performedBy: req.user._id,
-                result: { comment },
-                notes: `Status update comment: ${comment}`
-              });
-            }
-          }
+      // A status set by another stage moves the complaint there, but only along a transition
+      // from its current stage whose condition holds, as a move by hand would
+      let targetStage = null;
+      const statusStages = workflow.stages.filter(stage => setsStatus(stage, status));
+
+      if (currentStage && statusStages.length > 0 && !setsStatus(currentStage, status)) {
+        const transitions = currentStage.transitions || [];
+        const reachable = transitions.length === 0
+          ? statusStages
+          : statusStages.filter(stage => transitions.some(t => t.targetStageId === stage.id));
+
+        if (reachable.length === 0) {
+          return res.status(400).json({ msg: `Cannot set the status to ${status} from stage ${currentStage.name}` });
+        }
+        if (workflowInstance.branches.some(b => b.status === 'ACTIVE')) {
+          return res.status(400).json({ msg: 'This complaint is waiting on parallel branches; move one of the branches instead' });
+        }
 
-          // Add new stage to history
-          workflowInstance.history.push({
-            stageId: targetStage.id,
-            enteredAt: new Date(),
-            actions: []
+        const context = { user: req.user, complaint };
+        targetStage = reachable.find(stage => {
+          const candidates = transitions.filter(t => t.targetStageId === stage.id);
+          return candidates.length === 0 || candidates.some(t => transitionConditionService.isSatisfied(t.condition, context));
+        });
+
+        if (!targetStage) {
+          const blocked = transitions.find(t => t.targetStageId === reachable[0].id);
+          return res.status(403).json({
+            msg: `Cannot move to ${reachable[0].name} (${transitionConditionService.describe(blocked.condition)})`
           });
+        }
+      }
 
-          // Update current stage
-          workflowInstance.currentStageId = targetStage.id;
-          
-          // Check if this is the final stage
-          const isLastStage = workflow.stages.every(s => 
-            s.order <= targetStage.order || s.id === targetStage.id
+      // A pending approval is left only by its decision, or by a SuperAdmin overriding it
+      const pendingApproval = await approvalService.checkManualExit(workflowInstance, req.user, {
+        complaintId: complaint._id,
+        override: overrideApproval === true
+      });
+      if (pendingApproval) {
+        return res.status(409).json({ msg: `${pendingApproval.stageName} is waiting on an approval decision` });
+      }
+
+      if (targetStage) {
+        // Update the current stage in workflow instance history
+        if (workflowInstance.currentStageId) {
+          const currentHistoryEntry = workflowInstance.history.find(
+            h => h.stageId === workflowInstance.currentStageId && !h.exitedAt
           );
           
-          if (isLastStage && (status === 'Resolved' || status === 'Closed')) {
-            workflowInstance.isCompleted = true;
-            workflowInstance.completedAt = new Date();
-            workflowInstance.status = 'COMPLETED';
+          if (currentHistoryEntry) {
+            currentHistoryEntry.exitedAt = new Date();
+            
+            // Add comment as action
+            currentHistoryEntry.actions.push({
+              type: 'COMMENT',
+              performedBy: req.user._id,
+              result: { comment },
+              notes: `Status update comment: ${comment}`
+            });
           }
+        }
 
-          await workflowInstance.save();
+        // Add new stage to history
+        workflowInstance.history.push({
+          stageId: targetStage.id,
+          enteredAt: new Date(),
+          actions: []
+        });
 
-          // Process stage actions
-          await workflowService.processStageActions(workflowInstance, targetStage, complaint);
+        // Update current stage
+        workflowInstance.currentStageId = targetStage.id;
+        
+        // Check if this is the final stage
+        const isLastStage = workflow.stages.every(s => 
+          s.order <= targetStage.order || s.id === targetStage.id
+        );
+        
+        if (isLastStage && (status === 'Resolved' || status === 'Closed')) {
+          workflowInstance.isCompleted = true;
+          workflowInstance.completedAt = new Date();
+          workflowInstance.status = 'COMPLETED';
         }
+
+        await workflowInstance.save();
+
+        // Process stage actions
+        await workflowService.enterStage(workflowInstance, targetStage, complaint);
       }
     }
 
@@ -360,55 +563,56 @@ export const updateComplaintStatus = async (req, res) => {
     if (status === 'Resolved') complaint.resolvedAt = Date.now();
     if (status === 'Closed') complaint.closedAt = Date.now();
 
+    // A status update answers the complainant; resolving ends any wait on them
+    slaService.recordFirstResponse(complaint);
+    if (status === 'Resolved' || status === 'Closed') await slaService.resume(complaint);
+
     await complaint.save();
 
-    // Send feedback request email when complaint is resolved
-    if (status === 'Resolved') {
-      try {
-        const complainantUser = await User.findById(complaint.complainantId);
-        if (complainantUser && complainantUser.email) {
+    // Notify complainant of status change
+    await notificationDispatchService.dispatch({
+      event: 'STATUS_UPDATE',
+      recipients: [complaint.complainantId],
+      notification: {
+        message: `Complaint status updated to: ${status}`,
+        relatedTo: {
+          type: 'COMPLAINT',
+          id: complaint._id
+        }
+      },
+      sendEmail: async (user) => {
+        const userName = `${user.firstName} ${user.lastName}`;
+
+        // Ask for feedback when the complaint is resolved
+        if (status === 'Resolved') {
           await emailService.sendFeedbackRequest(
-            complainantUser.email,
+            user.email,
             {
-              userName: `${complainantUser.firstName} ${complainantUser.lastName}`,
+              userName,
               complaintTitle: complaint.title,
               complaintId: complaint._id,
               resolutionComment: comment
-            }
+            },
+            { organizationId: complaint.organizationId }
           );
         }
-      } catch (emailError) {
-        console.error('Failed to send feedback request email:', emailError);
-        // Continue without failing the status update
-      }
-    }
 
-    // Create notification for complainant
-    await notificationService.createNotification({
-      userId: complaint.complainantId,
-      type: 'STATUS_UPDATE',
-      message: `Complaint status updated to: ${status}`,
-      relatedTo: {
-        type: 'COMPLAINT',
-        id: complaint._id
+        return emailService.sendComplaintStatusUpdate(
+          user.email,
+          {
+            userName,
+            complaintTitle: complaint.title,
+            complaintId: complaint._id,
+            newStatus: status,
+            comment
+          },
+          { organizationId: complaint.organizationId }
+        );
       }
     });
 
-    // Notify complainant of status change
-    try {
-      await emailService.sendComplaintStatusUpdate(
-        complaint.complainantId.email,
-        {
-          userName: `${complaint.complainantId.firstName} ${complaint.complainantId.lastName}`,
-          complaintTitle: complaint.title,
-          complaintId: complaint._id,
-          newStatus: status,
-          comment
-        }
-      );
-    } catch (error) {
-      console.error('Failed to send status update email:', error);
-    }
+    // Duplicates merged into this complaint follow it
+    await mergeService.propagateStatus(complaint, { userId: req.user._id, comment });
 
     res.json(complaint);
   } catch (err) {
@@ -429,9 +633,20 @@ export const getComplaintComments = async (req, res) => {
       return res.status(404).json({ msg: 'Complaint not found' });
     }
 
+    if (!await complaintAccessService.canView(req.user, complaint)) {
+      return res.status(403).json({ msg: 'Not authorized to view this complaint' });
+    }
+
     const logs = await ComplaintLog.find({ 
       complaintId: complaint._id,
-      action: { $in: ['COMMENT_ADDED', 'STATUS_UPDATED', 'ESCALATED', 'WORKFLOW_UPDATED'] }
+      action: {
+        $in: [
+          'COMMENT_ADDED', 'STATUS_UPDATED', 'ESCALATED', 'WORKFLOW_UPDATED', 'APPROVAL_DECISION',
+          'SLA_PAUSED', 'SLA_RESUMED', 'ASSIGNMENT_REDIRECTED',
+          'TRANSFER_REQUESTED', 'TRANSFERRED', 'TRANSFER_REJECTED', 'TRANSFER_CANCELLED',
+          'MERGED', 'DUPLICATE_MERGED'
+        ]
+      }
     })
     .populate({
       path: 'userId',
@@ -467,6 +682,10 @@ export const addCommentToComplaint = async (req, res) => {
       return res.status(404).json({ msg: 'Complaint not found' });
     }
 
+    if (!await complaintAccessService.canView(req.user, complaint)) {
+      return res.status(403).json({ msg: 'Not authorized to comment on this complaint' });
+    }
+
     // Create complaint log for the comment
     const log = await ComplaintLog.create({
       complaintId: complaint._id,
@@ -484,28 +703,53 @@ export const addCommentToComplaint = async (req, res) => {
       }
     });
 
-    // Create notification for relevant users
-    if (req.user._id.toString() !== complaint.complainantId.toString()) {
-      // If comment is from staff, notify the complainant
-      await notificationService.createNotification({
-        userId: complaint.complainantId,
-        type: 'NEW_COMMENT',
-        message: `New comment on your complaint: ${complaint.title}`,
-        relatedTo: {
-          type: 'COMPLAINT',
-          id: complaint._id
-        }
+    // Notify the other side of the conversation: staff comments go to the
+    // complainant, complainant comments go to the assigned user. Followers are the
+    // complainants of merged duplicates, so they are on the complainant's side.
+    const userId = req.user._id.toString();
+    const isStaffComment = req.user.role !== 'Student' &&
+      userId !== complaint.complainantId.toString() &&
+      !complaint.followers.some(id => id.toString() === userId);
+    const recipient = isStaffComment ? complaint.complainantId : complaint.assignedTo;
+
+    // Staff comments count as a response; the complainant replying restarts a paused SLA clock
+    if (isStaffComment) {
+      slaService.recordFirstResponse(complaint);
+      await complaint.save();
+    } else if (await slaService.resume(complaint)) {
+      await complaint.save();
+      await ComplaintLog.create({
+        complaintId: complaint._id,
+        userId: req.user._id,
+        action: 'SLA_RESUMED',
+        comment: 'The complainant replied; the SLA clock is running again'
       });
-    } else if (complaint.assignedTo) {
-      // If comment is from complainant, notify the assigned user
-      await notificationService.createNotification({
-        userId: complaint.assignedTo,
-        type: 'NEW_COMMENT',
-        message: `New comment on complaint: ${complaint.title}`,
-        relatedTo: {
-          type: 'COMPLAINT',
-          id: complaint._id
-        }
+    }
+
+    if (recipient) {
+      await notificationDispatchService.dispatch({
+        event: 'NEW_COMMENT',
+        recipients: [recipient],
+        notification: {
+          message: isStaffComment
+            ? `New comment on your complaint: ${complaint.title}`
+            : `New comment on complaint: ${complaint.title}`,
+          relatedTo: {
+            type: 'COMPLAINT',
+            id: complaint._id
+          }
+        },
+        sendEmail: (user) => emailService.sendNewCommentNotification(
+          user.email,
+          {
+            userName: `${user.firstName} ${user.lastName}`,
+            complaintTitle: complaint.title,
+            complaintId: complaint._id,
+            authorName: `${req.user.firstName} ${req.user.lastName}`,
+            comment
+          },
+          { organizationId: complaint.organizationId }
+        )
       });
     }
 
@@ -542,7 +786,7 @@ export const escalateComplaint = async (req, res) => {
     }
 
     // Validate escalation permissions
-    if (req.user.role === 'Student') {
+    if (!await complaintAccessService.canAct(req.user, complaint)) {
       return res.status(403).json({ msg: 'Not authorized to escalate complaints' });
     }
 
@@ -551,6 +795,10 @@ export const escalateComplaint = async (req, res) => {
       return res.status(400).json({ msg: 'Cannot escalate closed complaints' });
     }
 
+    if (complaint.mergedInto) {
+      return res.status(400).json({ msg: 'This complaint was merged into another one; escalate that one instead' });
+    }
+
     // Create escalation log
     const log = await ComplaintLog.create({
       complaintId: complaint._id,
@@ -568,69 +816,70 @@ export const escalateComplaint = async (req, res) => {
     complaint.escalatedBy = req.user._id;
     complaint.escalationReason = reason;
 
+    // The new priority may fall under a tighter SLA policy
+    await slaService.applyPolicy(complaint);
+
     await complaint.save();
     await log.populate('userId', 'firstName lastName');
 
     // Update workflow instance if exists
-    const workflowInstance = await WorkflowInstance.findOne({ complaintId: complaint._id });
+    const workflowInstance = await workflowService.findInstance(complaint._id);
     if (workflowInstance) {
       workflowInstance.status = 'ESCALATED';
+      if (complaint.sla?.resolutionDueAt) {
+        workflowInstance.expectedCompletionDate = complaint.sla.resolutionDueAt;
+      }
       await workflowInstance.save();
     }
 
+    await mergeService.propagateStatus(complaint, { userId: req.user._id, comment: reason });
+
     // Notify relevant parties
-    try {
-      // Notify department head
-      const departmentUsers = await User.find({
-        departmentId: complaint.departmentId._id,
-        role: 'DepartmentUser',
-        isActive: true
-      });
+    const departmentUsers = await User.find({
+      departmentId: complaint.departmentId._id,
+      role: 'DepartmentUser',
+      isActive: true
+    });
 
-      // Create notification for all department users
-      if (departmentUsers.length > 0) {
-        const userIds = departmentUsers.map(user => user._id);
-        await notificationService.createNotificationsForUsers(
-          userIds,
-          'COMPLAINT_ESCALATED',
-          `Complaint escalated: ${complaint.title}`,
-          {
-            type: 'COMPLAINT',
-            id: complaint._id
-          }
-        );
-      }
+    await notificationDispatchService.dispatch({
+      event: 'COMPLAINT_ESCALATED',
+      recipients: departmentUsers,
+      notification: {
+        message: `Complaint escalated: ${complaint.title}`,
+        relatedTo: {
+          type: 'COMPLAINT',
+          id: complaint._id
+        }
+      },
+      sendEmail: (user) => emailService.sendComplaintEscalationNotification(
+        user.email,
+        {
+          userName: `${user.firstName} ${user.lastName}`,
+          complaintTitle: complaint.title,
+          complaintId: complaint._id,
+          reason
+        },
+        { organizationId: complaint.organizationId }
+      ),
+      sendSms: (user) => smsService.sendEscalationAlert(user, complaint)
+    });
 
-      // Send notifications in parallel
-      await Promise.all([
-        // Notify complainant
-        emailService.sendComplaintStatusUpdate(
-          complaint.complainantId.email,
-          {
-            userName: `${complaint.complainantId.firstName} ${complaint.complainantId.lastName}`,
-            complaintTitle: complaint.title,
-            complaintId: complaint._id,
-            newStatus: 'Escalated',
-            comment: reason
-          }
-        ),
-        // Notify department users
-        ...departmentUsers.map(user =>
-          emailService.sendComplaintEscalationNotification(
-            user.email,
-            {
-              userName: `${user.firstName} ${user.lastName}`,
-              complaintTitle: complaint.title,
-              complaintId: complaint._id,
-              reason
-            }
-          )
-        )
-      ]);
-    } catch (error) {
-      console.error('Failed to send escalation notifications:', error);
-      // Continue without failing the request
-    }
+    // The complainant only hears about the status change
+    await notificationDispatchService.dispatch({
+      event: 'STATUS_UPDATE',
+      recipients: [complaint.complainantId],
+      sendEmail: (user) => emailService.sendComplaintStatusUpdate(
+        user.email,
+        {
+          userName: `${user.firstName} ${user.lastName}`,
+          complaintTitle: complaint.title,
+          complaintId: complaint._id,
+          newStatus: 'Escalated',
+          comment: reason
+        },
+        { organizationId: complaint.organizationId }
+      )
+    });
 
     // Return updated complaint with new log
     const updatedComplaint = await Complaint.findById(complaintId)
@@ -645,7 +894,8 @@ export const escalateComplaint = async (req, res) => {
 
     res.json({
       ...updatedComplaint.toObject(),
-      logs
+      logs,
+      slaStatus: slaService.getStatus(updatedComplaint)
     });
 
   } catch (err) {
@@ -654,6 +904,122 @@ export const escalateComplaint = async (req, res) => {
   }
 };
 
+// Reopen a resolved or closed complaint (complainant only)
+export const reopenComplaint = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { reason, reasonCode } = req.body;
+
+    const complaint = await Complaint.findOne({
+      _id: req.params.id,
+      organizationId: req.user.organizationId
+    }).populate('assignedTo', 'firstName lastName email');
+
+    if (!complaint) {
+      return res.status(404).json({ msg: 'Complaint not found' });
+    }
+
+    if (complaint.complainantId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ msg: 'Only the complainant can reopen this complaint' });
+    }
+
+    if (complaint.mergedInto) {
+      return res.status(400).json({ msg: 'This complaint was merged into another one and is reopened with it' });
+    }
+
+    if (!['Resolved', 'Closed'].includes(complaint.status)) {
+      return res.status(400).json({ msg: 'Only resolved or closed complaints can be reopened' });
+    }
+
+    const workflowInstance = await workflowService.findInstance(complaint._id);
+    const workflow = workflowInstance && await workflowVersionService.getDefinition(workflowInstance);
+
+    const deadline = getReopenDeadline(complaint, workflow);
+    if (!deadline || deadline <= new Date()) {
+      return res.status(400).json({ msg: 'The reopen window for this complaint has passed' });
+    }
+
+    const previousStatus = complaint.status;
+    const newStatus = complaint.assignedTo ? 'In Progress' : 'Open';
+
+    complaint.status = newStatus;
+    complaint.resolvedAt = undefined;
+    complaint.closedAt = undefined;
+    complaint.reopenCount = (complaint.reopenCount || 0) + 1;
+    complaint.lastReopenedAt = Date.now();
+    complaint.updatedAt = Date.now();
+    await complaint.save();
+
+    // Stage actions of the target stage may move the status on again
+    if (workflow?.stages?.length) {
+      await workflowService.reopenWorkflow(workflowInstance, complaint, req.user._id, reason);
+    }
+
+    await ComplaintLog.create({
+      complaintId: complaint._id,
+      userId: req.user._id,
+      action: 'REOPENED',
+      comment: reason,
+      reasonCode,
+      previousStage: previousStatus,
+      newStage: complaint.status
+    });
+
+    await mergeService.propagateStatus(complaint, { userId: req.user._id, comment: reason });
+
+    // Notify the assignee, or the department when nobody is assigned yet
+    const recipients = complaint.assignedTo
+      ? [complaint.assignedTo]
+      : await User.find({
+        departmentId: complaint.departmentId,
+        role: 'DepartmentUser',
+        isActive: true
+      });
+
+    await notificationDispatchService.dispatch({
+      event: 'STATUS_UPDATE',
+      recipients,
+      notification: {
+        type: 'COMPLAINT_REOPENED',
+        message: `Complaint reopened: ${complaint.title}`,
+        relatedTo: {
+          type: 'COMPLAINT',
+          id: complaint._id
+        }
+      },
+      sendEmail: (user) => emailService.sendComplaintReopenedNotification(user.email, {
+        userName: `${user.firstName} ${user.lastName}`,
+        complaintTitle: complaint.title,
+        complaintId: complaint._id,
+        reason
+      }, { organizationId: complaint.organizationId })
+    });
+
+    const updatedComplaint = await Complaint.findById(complaint._id)
+      .populate('complainantId', 'firstName lastName email')
+      .populate('departmentId', 'name')
+      .populate('assignedTo', 'firstName lastName')
+      .populate('complaintTypeId', 'name');
+
+    const logs = await ComplaintLog.find({ complaintId: complaint._id })
+      .populate('userId', 'firstName lastName')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      ...updatedComplaint.toObject(),
+      logs,
+      slaStatus: slaService.getStatus(updatedComplaint)
+    });
+  } catch (err) {
+    console.error('Error reopening complaint:', err);
+    res.status(500).json({ msg: 'Server error while reopening complaint' });
+  }
+};
+
 // Assign complaint to department user
 export const assignComplaint = async (req, res) => {
   const errors = validationResult(req);
@@ -672,18 +1038,35 @@ export const assignComplaint = async (req, res) => {
       return res.status(404).json({ msg: 'Complaint not found' });
     }
 
-    // Verify assigned user exists and belongs to the correct department
+    // The route checks complaint.assign; the complaint must also be within the user's scope
+    if (!await complaintAccessService.canAct(req.user, complaint)) {
+      return res.status(403).json({ msg: 'Not authorized to assign this complaint' });
+    }
+
+    // Verify assigned user exists and is a department user of the complaint's
+    // department, or a faculty member the complaint is routed to
     const assignedUser = await User.findOne({
       _id: userId,
-      departmentId: complaint.departmentId,
-      role: 'DepartmentUser',
-      isActive: true
+      organizationId: complaint.organizationId,
+      isActive: true,
+      $or: [
+        { role: 'DepartmentUser', departmentId: complaint.departmentId },
+        { role: 'Faculty' }
+      ]
     });
 
     if (!assignedUser) {
       return res.status(400).json({ msg: 'Invalid user assignment' });
     }
 
+    // Someone out of office gets nothing new; their delegate takes it instead
+    const { user: actingUser, awayUsers } = await assignmentService.resolveActingUser(assignedUser);
+    if (assignmentService.isOutOfOffice(actingUser)) {
+      return res.status(400).json({
+        msg: `${actingUser.firstName} ${actingUser.lastName} is out of office and has no delegate`
+      });
+    }
+
     // Create complaint log
     await ComplaintLog.create({
       complaintId: complaint._id,
@@ -694,38 +1077,157 @@ export const assignComplaint = async (req, res) => {
       newStage: complaint.currentStage
     });
 
-    complaint.assignedTo = userId;
-    await complaint.save();
+    if (awayUsers.length > 0) {
+      await delegationService.recordRedirect({
+        complaint,
+        awayUsers,
+        assignee: actingUser,
+        actorId: req.user._id
+      });
+    }
 
-    // Create notification for assigned user
-    await notificationService.createNotification({
-      userId,
-      type: 'ASSIGNED_COMPLAINT',
-      message: `You have been assigned to complaint: ${complaint.title}`,
-      relatedTo: {
-        type: 'COMPLAINT',
-        id: complaint._id
-      }
-    });
+    complaint.assignedTo = actingUser._id;
+    await complaint.save();
 
-    // Send email notification to assigned user
-    try {
-      await emailService.sendComplaintAssignmentNotification(
-        assignedUser.email,
+    // Notify the assigned user
+    await notificationDispatchService.dispatch({
+      event: 'ASSIGNED_COMPLAINT',
+      recipients: [actingUser],
+      notification: {
+        message: awayUsers.length > 0
+          ? `You have been assigned to complaint: ${complaint.title} (on behalf of ${assignedUser.firstName} ${assignedUser.lastName})`
+          : `You have been assigned to complaint: ${complaint.title}`,
+        relatedTo: {
+          type: 'COMPLAINT',
+          id: complaint._id
+        }
+      },
+      sendEmail: (user) => emailService.sendComplaintAssignmentNotification(
+        user.email,
         {
-          userName: `${assignedUser.firstName} ${assignedUser.lastName}`,
+          userName: `${user.firstName} ${user.lastName}`,
           complaintTitle: complaint.title,
           complaintId: complaint._id,
           priority: complaint.priority
-        }
-      );
-    } catch (error) {
-      console.error('Failed to send assignment notification:', error);
-    }
+        },
+        { organizationId: complaint.organizationId }
+      )
+    });
 
     res.json(complaint);
   } catch (err) {
     console.error('Error assigning complaint:', err);
     res.status(500).json({ msg: 'Server error while assigning complaint' });
   }
-};
\ No newline at end of file
+};
+
+// Automatic assignment decisions for a complaint, newest first, with who was considered and why
+export const getAssignmentDecisions = async (req, res) => {
+  try {
+    const complaint = await Complaint.findOne({
+      _id: req.params.id,
+      organizationId: req.user.organizationId
+    });
+
+    if (!complaint) {
+      return res.status(404).json({ msg: 'Complaint not found' });
+    }
+
+    if (!await complaintAccessService.canAct(req.user, complaint)) {
+      return res.status(403).json({ msg: 'Not authorized to view assignments of this complaint' });
+    }
+
+    const decisions = await AssignmentDecision.find({ complaintId: complaint._id })
+      .populate('assignedTo', 'firstName lastName')
+      .sort({ createdAt: -1 });
+
+    res.json(decisions);
+  } catch (err) {
+    console.error('Error fetching assignment decisions:', err);
+    res.status(500).json({ msg: 'Server error while fetching assignment decisions' });
+  }
+};
+
+// Pause the SLA clock while waiting on the complainant, or resume it
+export const updateSlaPause = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { paused } = req.body;
+    const comment = req.body.comment?.trim();
+
+    const complaint = await Complaint.findOne({
+      _id: req.params.id,
+      organizationId: req.user.organizationId
+    }).populate('complainantId', 'email firstName lastName');
+
+    if (!complaint) {
+      return res.status(404).json({ msg: 'Complaint not found' });
+    }
+
+    if (!await complaintAccessService.canAct(req.user, complaint)) {
+      return res.status(403).json({ msg: 'Not authorized to update this complaint' });
+    }
+
+    if (!complaint.sla?.policyId) {
+      return res.status(400).json({ msg: 'No SLA policy applies to this complaint' });
+    }
+
+    if (paused) {
+      if (['Resolved', 'Closed'].includes(complaint.status)) {
+        return res.status(400).json({ msg: 'Resolved and closed complaints have no running SLA clock' });
+      }
+      if (!comment) {
+        return res.status(400).json({ msg: 'Tell the complainant what you are waiting for' });
+      }
+      if (!slaService.pause(complaint)) {
+        return res.status(409).json({ msg: 'The SLA clock is already paused' });
+      }
+    } else if (!await slaService.resume(complaint)) {
+      return res.status(409).json({ msg: 'The SLA clock is not paused' });
+    }
+
+    await complaint.save();
+
+    await ComplaintLog.create({
+      complaintId: complaint._id,
+      userId: req.user._id,
+      action: paused ? 'SLA_PAUSED' : 'SLA_RESUMED',
+      comment: comment || 'The SLA clock is running again'
+    });
+
+    // The complainant needs to know a reply is expected of them
+    if (paused) {
+      await notificationDispatchService.dispatch({
+        event: 'NEW_COMMENT',
+        recipients: [complaint.complainantId],
+        notification: {
+          message: `Waiting for your reply: ${complaint.title}`,
+          relatedTo: {
+            type: 'COMPLAINT',
+            id: complaint._id
+          }
+        },
+        sendEmail: (user) => emailService.sendNewCommentNotification(
+          user.email,
+          {
+            userName: `${user.firstName} ${user.lastName}`,
+            complaintTitle: complaint.title,
+            complaintId: complaint._id,
+            authorName: `${req.user.firstName} ${req.user.lastName}`,
+            comment
+          },
+          { organizationId: complaint.organizationId }
+        )
+      });
+    }
+
+    res.json({ sla: complaint.sla, slaStatus: slaService.getStatus(complaint) });
+  } catch (err) {
+    console.error('Error updating SLA pause:', err);
+    res.status(500).json({ msg: 'Server error while updating the SLA clock' });
+  }
+};
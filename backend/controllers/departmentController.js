@@ -1,6 +1,8 @@
 import { validationResult } from 'express-validator';
-import { User, Department, Organization } from '../models/models.js';
+import { User, Department, Organization, ComplaintType } from '../models/models.js';
 import { emailService } from '../services/emailService.js';
+import { delegationService } from '../services/delegationService.js';
+import { assignmentService } from '../services/assignmentService.js';
 
 
 // Create new department
@@ -11,7 +13,7 @@ export const createDepartment = async (req, res) => {
   }
 
   try {
-    const { name, description } = req.body;
+    const { name, description, requireTransferApproval } = req.body;
     const organizationId = req.user.organizationId;
 
     // Check if department with same name exists in the organization
@@ -30,6 +32,7 @@ export const createDepartment = async (req, res) => {
       organizationId,
       name,
       description,
+      requireTransferApproval: Boolean(requireTransferApproval),
       isActive: true
     });
 
@@ -98,7 +101,7 @@ export const updateDepartment = async (req, res) => {
   }
 
   try {
-    const { name, description, isActive } = req.body;
+    const { name, description, isActive, requireTransferApproval } = req.body;
     const departmentId = req.params.id;
 
     // Check if department exists and belongs to the organization
@@ -130,6 +133,7 @@ export const updateDepartment = async (req, res) => {
     if (name) department.name = name;
     if (description) department.description = description;
     if (typeof isActive !== 'undefined') department.isActive = isActive;
+    if (typeof requireTransferApproval !== 'undefined') department.requireTransferApproval = requireTransferApproval;
 
     department = await department.save();
     res.json(department);
@@ -214,7 +218,8 @@ export const assignUsersToDepartment = async (req, res) => {
             user.email,
             `${user.firstName} ${user.lastName}`,
             department.name,
-            organization.name
+            organization.name,
+            { organizationId: organization._id }
           );
 
           return {
@@ -315,4 +320,66 @@ export const removeUserFromDepartment = async (req, res) => {
     console.error('Error removing user from department:', err);
     res.status(500).json({ msg: 'Server error while removing user' });
   }
-};
\ No newline at end of file
+};
+
+// Set how auto-assignment treats a department user: availability, capacity, skills and out-of-office
+export const updateDepartmentUserAssignment = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { id: departmentId, userId } = req.params;
+    const { available, capacity, skills, outOfOffice } = req.body;
+
+    const user = await User.findOne({
+      _id: userId,
+      organizationId: req.user.organizationId,
+      departmentId
+    });
+
+    if (!user) {
+      return res.status(404).json({ msg: 'User not found in department' });
+    }
+
+    if (skills !== undefined) {
+      const typeCount = await ComplaintType.countDocuments({
+        _id: { $in: skills },
+        organizationId: req.user.organizationId
+      });
+      if (typeCount !== new Set(skills.map(String)).size) {
+        return res.status(400).json({ msg: 'Skills must be complaint types of your organization' });
+      }
+      user.assignment.skills = skills;
+    }
+
+    if (available !== undefined) user.assignment.available = available;
+    // An empty capacity removes the cap
+    if (capacity !== undefined) user.assignment.capacity = capacity || undefined;
+
+    // No end date clears the period
+    if (outOfOffice !== undefined) {
+      if (outOfOffice?.endsAt) {
+        const error = await delegationService.applyOutOfOffice(user, outOfOffice);
+        if (error) {
+          return res.status(400).json({ msg: error });
+        }
+      } else {
+        user.outOfOffice = undefined;
+      }
+    }
+
+    user.updatedAt = Date.now();
+    await user.save();
+
+    if (user.outOfOffice?.handOver && assignmentService.isOutOfOffice(user)) {
+      await delegationService.handOverOpenComplaints(user);
+    }
+
+    res.json({ _id: user._id, assignment: user.assignment, outOfOffice: user.outOfOffice });
+  } catch (err) {
+    console.error('Error updating assignment settings:', err);
+    res.status(500).json({ msg: 'Server error while updating assignment settings' });
+  }
+};
@@ -0,0 +1,120 @@
+// controllers/emailMessageController.js
+import mongoose from 'mongoose';
+import { EmailMessage } from '../models/models.js';
+import { emailOutboxService } from '../services/emailOutboxService.js';
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Get the delivery log, newest first (filter with ?status=&eventType=&q=)
+export const getEmailMessages = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const skip = (page - 1) * limit;
+
+    const filter = { organizationId: req.user.organizationId };
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.eventType) filter.eventType = req.query.eventType;
+    if (req.query.q) {
+      const pattern = new RegExp(escapeRegex(req.query.q.trim()), 'i');
+      filter.$or = [{ to: pattern }, { subject: pattern }];
+    }
+
+    const [messages, total] = await Promise.all([
+      EmailMessage.find(filter)
+        .select('-html')
+        .populate('requestedBy', 'firstName lastName')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      EmailMessage.countDocuments(filter)
+    ]);
+
+    res.json({
+      messages,
+      totalCount: total,
+      currentPage: page,
+      totalPages: Math.ceil(total / limit)
+    });
+  } catch (err) {
+    console.error('Error fetching email messages:', err);
+    res.status(500).json({ msg: 'Server error while fetching email messages' });
+  }
+};
+
+// Get the number of messages in each delivery status
+export const getEmailMessageStats = async (req, res) => {
+  try {
+    const counts = await EmailMessage.aggregate([
+      { $match: { organizationId: new mongoose.Types.ObjectId(req.user.organizationId) } },
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+
+    const stats = { PENDING: 0, SENDING: 0, SENT: 0, DEAD: 0 };
+    counts.forEach(({ _id, count }) => {
+      stats[_id] = count;
+    });
+
+    res.json(stats);
+  } catch (err) {
+    console.error('Error fetching email message stats:', err);
+    res.status(500).json({ msg: 'Server error while fetching email message stats' });
+  }
+};
+
+// Get one message with its content and delivery attempts
+export const getEmailMessageById = async (req, res) => {
+  try {
+    const message = await EmailMessage.findOne({
+      _id: req.params.id,
+      organizationId: req.user.organizationId
+    })
+      .populate('requestedBy', 'firstName lastName')
+      .populate('resendOf', 'status createdAt');
+
+    if (!message) {
+      return res.status(404).json({ msg: 'Email not found' });
+    }
+
+    const sensitive = emailOutboxService.isSensitive(message);
+    res.json({ ...message.toObject(), html: sensitive ? undefined : message.html, sensitive });
+  } catch (err) {
+    console.error('Error fetching email message:', err);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Email not found' });
+    }
+    res.status(500).json({ msg: 'Server error while fetching email message' });
+  }
+};
+
+// Queue a fresh copy of a sent or dead-lettered message
+export const resendEmailMessage = async (req, res) => {
+  try {
+    const message = await EmailMessage.findOne({
+      _id: req.params.id,
+      organizationId: req.user.organizationId
+    });
+
+    if (!message) {
+      return res.status(404).json({ msg: 'Email not found' });
+    }
+
+    if (emailOutboxService.isSensitive(message)) {
+      return res.status(400).json({ msg: 'This email held a one-time code and cannot be resent' });
+    }
+
+    if (['PENDING', 'SENDING'].includes(message.status)) {
+      return res.status(400).json({ msg: 'This email is still queued for delivery' });
+    }
+
+    const copy = await emailOutboxService.resend(message, req.user._id);
+
+    res.status(201).json(copy);
+  } catch (err) {
+    console.error('Error resending email message:', err);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Email not found' });
+    }
+    res.status(500).json({ msg: 'Server error while resending email' });
+  }
+};
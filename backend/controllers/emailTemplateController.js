@@ -0,0 +1,204 @@
+// controllers/emailTemplateController.js
+import { validationResult } from 'express-validator';
+import { EmailTemplate, Organization } from '../models/models.js';
+import {
+  EMAIL_TEMPLATE_DEFAULTS,
+  SUPPORTED_LANGUAGES,
+  DEFAULT_LANGUAGE
+} from '../config/emailTemplates.js';
+import { emailTemplateService } from '../services/emailTemplateService.js';
+import { emailOutboxService } from '../services/emailOutboxService.js';
+
+// Render a draft template with sample values and the organization's own name
+const renderSample = async (organizationId, { eventType, subject, body }) => {
+  const organization = await Organization.findById(organizationId).select('name');
+  const variables = emailTemplateService.getSampleVariables(eventType);
+
+  return emailTemplateService.render({ subject, body }, {
+    ...variables,
+    organizationName: organization?.name || variables.organizationName,
+    frontendUrl: process.env.FRONTEND_URL || variables.frontendUrl
+  });
+};
+
+// Get the email events, their variables and the supported languages
+export const getEmailTemplateCatalog = async (req, res) => {
+  try {
+    const organization = await Organization.findById(req.user.organizationId).select('defaultLanguage');
+
+    res.json({
+      events: Object.entries(EMAIL_TEMPLATE_DEFAULTS).map(([eventType, defaults]) => ({
+        eventType,
+        label: defaults.label,
+        description: defaults.description,
+        variables: emailTemplateService.getVariables(eventType)
+      })),
+      languages: SUPPORTED_LANGUAGES,
+      defaultLanguage: organization?.defaultLanguage || DEFAULT_LANGUAGE
+    });
+  } catch (err) {
+    console.error('Error fetching email template catalog:', err);
+    res.status(500).json({ msg: 'Server error while fetching email template catalog' });
+  }
+};
+
+// Get all templates of the organization, seeding the English defaults on first use
+export const getEmailTemplates = async (req, res) => {
+  try {
+    const organizationId = req.user.organizationId;
+    await emailTemplateService.ensureDefaults(organizationId);
+
+    const templates = await EmailTemplate.find({ organizationId })
+      .populate('updatedBy', 'firstName lastName')
+      .sort({ eventType: 1, language: 1 });
+
+    res.json(templates);
+  } catch (err) {
+    console.error('Error fetching email templates:', err);
+    res.status(500).json({ msg: 'Server error while fetching email templates' });
+  }
+};
+
+// Create or update the template for an event in one language
+export const saveEmailTemplate = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { eventType, language } = req.params;
+    const { subject, body, isActive } = req.body;
+
+    const unknown = emailTemplateService.findUnknownVariables(eventType, [subject, body]);
+    if (unknown.length) {
+      return res.status(400).json({
+        msg: `Unknown variables: ${unknown.map(name => `{{${name}}}`).join(', ')}`
+      });
+    }
+
+    const template = await EmailTemplate.findOneAndUpdate(
+      { organizationId: req.user.organizationId, eventType, language },
+      {
+        subject,
+        body,
+        isActive: isActive !== undefined ? isActive : true,
+        updatedBy: req.user._id
+      },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    ).populate('updatedBy', 'firstName lastName');
+
+    res.json(template);
+  } catch (err) {
+    console.error('Error saving email template:', err);
+    res.status(500).json({ msg: 'Server error while saving email template' });
+  }
+};
+
+// Reset a template: English goes back to the built-in wording, other languages are removed
+export const resetEmailTemplate = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { eventType, language } = req.params;
+    const filter = { organizationId: req.user.organizationId, eventType, language };
+
+    if (language !== DEFAULT_LANGUAGE) {
+      await EmailTemplate.deleteOne(filter);
+      return res.json({ msg: 'Translation removed', template: null });
+    }
+
+    const defaults = EMAIL_TEMPLATE_DEFAULTS[eventType];
+    const template = await EmailTemplate.findOneAndUpdate(
+      filter,
+      {
+        subject: defaults.subject,
+        body: defaults.body,
+        isActive: true,
+        updatedBy: req.user._id
+      },
+      { new: true, upsert: true }
+    ).populate('updatedBy', 'firstName lastName');
+
+    res.json({ msg: 'Template reset to default', template });
+  } catch (err) {
+    console.error('Error resetting email template:', err);
+    res.status(500).json({ msg: 'Server error while resetting email template' });
+  }
+};
+
+// Render a draft template with sample values
+export const previewEmailTemplate = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { eventType, subject, body } = req.body;
+    const preview = await renderSample(req.user.organizationId, { eventType, subject, body });
+
+    res.json({
+      ...preview,
+      unknownVariables: emailTemplateService.findUnknownVariables(eventType, [subject, body])
+    });
+  } catch (err) {
+    console.error('Error previewing email template:', err);
+    res.status(500).json({ msg: 'Server error while previewing email template' });
+  }
+};
+
+// Send a draft template with sample values to the signed-in user
+export const sendTestEmail = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { eventType, subject, body } = req.body;
+    const message = await renderSample(req.user.organizationId, { eventType, subject, body });
+
+    await emailOutboxService.enqueue({
+      organizationId: req.user.organizationId,
+      eventType: 'TEST',
+      to: req.user.email,
+      subject: `[Test] ${message.subject}`,
+      html: message.html,
+      requestedBy: req.user._id
+    });
+
+    res.json({ msg: `Test email queued for ${req.user.email}` });
+  } catch (err) {
+    console.error('Error sending test email:', err);
+    res.status(500).json({ msg: 'Server error while sending test email' });
+  }
+};
+
+// Set the language used for users who have not chosen one
+export const updateEmailSettings = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const organization = await Organization.findByIdAndUpdate(
+      req.user.organizationId,
+      { defaultLanguage: req.body.defaultLanguage },
+      { new: true }
+    );
+
+    if (!organization) {
+      return res.status(404).json({ msg: 'Organization not found' });
+    }
+
+    res.json({ defaultLanguage: organization.defaultLanguage });
+  } catch (err) {
+    console.error('Error updating email settings:', err);
+    res.status(500).json({ msg: 'Server error while updating email settings' });
+  }
+};
@@ -0,0 +1,232 @@
+// controllers/escalationRuleController.js
+import { validationResult } from 'express-validator';
+import { EscalationRule, ComplaintType, Workflow } from '../models/models.js';
+import { escalationRuleService } from '../services/escalationRuleService.js';
+
+// Check that both stages exist together in one of the complaint type's workflows
+const validateRuleStages = async (organizationId, complaintTypeId, fromStage, toStage) => {
+  if (fromStage === toStage) {
+    return 'From and to stages must be different';
+  }
+
+  const workflows = await Workflow.find({ organizationId, complaintTypeId }).select('stages.id');
+
+  if (workflows.length === 0) {
+    return 'No workflow exists for this complaint type';
+  }
+
+  const hasStages = workflows.some(workflow => {
+    const stageIds = workflow.stages.map(s => s.id);
+    return stageIds.includes(fromStage) && stageIds.includes(toStage);
+  });
+
+  return hasStages ? null : 'Stages must belong to a workflow for this complaint type';
+};
+
+// Create new escalation rule
+export const createEscalationRule = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const {
+      name,
+      description,
+      complaintTypeId,
+      fromStage,
+      toStage,
+      conditionType,
+      conditionValue,
+      isActive = true
+    } = req.body;
+
+    // Verify complaint type belongs to the organization
+    const complaintType = await ComplaintType.findOne({
+      _id: complaintTypeId,
+      organizationId: req.user.organizationId
+    });
+
+    if (!complaintType) {
+      return res.status(400).json({ msg: 'Invalid complaint type ID' });
+    }
+
+    const stageError = await validateRuleStages(req.user.organizationId, complaintTypeId, fromStage, toStage);
+    if (stageError) {
+      return res.status(400).json({ msg: stageError });
+    }
+
+    const conditionError = escalationRuleService.validateCondition(conditionType, conditionValue);
+    if (conditionError) {
+      return res.status(400).json({ msg: conditionError });
+    }
+
+    const rule = new EscalationRule({
+      organizationId: req.user.organizationId,
+      name,
+      description,
+      complaintTypeId,
+      fromStage,
+      toStage,
+      conditionType,
+      conditionValue,
+      isActive,
+      createdBy: req.user._id
+    });
+
+    await rule.save();
+    await rule.populate('complaintTypeId', 'name');
+
+    res.status(201).json(rule);
+  } catch (err) {
+    console.error('Error creating escalation rule:', err);
+    res.status(500).json({ msg: 'Server error while creating escalation rule' });
+  }
+};
+
+// Get all escalation rules for the organization
+export const getEscalationRules = async (req, res) => {
+  try {
+    const filter = { organizationId: req.user.organizationId };
+    if (req.query.complaintTypeId) filter.complaintTypeId = req.query.complaintTypeId;
+
+    const rules = await EscalationRule.find(filter)
+      .populate('complaintTypeId', 'name')
+      .populate('createdBy', 'firstName lastName')
+      .sort({ updatedAt: -1 });
+
+    res.json(rules);
+  } catch (err) {
+    console.error('Error fetching escalation rules:', err);
+    res.status(500).json({ msg: 'Server error while fetching escalation rules' });
+  }
+};
+
+// Get escalation rule by ID
+export const getEscalationRuleById = async (req, res) => {
+  try {
+    const rule = await EscalationRule.findOne({
+      _id: req.params.id,
+      organizationId: req.user.organizationId
+    })
+      .populate('complaintTypeId', 'name')
+      .populate('createdBy', 'firstName lastName');
+
+    if (!rule) {
+      return res.status(404).json({ msg: 'Escalation rule not found' });
+    }
+
+    res.json(rule);
+  } catch (err) {
+    console.error('Error fetching escalation rule:', err);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Escalation rule not found' });
+    }
+    res.status(500).json({ msg: 'Server error while fetching escalation rule' });
+  }
+};
+
+// Update escalation rule
+export const updateEscalationRule = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const {
+      name,
+      description,
+      complaintTypeId,
+      fromStage,
+      toStage,
+      conditionType,
+      conditionValue,
+      isActive
+    } = req.body;
+
+    let rule = await EscalationRule.findOne({
+      _id: req.params.id,
+      organizationId: req.user.organizationId
+    });
+
+    if (!rule) {
+      return res.status(404).json({ msg: 'Escalation rule not found' });
+    }
+
+    // Validate complaint type if provided
+    if (complaintTypeId) {
+      const complaintType = await ComplaintType.findOne({
+        _id: complaintTypeId,
+        organizationId: req.user.organizationId
+      });
+
+      if (!complaintType) {
+        return res.status(400).json({ msg: 'Invalid complaint type ID' });
+      }
+    }
+
+    const nextComplaintTypeId = complaintTypeId || rule.complaintTypeId;
+    const nextFromStage = fromStage || rule.fromStage;
+    const nextToStage = toStage || rule.toStage;
+    const nextConditionType = conditionType || rule.conditionType;
+    const nextConditionValue = conditionValue !== undefined ? conditionValue : rule.conditionValue;
+
+    if (complaintTypeId || fromStage || toStage) {
+      const stageError = await validateRuleStages(
+        req.user.organizationId,
+        nextComplaintTypeId,
+        nextFromStage,
+        nextToStage
+      );
+      if (stageError) {
+        return res.status(400).json({ msg: stageError });
+      }
+    }
+
+    const conditionError = escalationRuleService.validateCondition(nextConditionType, nextConditionValue);
+    if (conditionError) {
+      return res.status(400).json({ msg: conditionError });
+    }
+
+    // Update fields
+    if (name !== undefined) rule.name = name;
+    if (description !== undefined) rule.description = description;
+    rule.complaintTypeId = nextComplaintTypeId;
+    rule.fromStage = nextFromStage;
+    rule.toStage = nextToStage;
+    rule.conditionType = nextConditionType;
+    rule.conditionValue = nextConditionValue;
+    if (isActive !== undefined) rule.isActive = isActive;
+
+    rule.updatedAt = Date.now();
+    rule = await rule.save();
+    await rule.populate('complaintTypeId', 'name');
+
+    res.json(rule);
+  } catch (err) {
+    console.error('Error updating escalation rule:', err);
+    res.status(500).json({ msg: 'Server error while updating escalation rule' });
+  }
+};
+
+// Delete escalation rule
+export const deleteEscalationRule = async (req, res) => {
+  try {
+    const rule = await EscalationRule.findOne({
+      _id: req.params.id,
+      organizationId: req.user.organizationId
+    });
+
+    if (!rule) {
+      return res.status(404).json({ msg: 'Escalation rule not found' });
+    }
+
+    await rule.deleteOne();
+    res.json({ msg: 'Escalation rule deleted successfully' });
+  } catch (err) {
+    console.error('Error deleting escalation rule:', err);
+    res.status(500).json({ msg: 'Server error while deleting escalation rule' });
+  }
+};
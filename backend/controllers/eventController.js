@@ -0,0 +1,30 @@
+// controllers/eventController.js
+import { realtimeService } from '../services/realtimeService.js';
+import { sessionService } from '../services/sessionService.js';
+
+// Issue a single-use ticket for opening the event stream
+export const createStreamTicket = async (req, res) => {
+  try {
+    const { ticket, expiresAt } = await sessionService.issueStreamTicket(req.user, req.sessionId);
+    res.status(201).json({ ticket, expiresAt });
+  } catch (err) {
+    console.error('Error issuing stream ticket:', err);
+    res.status(500).json({ msg: 'Server error while opening the event stream' });
+  }
+};
+
+// Open a Server-Sent Events stream for the authenticated user
+export const streamEvents = (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  res.write(`event: ready\ndata: ${JSON.stringify({ userId: req.user._id })}\n\n`);
+
+  const removeClient = realtimeService.addClient(req.user, res, req.sessionId);
+  req.on('close', removeClient);
+};
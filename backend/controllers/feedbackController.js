@@ -1,8 +1,11 @@
 // controllers/feedbackController.js
+import mongoose from 'mongoose';
 import { validationResult } from 'express-validator';
 import { Feedback, Complaint, User } from '../models/models.js';
-import { notificationService } from '../services/notificationService.js';
+import { notificationDispatchService } from '../services/notificationDispatchService.js';
 import { emailService } from '../services/emailService.js';
+import { complaintAccessService } from '../services/complaintAccessService.js';
+import { mergeService } from '../services/mergeService.js';
 
 // Submit feedback for a resolved complaint
 export const submitFeedback = async (req, res) => {
@@ -61,36 +64,34 @@ export const submitFeedback = async (req, res) => {
       complaint.status = 'Closed';
       complaint.closedAt = new Date();
       await complaint.save();
+      await mergeService.propagateStatus(complaint, { userId: req.user._id });
     }
 
-    // Create notification for assigned user and department
+    // Notify the assigned user
     if (complaint.assignedTo) {
-      await notificationService.createNotification({
-        userId: complaint.assignedTo._id,
-        type: 'FEEDBACK_RECEIVED',
-        message: `New feedback received for complaint: ${complaint.title} (${rating}/5 stars)`,
-        relatedTo: {
-          type: 'COMPLAINT',
-          id: complaint._id
-        }
-      });
-
-      // Send email notification to assigned user
-      try {
-        await emailService.sendFeedbackNotification(
-          complaint.assignedTo.email,
+      await notificationDispatchService.dispatch({
+        event: 'FEEDBACK_RECEIVED',
+        recipients: [complaint.assignedTo],
+        notification: {
+          message: `New feedback received for complaint: ${complaint.title} (${rating}/5 stars)`,
+          relatedTo: {
+            type: 'COMPLAINT',
+            id: complaint._id
+          }
+        },
+        sendEmail: (user) => emailService.sendFeedbackNotification(
+          user.email,
           {
-            userName: `${complaint.assignedTo.firstName} ${complaint.assignedTo.lastName}`,
+            userName: `${user.firstName} ${user.lastName}`,
             complaintTitle: complaint.title,
             complaintId: complaint._id,
             rating,
             feedbackComment: comment,
             complainantName: `${req.user.firstName} ${req.user.lastName}`
-          }
-        );
-      } catch (emailError) {
-        console.error('Failed to send feedback notification email:', emailError);
-      }
+          },
+          { organizationId: complaint.organizationId }
+        )
+      });
     }
 
     res.status(201).json({
@@ -125,13 +126,7 @@ export const getFeedbackByComplaint = async (req, res) => {
     }
 
     // Check access permissions
-    const hasAccess = 
-      complaint.complainantId.toString() === req.user._id.toString() || // Complainant
-      complaint.assignedTo?.toString() === req.user._id.toString() || // Assigned user
-      req.user.role === 'SuperAdmin' || // Super admin
-      (req.user.role === 'DepartmentUser' && complaint.departmentId.toString() === req.user.departmentId?.toString()); // Department user
-
-    if (!hasAccess) {
+    if (!await complaintAccessService.canView(req.user, complaint)) {
       return res.status(403).json({ msg: 'Not authorized to view this feedback' });
     }
 
@@ -215,6 +210,47 @@ export const getAllFeedback = async (req, res) => {
   }
 };
 
+// Reopen rates per department, counted over complaints that have been resolved at least once
+const getReopenStatsByDepartment = async (match) => {
+  const rows = await Complaint.aggregate([
+    {
+      $match: {
+        ...match,
+        $or: [
+          { status: { $in: ['Resolved', 'Closed'] } },
+          { reopenCount: { $gt: 0 } }
+        ]
+      }
+    },
+    {
+      $group: {
+        _id: '$departmentId',
+        resolvedComplaints: { $sum: 1 },
+        reopenedComplaints: { $sum: { $cond: [{ $gt: ['$reopenCount', 0] }, 1, 0] } },
+        totalReopens: { $sum: { $ifNull: ['$reopenCount', 0] } }
+      }
+    },
+    {
+      $lookup: {
+        from: 'departments',
+        localField: '_id',
+        foreignField: '_id',
+        as: 'department'
+      }
+    },
+    { $sort: { reopenedComplaints: -1 } }
+  ]);
+
+  return rows.map(row => ({
+    departmentId: row._id,
+    departmentName: row.department[0]?.name || 'Unknown',
+    resolvedComplaints: row.resolvedComplaints,
+    reopenedComplaints: row.reopenedComplaints,
+    totalReopens: row.totalReopens,
+    reopenRate: Math.round((row.reopenedComplaints / row.resolvedComplaints) * 1000) / 10 // Percent, 1 decimal
+  }));
+};
+
 // Get feedback statistics for dashboard
 export const getFeedbackStats = async (req, res) => {
   try {
@@ -254,10 +290,13 @@ export const getFeedbackStats = async (req, res) => {
       count: result.ratingDistribution.filter(r => r === rating).length
     }));
 
+    const reopenStats = await getReopenStatsByDepartment({ organizationId: req.user.organizationId });
+
     res.json({
       totalFeedback: result.totalFeedback,
       averageRating: Math.round(result.averageRating * 10) / 10, // Round to 1 decimal
-      ratingDistribution: distribution
+      ratingDistribution: distribution,
+      reopenStats
     });
   } catch (err) {
     console.error('Error fetching feedback statistics:', err);
@@ -347,10 +386,18 @@ export const getFeedbackStatsByDepartment = async (req, res) => {
       count: result.ratingDistribution.filter(r => r === rating).length
     }));
 
+    const [reopenStats] = mongoose.isValidObjectId(departmentId)
+      ? await getReopenStatsByDepartment({
+        organizationId: req.user.organizationId,
+        departmentId: new mongoose.Types.ObjectId(departmentId)
+      })
+      : [];
+
     res.json({
       totalFeedback: result.totalFeedback,
       averageRating: Math.round(result.averageRating * 10) / 10, // Round to 1 decimal
-      ratingDistribution: distribution
+      ratingDistribution: distribution,
+      reopenStats: reopenStats || null
     });
   } catch (err) {
     console.error('Error fetching department feedback statistics:', err);
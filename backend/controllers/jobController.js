@@ -0,0 +1,80 @@
+// controllers/jobController.js
+import { JobRun } from '../models/models.js';
+import { schedulerService } from '../services/schedulerService.js';
+
+// Get registered jobs with their most recent run
+export const getJobs = async (req, res) => {
+  try {
+    const jobs = schedulerService.getJobs();
+
+    const jobsWithLastRun = await Promise.all(
+      jobs.map(async (job) => {
+        const lastRun = await JobRun.findOne({ jobName: job.name })
+          .sort({ startedAt: -1 })
+          .populate('triggeredBy', 'firstName lastName');
+        return { ...job, lastRun };
+      })
+    );
+
+    res.json(jobsWithLastRun);
+  } catch (err) {
+    console.error('Error fetching jobs:', err);
+    res.status(500).json({ msg: 'Server error while fetching jobs' });
+  }
+};
+
+// Get run history, optionally for a single job
+export const getJobRuns = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    if (req.query.jobName) filter.jobName = req.query.jobName;
+    if (req.query.status) filter.status = req.query.status;
+
+    const runs = await JobRun.find(filter)
+      .populate('triggeredBy', 'firstName lastName')
+      .sort({ startedAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await JobRun.countDocuments(filter);
+
+    res.json({
+      runs,
+      totalCount: total,
+      currentPage: page,
+      totalPages: Math.ceil(total / limit)
+    });
+  } catch (err) {
+    console.error('Error fetching job runs:', err);
+    res.status(500).json({ msg: 'Server error while fetching job runs' });
+  }
+};
+
+// Trigger a job run on demand
+export const triggerJob = async (req, res) => {
+  try {
+    const { name } = req.params;
+
+    if (!schedulerService.getJobs().some(job => job.name === name)) {
+      return res.status(404).json({ msg: 'Job not found' });
+    }
+
+    const jobRun = await schedulerService.runJob(name, {
+      trigger: 'MANUAL',
+      triggeredBy: req.user._id
+    });
+
+    if (!jobRun) {
+      return res.status(409).json({ msg: 'Job is already running. Try again once it has finished.' });
+    }
+
+    res.json(jobRun);
+  } catch (err) {
+    console.error('Error triggering job:', err);
+    res.status(500).json({ msg: 'Server error while running job' });
+  }
+};
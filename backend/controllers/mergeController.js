@@ -0,0 +1,100 @@
+// controllers/mergeController.js
+import { validationResult } from 'express-validator';
+import { Complaint } from '../models/models.js';
+import { complaintAccessService } from '../services/complaintAccessService.js';
+import { mergeService } from '../services/mergeService.js';
+
+// Open complaints like the one being filed, so the complainant can check before submitting
+export const checkSimilarComplaints = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { title, description, complaintTypeId, departmentId } = req.body;
+
+    const similar = await mergeService.findSimilar({
+      organizationId: req.user.organizationId,
+      departmentId,
+      complaintTypeId,
+      title,
+      description
+    });
+
+    res.json(similar);
+  } catch (err) {
+    console.error('Error checking similar complaints:', err);
+    res.status(500).json({ msg: 'Server error while checking similar complaints' });
+  }
+};
+
+// Open complaints that may be duplicates of this one, and the duplicates already merged into it
+export const getComplaintDuplicates = async (req, res) => {
+  try {
+    const complaint = await Complaint.findOne({
+      _id: req.params.id,
+      organizationId: req.user.organizationId
+    });
+
+    if (!complaint) {
+      return res.status(404).json({ msg: 'Complaint not found' });
+    }
+
+    if (!await complaintAccessService.canAct(req.user, complaint)) {
+      return res.status(403).json({ msg: 'Not authorized to view duplicates of this complaint' });
+    }
+
+    const [similar, merged] = await Promise.all([
+      complaint.mergedInto ? [] : mergeService.findSimilar(complaint, { excludeId: complaint._id }),
+      Complaint.find({ mergedInto: complaint._id })
+        .select('title complainantId createdAt mergedAt')
+        .populate('complainantId', 'firstName lastName')
+        .sort({ mergedAt: -1 })
+    ]);
+
+    res.json({ similar, merged });
+  } catch (err) {
+    console.error('Error fetching duplicates:', err);
+    res.status(500).json({ msg: 'Server error while fetching duplicates' });
+  }
+};
+
+// Merge this complaint into another one describing the same issue
+export const mergeComplaint = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const [duplicate, parent] = await Promise.all([
+      Complaint.findOne({ _id: req.params.id, organizationId: req.user.organizationId }),
+      Complaint.findOne({ _id: req.body.parentId, organizationId: req.user.organizationId })
+    ]);
+
+    if (!duplicate) {
+      return res.status(404).json({ msg: 'Complaint not found' });
+    }
+
+    if (!await complaintAccessService.canAct(req.user, duplicate) ||
+      (parent && !await complaintAccessService.canAct(req.user, parent))) {
+      return res.status(403).json({ msg: 'Not authorized to merge these complaints' });
+    }
+
+    const error = mergeService.validateMerge(duplicate, parent);
+    if (error) {
+      return res.status(400).json({ msg: error });
+    }
+
+    const merged = await mergeService.merge(duplicate, parent, req.user, req.body.comment?.trim() || undefined);
+    if (!merged) {
+      return res.status(409).json({ msg: 'This complaint was already merged into another one' });
+    }
+
+    res.json(merged);
+  } catch (err) {
+    console.error('Error merging complaints:', err);
+    res.status(500).json({ msg: 'Server error while merging complaints' });
+  }
+};
@@ -1,5 +1,11 @@
-import { Notification } from '../models/models.js';
+import { validationResult } from 'express-validator';
+import { Notification, User } from '../models/models.js';
 import { notificationService } from '../services/notificationService.js';
+import { notificationDispatchService } from '../services/notificationDispatchService.js';
+import { NOTIFICATION_EVENTS, NOTIFICATION_CHANNELS, NOTIFICATION_EVENT_TYPES } from '../config/notificationEvents.js';
+import { SUPPORTED_LANGUAGES } from '../config/emailTemplates.js';
+import { digestService } from '../services/digestService.js';
+import { smsService } from '../services/smsService.js';
 
 // Get all notifications for the authenticated user
 export const getNotifications = async (req, res) => {
@@ -8,7 +14,8 @@ export const getNotifications = async (req, res) => {
     const limit = parseInt(req.query.limit) || 10;
     const skip = (page - 1) * limit;
     
-    const filter = { userId: req.user._id };
+    // Digest-only notifications never show up in the app
+    const filter = { userId: req.user._id, showInApp: { $ne: false } };
     
     // Handle optional filter for read/unread
     if (req.query.isRead === 'true') {
@@ -64,7 +71,7 @@ export const markAsRead = async (req, res) => {
 export const markAllAsRead = async (req, res) => {
   try {
     await Notification.updateMany(
-      { userId: req.user._id, isRead: false },
+      { userId: req.user._id, isRead: false, showInApp: { $ne: false } },
       { isRead: true }
     );
 
@@ -105,3 +112,109 @@ export const getUnreadCount = async (req, res) => {
     res.status(500).json({ msg: 'Server error while fetching unread count' });
   }
 };
+
+// Shape the authenticated user's preferences for the settings page
+const formatPreferences = (user) => ({
+  email: user.notificationPreferences?.email !== false,
+  sms: Boolean(user.notificationPreferences?.sms),
+  phone: user.phone || '',
+  events: notificationDispatchService.getEventPreferences(user),
+  language: user.language || '',
+  digest: {
+    frequency: user.notificationPreferences?.digest?.frequency || 'off',
+    hour: user.notificationPreferences?.digest?.hour ?? 8,
+    dayOfWeek: user.notificationPreferences?.digest?.dayOfWeek ?? 1,
+    timeZone: user.notificationPreferences?.digest?.timeZone || 'UTC',
+    lastSentAt: user.notificationPreferences?.digest?.lastSentAt || null
+  },
+  catalog: {
+    events: NOTIFICATION_EVENTS,
+    channels: NOTIFICATION_CHANNELS,
+    languages: SUPPORTED_LANGUAGES
+  }
+});
+
+// Get notification preferences for the authenticated user
+export const getNotificationPreferences = async (req, res) => {
+  try {
+    res.json(formatPreferences(req.user));
+  } catch (err) {
+    console.error('Error fetching notification preferences:', err);
+    res.status(500).json({ msg: 'Server error while fetching notification preferences' });
+  }
+};
+
+// Update notification preferences for the authenticated user
+export const updateNotificationPreferences = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { email, sms, phone, events, language, digest } = req.body;
+
+    if (phone && !smsService.isValidPhone(phone)) {
+      return res.status(400).json({ msg: 'Enter the phone number in international format, e.g. +919876543210' });
+    }
+
+    if (digest?.timeZone !== undefined && !digestService.isValidTimeZone(digest.timeZone)) {
+      return res.status(400).json({ msg: 'Unknown time zone' });
+    }
+
+    const user = await User.findById(req.user._id);
+    if (!user) {
+      return res.status(404).json({ msg: 'User not found' });
+    }
+
+    if (events) {
+      const unknownEvents = Object.keys(events).filter(type => !NOTIFICATION_EVENT_TYPES.includes(type));
+      if (unknownEvents.length > 0) {
+        return res.status(400).json({ msg: `Unknown notification events: ${unknownEvents.join(', ')}` });
+      }
+
+      // Store every channel explicitly so later changes to the defaults
+      // do not silently change what this user chose
+      const current = notificationDispatchService.getEventPreferences(user);
+      Object.entries(events).forEach(([type, channels]) => {
+        const merged = { ...current[type] };
+        NOTIFICATION_CHANNELS.forEach(({ key }) => {
+          if (typeof channels?.[key] === 'boolean') merged[key] = channels[key];
+        });
+        user.set(`notificationPreferences.events.${type}`, merged);
+      });
+    }
+
+    if (typeof email === 'boolean') {
+      user.notificationPreferences.email = email;
+    }
+
+    if (phone !== undefined) {
+      user.phone = phone || undefined;
+    }
+
+    if (typeof sms === 'boolean') {
+      if (sms && !user.phone) {
+        return res.status(400).json({ msg: 'Add a phone number to turn on SMS notifications' });
+      }
+      user.notificationPreferences.sms = sms;
+    }
+
+    if (digest) {
+      ['frequency', 'hour', 'dayOfWeek', 'timeZone'].forEach(key => {
+        if (digest[key] !== undefined) user.set(`notificationPreferences.digest.${key}`, digest[key]);
+      });
+    }
+
+    if (language !== undefined) {
+      user.language = language || undefined;
+    }
+
+    await user.save();
+
+    res.json(formatPreferences(user));
+  } catch (err) {
+    console.error('Error updating notification preferences:', err);
+    res.status(500).json({ msg: 'Server error while updating notification preferences' });
+  }
+};
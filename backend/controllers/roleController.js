@@ -0,0 +1,179 @@
+// controllers/roleController.js
+import { validationResult } from 'express-validator';
+import { Role, User } from '../models/models.js';
+import { PERMISSIONS, PERMISSION_KEYS } from '../config/permissions.js';
+import { permissionService } from '../services/permissionService.js';
+
+// Return the first permission key that is not in the catalog, if any
+const findUnknownPermission = (permissions = []) =>
+  permissions.find(permission => !PERMISSION_KEYS.includes(permission));
+
+// Get the permission catalog - used by the role editor
+export const getPermissionCatalog = (req, res) => {
+  res.json(PERMISSIONS);
+};
+
+// Get the current user's role and permissions
+export const getMyPermissions = async (req, res) => {
+  try {
+    const role = req.user.role === 'SuperAdmin'
+      ? null
+      : await permissionService.getEffectiveRole(req.user);
+
+    res.json({
+      role: req.user.role,
+      roleId: role?._id || null,
+      roleName: role?.name || req.user.role,
+      permissions: await permissionService.getPermissions(req.user)
+    });
+  } catch (err) {
+    console.error('Error fetching permissions:', err);
+    res.status(500).json({ msg: 'Server error while fetching permissions' });
+  }
+};
+
+// Get all roles of the organization with the number of users holding each
+export const getRoles = async (req, res) => {
+  try {
+    const organizationId = req.user.organizationId;
+    await permissionService.ensureSystemRoles(organizationId);
+
+    const [roles, customCounts, baseCounts] = await Promise.all([
+      Role.find({ organizationId }).sort({ isSystem: -1, name: 1 }),
+      User.aggregate([
+        { $match: { organizationId, roleId: { $exists: true, $ne: null } } },
+        { $group: { _id: '$roleId', count: { $sum: 1 } } }
+      ]),
+      User.aggregate([
+        { $match: { organizationId, $or: [{ roleId: { $exists: false } }, { roleId: null }] } },
+        { $group: { _id: '$role', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const countOf = (list, key) => list.find(entry => entry._id?.toString() === key)?.count || 0;
+
+    res.json(roles.map(role => ({
+      ...role.toObject(),
+      userCount: role.isSystem
+        ? countOf(baseCounts, role.baseRole)
+        : countOf(customCounts, role._id.toString())
+    })));
+  } catch (err) {
+    console.error('Error fetching roles:', err);
+    res.status(500).json({ msg: 'Server error while fetching roles' });
+  }
+};
+
+// Create a custom role
+export const createRole = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { name, description, baseRole, permissions = [] } = req.body;
+
+    const unknown = findUnknownPermission(permissions);
+    if (unknown) {
+      return res.status(400).json({ msg: `Unknown permission: ${unknown}` });
+    }
+
+    const role = new Role({
+      organizationId: req.user.organizationId,
+      name,
+      description,
+      baseRole,
+      permissions: [...new Set(permissions)],
+      createdBy: req.user._id
+    });
+
+    await role.save();
+    res.status(201).json(role);
+  } catch (err) {
+    if (err.code === 11000) {
+      return res.status(400).json({ msg: 'A role with this name already exists' });
+    }
+    console.error('Error creating role:', err);
+    res.status(500).json({ msg: 'Server error while creating role' });
+  }
+};
+
+// Update a role. Built-in roles keep their name and base role.
+export const updateRole = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const role = await Role.findOne({
+      _id: req.params.id,
+      organizationId: req.user.organizationId
+    });
+
+    if (!role) {
+      return res.status(404).json({ msg: 'Role not found' });
+    }
+
+    const { name, description, baseRole, permissions } = req.body;
+
+    if (role.isSystem && ((name && name !== role.name) || (baseRole && baseRole !== role.baseRole))) {
+      return res.status(400).json({ msg: 'Built-in roles cannot be renamed or change their base role' });
+    }
+
+    if (permissions !== undefined) {
+      const unknown = findUnknownPermission(permissions);
+      if (unknown) {
+        return res.status(400).json({ msg: `Unknown permission: ${unknown}` });
+      }
+      role.permissions = [...new Set(permissions)];
+    }
+
+    if (baseRole && baseRole !== role.baseRole) {
+      const assigned = await User.countDocuments({ roleId: role._id });
+      if (assigned > 0) {
+        return res.status(400).json({ msg: 'Cannot change the base role while users hold this role' });
+      }
+      role.baseRole = baseRole;
+    }
+
+    if (name !== undefined) role.name = name;
+    if (description !== undefined) role.description = description;
+
+    await role.save();
+    res.json(role);
+  } catch (err) {
+    if (err.code === 11000) {
+      return res.status(400).json({ msg: 'A role with this name already exists' });
+    }
+    console.error('Error updating role:', err);
+    res.status(500).json({ msg: 'Server error while updating role' });
+  }
+};
+
+// Delete a custom role; its users fall back to the built-in role
+export const deleteRole = async (req, res) => {
+  try {
+    const role = await Role.findOne({
+      _id: req.params.id,
+      organizationId: req.user.organizationId
+    });
+
+    if (!role) {
+      return res.status(404).json({ msg: 'Role not found' });
+    }
+
+    if (role.isSystem) {
+      return res.status(400).json({ msg: 'Built-in roles cannot be deleted' });
+    }
+
+    await User.updateMany({ roleId: role._id }, { $unset: { roleId: 1 } });
+    await role.deleteOne();
+
+    res.json({ msg: 'Role deleted successfully' });
+  } catch (err) {
+    console.error('Error deleting role:', err);
+    res.status(500).json({ msg: 'Server error while deleting role' });
+  }
+};
@@ -0,0 +1,248 @@
+// controllers/slaController.js
+import { validationResult } from 'express-validator';
+import { SlaPolicy, BusinessCalendar, ComplaintType } from '../models/models.js';
+import { businessCalendarService } from '../services/businessCalendarService.js';
+
+const POLICY_FIELDS = [
+  'name',
+  'description',
+  'complaintTypeId',
+  'priority',
+  'firstResponseHours',
+  'resolutionHours',
+  'warningPercent',
+  'calendarId',
+  'isActive'
+];
+
+const CALENDAR_FIELDS = ['name', 'timeZone', 'workingHours', 'holidays'];
+
+// Check that the policy's complaint type and calendar belong to the organization
+const validatePolicyRefs = async (organizationId, { complaintTypeId, calendarId }) => {
+  if (complaintTypeId && !await ComplaintType.exists({ _id: complaintTypeId, organizationId })) {
+    return 'Invalid complaint type ID';
+  }
+  if (calendarId && !await BusinessCalendar.exists({ _id: calendarId, organizationId })) {
+    return 'Invalid calendar ID';
+  }
+  return null;
+};
+
+// Copy the given fields from the request body; empty strings clear optional references
+const pickFields = (body, fields) => Object.fromEntries(
+  fields
+    .filter(field => body[field] !== undefined)
+    .map(field => [field, body[field] === '' ? null : body[field]])
+);
+
+const populatePolicy = (query) => query
+  .populate('complaintTypeId', 'name')
+  .populate('calendarId', 'name timeZone');
+
+// Get all SLA policies for the organization
+export const getSlaPolicies = async (req, res) => {
+  try {
+    const policies = await populatePolicy(SlaPolicy.find({ organizationId: req.user.organizationId }))
+      .sort({ updatedAt: -1 });
+
+    res.json(policies);
+  } catch (err) {
+    console.error('Error fetching SLA policies:', err);
+    res.status(500).json({ msg: 'Server error while fetching SLA policies' });
+  }
+};
+
+// Create SLA policy
+export const createSlaPolicy = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const fields = pickFields(req.body, POLICY_FIELDS);
+
+    const refError = await validatePolicyRefs(req.user.organizationId, fields);
+    if (refError) {
+      return res.status(400).json({ msg: refError });
+    }
+
+    const policy = await SlaPolicy.create({
+      ...fields,
+      organizationId: req.user.organizationId,
+      createdBy: req.user._id
+    });
+
+    res.status(201).json(await populatePolicy(SlaPolicy.findById(policy._id)));
+  } catch (err) {
+    console.error('Error creating SLA policy:', err);
+    res.status(500).json({ msg: 'Server error while creating SLA policy' });
+  }
+};
+
+// Update SLA policy; complaints already filed keep the targets they were given
+export const updateSlaPolicy = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const policy = await SlaPolicy.findOne({
+      _id: req.params.id,
+      organizationId: req.user.organizationId
+    });
+
+    if (!policy) {
+      return res.status(404).json({ msg: 'SLA policy not found' });
+    }
+
+    const fields = pickFields(req.body, POLICY_FIELDS);
+
+    const refError = await validatePolicyRefs(req.user.organizationId, fields);
+    if (refError) {
+      return res.status(400).json({ msg: refError });
+    }
+
+    policy.set(fields);
+    policy.updatedAt = Date.now();
+    await policy.save();
+
+    res.json(await populatePolicy(SlaPolicy.findById(policy._id)));
+  } catch (err) {
+    console.error('Error updating SLA policy:', err);
+    res.status(500).json({ msg: 'Server error while updating SLA policy' });
+  }
+};
+
+// Delete SLA policy
+export const deleteSlaPolicy = async (req, res) => {
+  try {
+    const policy = await SlaPolicy.findOneAndDelete({
+      _id: req.params.id,
+      organizationId: req.user.organizationId
+    });
+
+    if (!policy) {
+      return res.status(404).json({ msg: 'SLA policy not found' });
+    }
+
+    res.json({ msg: 'SLA policy deleted successfully' });
+  } catch (err) {
+    console.error('Error deleting SLA policy:', err);
+    res.status(500).json({ msg: 'Server error while deleting SLA policy' });
+  }
+};
+
+// Get all business-hours calendars for the organization
+export const getBusinessCalendars = async (req, res) => {
+  try {
+    const calendars = await BusinessCalendar.find({ organizationId: req.user.organizationId })
+      .sort({ name: 1 });
+
+    res.json(calendars);
+  } catch (err) {
+    console.error('Error fetching business calendars:', err);
+    res.status(500).json({ msg: 'Server error while fetching business calendars' });
+  }
+};
+
+// Create business-hours calendar
+export const createBusinessCalendar = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const fields = pickFields(req.body, CALENDAR_FIELDS);
+
+    const calendarError = businessCalendarService.validate(fields);
+    if (calendarError) {
+      return res.status(400).json({ msg: calendarError });
+    }
+
+    if (await BusinessCalendar.exists({ organizationId: req.user.organizationId, name: fields.name })) {
+      return res.status(400).json({ msg: 'A calendar with this name already exists' });
+    }
+
+    const calendar = await BusinessCalendar.create({
+      ...fields,
+      organizationId: req.user.organizationId
+    });
+
+    res.status(201).json(calendar);
+  } catch (err) {
+    console.error('Error creating business calendar:', err);
+    res.status(500).json({ msg: 'Server error while creating business calendar' });
+  }
+};
+
+// Update business-hours calendar; due dates already set on complaints are not recalculated
+export const updateBusinessCalendar = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const calendar = await BusinessCalendar.findOne({
+      _id: req.params.id,
+      organizationId: req.user.organizationId
+    });
+
+    if (!calendar) {
+      return res.status(404).json({ msg: 'Business calendar not found' });
+    }
+
+    const fields = pickFields(req.body, CALENDAR_FIELDS);
+
+    const calendarError = businessCalendarService.validate({ ...calendar.toObject(), ...fields });
+    if (calendarError) {
+      return res.status(400).json({ msg: calendarError });
+    }
+
+    if (fields.name && fields.name !== calendar.name && await BusinessCalendar.exists({
+      organizationId: req.user.organizationId,
+      name: fields.name
+    })) {
+      return res.status(400).json({ msg: 'A calendar with this name already exists' });
+    }
+
+    calendar.set(fields);
+    calendar.updatedAt = Date.now();
+    await calendar.save();
+
+    res.json(calendar);
+  } catch (err) {
+    console.error('Error updating business calendar:', err);
+    res.status(500).json({ msg: 'Server error while updating business calendar' });
+  }
+};
+
+// Delete business-hours calendar, unless a policy still uses it
+export const deleteBusinessCalendar = async (req, res) => {
+  try {
+    const calendar = await BusinessCalendar.findOne({
+      _id: req.params.id,
+      organizationId: req.user.organizationId
+    });
+
+    if (!calendar) {
+      return res.status(404).json({ msg: 'Business calendar not found' });
+    }
+
+    const policyCount = await SlaPolicy.countDocuments({ calendarId: calendar._id });
+    if (policyCount > 0) {
+      return res.status(400).json({
+        msg: `This calendar is used by ${policyCount} SLA ${policyCount === 1 ? 'policy' : 'policies'}`
+      });
+    }
+
+    await calendar.deleteOne();
+    res.json({ msg: 'Business calendar deleted successfully' });
+  } catch (err) {
+    console.error('Error deleting business calendar:', err);
+    res.status(500).json({ msg: 'Server error while deleting business calendar' });
+  }
+};
@@ -0,0 +1,76 @@
+// controllers/smsController.js
+import { validationResult } from 'express-validator';
+import { Organization, SmsMessage } from '../models/models.js';
+import { smsService } from '../services/smsService.js';
+import { SMS_TEMPLATES } from '../config/smsTemplates.js';
+
+// Get this month's SMS usage against the organization's quota
+export const getSmsUsage = async (req, res) => {
+  try {
+    const usage = await smsService.getUsage(req.user.organizationId);
+    res.json(usage);
+  } catch (err) {
+    console.error('Error fetching SMS usage:', err);
+    res.status(500).json({ msg: 'Server error while fetching SMS usage' });
+  }
+};
+
+// Get the SMS log, newest first (filter with ?status=)
+export const getSmsMessages = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const skip = (page - 1) * limit;
+
+    const filter = { organizationId: req.user.organizationId };
+    if (req.query.status) filter.status = req.query.status;
+
+    const [messages, total] = await Promise.all([
+      SmsMessage.find(filter)
+        .populate('userId', 'firstName lastName')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      SmsMessage.countDocuments(filter)
+    ]);
+
+    // Messages that carried a secret are listed without their text
+    res.json({
+      messages: messages.map(message => {
+        const sensitive = message.sensitive || Boolean(SMS_TEMPLATES[message.eventType]?.redact?.length);
+        return { ...message.toObject(), body: sensitive ? undefined : message.body, sensitive };
+      }),
+      totalCount: total,
+      currentPage: page,
+      totalPages: Math.ceil(total / limit)
+    });
+  } catch (err) {
+    console.error('Error fetching SMS messages:', err);
+    res.status(500).json({ msg: 'Server error while fetching SMS messages' });
+  }
+};
+
+// Set the organization's monthly SMS quota; null goes back to the server default
+export const updateSmsSettings = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { monthlyQuota } = req.body;
+
+    await Organization.updateOne(
+      { _id: req.user.organizationId },
+      monthlyQuota === null
+        ? { $unset: { smsMonthlyQuota: 1 } }
+        : { $set: { smsMonthlyQuota: monthlyQuota, updatedAt: Date.now() } }
+    );
+
+    const usage = await smsService.getUsage(req.user.organizationId);
+    res.json({ msg: 'SMS settings updated', ...usage });
+  } catch (err) {
+    console.error('Error updating SMS settings:', err);
+    res.status(500).json({ msg: 'Server error while updating SMS settings' });
+  }
+};
@@ -0,0 +1,192 @@
+// controllers/transferController.js
+import { validationResult } from 'express-validator';
+import { Complaint, ComplaintLog, ComplaintTransfer, Department } from '../models/models.js';
+import { complaintAccessService } from '../services/complaintAccessService.js';
+import { transferService } from '../services/transferService.js';
+
+const populateTransfer = (query) => query
+  .populate('fromDepartmentId', 'name')
+  .populate('toDepartmentId', 'name')
+  .populate('requestedBy', 'firstName lastName')
+  .populate('decidedBy', 'firstName lastName');
+
+// Move a complaint to another department, or ask the department to take it over when it requires approval
+export const requestTransfer = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const complaint = await Complaint.findOne({
+      _id: req.params.id,
+      organizationId: req.user.organizationId
+    });
+
+    if (!complaint) {
+      return res.status(404).json({ msg: 'Complaint not found' });
+    }
+
+    if (!await complaintAccessService.canAct(req.user, complaint)) {
+      return res.status(403).json({ msg: 'Not authorized to transfer this complaint' });
+    }
+
+    const toDepartment = await Department.findOne({
+      _id: req.body.departmentId,
+      organizationId: req.user.organizationId
+    });
+
+    const error = await transferService.validateRequest(complaint, toDepartment);
+    if (error) {
+      return res.status(400).json({ msg: error });
+    }
+
+    const transfer = await transferService.request({
+      complaint,
+      toDepartment,
+      reason: req.body.reason.trim(),
+      user: req.user
+    });
+
+    res.status(201).json(await populateTransfer(ComplaintTransfer.findById(transfer._id)));
+  } catch (err) {
+    console.error('Error transferring complaint:', err);
+    res.status(500).json({ msg: 'Server error while transferring complaint' });
+  }
+};
+
+// Transfers of a complaint, newest first
+export const getComplaintTransfers = async (req, res) => {
+  try {
+    const complaint = await Complaint.findOne({
+      _id: req.params.id,
+      organizationId: req.user.organizationId
+    });
+
+    if (!complaint) {
+      return res.status(404).json({ msg: 'Complaint not found' });
+    }
+
+    if (!await complaintAccessService.canView(req.user, complaint)) {
+      return res.status(403).json({ msg: 'Not authorized to view this complaint' });
+    }
+
+    const transfers = await populateTransfer(
+      ComplaintTransfer.find({ complaintId: complaint._id }).sort({ createdAt: -1 })
+    );
+
+    res.json(transfers.map(transfer => ({
+      ...transfer.toJSON(),
+      canDecide: transfer.status === 'PENDING' && transferService.canDecide(req.user, transfer)
+    })));
+  } catch (err) {
+    console.error('Error fetching transfers:', err);
+    res.status(500).json({ msg: 'Server error while fetching transfers' });
+  }
+};
+
+// Transfers waiting for the user's department to accept them; every pending transfer for SuperAdmins
+export const getIncomingTransfers = async (req, res) => {
+  try {
+    const filter = { organizationId: req.user.organizationId, status: 'PENDING' };
+    if (req.user.role !== 'SuperAdmin') {
+      filter.toDepartmentId = req.user.departmentId;
+    }
+
+    const transfers = await populateTransfer(ComplaintTransfer.find(filter).sort({ createdAt: -1 }))
+      .populate('complaintId', 'title priority status createdAt');
+
+    res.json(transfers);
+  } catch (err) {
+    console.error('Error fetching incoming transfers:', err);
+    res.status(500).json({ msg: 'Server error while fetching incoming transfers' });
+  }
+};
+
+// Accept or reject a transfer into the user's department
+export const decideTransfer = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { decision } = req.body;
+    const comment = req.body.comment?.trim() || undefined;
+
+    const transfer = await ComplaintTransfer.findOne({ _id: req.params.id, organizationId: req.user.organizationId });
+    if (!transfer) {
+      return res.status(404).json({ msg: 'Transfer not found' });
+    }
+
+    if (!transferService.canDecide(req.user, transfer)) {
+      return res.status(403).json({ msg: 'Only the receiving department can decide on this transfer' });
+    }
+
+    if (transfer.status !== 'PENDING') {
+      return res.status(409).json({ msg: 'This transfer has already been decided' });
+    }
+
+    if (decision === 'REJECTED' && !comment) {
+      return res.status(400).json({ msg: 'Please explain why the transfer is declined' });
+    }
+
+    const decided = await transferService.decide(transfer, req.user, decision, comment);
+    if (!decided) {
+      return res.status(409).json({ msg: 'This transfer has already been decided' });
+    }
+    if (decided.status === 'CANCELLED') {
+      return res.status(409).json({ msg: 'The complaint is no longer open; the transfer was cancelled' });
+    }
+
+    res.json(await populateTransfer(ComplaintTransfer.findById(decided._id)));
+  } catch (err) {
+    console.error('Error deciding transfer:', err);
+    res.status(500).json({ msg: 'Server error while deciding transfer' });
+  }
+};
+
+// Withdraw a pending transfer; the requester or anyone who may act on the complaint can
+export const cancelTransfer = async (req, res) => {
+  try {
+    const transfer = await ComplaintTransfer.findOne({ _id: req.params.id, organizationId: req.user.organizationId });
+    if (!transfer) {
+      return res.status(404).json({ msg: 'Transfer not found' });
+    }
+
+    const complaint = await Complaint.findById(transfer.complaintId);
+    if (!transfer.requestedBy.equals(req.user._id) &&
+      !(complaint && await complaintAccessService.canAct(req.user, complaint))) {
+      return res.status(403).json({ msg: 'Not authorized to cancel this transfer' });
+    }
+
+    if (transfer.status !== 'PENDING') {
+      return res.status(409).json({ msg: 'This transfer has already been decided' });
+    }
+
+    // Only a transfer still pending is withdrawn; one accepted in the meantime stays done
+    const cancelled = await ComplaintTransfer.findOneAndUpdate(
+      { _id: transfer._id, status: 'PENDING' },
+      { $set: { status: 'CANCELLED', decidedBy: req.user._id, decidedAt: new Date() } }
+    );
+    if (!cancelled) {
+      return res.status(409).json({ msg: 'This transfer has already been decided' });
+    }
+
+    if (complaint) {
+      await ComplaintLog.create({
+        complaintId: complaint._id,
+        userId: req.user._id,
+        action: 'TRANSFER_CANCELLED',
+        comment: 'Transfer request withdrawn',
+        previousStage: complaint.currentStage,
+        newStage: complaint.currentStage
+      });
+    }
+
+    res.json(await populateTransfer(ComplaintTransfer.findById(transfer._id)));
+  } catch (err) {
+    console.error('Error cancelling transfer:', err);
+    res.status(500).json({ msg: 'Server error while cancelling transfer' });
+  }
+};
@@ -1,9 +1,33 @@
 // controllers/workflowController.js
 import { validationResult } from 'express-validator';
-import { Workflow, WorkflowInstance, Complaint, Department, ComplaintType, ComplaintLog } from '../models/models.js';
-import { emailService } from '../services/emailService.js';
-import { notificationService } from '../services/notificationService.js';
+import { Workflow, WorkflowVersion, WorkflowInstance, Complaint, Department, ComplaintType, ComplaintLog, Approval } from '../models/models.js';
+import { workflowService } from '../services/workflowService.js';
+import { notificationDispatchService } from '../services/notificationDispatchService.js';
 import workflowTemplateService from '../services/workflowTemplateService.js';
+import { complaintAccessService } from '../services/complaintAccessService.js';
+import { workflowVersionService } from '../services/workflowVersionService.js';
+import { workflowValidationService } from '../services/workflowValidationService.js';
+import { workflowSimulationService } from '../services/workflowSimulationService.js';
+import { transitionConditionService } from '../services/transitionConditionService.js';
+import { approvalService } from '../services/approvalService.js';
+
+// Check a reopen policy against the workflow's stages; returns an error message or null
+const validateReopenPolicy = (reopenPolicy, stages) => {
+  if (!reopenPolicy) return null;
+
+  const { windowInDays, mode, stageId } = reopenPolicy;
+
+  if (windowInDays !== undefined && !(Number(windowInDays) >= 0)) {
+    return 'Reopen window must be zero or more days';
+  }
+  if (mode && !['RESUME', 'RESTART', 'STAGE'].includes(mode)) {
+    return 'Invalid reopen mode';
+  }
+  if (mode === 'STAGE' && !stages.some(stage => stage.id === stageId)) {
+    return 'Reopen stage must be one of the workflow stages';
+  }
+  return null;
+};
 
 // Create a new workflow
 export const createWorkflow = async (req, res) => {
@@ -19,6 +43,8 @@ export const createWorkflow = async (req, res) => {
       complaintTypeId,
       departmentId,
       stages,
+      reopenPolicy,
+      versionNotes,
       isActive = true
     } = req.body;
 
@@ -58,6 +84,24 @@ export const createWorkflow = async (req, res) => {
       return res.status(400).json({ msg: 'Stage orders must be unique' });
     }
 
+    const reopenPolicyError = validateReopenPolicy(reopenPolicy, stages);
+    if (reopenPolicyError) {
+      return res.status(400).json({ msg: reopenPolicyError });
+    }
+
+    const conditionError = transitionConditionService.validateStages(stages);
+    if (conditionError) {
+      return res.status(400).json({ msg: conditionError });
+    }
+
+    // Active workflows must pass the graph checks; inactive drafts may be saved unfinished
+    if (isActive) {
+      const validation = workflowValidationService.validate(stages, reopenPolicy);
+      if (!validation.valid) {
+        return res.status(400).json({ msg: 'Fix the problems in this workflow before activating it', validation });
+      }
+    }
+
     // Create new workflow
     const workflow = new Workflow({
       organizationId: req.user.organizationId,
@@ -66,10 +110,16 @@ export const createWorkflow = async (req, res) => {
       complaintTypeId,
       departmentId,
       stages,
+      reopenPolicy,
       isActive
     });
 
     await workflow.save();
+    await workflowVersionService.publish(workflow, {
+      publishedBy: req.user._id,
+      notes: versionNotes || 'Initial version'
+    });
+
     res.status(201).json(workflow);
   } catch (err) {
     console.error('Error creating workflow:', err);
@@ -189,6 +239,10 @@ export const getWorkflowForComplaint = async (req, res) => {
       return res.status(404).json({ msg: 'Complaint not found' });
     }
 
+    if (!await complaintAccessService.canView(req.user, complaint)) {
+      return res.status(403).json({ msg: 'Not authorized to view this complaint' });
+    }
+
     // Find workflow instance for this complaint
     const workflowInstance = await WorkflowInstance.findOne({ complaintId })
       .populate({
@@ -197,18 +251,21 @@ export const getWorkflowForComplaint = async (req, res) => {
           { path: 'departmentId', select: 'name' },
           { path: 'complaintTypeId', select: 'name' }
         ]
-      });
+      })
+      .populate('workflowVersionId');
 
-    if (!workflowInstance) {
+    // The instance follows the stages of its pinned version (workflowVersionId)
+    const workflow = workflowInstance && await workflowVersionService.getDefinition(workflowInstance);
+
+    if (!workflow) {
       return res.status(404).json({ msg: 'No workflow found for this complaint' });
     }
 
-    // Calculate expected completion date based on current stage
+    // Calculate expected completion date based on current stage, unless an SLA policy sets it
     const currentTime = new Date();
-    const workflow = workflowInstance.workflowId;
     const currentStage = workflow.stages.find(s => s.id === workflowInstance.currentStageId);
 
-    if (currentStage) {
+    if (currentStage && !complaint.sla?.resolutionDueAt) {
       // Get remaining stages including current one
       const remainingStages = workflow.stages.filter(s => s.order >= currentStage.order);
 
@@ -227,7 +284,29 @@ export const getWorkflowForComplaint = async (req, res) => {
       }
     }
 
-    res.json(workflowInstance);
+    // Target stages this user may not move the complaint (or one of its open branches) to right now, with the reason
+    const context = { user: req.user, complaint };
+    const positions = [
+      { stage: currentStage, branchId: null },
+      ...workflowInstance.branches
+        .filter(b => b.status === 'ACTIVE')
+        .map(b => ({ stage: workflow.stages.find(s => s.id === b.stageId), branchId: b._id }))
+    ];
+    const blockedTransitions = positions.flatMap(({ stage, branchId }) => {
+      const transitions = stage?.transitions || [];
+      return transitions
+        .filter((t, index) => transitions.findIndex(other => other.targetStageId === t.targetStageId) === index)
+        .filter(t => !transitions.some(other => other.targetStageId === t.targetStageId &&
+          transitionConditionService.isSatisfied(other.condition, context)))
+        .map(t => ({ branchId, targetStageId: t.targetStageId, reason: transitionConditionService.describe(t.condition) }));
+    });
+
+    // Decisions the complaint is waiting for
+    const approvals = await Approval.find({ workflowInstanceId: workflowInstance._id, status: 'PENDING' })
+      .select('stageId branchId approverIds instructions createdAt')
+      .populate('approverIds', 'firstName lastName');
+
+    res.json({ ...workflowInstance.toJSON(), blockedTransitions, approvals });
   } catch (err) {
     console.error('Error fetching workflow for complaint:', err);
     res.status(500).json({ msg: 'Server error while fetching workflow' });
@@ -242,7 +321,7 @@ export const updateWorkflowStage = async (req, res) => {
   }
 
   try {
-    const { stageId, comment } = req.body;
+    const { stageId, comment, branchId, overrideApproval } = req.body;
     const complaintId = req.params.id;
 
     // Verify complaint belongs to the organization
@@ -255,36 +334,38 @@ export const updateWorkflowStage = async (req, res) => {
       return res.status(404).json({ msg: 'Complaint not found' });
     }
 
-    // Check if user has permission to update this complaint
-    if (req.user.role === 'Student') {
+    // Check if user has permission to update this complaint. Department users need
+    // the complaint's department; Faculty can only move stages they review.
+    if (!await complaintAccessService.canAct(req.user, complaint)) {
       return res.status(403).json({ msg: 'Not authorized to update workflow stage' });
     }
 
-    // For DepartmentUser, verify they belong to the complaint's department
-    if (
-      req.user.role === 'DepartmentUser' &&
-      req.user.departmentId.toString() !== complaint.departmentId.toString()
-    ) {
-      return res.status(403).json({ msg: 'Not authorized to update this complaint' });
-    }
-
-    // Find workflow instance for this complaint
-    const workflowInstance = await WorkflowInstance.findOne({ complaintId })
-      .populate('workflowId');
+    // Find workflow instance for this complaint and the version it is pinned to
+    const workflowInstance = await workflowService.findInstance(complaintId);
+    const workflow = workflowInstance && await workflowVersionService.getDefinition(workflowInstance);
 
-    if (!workflowInstance) {
+    if (!workflow) {
       return res.status(404).json({ msg: 'No workflow found for this complaint' });
     }
 
-    const workflow = workflowInstance.workflowId;
-
     // Verify the stage exists in this workflow
     const newStage = workflow.stages.find(s => s.id === stageId);
     if (!newStage) {
       return res.status(400).json({ msg: 'Invalid stage ID for this workflow' });
     }
 
-    const currentStage = workflow.stages.find(s => s.id === workflowInstance.currentStageId);
+    // Open parallel branches move one at a time; the complaint itself waits at their fork
+    const openBranches = workflowInstance.branches.filter(b => b.status === 'ACTIVE');
+    const branch = branchId ? openBranches.find(b => b._id.toString() === branchId) : null;
+
+    if (branchId && !branch) {
+      return res.status(400).json({ msg: 'This branch is no longer open' });
+    }
+    if (!branch && openBranches.length > 0) {
+      return res.status(400).json({ msg: 'This complaint is waiting on parallel branches; move one of the branches instead' });
+    }
+
+    const currentStage = workflow.stages.find(s => s.id === (branch ? branch.stageId : workflowInstance.currentStageId));
 
     // Verify this is a valid transition
     let validTransition = false;
@@ -307,6 +388,61 @@ export const updateWorkflowStage = async (req, res) => {
       });
     }
 
+    // Role and custom conditions: any one transition to the stage whose condition holds is enough
+    const candidates = (currentStage?.transitions || []).filter(t => t.targetStageId === stageId);
+    const context = { user: req.user, complaint };
+    if (candidates.length > 0 && !candidates.some(t => transitionConditionService.isSatisfied(t.condition, context))) {
+      return res.status(403).json({
+        msg: `Cannot move to ${newStage.name} (${transitionConditionService.describe(candidates[0].condition)})`
+      });
+    }
+
+    // A pending approval is left only by its decision, or by a SuperAdmin overriding it
+    const pendingApproval = await approvalService.checkManualExit(workflowInstance, req.user, {
+      complaintId: complaint._id,
+      branch,
+      override: overrideApproval === true
+    });
+    if (pendingApproval) {
+      return res.status(409).json({ msg: `${pendingApproval.stageName} is waiting on an approval decision` });
+    }
+
+    if (branch) {
+      const { joined } = await workflowService.moveBranch(workflowInstance, branch, newStage, complaint, {
+        userId: req.user._id,
+        comment,
+        runActions: false
+      });
+
+      await ComplaintLog.create({
+        complaintId: complaint._id,
+        userId: req.user._id,
+        action: 'WORKFLOW_UPDATED',
+        comment: comment || (newStage.type === 'JOIN' && !joined
+          ? `Branch reached ${newStage.name}; waiting for the other branches`
+          : `Moved to ${newStage.name} stage`),
+        previousStage: currentStage ? currentStage.name : null,
+        newStage: newStage.name
+      });
+
+      if (joined) {
+        await notificationDispatchService.dispatch({
+          event: 'STATUS_UPDATE',
+          recipients: [complaint.complainantId],
+          notification: {
+            type: 'WORKFLOW_UPDATED',
+            message: `Workflow stage updated to: ${newStage.name}`,
+            relatedTo: {
+              type: 'COMPLAINT',
+              id: complaint._id
+            }
+          }
+        });
+      }
+
+      return res.json(workflowInstance);
+    }
+
     // Update the current stage in history
     if (workflowInstance.currentStageId) {
       const currentStageHistory = workflowInstance.history.find(
@@ -338,38 +474,14 @@ export const updateWorkflowStage = async (req, res) => {
     // Update current stage
     workflowInstance.currentStageId = newStage.id;
 
-    // Check if this is the final stage
-    const isLastStage = workflow.stages.every(s => s.order <= newStage.order || s.id === newStage.id);
-
-    if (isLastStage && newStage.transitions.length === 0) {
-      workflowInstance.isCompleted = true;
-      workflowInstance.completedAt = new Date();
-      workflowInstance.status = 'COMPLETED';
-
-      // Update complaint status to closed
-      complaint.status = 'Closed';
-      complaint.closedAt = new Date();
-      await complaint.save();
-
-      // Send completion notification to complainant
-      try {
-        await emailService.sendComplaintStatusUpdate(
-          complaint.complainantId.email,
-          {
-            userName: `${complaint.complainantId.firstName} ${complaint.complainantId.lastName}`,
-            complaintTitle: complaint.title,
-            complaintId: complaint._id,
-            newStatus: 'Closed',
-            comment: 'Your complaint has completed all workflow stages and is now closed.'
-          }
-        );
-      } catch (emailError) {
-        console.error('Failed to send workflow completion email:', emailError);
-      }
-    }
+    // Entering the final stage completes the workflow and closes the complaint
+    await workflowService.completeIfFinal(workflowInstance, workflow, newStage, complaint, { userId: req.user._id });
 
     await workflowInstance.save();
 
+    // Entering a fork opens its parallel branches; approvals asked in the stage left behind lapse
+    await workflowService.enterStage(workflowInstance, newStage, complaint, { runActions: false });
+
     // Create a complaint log entry for this stage change
     await ComplaintLog.create({
       complaintId: complaint._id,
@@ -381,13 +493,16 @@ export const updateWorkflowStage = async (req, res) => {
     });
 
     // Create notification for the complainant
-    await notificationService.createNotification({
-      userId: complaint.complainantId,
-      type: 'WORKFLOW_UPDATED',
-      message: `Workflow stage updated to: ${newStage.name}`,
-      relatedTo: {
-        type: 'COMPLAINT',
-        id: complaint._id
+    await notificationDispatchService.dispatch({
+      event: 'STATUS_UPDATE',
+      recipients: [complaint.complainantId],
+      notification: {
+        type: 'WORKFLOW_UPDATED',
+        message: `Workflow stage updated to: ${newStage.name}`,
+        relatedTo: {
+          type: 'COMPLAINT',
+          id: complaint._id
+        }
       }
     });
 
@@ -412,6 +527,8 @@ export const updateWorkflow = async (req, res) => {
       complaintTypeId,
       departmentId,
       stages,
+      reopenPolicy,
+      versionNotes,
       isActive
     } = req.body;
 
@@ -463,17 +580,43 @@ export const updateWorkflow = async (req, res) => {
       }
     }
 
+    const reopenPolicyError = validateReopenPolicy(reopenPolicy, stages || workflow.stages);
+    if (reopenPolicyError) {
+      return res.status(400).json({ msg: reopenPolicyError });
+    }
+
+    const conditionError = stages && transitionConditionService.validateStages(stages);
+    if (conditionError) {
+      return res.status(400).json({ msg: conditionError });
+    }
+
+    // Complaints started before versioning keep the definition they were started on
+    const currentVersion = await workflowVersionService.pinLegacyInstances(workflow);
+
     // Update fields
     if (name) workflow.name = name;
     if (description !== undefined) workflow.description = description;
     if (complaintTypeId) workflow.complaintTypeId = complaintTypeId;
     if (departmentId) workflow.departmentId = departmentId;
     if (stages) workflow.stages = stages;
+    if (reopenPolicy) workflow.reopenPolicy = reopenPolicy;
     if (isActive !== undefined) workflow.isActive = isActive;
 
+    if (workflow.isActive && (stages || reopenPolicy || isActive)) {
+      const validation = workflowValidationService.validate(workflow.stages, workflow.reopenPolicy);
+      if (!validation.valid) {
+        return res.status(400).json({ msg: 'Fix the problems in this workflow before activating it', validation });
+      }
+    }
+
     workflow.updatedAt = Date.now();
     workflow = await workflow.save();
 
+    // Changed stages or reopen policy become a new version; open complaints stay on theirs
+    if (workflowVersionService.hasChanges(workflow, currentVersion)) {
+      await workflowVersionService.publish(workflow, { publishedBy: req.user._id, notes: versionNotes });
+    }
+
     res.json(workflow);
   } catch (err) {
     console.error('Error updating workflow:', err);
@@ -506,6 +649,7 @@ export const deleteWorkflow = async (req, res) => {
       });
     }
 
+    // Versions are kept so completed complaints still show the stages they went through
     await workflow.deleteOne();
     res.json({ msg: 'Workflow deleted successfully' });
   } catch (err) {
@@ -514,6 +658,220 @@ export const deleteWorkflow = async (req, res) => {
   }
 };
 
+// Check a workflow definition for graph problems without saving it
+export const validateWorkflow = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { stages, reopenPolicy } = req.body;
+    res.json(workflowValidationService.validate(stages, reopenPolicy));
+  } catch (err) {
+    console.error('Error validating workflow:', err);
+    res.status(500).json({ msg: 'Server error while validating workflow' });
+  }
+};
+
+// Walk a sample complaint through a workflow definition without touching real data
+export const simulateWorkflow = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { stages, reopenPolicy, departmentId, sample, path, startAt } = req.body;
+
+    // Verify department belongs to the organization
+    if (departmentId) {
+      const department = await Department.findOne({
+        _id: departmentId,
+        organizationId: req.user.organizationId
+      });
+
+      if (!department) {
+        return res.status(400).json({ msg: 'Invalid department ID' });
+      }
+    }
+
+    const simulation = await workflowSimulationService.simulate({
+      stages,
+      departmentId,
+      sample,
+      path,
+      startAt: startAt ? new Date(startAt) : new Date()
+    });
+
+    res.json({
+      validation: workflowValidationService.validate(stages, reopenPolicy),
+      ...simulation
+    });
+  } catch (err) {
+    console.error('Error simulating workflow:', err);
+    if (err.kind === 'ObjectId') {
+      return res.status(400).json({ msg: 'Invalid department ID' });
+    }
+    res.status(500).json({ msg: 'Server error while simulating workflow' });
+  }
+};
+
+// Get the published versions of a workflow, newest first, with their open complaints per stage
+export const getWorkflowVersions = async (req, res) => {
+  try {
+    const workflow = await Workflow.findOne({
+      _id: req.params.id,
+      organizationId: req.user.organizationId
+    });
+
+    if (!workflow) {
+      return res.status(404).json({ msg: 'Workflow not found' });
+    }
+
+    await workflowVersionService.pinLegacyInstances(workflow);
+
+    const [versions, activeCounts] = await Promise.all([
+      WorkflowVersion.find({ workflowId: workflow._id })
+        .select('version name notes publishedAt publishedBy stages.id stages.name stages.order')
+        .populate('publishedBy', 'firstName lastName')
+        .sort({ version: -1 }),
+      workflowVersionService.getActiveCounts(workflow._id)
+    ]);
+
+    res.json(versions.map(version => ({
+      ...version.toObject(),
+      isCurrent: version.version === workflow.currentVersion,
+      activeCount: activeCounts[version._id.toString()]?.total || 0,
+      activeStages: activeCounts[version._id.toString()]?.stages || {}
+    })));
+  } catch (err) {
+    console.error('Error fetching workflow versions:', err);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Workflow not found' });
+    }
+    res.status(500).json({ msg: 'Server error while fetching workflow versions' });
+  }
+};
+
+// Get one published version of a workflow
+export const getWorkflowVersion = async (req, res) => {
+  try {
+    const version = await WorkflowVersion.findOne({
+      workflowId: req.params.id,
+      organizationId: req.user.organizationId,
+      version: req.params.version
+    }).populate('publishedBy', 'firstName lastName');
+
+    if (!version) {
+      return res.status(404).json({ msg: 'Workflow version not found' });
+    }
+
+    res.json(version);
+  } catch (err) {
+    console.error('Error fetching workflow version:', err);
+    if (err.kind === 'ObjectId' || err.name === 'CastError') {
+      return res.status(404).json({ msg: 'Workflow version not found' });
+    }
+    res.status(500).json({ msg: 'Server error while fetching workflow version' });
+  }
+};
+
+// Compare two versions of a workflow - ?from=1&to=2
+export const getWorkflowVersionDiff = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const filter = { workflowId: req.params.id, organizationId: req.user.organizationId };
+    const [from, to] = await Promise.all([
+      WorkflowVersion.findOne({ ...filter, version: req.query.from }),
+      WorkflowVersion.findOne({ ...filter, version: req.query.to })
+    ]);
+
+    if (!from || !to) {
+      return res.status(404).json({ msg: 'Workflow version not found' });
+    }
+
+    res.json(workflowVersionService.diff(from, to));
+  } catch (err) {
+    console.error('Error comparing workflow versions:', err);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Workflow not found' });
+    }
+    res.status(500).json({ msg: 'Server error while comparing workflow versions' });
+  }
+};
+
+// Move the open complaints of one version onto another, mapping stages that no longer exist
+export const migrateWorkflowInstances = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { fromVersion, stageMapping = {} } = req.body;
+
+    const workflow = await Workflow.findOne({
+      _id: req.params.id,
+      organizationId: req.user.organizationId
+    });
+
+    if (!workflow) {
+      return res.status(404).json({ msg: 'Workflow not found' });
+    }
+
+    await workflowVersionService.pinLegacyInstances(workflow);
+
+    const toVersion = req.body.toVersion ?? workflow.currentVersion;
+    if (Number(fromVersion) === Number(toVersion)) {
+      return res.status(400).json({ msg: 'Choose two different versions' });
+    }
+
+    const [source, target] = await Promise.all([
+      WorkflowVersion.findOne({ workflowId: workflow._id, version: fromVersion }),
+      WorkflowVersion.findOne({ workflowId: workflow._id, version: toVersion })
+    ]);
+
+    if (!source || !target) {
+      return res.status(404).json({ msg: 'Workflow version not found' });
+    }
+
+    const unknownTarget = Object.values(stageMapping).filter(Boolean).find(stageId => !target.stages.some(s => s.id === stageId));
+    if (unknownTarget) {
+      return res.status(400).json({ msg: `Stage ${unknownTarget} does not exist in version ${target.version}` });
+    }
+
+    const instances = await WorkflowInstance.find({ workflowVersionId: source._id, isCompleted: false });
+    const { moves, unmapped } = workflowVersionService.planMigration(instances, target, stageMapping);
+
+    // Refuse partial migrations: every stage with open complaints needs a home in the target
+    if (unmapped.length > 0) {
+      const names = unmapped.map(stageId => source.stages.find(s => s.id === stageId)?.name || stageId);
+      return res.status(400).json({
+        msg: `Choose a stage in version ${target.version} for: ${names.join(', ')}`,
+        unmapped
+      });
+    }
+
+    const result = await workflowVersionService.migrate(moves, source, target, req.user._id);
+
+    res.json({
+      msg: `Moved ${result.migrated} open complaint${result.migrated === 1 ? '' : 's'} to version ${target.version}`,
+      ...result
+    });
+  } catch (err) {
+    console.error('Error migrating workflow instances:', err);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Workflow not found' });
+    }
+    res.status(500).json({ msg: 'Server error while migrating complaints' });
+  }
+};
+
 export const getWorkflowTemplates = async (req, res) => {
   try {
     const templates = workflowTemplateService.getAllTemplates();
@@ -603,6 +961,11 @@ export const createWorkflowFromTemplate = async (req, res) => {
     });
 
     await workflow.save();
+    await workflowVersionService.publish(workflow, {
+      publishedBy: req.user._id,
+      notes: `Created from template "${template.name}"`
+    });
+
     res.status(201).json(workflow);
   } catch (err) {
     console.error('Error creating workflow from template:', err);
@@ -636,6 +999,10 @@ export const importWorkflowTemplates = async (req, res) => {
       });
       
       await workflow.save();
+      await workflowVersionService.publish(workflow, {
+        publishedBy: req.user._id,
+        notes: `Imported from template "${template.name}"`
+      });
       createdWorkflows.push(workflow);
     }
     
@@ -1,5 +1,7 @@
 import jwt from 'jsonwebtoken';
 import { User } from '../models/models.js';
+import { permissionService } from '../services/permissionService.js';
+import { sessionService } from '../services/sessionService.js';
 
 export const auth = async (req, res, next) => {
   try {
@@ -14,6 +16,17 @@ export const auth = async (req, res, next) => {
 
     try {
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+      const isRevoked = (decoded.jti && await sessionService.isRevoked(decoded.jti)) ||
+        (decoded.sid && await sessionService.isSessionRevoked(decoded.sid));
+
+      if (isRevoked) {
+        return res.status(401).json({
+          error: 'Token has been revoked',
+          code: 'TOKEN_REVOKED'
+        });
+      }
+
       const user = await User.findOne({ _id: decoded.userId });
       
       if (!user) {
@@ -24,6 +37,9 @@ export const auth = async (req, res, next) => {
       }
 
       req.token = token;
+      req.tokenId = decoded.jti;
+      req.tokenExpiresAt = decoded.exp ? new Date(decoded.exp * 1000) : null;
+      req.sessionId = decoded.sid;
       req.user = user;
       next();
     } catch (error) {
@@ -40,16 +56,56 @@ export const auth = async (req, res, next) => {
   }
 };
 
-export const isSuperAdmin = (req, res, next) => {
-  if (req.user.role !== 'SuperAdmin') {
-    return res.status(403).send({ error: 'Access denied. SuperAdmin only.' });
+/**
+ * Authenticate an event stream by the single-use ?ticket= from POST /api/events/ticket.
+ * EventSource cannot send an Authorization header, and the access token must not end up
+ * in proxy and access logs.
+ */
+export const streamTicketAuth = async (req, res, next) => {
+  try {
+    const redeemed = await sessionService.redeemStreamTicket(req.query.ticket);
+
+    if (!redeemed) {
+      return res.status(401).json({
+        error: 'Invalid or expired stream ticket',
+        code: 'INVALID_TICKET'
+      });
+    }
+
+    req.user = redeemed.user;
+    req.sessionId = redeemed.sessionId;
+    next();
+  } catch (error) {
+    return res.status(401).json({
+      error: 'Authentication failed',
+      code: 'AUTH_FAILED'
+    });
   }
-  next();
 };
 
-export const isSuperAdminOrStudent = (req, res, next) => {
-  if (req.user.role !== 'SuperAdmin' && req.user.role !== 'Student') {
-    return res.status(403).send({ error: 'Access denied.' });
+/**
+ * Allow the request only if the user holds every listed permission.
+ * Must run after `auth`; the resolved permissions are kept on req.permissions.
+ */
+export const requirePermission = (...permissions) => async (req, res, next) => {
+  try {
+    if (!req.permissions) {
+      req.permissions = await permissionService.getPermissions(req.user);
+    }
+
+    if (!permissions.every(permission => req.permissions.includes(permission))) {
+      return res.status(403).json({
+        error: 'Access denied. Missing permission.',
+        code: 'PERMISSION_DENIED'
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Error checking permissions:', error);
+    return res.status(500).json({
+      error: 'Failed to check permissions',
+      code: 'PERMISSION_CHECK_FAILED'
+    });
   }
-  next();
-};
\ No newline at end of file
+};
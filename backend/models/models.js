@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { realtimeService } from '../services/realtimeService.js';
 const Schema = mongoose.Schema;
 
 // 1. Organizations Model
@@ -24,6 +25,8 @@ const OrganizationSchema = new Schema({
   },
   contactPhone: String,
   super_admins: [{ type: Schema.Types.ObjectId, ref: 'User' }],
+  defaultLanguage: { type: String, default: 'en' }, // Email language for users without their own
+  smsMonthlyQuota: Number, // SMS messages allowed per calendar month; unset uses SMS_MONTHLY_QUOTA
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now }
 });
@@ -42,6 +45,7 @@ const DepartmentSchema = new Schema({
   name: { type: String, required: true },
   description: String,
   isActive: { type: Boolean, default: true },
+  requireTransferApproval: { type: Boolean, default: false }, // Complaints transferred in wait for one of its users to accept
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now }
 });
@@ -56,12 +60,47 @@ const UserSchema = new Schema({
   firstName: { type: String },
   lastName: { type: String },
   email: { type: String, required: true },
+  phone: String, // E.164, e.g. +919876543210; needed for SMS notifications
   passwordHash: { type: String },
   role: { type: String, required: true, enum: ['SuperAdmin', 'DepartmentUser', 'Student', 'Faculty'] },
+  roleId: { type: Schema.Types.ObjectId, ref: 'Role' }, // Custom role; falls back to the built-in role for `role`
+  language: String, // Preferred email language; falls back to the organization's default
   isActive: { type: Boolean, default: true },
   notificationPreferences: {
-    email: { type: Boolean, default: true },
-    sms: { type: Boolean, default: false },
+    email: { type: Boolean, default: true }, // Master switch; off means no notification emails at all
+    sms: { type: Boolean, default: false }, // Urgent complaints, escalations and password reset codes by SMS
+    // Channels per event in config/notificationEvents.js; events not stored use that file's defaults
+    events: {
+      type: Map,
+      of: new Schema({
+        inApp: Boolean,
+        email: Boolean,
+        digest: Boolean
+      }, { _id: false })
+    },
+    // Scheduled summary email; events routed to the digest channel wait for it
+    digest: {
+      frequency: { type: String, enum: ['off', 'daily', 'weekly'], default: 'off' },
+      hour: { type: Number, min: 0, max: 23, default: 8 }, // Local hour to send at
+      dayOfWeek: { type: Number, min: 0, max: 6, default: 1 }, // Weekly digests only; 0 is Sunday
+      timeZone: { type: String, default: 'UTC' },
+      lastSentAt: Date
+    }
+  },
+  // Auto-assignment settings, see services/assignmentService.js
+  assignment: {
+    available: { type: Boolean, default: true }, // Off takes the user out of auto-assignment
+    capacity: { type: Number, min: 1 }, // Most open complaints auto-assignment gives them; unset means no cap
+    skills: [{ type: Schema.Types.ObjectId, ref: 'ComplaintType' }], // Complaint types they handle
+    lastAssignedAt: Date // Round-robin turn order
+  },
+  // Out-of-office period, see services/delegationService.js
+  outOfOffice: {
+    startsAt: Date,
+    endsAt: Date,
+    delegateId: { type: Schema.Types.ObjectId, ref: 'User' }, // Gets their assignments and notifications meanwhile
+    handOver: Boolean, // Reassign their open complaints to the delegate when the period starts
+    handedOverAt: Date
   },
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now },
@@ -86,6 +125,42 @@ const ComplaintTypeSchema = new Schema({
 const ComplaintType = mongoose.model('ComplaintType', ComplaintTypeSchema);
 
 // 5. Workflows Model - Enhanced version
+// Stage and reopen policy definitions are shared with the immutable WorkflowVersion snapshots
+const WorkflowStageSchema = new Schema({
+  id: { type: String, required: true }, // Unique identifier for the stage
+  name: { type: String, required: true },
+  description: String,
+  order: { type: Number, required: true },
+  // FORK opens one parallel branch per transition; JOIN waits for branches to arrive per its joinRule
+  type: { type: String, enum: ['TASK', 'FORK', 'JOIN'], default: 'TASK' },
+  joinRule: {
+    mode: { type: String, enum: ['ALL', 'ANY', 'N_OF_M'], default: 'ALL' },
+    count: { type: Number, min: 1 } // Branches required for N_OF_M
+  },
+  durationInHours: { type: Number, default: 24 }, // Expected duration for SLA
+  reviewerRole: { type: String, enum: ['DepartmentUser', 'Faculty'] }, // Role that reviews complaints in this stage
+  actions: [{
+    type: { type: String, enum: ['NOTIFICATION', 'STATUS_UPDATE', 'ASSIGNMENT', 'ESCALATION', 'APPROVAL'] },
+    config: Schema.Types.Mixed // Configuration specific to the action type
+  }],
+  transitions: [{
+    targetStageId: { type: String, required: true },
+    condition: {
+      type: { type: String, enum: ['ALWAYS', 'TIME_BASED', 'USER_ROLE', 'CUSTOM'] },
+      value: Schema.Types.Mixed // Condition-specific configuration
+    },
+    name: String,
+    description: String
+  }]
+});
+
+// Where a complaint goes when its complainant reopens it after resolution
+const ReopenPolicySchema = new Schema({
+  windowInDays: { type: Number, default: 14, min: 0 }, // 0 disables reopening
+  mode: { type: String, enum: ['RESUME', 'RESTART', 'STAGE'], default: 'RESUME' }, // RESUME = stage before resolution
+  stageId: String // Target stage for STAGE mode
+}, { _id: false });
+
 const WorkflowSchema = new Schema({
   organizationId: { type: Schema.Types.ObjectId, ref: 'Organization', required: true },
   name: { type: String, required: true },
@@ -93,26 +168,9 @@ const WorkflowSchema = new Schema({
   isActive: { type: Boolean, default: true },
   complaintTypeId: { type: Schema.Types.ObjectId, ref: 'ComplaintType' },
   departmentId: { type: Schema.Types.ObjectId, ref: 'Department' },
-  stages: [{
-    id: { type: String, required: true }, // Unique identifier for the stage
-    name: { type: String, required: true },
-    description: String,
-    order: { type: Number, required: true },
-    durationInHours: { type: Number, default: 24 }, // Expected duration for SLA
-    actions: [{
-      type: { type: String, enum: ['NOTIFICATION', 'STATUS_UPDATE', 'ASSIGNMENT', 'ESCALATION'] },
-      config: Schema.Types.Mixed // Configuration specific to the action type
-    }],
-    transitions: [{
-      targetStageId: { type: String, required: true },
-      condition: {
-        type: { type: String, enum: ['ALWAYS', 'TIME_BASED', 'USER_ROLE', 'CUSTOM'] },
-        value: Schema.Types.Mixed // Condition-specific configuration
-      },
-      name: String,
-      description: String
-    }]
-  }],
+  stages: [WorkflowStageSchema], // Definition of the latest published version
+  reopenPolicy: { type: ReopenPolicySchema, default: () => ({}) },
+  currentVersion: { type: Number, default: 0 }, // 0 until the first version is published
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now }
 });
@@ -127,9 +185,19 @@ const Workflow = mongoose.model('Workflow', WorkflowSchema);
 const WorkflowInstanceSchema = new Schema({
   complaintId: { type: Schema.Types.ObjectId, ref: 'Complaint', required: true },
   workflowId: { type: Schema.Types.ObjectId, ref: 'Workflow', required: true },
-  currentStageId: { type: String, required: true },
+  workflowVersionId: { type: Schema.Types.ObjectId, ref: 'WorkflowVersion' }, // Pinned version; stage IDs refer to it
+  currentStageId: { type: String, required: true }, // The FORK stage while parallel branches are open
+  // Parallel branches opened by the last FORK entered; each moves on its own until the JOIN
+  branches: [{
+    forkStageId: { type: String, required: true },
+    stageId: { type: String, required: true }, // Current stage of the branch
+    status: { type: String, enum: ['ACTIVE', 'ARRIVED', 'CANCELLED'], default: 'ACTIVE' },
+    openedAt: { type: Date, default: Date.now },
+    closedAt: Date
+  }],
   history: [{
     stageId: { type: String, required: true },
+    branchId: Schema.Types.ObjectId, // Set for stages visited inside a parallel branch
     enteredAt: { type: Date, default: Date.now },
     exitedAt: Date,
     actions: [{
@@ -150,8 +218,25 @@ const WorkflowInstanceSchema = new Schema({
 // Add indexes for quick lookup and performance
 WorkflowInstanceSchema.index({ complaintId: 1 }, { unique: true });
 WorkflowInstanceSchema.index({ workflowId: 1 });
+WorkflowInstanceSchema.index({ workflowVersionId: 1, isCompleted: 1 });
 WorkflowInstanceSchema.index({ 'history.stageId': 1, 'history.enteredAt': 1 });
 
+// Push stage changes to connected clients
+WorkflowInstanceSchema.pre('save', function (next) {
+  this.$locals.stageChanged = this.isNew || this.isModified('currentStageId') || this.isModified('branches');
+  next();
+});
+
+WorkflowInstanceSchema.post('save', function (doc) {
+  if (!doc.$locals.stageChanged) return;
+  realtimeService.publishComplaintEvent(doc.complaintId, 'workflow-stage', {
+    workflowInstanceId: doc._id,
+    stageId: doc.currentStageId,
+    status: doc.status,
+    isCompleted: doc.isCompleted
+  });
+});
+
 const WorkflowInstance = mongoose.model('WorkflowInstance', WorkflowInstanceSchema);
 
 // 6. Complaints Model
@@ -174,10 +259,47 @@ const ComplaintSchema = new Schema({
   }],
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now },
+  escalatedAt: Date,
+  escalatedBy: { type: Schema.Types.ObjectId, ref: 'User' },
+  escalationReason: String,
   resolvedAt: Date,
-  closedAt: Date
+  closedAt: Date,
+  reopenCount: { type: Number, default: 0 },
+  lastReopenedAt: Date,
+  // A duplicate merged into another complaint follows that complaint's status from then on
+  mergedInto: { type: Schema.Types.ObjectId, ref: 'Complaint' },
+  mergedAt: Date,
+  mergedBy: { type: Schema.Types.ObjectId, ref: 'User' },
+  // Complainants of merged duplicates, told about status updates like the complainant
+  followers: [{ type: Schema.Types.ObjectId, ref: 'User' }],
+  // Targets of the SLA policy matched when the complaint was filed (see services/slaService.js)
+  sla: {
+    policyId: { type: Schema.Types.ObjectId, ref: 'SlaPolicy' },
+    policyName: String,
+    calendarId: { type: Schema.Types.ObjectId, ref: 'BusinessCalendar' },
+    firstResponseHours: Number,
+    resolutionHours: Number,
+    warningPercent: Number,
+    firstResponseDueAt: Date,
+    firstResponseWarnAt: Date,
+    resolutionDueAt: Date,
+    resolutionWarnAt: Date,
+    firstRespondedAt: Date,
+    pausedAt: Date, // Set while the complaint waits on the complainant
+    pausedMs: Number // Business time spent paused so far; pushes the due dates back
+  }
 });
 
+// Indexes for the paginated complaint list and its full-text search
+ComplaintSchema.index({ organizationId: 1, departmentId: 1, updatedAt: -1 });
+ComplaintSchema.index({ organizationId: 1, complainantId: 1, updatedAt: -1 });
+ComplaintSchema.index({ followers: 1 });
+ComplaintSchema.index({ mergedInto: 1 });
+ComplaintSchema.index(
+  { title: 'text', description: 'text' },
+  { name: 'complaint_text_search', weights: { title: 3, description: 1 } }
+);
+
 const Complaint = mongoose.model('Complaint', ComplaintSchema);
 
 // 7. ComplaintLogs Model
@@ -188,6 +310,8 @@ const ComplaintLogSchema = new Schema({
   previousStage: String,
   newStage: String,
   comment: String,
+  reasonCode: String, // Structured reason for REOPENED entries
+  mergedFrom: { type: Schema.Types.ObjectId, ref: 'Complaint' }, // Entry copied over from a merged duplicate
   attachments: [{
     filename: String,
     fileType: String,
@@ -197,6 +321,16 @@ const ComplaintLogSchema = new Schema({
   createdAt: { type: Date, default: Date.now }
 });
 
+// Push new log entries (comments, status changes, etc.) to connected clients
+ComplaintLogSchema.post('save', function (doc) {
+  realtimeService.publishComplaintEvent(doc.complaintId, 'complaint-log', {
+    logId: doc._id,
+    action: doc.action,
+    userId: doc.userId,
+    createdAt: doc.createdAt
+  });
+});
+
 const ComplaintLog = mongoose.model('ComplaintLog', ComplaintLogSchema);
 
 // 8. Feedback Model
@@ -214,14 +348,26 @@ const Feedback = mongoose.model('Feedback', FeedbackSchema);
 const EscalationRuleSchema = new Schema({
   organizationId: { type: Schema.Types.ObjectId, ref: 'Organization', required: true },
   complaintTypeId: { type: Schema.Types.ObjectId, ref: 'ComplaintType', required: true },
-  fromStage: { type: String, required: true },
-  toStage: { type: String, required: true },
-  conditionType: { type: String, required: true },
-  conditionValue: Schema.Types.Mixed,
+  name: { type: String, trim: true },
+  description: String,
+  fromStage: { type: String, required: true }, // Workflow stage ID the rule watches
+  toStage: { type: String, required: true },   // Workflow stage ID the complaint is moved to when the rule fires
+  conditionType: {
+    type: String,
+    required: true,
+    enum: ['TIME_BASED', 'NO_ACTIVITY', 'URGENT_UNASSIGNED', 'LOW_RATING_REOPEN']
+  },
+  conditionValue: Schema.Types.Mixed, // e.g. { duration: 8, unit: 'hours' }, { hours: 48 }, { rating: 3 }
+  isActive: { type: Boolean, default: true },
+  fireCount: { type: Number, default: 0 },
+  lastFiredAt: Date,
+  createdBy: { type: Schema.Types.ObjectId, ref: 'User' },
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now }
 });
 
+EscalationRuleSchema.index({ organizationId: 1, complaintTypeId: 1, isActive: 1 });
+
 const EscalationRule = mongoose.model('EscalationRule', EscalationRuleSchema);
 
 // 10. Notifications Model
@@ -234,11 +380,388 @@ const NotificationSchema = new Schema({
     id: { type: Schema.Types.ObjectId, required: true }
   },
   isRead: { type: Boolean, default: false },
+  showInApp: { type: Boolean, default: true }, // False when the user only wants this event in their digest
+  includeInDigest: { type: Boolean, default: false },
+  digestedAt: Date, // Set once the notification has gone out in a digest email
   createdAt: { type: Date, default: Date.now }
 });
 
+NotificationSchema.index({ userId: 1, includeInDigest: 1, digestedAt: 1 });
+
 const Notification = mongoose.model('Notification', NotificationSchema);
 
+// 11. JobRuns Model - one document per execution of a scheduled job
+const JobRunSchema = new Schema({
+  jobName: { type: String, required: true },
+  trigger: { type: String, enum: ['SCHEDULED', 'MANUAL'], default: 'SCHEDULED' },
+  triggeredBy: { type: Schema.Types.ObjectId, ref: 'User' },
+  host: String,
+  status: { type: String, enum: ['RUNNING', 'SUCCEEDED', 'FAILED'], default: 'RUNNING' },
+  startedAt: { type: Date, default: Date.now },
+  finishedAt: Date,
+  durationMs: Number,
+  instancesProcessed: { type: Number, default: 0 },
+  instancesTouched: { type: Number, default: 0 },
+  failures: [{
+    message: String,
+    ref: String // ID of the record the failure relates to, if any
+  }],
+  summary: Schema.Types.Mixed
+});
+
+JobRunSchema.index({ jobName: 1, startedAt: -1 });
+// Runs are kept for 30 days after they finish; frequent jobs would otherwise grow the collection forever
+JobRunSchema.index({ finishedAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+const JobRun = mongoose.model('JobRun', JobRunSchema);
+
+// 12. JobLocks Model - prevents two app instances from running the same job at once
+const JobLockSchema = new Schema({
+  name: { type: String, required: true, unique: true },
+  owner: { type: String, required: true },
+  lockedAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true }
+});
+
+const JobLock = mongoose.model('JobLock', JobLockSchema);
+
+// 13. Roles Model - named bundle of permissions within an organization
+const RoleSchema = new Schema({
+  organizationId: { type: Schema.Types.ObjectId, ref: 'Organization', required: true },
+  name: { type: String, required: true, trim: true },
+  description: String,
+  // Built-in user role this role extends; decides the dashboard and which complaints are in scope
+  baseRole: { type: String, required: true, enum: ['DepartmentUser', 'Student', 'Faculty'] },
+  permissions: [{ type: String }],
+  isSystem: { type: Boolean, default: false }, // Built-in role for baseRole; cannot be renamed or deleted
+  createdBy: { type: Schema.Types.ObjectId, ref: 'User' }
+}, {
+  timestamps: true
+});
+
+RoleSchema.index({ organizationId: 1, name: 1 }, { unique: true });
+
+const Role = mongoose.model('Role', RoleSchema);
+
+// 14. Sessions Model - one per signed-in device, holding the hash of its current refresh token
+const SessionSchema = new Schema({
+  userId: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+  organizationId: { type: Schema.Types.ObjectId, ref: 'Organization' },
+  refreshTokenHash: { type: String, required: true },
+  previousTokenHash: String, // Last rotated-out token, to detect a stolen token being replayed
+  rotatedAt: Date,
+  accessTokenId: String, // jti of the newest access token, revoked along with the session
+  accessTokenExpiresAt: Date,
+  userAgent: String,
+  ipAddress: String,
+  lastUsedAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true },
+  revokedAt: Date,
+  revokedReason: { type: String, enum: ['LOGOUT', 'REVOKED', 'REUSE_DETECTED', 'PASSWORD_RESET'] }
+}, {
+  timestamps: true
+});
+
+SessionSchema.index({ userId: 1, revokedAt: 1, lastUsedAt: -1 });
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Session = mongoose.model('Session', SessionSchema);
+
+// 15. RevokedTokens Model - access tokens invalidated before they expire
+const RevokedTokenSchema = new Schema({
+  jti: { type: String, required: true, unique: true },
+  userId: { type: Schema.Types.ObjectId, ref: 'User' },
+  expiresAt: { type: Date, required: true } // Removed once the token would have expired anyway
+});
+
+RevokedTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const RevokedToken = mongoose.model('RevokedToken', RevokedTokenSchema);
+
+// 16. PasswordResetOtps Model - the pending password reset code of an email address
+const PasswordResetOtpSchema = new Schema({
+  email: { type: String, required: true, unique: true },
+  codeHash: { type: String, required: true },
+  attempts: { type: Number, default: 0 }, // Wrong guesses against this code
+  sendCount: { type: Number, default: 1 }, // Codes sent in the current send window
+  sendWindowStartedAt: { type: Date, default: Date.now },
+  lastSentAt: { type: Date, default: Date.now },
+  codeExpiresAt: { type: Date, required: true },
+  verifiedAt: Date,
+  resetTokenHash: String, // Issued once the code is verified; required to set the new password
+  resetTokenExpiresAt: Date,
+  expiresAt: { type: Date, required: true } // Removed once the code and the send window have both lapsed
+});
+
+PasswordResetOtpSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const PasswordResetOtp = mongoose.model('PasswordResetOtp', PasswordResetOtpSchema);
+
+// 17. OtpThrottles Model - failure counters and lockouts per email address or client IP
+const OtpThrottleSchema = new Schema({
+  key: { type: String, required: true, unique: true }, // e.g. "verify:email:a@b.com", "send:ip:1.2.3.4"
+  count: { type: Number, default: 0 },
+  windowStartedAt: { type: Date, default: Date.now },
+  lockedUntil: Date,
+  expiresAt: { type: Date, required: true }
+});
+
+OtpThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const OtpThrottle = mongoose.model('OtpThrottle', OtpThrottleSchema);
+
+// 18. EmailTemplates Model - organization overrides of the built-in emails, one per event and language
+const EmailTemplateSchema = new Schema({
+  organizationId: { type: Schema.Types.ObjectId, ref: 'Organization', required: true },
+  eventType: { type: String, required: true }, // Key of EMAIL_TEMPLATE_DEFAULTS in config/emailTemplates.js
+  language: { type: String, required: true, default: 'en' },
+  subject: { type: String, required: true },
+  body: { type: String, required: true }, // HTML with {{placeholders}}, wrapped in the shared layout
+  isActive: { type: Boolean, default: true },
+  updatedBy: { type: Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true });
+
+EmailTemplateSchema.index({ organizationId: 1, eventType: 1, language: 1 }, { unique: true });
+
+const EmailTemplate = mongoose.model('EmailTemplate', EmailTemplateSchema);
+
+// 19. EmailMessages Model - the outbound email queue, kept afterwards as the delivery log
+const EmailMessageSchema = new Schema({
+  organizationId: { type: Schema.Types.ObjectId, ref: 'Organization' },
+  eventType: { type: String, required: true }, // Template event, or TEST for editor test emails
+  to: { type: String, required: true },
+  subject: { type: String, required: true },
+  // Removed once a sensitive message is delivered or given up on
+  html: { type: String, required: function () { return !this.sensitive; } },
+  sensitive: { type: Boolean, default: false }, // Holds a secret such as a one-time code
+  status: {
+    type: String,
+    enum: ['PENDING', 'SENDING', 'SENT', 'DEAD'],
+    default: 'PENDING'
+  },
+  attempts: { type: Number, default: 0 },
+  maxAttempts: { type: Number, default: 5 },
+  nextAttemptAt: { type: Date, default: Date.now },
+  lockedAt: Date, // Set while a worker is delivering the message
+  lockedBy: String,
+  lastError: String,
+  sentAt: Date,
+  providerMessageId: String, // Message-ID returned by the SMTP server
+  deliveryLog: [{
+    attemptedAt: { type: Date, default: Date.now },
+    status: { type: String, enum: ['SENT', 'FAILED'] },
+    error: String,
+    responseCode: Number,
+    durationMs: Number
+  }],
+  resendOf: { type: Schema.Types.ObjectId, ref: 'EmailMessage' },
+  requestedBy: { type: Schema.Types.ObjectId, ref: 'User' } // Admin who resent or tested the message
+}, { timestamps: true });
+
+EmailMessageSchema.index({ status: 1, nextAttemptAt: 1 });
+EmailMessageSchema.index({ organizationId: 1, createdAt: -1 });
+
+const EmailMessage = mongoose.model('EmailMessage', EmailMessageSchema);
+
+// 20. SmsMessages Model - every SMS attempt, including those refused by the quota
+const SmsMessageSchema = new Schema({
+  organizationId: { type: Schema.Types.ObjectId, ref: 'Organization' },
+  userId: { type: Schema.Types.ObjectId, ref: 'User' },
+  eventType: { type: String, required: true }, // Key of SMS_TEMPLATES in config/smsTemplates.js
+  to: { type: String, required: true },
+  body: { type: String, required: true }, // As sent, with the template's secrets masked
+  sensitive: { type: Boolean, default: false }, // Carried a secret such as a reset code; the log API leaves out its body
+  status: { type: String, enum: ['SENT', 'FAILED', 'QUOTA_EXCEEDED'], required: true },
+  provider: String,
+  providerMessageId: String,
+  error: String
+}, { timestamps: true });
+
+SmsMessageSchema.index({ organizationId: 1, createdAt: -1 });
+
+const SmsMessage = mongoose.model('SmsMessage', SmsMessageSchema);
+
+// 21. SmsUsage Model - SMS sent per organization per calendar month, checked against the quota
+const SmsUsageSchema = new Schema({
+  organizationId: { type: Schema.Types.ObjectId, ref: 'Organization', required: true },
+  month: { type: String, required: true }, // UTC month, e.g. "2025-03"
+  count: { type: Number, default: 0 }
+});
+
+SmsUsageSchema.index({ organizationId: 1, month: 1 }, { unique: true });
+
+const SmsUsage = mongoose.model('SmsUsage', SmsUsageSchema);
+
+// 22. WorkflowVersions Model - immutable snapshot of a workflow's definition, published on every change
+const WorkflowVersionSchema = new Schema({
+  workflowId: { type: Schema.Types.ObjectId, ref: 'Workflow', required: true },
+  organizationId: { type: Schema.Types.ObjectId, ref: 'Organization', required: true },
+  version: { type: Number, required: true }, // 1, 2, 3... per workflow
+  name: { type: String, required: true }, // Workflow name when published
+  stages: [WorkflowStageSchema],
+  reopenPolicy: { type: ReopenPolicySchema, default: () => ({}) },
+  notes: String, // What changed, as entered by the publisher
+  publishedBy: { type: Schema.Types.ObjectId, ref: 'User' },
+  publishedAt: { type: Date, default: Date.now }
+});
+
+WorkflowVersionSchema.index({ workflowId: 1, version: -1 }, { unique: true });
+WorkflowVersionSchema.index({ organizationId: 1, 'stages.reviewerRole': 1 });
+
+const WorkflowVersion = mongoose.model('WorkflowVersion', WorkflowVersionSchema);
+
+// 23. Approvals Model - a decision asked of named approvers by an APPROVAL stage action
+const ApprovalSchema = new Schema({
+  organizationId: { type: Schema.Types.ObjectId, ref: 'Organization', required: true },
+  complaintId: { type: Schema.Types.ObjectId, ref: 'Complaint', required: true },
+  workflowInstanceId: { type: Schema.Types.ObjectId, ref: 'WorkflowInstance', required: true },
+  stageId: { type: String, required: true },
+  stageName: String, // Stage name when requested, for the inbox
+  historyEntryId: { type: Schema.Types.ObjectId, required: true }, // The stage visit that asked; leaving it cancels the request
+  branchId: Schema.Types.ObjectId, // Set when the stage is inside a parallel branch
+  approverType: { type: String, enum: ['USERS', 'ROLE', 'DEPARTMENT'], required: true },
+  approverIds: [{ type: Schema.Types.ObjectId, ref: 'User' }], // Resolved when the stage is entered
+  instructions: String,
+  // Stage each decision moves the complaint to; a decision without one is not offered
+  transitions: {
+    APPROVED: String,
+    REJECTED: String,
+    CHANGES_REQUESTED: String
+  },
+  status: {
+    type: String,
+    enum: ['PENDING', 'APPROVED', 'REJECTED', 'CHANGES_REQUESTED', 'CANCELLED'],
+    default: 'PENDING'
+  },
+  decidedBy: { type: Schema.Types.ObjectId, ref: 'User' },
+  decidedAt: Date,
+  comment: String,
+  createdAt: { type: Date, default: Date.now }
+});
+
+ApprovalSchema.index({ approverIds: 1, status: 1, createdAt: -1 });
+ApprovalSchema.index({ workflowInstanceId: 1, status: 1 });
+ApprovalSchema.index({ decidedBy: 1, decidedAt: -1 });
+
+const Approval = mongoose.model('Approval', ApprovalSchema);
+
+// 24. BusinessCalendars Model - working hours, weekends and holidays SLA clocks run on
+const BusinessCalendarSchema = new Schema({
+  organizationId: { type: Schema.Types.ObjectId, ref: 'Organization', required: true },
+  name: { type: String, required: true, trim: true },
+  timeZone: { type: String, default: 'UTC' }, // IANA name, e.g. Asia/Kolkata
+  // Working windows in local time; days without one are the weekend
+  workingHours: [{
+    dayOfWeek: { type: Number, min: 0, max: 6, required: true }, // 0 is Sunday
+    start: { type: String, required: true }, // HH:mm
+    end: { type: String, required: true } // HH:mm, after start
+  }],
+  holidays: [{
+    date: { type: String, required: true }, // YYYY-MM-DD in the calendar's time zone
+    name: String
+  }],
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+BusinessCalendarSchema.index({ organizationId: 1, name: 1 }, { unique: true });
+
+const BusinessCalendar = mongoose.model('BusinessCalendar', BusinessCalendarSchema);
+
+// 25. SlaPolicies Model - first response and resolution targets for a complaint type and priority
+const SlaPolicySchema = new Schema({
+  organizationId: { type: Schema.Types.ObjectId, ref: 'Organization', required: true },
+  name: { type: String, required: true, trim: true },
+  description: String,
+  complaintTypeId: { type: Schema.Types.ObjectId, ref: 'ComplaintType' }, // Unset matches every type
+  priority: { type: String, enum: ['Low', 'Medium', 'High', 'Urgent'] }, // Unset matches every priority
+  firstResponseHours: { type: Number, min: 0 }, // Unset means no first response target
+  resolutionHours: { type: Number, required: true, min: 0 },
+  warningPercent: { type: Number, min: 1, max: 99, default: 80 }, // Share of a target after which it is at risk
+  calendarId: { type: Schema.Types.ObjectId, ref: 'BusinessCalendar' }, // Unset counts around the clock
+  isActive: { type: Boolean, default: true },
+  createdBy: { type: Schema.Types.ObjectId, ref: 'User' },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+SlaPolicySchema.index({ organizationId: 1, complaintTypeId: 1, priority: 1 });
+
+const SlaPolicy = mongoose.model('SlaPolicy', SlaPolicySchema);
+
+// 26. AssignmentDecisions Model - who auto-assignment picked and why, for supervisors to audit
+const AssignmentDecisionSchema = new Schema({
+  organizationId: { type: Schema.Types.ObjectId, ref: 'Organization', required: true },
+  complaintId: { type: Schema.Types.ObjectId, ref: 'Complaint', required: true },
+  departmentId: { type: Schema.Types.ObjectId, ref: 'Department' },
+  stageId: String, // Workflow stage whose ASSIGNMENT action decided
+  strategy: { type: String, required: true },
+  skillMatching: { type: String, enum: ['OFF', 'PREFER', 'REQUIRE'], default: 'OFF' },
+  assignedTo: { type: Schema.Types.ObjectId, ref: 'User' }, // Unset when nobody could take it
+  reason: { type: String, required: true },
+  // Every department user considered, with the numbers the strategy compared
+  candidates: [{
+    userId: { type: Schema.Types.ObjectId, ref: 'User' },
+    name: String,
+    openCount: Number,
+    weightedLoad: Number,
+    capacity: Number,
+    lastAssignedAt: Date,
+    hasSkill: Boolean,
+    excludedReason: String // Why they could not take it; unset for eligible users
+  }],
+  createdAt: { type: Date, default: Date.now }
+});
+
+AssignmentDecisionSchema.index({ complaintId: 1, createdAt: -1 });
+
+const AssignmentDecision = mongoose.model('AssignmentDecision', AssignmentDecisionSchema);
+
+// 27. ComplaintTransfers Model - a complaint moved, or asked to move, to another department
+const ComplaintTransferSchema = new Schema({
+  organizationId: { type: Schema.Types.ObjectId, ref: 'Organization', required: true },
+  complaintId: { type: Schema.Types.ObjectId, ref: 'Complaint', required: true },
+  fromDepartmentId: { type: Schema.Types.ObjectId, ref: 'Department', required: true },
+  toDepartmentId: { type: Schema.Types.ObjectId, ref: 'Department', required: true },
+  reason: { type: String, required: true },
+  requestedBy: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+  // PENDING while the receiving department decides; transfers that need no approval complete at once
+  status: {
+    type: String,
+    enum: ['PENDING', 'COMPLETED', 'REJECTED', 'CANCELLED'],
+    default: 'PENDING'
+  },
+  decidedBy: { type: Schema.Types.ObjectId, ref: 'User' },
+  decidedAt: Date,
+  comment: String, // The receiving department's answer
+  // What happened to the complaint's workflow when it moved
+  workflow: {
+    outcome: { type: String, enum: ['REBOUND', 'STARTED', 'KEPT', 'ENDED', 'NONE'] },
+    fromWorkflowId: { type: Schema.Types.ObjectId, ref: 'Workflow' },
+    fromStageName: String,
+    toWorkflowId: { type: Schema.Types.ObjectId, ref: 'Workflow' }
+  },
+  completedAt: Date,
+  createdAt: { type: Date, default: Date.now }
+});
+
+ComplaintTransferSchema.index({ complaintId: 1, createdAt: -1 });
+ComplaintTransferSchema.index({ toDepartmentId: 1, status: 1, createdAt: -1 });
+
+const ComplaintTransfer = mongoose.model('ComplaintTransfer', ComplaintTransferSchema);
+
+// 28. StreamTickets Model - single-use tickets that open an event stream, since EventSource cannot send headers
+const StreamTicketSchema = new Schema({
+  ticketHash: { type: String, required: true, unique: true },
+  userId: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+  sessionId: { type: Schema.Types.ObjectId, ref: 'Session' },
+  expiresAt: { type: Date, required: true }
+});
+
+StreamTicketSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const StreamTicket = mongoose.model('StreamTicket', StreamTicketSchema);
+
 export {
   Organization,
   Department,
@@ -250,5 +773,23 @@ export {
   ComplaintLog,
   Feedback,
   EscalationRule,
-  Notification
+  Notification,
+  JobRun,
+  JobLock,
+  Role,
+  Session,
+  RevokedToken,
+  PasswordResetOtp,
+  OtpThrottle,
+  EmailTemplate,
+  EmailMessage,
+  SmsMessage,
+  SmsUsage,
+  WorkflowVersion,
+  Approval,
+  BusinessCalendar,
+  SlaPolicy,
+  AssignmentDecision,
+  ComplaintTransfer,
+  StreamTicket
 };
\ No newline at end of file
@@ -0,0 +1,39 @@
+// routes/approvalRoutes.js
+import express from 'express';
+import { check } from 'express-validator';
+import { auth, requirePermission } from '../middleware/auth.js';
+import {
+  getApprovals,
+  getPendingApprovalCount,
+  decideApproval
+} from '../controllers/approvalController.js';
+import { APPROVAL_DECISIONS } from '../services/approvalService.js';
+
+const router = express.Router();
+
+// @route   GET /api/approvals
+// @desc    Get the approval inbox (?status=pending, the default, or ?status=decided)
+// @access  Private (approval.decide)
+router.get('/', auth, requirePermission('approval.decide'), getApprovals);
+
+// @route   GET /api/approvals/count
+// @desc    Count approvals waiting for the user's decision
+// @access  Private (approval.decide)
+router.get('/count', auth, requirePermission('approval.decide'), getPendingApprovalCount);
+
+// @route   PUT /api/approvals/:id/decision
+// @desc    Approve, reject or request changes
+// @access  Private (approval.decide, approvers of the request)
+router.put(
+  '/:id/decision',
+  [
+    auth,
+    requirePermission('approval.decide'),
+    check('id', 'Invalid approval').isMongoId(),
+    check('decision', 'Decision must be APPROVED, REJECTED or CHANGES_REQUESTED').isIn(Object.keys(APPROVAL_DECISIONS)),
+    check('comment', 'Comment cannot exceed 1000 characters').optional().isString().isLength({ max: 1000 })
+  ],
+  decideApproval
+);
+
+export default router;
@@ -1,6 +1,7 @@
 import express from 'express';
 import { registerSuperAdmin, loginUser, logoutUser, signupUser } from '../controllers/authController.js'; // Import the controller
 import { forgotPassword, verifyOTP, resetPassword } from '../controllers/authController.js';
+import { refreshSession, getSessions, revokeSession, revokeOtherSessions } from '../controllers/authController.js';
 import { auth } from '../middleware/auth.js';
 const router = express.Router();
 
@@ -13,4 +14,12 @@ router.post('/signup', signupUser);
 router.post('/forgot-password', forgotPassword);
 router.post('/verify-otp', verifyOTP);
 router.post('/reset-password', resetPassword);
+// POST /api/auth/refresh - rotate a refresh token
+router.post('/refresh', refreshSession);
+// GET /api/auth/sessions - current user's signed-in devices
+router.get('/sessions', auth, getSessions);
+// DELETE /api/auth/sessions - sign out all other devices
+router.delete('/sessions', auth, revokeOtherSessions);
+// DELETE /api/auth/sessions/:id - sign out one device
+router.delete('/sessions/:id', auth, revokeSession);
 export default router;
@@ -1,7 +1,7 @@
 // routes/complaintRoutes.js
 import express from 'express';
 import { check } from 'express-validator';
-import { auth } from '../middleware/auth.js';
+import { auth, requirePermission } from '../middleware/auth.js';
 import {
   createComplaint,
   getComplaints,
@@ -11,7 +11,13 @@ import {
   getComplaintComments,
   escalateComplaint,
   assignComplaint,
+  reopenComplaint,
+  updateSlaPause,
+  getAssignmentDecisions,
+  REOPEN_REASONS,
 } from '../controllers/complaintController.js';
+import { requestTransfer, getComplaintTransfers } from '../controllers/transferController.js';
+import { checkSimilarComplaints, getComplaintDuplicates, mergeComplaint } from '../controllers/mergeController.js';
 import upload from '../services/uploadService.js';
 const router = express.Router();
 
@@ -19,6 +25,7 @@ const router = express.Router();
 router.post(
   '/',
   auth,
+  requirePermission('complaint.create'),
   upload.array('attachments', 5), // Allow up to 5 files
   [
     check('title', 'Title is required').notEmpty(),
@@ -30,19 +37,44 @@ router.post(
   createComplaint
 );
 
+// Open complaints similar to one about to be filed
+router.post(
+  '/similar',
+  auth,
+  requirePermission('complaint.create'),
+  [
+    check('complaintTypeId', 'Complaint type is required').isMongoId(),
+    check('departmentId', 'Department is required').isMongoId(),
+    check('title').optional().isString(),
+    check('description').optional().isString()
+  ],
+  checkSimilarComplaints
+);
+
 // Get all complaints with filters
-router.get('/', auth, getComplaints);
+router.get(
+  '/',
+  auth,
+  requirePermission('complaint.view'),
+  [
+    check('startDate', 'Invalid start date').optional({ values: 'falsy' }).isISO8601(),
+    check('endDate', 'Invalid end date').optional({ values: 'falsy' }).isISO8601()
+  ],
+  getComplaints
+);
 
 // Get specific complaint
-router.get('/:id', auth, getComplaintById);
+router.get('/:id', auth, requirePermission('complaint.view'), getComplaintById);
 
 // Update complaint status
 router.put(
   '/:id/status',
   auth,
+  requirePermission('complaint.updateStatus'),
   [
     check('status').isIn(['Open', 'In Progress', 'Resolved', 'Closed']),
-    check('comment', 'Comment is required when updating status').notEmpty()
+    check('comment', 'Comment is required when updating status').notEmpty(),
+    check('overrideApproval', 'Override must be boolean').optional().isBoolean().toBoolean()
   ],
   updateComplaintStatus
 );
@@ -51,12 +83,14 @@ router.put(
 router.get(
   '/:id/comments',
   auth,
+  requirePermission('complaint.view'),
   getComplaintComments
 );
 
 router.post(
   '/:id/comments',
   auth,
+  requirePermission('complaint.comment'),
   [
     check('comment', 'Comment is required').notEmpty().trim(),
     check('comment').isLength({ max: 1000 }).withMessage('Comment must not exceed 1000 characters')
@@ -68,20 +102,81 @@ router.post(
 router.post(
   '/:id/escalate',
   auth,
+  requirePermission('complaint.escalate'),
   [
     check('reason', 'Escalation reason is required').notEmpty()
   ],
   escalateComplaint
 );
 
+// Reopen a resolved or closed complaint - the controller limits this to the complainant
+router.post(
+  '/:id/reopen',
+  auth,
+  requirePermission('complaint.create'),
+  [
+    check('reason', 'Reopen reason is required').notEmpty().trim(),
+    check('reason').isLength({ max: 1000 }).withMessage('Reason must not exceed 1000 characters'),
+    check('reasonCode', 'Invalid reopen reason').isIn(REOPEN_REASONS)
+  ],
+  reopenComplaint
+);
+
 // Assign complaint to department user
 router.put(
   '/:id/assign',
   auth,
+  requirePermission('complaint.assign'),
   [
     check('userId', 'User ID is required').notEmpty()
   ],
   assignComplaint
 );
 
+// Get the automatic assignment decisions made for a complaint
+router.get('/:id/assignment-decisions', auth, requirePermission('complaint.assign'), getAssignmentDecisions);
+
+// Pause the SLA clock while waiting on the complainant, or resume it
+router.put(
+  '/:id/sla-pause',
+  auth,
+  requirePermission('complaint.updateStatus'),
+  [
+    check('paused', 'Paused must be boolean').isBoolean(),
+    check('comment').optional().isLength({ max: 1000 }).withMessage('Comment must not exceed 1000 characters')
+  ],
+  updateSlaPause
+);
+
+// Transfer a complaint to another department, or ask it to take the complaint over
+router.post(
+  '/:id/transfers',
+  auth,
+  requirePermission('complaint.assign'),
+  [
+    check('departmentId', 'Choose a department to transfer to').isMongoId(),
+    check('reason', 'Transfer reason is required').notEmpty().trim(),
+    check('reason').isLength({ max: 1000 }).withMessage('Reason must not exceed 1000 characters')
+  ],
+  requestTransfer
+);
+
+// Get the transfers of a complaint
+router.get('/:id/transfers', auth, requirePermission('complaint.view'), getComplaintTransfers);
+
+// Possible duplicates of a complaint and the duplicates merged into it
+router.get('/:id/duplicates', auth, requirePermission('complaint.assign'), getComplaintDuplicates);
+
+// Merge a duplicate into the complaint it repeats
+router.post(
+  '/:id/merge',
+  auth,
+  requirePermission('complaint.assign'),
+  [
+    check('parentId', 'Choose the complaint to merge into').isMongoId(),
+    check('comment').optional().isLength({ max: 1000 }).withMessage('Comment must not exceed 1000 characters')
+  ],
+  mergeComplaint
+);
+
 export default router;
\ No newline at end of file
@@ -1,7 +1,7 @@
 // routes/complaintTypeRoutes.js
 import express from 'express';
 import { check } from 'express-validator';
-import { auth, isSuperAdmin } from '../middleware/auth.js';
+import { auth, requirePermission } from '../middleware/auth.js';
 import {
   createComplaintType,
   getComplaintTypes,
@@ -16,7 +16,7 @@ const router = express.Router();
 router.post(
   '/',
   auth,
-  isSuperAdmin,
+  requirePermission('complaintType.manage'),
   [
     check('name', 'Name is required').notEmpty(),
     check('description', 'Description is required').notEmpty(),
@@ -26,16 +26,16 @@ router.post(
 );
 
 // Get all complaint types - GET /api/complaint/types
-router.get('/', auth, getComplaintTypes);
+router.get('/', auth, requirePermission('complaint.view'), getComplaintTypes);
 
 // Get specific complaint type - GET /api/complaint/types/:id
-router.get('/:id', auth, getComplaintTypeById);
+router.get('/:id', auth, requirePermission('complaint.view'), getComplaintTypeById);
 
 // Update complaint type - PUT /api/complaint/types/:id
 router.put(
   '/:id',
   auth,
-  isSuperAdmin,
+  requirePermission('complaintType.manage'),
   [
     check('name', 'Name is required').optional().notEmpty(),
     check('description', 'Description is required').optional().notEmpty(),
@@ -45,6 +45,6 @@ router.put(
 );
 
 // Delete complaint type - DELETE /api/complaint/types/:id
-router.delete('/:id', auth, isSuperAdmin, deleteComplaintType);
+router.delete('/:id', auth, requirePermission('complaintType.manage'), deleteComplaintType);
 
 export default router;
\ No newline at end of file
@@ -1,6 +1,6 @@
 import express from 'express';
 import { check } from 'express-validator';
-import { auth, isSuperAdmin} from '../middleware/auth.js';
+import { auth, requirePermission } from '../middleware/auth.js';
 import {
   createDepartment,
   getAllDepartments,
@@ -9,7 +9,8 @@ import {
   deleteDepartment,
   assignUsersToDepartment,
   getDepartmentUsers,
-  removeUserFromDepartment
+  removeUserFromDepartment,
+  updateDepartmentUserAssignment
 } from '../controllers/departmentController.js';
 
 const router = express.Router();
@@ -18,51 +19,71 @@ const router = express.Router();
 router.post(
   '/',
   auth,
-  isSuperAdmin,
+  requirePermission('department.manage'),
   [
     check('name', 'Department name is required').notEmpty(),
-    check('description', 'Description is required').notEmpty()
+    check('description', 'Description is required').notEmpty(),
+    check('requireTransferApproval', 'Transfer approval must be boolean').optional().isBoolean()
   ],
   createDepartment
 );
 
 // Get all departments for organization - GET /api/departments
-router.get('/', auth, getAllDepartments);
+router.get('/', auth, requirePermission('complaint.view'), getAllDepartments);
 
 // Get specific department - GET /api/departments/:id
-router.get('/:id', auth, isSuperAdmin, getDepartmentById);
+router.get('/:id', auth, requirePermission('department.view'), getDepartmentById);
 
 // Update department - PUT /api/departments/:id
 router.put(
   '/:id',
   auth,
-  isSuperAdmin,
+  requirePermission('department.manage'),
   [
     check('name', 'Department name is required').optional().notEmpty(),
     check('description', 'Description is required').optional().notEmpty(),
-    check('isActive', 'Status must be boolean').optional().isBoolean()
+    check('isActive', 'Status must be boolean').optional().isBoolean(),
+    check('requireTransferApproval', 'Transfer approval must be boolean').optional().isBoolean()
   ],
   updateDepartment
 );
 
 // Remove user from department - DELETE /api/departments/:id/users/:userId
-router.delete('/:id/users/:userId', auth, isSuperAdmin, removeUserFromDepartment);
+router.delete('/:id/users/:userId', auth, requirePermission('department.manage'), removeUserFromDepartment);
 
 // Delete department - DELETE /api/departments/:id
-router.delete('/:id', auth, isSuperAdmin, deleteDepartment);
+router.delete('/:id', auth, requirePermission('department.manage'), deleteDepartment);
 
 // Assign users to department - POST /api/departments/:id/users
 router.post(
   '/:id/users',
   auth,
-  isSuperAdmin,
+  requirePermission('department.manage'),
   [
     check('userIds', 'User IDs are required').isArray().notEmpty()
   ],
   assignUsersToDepartment
 );
 
+// Update a user's auto-assignment settings - PUT /api/departments/:id/users/:userId/assignment
+router.put(
+  '/:id/users/:userId/assignment',
+  auth,
+  requirePermission('department.manage'),
+  [
+    check('available', 'Available must be boolean').optional().isBoolean(),
+    check('capacity', 'Capacity must be a whole number of at least 1').optional({ values: 'falsy' }).isInt({ min: 1 }),
+    check('skills', 'Skills must be a list of complaint types').optional().isArray(),
+    check('skills.*', 'Invalid complaint type ID').isMongoId(),
+    check('outOfOffice.startsAt', 'Invalid out-of-office start').optional({ values: 'falsy' }).isISO8601(),
+    check('outOfOffice.endsAt', 'Invalid out-of-office end').optional({ values: 'falsy' }).isISO8601(),
+    check('outOfOffice.delegateId', 'Invalid delegate ID').optional({ values: 'falsy' }).isMongoId(),
+    check('outOfOffice.handOver', 'Hand over must be boolean').optional().isBoolean()
+  ],
+  updateDepartmentUserAssignment
+);
+
 // Get department users - GET /api/departments/:id/users
-router.get('/:id/users', auth, isSuperAdmin, getDepartmentUsers);
+router.get('/:id/users', auth, requirePermission('department.view'), getDepartmentUsers);
 
 export default router;
\ No newline at end of file
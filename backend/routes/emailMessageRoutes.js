@@ -0,0 +1,33 @@
+// routes/emailMessageRoutes.js
+import express from 'express';
+import { auth, requirePermission } from '../middleware/auth.js';
+import {
+  getEmailMessages,
+  getEmailMessageStats,
+  getEmailMessageById,
+  resendEmailMessage
+} from '../controllers/emailMessageController.js';
+
+const router = express.Router();
+
+// @route   GET /api/email-messages
+// @desc    Get the email delivery log (filter with ?status=&eventType=&q=)
+// @access  Private (emailLog.manage)
+router.get('/', auth, requirePermission('emailLog.manage'), getEmailMessages);
+
+// @route   GET /api/email-messages/stats
+// @desc    Count messages by delivery status
+// @access  Private (emailLog.manage)
+router.get('/stats', auth, requirePermission('emailLog.manage'), getEmailMessageStats);
+
+// @route   GET /api/email-messages/:id
+// @desc    Get a message with its content and delivery attempts
+// @access  Private (emailLog.manage)
+router.get('/:id', auth, requirePermission('emailLog.manage'), getEmailMessageById);
+
+// @route   POST /api/email-messages/:id/resend
+// @desc    Queue a copy of a sent or failed message
+// @access  Private (emailLog.manage)
+router.post('/:id/resend', auth, requirePermission('emailLog.manage'), resendEmailMessage);
+
+export default router;
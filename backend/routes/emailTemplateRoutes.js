@@ -0,0 +1,75 @@
+// routes/emailTemplateRoutes.js
+import express from 'express';
+import { check } from 'express-validator';
+import { auth, requirePermission } from '../middleware/auth.js';
+import {
+  getEmailTemplateCatalog,
+  getEmailTemplates,
+  saveEmailTemplate,
+  resetEmailTemplate,
+  previewEmailTemplate,
+  sendTestEmail,
+  updateEmailSettings
+} from '../controllers/emailTemplateController.js';
+import { EMAIL_EVENT_TYPES, SUPPORTED_LANGUAGES } from '../config/emailTemplates.js';
+
+const router = express.Router();
+
+const LANGUAGE_CODES = SUPPORTED_LANGUAGES.map(language => language.code);
+
+const templateKeyChecks = [
+  check('eventType', 'Email event is invalid').isIn(EMAIL_EVENT_TYPES),
+  check('language', 'Language is not supported').isIn(LANGUAGE_CODES)
+];
+
+const draftChecks = [
+  check('eventType', 'Email event is invalid').isIn(EMAIL_EVENT_TYPES),
+  check('subject', 'Subject is required').trim().notEmpty(),
+  check('body', 'Body is required').trim().notEmpty()
+];
+
+// Get the email events, variables and languages - GET /api/email-templates/catalog
+router.get('/catalog', auth, requirePermission('emailTemplate.manage'), getEmailTemplateCatalog);
+
+// Get all templates - GET /api/email-templates
+router.get('/', auth, requirePermission('emailTemplate.manage'), getEmailTemplates);
+
+// Set the organization's default email language - PUT /api/email-templates/settings
+router.put(
+  '/settings',
+  auth,
+  requirePermission('emailTemplate.manage'),
+  [check('defaultLanguage', 'Language is not supported').isIn(LANGUAGE_CODES)],
+  updateEmailSettings
+);
+
+// Render a draft with sample values - POST /api/email-templates/preview
+router.post('/preview', auth, requirePermission('emailTemplate.manage'), draftChecks, previewEmailTemplate);
+
+// Send a draft to the current user - POST /api/email-templates/test
+router.post('/test', auth, requirePermission('emailTemplate.manage'), draftChecks, sendTestEmail);
+
+// Save a template - PUT /api/email-templates/:eventType/:language
+router.put(
+  '/:eventType/:language',
+  auth,
+  requirePermission('emailTemplate.manage'),
+  [
+    ...templateKeyChecks,
+    check('subject', 'Subject is required').trim().notEmpty(),
+    check('body', 'Body is required').trim().notEmpty(),
+    check('isActive', 'isActive must be a boolean').optional().isBoolean()
+  ],
+  saveEmailTemplate
+);
+
+// Reset a template to the default - DELETE /api/email-templates/:eventType/:language
+router.delete(
+  '/:eventType/:language',
+  auth,
+  requirePermission('emailTemplate.manage'),
+  templateKeyChecks,
+  resetEmailTemplate
+);
+
+export default router;
@@ -0,0 +1,55 @@
+// routes/escalationRuleRoutes.js
+import express from 'express';
+import { check } from 'express-validator';
+import { auth, requirePermission } from '../middleware/auth.js';
+import {
+  createEscalationRule,
+  getEscalationRules,
+  getEscalationRuleById,
+  updateEscalationRule,
+  deleteEscalationRule
+} from '../controllers/escalationRuleController.js';
+
+const router = express.Router();
+
+const CONDITION_TYPES = ['TIME_BASED', 'NO_ACTIVITY', 'URGENT_UNASSIGNED', 'LOW_RATING_REOPEN'];
+
+// Create escalation rule - POST /api/escalation-rules
+router.post(
+  '/',
+  auth,
+  requirePermission('escalationRule.manage'),
+  [
+    check('complaintTypeId', 'Complaint type is required').notEmpty(),
+    check('fromStage', 'From stage is required').notEmpty(),
+    check('toStage', 'To stage is required').notEmpty(),
+    check('conditionType', 'Condition type is invalid').isIn(CONDITION_TYPES),
+    check('isActive', 'Status must be boolean').optional().isBoolean()
+  ],
+  createEscalationRule
+);
+
+// Get all escalation rules - GET /api/escalation-rules
+router.get('/', auth, requirePermission('escalationRule.manage'), getEscalationRules);
+
+// Get specific escalation rule - GET /api/escalation-rules/:id
+router.get('/:id', auth, requirePermission('escalationRule.manage'), getEscalationRuleById);
+
+// Update escalation rule - PUT /api/escalation-rules/:id
+router.put(
+  '/:id',
+  auth,
+  requirePermission('escalationRule.manage'),
+  [
+    check('fromStage', 'From stage is required').optional().notEmpty(),
+    check('toStage', 'To stage is required').optional().notEmpty(),
+    check('conditionType', 'Condition type is invalid').optional().isIn(CONDITION_TYPES),
+    check('isActive', 'Status must be boolean').optional().isBoolean()
+  ],
+  updateEscalationRule
+);
+
+// Delete escalation rule - DELETE /api/escalation-rules/:id
+router.delete('/:id', auth, requirePermission('escalationRule.manage'), deleteEscalationRule);
+
+export default router;
@@ -0,0 +1,17 @@
+import express from 'express';
+import { createStreamTicket, streamEvents } from '../controllers/eventController.js';
+import { auth, streamTicketAuth } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// @route   POST /api/events/ticket
+// @desc    Single-use ticket for opening the event stream
+// @access  Private
+router.post('/ticket', auth, createStreamTicket);
+
+// @route   GET /api/events/stream?ticket=
+// @desc    Live notification, complaint log and workflow stage events
+// @access  Private (stream ticket)
+router.get('/stream', streamTicketAuth, streamEvents);
+
+export default router;
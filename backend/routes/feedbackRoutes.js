@@ -1,7 +1,7 @@
 // routes/feedbackRoutes.js
 import express from 'express';
 import { check } from 'express-validator';
-import { auth, isSuperAdmin } from '../middleware/auth.js';
+import { auth, requirePermission } from '../middleware/auth.js';
 import {
   submitFeedback,
   getFeedbackByComplaint,
@@ -20,6 +20,7 @@ const router = express.Router();
 router.post(
   '/',
   auth,
+  requirePermission('feedback.submit'),
   [
     check('complaintId', 'Complaint ID is required').notEmpty(),
     check('rating', 'Rating is required and must be between 1 and 5')
@@ -34,31 +35,31 @@ router.post(
 // @route   GET /api/feedback/complaint/:complaintId
 // @desc    Get feedback for a specific complaint
 // @access  Private
-router.get('/complaint/:complaintId', auth, getFeedbackByComplaint);
+router.get('/complaint/:complaintId', auth, requirePermission('complaint.view'), getFeedbackByComplaint);
 
 // @route   GET /api/feedback/can-provide/:complaintId
 // @desc    Check if user can provide feedback for a complaint
 // @access  Private
-router.get('/can-provide/:complaintId', auth, canProvideFeedback);
+router.get('/can-provide/:complaintId', auth, requirePermission('feedback.submit'), canProvideFeedback);
 
 // @route   GET /api/feedback/department/:departmentId/stats
 // @desc    Get feedback statistics for a specific department
-// @access  Private (Department Users and Super Admin)
-router.get('/department/:departmentId/stats', auth, getFeedbackStatsByDepartment);
+// @access  Private (feedback.view)
+router.get('/department/:departmentId/stats', auth, requirePermission('feedback.view'), getFeedbackStatsByDepartment);
 
 // @route   GET /api/feedback/department/:departmentId
 // @desc    Get all feedback for a specific department
-// @access  Private (Department Users and Super Admin)
-router.get('/department/:departmentId', auth, getFeedbackByDepartment);
+// @access  Private (feedback.view)
+router.get('/department/:departmentId', auth, requirePermission('feedback.view'), getFeedbackByDepartment);
 
 // @route   GET /api/feedback/stats
 // @desc    Get feedback statistics for the organization
-// @access  Private (Admin only)
-router.get('/stats', auth, isSuperAdmin, getFeedbackStats);
+// @access  Private (feedback.view)
+router.get('/stats', auth, requirePermission('feedback.view'), getFeedbackStats);
 
 // @route   GET /api/feedback
 // @desc    Get all feedback for the organization
-// @access  Private (Admin only)
-router.get('/', auth, isSuperAdmin, getAllFeedback);
+// @access  Private (feedback.view)
+router.get('/', auth, requirePermission('feedback.view'), getAllFeedback);
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,23 @@
+// routes/jobRoutes.js
+import express from 'express';
+import { auth, requirePermission } from '../middleware/auth.js';
+import { getJobs, getJobRuns, triggerJob } from '../controllers/jobController.js';
+
+const router = express.Router();
+
+// @route   GET /api/jobs
+// @desc    List scheduled jobs with their last run
+// @access  Private (job.manage)
+router.get('/', auth, requirePermission('job.manage'), getJobs);
+
+// @route   GET /api/jobs/runs
+// @desc    Get job run history (filter with ?jobName=&status=)
+// @access  Private (job.manage)
+router.get('/runs', auth, requirePermission('job.manage'), getJobRuns);
+
+// @route   POST /api/jobs/:name/run
+// @desc    Run a job immediately
+// @access  Private (job.manage)
+router.post('/:name/run', auth, requirePermission('job.manage'), triggerJob);
+
+export default router;
@@ -1,12 +1,16 @@
 import express from 'express';
+import { check } from 'express-validator';
 import { 
   getNotifications, 
   markAsRead, 
   markAllAsRead, 
   deleteNotification,
-  getUnreadCount
+  getUnreadCount,
+  getNotificationPreferences,
+  updateNotificationPreferences
 } from '../controllers/notificationController.js';
 import { auth } from '../middleware/auth.js';
+import { SUPPORTED_LANGUAGES } from '../config/emailTemplates.js';
 
 const router = express.Router();
 
@@ -20,6 +24,35 @@ router.get('/', auth, getNotifications);
 // @access  Private
 router.get('/unread-count', auth, getUnreadCount);
 
+// @route   GET /api/notifications/preferences
+// @desc    Get notification preferences for user
+// @access  Private
+router.get('/preferences', auth, getNotificationPreferences);
+
+// @route   PUT /api/notifications/preferences
+// @desc    Update notification preferences for user
+// @access  Private
+router.put(
+  '/preferences',
+  [
+    auth,
+    check('email', 'Email setting must be true or false').optional().isBoolean(),
+    check('sms', 'SMS setting must be true or false').optional().isBoolean(),
+    check('phone', 'Phone must be text').optional().isString().trim(),
+    check('events', 'Events must be an object').optional().isObject(),
+    check('language', 'Unsupported language')
+      .optional()
+      .isIn(['', ...SUPPORTED_LANGUAGES.map(language => language.code)]),
+    check('digest.frequency', 'Digest frequency must be off, daily or weekly')
+      .optional()
+      .isIn(['off', 'daily', 'weekly']),
+    check('digest.hour', 'Digest hour must be between 0 and 23').optional().isInt({ min: 0, max: 23 }).toInt(),
+    check('digest.dayOfWeek', 'Digest day must be between 0 and 6').optional().isInt({ min: 0, max: 6 }).toInt(),
+    check('digest.timeZone', 'Time zone is required').optional().isString().notEmpty()
+  ],
+  updateNotificationPreferences
+);
+
 // @route   PUT /api/notifications/:id/read
 // @desc    Mark notification as read
 // @access  Private
@@ -0,0 +1,55 @@
+// routes/roleRoutes.js
+import express from 'express';
+import { check } from 'express-validator';
+import { auth, requirePermission } from '../middleware/auth.js';
+import {
+  getPermissionCatalog,
+  getMyPermissions,
+  getRoles,
+  createRole,
+  updateRole,
+  deleteRole
+} from '../controllers/roleController.js';
+import { CONFIGURABLE_BASE_ROLES } from '../config/permissions.js';
+
+const router = express.Router();
+
+// Get the current user's permissions - GET /api/roles/me
+router.get('/me', auth, getMyPermissions);
+
+// Get the permission catalog - GET /api/roles/permissions
+router.get('/permissions', auth, requirePermission('role.manage'), getPermissionCatalog);
+
+// Get all roles - GET /api/roles
+router.get('/', auth, requirePermission('role.manage'), getRoles);
+
+// Create custom role - POST /api/roles
+router.post(
+  '/',
+  auth,
+  requirePermission('role.manage'),
+  [
+    check('name', 'Role name is required').trim().notEmpty(),
+    check('baseRole', 'Base role is invalid').isIn(CONFIGURABLE_BASE_ROLES),
+    check('permissions', 'Permissions must be a list').optional().isArray()
+  ],
+  createRole
+);
+
+// Update role - PUT /api/roles/:id
+router.put(
+  '/:id',
+  auth,
+  requirePermission('role.manage'),
+  [
+    check('name', 'Role name is required').optional().trim().notEmpty(),
+    check('baseRole', 'Base role is invalid').optional().isIn(CONFIGURABLE_BASE_ROLES),
+    check('permissions', 'Permissions must be a list').optional().isArray()
+  ],
+  updateRole
+);
+
+// Delete custom role - DELETE /api/roles/:id
+router.delete('/:id', auth, requirePermission('role.manage'), deleteRole);
+
+export default router;
@@ -0,0 +1,120 @@
+// routes/slaRoutes.js
+import express from 'express';
+import { check } from 'express-validator';
+import { auth, requirePermission } from '../middleware/auth.js';
+import {
+  getSlaPolicies,
+  createSlaPolicy,
+  updateSlaPolicy,
+  deleteSlaPolicy,
+  getBusinessCalendars,
+  createBusinessCalendar,
+  updateBusinessCalendar,
+  deleteBusinessCalendar
+} from '../controllers/slaController.js';
+
+const router = express.Router();
+
+const PRIORITIES = ['Low', 'Medium', 'High', 'Urgent'];
+
+// Optional fields may be sent empty to clear them
+const optionalId = (field, message) => check(field, message).optional({ values: 'falsy' }).isMongoId();
+const optionalHours = (field) =>
+  check(field, 'Hours must be a positive number').optional({ values: 'falsy' }).isFloat({ gt: 0 });
+
+const policyValidators = [
+  optionalId('complaintTypeId', 'Invalid complaint type ID'),
+  check('priority', 'Priority must be Low, Medium, High or Urgent').optional({ values: 'falsy' }).isIn(PRIORITIES),
+  optionalHours('firstResponseHours'),
+  check('warningPercent', 'Warning threshold must be between 1 and 99 percent').optional().isInt({ min: 1, max: 99 }),
+  optionalId('calendarId', 'Invalid calendar ID'),
+  check('isActive', 'Status must be boolean').optional().isBoolean()
+];
+
+const calendarValidators = [
+  check('timeZone', 'Time zone must be a string').optional().isString(),
+  check('workingHours', 'Working hours must be a list').optional().isArray(),
+  check('holidays', 'Holidays must be a list').optional().isArray()
+];
+
+// @route   GET /api/sla/policies
+// @desc    Get all SLA policies
+// @access  Private (sla.manage)
+router.get('/policies', auth, requirePermission('sla.manage'), getSlaPolicies);
+
+// @route   POST /api/sla/policies
+// @desc    Create an SLA policy
+// @access  Private (sla.manage)
+router.post(
+  '/policies',
+  auth,
+  requirePermission('sla.manage'),
+  [
+    check('name', 'Name is required').notEmpty().trim(),
+    check('resolutionHours', 'Resolution target must be a positive number of hours').isFloat({ gt: 0 }),
+    ...policyValidators
+  ],
+  createSlaPolicy
+);
+
+// @route   PUT /api/sla/policies/:id
+// @desc    Update an SLA policy
+// @access  Private (sla.manage)
+router.put(
+  '/policies/:id',
+  auth,
+  requirePermission('sla.manage'),
+  [
+    check('id', 'Invalid SLA policy').isMongoId(),
+    check('name', 'Name is required').optional().notEmpty().trim(),
+    check('resolutionHours', 'Resolution target must be a positive number of hours').optional().isFloat({ gt: 0 }),
+    ...policyValidators
+  ],
+  updateSlaPolicy
+);
+
+// @route   DELETE /api/sla/policies/:id
+// @desc    Delete an SLA policy
+// @access  Private (sla.manage)
+router.delete('/policies/:id', auth, requirePermission('sla.manage'), deleteSlaPolicy);
+
+// @route   GET /api/sla/calendars
+// @desc    Get all business-hours calendars
+// @access  Private (sla.manage)
+router.get('/calendars', auth, requirePermission('sla.manage'), getBusinessCalendars);
+
+// @route   POST /api/sla/calendars
+// @desc    Create a business-hours calendar
+// @access  Private (sla.manage)
+router.post(
+  '/calendars',
+  auth,
+  requirePermission('sla.manage'),
+  [
+    check('name', 'Name is required').notEmpty().trim(),
+    ...calendarValidators
+  ],
+  createBusinessCalendar
+);
+
+// @route   PUT /api/sla/calendars/:id
+// @desc    Update a business-hours calendar
+// @access  Private (sla.manage)
+router.put(
+  '/calendars/:id',
+  auth,
+  requirePermission('sla.manage'),
+  [
+    check('id', 'Invalid calendar').isMongoId(),
+    check('name', 'Name is required').optional().notEmpty().trim(),
+    ...calendarValidators
+  ],
+  updateBusinessCalendar
+);
+
+// @route   DELETE /api/sla/calendars/:id
+// @desc    Delete a business-hours calendar no policy uses
+// @access  Private (sla.manage)
+router.delete('/calendars/:id', auth, requirePermission('sla.manage'), deleteBusinessCalendar);
+
+export default router;
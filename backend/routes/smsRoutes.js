@@ -0,0 +1,39 @@
+// routes/smsRoutes.js
+import express from 'express';
+import { check } from 'express-validator';
+import { auth, requirePermission } from '../middleware/auth.js';
+import {
+  getSmsUsage,
+  getSmsMessages,
+  updateSmsSettings
+} from '../controllers/smsController.js';
+
+const router = express.Router();
+
+// @route   GET /api/sms/usage
+// @desc    Get this month's SMS usage and quota
+// @access  Private (sms.manage)
+router.get('/usage', auth, requirePermission('sms.manage'), getSmsUsage);
+
+// @route   GET /api/sms/messages
+// @desc    Get the SMS log (filter with ?status=)
+// @access  Private (sms.manage)
+router.get('/messages', auth, requirePermission('sms.manage'), getSmsMessages);
+
+// @route   PUT /api/sms/settings
+// @desc    Set the monthly SMS quota (null for the server default)
+// @access  Private (sms.manage)
+router.put(
+  '/settings',
+  [
+    auth,
+    requirePermission('sms.manage'),
+    check('monthlyQuota', 'Monthly quota must be a whole number of 0 or more')
+      .optional({ nullable: true })
+      .isInt({ min: 0 })
+      .toInt()
+  ],
+  updateSmsSettings
+);
+
+export default router;
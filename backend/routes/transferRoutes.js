@@ -0,0 +1,39 @@
+// routes/transferRoutes.js
+import express from 'express';
+import { check } from 'express-validator';
+import { auth, requirePermission } from '../middleware/auth.js';
+import {
+  getIncomingTransfers,
+  decideTransfer,
+  cancelTransfer
+} from '../controllers/transferController.js';
+import { TRANSFER_DECISIONS } from '../services/transferService.js';
+
+const router = express.Router();
+
+// @route   GET /api/transfers
+// @desc    Get the transfers waiting for the user's department to accept them
+// @access  Private (complaint.assign)
+router.get('/', auth, requirePermission('complaint.assign'), getIncomingTransfers);
+
+// @route   PUT /api/transfers/:id/decision
+// @desc    Accept or reject a transfer
+// @access  Private (users of the receiving department)
+router.put(
+  '/:id/decision',
+  [
+    auth,
+    requirePermission('complaint.assign'),
+    check('id', 'Invalid transfer').isMongoId(),
+    check('decision', 'Decision must be ACCEPTED or REJECTED').isIn(TRANSFER_DECISIONS),
+    check('comment', 'Comment cannot exceed 1000 characters').optional().isString().isLength({ max: 1000 })
+  ],
+  decideTransfer
+);
+
+// @route   DELETE /api/transfers/:id
+// @desc    Withdraw a pending transfer
+// @access  Private (the requester, or users who may act on the complaint)
+router.delete('/:id', auth, requirePermission('complaint.assign'), cancelTransfer);
+
+export default router;
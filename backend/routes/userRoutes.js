@@ -1,14 +1,19 @@
 import express from 'express';
-import { User, Organization } from '../models/models.js';
+import { User, Organization, Role } from '../models/models.js';
 import { check, validationResult } from 'express-validator';
-import { auth, isSuperAdmin } from '../middleware/auth.js';
+import { auth, requirePermission } from '../middleware/auth.js';
+import { spreadsheetUpload } from '../services/uploadService.js';
+import { userService } from '../services/userService.js';
+import { userImportService, MAX_IMPORT_ROWS } from '../services/userImportService.js';
+import { delegationService } from '../services/delegationService.js';
+import { assignmentService } from '../services/assignmentService.js';
 const router = express.Router();
 
-// POST /api/users/add - Add a pre-approved user (Super Admin only)
+// POST /api/users/add - Add a pre-approved user (user.manage)
 router.post(
   '/add',
   auth,
-  isSuperAdmin,
+  requirePermission('user.manage'),
   [
     check('email', 'Please include a valid email').isEmail(),
     check('role', 'Role is required').isIn(['Student', 'DepartmentUser', 'Faculty']),
@@ -36,10 +41,7 @@ router.post(
       }
 
       // Generate Registration ID
-      const orgInitials = organization.name.substring(0, 4).toUpperCase();
-      const roleInitial = role.toUpperCase();
-      const userCount = await User.countDocuments({ organizationId, role });
-      const registrationId = `${orgInitials}_${roleInitial}_${userCount + 1}`;
+      const [registrationId] = await userService.generateRegistrationIds(organization, role);
 
       // Create new user
       const newUser = new User({
@@ -61,8 +63,70 @@ router.post(
   }
 );
 
-// GET /api/users - Get all users (Super Admin only)
-router.get('/', auth, isSuperAdmin, async (req, res) => {
+// POST /api/users/import - Bulk add pre-approved users from a CSV or XLSX file (user.manage)
+// Send dryRun=true to get the validation report without creating anyone
+router.post(
+  '/import',
+  auth,
+  requirePermission('user.manage'),
+  (req, res, next) => {
+    spreadsheetUpload.single('file')(req, res, (err) => {
+      if (err) {
+        return res.status(400).json({ msg: err.code === 'LIMIT_FILE_SIZE' ? 'File is too large. The limit is 5MB.' : err.message });
+      }
+      next();
+    });
+  },
+  async (req, res) => {
+    if (!req.file) {
+      return res.status(400).json({ msg: 'Please upload a CSV or XLSX file' });
+    }
+
+    const dryRun = req.body.dryRun === 'true';
+    const sendEmails = req.body.sendEmails === 'true';
+
+    let parsedRows;
+    try {
+      parsedRows = await userImportService.parseSpreadsheet(req.file);
+    } catch (err) {
+      return res.status(400).json({ msg: err.message || 'Could not read the file' });
+    }
+
+    if (parsedRows.length === 0) {
+      return res.status(400).json({ msg: 'The file has no user rows' });
+    }
+    if (parsedRows.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({ msg: `A file can hold at most ${MAX_IMPORT_ROWS} users` });
+    }
+
+    try {
+      const report = await userImportService.validateRows(req.user.organizationId, parsedRows);
+
+      if (dryRun) {
+        return res.json({ dryRun: true, ...report });
+      }
+
+      const rows = await userImportService.importUsers(req.user.organizationId, report.rows, { sendEmails });
+
+      res.status(201).json({
+        dryRun: false,
+        rows,
+        summary: {
+          ...report.summary,
+          created: rows.filter(row => row.status === 'created').length,
+          failed: rows.filter(row => row.status === 'failed').length,
+          emailed: rows.filter(row => row.emailSent).length
+        }
+      });
+    } catch (err) {
+      console.error('Error importing users:', err);
+      res.status(500).json({ msg: 'Server error while importing users' });
+    }
+  }
+);
+
+// GET /api/users - Get all users (user.manage)
+router.get('/', auth, requirePermission('user.manage'), async (req, res) => {
   try {
     const users = await User.find({ organizationId: req.user.organizationId }).select('-passwordHash');
     res.json(users);
@@ -72,8 +136,8 @@ router.get('/', auth, isSuperAdmin, async (req, res) => {
   }
 });
 
-// DELETE /api/users/:id - Delete a user (Super Admin only)
-router.delete('/:id', auth, isSuperAdmin, async (req, res) => {
+// DELETE /api/users/:id - Delete a user (user.manage)
+router.delete('/:id', auth, requirePermission('user.manage'), async (req, res) => {
   try {
     const user = await User.findById(req.params.id);
     
@@ -100,8 +164,128 @@ router.delete('/:id', auth, isSuperAdmin, async (req, res) => {
   }
 });
 
+// The signed-in user's out-of-office period with the colleagues who may stand in for them
+const outOfOfficeResponse = async (user) => {
+  const delegates = await User.find(delegationService.delegateFilter(user))
+    .select('firstName lastName email')
+    .sort({ firstName: 1, lastName: 1 });
+
+  return {
+    outOfOffice: user.outOfOffice?.endsAt ? user.outOfOffice : null,
+    isOutOfOffice: assignmentService.isOutOfOffice(user),
+    delegates
+  };
+};
+
+// GET /api/users/me/out-of-office - Own out-of-office period and eligible delegates (outOfOffice.manage)
+router.get('/me/out-of-office', auth, requirePermission('outOfOffice.manage'), async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    res.json(await outOfOfficeResponse(user));
+  } catch (err) {
+    console.error('Error fetching out-of-office period:', err);
+    res.status(500).json({ msg: 'Server error while fetching out-of-office period' });
+  }
+});
+
+// PUT /api/users/me/out-of-office - Set own out-of-office period (outOfOffice.manage)
+// With handOver, open complaints go to the delegate now if the period has started, else when it starts
+router.put(
+  '/me/out-of-office',
+  auth,
+  requirePermission('outOfOffice.manage'),
+  [
+    check('startsAt', 'Invalid start date').optional({ values: 'falsy' }).isISO8601(),
+    check('endsAt', 'End date is required').isISO8601(),
+    check('delegateId', 'Invalid delegate ID').optional({ values: 'falsy' }).isMongoId(),
+    check('handOver', 'Hand over must be boolean').optional().isBoolean()
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const user = await User.findById(req.user._id);
+
+      const error = await delegationService.applyOutOfOffice(user, req.body);
+      if (error) {
+        return res.status(400).json({ msg: error });
+      }
+
+      user.updatedAt = Date.now();
+      await user.save();
+
+      let handedOver = 0;
+      if (user.outOfOffice.handOver && assignmentService.isOutOfOffice(user)) {
+        ({ count: handedOver } = await delegationService.handOverOpenComplaints(user));
+      }
+
+      res.json({ ...await outOfOfficeResponse(user), handedOver });
+    } catch (err) {
+      console.error('Error setting out-of-office period:', err);
+      res.status(500).json({ msg: 'Server error while setting out-of-office period' });
+    }
+  }
+);
+
+// DELETE /api/users/me/out-of-office - End or cancel own out-of-office period (outOfOffice.manage)
+// Complaints already handed over stay with the delegate
+router.delete('/me/out-of-office', auth, requirePermission('outOfOffice.manage'), async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    user.outOfOffice = undefined;
+    user.updatedAt = Date.now();
+    await user.save();
+
+    res.json(await outOfOfficeResponse(user));
+  } catch (err) {
+    console.error('Error ending out-of-office period:', err);
+    res.status(500).json({ msg: 'Server error while ending out-of-office period' });
+  }
+});
+
+// PUT /api/users/:id/role - Assign a custom role, or clear it with a null roleId (role.manage)
+router.put('/:id/role', auth, requirePermission('role.manage'), async (req, res) => {
+  try {
+    const user = await User.findOne({ _id: req.params.id, organizationId: req.user.organizationId });
+
+    if (!user) {
+      return res.status(404).json({ msg: 'User not found' });
+    }
+
+    if (user.role === 'SuperAdmin') {
+      return res.status(400).json({ msg: 'SuperAdmin permissions cannot be changed' });
+    }
+
+    const { roleId } = req.body;
+    let role = null;
+
+    if (roleId) {
+      role = await Role.findOne({ _id: roleId, organizationId: req.user.organizationId });
+      if (!role) {
+        return res.status(400).json({ msg: 'Invalid role ID' });
+      }
+      if (role.baseRole !== user.role) {
+        return res.status(400).json({ msg: `This role can only be given to ${role.baseRole} users` });
+      }
+    }
+
+    // Built-in roles apply without being stored on the user
+    user.roleId = role && !role.isSystem ? role._id : undefined;
+    user.updatedAt = Date.now();
+    await user.save();
+
+    res.json({ msg: 'Role updated successfully', roleId: user.roleId || null });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
 // userRoutes.js - Add new endpoint for department-eligible users
-router.get('/department-eligible', auth, isSuperAdmin, async (req, res) => {
+router.get('/department-eligible', auth, requirePermission('user.manage'), async (req, res) => {
   try {
     const users = await User.find({ 
       organizationId: req.user.organizationId,
@@ -1,7 +1,7 @@
 // routes/workflowRoutes.js
 import express from 'express';
 import { check } from 'express-validator';
-import { auth, isSuperAdmin } from '../middleware/auth.js';
+import { auth, requirePermission } from '../middleware/auth.js';
 import {
   createWorkflow,
   getAllWorkflows,
@@ -16,7 +16,13 @@ import {
   importWorkflowTemplates,
   getWorkflowTemplates,
   getWorkflowTemplatesByCategory,
-  getWorkflowTemplateById
+  getWorkflowTemplateById,
+  validateWorkflow,
+  simulateWorkflow,
+  getWorkflowVersions,
+  getWorkflowVersion,
+  getWorkflowVersionDiff,
+  migrateWorkflowInstances
 } from '../controllers/workflowController.js';
 
 const router = express.Router();
@@ -25,7 +31,7 @@ const router = express.Router();
 router.post(
   '/',
   auth,
-  isSuperAdmin,
+  requirePermission('workflow.edit'),
   [
     check('name', 'Workflow name is required').notEmpty(),
     check('stages', 'At least one stage is required').isArray({ min: 1 }),
@@ -36,11 +42,39 @@ router.post(
   createWorkflow
 );
 
+// Check a draft for graph problems - POST /api/workflows/validate
+router.post(
+  '/validate',
+  auth,
+  requirePermission('workflow.edit'),
+  [
+    check('stages', 'Stages must be a list').isArray()
+  ],
+  validateWorkflow
+);
+
+// Walk a sample complaint through a draft - POST /api/workflows/simulate
+router.post(
+  '/simulate',
+  auth,
+  requirePermission('workflow.edit'),
+  [
+    check('stages', 'Stages must be a list').isArray(),
+    check('sample.priority', 'Invalid priority').optional().isIn(['Low', 'Medium', 'High', 'Urgent']),
+    check('sample.status', 'Invalid status').optional().isIn(['Open', 'In Progress', 'Resolved', 'Closed']),
+    check('sample.complaintTypeId', 'Invalid complaint type').optional().isMongoId(),
+    check('sample.attachmentCount', 'Attachment count must be zero or more').optional().isInt({ min: 0 }),
+    check('path', 'Path must be a list of stage IDs').optional().isArray(),
+    check('startAt', 'Start time must be a date').optional().isISO8601()
+  ],
+  simulateWorkflow
+);
+
 // Create workflow from template
 router.post(
   '/from-template',
   auth,
-  isSuperAdmin,
+  requirePermission('workflow.edit'),
   [
     check('templateId', 'Template ID is required').notEmpty(),
     check('complaintTypeId', 'Complaint type is required').notEmpty(),
@@ -52,32 +86,66 @@ router.post(
 router.post(
   '/import-templates',
   auth,
-  isSuperAdmin,
+  requirePermission('workflow.edit'),
   importWorkflowTemplates
 );
 
 // Get all workflows - GET /api/workflows
-router.get('/', auth, getAllWorkflows);
+router.get('/', auth, requirePermission('workflow.view'), getAllWorkflows);
 
 // Get workflow by ID - GET /api/workflows/:id
-router.get('/:id', auth, getWorkflowById);
+router.get('/:id', auth, requirePermission('workflow.view'), getWorkflowById);
+
+// Get published versions of a workflow - GET /api/workflows/:id/versions
+router.get('/:id/versions', auth, requirePermission('workflow.view'), getWorkflowVersions);
+
+// Compare two versions - GET /api/workflows/:id/versions/diff?from=1&to=2
+router.get(
+  '/:id/versions/diff',
+  auth,
+  requirePermission('workflow.view'),
+  [
+    check('from', 'Version to compare from is required').isInt({ min: 1 }),
+    check('to', 'Version to compare to is required').isInt({ min: 1 })
+  ],
+  getWorkflowVersionDiff
+);
+
+// Get one version - GET /api/workflows/:id/versions/:version
+router.get('/:id/versions/:version', auth, requirePermission('workflow.view'), getWorkflowVersion);
+
+// Move open complaints to another version - POST /api/workflows/:id/migrate
+router.post(
+  '/:id/migrate',
+  auth,
+  requirePermission('workflow.edit'),
+  [
+    check('fromVersion', 'Version to migrate from is required').isInt({ min: 1 }),
+    check('toVersion', 'Target version must be a version number').optional().isInt({ min: 1 }),
+    check('stageMapping', 'Stage mapping must map stage IDs to stage IDs').optional().isObject()
+  ],
+  migrateWorkflowInstances
+);
 
 // Get workflows by department - GET /api/workflows/department/:id
-router.get('/department/:id', auth, getWorkflowsByDepartment);
+router.get('/department/:id', auth, requirePermission('workflow.view'), getWorkflowsByDepartment);
 
 // Get workflows by complaint type - GET /api/workflows/complaint-type/:id
-router.get('/complaint-type/:id', auth, getWorkflowsByComplaintType);
+router.get('/complaint-type/:id', auth, requirePermission('workflow.view'), getWorkflowsByComplaintType);
 
 // Get workflow for a specific complaint - GET /api/workflows/complaint/:id
-router.get('/complaint/:id', auth, getWorkflowForComplaint);
+router.get('/complaint/:id', auth, requirePermission('workflow.view'), getWorkflowForComplaint);
 
 // Update workflow stage for a complaint - PUT /api/workflows/complaint/:id/stage
 router.put(
   '/complaint/:id/stage',
   auth,
+  requirePermission('workflow.transition'),
   [
     check('stageId', 'Target stage ID is required').notEmpty(),
-    check('comment', 'Comment is required').optional()
+    check('branchId', 'Invalid branch').optional().isMongoId(),
+    check('comment', 'Comment is required').optional(),
+    check('overrideApproval', 'Override must be boolean').optional().isBoolean().toBoolean()
   ],
   updateWorkflowStage
 );
@@ -86,20 +154,21 @@ router.put(
 router.put(
   '/:id',
   auth,
-  isSuperAdmin,
+  requirePermission('workflow.edit'),
   [
     check('name', 'Workflow name is required').optional().notEmpty(),
-    check('stages', 'At least one stage is required').optional().isArray({ min: 1 })
+    check('stages', 'At least one stage is required').optional().isArray({ min: 1 }),
+    check('versionNotes', 'Version notes must be text').optional().isString()
   ],
   updateWorkflow
 );
 
 // Delete workflow - DELETE /api/workflows/:id
-router.delete('/:id', auth, isSuperAdmin, deleteWorkflow);
+router.delete('/:id', auth, requirePermission('workflow.edit'), deleteWorkflow);
 
 // Template routes
-router.get('/templates', auth, getWorkflowTemplates);
-router.get('/templates/category/:category', auth, getWorkflowTemplatesByCategory);
-router.get('/templates/:id', auth, getWorkflowTemplateById);
+router.get('/templates', auth, requirePermission('workflow.view'), getWorkflowTemplates);
+router.get('/templates/category/:category', auth, requirePermission('workflow.view'), getWorkflowTemplatesByCategory);
+router.get('/templates/:id', auth, requirePermission('workflow.view'), getWorkflowTemplateById);
 
 export default router;
\ No newline at end of file
@@ -540,7 +540,7 @@ const seedData = async () => {
         }
 
 
-        // 10. Create Escalation Rules (Optional - matches EscalationRuleSchema)
+        // 10. Create Escalation Rules (evaluated by the 'escalation-rules' scheduler job)
         console.log('Creating sample Escalation Rules (if applicable)...');
         const itWorkflowForRules = workflowMap['Standard IT Support Workflow'];
         const financeWorkflowForRules = workflowMap['Finance Query Workflow'];
@@ -552,11 +552,12 @@ const seedData = async () => {
                 {
                     organizationId: szabistOrg._id,
                     complaintTypeId: complaintTypeMap['IT Support Request'], // Rule applies to this type
+                    name: 'IT request not picked up',
                     fromStage: 'IT_SUBMITTED', // Stage ID where the timer starts
-                    toStage: 'IT_ASSIGNED',   // Stage ID it should have transitioned TO (or define escalation target)
+                    toStage: 'IT_ASSIGNED',   // Stage ID the complaint is moved to when the rule fires
                     conditionType: 'TIME_BASED', // Matches schema enum
                     conditionValue: { duration: 8, unit: 'hours' }, // Value for TIME_BASED condition
-                    // 'action' field could be added to EscalationRuleSchema to define what happens
+                    createdBy: szabistSuperAdmin._id,
                     createdAt: new Date(),
                     updatedAt: new Date()
                 },
@@ -564,17 +565,18 @@ const seedData = async () => {
                  {
                     organizationId: szabistOrg._id,
                     complaintTypeId: complaintTypeMap['Fee Challan / Payment Issue'],
+                    name: 'Finance review overdue',
                     fromStage: 'FIN_REVIEW', // Stage ID
                     toStage: 'FIN_RESOLVED', // Stage ID
                     conditionType: 'TIME_BASED',
                     conditionValue: { duration: 72, unit: 'hours' },
+                    createdBy: szabistSuperAdmin._id,
                     createdAt: new Date(),
                     updatedAt: new Date()
                 }
             ];
-            // await EscalationRule.insertMany(escalationRulesData); // Uncomment to create
-            // console.log(`${escalationRulesData.length} Escalation Rules created.`);
-            console.log('Sample Escalation Rule generation skipped (code is commented out).');
+            await EscalationRule.insertMany(escalationRulesData);
+            console.log(`${escalationRulesData.length} Escalation Rules created.`);
         } else {
              console.warn('Skipping Escalation Rule creation because required workflows (IT Support and/or Finance Query) were not found.');
         }
@@ -584,7 +586,7 @@ const seedData = async () => {
         console.log('Database seeded successfully with SZABIST data!');
         console.log('Roles seeded: SuperAdmin, DepartmentUser, Student.');
         console.log('NO FACULTY USERS WERE CREATED.');
-        console.log('Sample Feedback and Escalation Rules are commented out.');
+        console.log('Sample Feedback is commented out.');
         console.log('-----------------------------------------');
 
     } catch (err) {
@@ -0,0 +1,48 @@
+// scripts/grantPermissions.js
+// Grant permissions added to DEFAULT_ROLE_PERMISSIONS after an organization's
+// roles were created. Each listed permission is added to every stored role,
+// built-in or custom, whose base role holds it by default. Roles that already
+// have it are left alone, so running it twice is harmless.
+//
+//   npm run permissions:grant -- approval.decide outOfOffice.manage
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import { Role } from '../models/models.js';
+import { PERMISSION_KEYS, DEFAULT_ROLE_PERMISSIONS, CONFIGURABLE_BASE_ROLES } from '../config/permissions.js';
+
+dotenv.config();
+
+const MONGO_URI = process.env.MONGO_URI || 'mongodb://localhost:27017/resolvesuite';
+
+const grantPermissions = async (permissions) => {
+  const unknown = permissions.filter(permission => !PERMISSION_KEYS.includes(permission));
+  if (permissions.length === 0 || unknown.length > 0) {
+    console.error(unknown.length > 0
+      ? `Unknown permissions: ${unknown.join(', ')}`
+      : 'Usage: node scripts/grantPermissions.js <permission> [...]');
+    process.exitCode = 1;
+    return;
+  }
+
+  await mongoose.connect(MONGO_URI);
+
+  try {
+    for (const baseRole of CONFIGURABLE_BASE_ROLES) {
+      const granted = permissions.filter(permission => DEFAULT_ROLE_PERMISSIONS[baseRole].includes(permission));
+      if (granted.length === 0) continue;
+
+      const result = await Role.updateMany(
+        { baseRole },
+        { $addToSet: { permissions: { $each: granted } } }
+      );
+      console.log(`${baseRole}: granted ${granted.join(', ')} to ${result.modifiedCount} role(s)`);
+    }
+  } catch (err) {
+    console.error('Error granting permissions:', err);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+  }
+};
+
+grantPermissions(process.argv.slice(2));
@@ -0,0 +1,157 @@
+// scripts/smtpStandIn.js
+// A tiny SMTP server for local development and testing of the email outbox.
+// It accepts every message, prints a summary and optionally saves the raw
+// message, so nothing leaves the machine. Point the API at it with
+//
+//   SMTP_HOST=localhost SMTP_PORT=2525 SMTP_SECURE=false
+//
+// Options (environment):
+//   SMTP_STANDIN_PORT       Port to listen on (default 2525)
+//   SMTP_STANDIN_DIR        Directory to write each message to as a .eml file
+//   SMTP_STANDIN_FAIL_RATE  Share of messages (0-1) answered with a temporary failure, to exercise retries
+//   SMTP_STANDIN_REJECT     Comma-separated recipients refused permanently
+import net from 'net';
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+const PORT = parseInt(process.env.SMTP_STANDIN_PORT) || 2525;
+const SAVE_DIR = process.env.SMTP_STANDIN_DIR;
+const FAIL_RATE = parseFloat(process.env.SMTP_STANDIN_FAIL_RATE) || 0;
+const REJECTED = new Set(
+  (process.env.SMTP_STANDIN_REJECT || '')
+    .split(',')
+    .map(address => address.trim().toLowerCase())
+    .filter(Boolean)
+);
+
+if (SAVE_DIR) {
+  fs.mkdirSync(SAVE_DIR, { recursive: true });
+}
+
+const addressOf = (argument) => (argument.match(/<([^>]*)>/)?.[1] || argument).trim().toLowerCase();
+
+const headerOf = (message, name) =>
+  message.match(new RegExp(`^${name}:\\s*(.*)$`, 'im'))?.[1]?.trim() || '';
+
+const handleConnection = (socket) => {
+  let buffer = '';
+  let envelope = { from: null, to: [] };
+  let data = null; // Lines of the message while in DATA mode
+  let authStep = null; // Where we are in an AUTH LOGIN exchange
+
+  const reply = (line) => socket.write(`${line}\r\n`);
+
+  const finishMessage = () => {
+    const raw = data.join('\r\n');
+    const id = crypto.randomUUID();
+    data = null;
+
+    if (Math.random() < FAIL_RATE) {
+      console.log(`[smtp] temporary failure for "${headerOf(raw, 'Subject')}" to ${envelope.to.join(', ')}`);
+      reply('451 4.3.0 Temporary failure (stand-in)');
+    } else {
+      console.log(`[smtp] ${id} from ${envelope.from} to ${envelope.to.join(', ')}: "${headerOf(raw, 'Subject')}"`);
+      if (SAVE_DIR) {
+        fs.writeFileSync(path.join(SAVE_DIR, `${Date.now()}-${id}.eml`), raw);
+      }
+      reply(`250 2.0.0 OK queued as ${id}`);
+    }
+
+    envelope = { from: null, to: [] };
+  };
+
+  const handleLine = (line) => {
+    if (data) {
+      if (line === '.') return finishMessage();
+      // Undo dot-stuffing
+      data.push(line.startsWith('..') ? line.slice(1) : line);
+      return;
+    }
+
+    if (authStep) {
+      authStep = authStep === 'username' ? 'password' : null;
+      return reply(authStep ? '334 UGFzc3dvcmQ6' : '235 2.7.0 Authentication successful');
+    }
+
+    const [command, ...rest] = line.split(' ');
+    const argument = rest.join(' ');
+
+    switch (command.toUpperCase()) {
+      case 'EHLO':
+        socket.write('250-resolvesuite-smtp-standin\r\n250-AUTH PLAIN LOGIN\r\n250-8BITMIME\r\n250 SIZE 26214400\r\n');
+        break;
+      case 'HELO':
+        reply('250 resolvesuite-smtp-standin');
+        break;
+      case 'AUTH':
+        // Any credentials are accepted
+        if (/^LOGIN/i.test(argument)) {
+          authStep = 'username';
+          reply('334 VXNlcm5hbWU6');
+        } else {
+          reply('235 2.7.0 Authentication successful');
+        }
+        break;
+      case 'MAIL':
+        envelope = { from: addressOf(argument.replace(/^FROM:/i, '')), to: [] };
+        reply('250 2.1.0 OK');
+        break;
+      case 'RCPT': {
+        const recipient = addressOf(argument.replace(/^TO:/i, ''));
+        if (REJECTED.has(recipient)) {
+          reply('550 5.1.1 Recipient rejected (stand-in)');
+        } else {
+          envelope.to.push(recipient);
+          reply('250 2.1.5 OK');
+        }
+        break;
+      }
+      case 'DATA':
+        if (!envelope.to.length) {
+          reply('554 5.5.1 No valid recipients');
+        } else {
+          data = [];
+          reply('354 End data with <CR><LF>.<CR><LF>');
+        }
+        break;
+      case 'RSET':
+        envelope = { from: null, to: [] };
+        reply('250 2.0.0 OK');
+        break;
+      case 'NOOP':
+        reply('250 2.0.0 OK');
+        break;
+      case 'QUIT':
+        reply('221 2.0.0 Bye');
+        socket.end();
+        break;
+      default:
+        reply('502 5.5.2 Command not implemented');
+    }
+  };
+
+  socket.on('data', (chunk) => {
+    buffer += chunk.toString('utf8');
+    let index;
+    while ((index = buffer.indexOf('\r\n')) !== -1) {
+      const line = buffer.slice(0, index);
+      buffer = buffer.slice(index + 2);
+      handleLine(line);
+    }
+  });
+
+  socket.on('error', (err) => {
+    console.error('[smtp] connection error:', err.message);
+  });
+
+  reply('220 resolvesuite-smtp-standin ESMTP');
+};
+
+const server = net.createServer(handleConnection);
+
+server.listen(PORT, () => {
+  console.log(`SMTP stand-in listening on port ${PORT}`);
+  if (FAIL_RATE) console.log(`Failing ${Math.round(FAIL_RATE * 100)}% of messages temporarily`);
+  if (REJECTED.size) console.log(`Rejecting: ${[...REJECTED].join(', ')}`);
+});
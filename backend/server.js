@@ -11,6 +11,18 @@ import complaintTypeRoutes from './backend/routes/complaintTypeRoutes.js';
 import workflowRoutes from './backend/routes/workflowRoutes.js';
 import notificationRoutes from './backend/routes/notificationRoutes.js';
 import feedbackRoutes from './backend/routes/feedbackRoutes.js';
+import jobRoutes from './backend/routes/jobRoutes.js';
+import escalationRuleRoutes from './backend/routes/escalationRuleRoutes.js';
+import eventRoutes from './backend/routes/eventRoutes.js';
+import roleRoutes from './backend/routes/roleRoutes.js';
+import emailTemplateRoutes from './backend/routes/emailTemplateRoutes.js';
+import emailMessageRoutes from './backend/routes/emailMessageRoutes.js';
+import smsRoutes from './backend/routes/smsRoutes.js';
+import approvalRoutes from './backend/routes/approvalRoutes.js';
+import slaRoutes from './backend/routes/slaRoutes.js';
+import transferRoutes from './backend/routes/transferRoutes.js';
+import startScheduler from './backend/config/scheduler.js';
+import { trustProxyHops } from './backend/config/proxy.js';
 import cors from 'cors';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -22,6 +34,10 @@ const __dirname = path.dirname(__filename);
 dotenv.config();
 
 const app = express();
+
+// Read the client IP from X-Forwarded-For behind the deployment's proxy
+app.set('trust proxy', trustProxyHops());
+
 app.use(express.json());
 
 // Update CORS to allow Vercel frontend
@@ -38,6 +54,9 @@ app.use('/uploads', express.static(path.join(__dirname, 'backend/uploads')));
 // Connect to Database
 connectDB();
 
+// Background jobs (workflow SLA sweep, etc.)
+startScheduler();
+
 // API Routes
 app.use('/api/organizations', organizationRoutes); 
 app.use('/api/auth', authRoutes);
@@ -48,6 +67,16 @@ app.use('/api/complaints', complaintRoutes);
 app.use('/api/workflows', workflowRoutes);
 app.use('/api/notifications', notificationRoutes);
 app.use('/api/feedback', feedbackRoutes);
+app.use('/api/jobs', jobRoutes);
+app.use('/api/escalation-rules', escalationRuleRoutes);
+app.use('/api/events', eventRoutes);
+app.use('/api/roles', roleRoutes);
+app.use('/api/email-templates', emailTemplateRoutes);
+app.use('/api/email-messages', emailMessageRoutes);
+app.use('/api/sms', smsRoutes);
+app.use('/api/approvals', approvalRoutes);
+app.use('/api/sla', slaRoutes);
+app.use('/api/transfers', transferRoutes);
 
 // --- VERCEL CONFIGURATION ---
 if (process.env.NODE_ENV !== 'production') {
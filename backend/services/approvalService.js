@@ -0,0 +1,207 @@
+// services/approvalService.js
+// APPROVAL stage actions ask named approvers for a decision. The approvers are resolved
+// when the complaint enters the stage; the first decision taken moves the complaint along
+// the transition the action maps to it (see workflowService.decideApproval).
+import mongoose from 'mongoose';
+import { Approval, ComplaintLog, User } from '../models/models.js';
+import { emailService } from './emailService.js';
+import { notificationDispatchService } from './notificationDispatchService.js';
+import { permissionService } from './permissionService.js';
+
+export const APPROVER_TYPES = ['USERS', 'ROLE', 'DEPARTMENT'];
+export const APPROVER_ROLES = ['SuperAdmin', 'DepartmentUser', 'Faculty'];
+
+// Decisions, and the action config field naming the stage each one moves to
+export const APPROVAL_DECISIONS = {
+  APPROVED: { field: 'onApprove', label: 'Approved' },
+  REJECTED: { field: 'onReject', label: 'Rejected' },
+  CHANGES_REQUESTED: { field: 'onRequestChanges', label: 'Changes requested' }
+};
+
+const userIdsOf = (config) => [].concat(config.userIds || []).filter(Boolean);
+
+export const approvalService = {
+  /**
+   * Validate the config of an APPROVAL action
+   * @param {Object} config - { approverType, userIds, role, onApprove, onReject, onRequestChanges }
+   * @param {Object} stage - Stage holding the action; decisions must map to its transitions
+   * @returns {String|null} An error message, or null if the config is valid
+   */
+  validateConfig: (config = {}, stage) => {
+    if (!APPROVER_TYPES.includes(config.approverType)) {
+      return 'choose who approves: specific users, a role or the department';
+    }
+    if (config.approverType === 'USERS') {
+      const userIds = userIdsOf(config);
+      if (userIds.length === 0) return 'add at least one approver';
+      if (userIds.some(id => !mongoose.isValidObjectId(id))) return 'approvers must be given by their user IDs';
+    }
+    if (config.approverType === 'ROLE' && !APPROVER_ROLES.includes(config.role)) {
+      return `the approver role must be one of ${APPROVER_ROLES.join(', ')}`;
+    }
+
+    const targets = (stage.transitions || []).map(t => t.targetStageId);
+    for (const [decision, { field, label }] of Object.entries(APPROVAL_DECISIONS)) {
+      const target = config[field];
+      if (!target) {
+        if (decision !== 'CHANGES_REQUESTED') return `choose the stage "${label}" moves to`;
+        continue;
+      }
+      if (!targets.includes(target)) return `"${label}" must move along one of the stage's transitions`;
+    }
+    return null;
+  },
+
+  /**
+   * Find the users an APPROVAL action asks. Specific users must still be active in the
+   * organization and allowed to decide approvals; roles are looked up in the complaint's
+   * department, except SuperAdmin.
+   * @param {Object} config - APPROVAL action config
+   * @param {Object} complaint - The complaint
+   * @returns {Promise<Array>} - User documents
+   */
+  resolveApprovers: async (config = {}, complaint) => {
+    const filter = { organizationId: complaint.organizationId, isActive: true };
+    let users;
+
+    switch (config.approverType) {
+      case 'USERS':
+        users = await User.find({ ...filter, _id: { $in: userIdsOf(config).filter(id => mongoose.isValidObjectId(id)) } });
+        break;
+      case 'ROLE':
+        users = await User.find({
+          ...filter,
+          role: config.role,
+          ...(config.role !== 'SuperAdmin' && { departmentId: complaint.departmentId })
+        });
+        break;
+      case 'DEPARTMENT':
+        users = await User.find({ ...filter, departmentId: complaint.departmentId, role: 'DepartmentUser' });
+        break;
+      default:
+        return [];
+    }
+
+    // Users whose role cannot decide approvals would never be able to answer
+    const canDecide = await Promise.all(users.map(user => permissionService.hasPermission(user, 'approval.decide')));
+    return users.filter((user, index) => canDecide[index]);
+  },
+
+  /**
+   * Open an approval request for the stage visit and notify its approvers
+   * @param {Object} action - APPROVAL action
+   * @param {Object} context - { complaint, workflowInstance, stage, historyEntry }
+   * @returns {Promise<Object>} - Result recorded in the instance history
+   */
+  requestApproval: async (action, { complaint, workflowInstance, stage, historyEntry }) => {
+    const config = action.config || {};
+    const approvers = await approvalService.resolveApprovers(config, complaint);
+
+    if (approvers.length === 0) {
+      return { error: 'No active approvers found; the complaint must be moved on by hand' };
+    }
+
+    const approval = await Approval.create({
+      organizationId: complaint.organizationId,
+      complaintId: complaint._id,
+      workflowInstanceId: workflowInstance._id,
+      stageId: stage.id,
+      stageName: stage.name,
+      historyEntryId: historyEntry._id,
+      branchId: historyEntry.branchId,
+      approverType: config.approverType,
+      approverIds: approvers.map(user => user._id),
+      instructions: config.instructions,
+      transitions: Object.fromEntries(
+        Object.entries(APPROVAL_DECISIONS).map(([decision, { field }]) => [decision, config[field] || undefined])
+      )
+    });
+
+    await notificationDispatchService.dispatch({
+      event: 'APPROVAL_REQUESTED',
+      recipients: approvers,
+      notification: {
+        message: `Your approval is needed in ${stage.name}: ${complaint.title}`,
+        relatedTo: {
+          type: 'COMPLAINT',
+          id: complaint._id
+        }
+      },
+      sendEmail: (user) => emailService.sendApprovalRequest(
+        user.email,
+        {
+          userName: `${user.firstName} ${user.lastName}`,
+          complaintTitle: complaint.title,
+          complaintId: complaint._id,
+          stageName: stage.name,
+          instructions: config.instructions
+        },
+        { organizationId: complaint.organizationId }
+      )
+    });
+
+    return { approvalId: approval._id, approvers: approvers.length };
+  },
+
+  /**
+   * Cancel the instance's pending approvals whose stage visit has ended, e.g. because
+   * a SuperAdmin overrode it or a time-based transition fired
+   * @param {Object} workflowInstance - The workflow instance
+   * @returns {Promise<Number>} Approvals cancelled
+   */
+  cancelStale: async (workflowInstance) => {
+    const openEntryIds = workflowInstance.history.filter(h => !h.exitedAt).map(h => h._id);
+
+    const { modifiedCount } = await Approval.updateMany(
+      { workflowInstanceId: workflowInstance._id, status: 'PENDING', historyEntryId: { $nin: openEntryIds } },
+      { $set: { status: 'CANCELLED', decidedAt: new Date() } }
+    );
+    return modifiedCount;
+  },
+
+  /**
+   * Find the pending approval holding the instance's current stage visit, or a branch's
+   * @param {Object} workflowInstance - The workflow instance
+   * @param {Object} [branch] - Active branch; by default the instance's own stage
+   * @returns {Promise<Object|null>} - Approval document
+   */
+  findPending: async (workflowInstance, branch = null) => {
+    const entry = workflowInstance.history.find(h => !h.exitedAt && (branch
+      ? h.branchId?.equals(branch._id)
+      : !h.branchId && h.stageId === workflowInstance.currentStageId));
+    if (!entry) return null;
+
+    return Approval.findOne({ workflowInstanceId: workflowInstance._id, historyEntryId: entry._id, status: 'PENDING' });
+  },
+
+  /**
+   * Check a manual move out of the current stage, or of a branch's stage. While an approval is
+   * pending only its decision moves the complaint on, unless a SuperAdmin asks to override it;
+   * the override is recorded in the complaint log and the approval lapses once the stage is left.
+   * @param {Object} workflowInstance - The workflow instance
+   * @param {Object} user - User moving the complaint
+   * @param {Object} options - { complaintId, branch, override }
+   * @returns {Promise<Object|null>} - The approval blocking the move, or null when it may go ahead
+   */
+  checkManualExit: async (workflowInstance, user, { complaintId, branch = null, override = false } = {}) => {
+    const approval = await approvalService.findPending(workflowInstance, branch);
+    if (!approval) return null;
+    if (!override || user.role !== 'SuperAdmin') return approval;
+
+    await ComplaintLog.create({
+      complaintId,
+      userId: user._id,
+      action: 'APPROVAL_OVERRIDDEN',
+      comment: `Pending approval in ${approval.stageName} overridden by ${user.firstName} ${user.lastName}`,
+      previousStage: approval.stageName
+    });
+    return null;
+  },
+
+  /**
+   * Decisions an approval offers: those its action mapped to a transition
+   * @param {Object} approval - Approval document
+   * @returns {Array} - Decision keys
+   */
+  getDecisions: (approval) => Object.keys(APPROVAL_DECISIONS).filter(decision => approval.transitions?.[decision])
+};
@@ -0,0 +1,246 @@
+// services/assignmentService.js
+// Chooses who an automatic ASSIGNMENT action gives a complaint to. One aggregation loads
+// every active department user with their open workload. Users who are unavailable, out of
+// office or at their capacity cannot take it, and skill matching can narrow the field to users
+// who handle the complaint type. The strategy then picks among the rest, and the decision is
+// stored with its reasoning so supervisors can see why someone got a complaint.
+import mongoose from 'mongoose';
+import { User, Complaint, AssignmentDecision } from '../models/models.js';
+import { OPEN_STATUSES } from '../utils/helpers.js';
+
+// What one open complaint of each priority adds to a user's weighted load
+export const PRIORITY_WEIGHTS = { Low: 1, Medium: 2, High: 3, Urgent: 5 };
+
+// OFF ignores skills; PREFER picks among skilled users when there are any; REQUIRE only ever does
+export const SKILL_MATCHING = ['OFF', 'PREFER', 'REQUIRE'];
+
+const lastAssignedTime = (candidate) => candidate.lastAssignedAt?.getTime() || 0;
+
+// Each strategy orders the eligible candidates; the first gets the complaint
+export const ASSIGNMENT_STRATEGIES = {
+  LEAST_LOADED: {
+    label: 'Fewest open complaints',
+    compare: (a, b) => a.openCount - b.openCount || lastAssignedTime(a) - lastAssignedTime(b),
+    describe: (candidate) => `has the fewest open complaints (${candidate.openCount})`
+  },
+  WEIGHTED_LOAD: {
+    label: 'Lightest load weighted by priority',
+    compare: (a, b) => a.weightedLoad - b.weightedLoad ||
+      a.openCount - b.openCount ||
+      lastAssignedTime(a) - lastAssignedTime(b),
+    describe: (candidate) =>
+      `has the lightest priority-weighted load (${candidate.weightedLoad} from ${candidate.openCount} open)`
+  },
+  ROUND_ROBIN: {
+    label: 'Round robin',
+    compare: (a, b) => lastAssignedTime(a) - lastAssignedTime(b),
+    describe: (candidate) => (candidate.lastAssignedAt
+      ? `has waited longest since their last automatic assignment (${candidate.lastAssignedAt.toISOString()})`
+      : 'is next in turn, never having been assigned automatically')
+  }
+};
+
+const DEFAULT_STRATEGY = 'LEAST_LOADED';
+
+// Longest chain of away delegates followed before settling on the last one
+const MAX_DELEGATION_HOPS = 5;
+
+const weightOf = {
+  $switch: {
+    branches: Object.entries(PRIORITY_WEIGHTS).map(([priority, weight]) => ({
+      case: { $eq: ['$priority', priority] },
+      then: weight
+    })),
+    default: PRIORITY_WEIGHTS.Medium
+  }
+};
+
+// Active department users with their open complaint count and weighted load, in one round trip
+const loadCandidates = (departmentId) => User.aggregate([
+  { $match: { departmentId: new mongoose.Types.ObjectId(departmentId), isActive: true } },
+  {
+    $lookup: {
+      from: Complaint.collection.name,
+      let: { userId: '$_id' },
+      pipeline: [
+        { $match: { $expr: { $eq: ['$assignedTo', '$$userId'] }, status: { $in: OPEN_STATUSES } } },
+        { $group: { _id: null, openCount: { $sum: 1 }, weightedLoad: { $sum: weightOf } } }
+      ],
+      as: 'load'
+    }
+  },
+  {
+    $project: {
+      firstName: 1,
+      lastName: 1,
+      assignment: 1,
+      outOfOffice: 1,
+      load: { $arrayElemAt: ['$load', 0] }
+    }
+  },
+  { $sort: { firstName: 1, lastName: 1 } }
+]);
+
+export const assignmentService = {
+  /**
+   * Whether a user is out of office at a moment
+   * @param {Object} user - User document or plain object
+   * @param {Date} [now] - Moment to check
+   * @returns {Boolean}
+   */
+  isOutOfOffice: (user, now = new Date()) => {
+    const { startsAt, endsAt } = user.outOfOffice || {};
+    if (!startsAt && !endsAt) return false;
+    return (!startsAt || new Date(startsAt) <= now) && (!endsAt || new Date(endsAt) > now);
+  },
+
+  /**
+   * Follow out-of-office delegations from a user to whoever should act for them now.
+   * A delegate who is away too passes it on to their own delegate.
+   * @param {Object} user - User document
+   * @param {Date} [now] - Moment to judge absence at
+   * @returns {Promise<Object>} - { user, awayUsers }: who acts, and each away user passed on the way
+   */
+  resolveActingUser: async (user, now = new Date()) => {
+    const awayUsers = [];
+    const seen = new Set([user._id.toString()]);
+    let current = user;
+
+    while (awayUsers.length < MAX_DELEGATION_HOPS &&
+      assignmentService.isOutOfOffice(current, now) &&
+      current.outOfOffice?.delegateId &&
+      !seen.has(current.outOfOffice.delegateId.toString())) {
+      const delegate = await User.findOne({ _id: current.outOfOffice.delegateId, isActive: true });
+      if (!delegate) break;
+
+      awayUsers.push(current);
+      seen.add(delegate._id.toString());
+      current = delegate;
+    }
+
+    return { user: current, awayUsers };
+  },
+
+  /**
+   * Validate the automatic part of an ASSIGNMENT action config
+   * @param {Object} config - { strategy, skillMatching }
+   * @returns {String|null} An error message, or null if the config is valid
+   */
+  validateConfig: (config = {}) => {
+    if (config.strategy && !ASSIGNMENT_STRATEGIES[config.strategy]) {
+      return `the strategy must be one of ${Object.keys(ASSIGNMENT_STRATEGIES).join(', ')}`;
+    }
+    if (config.skillMatching && !SKILL_MATCHING.includes(config.skillMatching)) {
+      return `skill matching must be one of ${SKILL_MATCHING.join(', ')}`;
+    }
+    return null;
+  },
+
+  /**
+   * Work out who should get a complaint, without assigning or recording anything
+   * @param {Object} complaint - Needs departmentId and complaintTypeId
+   * @param {Object} [config] - ASSIGNMENT action config: { strategy, skillMatching }
+   * @param {Date} [now] - Moment availability is judged at
+   * @returns {Promise<Object>} - { strategy, skillMatching, assignee, candidates, reason }; assignee is null when nobody can take it
+   */
+  chooseAssignee: async (complaint, config = {}, now = new Date()) => {
+    const strategyKey = ASSIGNMENT_STRATEGIES[config.strategy] ? config.strategy : DEFAULT_STRATEGY;
+    const strategy = ASSIGNMENT_STRATEGIES[strategyKey];
+    const skillMatching = SKILL_MATCHING.includes(config.skillMatching) ? config.skillMatching : 'OFF';
+    const complaintTypeId = String(complaint.complaintTypeId?._id || complaint.complaintTypeId || '');
+
+    const departmentId = String(complaint.departmentId?._id || complaint.departmentId || '');
+    const users = mongoose.isValidObjectId(departmentId) ? await loadCandidates(departmentId) : [];
+
+    const candidates = users.map(user => {
+      const candidate = {
+        userId: user._id,
+        name: `${user.firstName || ''} ${user.lastName || ''}`.trim() || 'Unnamed user',
+        openCount: user.load?.openCount || 0,
+        weightedLoad: user.load?.weightedLoad || 0,
+        capacity: user.assignment?.capacity,
+        lastAssignedAt: user.assignment?.lastAssignedAt,
+        hasSkill: (user.assignment?.skills || []).some(id => String(id) === complaintTypeId)
+      };
+
+      if (user.assignment?.available === false) {
+        candidate.excludedReason = 'Marked unavailable';
+      } else if (assignmentService.isOutOfOffice(user, now)) {
+        candidate.excludedReason = user.outOfOffice.endsAt
+          ? `Out of office until ${new Date(user.outOfOffice.endsAt).toISOString()}`
+          : 'Out of office';
+      } else if (candidate.capacity && candidate.openCount >= candidate.capacity) {
+        candidate.excludedReason = `At capacity (${candidate.openCount} of ${candidate.capacity} open)`;
+      }
+      return candidate;
+    });
+
+    let eligible = candidates.filter(candidate => !candidate.excludedReason);
+    let skillNote = '';
+
+    if (skillMatching !== 'OFF') {
+      const skilled = eligible.filter(candidate => candidate.hasSkill);
+      if (skilled.length > 0 || skillMatching === 'REQUIRE') {
+        for (const candidate of eligible) {
+          if (!candidate.hasSkill) {
+            candidate.excludedReason = skillMatching === 'REQUIRE'
+              ? 'Does not handle this complaint type'
+              : 'Passed over for colleagues who handle this complaint type';
+          }
+        }
+        eligible = skilled;
+        skillNote = ' among users who handle this complaint type';
+      } else {
+        skillNote = '; nobody available handles this complaint type, so everyone available was considered';
+      }
+    }
+
+    if (eligible.length === 0) {
+      let reason = 'Nobody assigned: ';
+      if (candidates.length === 0) {
+        reason += 'the department has no active users';
+      } else if (skillMatching === 'REQUIRE' && candidates.some(candidate => candidate.hasSkill)) {
+        reason += 'every user who handles this complaint type is unavailable, out of office or at capacity';
+      } else if (skillMatching === 'REQUIRE') {
+        reason += 'nobody in the department handles this complaint type';
+      } else {
+        reason += 'every department user is unavailable, out of office or at capacity';
+      }
+      return { strategy: strategyKey, skillMatching, assignee: null, candidates, reason };
+    }
+
+    const [assignee] = [...eligible].sort(strategy.compare);
+    const reason = `${strategy.label}: ${assignee.name} ${strategy.describe(assignee)}${skillNote} ` +
+      `(${eligible.length} of ${candidates.length} department user(s) eligible)`;
+
+    return { strategy: strategyKey, skillMatching, assignee, candidates, reason };
+  },
+
+  /**
+   * Choose an assignee and record the decision. The caller assigns the complaint and notifies.
+   * @param {Object} complaint - Complaint document
+   * @param {Object} [config] - ASSIGNMENT action config: { strategy, skillMatching }
+   * @param {Object} [context] - { stageId } of the stage whose action is assigning
+   * @returns {Promise<Object>} - The AssignmentDecision document
+   */
+  autoAssign: async (complaint, config = {}, { stageId } = {}) => {
+    const { strategy, skillMatching, assignee, candidates, reason } =
+      await assignmentService.chooseAssignee(complaint, config);
+
+    if (assignee) {
+      await User.updateOne({ _id: assignee.userId }, { $set: { 'assignment.lastAssignedAt': new Date() } });
+    }
+
+    return AssignmentDecision.create({
+      organizationId: complaint.organizationId,
+      complaintId: complaint._id,
+      departmentId: complaint.departmentId,
+      stageId,
+      strategy,
+      skillMatching,
+      assignedTo: assignee?.userId,
+      reason,
+      candidates
+    });
+  }
+};
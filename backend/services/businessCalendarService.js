@@ -0,0 +1,148 @@
+// services/businessCalendarService.js
+// Business-time arithmetic over a BusinessCalendar: only its working windows count, in the
+// calendar's time zone, skipping holidays. Without a calendar time runs around the clock.
+import { isValidTimeZone } from '../utils/helpers.js';
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+const TIME_PATTERN = /^(([01]\d|2[0-3]):[0-5]\d|24:00)$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Stop searching for working time after this many days (e.g. a calendar that is all holidays)
+const MAX_DAYS = 5 * 366;
+
+const timeZoneOf = (calendar) => isValidTimeZone(calendar.timeZone) ? calendar.timeZone : 'UTC';
+
+// Local wall-clock fields of a moment in a time zone, as if they were UTC
+const localAsUtc = (date, timeZone) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(date).map(({ type, value }) => [type, value])
+  );
+
+  return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+};
+
+// Local midnight of the day a moment falls on, as a UTC timestamp (used as a day key)
+const localDayOf = (time, timeZone) => {
+  const local = localAsUtc(new Date(time), timeZone);
+  return local - (local % DAY_MS);
+};
+
+// The moment a local time on a local day occurs; DST gaps resolve to the later offset
+const zonedTime = (day, time, timeZone) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  const local = day + (hours * 60 + minutes) * MINUTE_MS;
+  const guess = local - (localAsUtc(new Date(local), timeZone) - local);
+  return local - (localAsUtc(new Date(guess), timeZone) - guess);
+};
+
+// Working windows of a local day, in time order; holidays have none
+const windowsOn = (calendar, day, timeZone) => {
+  const date = new Date(day).toISOString().slice(0, 10);
+  if ((calendar.holidays || []).some(holiday => holiday.date === date)) return [];
+
+  const weekday = new Date(day).getUTCDay();
+  return calendar.workingHours
+    .filter(hours => hours.dayOfWeek === weekday)
+    .map(hours => ({ start: zonedTime(day, hours.start, timeZone), end: zonedTime(day, hours.end, timeZone) }))
+    .sort((a, b) => a.start - b.start);
+};
+
+const hasWorkingHours = (calendar) => Boolean(calendar?.workingHours?.length);
+
+export const businessCalendarService = {
+  isValidTimeZone,
+
+  /**
+   * Validate a calendar's time zone, working hours and holidays
+   * @param {Object} calendar - { timeZone, workingHours, holidays }
+   * @returns {String|null} An error message, or null if the calendar is valid
+   */
+  validate: ({ timeZone, workingHours = [], holidays = [] }) => {
+    if (timeZone && !isValidTimeZone(timeZone)) {
+      return `Unknown time zone "${timeZone}"`;
+    }
+    if (!Array.isArray(workingHours) || workingHours.length === 0) {
+      return 'Add working hours for at least one day';
+    }
+    for (const hours of workingHours) {
+      if (!Number.isInteger(hours.dayOfWeek) || hours.dayOfWeek < 0 || hours.dayOfWeek > 6) {
+        return 'Working hours need a day of the week';
+      }
+      if (!TIME_PATTERN.test(hours.start) || !TIME_PATTERN.test(hours.end)) {
+        return 'Working hours must be given as HH:mm';
+      }
+      if (hours.start >= hours.end) {
+        return 'Working hours must end after they start';
+      }
+    }
+    if (!Array.isArray(holidays) || holidays.some(holiday => !DATE_PATTERN.test(holiday.date || ''))) {
+      return 'Holidays must be dates in YYYY-MM-DD format';
+    }
+    return null;
+  },
+
+  /**
+   * Move forward from a moment by an amount of business time
+   * @param {Date} from - Start
+   * @param {Number} ms - Business time to add, in milliseconds
+   * @param {Object} [calendar] - BusinessCalendar; none counts around the clock
+   * @returns {Date}
+   */
+  addBusinessTime: (from, ms, calendar) => {
+    const start = new Date(from).getTime();
+    if (!hasWorkingHours(calendar) || ms <= 0) return new Date(start + Math.max(ms, 0));
+
+    const timeZone = timeZoneOf(calendar);
+    let remaining = ms;
+    let cursor = start;
+    let day = localDayOf(start, timeZone);
+
+    for (let i = 0; i < MAX_DAYS; i++, day += DAY_MS) {
+      for (const window of windowsOn(calendar, day, timeZone)) {
+        const windowStart = Math.max(window.start, cursor);
+        if (windowStart >= window.end) continue;
+
+        if (remaining <= window.end - windowStart) return new Date(windowStart + remaining);
+        remaining -= window.end - windowStart;
+        cursor = window.end;
+      }
+    }
+
+    return new Date(cursor + remaining);
+  },
+
+  /**
+   * Business time between two moments
+   * @param {Date} from - Start
+   * @param {Date} to - End
+   * @param {Object} [calendar] - BusinessCalendar; none counts around the clock
+   * @returns {Number} Milliseconds, zero if `to` is not after `from`
+   */
+  businessTimeBetween: (from, to, calendar) => {
+    const start = new Date(from).getTime();
+    const end = new Date(to).getTime();
+    if (end <= start) return 0;
+    if (!hasWorkingHours(calendar)) return end - start;
+
+    const timeZone = timeZoneOf(calendar);
+    let total = 0;
+
+    for (let day = localDayOf(start, timeZone), i = 0; day <= localDayOf(end, timeZone) && i < MAX_DAYS; day += DAY_MS, i++) {
+      for (const window of windowsOn(calendar, day, timeZone)) {
+        total += Math.max(0, Math.min(window.end, end) - Math.max(window.start, start));
+      }
+    }
+
+    return total;
+  }
+};
@@ -0,0 +1,154 @@
+// services/complaintAccessService.js
+import { Workflow, WorkflowVersion, WorkflowInstance, Approval, ComplaintTransfer } from '../models/models.js';
+import { workflowVersionService } from './workflowVersionService.js';
+import { idOf } from '../utils/helpers.js';
+
+export const complaintAccessService = {
+  /**
+   * Get the IDs of open complaints whose current workflow stage, or the stage of an open
+   * parallel branch, is reviewed by the user's role (e.g. a "Faculty Review" stage for Faculty users)
+   * @param {Object} user - Authenticated user
+   * @returns {Promise<Array>} - Complaint IDs
+   */
+  getReviewComplaintIds: async (user) => {
+    const filter = { organizationId: user.organizationId, 'stages.reviewerRole': user.role };
+    const [versions, workflows] = await Promise.all([
+      WorkflowVersion.find(filter).select('stages.id stages.reviewerRole'),
+      Workflow.find(filter).select('stages.id stages.reviewerRole')
+    ]);
+
+    const inReviewedStage = (definition) => {
+      const stageIds = definition.stages.filter(s => s.reviewerRole === user.role).map(s => s.id);
+      return [
+        { currentStageId: { $in: stageIds } },
+        { branches: { $elemMatch: { stageId: { $in: stageIds }, status: 'ACTIVE' } } }
+      ];
+    };
+
+    // Instances started before versioning still follow the workflow itself until pinned
+    const stageMatches = [
+      ...versions.flatMap(version => inReviewedStage(version).map(match => ({
+        workflowVersionId: version._id,
+        ...match
+      }))),
+      ...workflows.flatMap(workflow => inReviewedStage(workflow).map(match => ({
+        workflowId: workflow._id,
+        workflowVersionId: null,
+        ...match
+      })))
+    ];
+
+    if (stageMatches.length === 0) return [];
+
+    return WorkflowInstance.find({ isCompleted: false, $or: stageMatches }).distinct('complaintId');
+  },
+
+  /**
+   * Build the query conditions limiting a complaint list to what the user may see
+   * @param {Object} user - Authenticated user
+   * @param {String} scope - Faculty only: 'filed', 'review' or empty for both
+   * @returns {Promise<Object>} - Conditions to merge into the complaint filter
+   */
+  getListFilter: async (user, scope) => {
+    switch (user.role) {
+      case 'SuperAdmin':
+        return {};
+      case 'DepartmentUser':
+        return { departmentId: user.departmentId };
+      case 'Faculty': {
+        const filed = { $or: [{ complainantId: user._id }, { followers: user._id }] };
+        if (scope === 'filed') return filed;
+
+        const reviewIds = await complaintAccessService.getReviewComplaintIds(user);
+        const reviewing = { _id: { $in: reviewIds } };
+        if (user.departmentId) reviewing.departmentId = user.departmentId;
+        const routed = [{ assignedTo: user._id }, reviewing];
+
+        return { $or: scope === 'review' ? routed : [filed, ...routed] };
+      }
+      default:
+        return { $or: [{ complainantId: user._id }, { followers: user._id }] };
+    }
+  },
+
+  /**
+   * Get the roles reviewing the complaint's current stage or an open branch's stage
+   * @param {Object} complaint - Complaint document
+   * @returns {Promise<Array>} - Role names
+   */
+  getReviewerRoles: async (complaint) => {
+    const instance = await WorkflowInstance.findOne({ complaintId: complaint._id, isCompleted: false })
+      .populate('workflowVersionId', 'version stages.id stages.reviewerRole');
+    const definition = instance && await workflowVersionService.getDefinition(instance);
+    const stageIds = [
+      instance?.currentStageId,
+      ...(instance?.branches || []).filter(b => b.status === 'ACTIVE').map(b => b.stageId)
+    ];
+
+    return (definition?.stages || [])
+      .filter(s => stageIds.includes(s.id) && s.reviewerRole)
+      .map(s => s.reviewerRole);
+  },
+
+  /**
+   * Check whether the complaint's current stage, or an open branch's stage, is reviewed by this user
+   * @param {Object} user - Authenticated user
+   * @param {Object} complaint - Complaint document
+   * @param {Array} [reviewerRoles] - From getReviewerRoles, when already looked up
+   * @returns {Promise<Boolean>}
+   */
+  isCurrentReviewer: async (user, complaint, reviewerRoles) => {
+    if (user.departmentId && idOf(user.departmentId) !== idOf(complaint.departmentId)) {
+      return false;
+    }
+
+    const roles = reviewerRoles || await complaintAccessService.getReviewerRoles(complaint);
+    return roles.includes(user.role);
+  },
+
+  /**
+   * Check whether the user may act on a complaint (update status, move stage, escalate)
+   * @param {Object} user - Authenticated user
+   * @param {Object} complaint - Complaint document
+   * @returns {Promise<Boolean>}
+   */
+  canAct: async (user, complaint) => {
+    switch (user.role) {
+      case 'SuperAdmin':
+        return true;
+      case 'DepartmentUser':
+        return idOf(user.departmentId) === idOf(complaint.departmentId);
+      case 'Faculty':
+        return idOf(complaint.assignedTo) === idOf(user._id) ||
+          complaintAccessService.isCurrentReviewer(user, complaint);
+      default:
+        return false;
+    }
+  },
+
+  /**
+   * Check whether the user may view a complaint and its comments. Approvers see the
+   * complaints waiting for their decision, department users the complaints their
+   * department is asked to take over, and followers the complaints theirs were merged into.
+   * @param {Object} user - Authenticated user
+   * @param {Object} complaint - Complaint document
+   * @returns {Promise<Boolean>}
+   */
+  canView: async (user, complaint) => {
+    if (idOf(complaint.complainantId) === idOf(user._id) || idOf(complaint.assignedTo) === idOf(user._id)) {
+      return true;
+    }
+    if (complaint.followers?.some(id => idOf(id) === idOf(user._id))) return true;
+    if (await complaintAccessService.canAct(user, complaint)) return true;
+
+    if (user.role === 'DepartmentUser' && await ComplaintTransfer.exists({
+      complaintId: complaint._id,
+      toDepartmentId: user.departmentId,
+      status: 'PENDING'
+    })) {
+      return true;
+    }
+
+    return Boolean(await Approval.exists({ complaintId: complaint._id, approverIds: user._id, status: 'PENDING' }));
+  }
+};
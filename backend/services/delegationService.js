@@ -0,0 +1,181 @@
+// services/delegationService.js
+// Out-of-office periods with a delegate. While a user is out of office, complaints assigned
+// to them go to their delegate (see assignmentService.resolveActingUser), notifications meant
+// for them reach the delegate (see notificationDispatchService), and, if they asked for it,
+// their open complaints are handed over once the period starts.
+import mongoose from 'mongoose';
+import { User, Complaint, ComplaintLog } from '../models/models.js';
+import { assignmentService } from './assignmentService.js';
+import { notificationDispatchService } from './notificationDispatchService.js';
+import { emailService } from './emailService.js';
+import { OPEN_STATUSES } from '../utils/helpers.js';
+
+const fullName = (user) => `${user.firstName || ''} ${user.lastName || ''}`.trim() || user.email;
+
+const formatUntil = (user) => (user.outOfOffice?.endsAt
+  ? ` until ${new Date(user.outOfOffice.endsAt).toISOString().slice(0, 10)}`
+  : '');
+
+export const delegationService = {
+  /**
+   * Query for the users who may stand in for a user: active colleagues with the same role,
+   * from the same department for department users
+   * @param {Object} user - The user going out of office
+   * @returns {Object} - User filter
+   */
+  delegateFilter: (user) => ({
+    _id: { $ne: user._id },
+    organizationId: user.organizationId,
+    role: user.role,
+    isActive: true,
+    ...(user.role === 'DepartmentUser' ? { departmentId: user.departmentId } : {})
+  }),
+
+  /**
+   * Set or change a user's out-of-office period; the caller saves, then hands over open
+   * complaints if the period has started (the scheduler does it for later starts)
+   * @param {Object} user - User document
+   * @param {Object} period - { startsAt, endsAt, delegateId, handOver }
+   * @returns {Promise<String|null>} An error message, or null if the period was applied
+   */
+  applyOutOfOffice: async (user, { startsAt, endsAt, delegateId, handOver }) => {
+    const starts = startsAt ? new Date(startsAt) : new Date();
+    const ends = endsAt ? new Date(endsAt) : null;
+
+    if (!ends) return 'Choose when the out-of-office period ends';
+    if (ends <= starts) return 'Out of office must end after it starts';
+    if (ends <= new Date()) return 'Out of office must end in the future';
+
+    if (delegateId) {
+      if (!mongoose.isValidObjectId(delegateId) ||
+        !await User.exists({ ...delegationService.delegateFilter(user), _id: delegateId })) {
+        return user.role === 'DepartmentUser'
+          ? 'The delegate must be an active colleague in the same department'
+          : 'The delegate must be an active colleague with the same role';
+      }
+    } else if (handOver) {
+      return 'Choose a delegate to hand the open complaints to';
+    }
+
+    user.outOfOffice = {
+      startsAt: starts,
+      endsAt: ends,
+      delegateId: delegateId || undefined,
+      handOver: Boolean(handOver),
+      handedOverAt: undefined
+    };
+    return null;
+  },
+
+  /**
+   * Record in the complaint's log that an assignment went to a delegate
+   * @param {Object} options
+   * @param {Object} options.complaint - The complaint
+   * @param {Array} options.awayUsers - Away users passed, in order, from resolveActingUser
+   * @param {Object} options.assignee - Who got the complaint
+   * @param {ObjectId} [options.actorId] - Who assigned it; the away user for automatic assignments
+   */
+  recordRedirect: async ({ complaint, awayUsers, assignee, actorId }) => {
+    const [intended] = awayUsers;
+    await ComplaintLog.create({
+      complaintId: complaint._id,
+      userId: actorId || intended._id,
+      action: 'ASSIGNMENT_REDIRECTED',
+      comment: `${fullName(intended)} is out of office${formatUntil(intended)}; assigned to their delegate ${fullName(assignee)}`,
+      previousStage: complaint.currentStage,
+      newStage: complaint.currentStage
+    });
+  },
+
+  /**
+   * Hand a user's open complaints to whoever acts for them, logging each one and
+   * notifying the delegate once
+   * @param {Object} user - User document whose out-of-office period has started
+   * @returns {Promise<Object>} - { delegate, count }; delegate is null when nobody can take them
+   */
+  handOverOpenComplaints: async (user) => {
+    const { user: delegate, awayUsers } = await assignmentService.resolveActingUser(user);
+    if (awayUsers.length === 0) return { delegate: null, count: 0 };
+
+    const complaints = await Complaint.find({
+      assignedTo: user._id,
+      status: { $in: OPEN_STATUSES }
+    });
+
+    for (const complaint of complaints) {
+      complaint.assignedTo = delegate._id;
+      complaint.updatedAt = new Date();
+      await complaint.save();
+
+      await ComplaintLog.create({
+        complaintId: complaint._id,
+        userId: user._id,
+        action: 'ASSIGNMENT_REDIRECTED',
+        comment: `Handed over to ${fullName(delegate)} while ${fullName(user)} is out of office${formatUntil(user)}`,
+        previousStage: complaint.currentStage,
+        newStage: complaint.currentStage
+      });
+    }
+
+    await User.updateOne({ _id: user._id }, { $set: { 'outOfOffice.handedOverAt': new Date() } });
+
+    if (complaints.length > 0) {
+      const [first] = complaints;
+      await notificationDispatchService.dispatch({
+        event: 'ASSIGNED_COMPLAINT',
+        recipients: [delegate],
+        notification: {
+          message: complaints.length === 1
+            ? `${fullName(user)} is out of office; you now handle: ${first.title}`
+            : `${fullName(user)} is out of office; ${complaints.length} of their open complaints are now assigned to you`,
+          relatedTo: { type: 'COMPLAINT', id: first._id }
+        },
+        sendEmail: (recipient) => emailService.sendComplaintAssignmentNotification(
+          recipient.email,
+          {
+            userName: fullName(recipient),
+            complaintTitle: complaints.length === 1
+              ? first.title
+              : `${complaints.length} complaints handed over from ${fullName(user)}`,
+            complaintId: first._id,
+            priority: first.priority
+          },
+          { organizationId: first.organizationId }
+        )
+      });
+    }
+
+    return { delegate, count: complaints.length };
+  },
+
+  /**
+   * Hand over the open complaints of every user whose out-of-office period has started
+   * and who asked for it. Run by the scheduler.
+   * @returns {Promise<Object>} - { processed, handedOver, failures }
+   */
+  handOverDue: async () => {
+    const now = new Date();
+    const result = { processed: 0, handedOver: 0, failures: [] };
+
+    const users = await User.find({
+      isActive: true,
+      'outOfOffice.handOver': true,
+      'outOfOffice.handedOverAt': null,
+      'outOfOffice.startsAt': { $lte: now },
+      'outOfOffice.endsAt': { $gt: now }
+    });
+
+    for (const user of users) {
+      result.processed++;
+      try {
+        const { count } = await delegationService.handOverOpenComplaints(user);
+        result.handedOver += count;
+      } catch (err) {
+        console.error(`Error handing over complaints of user ${user._id}:`, err);
+        result.failures.push({ message: err.message, ref: user._id.toString() });
+      }
+    }
+
+    return result;
+  }
+};
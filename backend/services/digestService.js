@@ -0,0 +1,266 @@
+// services/digestService.js
+import mongoose from 'mongoose';
+import { User, Complaint, Feedback, Notification, WorkflowInstance } from '../models/models.js';
+import { emailService } from './emailService.js';
+import { emailTemplateService } from './emailTemplateService.js';
+import { OPEN_STATUSES, isValidTimeZone } from '../utils/helpers.js';
+
+const PERIOD_DAYS = { daily: 1, weekly: 7 };
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Items listed per digest section; the heading still shows the full count
+const ITEMS_PER_SECTION = parseInt(process.env.DIGEST_ITEMS_PER_SECTION) || 10;
+
+// Calendar date, weekday and hour of a moment in a time zone
+const localParts = (date, timeZone) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      weekday: 'short',
+      hour: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(date).map(({ type, value }) => [type, value])
+  );
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    weekday: WEEKDAYS.indexOf(parts.weekday),
+    hour: parseInt(parts.hour)
+  };
+};
+
+// Same rule as the timed-transition sweep: the current stage has run past its duration
+const isOverdue = (instance, now) => {
+  const stage = instance.workflowVersionId?.stages?.find(s => s.id === instance.currentStageId);
+  const entry = [...instance.history].reverse().find(h => h.stageId === instance.currentStageId && !h.exitedAt);
+  if (!stage || !entry) return false;
+
+  return now - new Date(entry.enteredAt) > (stage.durationInHours || 24) * 60 * 60 * 1000;
+};
+
+// Render the first items of a section as a list, or null when it is empty
+const renderList = (items, renderItem) => {
+  if (items.length === 0) return null;
+
+  const rows = items
+    .slice(0, ITEMS_PER_SECTION)
+    .map(item => `<li style="margin: 6px 0;">${renderItem(item)}</li>`)
+    .join('');
+
+  return emailTemplateService.trustedHtml(`<ul style="padding-left: 20px; margin: 10px 0;">${rows}</ul>`);
+};
+
+const complaintLink = (complaint) => {
+  const { escapeHtml } = emailTemplateService;
+  const url = `${process.env.FRONTEND_URL}/complaints/${complaint._id}`;
+  return `<a href="${escapeHtml(url)}" style="color: #254E58;">${escapeHtml(complaint.title)}</a>`;
+};
+
+const renderComplaint = (complaint) =>
+  `${complaintLink(complaint)} <span style="color: #666;">· ${emailTemplateService.escapeHtml(complaint.priority)}</span>`;
+
+const renderFeedback = (feedback) => {
+  const stars = '★'.repeat(feedback.rating) + '☆'.repeat(5 - feedback.rating);
+  const comment = feedback.comment
+    ? `<br><span style="color: #666; font-style: italic;">"${emailTemplateService.escapeHtml(feedback.comment)}"</span>`
+    : '';
+  return `${complaintLink(feedback.complaint)} <span style="color: #666;">· ${stars}</span>${comment}`;
+};
+
+const renderNotification = (notification) => emailTemplateService.escapeHtml(notification.message);
+
+export const digestService = {
+  isValidTimeZone,
+
+  /**
+   * Whether a user's digest should go out now: on or after their chosen local
+   * hour (and weekday, for weekly digests), and not already sent that local day
+   * @param {Object} digest - notificationPreferences.digest
+   * @param {Date} now
+   * @returns {Boolean}
+   */
+  isDue: (digest, now = new Date()) => {
+    if (!PERIOD_DAYS[digest?.frequency]) return false;
+
+    const timeZone = isValidTimeZone(digest.timeZone) ? digest.timeZone : 'UTC';
+    const local = localParts(now, timeZone);
+
+    if (local.hour < digest.hour) return false;
+    if (digest.frequency === 'weekly' && local.weekday !== digest.dayOfWeek) return false;
+
+    return !digest.lastSentAt || localParts(digest.lastSentAt, timeZone).date !== local.date;
+  },
+
+  /**
+   * Collect everything a user's digest covers since a point in time
+   * @param {Object} user - Recipient
+   * @param {Date} since - Start of the period
+   * @param {Date} now
+   * @returns {Promise<Object>} - Lists of complaints, feedback and notifications
+   */
+  collect: async (user, since, now = new Date()) => {
+    // Complaints the user is responsible for: their department's and their own
+    const scope = [{ assignedTo: user._id }];
+    if (user.departmentId) scope.push({ departmentId: user.departmentId });
+    const scoped = { organizationId: user.organizationId, $or: scope };
+
+    const [newComplaints, openComplaints, escalatedComplaints, recentFeedback, updates] = await Promise.all([
+      user.departmentId
+        ? Complaint.find({
+          organizationId: user.organizationId,
+          departmentId: user.departmentId,
+          createdAt: { $gte: since }
+        }).select('title priority').sort({ createdAt: -1 })
+        : [],
+      Complaint.find({ ...scoped, status: { $in: OPEN_STATUSES } })
+        .select('title priority assignedTo')
+        .sort({ updatedAt: -1 }),
+      Complaint.find({ ...scoped, escalatedAt: { $gte: since } })
+        .select('title priority')
+        .sort({ escalatedAt: -1 }),
+      Feedback.aggregate([
+        { $match: { createdAt: { $gte: since } } },
+        { $lookup: { from: 'complaints', localField: 'complaintId', foreignField: '_id', as: 'complaint' } },
+        { $unwind: '$complaint' },
+        {
+          $match: {
+            'complaint.organizationId': new mongoose.Types.ObjectId(user.organizationId),
+            $or: scope.map(condition => Object.fromEntries(
+              Object.entries(condition).map(([key, value]) => [`complaint.${key}`, value])
+            ))
+          }
+        },
+        { $sort: { createdAt: -1 } },
+        { $project: { rating: 1, comment: 1, 'complaint._id': 1, 'complaint.title': 1 } }
+      ]),
+      Notification.find({ userId: user._id, includeInDigest: true, digestedAt: null })
+        .select('message createdAt')
+        .sort({ createdAt: -1 })
+    ]);
+
+    const instances = openComplaints.length > 0
+      ? await WorkflowInstance.find({
+        complaintId: { $in: openComplaints.map(complaint => complaint._id) },
+        isCompleted: false
+      })
+        .select('complaintId currentStageId history workflowVersionId')
+        .populate('workflowVersionId', 'stages')
+      : [];
+
+    const overdueIds = new Set(
+      instances.filter(instance => isOverdue(instance, now)).map(instance => instance.complaintId.toString())
+    );
+
+    return {
+      newComplaints,
+      assignedComplaints: openComplaints.filter(complaint => complaint.assignedTo?.toString() === user._id.toString()),
+      overdueComplaints: openComplaints.filter(complaint => overdueIds.has(complaint._id.toString())),
+      escalatedComplaints,
+      recentFeedback,
+      updates
+    };
+  },
+
+  /**
+   * Build and queue one user's digest, then record it as sent. Nothing is
+   * emailed when there is nothing to report.
+   * @param {Object} user - Recipient with notificationPreferences
+   * @param {Date} now
+   * @returns {Promise<Boolean>} - Whether an email was queued
+   */
+  sendDigest: async (user, now = new Date()) => {
+    const digest = user.notificationPreferences.digest;
+    const periodStart = new Date(now.getTime() - PERIOD_DAYS[digest.frequency] * DAY_MS);
+    const since = digest.lastSentAt && digest.lastSentAt > periodStart ? digest.lastSentAt : periodStart;
+
+    const sections = await digestService.collect(user, since, now);
+    const hasContent = Object.values(sections).some(items => items.length > 0);
+
+    if (hasContent) {
+      const timeZone = isValidTimeZone(digest.timeZone) ? digest.timeZone : 'UTC';
+      let formattedSince;
+      try {
+        formattedSince = new Intl.DateTimeFormat(user.language || 'en', {
+          dateStyle: 'medium',
+          timeStyle: 'short',
+          timeZone
+        }).format(since);
+      } catch {
+        formattedSince = since.toISOString();
+      }
+
+      const result = await emailService.sendNotificationDigest(user.email, {
+        userName: `${user.firstName} ${user.lastName}`,
+        since: formattedSince,
+        newCount: sections.newComplaints.length,
+        newComplaints: renderList(sections.newComplaints, renderComplaint),
+        assignedCount: sections.assignedComplaints.length,
+        assignedComplaints: renderList(sections.assignedComplaints, renderComplaint),
+        overdueCount: sections.overdueComplaints.length,
+        overdueComplaints: renderList(sections.overdueComplaints, renderComplaint),
+        escalatedCount: sections.escalatedComplaints.length,
+        escalatedComplaints: renderList(sections.escalatedComplaints, renderComplaint),
+        feedbackCount: sections.recentFeedback.length,
+        recentFeedback: renderList(sections.recentFeedback, renderFeedback),
+        updateCount: sections.updates.length,
+        otherUpdates: renderList(sections.updates, renderNotification)
+      }, { organizationId: user.organizationId });
+
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      if (sections.updates.length > 0) {
+        await Notification.updateMany(
+          { _id: { $in: sections.updates.map(notification => notification._id) } },
+          { $set: { digestedAt: now } }
+        );
+      }
+    }
+
+    await User.updateOne(
+      { _id: user._id },
+      { $set: { 'notificationPreferences.digest.lastSentAt': now } }
+    );
+
+    return hasContent;
+  },
+
+  /**
+   * Send every digest that is due. Run periodically by the scheduler.
+   * @returns {Promise<Object>} - { processed, sent, empty, failures }
+   */
+  sendDueDigests: async () => {
+    const result = { processed: 0, sent: 0, empty: 0, failures: 0 };
+    const now = new Date();
+
+    const users = await User.find({
+      isActive: true,
+      'notificationPreferences.email': { $ne: false },
+      'notificationPreferences.digest.frequency': { $in: Object.keys(PERIOD_DAYS) }
+    }).select('firstName lastName email language organizationId departmentId notificationPreferences');
+
+    for (const user of users) {
+      if (!digestService.isDue(user.notificationPreferences.digest, now)) continue;
+
+      result.processed++;
+      try {
+        const sent = await digestService.sendDigest(user, now);
+        if (sent) {
+          result.sent++;
+        } else {
+          result.empty++;
+        }
+      } catch (error) {
+        result.failures++;
+        console.error(`Error sending digest to user ${user._id}:`, error);
+      }
+    }
+
+    return result;
+  }
+};
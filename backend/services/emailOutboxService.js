@@ -0,0 +1,210 @@
+// services/emailOutboxService.js
+import os from 'os';
+import { EmailMessage } from '../models/models.js';
+import { emailService } from './emailService.js';
+import { EMAIL_TEMPLATE_DEFAULTS } from '../config/emailTemplates.js';
+import { numberFromEnv } from '../utils/helpers.js';
+
+class EmailOutboxService {
+  constructor() {
+    this.owner = `${os.hostname()}:${process.pid}`;
+    this.isDraining = false;
+    this.drainRequested = false;
+  }
+
+  get maxAttempts() {
+    return numberFromEnv('EMAIL_MAX_ATTEMPTS', 5);
+  }
+
+  /**
+   * Delay before the next attempt: EMAIL_RETRY_BASE_SECONDS doubled for every
+   * failed attempt, capped at EMAIL_RETRY_MAX_MINUTES
+   * @param {Number} attempts - Attempts made so far
+   * @returns {Number} Milliseconds
+   */
+  getBackoffMs(attempts) {
+    const baseMs = numberFromEnv('EMAIL_RETRY_BASE_SECONDS', 60) * 1000;
+    const maxMs = numberFromEnv('EMAIL_RETRY_MAX_MINUTES', 360) * 60 * 1000;
+    return Math.min(baseMs * (2 ** Math.max(attempts - 1, 0)), maxMs);
+  }
+
+  /**
+   * Whether a message holds a secret that must not be shown or sent again. Messages
+   * queued before the flag existed are judged by their event type.
+   * @param {Object} message - EmailMessage document
+   * @returns {Boolean}
+   */
+  isSensitive(message) {
+    return Boolean(message.sensitive || EMAIL_TEMPLATE_DEFAULTS[message.eventType]?.sensitive);
+  }
+
+  /**
+   * Store a rendered email in the outbox and wake the worker
+   * @param {Object} message - { organizationId, eventType, to, subject, html, sensitive, requestedBy, resendOf }
+   * @returns {Promise<Object>} The EmailMessage document
+   */
+  async enqueue(message) {
+    const emailMessage = await EmailMessage.create({
+      ...message,
+      maxAttempts: this.maxAttempts,
+      nextAttemptAt: new Date()
+    });
+
+    this.kick();
+    return emailMessage;
+  }
+
+  /**
+   * Queue a copy of an earlier message for delivery
+   * @param {Object} original - EmailMessage document
+   * @param {String} userId - Admin asking for the resend
+   * @returns {Promise<Object>} The new EmailMessage document
+   */
+  async resend(original, userId) {
+    return this.enqueue({
+      organizationId: original.organizationId,
+      eventType: original.eventType,
+      to: original.to,
+      subject: original.subject,
+      html: original.html,
+      resendOf: original._id,
+      requestedBy: userId
+    });
+  }
+
+  /**
+   * Start draining the outbox in the background, without waiting for it.
+   * The scheduled job picks up anything this misses.
+   */
+  kick() {
+    if (this.isDraining) {
+      this.drainRequested = true;
+      return;
+    }
+
+    setImmediate(async () => {
+      this.isDraining = true;
+      try {
+        do {
+          this.drainRequested = false;
+          await this.processDue();
+        } while (this.drainRequested);
+      } catch (err) {
+        console.error('Error draining email outbox:', err);
+      } finally {
+        this.isDraining = false;
+      }
+    });
+  }
+
+  /**
+   * Return messages whose worker died mid-delivery to the queue
+   * @returns {Promise<Number>} Messages released
+   */
+  async releaseStale() {
+    const lockTimeoutMs = numberFromEnv('EMAIL_SEND_TIMEOUT_MINUTES', 10) * 60 * 1000;
+    const result = await EmailMessage.updateMany(
+      { status: 'SENDING', lockedAt: { $lt: new Date(Date.now() - lockTimeoutMs) } },
+      { $set: { status: 'PENDING', nextAttemptAt: new Date() }, $unset: { lockedAt: 1, lockedBy: 1 } }
+    );
+    return result.modifiedCount || 0;
+  }
+
+  /**
+   * Atomically take the next due message so no two workers send it
+   * @returns {Promise<Object|null>} The claimed EmailMessage
+   */
+  async claimNext() {
+    const now = new Date();
+    return EmailMessage.findOneAndUpdate(
+      { status: 'PENDING', nextAttemptAt: { $lte: now } },
+      {
+        $set: { status: 'SENDING', lockedAt: now, lockedBy: this.owner },
+        $inc: { attempts: 1 }
+      },
+      { sort: { nextAttemptAt: 1 }, new: true }
+    );
+  }
+
+  /**
+   * Try to send a claimed message once, then mark it sent, schedule a retry
+   * or move it to the dead-letter state
+   * @param {Object} message - Claimed EmailMessage
+   * @returns {Promise<String>} SENT, RETRY or DEAD
+   */
+  async deliver(message) {
+    const startedAt = Date.now();
+
+    try {
+      const info = await emailService.sendEmail(message.to, {
+        subject: message.subject,
+        html: message.html
+      });
+
+      message.status = 'SENT';
+      message.sentAt = new Date();
+      message.providerMessageId = info.messageId;
+      message.lastError = undefined;
+      message.deliveryLog.push({ status: 'SENT', durationMs: Date.now() - startedAt });
+    } catch (err) {
+      message.lastError = err.message;
+      message.deliveryLog.push({
+        status: 'FAILED',
+        error: err.message,
+        responseCode: err.responseCode,
+        durationMs: Date.now() - startedAt
+      });
+
+      if (message.attempts >= message.maxAttempts) {
+        message.status = 'DEAD';
+        console.error(`Email ${message._id} to ${message.to} failed ${message.attempts} times; giving up:`, err.message);
+      } else {
+        message.status = 'PENDING';
+        message.nextAttemptAt = new Date(Date.now() + this.getBackoffMs(message.attempts));
+      }
+    }
+
+    message.lockedAt = undefined;
+    message.lockedBy = undefined;
+    // Nothing needs a sensitive body after the last attempt, so it is not kept in the log
+    if (message.status !== 'PENDING' && this.isSensitive(message)) {
+      message.sensitive = true;
+      message.html = undefined;
+    }
+    await message.save();
+
+    if (message.status === 'PENDING') return 'RETRY';
+    return message.status;
+  }
+
+  /**
+   * Send every message that is due, one at a time
+   * @param {Object} options - { limit } maximum messages to send in this pass
+   * @returns {Promise<Object>} { processed, sent, retried, dead, released, failures }
+   */
+  async processDue({ limit = numberFromEnv('EMAIL_OUTBOX_BATCH_SIZE', 100) } = {}) {
+    const result = { processed: 0, sent: 0, retried: 0, dead: 0, released: 0, failures: [] };
+
+    result.released = await this.releaseStale();
+
+    while (result.processed < limit) {
+      const message = await this.claimNext();
+      if (!message) break;
+
+      result.processed++;
+      const outcome = await this.deliver(message);
+
+      if (outcome === 'SENT') {
+        result.sent++;
+      } else {
+        if (outcome === 'DEAD') result.dead++;
+        else result.retried++;
+        result.failures.push({ message: message.lastError, ref: message._id.toString() });
+      }
+    }
+
+    return result;
+  }
+}
+
+export const emailOutboxService = new EmailOutboxService();
@@ -1,5 +1,8 @@
 import nodemailer from 'nodemailer';
 import dotenv from 'dotenv';
+import { emailTemplateService } from './emailTemplateService.js';
+import { emailOutboxService } from './emailOutboxService.js';
+import { EMAIL_TEMPLATE_DEFAULTS } from '../config/emailTemplates.js';
 
 dotenv.config();
 
@@ -11,18 +14,22 @@ class EmailService {
   createTransporter() {
     // Match your exact logging format
     console.log('Email Config:', {
+      host: process.env.SMTP_HOST || 'smtp.gmail.com',
       user: process.env.EMAIL_USER ? 'Set' : 'Not Set',
       pass: process.env.EMAIL_PASSWORD ? 'Set' : 'Not Set'
     });
 
+    // Gmail over SSL unless SMTP_HOST points elsewhere, e.g. the local stand-in in scripts/smtpStandIn.js
+    const port = parseInt(process.env.SMTP_PORT) || 465;
+
     this.transporter = nodemailer.createTransport({
-      host: 'smtp.gmail.com',
-      port: 465,
-      secure: true, // use SSL
-      auth: {
+      host: process.env.SMTP_HOST || 'smtp.gmail.com',
+      port,
+      secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+      auth: process.env.EMAIL_USER ? {
         user: process.env.EMAIL_USER,
         pass: process.env.EMAIL_PASSWORD
-      },
+      } : undefined,
       debug: true
     });
 
@@ -36,285 +43,180 @@ class EmailService {
     });
   }
 
-  async sendDepartmentAssignmentEmail(userEmail, userName, departmentName, organizationName) {
-    try {
-      const mailOptions = {
-        from: `"ResolveSuite" <${process.env.EMAIL_USER}>`,
-        to: userEmail,
-        subject: 'Department Assignment Notification',
-        html: `
-          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-            <div style="background-color: #254E58; padding: 20px; text-align: center;">
-              <h1 style="color: #88BDBC; margin: 0;">ResolveSuite</h1>
-            </div>
-            <div style="padding: 20px; border: 1px solid #ddd; border-radius: 5px; margin-top: 20px;">
-              <h2 style="color: #254E58;">Department Assignment Notice</h2>
-              <p>Dear ${userName},</p>
-              <p>You have been assigned to the following department at ${organizationName}:</p>
-              <div style="background-color: #f8f9fa; padding: 15px; border-radius: 5px; margin: 20px 0;">
-                <h3 style="color: #254E58; margin: 0;">${departmentName}</h3>
-              </div>
-              <p>You can now access department-specific features and responsibilities through your ResolveSuite dashboard.</p>
-              <hr style="border: none; border-top: 1px solid #ddd; margin: 20px 0;">
-              <p style="color: #666; font-size: 12px;">ResolveSuite - Educational Complaint Management System</p>
-            </div>
-          </div>
-        `
-      };
-
-      const info = await this.transporter.sendMail(mailOptions);
-      console.log('Email sent successfully:', info.messageId);
-      return { success: true, messageId: info.messageId };
-
-    } catch (error) {
-      console.error('Failed to send email:', error);
-      // Don't throw the error, just return failure status
-      return { success: false, error: error.message };
-    }
+  /**
+   * Send an already rendered email over SMTP. Throws on failure; only the
+   * outbox worker should call this.
+   * @param {String} to - Recipient address
+   * @param {Object} message - { subject, html }
+   */
+  async sendEmail(to, { subject, html }) {
+    const info = await this.transporter.sendMail({
+      from: `"ResolveSuite" <${process.env.EMAIL_FROM || process.env.EMAIL_USER || 'no-reply@resolvesuite.local'}>`,
+      to,
+      subject,
+      html
+    });
+    return info;
   }
 
-  async sendPasswordResetEmail(email, user, otp) {
+  /**
+   * Render an organization's template for an email event and queue it for delivery
+   * @param {String} eventType - Key of EMAIL_TEMPLATE_DEFAULTS
+   * @param {String} to - Recipient address
+   * @param {Object} variables - Template variables
+   * @param {Object} context - { organizationId, language } used to pick the template
+   * @returns {Promise<Object>} { success, messageId } where messageId is the outbox entry
+   */
+  async sendTemplatedEmail(eventType, to, variables, context = {}) {
     try {
-      const mailOptions = {
-        from: `"ResolveSuite" <${process.env.EMAIL_USER}>`,
-        to: email,
-        subject: 'ResolveSuite Password Reset',
-        html: `
-          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-            <div style="background-color: #254E58; padding: 20px; text-align: center;">
-              <h1 style="color: #88BDBC; margin: 0;">ResolveSuite</h1>
-            </div>
-            <div style="padding: 20px; border: 1px solid #ddd; border-radius: 5px; margin-top: 20px;">
-              <h2 style="color: #254E58;">Password Reset Request</h2>
-              <p>A password reset was requested for your ResolveSuite account.</p>
-              <p><strong>Organization:</strong> ${user.organizationId.name}</p>
-              <p><strong>Role:</strong> ${user.role}</p>
-              <div style="background-color: #f8f9fa; padding: 15px; border-radius: 5px; text-align: center; margin: 20px 0;">
-                <p style="margin: 0;">Your OTP:</p>
-                <h2 style="color: #254E58; margin: 10px 0;">${otp}</h2>
-                <p style="margin: 0; color: #666; font-size: 12px;">This OTP will expire in 15 minutes</p>
-              </div>
-              <p style="color: #666;">If you didn't request this password reset, please ignore this email.</p>
-              <hr style="border: none; border-top: 1px solid #ddd; margin: 20px 0;">
-              <p style="color: #666; font-size: 12px;">ResolveSuite - Educational Complaint Management System</p>
-            </div>
-          </div>
-        `
-      };
-
-      const info = await this.transporter.sendMail(mailOptions);
-      console.log('Email sent successfully:', info.messageId);
-      return { success: true, messageId: info.messageId };
+      const message = await emailTemplateService.buildEmail(eventType, variables, { ...context, email: to });
+      const queued = await emailOutboxService.enqueue({
+        organizationId: context.organizationId,
+        eventType,
+        to,
+        ...message,
+        sensitive: Boolean(EMAIL_TEMPLATE_DEFAULTS[eventType]?.sensitive)
+      });
+      return { success: true, messageId: queued._id };
 
     } catch (error) {
-      console.error('Failed to send email:', error);
+      console.error(`Failed to queue ${eventType} email:`, error);
       // Don't throw the error, just return failure status
       return { success: false, error: error.message };
     }
   }
 
-  async sendNewComplaintNotification(userEmail, { userName, complaintTitle, complaintId, priority }) {
-    try {
-      const mailOptions = {
-        from: `"ResolveSuite" <${process.env.EMAIL_USER}>`,
-        to: userEmail,
-        subject: `New Complaint Assigned - ${complaintTitle}`,
-        html: `
-          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-            <div style="background-color: #254E58; padding: 20px; text-align: center;">
-              <h1 style="color: #88BDBC; margin: 0;">ResolveSuite</h1>
-            </div>
-            <div style="padding: 20px; border: 1px solid #ddd; border-radius: 5px; margin-top: 20px;">
-              <h2 style="color: #254E58;">New Complaint Notification</h2>
-              <p>Dear ${userName},</p>
-              <p>A new complaint has been assigned to your department:</p>
-              <div style="background-color: #f8f9fa; padding: 15px; border-radius: 5px; margin: 20px 0;">
-                <h3 style="color: #254E58; margin: 0;">${complaintTitle}</h3>
-                <p style="margin: 10px 0;"><strong>Complaint ID:</strong> ${complaintId}</p>
-                <p style="margin: 10px 0;"><strong>Priority:</strong> ${priority}</p>
-              </div>
-              <p>Please review and take appropriate action.</p>
-              <hr style="border: none; border-top: 1px solid #ddd; margin: 20px 0;">
-              <p style="color: #666; font-size: 12px;">ResolveSuite - Educational Complaint Management System</p>
-            </div>
-          </div>
-        `
-      };
+  async sendDepartmentAssignmentEmail(userEmail, userName, departmentName, organizationName, context = {}) {
+    return this.sendTemplatedEmail('DEPARTMENT_ASSIGNMENT', userEmail, {
+      userName,
+      departmentName,
+      organizationName
+    }, context);
+  }
 
-      const info = await this.transporter.sendMail(mailOptions);
-      console.log('Complaint notification email sent successfully:', info.messageId);
-      return { success: true, messageId: info.messageId };
+  async sendPasswordResetEmail(email, user, otp) {
+    return this.sendTemplatedEmail('PASSWORD_RESET', email, {
+      organizationName: user.organizationId.name,
+      role: user.role,
+      otp
+    }, {
+      organizationId: user.organizationId._id,
+      language: user.language
+    });
+  }
 
-    } catch (error) {
-      console.error('Failed to send complaint notification email:', error);
-      return { success: false, error: error.message };
-    }
+  async sendNewComplaintNotification(userEmail, { userName, complaintTitle, complaintId, priority }, context = {}) {
+    return this.sendTemplatedEmail('NEW_COMPLAINT', userEmail, {
+      userName,
+      complaintTitle,
+      complaintId,
+      priority
+    }, context);
   }
 
-  async sendComplaintStatusUpdate(userEmail, { userName, complaintTitle, complaintId, newStatus, comment }) {
-    try {
-      const mailOptions = {
-        from: `"ResolveSuite" <${process.env.EMAIL_USER}>`,
-        to: userEmail,
-        subject: `Complaint Status Update - ${complaintTitle}`,
-        html: `
-          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-            <div style="background-color: #254E58; padding: 20px; text-align: center;">
-              <h1 style="color: #88BDBC; margin: 0;">ResolveSuite</h1>
-            </div>
-            <div style="padding: 20px; border: 1px solid #ddd; border-radius: 5px; margin-top: 20px;">
-              <h2 style="color: #254E58;">Complaint Status Update</h2>
-              <p>Dear ${userName},</p>
-              <p>Your complaint has been updated:</p>
-              <div style="background-color: #f8f9fa; padding: 15px; border-radius: 5px; margin: 20px 0;">
-                <h3 style="color: #254E58; margin: 0;">${complaintTitle}</h3>
-                <p style="margin: 10px 0;"><strong>Complaint ID:</strong> ${complaintId}</p>
-                <p style="margin: 10px 0;"><strong>New Status:</strong> ${newStatus}</p>
-                <p style="margin: 10px 0;"><strong>Comment:</strong> ${comment}</p>
-              </div>
-              <hr style="border: none; border-top: 1px solid #ddd; margin: 20px 0;">
-              <p style="color: #666; font-size: 12px;">ResolveSuite - Educational Complaint Management System</p>
-            </div>
-          </div>
-        `
-      };
+  async sendComplaintStatusUpdate(userEmail, { userName, complaintTitle, complaintId, newStatus, comment }, context = {}) {
+    return this.sendTemplatedEmail('COMPLAINT_STATUS_UPDATE', userEmail, {
+      userName,
+      complaintTitle,
+      complaintId,
+      newStatus,
+      comment
+    }, context);
+  }
 
-      const info = await this.transporter.sendMail(mailOptions);
-      console.log('Status update email sent successfully:', info.messageId);
-      return { success: true, messageId: info.messageId };
+  async sendComplaintAssignmentNotification(userEmail, { userName, complaintTitle, complaintId, priority }, context = {}) {
+    return this.sendTemplatedEmail('COMPLAINT_ASSIGNED', userEmail, {
+      userName,
+      complaintTitle,
+      complaintId,
+      priority
+    }, context);
+  }
 
-    } catch (error) {
-      console.error('Failed to send status update email:', error);
-      return { success: false, error: error.message };
-    }
+  async sendComplaintEscalationNotification(userEmail, { userName, complaintTitle, complaintId, reason }, context = {}) {
+    return this.sendTemplatedEmail('COMPLAINT_ESCALATED', userEmail, {
+      userName,
+      complaintTitle,
+      complaintId,
+      reason
+    }, context);
   }
 
-  async sendComplaintAssignmentNotification(userEmail, { userName, complaintTitle, complaintId, priority }) {
-    try {
-      const mailOptions = {
-        from: `"ResolveSuite" <${process.env.EMAIL_USER}>`,
-        to: userEmail,
-        subject: `Complaint Assigned - ${complaintTitle}`,
-        html: `
-          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-            <div style="background-color: #254E58; padding: 20px; text-align: center;">
-              <h1 style="color: #88BDBC; margin: 0;">ResolveSuite</h1>
-            </div>
-            <div style="padding: 20px; border: 1px solid #ddd; border-radius: 5px; margin-top: 20px;">
-              <h2 style="color: #254E58;">Complaint Assignment Notice</h2>
-              <p>Dear ${userName},</p>
-              <p>A complaint has been assigned to you:</p>
-              <div style="background-color: #f8f9fa; padding: 15px; border-radius: 5px; margin: 20px 0;">
-                <h3 style="color: #254E58; margin: 0;">${complaintTitle}</h3>
-                <p style="margin: 10px 0;"><strong>Complaint ID:</strong> ${complaintId}</p>
-                <p style="margin: 10px 0;"><strong>Priority:</strong> ${priority}</p>
-              </div>
-              <p>Please review and take appropriate action.</p>
-              <hr style="border: none; border-top: 1px solid #ddd; margin: 20px 0;">
-              <p style="color: #666; font-size: 12px;">ResolveSuite - Educational Complaint Management System</p>
-            </div>
-          </div>
-        `
-      };
+  async sendComplaintReopenedNotification(userEmail, { userName, complaintTitle, complaintId, reason }, context = {}) {
+    return this.sendTemplatedEmail('COMPLAINT_REOPENED', userEmail, {
+      userName,
+      complaintTitle,
+      complaintId,
+      reason
+    }, context);
+  }
 
-      const info = await this.transporter.sendMail(mailOptions);
-      console.log('Assignment notification email sent successfully:', info.messageId);
-      return { success: true, messageId: info.messageId };
+  async sendApprovalRequest(userEmail, { userName, complaintTitle, complaintId, stageName, instructions }, context = {}) {
+    return this.sendTemplatedEmail('APPROVAL_REQUESTED', userEmail, {
+      userName,
+      complaintTitle,
+      complaintId,
+      stageName,
+      instructions
+    }, context);
+  }
 
-    } catch (error) {
-      console.error('Failed to send assignment notification email:', error);
-      return { success: false, error: error.message };
-    }
+  async sendComplaintTransferNotification(userEmail, { userName, complaintTitle, complaintId, fromDepartment, toDepartment, reason }, context = {}) {
+    return this.sendTemplatedEmail('COMPLAINT_TRANSFERRED', userEmail, {
+      userName,
+      complaintTitle,
+      complaintId,
+      fromDepartment,
+      toDepartment,
+      reason
+    }, context);
   }
 
-  // Send feedback notification to assigned user
-  async sendFeedbackNotification(userEmail, { userName, complaintTitle, complaintId, rating, feedbackComment, complainantName }) {
-    try {
-      const starRating = '★'.repeat(rating) + '☆'.repeat(5 - rating);
+  async sendNewCommentNotification(userEmail, { userName, complaintTitle, complaintId, authorName, comment }, context = {}) {
+    return this.sendTemplatedEmail('NEW_COMMENT', userEmail, {
+      userName,
+      complaintTitle,
+      complaintId,
+      authorName,
+      comment
+    }, context);
+  }
 
-      const mailOptions = {
-        from: `"ResolveSuite" <${process.env.EMAIL_USER}>`,
-        to: userEmail,
-        subject: `Feedback Received - ${complaintTitle}`,
-        html: `
-        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-          <div style="background-color: #254E58; padding: 20px; text-align: center;">
-            <h1 style="color: #88BDBC; margin: 0;">ResolveSuite</h1>
-          </div>
-          <div style="padding: 20px; border: 1px solid #ddd; border-radius: 5px; margin-top: 20px;">
-            <h2 style="color: #254E58;">Feedback Received</h2>
-            <p>Dear ${userName},</p>
-            <p>You have received feedback for a complaint you handled:</p>
-            <div style="background-color: #f8f9fa; padding: 15px; border-radius: 5px; margin: 20px 0;">
-              <h3 style="color: #254E58; margin: 0;">${complaintTitle}</h3>
-              <p style="margin: 10px 0;"><strong>Complaint ID:</strong> ${complaintId}</p>
-              <p style="margin: 10px 0;"><strong>From:</strong> ${complainantName}</p>
-              <p style="margin: 10px 0;"><strong>Rating:</strong> ${starRating} (${rating}/5)</p>
-              ${feedbackComment ? `<p style="margin: 10px 0;"><strong>Comment:</strong></p><p style="margin: 10px 0; font-style: italic; background-color: #fff; padding: 10px; border-left: 4px solid #254E58;">"${feedbackComment}"</p>` : ''}
-            </div>
-            <p>This feedback helps us improve our service quality. Thank you for your excellent work!</p>
-            <hr style="border: none; border-top: 1px solid #ddd; margin: 20px 0;">
-            <p style="color: #666; font-size: 12px;">ResolveSuite - Educational Complaint Management System</p>
-          </div>
-        </div>
-      `
-      };
+  // Send feedback notification to assigned user
+  async sendFeedbackNotification(userEmail, { userName, complaintTitle, complaintId, rating, feedbackComment, complainantName }, context = {}) {
+    return this.sendTemplatedEmail('FEEDBACK_RECEIVED', userEmail, {
+      userName,
+      complaintTitle,
+      complaintId,
+      complainantName,
+      rating,
+      starRating: '★'.repeat(rating) + '☆'.repeat(5 - rating),
+      feedbackComment
+    }, context);
+  }
 
-      const info = await this.transporter.sendMail(mailOptions);
-      console.log('Feedback notification email sent successfully:', info.messageId);
-      return { success: true, messageId: info.messageId };
+  // Send a pre-approved user the registration ID they need to sign up
+  async sendRegistrationInvite(userEmail, { organizationName, registrationId, role }, context = {}) {
+    return this.sendTemplatedEmail('REGISTRATION_INVITE', userEmail, {
+      organizationName,
+      registrationId,
+      role
+    }, context);
+  }
 
-    } catch (error) {
-      console.error('Failed to send feedback notification email:', error);
-      return { success: false, error: error.message };
-    }
+  // Send a user their scheduled digest; the lists are built by digestService
+  async sendNotificationDigest(userEmail, variables, context = {}) {
+    return this.sendTemplatedEmail('NOTIFICATION_DIGEST', userEmail, variables, context);
   }
 
   // Send feedback request to complainant when complaint is resolved
-  async sendFeedbackRequest(userEmail, { userName, complaintTitle, complaintId, resolutionComment }) {
-    try {
-      const mailOptions = {
-        from: `"ResolveSuite" <${process.env.EMAIL_USER}>`,
-        to: userEmail,
-        subject: `Please Provide Feedback - ${complaintTitle}`,
-        html: `
-        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-          <div style="background-color: #254E58; padding: 20px; text-align: center;">
-            <h1 style="color: #88BDBC; margin: 0;">ResolveSuite</h1>
-          </div>
-          <div style="padding: 20px; border: 1px solid #ddd; border-radius: 5px; margin-top: 20px;">
-            <h2 style="color: #254E58;">Your Complaint Has Been Resolved</h2>
-            <p>Dear ${userName},</p>
-            <p>Great news! Your complaint has been successfully resolved.</p>
-            <div style="background-color: #f8f9fa; padding: 15px; border-radius: 5px; margin: 20px 0;">
-              <h3 style="color: #254E58; margin: 0;">${complaintTitle}</h3>
-              <p style="margin: 10px 0;"><strong>Complaint ID:</strong> ${complaintId}</p>
-              <p style="margin: 10px 0;"><strong>Status:</strong> <span style="color: #28a745; font-weight: bold;">Resolved</span></p>
-              ${resolutionComment ? `<p style="margin: 10px 0;"><strong>Resolution Details:</strong></p><p style="margin: 10px 0; background-color: #fff; padding: 10px; border-left: 4px solid #28a745;">${resolutionComment}</p>` : ''}
-            </div>
-            <div style="background-color: #fff3cd; padding: 15px; border-radius: 5px; margin: 20px 0; border-left: 4px solid #ffc107;">
-              <h4 style="color: #856404; margin: 0 0 10px 0;">📝 Your Feedback Matters!</h4>
-              <p style="margin: 0; color: #856404;">We would greatly appreciate your feedback on how we handled your complaint. Your input helps us improve our services.</p>
-              <p style="margin: 10px 0 0 0; color: #856404;"><strong>Please log in to your account to provide feedback.</strong></p>
-            </div>
-            <div style="text-align: center; margin: 20px 0;">
-              <a href="${process.env.FRONTEND_URL}/complaints" style="background-color: #254E58; color: white; padding: 12px 24px; text-decoration: none; border-radius: 5px; display: inline-block;">View Complaint & Provide Feedback</a>
-            </div>
-            <hr style="border: none; border-top: 1px solid #ddd; margin: 20px 0;">
-            <p style="color: #666; font-size: 12px;">ResolveSuite - Educational Complaint Management System</p>
-          </div>
-        </div>
-      `
-      };
-
-      const info = await this.transporter.sendMail(mailOptions);
-      console.log('Feedback request email sent successfully:', info.messageId);
-      return { success: true, messageId: info.messageId };
-
-    } catch (error) {
-      console.error('Failed to send feedback request email:', error);
-      return { success: false, error: error.message };
-    }
+  async sendFeedbackRequest(userEmail, { userName, complaintTitle, complaintId, resolutionComment }, context = {}) {
+    return this.sendTemplatedEmail('FEEDBACK_REQUEST', userEmail, {
+      userName,
+      complaintTitle,
+      complaintId,
+      resolutionComment
+    }, context);
   }
 
 }
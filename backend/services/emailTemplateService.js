@@ -0,0 +1,215 @@
+// services/emailTemplateService.js
+import { EmailTemplate, Organization, User } from '../models/models.js';
+import {
+  EMAIL_TEMPLATE_DEFAULTS,
+  GLOBAL_VARIABLES,
+  DEFAULT_LANGUAGE
+} from '../config/emailTemplates.js';
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, ch => HTML_ESCAPES[ch]);
+
+// Markup built by the server (such as digest lists) that is inserted without escaping
+class TrustedHtml {
+  constructor(html) {
+    this.html = html;
+  }
+
+  toString() {
+    return this.html;
+  }
+}
+
+const hasValue = (value) => value !== undefined && value !== null && value !== '' && value !== false &&
+  !(value instanceof TrustedHtml && !value.html);
+
+const SECTION_PATTERN = /\{\{#(\w+)\}\}([\s\S]*?)\{\{\/\1\}\}/g;
+const PLACEHOLDER_PATTERN = /\{\{\s*([#/]?)(\w+)\s*\}\}/g;
+
+// Shared header and footer around every template body
+const wrapInLayout = (body) => `
+  <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+    <div style="background-color: #254E58; padding: 20px; text-align: center;">
+      <h1 style="color: #88BDBC; margin: 0;">ResolveSuite</h1>
+    </div>
+    <div style="padding: 20px; border: 1px solid #ddd; border-radius: 5px; margin-top: 20px;">
+      ${body}
+      <hr style="border: none; border-top: 1px solid #ddd; margin: 20px 0;">
+      <p style="color: #666; font-size: 12px;">ResolveSuite - Educational Complaint Management System</p>
+    </div>
+  </div>
+`;
+
+export const emailTemplateService = {
+  /**
+   * HTML-escape a value for markup built outside a template
+   * @param {*} value
+   * @returns {String}
+   */
+  escapeHtml,
+
+  /**
+   * Mark server-built markup so templates insert it as-is. Never wrap
+   * user input without escaping it first.
+   * @param {String} html - Markup
+   * @returns {TrustedHtml}
+   */
+  trustedHtml: (html) => new TrustedHtml(html),
+
+  /**
+   * Fill in a template string. {{name}} is replaced by the variable and
+   * {{#name}}...{{/name}} is kept only when the variable has a value.
+   * Values made with trustedHtml() are inserted without escaping.
+   * @param {String} text - Template text
+   * @param {Object} variables - Values by placeholder name
+   * @param {Boolean} escape - HTML-escape the values (bodies); off for subjects
+   * @returns {String}
+   */
+  fill: (text, variables, escape = true) => {
+    return String(text || '')
+      .replace(SECTION_PATTERN, (_, name, inner) => (hasValue(variables[name]) ? inner : ''))
+      .replace(PLACEHOLDER_PATTERN, (match, marker, name) => {
+        if (marker) return '';
+        const value = variables[name];
+        if (value instanceof TrustedHtml) return value.html;
+        return escape ? escapeHtml(value) : String(value ?? '');
+      });
+  },
+
+  /**
+   * Render a subject and body into a ready-to-send email
+   * @param {Object} template - { subject, body }
+   * @param {Object} variables - Values by placeholder name
+   * @returns {Object} - { subject, html }
+   */
+  render: (template, variables) => ({
+    subject: emailTemplateService.fill(template.subject, variables, false).replace(/\s+/g, ' ').trim(),
+    html: wrapInLayout(emailTemplateService.fill(template.body, variables))
+  }),
+
+  /**
+   * Placeholders in a subject or body that the event does not provide
+   * @param {String} eventType - Email event
+   * @param {Array<String>} texts - Subject, body, ...
+   * @returns {Array<String>}
+   */
+  findUnknownVariables: (eventType, texts) => {
+    const known = new Set(emailTemplateService.getVariables(eventType).map(variable => variable.name));
+    const unknown = new Set();
+
+    for (const text of texts) {
+      for (const [, , name] of String(text || '').matchAll(PLACEHOLDER_PATTERN)) {
+        if (!known.has(name)) unknown.add(name);
+      }
+    }
+    return [...unknown];
+  },
+
+  /**
+   * Variables an event's template can use, including the global ones
+   * @param {String} eventType - Email event
+   * @returns {Array<Object>} - { name, description, sample }
+   */
+  getVariables: (eventType) => [
+    ...(EMAIL_TEMPLATE_DEFAULTS[eventType]?.variables || []),
+    ...GLOBAL_VARIABLES
+  ],
+
+  /**
+   * Sample values used for previews and test emails
+   * @param {String} eventType - Email event
+   * @returns {Object}
+   */
+  getSampleVariables: (eventType) => Object.fromEntries(
+    emailTemplateService.getVariables(eventType).map(variable => [
+      variable.name,
+      variable.html ? emailTemplateService.trustedHtml(variable.sample) : variable.sample
+    ])
+  ),
+
+  /**
+   * Store the built-in English templates for an organization if it has none yet,
+   * so the editor always starts from the current wording
+   * @param {String} organizationId - Organization ID
+   */
+  ensureDefaults: async (organizationId) => {
+    await EmailTemplate.bulkWrite(Object.entries(EMAIL_TEMPLATE_DEFAULTS).map(([eventType, defaults]) => ({
+      updateOne: {
+        filter: { organizationId, eventType, language: DEFAULT_LANGUAGE },
+        update: {
+          $setOnInsert: {
+            subject: defaults.subject,
+            body: defaults.body,
+            isActive: true
+          }
+        },
+        upsert: true
+      }
+    })));
+  },
+
+  /**
+   * Pick the template for an event: the organization's variant in the requested
+   * language, then its English variant, then the built-in default
+   * @param {String} organizationId - Organization ID, or null for the built-in default
+   * @param {String} eventType - Email event
+   * @param {String} language - Language code
+   * @returns {Promise<Object>} - { subject, body, language }
+   */
+  getTemplate: async (organizationId, eventType, language = DEFAULT_LANGUAGE) => {
+    const languages = [...new Set([language, DEFAULT_LANGUAGE])];
+
+    if (organizationId) {
+      const templates = await EmailTemplate.find({
+        organizationId,
+        eventType,
+        language: { $in: languages },
+        isActive: true
+      });
+
+      for (const lang of languages) {
+        const template = templates.find(t => t.language === lang);
+        if (template) return template;
+      }
+    }
+
+    const defaults = EMAIL_TEMPLATE_DEFAULTS[eventType];
+    return { subject: defaults.subject, body: defaults.body, language: DEFAULT_LANGUAGE };
+  },
+
+  /**
+   * Build the email for an event in the recipient's language
+   * @param {String} eventType - Email event
+   * @param {Object} variables - Values by placeholder name
+   * @param {Object} context - { organizationId, email, language }; language defaults to the
+   *   recipient's preference, then the organization's default language
+   * @returns {Promise<Object>} - { subject, html }
+   */
+  buildEmail: async (eventType, variables, { organizationId, email, language } = {}) => {
+    if (!EMAIL_TEMPLATE_DEFAULTS[eventType]) {
+      throw new Error(`Unknown email event: ${eventType}`);
+    }
+
+    const organization = organizationId
+      ? await Organization.findById(organizationId).select('name defaultLanguage')
+      : null;
+
+    if (!language && organization && email) {
+      const recipient = await User.findOne({ organizationId, email }).select('language');
+      language = recipient?.language;
+    }
+
+    const template = await emailTemplateService.getTemplate(
+      organization?._id,
+      eventType,
+      language || organization?.defaultLanguage || DEFAULT_LANGUAGE
+    );
+
+    return emailTemplateService.render(template, {
+      organizationName: organization?.name || '',
+      frontendUrl: process.env.FRONTEND_URL,
+      ...variables
+    });
+  }
+};
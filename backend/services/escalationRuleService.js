@@ -0,0 +1,320 @@
+// services/escalationRuleService.js
+import { EscalationRule, WorkflowInstance, Complaint, ComplaintLog, Feedback, User, Organization } from '../models/models.js';
+import { workflowService } from './workflowService.js';
+import { workflowVersionService } from './workflowVersionService.js';
+import { notificationDispatchService } from './notificationDispatchService.js';
+import { emailService } from './emailService.js';
+import { smsService } from './smsService.js';
+import { approvalService } from './approvalService.js';
+import { OPEN_STATUSES } from '../utils/helpers.js';
+
+const UNIT_MS = {
+  minutes: 60 * 1000,
+  hours: 60 * 60 * 1000,
+  days: 24 * 60 * 60 * 1000
+};
+
+class EscalationRuleService {
+  /**
+   * Validate the conditionValue of a rule for its conditionType
+   * @param {String} conditionType - The rule condition type
+   * @param {Object} conditionValue - The condition configuration
+   * @returns {String|null} An error message, or null if the condition is valid
+   */
+  validateCondition(conditionType, conditionValue = {}) {
+    const value = conditionValue || {};
+
+    switch (conditionType) {
+      case 'TIME_BASED':
+        if (!(Number(value.duration) > 0)) return 'Duration must be a positive number';
+        if (value.unit && !UNIT_MS[value.unit]) return 'Unit must be minutes, hours or days';
+        return null;
+      case 'NO_ACTIVITY':
+        if (!(Number(value.hours) > 0)) return 'Hours without activity must be a positive number';
+        return null;
+      case 'URGENT_UNASSIGNED':
+        if (value.hours !== undefined && !(Number(value.hours) >= 0)) return 'Hours must be zero or more';
+        return null;
+      case 'LOW_RATING_REOPEN': {
+        const rating = Number(value.rating);
+        if (!(rating >= 2 && rating <= 5)) return 'Rating threshold must be between 2 and 5';
+        return null;
+      }
+      default:
+        return 'Unsupported condition type';
+    }
+  }
+
+  /**
+   * Describe a rule condition in plain words, used in logs and notifications
+   * @param {Object} rule - The escalation rule
+   * @returns {String} The description
+   */
+  describeCondition(rule) {
+    const value = rule.conditionValue || {};
+
+    switch (rule.conditionType) {
+      case 'TIME_BASED':
+        return `in stage for more than ${value.duration} ${value.unit || 'hours'}`;
+      case 'NO_ACTIVITY':
+        return `no activity for ${value.hours} hours`;
+      case 'URGENT_UNASSIGNED':
+        return value.hours
+          ? `Urgent priority and unassigned for ${value.hours} hours`
+          : 'Urgent priority and unassigned';
+      case 'LOW_RATING_REOPEN':
+        return `reopened after a rating below ${value.rating}`;
+      default:
+        return rule.conditionType;
+    }
+  }
+
+  /**
+   * Evaluate every active escalation rule against open complaints
+   * Called periodically by the scheduler (see config/scheduler.js)
+   * @returns {Promise<Object>} Counts of evaluated rules and complaints, rules fired and any failures
+   */
+  async evaluateRules() {
+    const result = {
+      rules: 0,
+      processed: 0,
+      fired: 0,
+      failures: []
+    };
+
+    const rules = await EscalationRule.find({ isActive: true });
+
+    for (const rule of rules) {
+      result.rules++;
+
+      try {
+        const complaintIds = await Complaint.find({
+          organizationId: rule.organizationId,
+          complaintTypeId: rule.complaintTypeId,
+          status: { $in: OPEN_STATUSES }
+        }).distinct('_id');
+
+        if (complaintIds.length === 0) continue;
+
+        const instances = await WorkflowInstance.find({
+          complaintId: { $in: complaintIds },
+          currentStageId: rule.fromStage,
+          isCompleted: false,
+          status: { $in: ['ACTIVE', 'ESCALATED'] }
+        }).populate('workflowVersionId complaintId');
+
+        for (const instance of instances) {
+          result.processed++;
+
+          try {
+            if (!instance.complaintId) continue;
+
+            // Rules do not move complaints that are waiting on an approval decision
+            if (await approvalService.findPending(instance)) continue;
+
+            if (await this.isConditionMet(rule, instance, instance.complaintId)) {
+              await this.fireRule(rule, instance, instance.complaintId);
+              result.fired++;
+            }
+          } catch (err) {
+            console.error(`Error applying escalation rule ${rule._id} to workflow instance ${instance._id}:`, err);
+            result.failures.push({ message: err.message, ref: instance.complaintId?._id?.toString() });
+          }
+        }
+      } catch (err) {
+        console.error(`Error evaluating escalation rule ${rule._id}:`, err);
+        result.failures.push({ message: err.message, ref: rule._id.toString() });
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Check whether a rule's condition holds for a complaint
+   * @param {Object} rule - The escalation rule
+   * @param {Object} instance - The workflow instance (currently in rule.fromStage)
+   * @param {Object} complaint - The complaint
+   * @returns {Promise<Boolean>}
+   */
+  async isConditionMet(rule, instance, complaint) {
+    const value = rule.conditionValue || {};
+    const now = Date.now();
+
+    const currentEntry = instance.history.find(
+      h => h.stageId === instance.currentStageId && !h.exitedAt
+    );
+    const enteredAt = currentEntry ? new Date(currentEntry.enteredAt).getTime() : new Date(instance.startedAt).getTime();
+
+    switch (rule.conditionType) {
+      case 'TIME_BASED': {
+        const unitMs = UNIT_MS[value.unit] || UNIT_MS.hours;
+        return now - enteredAt > Number(value.duration) * unitMs;
+      }
+
+      case 'NO_ACTIVITY': {
+        const lastLog = await ComplaintLog.findOne({ complaintId: complaint._id })
+          .sort({ createdAt: -1 })
+          .select('createdAt');
+
+        const lastActivity = Math.max(
+          enteredAt,
+          lastLog ? new Date(lastLog.createdAt).getTime() : 0
+        );
+
+        return now - lastActivity > Number(value.hours) * UNIT_MS.hours;
+      }
+
+      case 'URGENT_UNASSIGNED': {
+        if (complaint.priority !== 'Urgent' || complaint.assignedTo) return false;
+
+        const since = new Date(complaint.escalatedAt || complaint.createdAt).getTime();
+        return now - since >= Number(value.hours || 0) * UNIT_MS.hours;
+      }
+
+      case 'LOW_RATING_REOPEN': {
+        const wasReopened = await ComplaintLog.exists({
+          complaintId: complaint._id,
+          $or: [
+            { action: 'REOPENED' },
+            {
+              action: 'STATUS_UPDATED',
+              previousStage: { $in: ['Resolved', 'Closed'] },
+              newStage: { $in: OPEN_STATUSES }
+            }
+          ]
+        });
+
+        if (!wasReopened) return false;
+
+        const feedback = await Feedback.findOne({ complaintId: complaint._id }).sort({ createdAt: -1 });
+        return !!feedback && feedback.rating < Number(value.rating);
+      }
+
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Fire a rule: move the complaint to rule.toStage, mark it escalated,
+   * record the firing in ComplaintLog and notify the department
+   * @param {Object} rule - The escalation rule
+   * @param {Object} instance - The workflow instance
+   * @param {Object} complaint - The complaint
+   */
+  async fireRule(rule, instance, complaint) {
+    const workflow = await workflowVersionService.getDefinition(instance);
+    if (!workflow) {
+      throw new Error(`Workflow ${instance.workflowId} no longer exists`);
+    }
+
+    const currentStage = workflow.stages.find(s => s.id === instance.currentStageId);
+    const targetStage = workflow.stages.find(s => s.id === rule.toStage);
+
+    if (!targetStage) {
+      throw new Error(`Stage ${rule.toStage} does not exist in version ${workflow.version} of workflow ${workflow.name}`);
+    }
+
+    const actorId = await this.getRuleActor(rule);
+    if (!actorId) {
+      throw new Error(`No user available to record escalation rule ${rule._id}`);
+    }
+
+    const ruleLabel = rule.name || `${rule.fromStage} → ${rule.toStage}`;
+    const reason = `Escalation rule "${ruleLabel}": ${this.describeCondition(rule)}`;
+
+    // Close the current stage and enter the target stage
+    const currentEntry = instance.history.find(
+      h => h.stageId === instance.currentStageId && !h.exitedAt
+    );
+
+    if (currentEntry) {
+      currentEntry.exitedAt = new Date();
+      currentEntry.actions.push({
+        type: 'ESCALATION_RULE',
+        performedAt: new Date(),
+        result: { ruleId: rule._id, targetStageId: targetStage.id },
+        notes: reason
+      });
+    }
+
+    instance.history.push({
+      stageId: targetStage.id,
+      enteredAt: new Date(),
+      actions: []
+    });
+
+    instance.currentStageId = targetStage.id;
+    instance.status = 'ESCALATED';
+    await instance.save();
+
+    complaint.currentStage = targetStage.name;
+    complaint.escalatedAt = new Date();
+    complaint.escalationReason = reason;
+    complaint.updatedAt = new Date();
+    await complaint.save();
+
+    await workflowService.enterStage(instance, targetStage, complaint);
+
+    await ComplaintLog.create({
+      complaintId: complaint._id,
+      userId: actorId,
+      action: 'ESCALATED',
+      comment: reason,
+      previousStage: currentStage ? currentStage.name : rule.fromStage,
+      newStage: targetStage.name
+    });
+
+    const departmentUsers = await User.find({
+      departmentId: complaint.departmentId,
+      role: 'DepartmentUser',
+      isActive: true
+    }).select('_id');
+
+    await notificationDispatchService.dispatch({
+      event: 'COMPLAINT_ESCALATED',
+      recipients: departmentUsers,
+      notification: {
+        message: `Complaint escalated automatically: ${complaint.title}`,
+        relatedTo: {
+          type: 'COMPLAINT',
+          id: complaint._id
+        }
+      },
+      sendEmail: (user) => emailService.sendComplaintEscalationNotification(
+        user.email,
+        {
+          userName: `${user.firstName} ${user.lastName}`,
+          complaintTitle: complaint.title,
+          complaintId: complaint._id,
+          reason
+        },
+        { organizationId: complaint.organizationId }
+      ),
+      sendSms: (user) => smsService.sendEscalationAlert(user, complaint)
+    });
+
+    await EscalationRule.updateOne(
+      { _id: rule._id },
+      { $inc: { fireCount: 1 }, $set: { lastFiredAt: new Date() } }
+    );
+
+    console.log(`Escalation rule ${rule._id} fired for complaint ${complaint._id}: moved to ${targetStage.name}`);
+  }
+
+  /**
+   * Get the user a rule firing is recorded against: the rule's creator,
+   * falling back to the organization's first SuperAdmin
+   * @param {Object} rule - The escalation rule
+   * @returns {Promise<ObjectId|null>}
+   */
+  async getRuleActor(rule) {
+    if (rule.createdBy) return rule.createdBy;
+
+    const organization = await Organization.findById(rule.organizationId).select('super_admins');
+    return organization?.super_admins?.[0] || null;
+  }
+}
+
+export const escalationRuleService = new EscalationRuleService();
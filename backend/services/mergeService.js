@@ -0,0 +1,304 @@
+// services/mergeService.js
+// Finds open complaints that look like the same issue and merges duplicates into a parent
+// complaint. A merged duplicate keeps its own log but stops being worked on: its complainant
+// becomes a follower of the parent, its attachments and log entries are copied over, and its
+// status follows the parent's from then on.
+import { Complaint, ComplaintLog, ComplaintTransfer, WorkflowInstance, Approval } from '../models/models.js';
+import { notificationDispatchService } from './notificationDispatchService.js';
+import { emailService } from './emailService.js';
+import { realtimeService } from './realtimeService.js';
+import { OPEN_STATUSES, idOf, numberFromEnv } from '../utils/helpers.js';
+
+const MAX_SIMILAR = 5;
+const MAX_CANDIDATES = 200;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Words too common to tell two complaints apart
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'are', 'was', 'were', 'has', 'have', 'had', 'not', 'but', 'with', 'this',
+  'that', 'there', 'from', 'they', 'them', 'their', 'our', 'you', 'your', 'been', 'being', 'can',
+  'cannot', 'could', 'would', 'should', 'will', 'into', 'onto', 'about', 'since', 'still', 'very',
+  'also', 'any', 'all', 'some', 'its', 'it\'s', 'please', 'when', 'what', 'which', 'who', 'how'
+]);
+
+// Distinct significant words of a text, with a plural "s" dropped so "rooms" matches "room"
+const tokenize = (text = '') => new Set(
+  text.toLowerCase()
+    .split(/[^a-z0-9']+/)
+    .filter(word => word.length > 2 && !STOP_WORDS.has(word))
+    .map(word => (word.length > 3 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word))
+);
+
+// Dice coefficient of two word sets: 1 when equal, 0 when they share nothing
+const overlap = (a, b) => {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  a.forEach(word => { if (b.has(word)) shared++; });
+  return (2 * shared) / (a.size + b.size);
+};
+
+// Copy the parent's status and its timestamps onto a merged duplicate
+const followParentStatus = (duplicate, parent) => {
+  duplicate.status = parent.status;
+  duplicate.resolvedAt = parent.resolvedAt;
+  duplicate.closedAt = parent.closedAt;
+  duplicate.updatedAt = new Date();
+};
+
+export const mergeService = {
+  /**
+   * Find open complaints of the same type and department filed recently whose title and
+   * description look like the given one. The window and threshold come from
+   * DUPLICATE_WINDOW_DAYS (default 14) and DUPLICATE_SIMILARITY_THRESHOLD (0 to 1, default 0.3).
+   * @param {Object} complaint - { organizationId, departmentId, complaintTypeId, title, description }
+   * @param {Object} [options]
+   * @param {String} [options.excludeId] - The complaint itself, when it is already saved
+   * @param {Date} [options.now] - End of the time window
+   * @returns {Promise<Array>} - Up to five { _id, title, status, createdAt, score }, most similar first
+   */
+  findSimilar: async (complaint, { excludeId, now = new Date() } = {}) => {
+    const windowDays = numberFromEnv('DUPLICATE_WINDOW_DAYS', 14);
+    const threshold = numberFromEnv('DUPLICATE_SIMILARITY_THRESHOLD', 0.3);
+
+    const filter = {
+      organizationId: complaint.organizationId,
+      departmentId: complaint.departmentId,
+      complaintTypeId: complaint.complaintTypeId,
+      status: { $in: OPEN_STATUSES },
+      mergedInto: null,
+      createdAt: { $gte: new Date(now.getTime() - windowDays * DAY_MS) }
+    };
+    if (excludeId) filter._id = { $ne: excludeId };
+
+    const candidates = await Complaint.find(filter)
+      .select('title description status createdAt')
+      .sort({ createdAt: -1 })
+      .limit(MAX_CANDIDATES);
+
+    const title = tokenize(complaint.title);
+    const description = tokenize(complaint.description);
+
+    return candidates
+      .map(candidate => ({
+        _id: candidate._id,
+        title: candidate.title,
+        status: candidate.status,
+        createdAt: candidate.createdAt,
+        score: Math.round((
+          0.6 * overlap(title, tokenize(candidate.title)) +
+          0.4 * overlap(description, tokenize(candidate.description))
+        ) * 100) / 100
+      }))
+      .filter(candidate => candidate.score >= threshold)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, MAX_SIMILAR);
+  },
+
+  /**
+   * Check a complaint can be merged into another
+   * @param {Object} duplicate - Complaint document to merge
+   * @param {Object} parent - Complaint document to merge into, or null when not found
+   * @returns {String|null} An error message, or null if the merge may go ahead
+   */
+  validateMerge: (duplicate, parent) => {
+    if (!parent) {
+      return 'Choose the complaint to merge into';
+    }
+    if (idOf(duplicate) === idOf(parent)) {
+      return 'A complaint cannot be merged into itself';
+    }
+    if (duplicate.mergedInto) {
+      return 'This complaint was already merged into another one';
+    }
+    if (parent.mergedInto) {
+      return 'That complaint was itself merged into another one; merge into that one instead';
+    }
+    if (!OPEN_STATUSES.includes(duplicate.status)) {
+      return 'Only open complaints can be merged';
+    }
+    if (parent.status === 'Closed') {
+      return 'Cannot merge into a closed complaint';
+    }
+    return null;
+  },
+
+  /**
+   * Merge a duplicate into its parent: its complainant and followers follow the parent, its
+   * attachments and log entries are copied over, complaints merged into it move to the parent,
+   * and its workflow ends
+   * @param {Object} duplicate - Complaint document, validated with validateMerge
+   * @param {Object} parent - Complaint document
+   * @param {Object} user - Who merged them
+   * @param {String} [comment] - Why they are the same issue
+   * @returns {Promise<Object|null>} - The updated parent, or null when the duplicate was merged
+   * in the meantime
+   */
+  merge: async (duplicate, parent, user, comment) => {
+    // Claim the duplicate first, so that of two merges of it at once only one copies it over
+    const mergedAt = new Date();
+    const claimed = await Complaint.findOneAndUpdate(
+      { _id: duplicate._id, mergedInto: null },
+      { $set: { mergedInto: parent._id, mergedAt, mergedBy: user._id } }
+    );
+    if (!claimed) return null;
+
+    const followers = new Map(
+      [...parent.followers, duplicate.complainantId, ...duplicate.followers].map(id => [idOf(id), id])
+    );
+    followers.delete(idOf(parent.complainantId));
+    parent.followers = [...followers.values()];
+
+    const urls = new Set(parent.attachments.map(a => a.url));
+    duplicate.attachments
+      .filter(attachment => !urls.has(attachment.url))
+      .forEach(({ filename, fileType, fileSize, url }) => parent.attachments.push({ filename, fileType, fileSize, url }));
+
+    parent.updatedAt = new Date();
+    await parent.save();
+
+    // The parent's feed shows what happened on the duplicate, marked as copied from it
+    const logs = await ComplaintLog.find({ complaintId: duplicate._id }).sort({ createdAt: 1 }).lean();
+    if (logs.length > 0) {
+      await ComplaintLog.insertMany(logs.map(({ _id, __v, ...log }) => ({
+        ...log,
+        complaintId: parent._id,
+        mergedFrom: log.mergedFrom || duplicate._id
+      })));
+
+      // insertMany skips the log's save hook, so open feeds of the parent are told once here
+      realtimeService.publishComplaintEvent(parent._id, 'complaint-log', {
+        action: 'LOGS_MERGED',
+        mergedFrom: duplicate._id,
+        count: logs.length,
+        createdAt: mergedAt
+      });
+    }
+
+    await Complaint.updateMany({ mergedInto: duplicate._id }, { $set: { mergedInto: parent._id } });
+
+    const previousStatus = duplicate.status;
+    duplicate.mergedInto = parent._id;
+    duplicate.mergedAt = mergedAt;
+    duplicate.mergedBy = user._id;
+    followParentStatus(duplicate, parent);
+    await duplicate.save();
+
+    const instance = await WorkflowInstance.findOne({ complaintId: duplicate._id, isCompleted: false });
+    if (instance) {
+      await Approval.updateMany(
+        { workflowInstanceId: instance._id, status: 'PENDING' },
+        { $set: { status: 'CANCELLED', decidedAt: new Date() } }
+      );
+      instance.isCompleted = true;
+      instance.completedAt = new Date();
+      instance.status = 'CANCELED';
+      await instance.save();
+    }
+    await ComplaintTransfer.updateMany(
+      { complaintId: duplicate._id, status: 'PENDING' },
+      { $set: { status: 'CANCELLED', decidedBy: user._id, decidedAt: new Date() } }
+    );
+
+    const note = comment ? `: ${comment}` : '';
+
+    await ComplaintLog.create({
+      complaintId: duplicate._id,
+      userId: user._id,
+      action: 'MERGED',
+      comment: `Merged into "${parent.title}"${note}`,
+      previousStage: previousStatus,
+      newStage: duplicate.status
+    });
+
+    await ComplaintLog.create({
+      complaintId: parent._id,
+      userId: user._id,
+      action: 'DUPLICATE_MERGED',
+      comment: `Duplicate "${duplicate.title}" merged into this complaint${note}`,
+      previousStage: parent.currentStage,
+      newStage: parent.currentStage
+    });
+
+    await notificationDispatchService.dispatch({
+      event: 'STATUS_UPDATE',
+      recipients: [duplicate.complainantId, ...duplicate.followers],
+      notification: {
+        type: 'COMPLAINT_MERGED',
+        message: `Your complaint "${duplicate.title}" was merged into "${parent.title}"; you will get its updates`,
+        relatedTo: { type: 'COMPLAINT', id: parent._id }
+      },
+      sendEmail: (recipient) => emailService.sendComplaintStatusUpdate(
+        recipient.email,
+        {
+          userName: `${recipient.firstName} ${recipient.lastName}`,
+          complaintTitle: duplicate.title,
+          complaintId: parent._id,
+          newStatus: parent.status,
+          comment: `Your complaint describes the same issue as "${parent.title}" and was merged into it. Updates on that complaint will reach you.`
+        },
+        { organizationId: parent.organizationId }
+      )
+    });
+
+    // Complaints merged into the duplicate earlier now follow the parent too
+    await mergeService.propagateStatus(parent, { userId: user._id });
+
+    return parent;
+  },
+
+  /**
+   * Bring the duplicates merged into a complaint to its new status and tell their complainants
+   * @param {Object} parent - Complaint document whose status just changed
+   * @param {Object} [options]
+   * @param {String} [options.userId] - Who changed it; defaults to whoever merged each duplicate
+   * @param {String} [options.comment] - Why the status changed
+   * @returns {Promise<Number>} - Duplicates updated
+   */
+  propagateStatus: async (parent, { userId, comment } = {}) => {
+    const duplicates = await Complaint.find({ mergedInto: parent._id });
+    let updated = 0;
+
+    for (const duplicate of duplicates) {
+      if (duplicate.status === parent.status) continue;
+
+      const previousStatus = duplicate.status;
+      followParentStatus(duplicate, parent);
+      await duplicate.save();
+      updated++;
+
+      await ComplaintLog.create({
+        complaintId: duplicate._id,
+        userId: userId || duplicate.mergedBy,
+        action: 'STATUS_UPDATED',
+        comment: `Updated with "${parent.title}"`,
+        previousStage: previousStatus,
+        newStage: parent.status
+      });
+    }
+
+    // Followers are the complainants of the duplicates, so they only hear of an actual change
+    if (updated > 0 && parent.followers?.length > 0) {
+      await notificationDispatchService.dispatch({
+        event: 'STATUS_UPDATE',
+        recipients: parent.followers,
+        notification: {
+          message: `Complaint status updated to: ${parent.status}`,
+          relatedTo: { type: 'COMPLAINT', id: parent._id }
+        },
+        sendEmail: (recipient) => emailService.sendComplaintStatusUpdate(
+          recipient.email,
+          {
+            userName: `${recipient.firstName} ${recipient.lastName}`,
+            complaintTitle: parent.title,
+            complaintId: parent._id,
+            newStatus: parent.status,
+            comment
+          },
+          { organizationId: parent.organizationId }
+        )
+      });
+    }
+
+    return updated;
+  }
+};
@@ -0,0 +1,148 @@
+// services/notificationDispatchService.js
+import { User } from '../models/models.js';
+import { NOTIFICATION_EVENTS } from '../config/notificationEvents.js';
+import { notificationService } from './notificationService.js';
+import { assignmentService } from './assignmentService.js';
+
+const CHANNEL_KEYS = ['inApp', 'email', 'digest'];
+
+// Send what is meant for out-of-office users to whoever acts for them, once per person.
+// Returns [{ user, onBehalfOf }], onBehalfOf naming the away users a delegate stands in for.
+const redirectToDelegates = async (users) => {
+  const byId = new Map();
+
+  for (const user of users) {
+    const { user: acting, awayUsers } = assignmentService.isOutOfOffice(user)
+      ? await assignmentService.resolveActingUser(user)
+      : { user, awayUsers: [] };
+
+    const key = acting._id.toString();
+    const entry = byId.get(key) || { user: acting, onBehalfOf: [] };
+    if (awayUsers.length > 0) {
+      entry.onBehalfOf.push(`${user.firstName || ''} ${user.lastName || ''}`.trim() || user.email);
+    }
+    byId.set(key, entry);
+  }
+
+  return [...byId.values()];
+};
+
+export const notificationDispatchService = {
+  /**
+   * Get a user's saved channel choices for every event, with defaults
+   * filled in for events they have not changed
+   * @param {Object} user - User with notificationPreferences
+   * @returns {Object} - { [eventType]: { inApp, email, digest } }
+   */
+  getEventPreferences: (user) => {
+    const saved = user.notificationPreferences?.events;
+
+    return Object.fromEntries(NOTIFICATION_EVENTS.map(({ type, defaults }) => {
+      const stored = (saved instanceof Map ? saved.get(type) : saved?.[type]) || {};
+      const channels = Object.fromEntries(CHANNEL_KEYS.map(key => [
+        key,
+        typeof stored[key] === 'boolean' ? stored[key] : defaults[key]
+      ]));
+      return [type, channels];
+    }));
+  },
+
+  /**
+   * Get the channels one event should be delivered on for a user. The
+   * notificationPreferences.email master switch turns off every email, and
+   * the digest channel only counts while the user has a digest scheduled.
+   * @param {Object} user - User with notificationPreferences
+   * @param {String} event - Event type from NOTIFICATION_EVENTS
+   * @returns {Object} - { inApp, email, digest }
+   */
+  getChannels: (user, event) => {
+    const channels = notificationDispatchService.getEventPreferences(user)[event];
+    if (!channels) {
+      throw new Error(`Unknown notification event: ${event}`);
+    }
+
+    const emailEnabled = user.notificationPreferences?.email !== false;
+    const digestScheduled = ['daily', 'weekly'].includes(user.notificationPreferences?.digest?.frequency);
+
+    return {
+      ...channels,
+      email: channels.email && emailEnabled,
+      digest: channels.digest && emailEnabled && digestScheduled
+    };
+  },
+
+  /**
+   * Deliver one event to its recipients on the channels each of them has
+   * chosen. Recipients who are out of office are replaced by their delegate
+   * for the duration. Failures are logged and never thrown, so the action that
+   * triggered the event is not affected.
+   * @param {Object} options
+   * @param {String} options.event - Event type from NOTIFICATION_EVENTS
+   * @param {Array} options.recipients - Users or user IDs
+   * @param {Object} [options.notification] - { type, message, relatedTo } for the in-app and digest channels; type defaults to the event
+   * @param {Function} [options.sendEmail] - Called with each recipient who wants the email; returns the emailService result
+   * @param {Function} [options.sendSms] - Called with each recipient who opted into SMS; returns the smsService result
+   * @returns {Promise<Object>} - { notified, emailed, texted }
+   */
+  dispatch: async ({ event, recipients, notification, sendEmail, sendSms }) => {
+    const result = { notified: 0, emailed: 0, texted: 0 };
+
+    const userIds = [...new Set(
+      recipients.filter(Boolean).map(recipient => (recipient._id || recipient).toString())
+    )];
+    if (userIds.length === 0) return result;
+
+    try {
+      const users = await User.find({ _id: { $in: userIds } })
+        .select('firstName lastName email phone language organizationId notificationPreferences outOfOffice');
+
+      const notifications = [];
+      const emailRecipients = [];
+      const smsRecipients = [];
+
+      (await redirectToDelegates(users)).forEach(({ user, onBehalfOf }) => {
+        const channels = notificationDispatchService.getChannels(user, event);
+
+        if (notification && (channels.inApp || channels.digest)) {
+          notifications.push({
+            userId: user._id,
+            type: notification.type || event,
+            message: onBehalfOf.length > 0
+              ? `${notification.message} (on behalf of ${onBehalfOf.join(', ')})`
+              : notification.message,
+            relatedTo: notification.relatedTo,
+            showInApp: channels.inApp,
+            includeInDigest: channels.digest
+          });
+        }
+
+        if (sendEmail && channels.email && user.email) {
+          emailRecipients.push(user);
+        }
+
+        if (sendSms && user.notificationPreferences?.sms && user.phone) {
+          smsRecipients.push(user);
+        }
+      });
+
+      if (notifications.length > 0) {
+        await notificationService.createNotifications(notifications);
+        result.notified = notifications.length;
+      }
+
+      for (const user of emailRecipients) {
+        const emailResult = await sendEmail(user);
+        if (emailResult?.success) result.emailed++;
+      }
+
+      for (const user of smsRecipients) {
+        const smsResult = await sendSms(user);
+        if (smsResult?.success) result.texted++;
+      }
+    } catch (error) {
+      console.error(`Error dispatching ${event} notifications:`, error);
+    }
+
+    return result;
+  }
+};
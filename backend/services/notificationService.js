@@ -1,4 +1,5 @@
 import { Notification } from '../models/models.js';
+import { realtimeService } from './realtimeService.js';
 
 export const notificationService = {
   /**
@@ -9,7 +10,9 @@ export const notificationService = {
   createNotification: async (data) => {
     try {
       const notification = new Notification(data);
-      return await notification.save();
+      await notification.save();
+      realtimeService.sendToUsers([notification.userId], 'notification', notification);
+      return notification;
     } catch (error) {
       console.error('Error creating notification:', error);
       throw error;
@@ -35,13 +38,38 @@ export const notificationService = {
         createdAt: Date.now()
       }));
 
-      return await Notification.insertMany(notifications);
+      const created = await Notification.insertMany(notifications);
+      created.forEach(notification => {
+        realtimeService.sendToUsers([notification.userId], 'notification', notification);
+      });
+      return created;
     } catch (error) {
       console.error('Error creating notifications for users:', error);
       throw error;
     }
   },
 
+  /**
+   * Create a batch of prepared notifications. Only those shown in-app are
+   * pushed to the user; digest-only notifications wait for the digest.
+   * @param {Array} notifications - Notification documents to insert
+   * @returns {Promise<Array>} - Array of created notifications
+   */
+  createNotifications: async (notifications) => {
+    try {
+      const created = await Notification.insertMany(notifications);
+      created
+        .filter(notification => notification.showInApp !== false)
+        .forEach(notification => {
+          realtimeService.sendToUsers([notification.userId], 'notification', notification);
+        });
+      return created;
+    } catch (error) {
+      console.error('Error creating notifications:', error);
+      throw error;
+    }
+  },
+
   /**
    * Get unread notification count for a user
    * @param {String} userId - User ID
@@ -49,7 +77,7 @@ export const notificationService = {
    */
   getUnreadCount: async (userId) => {
     try {
-      return await Notification.countDocuments({ userId, isRead: false });
+      return await Notification.countDocuments({ userId, isRead: false, showInApp: { $ne: false } });
     } catch (error) {
       console.error('Error getting unread notification count:', error);
       throw error;
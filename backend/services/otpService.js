@@ -1,44 +1,226 @@
+import crypto from 'crypto';
+import { PasswordResetOtp, OtpThrottle } from '../models/models.js';
+
+const MINUTE = 60 * 1000;
+
+const OTP_TTL_MS = 15 * MINUTE;
+const RESET_TOKEN_TTL_MS = 15 * MINUTE;
+const RESEND_COOLDOWN_MS = MINUTE;
+const SEND_WINDOW_MS = 60 * MINUTE;
+const MAX_SENDS_PER_EMAIL = 5; // per send window
+const MAX_SENDS_PER_IP = 20; // per send window
+const MAX_ATTEMPTS_PER_CODE = 5; // wrong guesses before the code is thrown away
+const FAILURE_WINDOW_MS = 60 * MINUTE;
+const MAX_FAILURES_PER_EMAIL = 10; // per failure window, across codes
+const MAX_FAILURES_PER_IP = 25; // per failure window, across emails
+const LOCKOUT_MS = 60 * MINUTE;
+
+const secondsUntil = (date) => Math.max(Math.ceil((new Date(date).getTime() - Date.now()) / 1000), 1);
+
+const failure = (status, code, msg, extra = {}) => ({ ok: false, status, code, msg, ...extra });
+
+/**
+ * Password reset codes, kept in MongoDB so they survive restarts and work
+ * across instances. Codes and reset tokens are stored as HMACs only.
+ *
+ * Methods resolve to { ok: true, ... } or to
+ * { ok: false, status, code, msg, retryAfter?, attemptsRemaining? }
+ * so controllers can pass the failure straight to the client.
+ */
 class OTPService {
-    constructor() {
-      this.otpStore = new Map();
+    normalizeEmail(email) {
+      return String(email || '').trim().toLowerCase();
     }
-  
+
     generateOTP() {
-      return Math.floor(100000 + Math.random() * 900000).toString();
+      return crypto.randomInt(100000, 1000000).toString();
     }
-  
-    storeOTP(email, otp) {
-      this.otpStore.set(email, {
-        otp,
-        timestamp: Date.now()
+
+    hash(email, value) {
+      return crypto
+        .createHmac('sha256', process.env.OTP_SECRET || process.env.JWT_SECRET || '')
+        .update(`${email}:${value}`)
+        .digest('hex');
+    }
+
+    // Latest lockout among the given throttle keys, or null
+    async getLockout(keys) {
+      const locked = await OtpThrottle.find({ key: { $in: keys }, lockedUntil: { $gt: new Date() } })
+        .sort({ lockedUntil: -1 })
+        .limit(1);
+      return locked[0]?.lockedUntil || null;
+    }
+
+    // Count one event against a key; locks the key once `limit` events fall in one window
+    async recordHit(key, limit, windowMs) {
+      const now = new Date();
+
+      let throttle = await OtpThrottle.findOneAndUpdate(
+        { key, windowStartedAt: { $gt: new Date(now.getTime() - windowMs) } },
+        { $inc: { count: 1 } },
+        { new: true }
+      );
+
+      if (!throttle) {
+        throttle = await OtpThrottle.findOneAndUpdate(
+          { key },
+          { $set: { count: 1, windowStartedAt: now, expiresAt: new Date(now.getTime() + windowMs) } },
+          { new: true, upsert: true }
+        );
+      }
+
+      if (throttle.count < limit) return null;
+
+      const lockedUntil = new Date(now.getTime() + LOCKOUT_MS);
+      await OtpThrottle.updateOne(
+        { key },
+        { $set: { count: 0, windowStartedAt: now, lockedUntil, expiresAt: lockedUntil } }
+      );
+      return lockedUntil;
+    }
+
+    lockedFailure(lockedUntil) {
+      return failure(429, 'LOCKED', 'Too many attempts. Please try again later.', {
+        retryAfter: secondsUntil(lockedUntil)
       });
-  
-      // Auto-expire after 15 minutes
-      setTimeout(() => {
-        this.otpStore.delete(email);
-      }, 15 * 60 * 1000);
-    }
-  
-    verifyOTP(email, otp) {
-      const storedData = this.otpStore.get(email);
-      
-      if (!storedData) {
-        return false;
+    }
+
+    /**
+     * Create a new code for an email address, enforcing the resend cooldown
+     * and the per-email and per-IP send limits
+     * @param {String} rawEmail - Email address
+     * @param {String} ip - Client IP
+     * @returns {Promise<Object>} - { ok: true, otp, expiresIn, resendAfter } on success
+     */
+    async issueOTP(rawEmail, ip) {
+      const email = this.normalizeEmail(rawEmail);
+      const now = Date.now();
+
+      const lockedUntil = await this.getLockout([`verify:email:${email}`, `verify:ip:${ip}`, `send:ip:${ip}`]);
+      if (lockedUntil) return this.lockedFailure(lockedUntil);
+
+      const existing = await PasswordResetOtp.findOne({ email });
+      const windowActive = existing && existing.sendWindowStartedAt.getTime() > now - SEND_WINDOW_MS;
+
+      if (existing && existing.lastSentAt.getTime() + RESEND_COOLDOWN_MS > now) {
+        return failure(429, 'RESEND_COOLDOWN', 'Please wait before requesting another code.', {
+          retryAfter: secondsUntil(existing.lastSentAt.getTime() + RESEND_COOLDOWN_MS)
+        });
       }
-  
-      // Check if OTP has expired (15 minutes)
-      if (Date.now() - storedData.timestamp > 15 * 60 * 1000) {
-        this.otpStore.delete(email);
-        return false;
+
+      if (windowActive && existing.sendCount >= MAX_SENDS_PER_EMAIL) {
+        return failure(429, 'SEND_LIMIT', 'Too many codes requested. Please try again later.', {
+          retryAfter: secondsUntil(existing.sendWindowStartedAt.getTime() + SEND_WINDOW_MS)
+        });
       }
-  
-      // Verify OTP
-      const isValid = storedData.otp === otp;
-      if (isValid) {
-        this.otpStore.delete(email);
+
+      const otp = this.generateOTP();
+      const sendWindowStartedAt = windowActive ? existing.sendWindowStartedAt : new Date(now);
+      const codeExpiresAt = new Date(now + OTP_TTL_MS);
+
+      await PasswordResetOtp.findOneAndUpdate(
+        { email },
+        {
+          $set: {
+            codeHash: this.hash(email, otp),
+            attempts: 0,
+            sendCount: windowActive ? existing.sendCount + 1 : 1,
+            sendWindowStartedAt,
+            lastSentAt: new Date(now),
+            codeExpiresAt,
+            expiresAt: new Date(Math.max(codeExpiresAt.getTime(), sendWindowStartedAt.getTime() + SEND_WINDOW_MS))
+          },
+          $unset: { verifiedAt: 1, resetTokenHash: 1, resetTokenExpiresAt: 1 }
+        },
+        { upsert: true }
+      );
+
+      await this.recordHit(`send:ip:${ip}`, MAX_SENDS_PER_IP, SEND_WINDOW_MS);
+
+      return {
+        ok: true,
+        otp,
+        expiresIn: OTP_TTL_MS / 1000,
+        resendAfter: RESEND_COOLDOWN_MS / 1000
+      };
+    }
+
+    /**
+     * Check a code. A correct code is used up and exchanged for a reset token.
+     * @param {String} rawEmail - Email address
+     * @param {String} otp - Code entered by the user
+     * @param {String} ip - Client IP
+     * @returns {Promise<Object>} - { ok: true, resetToken, expiresIn } on success
+     */
+    async verifyOTP(rawEmail, otp, ip) {
+      const email = this.normalizeEmail(rawEmail);
+      const now = new Date();
+
+      const lockedUntil = await this.getLockout([`verify:email:${email}`, `verify:ip:${ip}`]);
+      if (lockedUntil) return this.lockedFailure(lockedUntil);
+
+      const record = await PasswordResetOtp.findOne({ email });
+
+      if (!record || record.verifiedAt || record.codeExpiresAt <= now) {
+        const ipLock = await this.recordHit(`verify:ip:${ip}`, MAX_FAILURES_PER_IP, FAILURE_WINDOW_MS);
+        if (ipLock) return this.lockedFailure(ipLock);
+        return failure(400, 'OTP_EXPIRED', 'This code has expired. Please request a new one.');
+      }
+
+      const expected = Buffer.from(record.codeHash, 'hex');
+      const given = Buffer.from(this.hash(email, String(otp || '')), 'hex');
+
+      if (!crypto.timingSafeEqual(expected, given)) {
+        record.attempts += 1;
+        if (record.attempts >= MAX_ATTEMPTS_PER_CODE) {
+          record.codeExpiresAt = now;
+        }
+        await record.save();
+
+        const lock = (await this.recordHit(`verify:ip:${ip}`, MAX_FAILURES_PER_IP, FAILURE_WINDOW_MS)) ||
+          (await this.recordHit(`verify:email:${email}`, MAX_FAILURES_PER_EMAIL, FAILURE_WINDOW_MS));
+        if (lock) return this.lockedFailure(lock);
+
+        if (record.attempts >= MAX_ATTEMPTS_PER_CODE) {
+          return failure(400, 'TOO_MANY_ATTEMPTS', 'Too many incorrect codes. Please request a new one.');
+        }
+
+        return failure(400, 'INVALID_OTP', 'Incorrect code.', {
+          attemptsRemaining: MAX_ATTEMPTS_PER_CODE - record.attempts
+        });
       }
-      return isValid;
+
+      const resetToken = crypto.randomBytes(32).toString('hex');
+
+      record.verifiedAt = now;
+      record.resetTokenHash = this.hash(email, resetToken);
+      record.resetTokenExpiresAt = new Date(now.getTime() + RESET_TOKEN_TTL_MS);
+      if (record.expiresAt < record.resetTokenExpiresAt) record.expiresAt = record.resetTokenExpiresAt;
+      await record.save();
+
+      await OtpThrottle.deleteOne({ key: `verify:email:${email}` });
+
+      return { ok: true, resetToken, expiresIn: RESET_TOKEN_TTL_MS / 1000 };
+    }
+
+    /**
+     * Use up the reset token issued by verifyOTP
+     * @param {String} rawEmail - Email address
+     * @param {String} resetToken - Token from verifyOTP
+     * @returns {Promise<Boolean>} - Whether the token was valid
+     */
+    async consumeResetToken(rawEmail, resetToken) {
+      if (!resetToken) return false;
+
+      const email = this.normalizeEmail(rawEmail);
+      const record = await PasswordResetOtp.findOneAndDelete({
+        email,
+        resetTokenHash: this.hash(email, resetToken),
+        resetTokenExpiresAt: { $gt: new Date() }
+      });
+
+      return !!record;
     }
   }
-  
-  export const otpService = new OTPService();
\ No newline at end of file
+
+  export const otpService = new OTPService();
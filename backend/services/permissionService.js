@@ -0,0 +1,74 @@
+// services/permissionService.js
+import { Role } from '../models/models.js';
+import {
+  PERMISSION_KEYS,
+  DEFAULT_ROLE_PERMISSIONS,
+  CONFIGURABLE_BASE_ROLES
+} from '../config/permissions.js';
+
+const SYSTEM_ROLE_NAMES = {
+  DepartmentUser: 'Department User',
+  Faculty: 'Faculty',
+  Student: 'Student'
+};
+
+export const permissionService = {
+  /**
+   * Create the built-in roles of an organization if they do not exist yet,
+   * seeded with the default permissions of each base role
+   * @param {String} organizationId - Organization ID
+   */
+  ensureSystemRoles: async (organizationId) => {
+    await Role.bulkWrite(CONFIGURABLE_BASE_ROLES.map(baseRole => ({
+      updateOne: {
+        filter: { organizationId, baseRole, isSystem: true },
+        update: {
+          $setOnInsert: {
+            name: SYSTEM_ROLE_NAMES[baseRole],
+            description: `Default permissions for ${SYSTEM_ROLE_NAMES[baseRole]} users`,
+            permissions: DEFAULT_ROLE_PERMISSIONS[baseRole]
+          }
+        },
+        upsert: true
+      }
+    })));
+  },
+
+  /**
+   * Resolve the role whose permissions apply to a user: their custom role if
+   * it still matches their base role, otherwise the organization's built-in role
+   * @param {Object} user - User document
+   * @returns {Promise<Object|null>} - Role document, or null when none is stored
+   */
+  getEffectiveRole: async (user) => {
+    if (user.roleId) {
+      const role = await Role.findOne({ _id: user.roleId, organizationId: user.organizationId });
+      if (role && role.baseRole === user.role) return role;
+    }
+
+    return Role.findOne({ organizationId: user.organizationId, baseRole: user.role, isSystem: true });
+  },
+
+  /**
+   * Get the permissions granted to a user
+   * @param {Object} user - User document
+   * @returns {Promise<Array>} - Permission keys
+   */
+  getPermissions: async (user) => {
+    if (user.role === 'SuperAdmin') return PERMISSION_KEYS;
+
+    const role = await permissionService.getEffectiveRole(user);
+    return role ? role.permissions : (DEFAULT_ROLE_PERMISSIONS[user.role] || []);
+  },
+
+  /**
+   * Check whether a user holds a permission
+   * @param {Object} user - User document
+   * @param {String} permission - Permission key
+   * @returns {Promise<Boolean>}
+   */
+  hasPermission: async (user, permission) => {
+    const permissions = await permissionService.getPermissions(user);
+    return permissions.includes(permission);
+  }
+};
@@ -0,0 +1,172 @@
+// services/realtimeService.js
+import mongoose from 'mongoose';
+
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+
+/**
+ * Server-Sent Events hub. Keeps the open event streams of this process and
+ * pushes notification, complaint log and workflow stage events to the users
+ * allowed to see them.
+ *
+ * Models are looked up through mongoose.model() rather than imported, because
+ * models.js publishes from its save hooks and imports this module.
+ */
+class RealtimeService {
+  constructor() {
+    this.clients = new Set();
+    this.heartbeat = null;
+  }
+
+  /**
+   * Register an open stream for an authenticated user
+   * @param {Object} user - User document from the auth middleware
+   * @param {Object} res - Express response kept open for the stream
+   * @param {String} [sessionId] - Session that opened it; the stream closes when the session is revoked
+   * @returns {Function} - Call to unregister the stream
+   */
+  addClient(user, res, sessionId) {
+    const client = {
+      res,
+      sessionId: sessionId?.toString(),
+      userId: user._id.toString(),
+      role: user.role,
+      organizationId: user.organizationId?.toString(),
+      departmentId: user.departmentId?.toString()
+    };
+
+    this.clients.add(client);
+    this.startHeartbeat();
+
+    return () => {
+      this.clients.delete(client);
+      if (this.clients.size === 0) this.stopHeartbeat();
+    };
+  }
+
+  // Keep idle connections from being closed by proxies, and drop the streams of
+  // sessions revoked by another instance since the last beat
+  startHeartbeat() {
+    if (this.heartbeat) return;
+
+    this.heartbeat = setInterval(() => {
+      for (const client of this.clients) {
+        client.res.write(': ping\n\n');
+      }
+      this.closeRevokedSessions();
+    }, HEARTBEAT_INTERVAL_MS);
+    this.heartbeat.unref();
+  }
+
+  /**
+   * End every open stream of a session
+   * @param {String} sessionId - Revoked session
+   */
+  closeSession(sessionId) {
+    const id = sessionId?.toString();
+    if (!id) return;
+
+    for (const client of this.clients) {
+      if (client.sessionId === id) {
+        this.clients.delete(client);
+        client.res.end();
+      }
+    }
+    if (this.clients.size === 0) this.stopHeartbeat();
+  }
+
+  async closeRevokedSessions() {
+    const sessionIds = [...new Set([...this.clients].map(client => client.sessionId).filter(Boolean))];
+    if (sessionIds.length === 0) return;
+
+    try {
+      const revoked = await mongoose.model('Session')
+        .find({ _id: { $in: sessionIds }, revokedAt: { $ne: null } })
+        .select('_id')
+        .lean();
+      revoked.forEach(session => this.closeSession(session._id));
+    } catch (error) {
+      console.error('Error checking event stream sessions:', error);
+    }
+  }
+
+  stopHeartbeat() {
+    clearInterval(this.heartbeat);
+    this.heartbeat = null;
+  }
+
+  write(client, event, data) {
+    try {
+      client.res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    } catch (error) {
+      console.error(`Error writing ${event} event:`, error);
+    }
+  }
+
+  /**
+   * Push an event to every stream of the given users
+   * @param {Array} userIds - Recipient user IDs
+   * @param {String} event - Event name
+   * @param {Object} data - Event payload
+   */
+  sendToUsers(userIds, event, data) {
+    const recipients = new Set(userIds.map(id => id.toString()));
+
+    for (const client of this.clients) {
+      if (recipients.has(client.userId)) {
+        this.write(client, event, data);
+      }
+    }
+  }
+
+  /**
+   * Push an event about a complaint to everyone who can see it: the complainant,
+   * its followers, the assignee, its department, the reviewers of its current
+   * stages and the organization's admins
+   * @param {String} complaintId - Complaint ID
+   * @param {String} event - Event name
+   * @param {Object} data - Event payload
+   */
+  async publishComplaintEvent(complaintId, event, data) {
+    if (this.clients.size === 0) return;
+
+    try {
+      const complaint = await mongoose.model('Complaint')
+        .findById(complaintId)
+        .select('organizationId complainantId followers assignedTo departmentId')
+        .lean();
+
+      if (!complaint) return;
+
+      const organizationId = complaint.organizationId.toString();
+      const audience = [complaint.complainantId, complaint.assignedTo, ...(complaint.followers || [])]
+        .filter(Boolean)
+        .map(id => id.toString());
+
+      // Reviewers are looked up once, and only when a Faculty user might be one
+      let reviewerRoles = null;
+
+      for (const client of this.clients) {
+        if (client.organizationId !== organizationId) continue;
+
+        let canSee = client.role === 'SuperAdmin' ||
+          audience.includes(client.userId) ||
+          (client.role === 'DepartmentUser' && client.departmentId === complaint.departmentId.toString());
+
+        if (!canSee && client.role === 'Faculty') {
+          // Imported here: complaintAccessService imports models.js, which imports this module
+          const { complaintAccessService } = await import('./complaintAccessService.js');
+          reviewerRoles = reviewerRoles || await complaintAccessService.getReviewerRoles(complaint);
+          canSee = await complaintAccessService.isCurrentReviewer(client, complaint, reviewerRoles);
+        }
+
+        if (canSee) {
+          this.write(client, event, { complaintId: complaintId.toString(), ...data });
+        }
+      }
+    } catch (error) {
+      console.error(`Error publishing ${event} event:`, error);
+    }
+  }
+}
+
+export const realtimeService = new RealtimeService();
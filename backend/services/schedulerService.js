@@ -0,0 +1,170 @@
+// services/schedulerService.js
+import os from 'os';
+import { JobRun, JobLock } from '../models/models.js';
+
+class SchedulerService {
+  constructor() {
+    this.jobs = new Map();
+    this.timers = new Map();
+    this.owner = `${os.hostname()}:${process.pid}`;
+  }
+
+  /**
+   * Register a job with the scheduler
+   * @param {String} name - Unique job name
+   * @param {Function} handler - Async function returning { processed, touched, failures, summary }
+   * @param {Object} options - { intervalMinutes, lockTimeoutMinutes, description }
+   */
+  registerJob(name, handler, { intervalMinutes = 15, lockTimeoutMinutes = 10, description = '' } = {}) {
+    if (this.jobs.has(name)) {
+      throw new Error(`Job ${name} is already registered`);
+    }
+
+    this.jobs.set(name, {
+      name,
+      handler,
+      description,
+      intervalMinutes,
+      lockTimeoutMinutes,
+      isRunning: false
+    });
+  }
+
+  /**
+   * Get the registered jobs with their configuration
+   * @returns {Array} Job descriptors
+   */
+  getJobs() {
+    return Array.from(this.jobs.values()).map(({ name, description, intervalMinutes, isRunning }) => ({
+      name,
+      description,
+      intervalMinutes,
+      isRunning,
+      isScheduled: this.timers.has(name)
+    }));
+  }
+
+  /**
+   * Start the interval timers for every registered job
+   */
+  start() {
+    for (const job of this.jobs.values()) {
+      if (this.timers.has(job.name) || !(job.intervalMinutes > 0)) continue;
+
+      const timer = setInterval(() => {
+        this.runJob(job.name).catch(err => {
+          console.error(`Scheduled run of job ${job.name} failed:`, err);
+        });
+      }, job.intervalMinutes * 60 * 1000);
+
+      // Don't keep the process alive just for the scheduler
+      timer.unref();
+      this.timers.set(job.name, timer);
+
+      console.log(`Scheduled job ${job.name} every ${job.intervalMinutes} minute(s)`);
+    }
+  }
+
+  /**
+   * Stop all interval timers
+   */
+  stop() {
+    for (const timer of this.timers.values()) {
+      clearInterval(timer);
+    }
+    this.timers.clear();
+  }
+
+  /**
+   * Try to take the distributed lock for a job
+   * @param {Object} job - The job descriptor
+   * @returns {Promise<Boolean>} Whether this instance now holds the lock
+   */
+  async acquireLock(job) {
+    const now = new Date();
+    const expiresAt = new Date(now.getTime() + (job.lockTimeoutMinutes * 60 * 1000));
+
+    try {
+      // Only matches when the lock is missing (upsert) or has expired
+      const lock = await JobLock.findOneAndUpdate(
+        { name: job.name, expiresAt: { $lt: now } },
+        { $set: { owner: this.owner, lockedAt: now, expiresAt } },
+        { upsert: true, new: true }
+      );
+
+      return lock.owner === this.owner;
+    } catch (err) {
+      // Duplicate key means another instance holds an unexpired lock
+      if (err.code === 11000) return false;
+      throw err;
+    }
+  }
+
+  /**
+   * Release the lock for a job if this instance holds it
+   * @param {Object} job - The job descriptor
+   */
+  async releaseLock(job) {
+    try {
+      await JobLock.deleteOne({ name: job.name, owner: this.owner });
+    } catch (err) {
+      console.error(`Error releasing lock for job ${job.name}:`, err);
+    }
+  }
+
+  /**
+   * Run a job now, recording the run in the JobRun collection
+   * @param {String} name - Job name
+   * @param {Object} options - { trigger: 'SCHEDULED' | 'MANUAL', triggeredBy: userId }
+   * @returns {Promise<Object|null>} The JobRun document, or null if the job is locked elsewhere
+   */
+  async runJob(name, { trigger = 'SCHEDULED', triggeredBy } = {}) {
+    const job = this.jobs.get(name);
+    if (!job) {
+      throw new Error(`Unknown job: ${name}`);
+    }
+
+    if (job.isRunning || !(await this.acquireLock(job))) {
+      console.log(`Skipping job ${name}: already running`);
+      return null;
+    }
+
+    job.isRunning = true;
+
+    const jobRun = new JobRun({
+      jobName: name,
+      trigger,
+      triggeredBy,
+      host: this.owner,
+      status: 'RUNNING',
+      startedAt: new Date()
+    });
+
+    try {
+      await jobRun.save();
+
+      const result = (await job.handler()) || {};
+
+      jobRun.status = 'SUCCEEDED';
+      jobRun.instancesProcessed = result.processed || 0;
+      jobRun.instancesTouched = result.touched || 0;
+      jobRun.failures = result.failures || [];
+      jobRun.summary = result.summary;
+    } catch (err) {
+      console.error(`Error running job ${name}:`, err);
+      jobRun.status = 'FAILED';
+      jobRun.failures.push({ message: err.message });
+    } finally {
+      job.isRunning = false;
+      await this.releaseLock(job);
+    }
+
+    jobRun.finishedAt = new Date();
+    jobRun.durationMs = jobRun.finishedAt.getTime() - jobRun.startedAt.getTime();
+    await jobRun.save();
+
+    return jobRun;
+  }
+}
+
+export const schedulerService = new SchedulerService();
@@ -0,0 +1,254 @@
+// services/sessionService.js
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { Session, RevokedToken, User, StreamTicket } from '../models/models.js';
+import { realtimeService } from './realtimeService.js';
+import { numberFromEnv } from '../utils/helpers.js';
+
+const ACCESS_TOKEN_TTL_MS = numberFromEnv('ACCESS_TOKEN_TTL_MINUTES', 15) * 60 * 1000;
+const REFRESH_TOKEN_TTL_MS = numberFromEnv('REFRESH_TOKEN_TTL_DAYS', 30) * 24 * 60 * 60 * 1000;
+const STREAM_TICKET_TTL_MS = 60 * 1000;
+
+// Two tabs refreshing at the same moment both present the same token; the
+// loser of that race is turned away without treating it as token theft
+const REUSE_GRACE_MS = 30 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Refresh tokens are "<sessionId>.<secret>" so the session can be found without a hash scan
+const parseRefreshToken = (refreshToken) => {
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+  if (!secret || !/^[a-f\d]{24}$/i.test(sessionId)) return null;
+  return { sessionId, secret };
+};
+
+export const sessionService = {
+  /**
+   * Sign a short-lived access token bound to a session
+   * @param {Object} user - User document
+   * @param {String} sessionId - Session the token belongs to
+   * @returns {Object} - { token, jti, expiresAt }
+   */
+  signAccessToken: (user, sessionId) => {
+    const jti = crypto.randomUUID();
+    const payload = {
+      userId: user._id,
+      role: user.role,
+      organizationId: user.organizationId,
+      sid: sessionId.toString()
+    };
+    const token = jwt.sign(payload, process.env.JWT_SECRET, {
+      expiresIn: Math.floor(ACCESS_TOKEN_TTL_MS / 1000),
+      jwtid: jti
+    });
+
+    return { token, jti, expiresAt: new Date(Date.now() + ACCESS_TOKEN_TTL_MS) };
+  },
+
+  /**
+   * Start a session for a user who just signed in
+   * @param {Object} user - User document
+   * @param {Object} client - { userAgent, ipAddress } of the signing-in device
+   * @returns {Promise<Object>} - { accessToken, refreshToken, session }
+   */
+  createSession: async (user, client = {}) => {
+    const session = new Session({
+      userId: user._id,
+      organizationId: user.organizationId,
+      userAgent: client.userAgent,
+      ipAddress: client.ipAddress,
+      expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS)
+    });
+
+    const secret = crypto.randomBytes(48).toString('hex');
+    const access = sessionService.signAccessToken(user, session._id);
+
+    session.refreshTokenHash = hashToken(secret);
+    session.accessTokenId = access.jti;
+    session.accessTokenExpiresAt = access.expiresAt;
+    await session.save();
+
+    return {
+      accessToken: access.token,
+      refreshToken: `${session._id}.${secret}`,
+      session
+    };
+  },
+
+  /**
+   * Exchange a refresh token for a new access token and a new refresh token.
+   * Presenting an already rotated token revokes the whole session.
+   * @param {String} refreshToken - Refresh token from the client
+   * @param {Object} client - { userAgent, ipAddress } of the refreshing device
+   * @returns {Promise<Object|null>} - { accessToken, refreshToken, user }, or null if refused
+   */
+  rotate: async (refreshToken, client = {}) => {
+    const parsed = parseRefreshToken(refreshToken);
+    if (!parsed) return null;
+
+    const session = await Session.findById(parsed.sessionId);
+    if (!session || session.revokedAt || session.expiresAt <= new Date()) return null;
+
+    const presentedHash = hashToken(parsed.secret);
+
+    if (presentedHash !== session.refreshTokenHash) {
+      const isReplay = presentedHash === session.previousTokenHash &&
+        Date.now() - session.rotatedAt?.getTime() > REUSE_GRACE_MS;
+      if (isReplay) {
+        await sessionService.revokeSession(session, 'REUSE_DETECTED');
+      }
+      return null;
+    }
+
+    const user = await User.findById(session.userId);
+    if (!user || !user.isActive) {
+      await sessionService.revokeSession(session, 'REVOKED');
+      return null;
+    }
+
+    const secret = crypto.randomBytes(48).toString('hex');
+    const access = sessionService.signAccessToken(user, session._id);
+
+    session.previousTokenHash = session.refreshTokenHash;
+    session.refreshTokenHash = hashToken(secret);
+    session.rotatedAt = new Date();
+    session.accessTokenId = access.jti;
+    session.accessTokenExpiresAt = access.expiresAt;
+    session.lastUsedAt = new Date();
+    session.expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_MS);
+    if (client.userAgent) session.userAgent = client.userAgent;
+    if (client.ipAddress) session.ipAddress = client.ipAddress;
+    await session.save();
+
+    return {
+      accessToken: access.token,
+      refreshToken: `${session._id}.${secret}`,
+      user
+    };
+  },
+
+  /**
+   * Put an access token on the revocation list until it would have expired
+   * @param {String} jti - Token ID
+   * @param {Date} expiresAt - When the token expires
+   * @param {String} userId - Owner of the token
+   */
+  revokeAccessToken: async (jti, expiresAt, userId) => {
+    if (!jti || !expiresAt || expiresAt <= new Date()) return;
+
+    await RevokedToken.updateOne(
+      { jti },
+      { $setOnInsert: { jti, expiresAt, userId } },
+      { upsert: true }
+    );
+  },
+
+  /**
+   * End a session: its refresh token stops working, its newest access token is revoked
+   * and its open event streams are closed
+   * @param {Object} session - Session document
+   * @param {String} reason - LOGOUT, REVOKED, REUSE_DETECTED or PASSWORD_RESET
+   */
+  revokeSession: async (session, reason) => {
+    session.revokedAt = new Date();
+    session.revokedReason = reason;
+    await session.save();
+
+    await sessionService.revokeAccessToken(session.accessTokenId, session.accessTokenExpiresAt, session.userId);
+    realtimeService.closeSession(session._id);
+  },
+
+  /**
+   * End every active session of a user
+   * @param {String} userId - User ID
+   * @param {String} reason - Revocation reason
+   * @param {String} exceptSessionId - Session to keep, e.g. the caller's own
+   * @returns {Promise<Number>} - Number of sessions revoked
+   */
+  revokeAllForUser: async (userId, reason, exceptSessionId = null) => {
+    const filter = { userId, revokedAt: null };
+    if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+
+    const sessions = await Session.find(filter);
+    for (const session of sessions) {
+      await sessionService.revokeSession(session, reason);
+    }
+    return sessions.length;
+  },
+
+  /**
+   * Issue a single-use ticket that opens one event stream, so the access token
+   * never has to appear in a URL
+   * @param {Object} user - User document
+   * @param {String} sessionId - Session of the requesting access token
+   * @returns {Promise<Object>} - { ticket, expiresAt }
+   */
+  issueStreamTicket: async (user, sessionId) => {
+    const ticket = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + STREAM_TICKET_TTL_MS);
+
+    await StreamTicket.create({
+      ticketHash: hashToken(ticket),
+      userId: user._id,
+      sessionId,
+      expiresAt
+    });
+
+    return { ticket, expiresAt };
+  },
+
+  /**
+   * Use up a stream ticket
+   * @param {String} ticket - Ticket from the stream URL
+   * @returns {Promise<Object|null>} - { user, sessionId }, or null if the ticket is unknown,
+   * already used, expired, or its session has ended
+   */
+  redeemStreamTicket: async (ticket) => {
+    if (!ticket || typeof ticket !== 'string') return null;
+
+    const redeemed = await StreamTicket.findOneAndDelete({
+      ticketHash: hashToken(ticket),
+      expiresAt: { $gt: new Date() }
+    });
+    if (!redeemed) return null;
+
+    if (redeemed.sessionId && !await Session.exists({ _id: redeemed.sessionId, revokedAt: null })) {
+      return null;
+    }
+
+    const user = await User.findById(redeemed.userId);
+    if (!user) return null;
+
+    return { user, sessionId: redeemed.sessionId?.toString() };
+  },
+
+  /**
+   * Check whether an access token has been revoked
+   * @param {String} jti - Token ID
+   * @returns {Promise<Boolean>}
+   */
+  isRevoked: async (jti) => {
+    return !!(await RevokedToken.exists({ jti }));
+  },
+
+  /**
+   * Check whether a session has been revoked. Every access token it issued stops
+   * working with it, not only the newest one on the revocation list.
+   * @param {String} sessionId - Session ID from the token's sid claim
+   * @returns {Promise<Boolean>}
+   */
+  isSessionRevoked: async (sessionId) => {
+    return !!(await Session.exists({ _id: sessionId, revokedAt: { $ne: null } }));
+  },
+
+  /**
+   * List a user's active sessions, most recently used first
+   * @param {String} userId - User ID
+   * @returns {Promise<Array>}
+   */
+  listActiveSessions: async (userId) => {
+    return Session.find({ userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+      .select('userAgent ipAddress createdAt lastUsedAt expiresAt')
+      .sort({ lastUsedAt: -1 });
+  }
+};
@@ -0,0 +1,186 @@
+// services/slaService.js
+// SLA policies give a complaint first response and resolution targets when it is filed.
+// Targets count business time on the policy's calendar. While a complaint waits on the
+// complainant its resolution clock is paused, and the time paused pushes the due date back.
+import { SlaPolicy, BusinessCalendar, WorkflowInstance } from '../models/models.js';
+import { businessCalendarService } from './businessCalendarService.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Worst first: the complaint's overall state is the worst state of its targets
+export const SLA_STATES = ['BREACHED', 'AT_RISK', 'PAUSED', 'ON_TRACK', 'MET'];
+
+// Most specific policy wins: type and priority, then type, then priority, then the catch-all
+const specificity = (policy) => (policy.complaintTypeId ? 2 : 0) + (policy.priority ? 1 : 0);
+
+const loadCalendar = (calendarId) => calendarId ? BusinessCalendar.findById(calendarId) : null;
+
+// State of one target given when it was achieved, if it was
+const targetState = (dueAt, warnAt, achievedAt, pausedAt, now) => {
+  if (!dueAt) return null;
+  if (achievedAt) return achievedAt <= dueAt ? 'MET' : 'BREACHED';
+
+  const reference = pausedAt || now;
+  if (reference > dueAt) return 'BREACHED';
+  if (pausedAt) return 'PAUSED';
+  return warnAt && reference >= warnAt ? 'AT_RISK' : 'ON_TRACK';
+};
+
+export const slaService = {
+  /**
+   * Find the active policy that best matches a complaint's type and priority
+   * @param {Object} complaint - The complaint
+   * @returns {Promise<Object|null>} - SlaPolicy document
+   */
+  matchPolicy: async (complaint) => {
+    const policies = await SlaPolicy.find({
+      organizationId: complaint.organizationId,
+      isActive: true,
+      complaintTypeId: { $in: [complaint.complaintTypeId?._id || complaint.complaintTypeId, null] },
+      priority: { $in: [complaint.priority, null] }
+    }).sort({ updatedAt: -1 });
+
+    return policies.reduce((best, policy) =>
+      !best || specificity(policy) > specificity(best) ? policy : best, null);
+  },
+
+  /**
+   * Work out the due and warning dates from the targets stored on the complaint. First
+   * response counts from filing; resolution also adds the business time spent paused.
+   * @param {Object} complaint - Complaint with `sla` targets set
+   * @param {Object} [calendar] - The policy's BusinessCalendar
+   */
+  setDueDates: (complaint, calendar) => {
+    const { sla } = complaint;
+    const start = complaint.createdAt || new Date();
+    const at = (hours, share, extraMs = 0) =>
+      businessCalendarService.addBusinessTime(start, hours * HOUR_MS * share + extraMs, calendar);
+    const warnShare = (sla.warningPercent || 80) / 100;
+
+    if (sla.firstResponseHours != null) {
+      sla.firstResponseDueAt = at(sla.firstResponseHours, 1);
+      sla.firstResponseWarnAt = at(sla.firstResponseHours, warnShare);
+    } else {
+      sla.firstResponseDueAt = undefined;
+      sla.firstResponseWarnAt = undefined;
+    }
+
+    sla.resolutionDueAt = at(sla.resolutionHours, 1, sla.pausedMs || 0);
+    sla.resolutionWarnAt = at(sla.resolutionHours, warnShare, sla.pausedMs || 0);
+  },
+
+  /**
+   * Give a complaint the targets of its best matching policy, keeping any response and pause
+   * already recorded. Call on filing and whenever the type or priority changes; the caller saves.
+   * @param {Object} complaint - Complaint document
+   * @returns {Promise<Object|null>} - The policy applied
+   */
+  applyPolicy: async (complaint) => {
+    const policy = await slaService.matchPolicy(complaint);
+    if (!policy) {
+      complaint.sla = undefined;
+      return null;
+    }
+
+    const previous = complaint.sla || {};
+    complaint.sla = {
+      policyId: policy._id,
+      policyName: policy.name,
+      calendarId: policy.calendarId,
+      firstResponseHours: policy.firstResponseHours,
+      resolutionHours: policy.resolutionHours,
+      warningPercent: policy.warningPercent,
+      firstRespondedAt: previous.firstRespondedAt,
+      pausedAt: previous.pausedAt,
+      pausedMs: previous.pausedMs
+    };
+    slaService.setDueDates(complaint, await loadCalendar(policy.calendarId));
+
+    return policy;
+  },
+
+  /**
+   * Record the first response from staff, if there was none yet; the caller saves
+   * @param {Object} complaint - Complaint document
+   * @param {Date} [at] - When staff responded
+   */
+  recordFirstResponse: (complaint, at = new Date()) => {
+    if (complaint.sla?.policyId && !complaint.sla.firstRespondedAt) {
+      complaint.sla.firstRespondedAt = at;
+    }
+  },
+
+  /**
+   * Stop the resolution clock while the complaint waits on the complainant. Asking the
+   * complainant counts as a response. The caller saves.
+   * @param {Object} complaint - Complaint document
+   * @returns {Boolean} Whether the clock was running
+   */
+  pause: (complaint) => {
+    if (!complaint.sla?.policyId || complaint.sla.pausedAt) return false;
+
+    const now = new Date();
+    slaService.recordFirstResponse(complaint, now);
+    complaint.sla.pausedAt = now;
+    return true;
+  },
+
+  /**
+   * Restart the resolution clock, pushing the due date back by the business time paused.
+   * The caller saves the complaint; the workflow's expected completion follows the new date.
+   * @param {Object} complaint - Complaint document
+   * @returns {Promise<Boolean>} Whether the clock was paused
+   */
+  resume: async (complaint) => {
+    if (!complaint.sla?.pausedAt) return false;
+
+    const calendar = await loadCalendar(complaint.sla.calendarId);
+    complaint.sla.pausedMs = (complaint.sla.pausedMs || 0) +
+      businessCalendarService.businessTimeBetween(complaint.sla.pausedAt, new Date(), calendar);
+    complaint.sla.pausedAt = undefined;
+    slaService.setDueDates(complaint, calendar);
+
+    await WorkflowInstance.updateOne(
+      { complaintId: complaint._id, isCompleted: false },
+      { $set: { expectedCompletionDate: complaint.sla.resolutionDueAt } }
+    );
+    return true;
+  },
+
+  /**
+   * Where a complaint stands against its targets
+   * @param {Object} complaint - Complaint document or plain object
+   * @param {Date} [now] - Moment to judge at
+   * @returns {Object|null} - { policyName, state, paused, pausedAt, firstResponse, resolution }, or null without a policy
+   */
+  getStatus: (complaint, now = new Date()) => {
+    const sla = complaint.sla;
+    if (!sla?.policyId) return null;
+
+    const pausedAt = sla.pausedAt ? new Date(sla.pausedAt) : null;
+    const target = (dueAt, warnAt, achievedAt) => {
+      const state = targetState(
+        dueAt && new Date(dueAt),
+        warnAt && new Date(warnAt),
+        achievedAt && new Date(achievedAt),
+        pausedAt,
+        now
+      );
+      return state && { dueAt, achievedAt: achievedAt || null, state };
+    };
+
+    // Only the resolution clock pauses; a first response is recorded when the pause starts
+    const firstResponse = target(sla.firstResponseDueAt, sla.firstResponseWarnAt, sla.firstRespondedAt);
+    const resolution = target(sla.resolutionDueAt, sla.resolutionWarnAt, complaint.resolvedAt || complaint.closedAt);
+    const states = [firstResponse?.state, resolution?.state].filter(Boolean);
+
+    return {
+      policyName: sla.policyName,
+      state: SLA_STATES.find(state => states.includes(state)) || 'ON_TRACK',
+      paused: Boolean(pausedAt),
+      pausedAt,
+      firstResponse,
+      resolution
+    };
+  }
+};
@@ -0,0 +1,100 @@
+// services/smsProviders.js
+// Adapters that hand a text message to an SMS gateway. Each provider has a
+// name and send({ to, body }) resolving to { messageId } or throwing.
+import fs from 'fs/promises';
+import crypto from 'crypto';
+
+/**
+ * Prints messages to the console, and appends them to SMS_LOG_FILE when set.
+ * For local development and testing; nothing leaves the machine. Refused in
+ * production, where it would write reset codes into the server logs.
+ */
+const createConsoleProvider = () => {
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('The console SMS provider cannot be used in production; set SMS_PROVIDER to a gateway');
+  }
+
+  return {
+    name: 'console',
+
+    async send({ to, body }) {
+      const messageId = crypto.randomUUID();
+      console.log(`[sms] ${messageId} to ${to}: ${body}`);
+
+      if (process.env.SMS_LOG_FILE) {
+        const line = JSON.stringify({ id: messageId, to, body, sentAt: new Date().toISOString() });
+        await fs.appendFile(process.env.SMS_LOG_FILE, `${line}\n`);
+      }
+
+      return { messageId };
+    }
+  };
+};
+
+/**
+ * Posts each message as JSON to a gateway:
+ *
+ *   POST SMS_HTTP_URL
+ *   Authorization: Bearer SMS_HTTP_TOKEN
+ *   { "to": "+15551234567", "from": SMS_FROM, "message": "..." }
+ *
+ * Any 2xx response counts as accepted; the message ID is read from the
+ * response's `id` or `messageId` field when present. Gateways with another
+ * request shape get their own adapter alongside this one.
+ */
+const createHttpProvider = () => {
+  const url = process.env.SMS_HTTP_URL;
+  if (!url) {
+    throw new Error('SMS_HTTP_URL must be set to use the http SMS provider');
+  }
+
+  const timeoutMs = (parseInt(process.env.SMS_HTTP_TIMEOUT_SECONDS) || 10) * 1000;
+
+  return {
+    name: 'http',
+
+    async send({ to, body }) {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(process.env.SMS_HTTP_TOKEN && { Authorization: `Bearer ${process.env.SMS_HTTP_TOKEN}` })
+        },
+        body: JSON.stringify({ to, from: process.env.SMS_FROM, message: body }),
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+
+      const text = await response.text();
+      if (!response.ok) {
+        throw new Error(`SMS gateway responded ${response.status}: ${text.slice(0, 200)}`);
+      }
+
+      let payload = {};
+      try {
+        payload = JSON.parse(text);
+      } catch {
+        // Gateways that answer with plain text still accepted the message
+      }
+
+      return { messageId: payload.id || payload.messageId };
+    }
+  };
+};
+
+const PROVIDERS = {
+  console: createConsoleProvider,
+  http: createHttpProvider
+};
+
+/**
+ * Create the provider named by SMS_PROVIDER (default console)
+ * @param {String} name - Provider name
+ * @returns {Object} - { name, send }
+ */
+export const createSmsProvider = (name = process.env.SMS_PROVIDER || 'console') => {
+  const factory = PROVIDERS[name];
+  if (!factory) {
+    throw new Error(`Unknown SMS provider "${name}"; expected one of ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  return factory();
+};
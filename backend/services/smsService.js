@@ -0,0 +1,175 @@
+// services/smsService.js
+import { Organization, SmsMessage, SmsUsage } from '../models/models.js';
+import { SMS_TEMPLATES } from '../config/smsTemplates.js';
+import { createSmsProvider } from './smsProviders.js';
+import { emailTemplateService } from './emailTemplateService.js';
+
+const PHONE_PATTERN = /^\+[1-9]\d{6,14}$/;
+const MAX_TITLE_LENGTH = 60;
+
+// Keep complaint titles short enough for a single SMS segment
+const shorten = (text) => (text && text.length > MAX_TITLE_LENGTH ? `${text.slice(0, MAX_TITLE_LENGTH - 1)}…` : text);
+
+class SmsService {
+  constructor() {
+    this.provider = null;
+  }
+
+  // Created on first use so a misconfigured gateway only fails SMS sends
+  getProvider() {
+    if (!this.provider) {
+      this.provider = createSmsProvider();
+    }
+    return this.provider;
+  }
+
+  isValidPhone(phone) {
+    return PHONE_PATTERN.test(phone || '');
+  }
+
+  currentMonth(date = new Date()) {
+    return date.toISOString().slice(0, 7);
+  }
+
+  /**
+   * Monthly SMS allowance for an organization
+   * @param {String} organizationId - Organization ID
+   * @returns {Promise<Number>}
+   */
+  async getQuota(organizationId) {
+    const organization = await Organization.findById(organizationId).select('smsMonthlyQuota');
+    if (typeof organization?.smsMonthlyQuota === 'number') {
+      return organization.smsMonthlyQuota;
+    }
+    const fallback = parseInt(process.env.SMS_MONTHLY_QUOTA);
+    return Number.isFinite(fallback) ? fallback : 200;
+  }
+
+  /**
+   * This month's usage against the quota
+   * @param {String} organizationId - Organization ID
+   * @returns {Promise<Object>} - { month, used, quota }
+   */
+  async getUsage(organizationId) {
+    const month = this.currentMonth();
+    const [usage, quota] = await Promise.all([
+      SmsUsage.findOne({ organizationId, month }),
+      this.getQuota(organizationId)
+    ]);
+    return { month, used: usage?.count || 0, quota };
+  }
+
+  /**
+   * Count one message against this month's quota, atomically
+   * @returns {Promise<Boolean>} - False when the quota is used up
+   */
+  async reserve(organizationId, month, quota) {
+    if (quota <= 0) return false;
+
+    const filter = { organizationId, month, count: { $lt: quota } };
+    const update = { $inc: { count: 1 } };
+
+    try {
+      return Boolean(await SmsUsage.findOneAndUpdate(filter, update, { upsert: true, new: true }));
+    } catch (error) {
+      // The filter missed an existing month (quota reached) or another send created it first
+      if (error.code !== 11000) throw error;
+      return Boolean(await SmsUsage.findOneAndUpdate(filter, update, { new: true }));
+    }
+  }
+
+  /**
+   * Render and send one SMS, recording it in the SMS log. Never throws.
+   * @param {Object} message - { organizationId, userId, to, eventType, variables }
+   * @returns {Promise<Object>} - { success, status, error }
+   */
+  async send({ organizationId, userId, to, eventType, variables = {} }) {
+    const template = SMS_TEMPLATES[eventType];
+    if (!template) {
+      return { success: false, error: `Unknown SMS event: ${eventType}` };
+    }
+
+    const render = (values) => emailTemplateService.fill(template.text, values, false).replace(/\s+/g, ' ').trim();
+    const body = render(variables);
+
+    // The log keeps a copy with secrets such as reset codes masked
+    const masked = Object.fromEntries((template.redact || []).map(name => [name, '******']));
+    const entry = {
+      organizationId,
+      userId,
+      eventType,
+      to,
+      body: render({ ...variables, ...masked }),
+      sensitive: Object.keys(masked).length > 0
+    };
+
+    try {
+      // A misconfigured provider fails before the quota is touched
+      const provider = this.getProvider();
+      const month = this.currentMonth();
+      const quota = await this.getQuota(organizationId);
+
+      if (!await this.reserve(organizationId, month, quota)) {
+        await SmsMessage.create({ ...entry, status: 'QUOTA_EXCEEDED', error: `Monthly quota of ${quota} reached` });
+        console.warn(`SMS quota reached for organization ${organizationId}; ${eventType} to ${to} not sent`);
+        return { success: false, status: 'QUOTA_EXCEEDED', error: 'Monthly SMS quota reached' };
+      }
+
+      try {
+        const { messageId } = await provider.send({ to, body });
+        await SmsMessage.create({ ...entry, status: 'SENT', provider: provider.name, providerMessageId: messageId });
+        return { success: true, status: 'SENT' };
+      } catch (error) {
+        // Failed sends do not use up the quota
+        await SmsUsage.updateOne({ organizationId, month }, { $inc: { count: -1 } });
+        await SmsMessage.create({ ...entry, status: 'FAILED', provider: provider.name, error: error.message });
+        console.error(`Failed to send ${eventType} SMS to ${to}:`, error.message);
+        return { success: false, status: 'FAILED', error: error.message };
+      }
+    } catch (error) {
+      console.error(`Error sending ${eventType} SMS:`, error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Send an SMS to a user who opted into SMS and has a phone number
+   * @param {Object} user - Recipient with phone, organizationId and notificationPreferences
+   * @param {String} eventType - Key of SMS_TEMPLATES
+   * @param {Object} variables - Template variables
+   * @returns {Promise<Object|null>} - The send result, or null when the user gets no SMS
+   */
+  async sendToUser(user, eventType, variables) {
+    if (!user?.notificationPreferences?.sms || !this.isValidPhone(user.phone)) {
+      return null;
+    }
+
+    return this.send({
+      organizationId: user.organizationId?._id || user.organizationId,
+      userId: user._id,
+      to: user.phone,
+      eventType,
+      variables
+    });
+  }
+
+  async sendUrgentComplaintAlert(user, complaint) {
+    return this.sendToUser(user, 'URGENT_COMPLAINT', {
+      complaintTitle: shorten(complaint.title),
+      link: `${process.env.FRONTEND_URL}/complaints/${complaint._id}`
+    });
+  }
+
+  async sendEscalationAlert(user, complaint) {
+    return this.sendToUser(user, 'COMPLAINT_ESCALATED', {
+      complaintTitle: shorten(complaint.title),
+      link: `${process.env.FRONTEND_URL}/complaints/${complaint._id}`
+    });
+  }
+
+  async sendPasswordResetCode(user, otp) {
+    return this.sendToUser(user, 'PASSWORD_RESET', { otp });
+  }
+}
+
+export const smsService = new SmsService();
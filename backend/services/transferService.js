@@ -0,0 +1,321 @@
+// services/transferService.js
+// Moves a complaint to another department. The complaint keeps its log; its assignee is
+// cleared and its workflow follows the receiving department: rebound to that department's
+// workflow for the complaint type, kept when both share one, or ended when the receiving
+// department has none. Departments can require that transfers into them wait for one of
+// their users to accept.
+import { Complaint, ComplaintLog, ComplaintTransfer, Department, User, Workflow, WorkflowInstance } from '../models/models.js';
+import { workflowService } from './workflowService.js';
+import { workflowVersionService } from './workflowVersionService.js';
+import { notificationDispatchService } from './notificationDispatchService.js';
+import { emailService } from './emailService.js';
+import { OPEN_STATUSES, idOf } from '../utils/helpers.js';
+
+// Stage name of complaints without a workflow, as set when they are filed
+const NO_WORKFLOW_STAGE = 'Initial Review';
+
+export const TRANSFER_DECISIONS = ['ACCEPTED', 'REJECTED'];
+
+const departmentUsers = (departmentId) => User.find({
+  departmentId,
+  role: 'DepartmentUser',
+  isActive: true
+}).select('_id');
+
+export const transferService = {
+  /**
+   * Check a complaint can be transferred to a department
+   * @param {Object} complaint - Complaint document
+   * @param {Object} toDepartment - Department document, or null when not found
+   * @returns {Promise<String|null>} An error message, or null if the transfer may go ahead
+   */
+  validateRequest: async (complaint, toDepartment) => {
+    if (!OPEN_STATUSES.includes(complaint.status)) {
+      return 'Only open complaints can be transferred';
+    }
+    if (complaint.mergedInto) {
+      return 'This complaint was merged into another one; transfer that one instead';
+    }
+    if (!toDepartment || !toDepartment.isActive) {
+      return 'Choose an active department to transfer to';
+    }
+    if (idOf(toDepartment) === idOf(complaint.departmentId)) {
+      return 'The complaint is already in this department';
+    }
+    if (await ComplaintTransfer.exists({ complaintId: complaint._id, status: 'PENDING' })) {
+      return 'A transfer of this complaint is already waiting for a decision';
+    }
+    return null;
+  },
+
+  /**
+   * Whether a transfer waits for the receiving department. It does when the department
+   * requires it, unless the requester could accept it themselves.
+   * @param {Object} toDepartment - Department document
+   * @param {Object} user - The requester
+   * @returns {Boolean}
+   */
+  needsApproval: (toDepartment, user) => Boolean(toDepartment.requireTransferApproval) &&
+    user.role !== 'SuperAdmin' &&
+    idOf(user.departmentId) !== idOf(toDepartment),
+
+  /**
+   * Whether a user may accept or reject a pending transfer: a user of the receiving department
+   * @param {Object} user - Authenticated user
+   * @param {Object} transfer - ComplaintTransfer document
+   * @returns {Boolean}
+   */
+  canDecide: (user, transfer) => user.role === 'SuperAdmin' ||
+    (user.role === 'DepartmentUser' && idOf(user.departmentId) === idOf(transfer.toDepartmentId)),
+
+  /**
+   * Ask a department to take over a complaint, or move it straight away when no approval is needed
+   * @param {Object} options
+   * @param {Object} options.complaint - Complaint document, validated with validateRequest
+   * @param {Object} options.toDepartment - Department document
+   * @param {String} options.reason - Why the complaint belongs there
+   * @param {Object} options.user - The requester
+   * @returns {Promise<Object>} - The ComplaintTransfer, PENDING or COMPLETED
+   */
+  request: async ({ complaint, toDepartment, reason, user }) => {
+    const transfer = await ComplaintTransfer.create({
+      organizationId: complaint.organizationId,
+      complaintId: complaint._id,
+      fromDepartmentId: complaint.departmentId,
+      toDepartmentId: toDepartment._id,
+      reason,
+      requestedBy: user._id
+    });
+
+    if (!transferService.needsApproval(toDepartment, user)) {
+      return transferService.complete(transfer, complaint, user._id);
+    }
+
+    const fromDepartment = await Department.findById(complaint.departmentId).select('name');
+
+    await ComplaintLog.create({
+      complaintId: complaint._id,
+      userId: user._id,
+      action: 'TRANSFER_REQUESTED',
+      comment: `Transfer to ${toDepartment.name} requested: ${reason}`,
+      previousStage: complaint.currentStage,
+      newStage: complaint.currentStage
+    });
+
+    await notificationDispatchService.dispatch({
+      event: 'COMPLAINT_TRANSFERRED',
+      recipients: await departmentUsers(toDepartment._id),
+      notification: {
+        message: `${fromDepartment?.name || 'Another department'} asks ${toDepartment.name} to take over: ${complaint.title}`,
+        relatedTo: { type: 'COMPLAINT', id: complaint._id }
+      }
+    });
+
+    return transfer;
+  },
+
+  /**
+   * Accept or reject a pending transfer. The transfer is claimed first, so of two users deciding
+   * at once only one carries it out.
+   * @param {Object} transfer - Pending ComplaintTransfer document
+   * @param {Object} user - A user of the receiving department
+   * @param {String} decision - ACCEPTED or REJECTED
+   * @param {String} [comment] - The receiving department's answer
+   * @returns {Promise<Object|null>} - The transfer, CANCELLED when the complaint is no longer open,
+   * or null when it was decided in the meantime
+   */
+  decide: async (transfer, user, decision, comment) => {
+    const claimed = await ComplaintTransfer.findOneAndUpdate(
+      { _id: transfer._id, status: 'PENDING' },
+      {
+        $set: {
+          status: decision === 'ACCEPTED' ? 'COMPLETED' : 'REJECTED',
+          decidedBy: user._id,
+          decidedAt: new Date(),
+          comment
+        }
+      },
+      { new: true }
+    );
+    if (!claimed) return null;
+
+    const complaint = await Complaint.findById(claimed.complaintId);
+
+    if (!complaint || !OPEN_STATUSES.includes(complaint.status)) {
+      claimed.status = 'CANCELLED';
+      await claimed.save();
+      return claimed;
+    }
+
+    if (decision === 'ACCEPTED') {
+      return transferService.complete(claimed, complaint, user._id);
+    }
+
+    const toDepartment = await Department.findById(claimed.toDepartmentId).select('name');
+
+    await ComplaintLog.create({
+      complaintId: complaint._id,
+      userId: user._id,
+      action: 'TRANSFER_REJECTED',
+      comment: `${toDepartment?.name || 'The department'} declined the transfer${comment ? `: ${comment}` : ''}`,
+      previousStage: complaint.currentStage,
+      newStage: complaint.currentStage
+    });
+
+    await notificationDispatchService.dispatch({
+      event: 'COMPLAINT_TRANSFERRED',
+      recipients: [claimed.requestedBy],
+      notification: {
+        message: `${toDepartment?.name || 'The department'} declined to take over: ${complaint.title}`,
+        relatedTo: { type: 'COMPLAINT', id: complaint._id }
+      }
+    });
+
+    return claimed;
+  },
+
+  /**
+   * Move the complaint's workflow to what the receiving department runs for its type
+   * @param {Object} complaint - Complaint document, already in the receiving department
+   * @param {Object} toDepartment - Department document
+   * @param {String} userId - Who transferred it
+   * @returns {Promise<Object>} - { outcome, fromWorkflowId, fromStageName, toWorkflowId, stageName }
+   */
+  moveWorkflow: async (complaint, toDepartment, userId) => {
+    const instance = await WorkflowInstance.findOne({ complaintId: complaint._id });
+    const live = instance && instance.status !== 'CANCELED' ? instance : null;
+    const definition = live && await workflowVersionService.getDefinition(live);
+    const fromStageName = definition?.stages.find(s => s.id === live.currentStageId)?.name;
+    const target = await workflowService.findDepartmentWorkflow(complaint, toDepartment._id);
+    const note = `Transferred to ${toDepartment.name}`;
+
+    const result = { fromWorkflowId: live?.workflowId, fromStageName, toWorkflowId: target?._id };
+
+    if (!live) {
+      if (!target) return { ...result, outcome: 'NONE' };
+
+      // A workflow ended by an earlier transfer takes up the new one after its history
+      if (instance) {
+        const firstStage = await workflowService.rebindWorkflow(instance, target, complaint, { userId, note });
+        return firstStage ? { ...result, outcome: 'STARTED', stageName: firstStage.name } : { ...result, outcome: 'NONE' };
+      }
+
+      const started = await workflowService.initializeWorkflow(complaint, target);
+      if (!started) return { ...result, outcome: 'NONE' };
+
+      const version = await workflowVersionService.getDefinition(started);
+      return { ...result, outcome: 'STARTED', stageName: version.stages.find(s => s.id === started.currentStageId)?.name };
+    }
+
+    // A workflow both departments share carries on where it was
+    if (target && target._id.equals(live.workflowId)) {
+      return { ...result, outcome: 'KEPT' };
+    }
+    if (!target) {
+      const current = await Workflow.findById(live.workflowId).select('departmentId');
+      if (current && (!current.departmentId || current.departmentId.equals(toDepartment._id))) {
+        return { ...result, outcome: 'KEPT' };
+      }
+    }
+
+    const firstStage = target && await workflowService.rebindWorkflow(live, target, complaint, { userId, note });
+    if (firstStage) {
+      return { ...result, outcome: 'REBOUND', stageName: firstStage.name };
+    }
+
+    // The receiving department has no workflow for this type: the complaint is handled without
+    // one, and the instance is kept for its history
+    await workflowService.endWorkflow(live, { userId, note });
+    return { ...result, toWorkflowId: undefined, outcome: 'ENDED', stageName: NO_WORKFLOW_STAGE };
+  },
+
+  /**
+   * Move the complaint into the receiving department: clear its assignee, move its workflow,
+   * log the transfer and tell both departments
+   * @param {Object} transfer - ComplaintTransfer document
+   * @param {Object} complaint - Complaint document
+   * @param {String} userId - Who completed it: the requester, or the user who accepted
+   * @returns {Promise<Object>} - The completed transfer
+   */
+  complete: async (transfer, complaint, userId) => {
+    const [fromDepartment, toDepartment] = await Promise.all([
+      Department.findById(transfer.fromDepartmentId).select('name'),
+      Department.findById(transfer.toDepartmentId).select('name')
+    ]);
+    const previousStage = complaint.currentStage;
+    const previousAssignee = complaint.assignedTo;
+
+    complaint.departmentId = toDepartment._id;
+    complaint.assignedTo = undefined;
+    if (complaint.status === 'In Progress') complaint.status = 'Open';
+    complaint.updatedAt = new Date();
+    await complaint.save();
+
+    // Stage actions of a new first stage may assign or update the complaint again
+    const { stageName, ...workflow } = await transferService.moveWorkflow(complaint, toDepartment, userId);
+    if (stageName && stageName !== complaint.currentStage) {
+      complaint.currentStage = stageName;
+      await complaint.save();
+    }
+
+    transfer.status = 'COMPLETED';
+    transfer.workflow = workflow;
+    transfer.completedAt = new Date();
+    await transfer.save();
+
+    const fromName = fromDepartment?.name || 'another department';
+
+    await ComplaintLog.create({
+      complaintId: complaint._id,
+      userId,
+      action: 'TRANSFERRED',
+      comment: `Transferred from ${fromName} to ${toDepartment.name}: ${transfer.reason}`,
+      previousStage,
+      newStage: complaint.currentStage
+    });
+
+    const workflowNotes = {
+      REBOUND: `Restarted on ${toDepartment.name}'s workflow at ${stageName}`,
+      STARTED: `Started ${toDepartment.name}'s workflow at ${stageName}`,
+      ENDED: `Workflow ended: ${toDepartment.name} has no workflow for this complaint type`
+    };
+    if (workflowNotes[workflow.outcome]) {
+      await ComplaintLog.create({
+        complaintId: complaint._id,
+        userId,
+        action: 'WORKFLOW_UPDATED',
+        comment: workflowNotes[workflow.outcome],
+        previousStage: workflow.fromStageName || previousStage,
+        newStage: complaint.currentStage
+      });
+    }
+
+    const [fromUsers, toUsers] = await Promise.all([
+      departmentUsers(transfer.fromDepartmentId),
+      departmentUsers(transfer.toDepartmentId)
+    ]);
+
+    await notificationDispatchService.dispatch({
+      event: 'COMPLAINT_TRANSFERRED',
+      recipients: [...fromUsers, ...toUsers, previousAssignee],
+      notification: {
+        message: `Complaint transferred from ${fromName} to ${toDepartment.name}: ${complaint.title}`,
+        relatedTo: { type: 'COMPLAINT', id: complaint._id }
+      },
+      sendEmail: (user) => emailService.sendComplaintTransferNotification(
+        user.email,
+        {
+          userName: `${user.firstName} ${user.lastName}`,
+          complaintTitle: complaint.title,
+          complaintId: complaint._id,
+          fromDepartment: fromName,
+          toDepartment: toDepartment.name,
+          reason: transfer.reason
+        },
+        { organizationId: complaint.organizationId }
+      )
+    });
+
+    return transfer;
+  }
+};
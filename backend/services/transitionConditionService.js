@@ -0,0 +1,256 @@
+// services/transitionConditionService.js
+// Transition conditions decide who may move a complaint along a transition and when.
+//
+// CUSTOM conditions hold a declarative expression over complaint fields; nothing in it is executed:
+//   { "field": "priority", "op": "gte", "value": "High" }
+//   { "all": [ <expression>, ... ] }   every part must hold
+//   { "any": [ <expression>, ... ] }   at least one part must hold
+//   { "not": <expression> }
+// Fields: priority, type (complaint type ID), department (department ID), ageInHours, attachmentCount.
+// Operators: eq, ne, in, notIn, and gt, gte, lt, lte for priority and the numeric fields.
+
+const PRIORITIES = ['Low', 'Medium', 'High', 'Urgent'];
+const ROLES = ['SuperAdmin', 'DepartmentUser', 'Faculty', 'Student'];
+const HOUR_MS = 60 * 60 * 1000;
+
+const FIELDS = {
+  priority: { label: 'priority', kind: 'priority' },
+  type: { label: 'complaint type', kind: 'id' },
+  department: { label: 'department', kind: 'id' },
+  ageInHours: { label: 'age in hours', kind: 'number' },
+  attachmentCount: { label: 'attachment count', kind: 'number' }
+};
+
+const OPERATORS = {
+  eq: 'is',
+  ne: 'is not',
+  in: 'is one of',
+  notIn: 'is none of',
+  gt: 'is more than',
+  gte: 'is at least',
+  lt: 'is less than',
+  lte: 'is at most'
+};
+
+const ORDERED_OPERATORS = ['gt', 'gte', 'lt', 'lte'];
+const MAX_DEPTH = 5;
+const MAX_COMPARISONS = 20;
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Roles of a USER_ROLE condition; older workflows store a single role string
+const rolesOf = (condition) => [].concat(condition.value || []);
+
+// Map a field value to something comparable: priorities by rank, IDs as strings
+const normalize = (kind, value) => {
+  if (kind === 'priority') return PRIORITIES.indexOf(value);
+  if (kind === 'id') return value?.toString();
+  return Number(value);
+};
+
+const checkValue = (field, value) => {
+  const { kind, label } = FIELDS[field];
+  if (kind === 'priority' && !PRIORITIES.includes(value)) {
+    return `"${value}" is not a priority (${PRIORITIES.join(', ')})`;
+  }
+  if (kind === 'id' && !/^[a-f\d]{24}$/i.test(String(value))) {
+    return `The ${label} must be given by its ID`;
+  }
+  if (kind === 'number' && !(typeof value === 'number' && Number.isFinite(value))) {
+    return `The ${label} must be compared with a number`;
+  }
+  return null;
+};
+
+const validateExpression = (expression, depth, counter) => {
+  if (!isPlainObject(expression)) return 'Each part of the expression must be an object';
+  if (depth > MAX_DEPTH) return `Expressions can be nested at most ${MAX_DEPTH} levels deep`;
+
+  const keys = Object.keys(expression);
+
+  if (keys.length === 1 && (keys[0] === 'all' || keys[0] === 'any')) {
+    const parts = expression[keys[0]];
+    if (!Array.isArray(parts) || parts.length === 0) return `"${keys[0]}" needs a non-empty list of expressions`;
+    for (const part of parts) {
+      const error = validateExpression(part, depth + 1, counter);
+      if (error) return error;
+    }
+    return null;
+  }
+
+  if (keys.length === 1 && keys[0] === 'not') {
+    return validateExpression(expression.not, depth + 1, counter);
+  }
+
+  const { field, op, value } = expression;
+  if (keys.some(key => !['field', 'op', 'value'].includes(key))) {
+    return 'Expressions use either field/op/value or one of all, any and not';
+  }
+  if (!FIELDS[field]) return `Unknown field "${field}" (${Object.keys(FIELDS).join(', ')})`;
+  if (!OPERATORS[op]) return `Unknown operator "${op}" (${Object.keys(OPERATORS).join(', ')})`;
+  if (ORDERED_OPERATORS.includes(op) && FIELDS[field].kind === 'id') {
+    return `The ${FIELDS[field].label} can only be compared with eq, ne, in and notIn`;
+  }
+
+  counter.comparisons++;
+  if (counter.comparisons > MAX_COMPARISONS) return `Expressions can hold at most ${MAX_COMPARISONS} comparisons`;
+
+  if (op === 'in' || op === 'notIn') {
+    if (!Array.isArray(value) || value.length === 0) return `"${op}" needs a non-empty list of values`;
+    for (const item of value) {
+      const error = checkValue(field, item);
+      if (error) return error;
+    }
+    return null;
+  }
+
+  return checkValue(field, value);
+};
+
+const evaluateExpression = (expression, facts) => {
+  if (expression.all) return expression.all.every(part => evaluateExpression(part, facts));
+  if (expression.any) return expression.any.some(part => evaluateExpression(part, facts));
+  if (expression.not) return !evaluateExpression(expression.not, facts);
+
+  const { kind } = FIELDS[expression.field];
+  const actual = normalize(kind, facts[expression.field]);
+  const expected = Array.isArray(expression.value)
+    ? expression.value.map(item => normalize(kind, item))
+    : normalize(kind, expression.value);
+
+  switch (expression.op) {
+    case 'eq': return actual === expected;
+    case 'ne': return actual !== expected;
+    case 'in': return expected.includes(actual);
+    case 'notIn': return !expected.includes(actual);
+    case 'gt': return actual > expected;
+    case 'gte': return actual >= expected;
+    case 'lt': return actual < expected;
+    case 'lte': return actual <= expected;
+    default: return false;
+  }
+};
+
+const describeExpression = (expression) => {
+  if (expression.all) return expression.all.map(describeExpression).join(' and ');
+  if (expression.any) return `(${expression.any.map(describeExpression).join(' or ')})`;
+  if (expression.not) return `not (${describeExpression(expression.not)})`;
+
+  const value = Array.isArray(expression.value) ? expression.value.join(', ') : expression.value;
+  return `${FIELDS[expression.field].label} ${OPERATORS[expression.op]} ${value}`;
+};
+
+export const transitionConditionService = {
+  /**
+   * Validate a transition condition
+   * @param {Object} condition - { type, value }
+   * @returns {String|null} An error message, or null if the condition is valid
+   */
+  validateCondition: (condition) => {
+    if (!condition?.type) return null;
+
+    switch (condition.type) {
+      case 'ALWAYS':
+        return null;
+      case 'TIME_BASED':
+        if (condition.value !== undefined && condition.value !== null && !(Number(condition.value) > 0)) {
+          return 'Time-based transitions need a positive number of hours';
+        }
+        return null;
+      case 'USER_ROLE': {
+        const roles = rolesOf(condition);
+        if (roles.length === 0) return 'Role conditions need at least one role';
+        const unknown = roles.find(role => !ROLES.includes(role));
+        return unknown ? `Unknown role "${unknown}"` : null;
+      }
+      case 'CUSTOM':
+        if (condition.value === undefined || condition.value === null) return 'Custom conditions need an expression';
+        return validateExpression(condition.value, 1, { comparisons: 0 });
+      default:
+        return 'Unsupported condition type';
+    }
+  },
+
+  /**
+   * Validate every transition condition of a workflow
+   * @param {Array} stages - Workflow stages
+   * @returns {String|null} An error message naming the stage, or null if all conditions are valid
+   */
+  validateStages: (stages = []) => {
+    for (const stage of stages) {
+      for (const transition of stage.transitions || []) {
+        const error = transitionConditionService.validateCondition(transition.condition);
+        if (error) return `Transition "${transition.name || transition.targetStageId}" in stage "${stage.name}": ${error}`;
+      }
+    }
+    return null;
+  },
+
+  /**
+   * The complaint fields CUSTOM expressions can refer to
+   * @param {Object} complaint - Complaint document
+   * @param {Date} now - Evaluation time
+   * @returns {Object} - { priority, type, department, ageInHours, attachmentCount }
+   */
+  getFacts: (complaint, now = new Date()) => ({
+    priority: complaint.priority,
+    type: complaint.complaintTypeId?._id || complaint.complaintTypeId,
+    department: complaint.departmentId?._id || complaint.departmentId,
+    ageInHours: (now.getTime() - new Date(complaint.createdAt || now).getTime()) / HOUR_MS,
+    attachmentCount: (complaint.attachments || []).length
+  }),
+
+  /**
+   * Check whether a user may move a complaint along a transition now. Time-based
+   * transitions only add automation, so people may still take them by hand.
+   * @param {Object} condition - Transition condition
+   * @param {Object} context - { user, complaint, now }
+   * @returns {Boolean}
+   */
+  isSatisfied: (condition, { user, complaint, now = new Date() }) => {
+    switch (condition?.type) {
+      case 'USER_ROLE':
+        return Boolean(user) && rolesOf(condition).includes(user.role);
+      case 'CUSTOM':
+        // A stored expression that no longer validates never opens the transition
+        if (transitionConditionService.validateCondition(condition)) return false;
+        return evaluateExpression(condition.value, transitionConditionService.getFacts(complaint, now));
+      default:
+        return true;
+    }
+  },
+
+  /**
+   * Check whether the SLA sweep may take a transition: time-based ones once the complaint
+   * has been in the stage for their hours (the stage duration when none are set), guarded
+   * ones never, since no person is making the move.
+   * @param {Object} condition - Transition condition
+   * @param {Object} context - { stage, enteredAt, now }
+   * @returns {Boolean}
+   */
+  isDue: (condition, { stage, enteredAt, now = new Date() }) => {
+    if (condition?.type !== 'TIME_BASED') return false;
+    const hours = Number(condition.value) || stage.durationInHours || 24;
+    return now.getTime() - new Date(enteredAt).getTime() > hours * HOUR_MS;
+  },
+
+  /**
+   * Describe a condition in plain words, used in error messages and the stage updater
+   * @param {Object} condition - Transition condition
+   * @returns {String}
+   */
+  describe: (condition) => {
+    switch (condition?.type) {
+      case 'TIME_BASED':
+        return condition.value ? `Taken automatically after ${condition.value} hours` : 'Taken automatically when the stage is overdue';
+      case 'USER_ROLE':
+        return `Only for ${rolesOf(condition).join(' or ')}`;
+      case 'CUSTOM':
+        return transitionConditionService.validateCondition(condition)
+          ? 'Invalid condition'
+          : `Only when ${describeExpression(condition.value)}`;
+      default:
+        return 'Always available';
+    }
+  }
+};
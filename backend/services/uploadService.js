@@ -42,4 +42,22 @@ const upload = multer({
   }
 });
 
-export default upload;
\ No newline at end of file
+export default upload;
+
+// Spreadsheets (bulk user import) are parsed straight from memory and never stored
+const spreadsheetFilter = (req, file, cb) => {
+  const extension = path.extname(file.originalname).toLowerCase();
+  if (['.csv', '.xlsx'].includes(extension)) {
+    cb(null, true);
+  } else {
+    cb(new Error('Invalid file type. Only CSV & XLSX files are allowed.'), false);
+  }
+};
+
+export const spreadsheetUpload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: spreadsheetFilter,
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5MB limit
+  }
+});
@@ -0,0 +1,232 @@
+// services/userImportService.js
+import path from 'path';
+import { Readable } from 'stream';
+import ExcelJS from 'exceljs';
+import { User, Department, Organization } from '../models/models.js';
+import { userService } from './userService.js';
+import { emailService } from './emailService.js';
+
+export const MAX_IMPORT_ROWS = 1000;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const IMPORTABLE_ROLES = ['Student', 'DepartmentUser', 'Faculty'];
+
+// Header spellings accepted for each column, compared lowercased with spaces, dashes and underscores removed
+const COLUMN_ALIASES = {
+  email: ['email', 'emailaddress', 'mail'],
+  role: ['role', 'usertype', 'type'],
+  department: ['department', 'departmentname', 'dept'],
+  firstName: ['firstname', 'givenname'],
+  lastName: ['lastname', 'surname', 'familyname']
+};
+
+const normalizeKey = (value) => String(value || '').toLowerCase().replace(/[\s_-]/g, '');
+
+const ROLE_LOOKUP = {
+  student: 'Student',
+  students: 'Student',
+  faculty: 'Faculty',
+  departmentuser: 'DepartmentUser',
+  department: 'DepartmentUser'
+};
+
+// exceljs hands back rich text, hyperlinks and formulas as objects
+const cellText = (value) => {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'object') {
+    if (value.text !== undefined) return cellText(value.text);
+    if (value.richText) return value.richText.map(part => part.text).join('');
+    if (value.result !== undefined) return cellText(value.result);
+    if (value instanceof Date) return value.toISOString();
+  }
+  return String(value).trim();
+};
+
+export const userImportService = {
+  /**
+   * Read the first worksheet of an uploaded CSV or XLSX file
+   * @param {Object} file - Multer file held in memory
+   * @returns {Promise<Array<Object>>} - { rowNumber, email, role, department, firstName, lastName } per data row
+   */
+  parseSpreadsheet: async (file) => {
+    const workbook = new ExcelJS.Workbook();
+    let worksheet;
+    if (path.extname(file.originalname).toLowerCase() === '.csv') {
+      worksheet = await workbook.csv.read(Readable.from(file.buffer));
+    } else {
+      await workbook.xlsx.load(file.buffer);
+      worksheet = workbook.worksheets[0];
+    }
+
+    if (!worksheet) return [];
+
+    const columns = {};
+    worksheet.getRow(1).eachCell((cell, colNumber) => {
+      const header = normalizeKey(cellText(cell.value));
+      const field = Object.keys(COLUMN_ALIASES).find(key => COLUMN_ALIASES[key].includes(header));
+      if (field && !columns[field]) columns[field] = colNumber;
+    });
+
+    if (!columns.email || !columns.role) {
+      throw new Error('The file must have "email" and "role" columns in its first row.');
+    }
+
+    const rows = [];
+    worksheet.eachRow((row, rowNumber) => {
+      if (rowNumber === 1) return;
+
+      const values = Object.fromEntries(
+        Object.keys(COLUMN_ALIASES).map(field => [
+          field,
+          columns[field] ? cellText(row.getCell(columns[field]).value) : ''
+        ])
+      );
+      if (Object.values(values).every(value => !value)) return;
+
+      rows.push({ rowNumber, ...values });
+    });
+
+    return rows;
+  },
+
+  /**
+   * Check every row without writing anything
+   * @param {String} organizationId - Organization the users are imported into
+   * @param {Array<Object>} rows - Output of parseSpreadsheet
+   * @returns {Promise<Object>} - { rows, summary }, each row with a status of valid, error or duplicate
+   */
+  validateRows: async (organizationId, rows) => {
+    const departments = await Department.find({ organizationId }).select('name');
+    const departmentsByName = new Map(departments.map(dept => [dept.name.trim().toLowerCase(), dept]));
+
+    const emails = rows.map(row => row.email.toLowerCase()).filter(Boolean);
+    const existing = await User.find({
+      organizationId,
+      email: { $in: emails }
+    }).collation({ locale: 'en', strength: 2 }).select('email');
+    const existingEmails = new Set(existing.map(user => user.email.toLowerCase()));
+
+    const seen = new Map();
+
+    const results = rows.map(row => {
+      const email = row.email.toLowerCase();
+      const errors = [];
+
+      if (!email) {
+        errors.push('Email is required');
+      } else if (!EMAIL_PATTERN.test(email)) {
+        errors.push('Email is not valid');
+      }
+
+      const role = ROLE_LOOKUP[normalizeKey(row.role)];
+      if (!row.role) {
+        errors.push('Role is required');
+      } else if (!role) {
+        errors.push(`Role must be one of ${IMPORTABLE_ROLES.join(', ')}`);
+      }
+
+      let department = null;
+      if (row.department) {
+        department = departmentsByName.get(row.department.trim().toLowerCase());
+        if (!department) {
+          errors.push(`Department "${row.department}" does not exist`);
+        }
+      }
+
+      const result = {
+        rowNumber: row.rowNumber,
+        email,
+        role: role || row.role,
+        department: department?.name || row.department || null,
+        departmentId: department?._id || null,
+        firstName: row.firstName || null,
+        lastName: row.lastName || null,
+        errors
+      };
+
+      if (errors.length) {
+        result.status = 'error';
+      } else if (existingEmails.has(email)) {
+        result.status = 'duplicate';
+        result.errors = ['A user with this email already exists'];
+      } else if (seen.has(email)) {
+        result.status = 'duplicate';
+        result.errors = [`Same email as row ${seen.get(email)}`];
+      } else {
+        result.status = 'valid';
+        seen.set(email, row.rowNumber);
+      }
+
+      return result;
+    });
+
+    const summary = {
+      total: results.length,
+      valid: results.filter(row => row.status === 'valid').length,
+      errors: results.filter(row => row.status === 'error').length,
+      duplicates: results.filter(row => row.status === 'duplicate').length
+    };
+
+    return { rows: results, summary };
+  },
+
+  /**
+   * Create pre-approved users for the valid rows of a validation report
+   * @param {String} organizationId - Organization the users are imported into
+   * @param {Array<Object>} rows - Rows from validateRows
+   * @param {Object} options - { sendEmails } to email each user their registration ID
+   * @returns {Promise<Array<Object>>} - The rows, valid ones with registrationId and a created, failed or duplicate status
+   */
+  importUsers: async (organizationId, rows, { sendEmails = false } = {}) => {
+    const organization = await Organization.findById(organizationId);
+    if (!organization) {
+      throw new Error('Organization not found');
+    }
+
+    const byRole = IMPORTABLE_ROLES.map(role => [role, rows.filter(row => row.status === 'valid' && row.role === role)]);
+
+    for (const [role, roleRows] of byRole) {
+      if (!roleRows.length) continue;
+
+      const registrationIds = await userService.generateRegistrationIds(organization, role, roleRows.length);
+
+      for (const [index, row] of roleRows.entries()) {
+        try {
+          const user = new User({
+            organizationId,
+            email: row.email,
+            role,
+            departmentId: row.departmentId || undefined,
+            firstName: row.firstName || undefined,
+            lastName: row.lastName || undefined,
+            registrationId: registrationIds[index],
+            isActive: false // Activated when the user completes registration
+          });
+          await user.save();
+
+          row.status = 'created';
+          row.registrationId = user.registrationId;
+        } catch (err) {
+          // Another admin may have added the same email since the dry run
+          const isDuplicate = err.code === 11000 && !!err.keyPattern?.email;
+          row.status = isDuplicate ? 'duplicate' : 'failed';
+          row.errors = [isDuplicate ? 'A user with this email already exists' : 'Could not create this user'];
+          console.error('Error importing user:', err);
+          continue;
+        }
+
+        if (sendEmails) {
+          const result = await emailService.sendRegistrationInvite(row.email, {
+            organizationName: organization.name,
+            registrationId: row.registrationId,
+            role
+          }, { organizationId });
+          row.emailSent = result.success;
+        }
+      }
+    }
+
+    return rows;
+  }
+};
@@ -0,0 +1,32 @@
+// services/userService.js
+import { User } from '../models/models.js';
+
+export const userService = {
+  /**
+   * Generate registration IDs of the form ORG_ROLE_N for new pre-approved users.
+   * Numbering continues from the organization's user count for the role and
+   * skips any ID that is already taken.
+   * @param {Object} organization - Organization document
+   * @param {String} role - Student, DepartmentUser or Faculty
+   * @param {Number} count - How many IDs to generate
+   * @returns {Promise<Array<String>>}
+   */
+  generateRegistrationIds: async (organization, role, count = 1) => {
+    const prefix = `${organization.name.substring(0, 4).toUpperCase()}_${role.toUpperCase()}_`;
+    let next = (await User.countDocuments({ organizationId: organization._id, role })) + 1;
+
+    const ids = [];
+    while (ids.length < count) {
+      const candidates = Array.from({ length: count - ids.length }, (_, i) => `${prefix}${next + i}`);
+      next += candidates.length;
+
+      const taken = new Set(
+        (await User.find({ registrationId: { $in: candidates } }).select('registrationId'))
+          .map(user => user.registrationId)
+      );
+      ids.push(...candidates.filter(id => !taken.has(id)));
+    }
+
+    return ids;
+  }
+};
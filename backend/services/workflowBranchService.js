@@ -0,0 +1,114 @@
+// services/workflowBranchService.js
+// Graph rules for parallel stages, shared by the runtime, the validator and the simulation.
+// A FORK opens one branch per transition. Each branch follows its own transitions until
+// it reaches a JOIN, which lets the complaint continue once its joinRule is met.
+
+const JOIN_MODES = ['ALL', 'ANY', 'N_OF_M'];
+
+export const workflowBranchService = {
+  /**
+   * Follow every branch of a fork to the join where they meet
+   * @param {Array} stages - Workflow stages
+   * @param {Object} fork - FORK stage
+   * @returns {Object} - { join, problem }, problem { code, message, stageIds } when the branches do not meet at one join
+   */
+  findJoin: (stages, fork) => {
+    const byId = new Map(stages.map(stage => [stage.id, stage]));
+    const joins = new Set();
+
+    for (const transition of fork.transitions || []) {
+      const start = byId.get(transition.targetStageId);
+      if (!start) continue;
+
+      const seen = new Set();
+      const queue = [start];
+      while (queue.length > 0) {
+        const stage = queue.shift();
+        if (seen.has(stage.id)) continue;
+        seen.add(stage.id);
+
+        if (stage.type === 'JOIN') {
+          joins.add(stage.id);
+          continue;
+        }
+        if (stage.type === 'FORK') {
+          return {
+            join: null,
+            problem: {
+              code: 'NESTED_FORK',
+              message: `A branch of "${fork.name}" reaches the fork "${stage.name}" before a join; parallel sections cannot be nested`,
+              stageIds: [fork.id, stage.id]
+            }
+          };
+        }
+        if ((stage.transitions || []).length === 0) {
+          return {
+            join: null,
+            problem: {
+              code: 'BRANCH_WITHOUT_JOIN',
+              message: `The branch of "${fork.name}" through "${stage.name}" can end without reaching a join stage`,
+              stageIds: [fork.id, stage.id]
+            }
+          };
+        }
+
+        stage.transitions.forEach(t => byId.has(t.targetStageId) && queue.push(byId.get(t.targetStageId)));
+      }
+    }
+
+    if (joins.size !== 1) {
+      return {
+        join: null,
+        problem: joins.size === 0
+          ? { code: 'BRANCH_WITHOUT_JOIN', message: `The branches of "${fork.name}" never reach a join stage`, stageIds: [fork.id] }
+          : { code: 'FORK_JOINS_DIFFER', message: `The branches of "${fork.name}" must all end at the same join stage`, stageIds: [fork.id, ...joins] }
+      };
+    }
+
+    return { join: byId.get([...joins][0]), problem: null };
+  },
+
+  /**
+   * Number of arrived branches a join waits for
+   * @param {Object} join - JOIN stage
+   * @param {Number} opened - Branches the fork opened
+   * @returns {Number}
+   */
+  requiredArrivals: (join, opened) => {
+    const rule = join.joinRule || {};
+    if (rule.mode === 'ANY') return Math.min(1, opened);
+    if (rule.mode === 'N_OF_M') return Math.min(Number(rule.count) || opened, opened);
+    return opened;
+  },
+
+  /**
+   * Check a join rule against the number of branches that can reach it
+   * @param {Object} join - JOIN stage
+   * @param {Number} branchCount - Transitions of the fork that feeds the join
+   * @returns {String|null} An error message, or null if the rule is valid
+   */
+  validateJoinRule: (join, branchCount) => {
+    const rule = join.joinRule || {};
+    if (rule.mode && !JOIN_MODES.includes(rule.mode)) return `Join "${join.name}" has an unknown rule "${rule.mode}"`;
+    if (rule.mode === 'N_OF_M') {
+      const count = Number(rule.count);
+      if (!Number.isInteger(count) || count < 1 || count > branchCount) {
+        return `Join "${join.name}" must wait for between 1 and ${branchCount} branches`;
+      }
+    }
+    return null;
+  },
+
+  /**
+   * Describe a join rule in plain words
+   * @param {Object} join - JOIN stage
+   * @param {Number} opened - Branches the fork opened, when known
+   * @returns {String}
+   */
+  describeJoinRule: (join, opened) => {
+    const rule = join.joinRule || {};
+    if (rule.mode === 'ANY') return 'Continues when any branch arrives';
+    if (rule.mode === 'N_OF_M') return `Continues when ${rule.count} of ${opened ?? 'the'} branches arrive`;
+    return 'Continues when all branches arrive';
+  }
+};
@@ -1,6 +1,15 @@
 // services/workflowService.js
-import { Workflow, WorkflowInstance, Complaint, User } from '../models/models.js';
+import { Workflow, WorkflowInstance, Complaint, User, Approval } from '../models/models.js';
 import { emailService } from './emailService.js';
+import { notificationDispatchService } from './notificationDispatchService.js';
+import { smsService } from './smsService.js';
+import { workflowVersionService } from './workflowVersionService.js';
+import { transitionConditionService } from './transitionConditionService.js';
+import { workflowBranchService } from './workflowBranchService.js';
+import { approvalService, APPROVAL_DECISIONS } from './approvalService.js';
+import { assignmentService } from './assignmentService.js';
+import { delegationService } from './delegationService.js';
+import { mergeService } from './mergeService.js';
 
 class WorkflowService {
   constructor() {
@@ -10,12 +19,13 @@ class WorkflowService {
   /**
    * Initialize a workflow instance for a new complaint
    * @param {Object} complaint - The complaint document
+   * @param {Object} [workflow] - Workflow to start; by default any active one for the complaint type
    * @returns {Promise<Object>} The created workflow instance
    */
-  async initializeWorkflow(complaint) {
+  async initializeWorkflow(complaint, workflow = null) {
     try {
       // Find appropriate workflow based on complaint type and department
-      const workflow = await Workflow.findOne({
+      workflow = workflow || await Workflow.findOne({
         organizationId: complaint.organizationId,
         complaintTypeId: complaint.complaintTypeId,
         isActive: true
@@ -26,8 +36,11 @@ class WorkflowService {
         return null;
       }
 
+      // New complaints follow the latest published version for their whole life
+      const version = await workflowVersionService.getCurrentVersion(workflow);
+
       // Get the first stage
-      const firstStage = workflow.stages.reduce((prev, current) => {
+      const firstStage = version.stages.reduce((prev, current) => {
         return (prev.order < current.order) ? prev : current;
       });
 
@@ -36,18 +49,13 @@ class WorkflowService {
         return null;
       }
 
-      // Calculate expected completion date
-      const totalDurationHours = workflow.stages.reduce((total, stage) => {
-        return total + (stage.durationInHours || 24);
-      }, 0);
-
-      const expectedCompletionDate = new Date();
-      expectedCompletionDate.setTime(expectedCompletionDate.getTime() + (totalDurationHours * 60 * 60 * 1000));
+      const expectedCompletionDate = this.getExpectedCompletionDate(version, complaint);
 
       // Create workflow instance
       const workflowInstance = new WorkflowInstance({
         complaintId: complaint._id,
         workflowId: workflow._id,
+        workflowVersionId: version._id,
         currentStageId: firstStage.id,
         startedAt: new Date(),
         expectedCompletionDate,
@@ -61,7 +69,7 @@ class WorkflowService {
       await workflowInstance.save();
       
       // Process initial stage actions if any
-      await this.processStageActions(workflowInstance, firstStage, complaint);
+      await this.enterStage(workflowInstance, firstStage, complaint);
 
       return workflowInstance;
     } catch (err) {
@@ -70,6 +78,405 @@ class WorkflowService {
     }
   }
 
+  /**
+   * When a complaint starting a workflow should be done: its SLA resolution target, or the
+   * sum of the stage durations (24 hours for stages without one)
+   * @param {Object} version - WorkflowVersion, or workflow definition, being started
+   * @param {Object} complaint - The complaint
+   * @returns {Date}
+   */
+  getExpectedCompletionDate(version, complaint) {
+    if (complaint.sla?.resolutionDueAt) {
+      return new Date(complaint.sla.resolutionDueAt);
+    }
+
+    const totalDurationHours = version.stages.reduce((total, stage) => {
+      return total + (stage.durationInHours || 24);
+    }, 0);
+
+    return new Date(Date.now() + (totalDurationHours * 60 * 60 * 1000));
+  }
+
+  /**
+   * Find the workflow a department runs for a complaint type: its own, else one shared by
+   * every department (a workflow without a department)
+   * @param {Object} complaint - Needs organizationId and complaintTypeId
+   * @param {String} departmentId - The department
+   * @returns {Promise<Object|null>} The workflow
+   */
+  async findDepartmentWorkflow(complaint, departmentId) {
+    const filter = {
+      organizationId: complaint.organizationId,
+      complaintTypeId: complaint.complaintTypeId,
+      isActive: true
+    };
+
+    return await Workflow.findOne({ ...filter, departmentId }) ||
+      Workflow.findOne({ ...filter, departmentId: null });
+  }
+
+  /**
+   * Find the workflow instance a complaint follows. An instance cancelled by a merge, or by a
+   * transfer to a department without a workflow, is only kept as history.
+   * @param {String} complaintId - The complaint
+   * @returns {Promise<Object|null>} The workflow instance
+   */
+  async findInstance(complaintId) {
+    return WorkflowInstance.findOne({ complaintId, status: { $ne: 'CANCELED' } });
+  }
+
+  /**
+   * Restart an instance at the first stage of another workflow, e.g. after its complaint
+   * moved to a department with its own workflow. Stage IDs of the old workflow mean nothing
+   * in the new one, so the visits made on it are closed and kept in the history, and the new
+   * first stage is recorded after them. Open branches and pending approvals are cancelled.
+   * @param {Object} workflowInstance - The workflow instance, possibly one cancelled earlier
+   * @param {Object} workflow - Workflow to follow from now on
+   * @param {Object} complaint - The complaint
+   * @param {Object} options - { userId, note } recorded on the new first stage
+   * @returns {Promise<Object|null>} The first stage, or null when the workflow has no stages
+   */
+  async rebindWorkflow(workflowInstance, workflow, complaint, { userId, note } = {}) {
+    const version = await workflowVersionService.getCurrentVersion(workflow);
+    if (!version?.stages?.length) return null;
+
+    const firstStage = version.stages.reduce((prev, current) => {
+      return (prev.order < current.order) ? prev : current;
+    });
+    const now = new Date();
+    const fromWorkflowId = workflowInstance.workflowId;
+
+    this.cancelBranches(workflowInstance, note);
+    workflowInstance.history.filter(h => !h.exitedAt).forEach(h => { h.exitedAt = now; });
+
+    workflowInstance.workflowId = workflow._id;
+    workflowInstance.workflowVersionId = version._id;
+    workflowInstance.currentStageId = firstStage.id;
+    workflowInstance.history.push({
+      stageId: firstStage.id,
+      enteredAt: now,
+      actions: [{ type: 'REBOUND', performedBy: userId, result: { workflowId: workflow._id, fromWorkflowId }, notes: note }]
+    });
+    workflowInstance.isCompleted = false;
+    workflowInstance.completedAt = undefined;
+    workflowInstance.status = 'ACTIVE';
+    workflowInstance.startedAt = now;
+    workflowInstance.expectedCompletionDate = this.getExpectedCompletionDate(version, complaint);
+    await workflowInstance.save();
+
+    await this.enterStage(workflowInstance, firstStage, complaint);
+    return firstStage;
+  }
+
+  /**
+   * Stop following the workflow, e.g. after the complaint moved to a department without one.
+   * Open stage visits and branches are closed, pending approvals cancelled and the instance
+   * marked CANCELED; its history stays.
+   * @param {Object} workflowInstance - The workflow instance
+   * @param {Object} options - { userId, note } recorded on the stage left
+   */
+  async endWorkflow(workflowInstance, { userId, note } = {}) {
+    const now = new Date();
+
+    this.cancelBranches(workflowInstance, note);
+    const currentEntry = workflowInstance.history.find(
+      h => h.stageId === workflowInstance.currentStageId && !h.branchId && !h.exitedAt
+    );
+    if (currentEntry) {
+      currentEntry.actions.push({ type: 'ENDED', performedBy: userId, notes: note });
+    }
+    workflowInstance.history.filter(h => !h.exitedAt).forEach(h => { h.exitedAt = now; });
+
+    workflowInstance.isCompleted = true;
+    workflowInstance.completedAt = now;
+    workflowInstance.status = 'CANCELED';
+    await workflowInstance.save();
+
+    await approvalService.cancelStale(workflowInstance);
+  }
+
+  /**
+   * Finish moving an instance into a stage: branches still open from an earlier fork and
+   * approvals of stages left behind are cancelled, the stage's actions run, and entering
+   * a FORK opens its parallel branches
+   * @param {Object} workflowInstance - The workflow instance, already moved to the stage
+   * @param {Object} stage - The stage entered
+   * @param {Object} complaint - The complaint
+   * @param {Object} options - { runActions: false } for manual moves, which do not run stage actions
+   */
+  async enterStage(workflowInstance, stage, complaint, { runActions = true } = {}) {
+    if (this.cancelBranches(workflowInstance, `Parallel section left for stage ${stage.name}`) > 0) {
+      await workflowInstance.save();
+    }
+    await approvalService.cancelStale(workflowInstance);
+
+    if (runActions) {
+      await this.processStageActions(workflowInstance, stage, complaint);
+    }
+
+    if (stage.type === 'FORK') {
+      await this.openBranches(workflowInstance, stage, complaint);
+    }
+  }
+
+  /**
+   * Open one branch per fork transition whose condition holds. The instance stays at the
+   * fork until the branches meet at the join.
+   * @param {Object} workflowInstance - The workflow instance, currently at the fork
+   * @param {Object} fork - FORK stage
+   * @param {Object} complaint - The complaint
+   */
+  async openBranches(workflowInstance, fork, complaint) {
+    const workflow = await workflowVersionService.getDefinition(workflowInstance);
+    const now = new Date();
+
+    const starts = fork.transitions
+      .filter(t => transitionConditionService.isSatisfied(t.condition, { complaint, now }))
+      .map(t => workflow.stages.find(s => s.id === t.targetStageId))
+      .filter(Boolean);
+
+    // Only one parallel section is open at a time, so earlier branches are history now
+    workflowInstance.branches = [];
+
+    if (starts.length === 0) {
+      const { join } = workflowBranchService.findJoin(workflow.stages, fork);
+      if (join) await this.joinBranches(workflowInstance, join, complaint);
+      return;
+    }
+
+    for (const stage of starts) {
+      workflowInstance.branches.push({ forkStageId: fork.id, stageId: stage.id, openedAt: now });
+      const branch = workflowInstance.branches[workflowInstance.branches.length - 1];
+      workflowInstance.history.push({ stageId: stage.id, branchId: branch._id, enteredAt: now, actions: [] });
+    }
+    await workflowInstance.save();
+
+    for (const stage of starts) {
+      await this.processStageActions(workflowInstance, stage, complaint);
+    }
+  }
+
+  /**
+   * Move one parallel branch to another stage. A branch reaching the join has arrived, and
+   * once enough branches have arrived for the join rule the complaint continues at the join.
+   * @param {Object} workflowInstance - The workflow instance
+   * @param {Object} branch - Active branch of the instance
+   * @param {Object} targetStage - The stage the branch moves to
+   * @param {Object} complaint - The complaint
+   * @param {Object} options - { userId, comment, runActions: false } for manual moves
+   * @returns {Promise<Object>} - { joined } true when this move completed the join
+   */
+  async moveBranch(workflowInstance, branch, targetStage, complaint, { userId, comment, runActions = true } = {}) {
+    const now = new Date();
+    const currentEntry = workflowInstance.history.find(
+      h => h.branchId?.equals(branch._id) && !h.exitedAt
+    );
+
+    if (currentEntry) {
+      currentEntry.exitedAt = now;
+      if (comment) {
+        currentEntry.actions.push({
+          type: 'COMMENT',
+          performedBy: userId,
+          result: { comment },
+          notes: `Stage transition comment: ${comment}`
+        });
+      }
+    }
+    await approvalService.cancelStale(workflowInstance);
+
+    if (targetStage.type !== 'JOIN') {
+      branch.stageId = targetStage.id;
+      workflowInstance.history.push({ stageId: targetStage.id, branchId: branch._id, enteredAt: now, actions: [] });
+      await workflowInstance.save();
+
+      if (runActions) {
+        await this.processStageActions(workflowInstance, targetStage, complaint);
+      }
+      return { joined: false };
+    }
+
+    branch.status = 'ARRIVED';
+    branch.closedAt = now;
+
+    const arrived = workflowInstance.branches.filter(b => b.status === 'ARRIVED').length;
+    if (arrived < workflowBranchService.requiredArrivals(targetStage, workflowInstance.branches.length)) {
+      await workflowInstance.save();
+      return { joined: false };
+    }
+
+    await this.joinBranches(workflowInstance, targetStage, complaint);
+    return { joined: true };
+  }
+
+  /**
+   * Finish the workflow when the instance has just entered its final stage (the last by
+   * order, with no transitions out): the instance is marked completed, the complaint is
+   * closed and the complainant told
+   * @param {Object} workflowInstance - The workflow instance; saved by the caller
+   * @param {Object} workflow - Workflow definition the instance runs on
+   * @param {Object} stage - The stage just entered
+   * @param {Object} complaint - The complaint
+   * @param {Object} [options]
+   * @param {String} [options.userId] - Who moved the complaint, if anyone
+   * @returns {Promise<Boolean>} - Whether the workflow completed
+   */
+  async completeIfFinal(workflowInstance, workflow, stage, complaint, { userId } = {}) {
+    const isLastStage = workflow.stages.every(s => s.order <= stage.order || s.id === stage.id);
+    if (!isLastStage || (stage.transitions || []).length > 0) return false;
+
+    workflowInstance.isCompleted = true;
+    workflowInstance.completedAt = new Date();
+    workflowInstance.status = 'COMPLETED';
+
+    complaint.status = 'Closed';
+    complaint.closedAt = new Date();
+    await complaint.save();
+    await mergeService.propagateStatus(complaint, { userId });
+
+    await notificationDispatchService.dispatch({
+      event: 'STATUS_UPDATE',
+      recipients: [complaint.complainantId],
+      sendEmail: (user) => emailService.sendComplaintStatusUpdate(
+        user.email,
+        {
+          userName: `${user.firstName} ${user.lastName}`,
+          complaintTitle: complaint.title,
+          complaintId: complaint._id,
+          newStatus: 'Closed',
+          comment: 'Your complaint has completed all workflow stages and is now closed.'
+        },
+        { organizationId: complaint.organizationId }
+      )
+    });
+
+    return true;
+  }
+
+  /**
+   * Move the instance (not one of its branches) to another stage and enter it,
+   * completing the workflow if that is its final stage
+   * @param {Object} workflowInstance - The workflow instance
+   * @param {Object} targetStage - The stage to move to
+   * @param {Object} complaint - The complaint
+   * @param {Object} workflow - Workflow definition the instance runs on
+   * @param {Object} [options] - { userId } who moved the complaint, if anyone
+   */
+  async advance(workflowInstance, targetStage, complaint, workflow, { userId } = {}) {
+    const now = new Date();
+    const currentEntry = workflowInstance.history.find(
+      h => h.stageId === workflowInstance.currentStageId && !h.branchId && !h.exitedAt
+    );
+    if (currentEntry) currentEntry.exitedAt = now;
+
+    workflowInstance.history.push({ stageId: targetStage.id, enteredAt: now, actions: [] });
+    workflowInstance.currentStageId = targetStage.id;
+    await this.completeIfFinal(workflowInstance, workflow, targetStage, complaint, { userId });
+    await workflowInstance.save();
+
+    await this.enterStage(workflowInstance, targetStage, complaint);
+  }
+
+  /**
+   * Record an approver's decision in the stage's history and move the complaint, or its
+   * branch, along the transition the decision is mapped to. The first decision wins.
+   * @param {Object} approval - Pending approval
+   * @param {Object} user - The approver deciding
+   * @param {String} decision - APPROVED, REJECTED or CHANGES_REQUESTED
+   * @param {String} comment - The approver's comment
+   * @returns {Promise<Object|null>} - { approval, stage, targetStage, complaint, stageChanged }, or null
+   * when the approval is no longer pending because it was decided or the complaint left the stage.
+   * stageChanged is false when only a parallel branch moved.
+   */
+  async decideApproval(approval, user, decision, comment) {
+    const workflowInstance = await WorkflowInstance.findById(approval.workflowInstanceId);
+    const entry = workflowInstance?.history.id(approval.historyEntryId);
+
+    if (!entry || entry.exitedAt) {
+      await Approval.updateOne(
+        { _id: approval._id, status: 'PENDING' },
+        { $set: { status: 'CANCELLED', decidedAt: new Date() } }
+      );
+      return null;
+    }
+
+    const workflow = await workflowVersionService.getDefinition(workflowInstance);
+    const stage = workflow.stages.find(s => s.id === approval.stageId);
+    const targetStage = workflow.stages.find(s => s.id === approval.transitions?.[decision]);
+    if (!stage || !targetStage) return null;
+
+    const decided = await Approval.findOneAndUpdate(
+      { _id: approval._id, status: 'PENDING' },
+      { $set: { status: decision, decidedBy: user._id, decidedAt: new Date(), comment } },
+      { new: true }
+    );
+    if (!decided) return null;
+
+    const complaint = await Complaint.findById(workflowInstance.complaintId);
+    const { label } = APPROVAL_DECISIONS[decision];
+
+    entry.actions.push({
+      type: 'APPROVAL_DECISION',
+      performedBy: user._id,
+      result: { approvalId: approval._id, decision, comment, targetStageId: targetStage.id },
+      notes: `${label} by ${user.firstName} ${user.lastName}${comment ? `: ${comment}` : ''}`
+    });
+
+    // The decision takes its transition whatever the transition's condition: the approvers are the guard
+    const branch = approval.branchId && workflowInstance.branches.id(approval.branchId);
+    let stageChanged = true;
+    if (branch) {
+      ({ joined: stageChanged } = await this.moveBranch(workflowInstance, branch, targetStage, complaint));
+    } else {
+      await this.advance(workflowInstance, targetStage, complaint, workflow, { userId: user._id });
+    }
+
+    return { approval: decided, stage, targetStage, complaint, stageChanged };
+  }
+
+  /**
+   * Leave the fork for its join; branches that have not arrived are cancelled
+   * @param {Object} workflowInstance - The workflow instance, currently at the fork
+   * @param {Object} join - JOIN stage
+   * @param {Object} complaint - The complaint
+   */
+  async joinBranches(workflowInstance, join, complaint) {
+    const now = new Date();
+    const forkEntry = workflowInstance.history.find(
+      h => h.stageId === workflowInstance.currentStageId && !h.branchId && !h.exitedAt
+    );
+    if (forkEntry) forkEntry.exitedAt = now;
+
+    workflowInstance.history.push({ stageId: join.id, enteredAt: now, actions: [] });
+    workflowInstance.currentStageId = join.id;
+    await workflowInstance.save();
+
+    await this.enterStage(workflowInstance, join, complaint);
+  }
+
+  /**
+   * Cancel the instance's open branches, closing their history entries
+   * @param {Object} workflowInstance - The workflow instance; saved by the caller
+   * @param {String} reason - Recorded on each branch's last stage
+   * @returns {Number} Branches cancelled
+   */
+  cancelBranches(workflowInstance, reason) {
+    const open = (workflowInstance.branches || []).filter(b => b.status === 'ACTIVE');
+
+    for (const branch of open) {
+      branch.status = 'CANCELLED';
+      branch.closedAt = new Date();
+
+      const entry = workflowInstance.history.find(h => h.branchId?.equals(branch._id) && !h.exitedAt);
+      if (entry) {
+        entry.exitedAt = new Date();
+        entry.actions.push({ type: 'BRANCH_CANCELLED', notes: reason });
+      }
+    }
+
+    return open.length;
+  }
+
   /**
    * Process actions defined for a workflow stage
    * @param {Object} workflowInstance - The workflow instance
@@ -99,11 +506,19 @@ class WorkflowService {
             actionResult = await this.handleStatusUpdateAction(action, complaint);
             break;
           case 'ASSIGNMENT':
-            actionResult = await this.handleAssignmentAction(action, complaint);
+            actionResult = await this.handleAssignmentAction(action, complaint, stage);
             break;
           case 'ESCALATION':
             actionResult = await this.handleEscalationAction(action, complaint, workflowInstance);
             break;
+          case 'APPROVAL':
+            actionResult = await approvalService.requestApproval(action, {
+              complaint,
+              workflowInstance,
+              stage,
+              historyEntry: currentHistoryEntry
+            });
+            break;
         }
 
         // Log the action in history
@@ -136,20 +551,22 @@ class WorkflowService {
 
       // Notify complainant if configured
       if (notifyComplainant) {
-        const complainant = await User.findById(complaint.complainantId);
-        if (complainant && complainant.email) {
-          await emailService.sendComplaintStatusUpdate(
-            complainant.email,
+        const { emailed } = await notificationDispatchService.dispatch({
+          event: 'STATUS_UPDATE',
+          recipients: [complaint.complainantId],
+          sendEmail: (user) => emailService.sendComplaintStatusUpdate(
+            user.email,
             {
-              userName: `${complainant.firstName} ${complainant.lastName}`,
+              userName: `${user.firstName} ${user.lastName}`,
               complaintTitle: complaint.title,
               complaintId: complaint._id,
               newStatus: complaint.status,
               comment: customMessage || 'Your complaint has been updated.'
-            }
-          );
-          notifications.push(`Notified complainant ${complainant.email}`);
-        }
+            },
+            { organizationId: complaint.organizationId }
+          )
+        });
+        if (emailed) notifications.push('Notified complainant');
       }
 
       // Notify department if configured
@@ -157,37 +574,42 @@ class WorkflowService {
         const departmentUsers = await User.find({
           departmentId: complaint.departmentId,
           isActive: true
-        });
+        }).select('_id');
 
-        for (const user of departmentUsers) {
-          await emailService.sendNewComplaintNotification(
+        const { emailed } = await notificationDispatchService.dispatch({
+          event: 'NEW_COMPLAINT',
+          recipients: departmentUsers,
+          sendEmail: (user) => emailService.sendNewComplaintNotification(
             user.email,
             {
               userName: `${user.firstName} ${user.lastName}`,
               complaintTitle: complaint.title,
               complaintId: complaint._id,
               priority: complaint.priority
-            }
-          );
-          notifications.push(`Notified department user ${user.email}`);
-        }
+            },
+            { organizationId: complaint.organizationId }
+          )
+        });
+        if (emailed) notifications.push(`Notified ${emailed} department user(s)`);
       }
 
       // Notify assignee if configured and complaint is assigned
       if (notifyAssignee && complaint.assignedTo) {
-        const assignee = await User.findById(complaint.assignedTo);
-        if (assignee && assignee.email) {
-          await emailService.sendComplaintAssignmentNotification(
-            assignee.email,
+        const { emailed } = await notificationDispatchService.dispatch({
+          event: 'ASSIGNED_COMPLAINT',
+          recipients: [complaint.assignedTo],
+          sendEmail: (user) => emailService.sendComplaintAssignmentNotification(
+            user.email,
             {
-              userName: `${assignee.firstName} ${assignee.lastName}`,
+              userName: `${user.firstName} ${user.lastName}`,
               complaintTitle: complaint.title,
               complaintId: complaint._id,
               priority: complaint.priority
-            }
-          );
-          notifications.push(`Notified assignee ${assignee.email}`);
-        }
+            },
+            { organizationId: complaint.organizationId }
+          )
+        });
+        if (emailed) notifications.push('Notified assignee');
       }
 
       return { notifications };
@@ -220,6 +642,9 @@ class WorkflowService {
 
       await complaint.save();
 
+      // Duplicates merged into this complaint follow it
+      await mergeService.propagateStatus(complaint, { comment: updateReason });
+
       return { 
         previousStatus: complaint.status,
         newStatus: status,
@@ -232,15 +657,18 @@ class WorkflowService {
   }
 
   /**
-   * Handle assignment actions
+   * Handle assignment actions. Automatic assignment picks a user with the action's
+   * strategy and records why in an AssignmentDecision.
    * @param {Object} action - The action configuration
    * @param {Object} complaint - The complaint
+   * @param {Object} [stage] - The stage the action belongs to
    */
-  async handleAssignmentAction(action, complaint) {
+  async handleAssignmentAction(action, complaint, stage) {
     try {
       const { assignmentType, specificUserId, findAvailableUser } = action.config || {};
       
       let assignedUserId = null;
+      let decision = null;
 
       if (assignmentType === 'SPECIFIC' && specificUserId) {
         // Assign to a specific user
@@ -251,36 +679,16 @@ class WorkflowService {
         });
 
         if (user) {
-          assignedUserId = user._id;
-        }
-      } else if (assignmentType === 'AUTO' && findAvailableUser) {
-        // Find the department user with the least active complaints
-        const departmentUsers = await User.find({
-          departmentId: complaint.departmentId,
-          isActive: true
-        });
-
-        if (departmentUsers.length > 0) {
-          // Get active complaints for each user
-          const userCounts = await Promise.all(
-            departmentUsers.map(async (user) => {
-              const count = await Complaint.countDocuments({
-                assignedTo: user._id,
-                status: { $in: ['Open', 'In Progress'] }
-              });
-              return { userId: user._id, count };
-            })
-          );
-
-          // Find user with minimum complaints
-          const minUser = userCounts.reduce((min, current) => {
-            return current.count < min.count ? current : min;
-          }, { count: Infinity });
-
-          if (minUser.userId) {
-            assignedUserId = minUser.userId;
+          // A configured assignee who is out of office hands it to their delegate
+          const { user: actingUser, awayUsers } = await assignmentService.resolveActingUser(user);
+          if (awayUsers.length > 0) {
+            await delegationService.recordRedirect({ complaint, awayUsers, assignee: actingUser });
           }
+          assignedUserId = actingUser._id;
         }
+      } else if (assignmentType === 'AUTO' && findAvailableUser) {
+        decision = await assignmentService.autoAssign(complaint, action.config, { stageId: stage?.id });
+        assignedUserId = decision.assignedTo;
       }
 
       if (assignedUserId) {
@@ -288,23 +696,27 @@ class WorkflowService {
         await complaint.save();
 
         // Notify the assigned user
-        const assignee = await User.findById(assignedUserId);
-        if (assignee && assignee.email) {
-          await emailService.sendComplaintAssignmentNotification(
-            assignee.email,
+        await notificationDispatchService.dispatch({
+          event: 'ASSIGNED_COMPLAINT',
+          recipients: [assignedUserId],
+          sendEmail: (user) => emailService.sendComplaintAssignmentNotification(
+            user.email,
             {
-              userName: `${assignee.firstName} ${assignee.lastName}`,
+              userName: `${user.firstName} ${user.lastName}`,
               complaintTitle: complaint.title,
               complaintId: complaint._id,
               priority: complaint.priority
-            }
-          );
-        }
+            },
+            { organizationId: complaint.organizationId }
+          )
+        });
 
-        return { assignedUserId };
+        return decision
+          ? { assignedUserId, decisionId: decision._id, reason: decision.reason }
+          : { assignedUserId };
       }
 
-      return null;
+      return decision ? { decisionId: decision._id, reason: decision.reason } : null;
     } catch (err) {
       console.error('Error handling assignment action:', err);
       return { error: err.message };
@@ -347,25 +759,22 @@ class WorkflowService {
         isActive: true
       });
 
-      for (const user of departmentUsers) {
-        // Only send to users with email
-        if (user.email) {
-          try {
-            await emailService.sendComplaintStatusUpdate(
-              user.email,
-              {
-                userName: `${user.firstName} ${user.lastName}`,
-                complaintTitle: complaint.title,
-                complaintId: complaint._id,
-                newStatus: 'Escalated',
-                comment: complaint.escalationReason
-              }
-            );
-          } catch (emailErr) {
-            console.error('Failed to send escalation email:', emailErr);
-          }
-        }
-      }
+      await notificationDispatchService.dispatch({
+        event: 'COMPLAINT_ESCALATED',
+        recipients: departmentUsers,
+        sendEmail: (user) => emailService.sendComplaintStatusUpdate(
+          user.email,
+          {
+            userName: `${user.firstName} ${user.lastName}`,
+            complaintTitle: complaint.title,
+            complaintId: complaint._id,
+            newStatus: 'Escalated',
+            comment: complaint.escalationReason
+          },
+          { organizationId: complaint.organizationId }
+        ),
+        sendSms: (user) => smsService.sendEscalationAlert(user, complaint)
+      });
 
       return { 
         escalationReason: complaint.escalationReason,
@@ -377,102 +786,192 @@ class WorkflowService {
     }
   }
 
+  /**
+   * Pick the stage a reopened complaint goes back to, following the workflow's reopen policy
+   * @param {Object} workflow - The workflow version the instance is pinned to
+   * @param {Object} workflowInstance - The complaint's workflow instance
+   * @returns {Object} The target stage
+   */
+  getReopenStage(workflow, workflowInstance) {
+    const firstStage = workflow.stages.reduce((prev, current) => {
+      return (prev.order < current.order) ? prev : current;
+    });
+    const policy = workflow.reopenPolicy || {};
+
+    if (policy.mode === 'RESTART') return firstStage;
+
+    if (policy.mode === 'STAGE') {
+      return workflow.stages.find(s => s.id === policy.stageId) || firstStage;
+    }
+
+    // RESUME: the last stage the complaint was in before it reached its current (resolution) stage.
+    // Stages inside parallel branches are skipped; resuming there goes back to their fork.
+    const previousEntry = [...workflowInstance.history]
+      .reverse()
+      .find(h => h.stageId !== workflowInstance.currentStageId && !h.branchId);
+
+    return workflow.stages.find(s => s.id === previousEntry?.stageId) || firstStage;
+  }
+
+  /**
+   * Move a completed workflow instance back into an active stage after its complaint is reopened
+   * @param {Object} workflowInstance - The workflow instance
+   * @param {Object} complaint - The complaint
+   * @param {String} userId - The user who reopened the complaint
+   * @param {String} reason - The reopen reason
+   * @returns {Promise<Object>} The stage the complaint was moved to
+   */
+  async reopenWorkflow(workflowInstance, complaint, userId, reason) {
+    const workflow = await workflowVersionService.getDefinition(workflowInstance);
+    const targetStage = this.getReopenStage(workflow, workflowInstance);
+
+    const currentEntry = workflowInstance.history.find(
+      h => h.stageId === workflowInstance.currentStageId && !h.exitedAt
+    );
+
+    if (currentEntry) {
+      currentEntry.exitedAt = new Date();
+      currentEntry.actions.push({
+        type: 'REOPENED',
+        performedBy: userId,
+        result: { targetStageId: targetStage.id },
+        notes: `Complaint reopened: ${reason}`
+      });
+    }
+
+    workflowInstance.history.push({
+      stageId: targetStage.id,
+      enteredAt: new Date(),
+      actions: []
+    });
+
+    workflowInstance.currentStageId = targetStage.id;
+    workflowInstance.isCompleted = false;
+    workflowInstance.completedAt = undefined;
+    workflowInstance.status = 'ACTIVE';
+
+    await workflowInstance.save();
+
+    // Skip STATUS_UPDATE actions that would put the complaint straight back into a resolved state
+    await this.enterStage(workflowInstance, {
+      ...targetStage.toObject(),
+      actions: (targetStage.actions || []).filter(action =>
+        !(action.type === 'STATUS_UPDATE' && ['Resolved', 'Closed'].includes(action.config?.status))
+      )
+    }, complaint);
+
+    return targetStage;
+  }
+
   /**
    * Check for time-based transitions and auto-progress workflow if needed
-   * This should be called by a scheduled job/cron
+   * Called periodically by the scheduler (see config/scheduler.js)
+   * @returns {Promise<Object>} Counts of processed, transitioned and escalated instances plus any per-instance failures
    */
   async checkTimedTransitions() {
-    try {
-      // Find all active workflow instances
-      const activeInstances = await WorkflowInstance.find({
-        isCompleted: false,
-        status: 'ACTIVE'
-      }).populate('workflowId complaintId');
-
-      for (const instance of activeInstances) {
-        const workflow = instance.workflowId;
+    const result = {
+      processed: 0,
+      transitioned: 0,
+      escalated: 0,
+      failures: []
+    };
+
+    // Find all active workflow instances
+    const activeInstances = await WorkflowInstance.find({
+      isCompleted: false,
+      status: 'ACTIVE'
+    }).populate('workflowVersionId complaintId');
+
+    for (const instance of activeInstances) {
+      result.processed++;
+
+      try {
         const complaint = instance.complaintId;
-        
-        if (!workflow || !complaint) continue;
+        if (!complaint) continue;
 
+        const workflow = await workflowVersionService.getDefinition(instance);
+        if (!workflow) continue;
+
+        // Positions to check: the current stage, or each open branch while the instance waits at a fork
+        const positions = [];
         const currentStage = workflow.stages.find(s => s.id === instance.currentStageId);
-        if (!currentStage) continue;
+        if (currentStage && currentStage.type !== 'FORK') {
+          positions.push({
+            stage: currentStage,
+            entry: instance.history.find(h => h.stageId === instance.currentStageId && !h.branchId && !h.exitedAt)
+          });
+        }
+        for (const branch of instance.branches.filter(b => b.status === 'ACTIVE')) {
+          positions.push({
+            branch,
+            stage: workflow.stages.find(s => s.id === branch.stageId),
+            entry: instance.history.find(h => h.branchId?.equals(branch._id) && !h.exitedAt)
+          });
+        }
 
-        // Find current stage history entry
-        const currentEntry = instance.history.find(
-          h => h.stageId === instance.currentStageId && !h.exitedAt
-        );
+        for (const { branch, stage, entry } of positions) {
+          // An earlier branch may have completed the join and cancelled this one
+          if (!stage || !entry || (branch && branch.status !== 'ACTIVE')) continue;
 
-        if (!currentEntry) continue;
+          // Check if we've exceeded the stage duration
+          const now = new Date();
+          const enteredAt = new Date(entry.enteredAt);
+          const stageTimeHours = stage.durationInHours || 24;
+          const deadlineTime = new Date(enteredAt.getTime() + (stageTimeHours * 60 * 60 * 1000));
 
-        // Check if we've exceeded the stage duration
-        const enteredAt = new Date(currentEntry.enteredAt);
-        const stageTimeHours = currentStage.durationInHours || 24;
-        const deadlineTime = new Date(enteredAt.getTime() + (stageTimeHours * 60 * 60 * 1000));
-        
-        if (new Date() > deadlineTime) {
-          // Find time-based transitions
-          const timeTransitions = currentStage.transitions.filter(
+          // Find time-based transitions; each fires after its own hours, or the stage duration
+          const timeTransitions = stage.transitions.filter(
             t => t.condition?.type === 'TIME_BASED'
           );
+          const transition = timeTransitions.find(
+            t => transitionConditionService.isDue(t.condition, { stage, enteredAt, now })
+          );
+
+          if (!transition && (timeTransitions.length > 0 || now <= deadlineTime)) continue;
 
-          if (timeTransitions.length > 0) {
-            // Get the first applicable transition
-            const transition = timeTransitions[0];
+          if (transition) {
             const targetStage = workflow.stages.find(s => s.id === transition.targetStageId);
-            
-            if (targetStage) {
-              // Update stage exit time
-              currentEntry.exitedAt = new Date();
-              
-              // Add new stage entry
-              instance.history.push({
-                stageId: targetStage.id,
-                enteredAt: new Date(),
-                actions: []
-              });
-              
-              // Update current stage
-              instance.currentStageId = targetStage.id;
-              
-              // Save changes
-              await instance.save();
-              
-              // Process actions for the new stage
-              await this.processStageActions(instance, targetStage, complaint);
-              
-              console.log(`Auto-progressed workflow ${workflow._id} for complaint ${complaint._id} from ${currentStage.name} to ${targetStage.name}`);
+            if (!targetStage) continue;
+
+            if (branch) {
+              await this.moveBranch(instance, branch, targetStage, complaint);
+            } else {
+              await this.advance(instance, targetStage, complaint, workflow);
             }
-          } else {
-            // If no time-based transition but exceeded SLA, consider escalation
-            if (!complaint.escalatedAt) {
-              // Add automatic escalation
-              instance.status = 'ESCALATED';
-              
-              // Update complaint
-              complaint.escalatedAt = new Date();
-              complaint.escalationReason = `SLA exceeded for stage ${currentStage.name}`;
-              
-              if (complaint.priority !== 'Urgent') {
-                const priorities = ['Low', 'Medium', 'High', 'Urgent'];
-                const currentIndex = priorities.indexOf(complaint.priority);
-                
-                if (currentIndex !== -1 && currentIndex < priorities.length - 1) {
-                  complaint.priority = priorities[currentIndex + 1];
-                }
+
+            result.transitioned++;
+            console.log(`Auto-progressed workflow ${instance.workflowId} for complaint ${complaint._id} from ${stage.name} to ${targetStage.name}`);
+          } else if (!complaint.escalatedAt) {
+            // If no time-based transition but exceeded SLA, add automatic escalation
+            instance.status = 'ESCALATED';
+
+            // Update complaint
+            complaint.escalatedAt = new Date();
+            complaint.escalationReason = `SLA exceeded for stage ${stage.name}`;
+
+            if (complaint.priority !== 'Urgent') {
+              const priorities = ['Low', 'Medium', 'High', 'Urgent'];
+              const currentIndex = priorities.indexOf(complaint.priority);
+
+              if (currentIndex !== -1 && currentIndex < priorities.length - 1) {
+                complaint.priority = priorities[currentIndex + 1];
               }
-              
-              await complaint.save();
-              await instance.save();
-              
-              console.log(`Auto-escalated workflow ${workflow._id} for complaint ${complaint._id} due to exceeded SLA`);
             }
+
+            await complaint.save();
+            await instance.save();
+
+            result.escalated++;
+            console.log(`Auto-escalated workflow ${instance.workflowId} for complaint ${complaint._id} due to exceeded SLA`);
           }
         }
+      } catch (err) {
+        console.error(`Error checking timed transitions for workflow instance ${instance._id}:`, err);
+        result.failures.push({ message: err.message, ref: instance._id.toString() });
       }
-    } catch (err) {
-      console.error('Error checking timed transitions:', err);
     }
+
+    return result;
   }
 }
 
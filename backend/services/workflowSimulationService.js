@@ -0,0 +1,411 @@
+// services/workflowSimulationService.js
+// Walks a sample complaint through a workflow definition and reports what each
+// stage would do. Users are looked up to name recipients and assignees, but
+// nothing is written: no complaint, instance, notification, email or SMS.
+import mongoose from 'mongoose';
+import { User } from '../models/models.js';
+import { transitionConditionService } from './transitionConditionService.js';
+import { workflowBranchService } from './workflowBranchService.js';
+import { APPROVAL_DECISIONS } from './approvalService.js';
+import { assignmentService } from './assignmentService.js';
+
+const PRIORITIES = ['Low', 'Medium', 'High', 'Urgent'];
+const HOUR_MS = 60 * 60 * 1000;
+
+const fullName = (user) => `${user.firstName} ${user.lastName}`;
+
+const summarizeUsers = (users) => {
+  const names = users.slice(0, 3).map(fullName);
+  const more = users.length - names.length;
+  return more > 0 ? `${names.join(', ')} and ${more} more` : names.join(', ');
+};
+
+// Department lookups are shared by every action of one simulation
+const createDirectory = (departmentId, complaintTypeId) => {
+  const cache = {};
+  const cached = (key, load) => {
+    cache[key] = cache[key] || load();
+    return cache[key];
+  };
+
+  const directory = {
+    departmentUsers: () => cached('all', () => (departmentId
+      ? User.find({ departmentId, isActive: true }).select('firstName lastName role notificationPreferences phone')
+      : Promise.resolve([]))),
+
+    departmentStaff: async () => (await directory.departmentUsers()).filter(user => user.role === 'DepartmentUser'),
+
+    // Same choice as the AUTO assignment action would make right now
+    autoAssignee: (config) => cached(`auto:${config.strategy}:${config.skillMatching}`, () =>
+      assignmentService.chooseAssignee({ departmentId, complaintTypeId }, config)),
+
+    user: (userId) => cached(`user:${userId}`, () => (mongoose.isValidObjectId(userId)
+      ? User.findOne({ _id: userId, departmentId, isActive: true }).select('firstName lastName')
+      : Promise.resolve(null))),
+
+    // Named approvers may come from any department
+    activeUsers: (userIds) => {
+      const ids = [].concat(userIds || []).filter(id => mongoose.isValidObjectId(id));
+      return cached(`users:${ids.join(',')}`, () => User.find({ _id: { $in: ids }, isActive: true }).select('firstName lastName'));
+    }
+  };
+
+  return directory;
+};
+
+/**
+ * Describe one stage action and apply its effect to the simulated complaint
+ * @returns {Promise<Object>} - { type, description, recipients?, skipped? }
+ */
+const simulateAction = async (action, complaint, directory, stageNames) => {
+  const config = action.config || {};
+
+  switch (action.type) {
+    case 'NOTIFICATION': {
+      const recipients = [];
+      const skipped = [];
+
+      if (config.notifyComplainant) recipients.push('Complainant');
+      if (config.notifyDepartment) {
+        const users = await directory.departmentUsers();
+        if (users.length > 0) {
+          recipients.push(`${users.length} department user(s): ${summarizeUsers(users)}`);
+        } else {
+          skipped.push('No active users in the department');
+        }
+      }
+      if (config.notifyAssignee) {
+        if (complaint.assignee) {
+          recipients.push(`Assignee: ${complaint.assignee}`);
+        } else {
+          skipped.push('Assignee not notified: nobody is assigned yet');
+        }
+      }
+
+      return {
+        type: action.type,
+        description: recipients.length > 0
+          ? 'Sends notifications, by email where each recipient allows it'
+          : 'Sends no notifications',
+        recipients,
+        skipped
+      };
+    }
+
+    case 'STATUS_UPDATE': {
+      if (!config.status) {
+        return { type: action.type, description: 'No status configured; nothing changes' };
+      }
+      const description = `Status ${complaint.status} → ${config.status}`;
+      complaint.status = config.status;
+      return { type: action.type, description };
+    }
+
+    case 'ASSIGNMENT': {
+      let user = null;
+      if (config.assignmentType === 'SPECIFIC' && config.specificUserId) {
+        user = await directory.user(config.specificUserId);
+        if (!user) {
+          return { type: action.type, description: 'Assigns nobody: the chosen user is not an active member of the department' };
+        }
+      } else if (config.assignmentType === 'AUTO' && config.findAvailableUser) {
+        const { assignee, reason } = await directory.autoAssignee(config);
+        if (!assignee) {
+          return { type: action.type, description: `Assigns nobody. ${reason}` };
+        }
+
+        complaint.assignee = assignee.name;
+        return {
+          type: action.type,
+          description: `Assigns ${complaint.assignee}. ${reason}`,
+          recipients: [`Assignee: ${complaint.assignee}`]
+        };
+      } else {
+        return { type: action.type, description: 'Assigns nobody as configured' };
+      }
+
+      complaint.assignee = fullName(user);
+      return {
+        type: action.type,
+        description: `Assigns ${complaint.assignee}`,
+        recipients: [`Assignee: ${complaint.assignee}`]
+      };
+    }
+
+    case 'ESCALATION': {
+      const previousPriority = complaint.priority;
+      const index = PRIORITIES.indexOf(complaint.priority);
+      if (config.increasePriority && index !== -1 && index < PRIORITIES.length - 1) {
+        complaint.priority = PRIORITIES[index + 1];
+      }
+
+      const staff = await directory.departmentStaff();
+      const texted = staff.filter(user => user.notificationPreferences?.sms && user.phone).length;
+
+      return {
+        type: action.type,
+        description: complaint.priority === previousPriority
+          ? `Escalates at ${complaint.priority} priority`
+          : `Escalates and raises priority ${previousPriority} → ${complaint.priority}`,
+        recipients: staff.length > 0
+          ? [`${staff.length} department user(s): ${summarizeUsers(staff)}${texted ? `, ${texted} by SMS` : ''}`]
+          : [],
+        skipped: staff.length > 0 ? [] : ['No department users to alert']
+      };
+    }
+
+    case 'APPROVAL': {
+      let approvers = [];
+      if (config.approverType === 'USERS') {
+        approvers = await directory.activeUsers(config.userIds);
+      } else if (config.approverType === 'ROLE' && config.role !== 'SuperAdmin') {
+        approvers = (await directory.departmentUsers()).filter(user => user.role === config.role);
+      } else if (config.approverType === 'DEPARTMENT') {
+        approvers = await directory.departmentStaff();
+      }
+
+      const outcomes = Object.values(APPROVAL_DECISIONS)
+        .filter(({ field }) => config[field])
+        .map(({ field, label }) => `${label} → ${stageNames.get(config[field]) || config[field]}`);
+      const everyone = config.approverType === 'ROLE' && config.role === 'SuperAdmin';
+
+      return {
+        type: action.type,
+        description: `Waits for a decision. ${outcomes.join('; ')}`,
+        recipients: everyone
+          ? ['Approvers: the organization\'s super admins']
+          : approvers.length > 0 ? [`Approvers: ${summarizeUsers(approvers)}`] : [],
+        skipped: everyone || approvers.length > 0 ? [] : ['No active approvers; the complaint would have to be moved on by hand']
+      };
+    }
+
+    default:
+      return { type: action.type, description: 'Unknown action; ignored' };
+  }
+};
+
+export const workflowSimulationService = {
+  /**
+   * Walk a sample complaint from the first stage until it completes, loops or a chosen transition is invalid
+   * @param {Object} options
+   * @param {Array} options.stages - Workflow stages
+   * @param {String} options.departmentId - Department whose users receive notifications and assignments
+   * @param {Object} options.sample - { priority, status, complaintTypeId, attachmentCount } of the sample complaint
+   * @param {Array} options.path - Next stage ID for each step, in order; the first transition whose condition holds is taken where none is given
+   * @param {Date} options.startAt - When the sample complaint is filed
+   * @returns {Promise<Object>} - { steps, completed, stoppedReason, totalHours, projectedCompletion, finalState }
+   */
+  simulate: async ({ stages = [], departmentId, sample = {}, path = [], startAt = new Date() }) => {
+    const result = { steps: [], completed: false, stoppedReason: null, totalHours: 0 };
+    if (stages.length === 0) {
+      result.stoppedReason = 'The workflow has no stages';
+      return result;
+    }
+
+    const sorted = [...stages].sort((a, b) => a.order - b.order);
+    const last = sorted[sorted.length - 1];
+    const byId = new Map(stages.map(stage => [stage.id, stage]));
+    const directory = createDirectory(departmentId, sample.complaintTypeId);
+    const stageNames = new Map(stages.map(stage => [stage.id, stage.name]));
+    const complaint = {
+      status: sample.status || 'Open',
+      priority: PRIORITIES.includes(sample.priority) ? sample.priority : 'Medium',
+      assignee: null
+    };
+    // What CUSTOM transition conditions see of the sample complaint
+    const facts = {
+      complaintTypeId: sample.complaintTypeId,
+      departmentId,
+      createdAt: startAt,
+      attachments: new Array(Math.max(0, Number(sample.attachmentCount) || 0)).fill({})
+    };
+
+    const remainingPath = [...path];
+
+    // Record one stage visit at `clock` hours after filing and run its actions
+    const runStage = async (stage, clock, branch) => {
+      const isFork = stage.type === 'FORK';
+      // A fork only waits for its branches, so no time passes in it
+      const durationInHours = isFork ? 0 : Number(stage.durationInHours) || 24;
+      const transitions = stage.transitions || [];
+      // The time-based transition the SLA sweep takes first
+      const timeTransition = transitions
+        .filter(t => t.condition?.type === 'TIME_BASED')
+        .reduce((earliest, t) => {
+          const hours = Number(t.condition.value) || durationInHours;
+          return !earliest || hours < earliest.hours ? { transition: t, hours } : earliest;
+        }, null);
+      const isFinal = stage.id === last.id && transitions.length === 0;
+      const enteredAt = new Date(startAt.getTime() + clock * HOUR_MS);
+
+      const actions = [];
+      for (const action of stage.actions || []) {
+        actions.push(await simulateAction(action, complaint, directory, stageNames));
+      }
+
+      const step = {
+        stageId: stage.id,
+        stageName: stage.name,
+        type: stage.type || 'TASK',
+        branch,
+        reviewerRole: stage.reviewerRole || null,
+        enteredAt,
+        durationInHours,
+        dueAt: new Date(startAt.getTime() + (clock + durationInHours) * HOUR_MS),
+        actions,
+        transitions: transitions.map(t => ({
+          targetStageId: t.targetStageId,
+          targetName: byId.get(t.targetStageId)?.name || null,
+          condition: t.condition?.type || 'ALWAYS',
+          conditionDescription: transitionConditionService.describe(t.condition),
+          // Role conditions depend on who moves the complaint, so only CUSTOM ones are checked here
+          conditionMet: t.condition?.type === 'CUSTOM'
+            ? transitionConditionService.isSatisfied(t.condition, { complaint: { ...facts, priority: complaint.priority }, now: enteredAt })
+            : null,
+          name: t.name,
+          taken: false
+        })),
+        // What the SLA sweep does once the stage runs past its duration
+        whenOverdue: isFinal || isFork
+          ? null
+          : timeTransition
+            ? `Moves to "${byId.get(timeTransition.transition.targetStageId)?.name || timeTransition.transition.targetStageId}" automatically after ${timeTransition.hours}h`
+            : 'Escalates automatically and raises the priority',
+        state: { ...complaint }
+      };
+
+      result.steps.push(step);
+      return { step, isFinal };
+    };
+
+    // Pick the next stage: the requested branch, else the approved decision's stage, else the
+    // first open transition, else the next stage by order
+    const chooseNext = (stage, step, visited) => {
+      const transitions = stage.transitions || [];
+      const approvedId = (stage.actions || []).find(action => action.type === 'APPROVAL')?.config?.onApprove;
+      const open = step.transitions.filter(t => t.conditionMet !== false || t.targetStageId === approvedId);
+      const allowed = transitions.length > 0
+        ? step.transitions.map(t => t.targetStageId)
+        : sorted.filter(other => other.id !== stage.id).map(other => other.id);
+      const requested = remainingPath.shift();
+      const defaultTarget = transitions.length > 0
+        ? (open.find(t => t.targetStageId === approvedId) || open[0])?.targetStageId
+        : sorted[sorted.indexOf(stage) + 1]?.id;
+      const nextId = requested || defaultTarget;
+
+      if (requested && !allowed.includes(requested)) {
+        return { stop: `"${byId.get(requested)?.name || requested}" cannot be reached from "${stage.name}"` };
+      }
+
+      if (transitions.length > 0 && !open.some(t => t.targetStageId === nextId)) {
+        return {
+          stop: requested
+            ? `The sample complaint does not meet the condition to move from "${stage.name}" to "${byId.get(requested)?.name || requested}"`
+            : `The sample complaint meets none of the transition conditions in "${stage.name}"`
+        };
+      }
+
+      const next = byId.get(nextId);
+      if (!next) {
+        return { stop: `A transition from "${stage.name}" points to a stage that does not exist (${nextId || 'none'})` };
+      }
+
+      const taken = step.transitions.find(t => t.targetStageId === next.id);
+      if (taken) taken.taken = true;
+      step.nextStageId = next.id;
+
+      if (visited.has(next.id) && !requested) {
+        return { stop: `Stopped before returning to "${next.name}"; choose another transition to continue` };
+      }
+
+      return { next };
+    };
+
+    // Walk each branch the fork opens to the join, one after the other; they run in parallel,
+    // so the join is reached when the branch the join rule waits for arrives
+    const runBranches = async (fork, forkStep, clock) => {
+      const opened = forkStep.transitions.filter(t => t.conditionMet !== false);
+      const arrivals = [];
+      let join = null;
+
+      for (const transition of opened) {
+        transition.taken = true;
+        let stage = byId.get(transition.targetStageId);
+        let branchClock = clock;
+        const visited = new Set();
+        const label = `${fork.name} → ${stage?.name || transition.targetStageId}`;
+
+        while (stage && stage.type !== 'JOIN') {
+          if (stage.type === 'FORK') return { stop: `Parallel sections cannot be nested ("${stage.name}" inside "${fork.name}")` };
+
+          const { step } = await runStage(stage, branchClock, label);
+          branchClock += step.durationInHours;
+          visited.add(stage.id);
+
+          const choice = chooseNext(stage, step, visited);
+          if (choice.stop) return choice;
+          stage = choice.next;
+        }
+
+        if (!stage) return { stop: `A branch of "${fork.name}" points to a stage that does not exist` };
+        join = stage;
+        arrivals.push(branchClock);
+      }
+
+      if (!join) {
+        join = workflowBranchService.findJoin(stages, fork).join;
+        if (!join) return { stop: `The branches of "${fork.name}" never meet at a join stage` };
+      }
+
+      const required = workflowBranchService.requiredArrivals(join, arrivals.length);
+      const joinedAt = required > 0 ? [...arrivals].sort((a, b) => a - b)[required - 1] : clock;
+      return { join, clock: joinedAt, opened: arrivals.length };
+    };
+
+    const visited = new Set();
+    let clock = 0;
+    let stage = sorted[0];
+    let joinNote = null;
+
+    while (stage) {
+      const { step, isFinal } = await runStage(stage, clock, null);
+      if (joinNote) {
+        step.joinRule = joinNote;
+        joinNote = null;
+      }
+      clock += step.durationInHours;
+      visited.add(stage.id);
+
+      if (isFinal) {
+        result.completed = true;
+        break;
+      }
+
+      if (stage.type === 'FORK') {
+        // The fork step itself offers no choice of transition
+        remainingPath.shift();
+        const outcome = await runBranches(stage, step, clock);
+        if (outcome.stop) {
+          result.stoppedReason = outcome.stop;
+          break;
+        }
+        joinNote = workflowBranchService.describeJoinRule(outcome.join, outcome.opened);
+        clock = outcome.clock;
+        stage = outcome.join;
+        continue;
+      }
+
+      const choice = chooseNext(stage, step, visited);
+      if (choice.stop) {
+        result.stoppedReason = choice.stop;
+        break;
+      }
+      stage = choice.next;
+    }
+
+    result.totalHours = clock;
+    result.projectedCompletion = new Date(startAt.getTime() + result.totalHours * HOUR_MS);
+    result.finalState = complaint;
+    return result;
+  }
+};
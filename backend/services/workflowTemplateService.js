@@ -530,6 +530,7 @@ const academicTemplates = [
                 description: 'Review by course instructor',
                 order: 2,
                 durationInHours: 72,
+                reviewerRole: 'Faculty',
                 actions: [
                     {
                         type: 'STATUS_UPDATE',
@@ -0,0 +1,279 @@
+// services/workflowValidationService.js
+// Static checks of a workflow definition, using the same rules the runtime applies:
+// a stage without transitions lets complaints move to any stage, and a complaint
+// completes when it reaches the last stage (highest order) and that stage has no transitions.
+import { transitionConditionService } from './transitionConditionService.js';
+import { workflowBranchService } from './workflowBranchService.js';
+import { approvalService } from './approvalService.js';
+import { assignmentService } from './assignmentService.js';
+
+const ACTION_TYPES = ['NOTIFICATION', 'STATUS_UPDATE', 'ASSIGNMENT', 'ESCALATION', 'APPROVAL'];
+const COMPLAINT_STATUSES = ['Open', 'In Progress', 'Resolved', 'Closed'];
+const STAGE_TYPES = ['TASK', 'FORK', 'JOIN'];
+
+const issue = (code, message, stageIds = []) => ({ code, message, stageIds });
+
+const namesOf = (stages) => [...stages]
+  .sort((a, b) => a.order - b.order)
+  .map(stage => `"${stage.name}"`)
+  .join(', ');
+
+// Strongly connected components (Tarjan), restricted to the given stage IDs
+const findComponents = (ids, edges) => {
+  const index = new Map();
+  const low = new Map();
+  const onStack = new Set();
+  const stack = [];
+  const components = [];
+  let counter = 0;
+
+  const visit = (id) => {
+    index.set(id, counter);
+    low.set(id, counter);
+    counter++;
+    stack.push(id);
+    onStack.add(id);
+
+    for (const next of edges.get(id)) {
+      if (!ids.has(next)) continue;
+      if (!index.has(next)) {
+        visit(next);
+        low.set(id, Math.min(low.get(id), low.get(next)));
+      } else if (onStack.has(next)) {
+        low.set(id, Math.min(low.get(id), index.get(next)));
+      }
+    }
+
+    if (low.get(id) === index.get(id)) {
+      const component = [];
+      let member;
+      do {
+        member = stack.pop();
+        onStack.delete(member);
+        component.push(member);
+      } while (member !== id);
+      components.push(component);
+    }
+  };
+
+  ids.forEach(id => { if (!index.has(id)) visit(id); });
+  return components;
+};
+
+const reachableFrom = (startIds, edges) => {
+  const seen = new Set(startIds);
+  const queue = [...startIds];
+  while (queue.length > 0) {
+    for (const next of edges.get(queue.shift()) || []) {
+      if (!seen.has(next)) {
+        seen.add(next);
+        queue.push(next);
+      }
+    }
+  }
+  return seen;
+};
+
+const checkActions = (stage, errors, warnings) => {
+  for (const action of stage.actions || []) {
+    const config = action.config || {};
+
+    if (!ACTION_TYPES.includes(action.type)) {
+      errors.push(issue('INVALID_ACTION', `Stage "${stage.name}" has an unknown action type "${action.type}"`, [stage.id]));
+    } else if (action.type === 'STATUS_UPDATE' && !COMPLAINT_STATUSES.includes(config.status)) {
+      errors.push(issue('INVALID_ACTION', `Status update in "${stage.name}" needs a status (${COMPLAINT_STATUSES.join(', ')})`, [stage.id]));
+    } else if (action.type === 'ASSIGNMENT' && config.assignmentType === 'SPECIFIC' && !config.specificUserId) {
+      errors.push(issue('INVALID_ACTION', `Assignment in "${stage.name}" needs a user to assign`, [stage.id]));
+    } else if (action.type === 'ASSIGNMENT' && !(config.assignmentType === 'SPECIFIC' || (config.assignmentType === 'AUTO' && config.findAvailableUser))) {
+      warnings.push(issue('INEFFECTIVE_ACTION', `Assignment in "${stage.name}" never assigns anyone as configured`, [stage.id]));
+    } else if (action.type === 'ASSIGNMENT' && config.assignmentType === 'AUTO' && assignmentService.validateConfig(config)) {
+      errors.push(issue('INVALID_ACTION', `Assignment in "${stage.name}": ${assignmentService.validateConfig(config)}`, [stage.id]));
+    } else if (action.type === 'NOTIFICATION' && !config.notifyComplainant && !config.notifyDepartment && !config.notifyAssignee) {
+      warnings.push(issue('INEFFECTIVE_ACTION', `Notification in "${stage.name}" has no recipients`, [stage.id]));
+    } else if (action.type === 'APPROVAL') {
+      const configError = approvalService.validateConfig(config, stage);
+      if (configError) {
+        errors.push(issue('INVALID_ACTION', `Approval in "${stage.name}": ${configError}`, [stage.id]));
+      }
+    }
+  }
+
+  // Decisions move the complaint out of one stage visit, so a stage asks once, and forks
+  // and joins, which the complaint only passes through, cannot ask at all
+  const approvals = (stage.actions || []).filter(action => action.type === 'APPROVAL');
+  if (approvals.length > 1) {
+    errors.push(issue('INVALID_ACTION', `Stage "${stage.name}" can hold only one approval`, [stage.id]));
+  }
+  if (approvals.length > 0 && ['FORK', 'JOIN'].includes(stage.type)) {
+    errors.push(issue('INVALID_ACTION', `Approvals cannot be asked in the ${stage.type === 'FORK' ? 'fork' : 'join'} "${stage.name}"`, [stage.id]));
+  }
+};
+
+// Every fork's branches must meet at one join, and the complaint must be able to go on from there
+const checkParallelSections = (stages, last, errors, warnings) => {
+  const fed = new Set();
+
+  for (const fork of stages.filter(stage => stage.type === 'FORK')) {
+    const transitions = fork.transitions || [];
+
+    if (transitions.length < 2) {
+      errors.push(issue('FORK_NEEDS_BRANCHES', `Fork "${fork.name}" needs at least two transitions, one for each parallel branch`, [fork.id]));
+    }
+    if (transitions.some(t => ['USER_ROLE', 'TIME_BASED'].includes(t.condition?.type))) {
+      errors.push(issue('FORK_CONDITION', `Branches of fork "${fork.name}" open automatically, so they can only have custom conditions`, [fork.id]));
+    }
+
+    const { join, problem } = workflowBranchService.findJoin(stages, fork);
+    if (problem) {
+      errors.push(issue(problem.code, problem.message, problem.stageIds));
+      continue;
+    }
+
+    fed.add(join.id);
+    const ruleError = workflowBranchService.validateJoinRule(join, transitions.length);
+    if (ruleError) {
+      errors.push(issue('INVALID_JOIN_RULE', ruleError, [join.id]));
+    }
+    if (join.id === last.id) {
+      errors.push(issue('JOIN_IS_FINAL', `The join "${join.name}" cannot be the last stage; add a stage after it for complaints to finish in`, [join.id]));
+    }
+  }
+
+  stages
+    .filter(stage => stage.type === 'JOIN' && !fed.has(stage.id))
+    .forEach(stage => warnings.push(issue('ORPHAN_JOIN', `No fork's branches end at join "${stage.name}", so it works like an ordinary stage`, [stage.id])));
+};
+
+export const workflowValidationService = {
+  /**
+   * Analyse a workflow definition for problems that would strand complaints
+   * @param {Array} stages - Workflow stages
+   * @param {Object} reopenPolicy - Optional reopen policy
+   * @returns {Object} - { valid, errors, warnings }, each issue { code, message, stageIds }
+   */
+  validate: (stages = [], reopenPolicy) => {
+    const errors = [];
+    const warnings = [];
+    const result = () => ({ valid: errors.length === 0, errors, warnings });
+
+    if (stages.length === 0) {
+      errors.push(issue('NO_STAGES', 'The workflow has no stages'));
+      return result();
+    }
+
+    const byId = new Map();
+    const orders = new Map();
+    for (const stage of stages) {
+      if (byId.has(stage.id)) {
+        errors.push(issue('DUPLICATE_STAGE_ID', `Stage ID "${stage.id}" is used more than once`, [stage.id]));
+      }
+      if (orders.has(Number(stage.order))) {
+        errors.push(issue('DUPLICATE_STAGE_ORDER', `Stages "${orders.get(Number(stage.order)).name}" and "${stage.name}" have the same order`, [stage.id]));
+      }
+      byId.set(stage.id, stage);
+      orders.set(Number(stage.order), stage);
+    }
+
+    // The graph checks below need one stage per ID and order
+    if (errors.length > 0) return result();
+
+    const edges = new Map();
+    for (const stage of stages) {
+      const transitions = stage.transitions || [];
+
+      if (stage.type && !STAGE_TYPES.includes(stage.type)) {
+        errors.push(issue('INVALID_STAGE_TYPE', `Stage "${stage.name}" has an unknown type "${stage.type}"`, [stage.id]));
+      }
+
+      if (stage.durationInHours !== undefined && !(Number(stage.durationInHours) > 0)) {
+        errors.push(issue('INVALID_DURATION', `Stage "${stage.name}" needs a duration of more than zero hours`, [stage.id]));
+      }
+
+      const targets = new Set();
+      for (const transition of transitions) {
+        const conditionError = transitionConditionService.validateCondition(transition.condition);
+        if (conditionError) {
+          errors.push(issue('INVALID_CONDITION', `A transition from "${stage.name}" has an invalid condition: ${conditionError}`, [stage.id]));
+        }
+
+        const target = byId.get(transition.targetStageId);
+        if (!target) {
+          errors.push(issue('DANGLING_TRANSITION', `A transition from "${stage.name}" points to a stage that does not exist (${transition.targetStageId || 'none'})`, [stage.id]));
+        } else if (target.id === stage.id) {
+          warnings.push(issue('SELF_TRANSITION', `Stage "${stage.name}" has a transition to itself`, [stage.id]));
+        } else if (targets.has(target.id)) {
+          warnings.push(issue('DUPLICATE_TRANSITION', `Stage "${stage.name}" has more than one transition to "${target.name}"`, [stage.id]));
+        } else {
+          targets.add(target.id);
+        }
+      }
+
+      const timeHours = transitions
+        .filter(t => t.condition?.type === 'TIME_BASED')
+        .map(t => Number(t.condition.value) || Number(stage.durationInHours) || 24);
+      if (new Set(timeHours).size < timeHours.length) {
+        warnings.push(issue('MULTIPLE_TIME_BASED', `Stage "${stage.name}" has several time-based transitions after the same hours; only the first one fires`, [stage.id]));
+      }
+
+      // No transitions means complaints may be moved anywhere from here
+      edges.set(stage.id, transitions.length > 0
+        ? [...targets]
+        : stages.filter(other => other.id !== stage.id).map(other => other.id));
+
+      checkActions(stage, errors, warnings);
+    }
+
+    const sorted = [...stages].sort((a, b) => a.order - b.order);
+    const first = sorted[0];
+    const last = sorted[sorted.length - 1];
+
+    const hasFinalStage = (last.transitions || []).length === 0;
+
+    // Reaching the final stage completes the complaint, so nothing moves on from it
+    if (hasFinalStage) {
+      edges.set(last.id, []);
+    } else {
+      errors.push(issue('NO_FINAL_STAGE', `The last stage "${last.name}" has transitions, so complaints moving through the workflow never complete. Remove its transitions or reorder the stages.`, [last.id]));
+    }
+
+    sorted.slice(0, -1)
+      .filter(stage => (stage.transitions || []).length === 0)
+      .forEach(stage => warnings.push(issue('OPEN_STAGE', `Stage "${stage.name}" has no transitions, so complaints can be moved from it to any stage`, [stage.id])));
+
+    const reachable = reachableFrom([first.id], edges);
+    const unreachable = sorted.filter(stage => !reachable.has(stage.id));
+    if (unreachable.length > 0) {
+      errors.push(issue('UNREACHABLE_STAGE', `No transition leads to ${namesOf(unreachable)} from the first stage "${first.name}"`, unreachable.map(stage => stage.id)));
+    }
+
+    // Stages that can still finish: those with a path to the final stage
+    if (hasFinalStage) {
+      const reverse = new Map(stages.map(stage => [stage.id, []]));
+      edges.forEach((targets, id) => targets.forEach(target => reverse.get(target).push(id)));
+      const canFinish = reachableFrom([last.id], reverse);
+
+      const stuck = new Set(stages.filter(stage => !canFinish.has(stage.id) && reachable.has(stage.id)).map(stage => stage.id));
+      const loops = findComponents(stuck, edges)
+        .filter(component => component.length > 1 || edges.get(component[0]).includes(component[0]));
+
+      loops.forEach(component => {
+        errors.push(issue('CLOSED_LOOP', `Stages ${namesOf(component.map(id => byId.get(id)))} form a loop with no way out`, component));
+      });
+
+      const inLoop = new Set(loops.flat());
+      const leadsIntoLoop = [...stuck].filter(id => !inLoop.has(id));
+      if (leadsIntoLoop.length > 0) {
+        const verb = leadsIntoLoop.length === 1 ? 'leads' : 'lead';
+        errors.push(issue('NO_EXIT', `${namesOf(leadsIntoLoop.map(id => byId.get(id)))} only ${verb} into a loop and never reach "${last.name}"`, leadsIntoLoop));
+      }
+    }
+
+    checkParallelSections(stages, last, errors, warnings);
+
+    if (reopenPolicy?.mode === 'STAGE' && !byId.has(reopenPolicy.stageId)) {
+      errors.push(issue('INVALID_REOPEN_STAGE', 'The reopen stage must be one of the workflow stages'));
+    }
+
+    return result();
+  }
+};
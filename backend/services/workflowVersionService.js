@@ -0,0 +1,294 @@
+// services/workflowVersionService.js
+import { Workflow, WorkflowVersion, WorkflowInstance, Complaint, ComplaintLog } from '../models/models.js';
+import { approvalService } from './approvalService.js';
+
+const STAGE_FIELDS = ['name', 'description', 'order', 'durationInHours', 'reviewerRole', 'actions', 'transitions'];
+
+// Plain copy of a stage list or policy without Mongo _ids, so equal definitions compare equal
+const strip = (value) => JSON.parse(JSON.stringify(value ?? null, (key, field) => (key === '_id' ? undefined : field)));
+
+const sameValue = (a, b) => JSON.stringify(strip(a)) === JSON.stringify(strip(b));
+
+const toPlain = (doc) => (doc?.toObject ? doc.toObject() : doc);
+
+export const workflowVersionService = {
+  /**
+   * Check whether a workflow's stages or reopen policy differ from a published version
+   * @param {Object} workflow - Workflow document
+   * @param {Object} version - WorkflowVersion document, or null
+   * @returns {Boolean}
+   */
+  hasChanges: (workflow, version) => {
+    if (!version) return true;
+    return !sameValue(toPlain(workflow).stages, toPlain(version).stages) ||
+      !sameValue(toPlain(workflow).reopenPolicy, toPlain(version).reopenPolicy);
+  },
+
+  /**
+   * Snapshot the workflow's current definition as its next version
+   * @param {Object} workflow - Workflow document, already saved
+   * @param {Object} options - { publishedBy, notes }
+   * @returns {Promise<Object>} - The new WorkflowVersion
+   */
+  publish: async (workflow, { publishedBy, notes } = {}) => {
+    // Reserve the number atomically so concurrent publishes never collide
+    const reserved = await Workflow.findByIdAndUpdate(
+      workflow._id,
+      { $inc: { currentVersion: 1 } },
+      { new: true, select: 'currentVersion' }
+    );
+
+    const version = await WorkflowVersion.create({
+      workflowId: workflow._id,
+      organizationId: workflow.organizationId,
+      version: reserved.currentVersion,
+      name: workflow.name,
+      stages: strip(toPlain(workflow).stages),
+      reopenPolicy: strip(toPlain(workflow).reopenPolicy) || {},
+      notes,
+      publishedBy
+    });
+
+    workflow.currentVersion = reserved.currentVersion;
+    return version;
+  },
+
+  /**
+   * Get the version new complaints start on, publishing one for workflows created before versioning
+   * @param {Object} workflow - Workflow document
+   * @returns {Promise<Object>} - WorkflowVersion
+   */
+  getCurrentVersion: async (workflow) => {
+    const version = workflow.currentVersion > 0
+      ? await WorkflowVersion.findOne({ workflowId: workflow._id, version: workflow.currentVersion })
+      : null;
+
+    return version || workflowVersionService.publish(workflow, { notes: 'Initial version' });
+  },
+
+  /**
+   * Get the definition (stages and reopen policy) a workflow instance follows. Instances
+   * started before versioning are pinned to the workflow's current version on first use.
+   * @param {Object} instance - WorkflowInstance document, workflowId or workflowVersionId may be populated
+   * @returns {Promise<Object|null>} - WorkflowVersion, or null when the workflow no longer exists
+   */
+  getDefinition: async (instance) => {
+    const pinned = instance.workflowVersionId;
+    if (pinned?.stages) return pinned;
+
+    if (pinned) {
+      const version = await WorkflowVersion.findById(pinned);
+      if (version) return version;
+    }
+
+    const workflow = instance.workflowId?.stages
+      ? instance.workflowId
+      : await Workflow.findById(instance.workflowId);
+    if (!workflow) return null;
+
+    const version = await workflowVersionService.getCurrentVersion(workflow);
+    await WorkflowInstance.updateOne({ _id: instance._id }, { workflowVersionId: version._id });
+    instance.workflowVersionId = version;
+
+    return version;
+  },
+
+  /**
+   * Pin a workflow's unversioned instances to its current version
+   * @param {Object} workflow - Workflow document
+   * @returns {Promise<Object>} - The current WorkflowVersion
+   */
+  pinLegacyInstances: async (workflow) => {
+    const version = await workflowVersionService.getCurrentVersion(workflow);
+    await WorkflowInstance.updateMany(
+      { workflowId: workflow._id, workflowVersionId: null },
+      { workflowVersionId: version._id }
+    );
+    return version;
+  },
+
+  /**
+   * Count open complaints per version and stage of a workflow
+   * @param {ObjectId} workflowId - Workflow ID (aggregate does not cast strings)
+   * @returns {Promise<Object>} - { [versionId]: { total, stages: { [stageId]: count } } }
+   */
+  getActiveCounts: async (workflowId) => {
+    const rows = await WorkflowInstance.aggregate([
+      { $match: { workflowId, isCompleted: false } },
+      { $group: { _id: { version: '$workflowVersionId', stage: '$currentStageId' }, count: { $sum: 1 } } }
+    ]);
+
+    return rows.reduce((counts, row) => {
+      const key = row._id.version?.toString();
+      counts[key] = counts[key] || { total: 0, stages: {} };
+      counts[key].total += row.count;
+      counts[key].stages[row._id.stage] = row.count;
+      return counts;
+    }, {});
+  },
+
+  /**
+   * Compare two versions stage by stage
+   * @param {Object} from - Older WorkflowVersion
+   * @param {Object} to - Newer WorkflowVersion
+   * @returns {Object} - { added, removed, changed, reopenPolicy, name }
+   */
+  diff: (from, to) => {
+    const fromStages = strip(toPlain(from).stages) || [];
+    const toStages = strip(toPlain(to).stages) || [];
+    const fromById = new Map(fromStages.map(stage => [stage.id, stage]));
+    const toById = new Map(toStages.map(stage => [stage.id, stage]));
+
+    const changed = toStages
+      .filter(stage => fromById.has(stage.id))
+      .map(stage => {
+        const before = fromById.get(stage.id);
+        const fields = STAGE_FIELDS
+          .filter(field => !sameValue(before[field], stage[field]))
+          .map(field => ({ field, from: before[field] ?? null, to: stage[field] ?? null }));
+        return { id: stage.id, name: stage.name, fields };
+      })
+      .filter(stage => stage.fields.length > 0);
+
+    const fromPolicy = strip(toPlain(from).reopenPolicy);
+    const toPolicy = strip(toPlain(to).reopenPolicy);
+
+    return {
+      fromVersion: from.version,
+      toVersion: to.version,
+      added: toStages.filter(stage => !fromById.has(stage.id)),
+      removed: fromStages.filter(stage => !toById.has(stage.id)),
+      changed,
+      reopenPolicy: sameValue(fromPolicy, toPolicy) ? null : { from: fromPolicy, to: toPolicy },
+      name: from.name === to.name ? null : { from: from.name, to: to.name }
+    };
+  },
+
+  /**
+   * Work out where each open complaint on a version lands in another version. Stages
+   * missing from the mapping keep their ID when the target version still has it. Open
+   * parallel branches are mapped the same way.
+   * @param {Array} instances - Open WorkflowInstances on the source version
+   * @param {Object} target - Target WorkflowVersion
+   * @param {Object} stageMapping - { [sourceStageId]: targetStageId }
+   * @returns {Object} - { moves: [{ instance, stage, branchStages }], unmapped: [stageId] }
+   */
+  planMigration: (instances, target, stageMapping = {}) => {
+    const moves = [];
+    const unmapped = new Set();
+    const mapStage = (stageId) => target.stages.find(s => s.id === (stageMapping[stageId] || stageId));
+
+    for (const instance of instances) {
+      const stage = mapStage(instance.currentStageId);
+      const openBranches = (instance.branches || []).filter(b => b.status === 'ACTIVE');
+      const branchStages = openBranches.map(b => mapStage(b.stageId));
+
+      if (!stage) unmapped.add(instance.currentStageId);
+      openBranches.forEach((b, index) => !branchStages[index] && unmapped.add(b.stageId));
+
+      if (stage && branchStages.every(Boolean)) {
+        moves.push({ instance, stage, branchStages });
+      }
+    }
+
+    return { moves, unmapped: [...unmapped] };
+  },
+
+  /**
+   * Re-pin open complaints to another version, moving them to their mapped stages.
+   * Stage actions are not run again; the complaint only changes which definition it follows.
+   * Approvals are the exception: those asked in a stage left behind lapse, and an APPROVAL
+   * stage moved into asks its approvers, so the complaint does not wait on a decision nobody
+   * was asked for.
+   * @param {Array} moves - From planMigration
+   * @param {Object} source - Source WorkflowVersion
+   * @param {Object} target - Target WorkflowVersion
+   * @param {String} userId - The admin running the migration
+   * @returns {Promise<Object>} - { migrated, moved }
+   */
+  migrate: async (moves, source, target, userId) => {
+    const result = { migrated: 0, moved: 0 };
+
+    for (const { instance, stage, branchStages = [] } of moves) {
+      const previousStageId = instance.currentStageId;
+      const previousStage = source.stages.find(s => s.id === previousStageId);
+      const stageChanged = stage.id !== instance.currentStageId;
+      const note = `Migrated from workflow version ${source.version} to ${target.version}`;
+      const now = new Date();
+      const entered = [];
+
+      const currentEntry = instance.history.find(
+        h => h.stageId === instance.currentStageId && !h.branchId && !h.exitedAt
+      );
+
+      if (currentEntry) {
+        currentEntry.actions.push({
+          type: 'MIGRATED',
+          performedBy: userId,
+          result: { fromVersion: source.version, toVersion: target.version, targetStageId: stage.id },
+          notes: note
+        });
+        if (stageChanged) currentEntry.exitedAt = now;
+      }
+
+      if (stageChanged) {
+        instance.history.push({ stageId: stage.id, enteredAt: now, actions: [] });
+        instance.currentStageId = stage.id;
+        entered.push({ stage, entry: instance.history[instance.history.length - 1] });
+      }
+
+      // Branches keep their place when their stage is still there, and otherwise move like the instance
+      instance.branches
+        .filter(b => b.status === 'ACTIVE')
+        .forEach((branch, index) => {
+          const branchStage = branchStages[index];
+          if (branchStage.id === branch.stageId) return;
+
+          const entry = instance.history.find(h => h.branchId?.equals(branch._id) && !h.exitedAt);
+          if (entry) entry.exitedAt = now;
+          instance.history.push({ stageId: branchStage.id, branchId: branch._id, enteredAt: now, actions: [] });
+          branch.stageId = branchStage.id;
+          entered.push({ stage: branchStage, entry: instance.history[instance.history.length - 1] });
+        });
+
+      instance.workflowVersionId = target._id;
+      await instance.save();
+
+      await approvalService.cancelStale(instance);
+      const approvalStages = entered.filter(({ stage: s }) => (s.actions || []).some(a => a.type === 'APPROVAL'));
+      if (approvalStages.length > 0) {
+        const complaint = await Complaint.findById(instance.complaintId);
+        for (const { stage: enteredStage, entry } of approvalStages) {
+          for (const action of enteredStage.actions.filter(a => a.type === 'APPROVAL')) {
+            const actionResult = await approvalService.requestApproval(action, {
+              complaint,
+              workflowInstance: instance,
+              stage: enteredStage,
+              historyEntry: entry
+            });
+            entry.actions.push({ type: action.type, performedAt: new Date(), result: actionResult, notes: note });
+          }
+        }
+        await instance.save();
+      }
+
+      if (stageChanged) {
+        await Complaint.updateOne({ _id: instance.complaintId }, { currentStage: stage.name });
+        result.moved++;
+      }
+
+      await ComplaintLog.create({
+        complaintId: instance.complaintId,
+        userId,
+        action: 'WORKFLOW_UPDATED',
+        comment: note,
+        previousStage: previousStage?.name || previousStageId,
+        newStage: stage.name
+      });
+
+      result.migrated++;
+    }
+
+    return result;
+  }
+};
@@ -0,0 +1,96 @@
+// tests/approvalFinalStage.test.js
+// An approval decision whose transition leads to the workflow's final stage must
+// complete the workflow and close the complaint, as a manual move there does.
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { WorkflowInstance, Complaint, Approval } from '../models/models.js';
+import { workflowService } from '../services/workflowService.js';
+import { workflowVersionService } from '../services/workflowVersionService.js';
+import { notificationDispatchService } from '../services/notificationDispatchService.js';
+
+const workflow = {
+  stages: [
+    {
+      id: 'review',
+      name: 'Review',
+      order: 1,
+      type: 'APPROVAL',
+      transitions: [{ targetStageId: 'rework' }, { targetStageId: 'done' }]
+    },
+    { id: 'rework', name: 'Rework', order: 2, transitions: [{ targetStageId: 'done' }] },
+    { id: 'done', name: 'Done', order: 3, transitions: [] }
+  ]
+};
+
+let instance;
+let complaint;
+let dispatched;
+
+beforeEach(() => {
+  dispatched = [];
+
+  complaint = new Complaint({
+    organizationId: new mongoose.Types.ObjectId(),
+    complainantId: new mongoose.Types.ObjectId(),
+    complaintTypeId: new mongoose.Types.ObjectId(),
+    departmentId: new mongoose.Types.ObjectId(),
+    title: 'Projector broken',
+    description: 'The projector in room 204 does not turn on',
+    status: 'In Progress'
+  });
+  complaint.save = async () => complaint;
+
+  instance = new WorkflowInstance({
+    complaintId: complaint._id,
+    workflowId: new mongoose.Types.ObjectId(),
+    currentStageId: 'review',
+    history: [{ stageId: 'review', enteredAt: new Date(), actions: [] }]
+  });
+  instance.save = async () => instance;
+
+  WorkflowInstance.findById = async () => instance;
+  Complaint.findById = async () => complaint;
+  Complaint.find = async () => [];
+  Approval.findOneAndUpdate = async (filter, update) => ({ _id: filter._id, ...update.$set });
+  Approval.updateMany = async () => ({ modifiedCount: 0 });
+  workflowVersionService.getDefinition = async () => workflow;
+  notificationDispatchService.dispatch = async (dispatch) => dispatched.push(dispatch);
+});
+
+const approvalFor = (transitions) => ({
+  _id: new mongoose.Types.ObjectId(),
+  workflowInstanceId: instance._id,
+  historyEntryId: instance.history[0]._id,
+  stageId: 'review',
+  transitions
+});
+
+const approver = { _id: new mongoose.Types.ObjectId(), firstName: 'Alex', lastName: 'Morgan' };
+
+test('completes the workflow and closes the complaint when approval leads to the final stage', async () => {
+  const result = await workflowService.decideApproval(
+    approvalFor({ APPROVED: 'done', REJECTED: 'rework' }), approver, 'APPROVED', 'Looks good'
+  );
+
+  assert.equal(result.targetStage.id, 'done');
+  assert.equal(instance.currentStageId, 'done');
+  assert.equal(instance.isCompleted, true);
+  assert.equal(instance.status, 'COMPLETED');
+  assert.ok(instance.completedAt);
+  assert.equal(complaint.status, 'Closed');
+  assert.ok(complaint.closedAt);
+  assert.equal(dispatched.length, 1);
+  assert.equal(dispatched[0].event, 'STATUS_UPDATE');
+});
+
+test('leaves the workflow running when approval leads to a stage with transitions', async () => {
+  await workflowService.decideApproval(
+    approvalFor({ APPROVED: 'done', REJECTED: 'rework' }), approver, 'REJECTED', 'Needs rework'
+  );
+
+  assert.equal(instance.currentStageId, 'rework');
+  assert.notEqual(instance.isCompleted, true);
+  assert.equal(complaint.status, 'In Progress');
+  assert.equal(dispatched.length, 0);
+});
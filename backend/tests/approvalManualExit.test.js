@@ -0,0 +1,76 @@
+// tests/approvalManualExit.test.js
+// While an approval is pending, a manual move out of its stage is refused unless a
+// SuperAdmin overrides it, and the override is recorded in the complaint log.
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { WorkflowInstance, Approval, ComplaintLog } from '../models/models.js';
+import { approvalService } from '../services/approvalService.js';
+
+let instance;
+let pending;
+let logged;
+
+beforeEach(() => {
+  logged = [];
+
+  instance = new WorkflowInstance({
+    complaintId: new mongoose.Types.ObjectId(),
+    workflowId: new mongoose.Types.ObjectId(),
+    currentStageId: 'review',
+    history: [
+      { stageId: 'intake', enteredAt: new Date(), exitedAt: new Date(), actions: [] },
+      { stageId: 'review', enteredAt: new Date(), actions: [] }
+    ]
+  });
+
+  pending = { _id: new mongoose.Types.ObjectId(), stageName: 'Review', historyEntryId: instance.history[1]._id };
+  Approval.findOne = async (filter) => (
+    filter.status === 'PENDING' && filter.historyEntryId.equals(pending.historyEntryId) ? pending : null
+  );
+  ComplaintLog.create = async (entry) => logged.push(entry);
+});
+
+const user = (role) => ({ _id: new mongoose.Types.ObjectId(), role, firstName: 'Sam', lastName: 'Lee' });
+
+test('finds the approval pending on the open stage visit', async () => {
+  assert.equal(await approvalService.findPending(instance), pending);
+});
+
+test('refuses a manual move while an approval is pending', async () => {
+  const blocking = await approvalService.checkManualExit(instance, user('Faculty'), {
+    complaintId: instance.complaintId
+  });
+
+  assert.equal(blocking, pending);
+  assert.equal(logged.length, 0);
+});
+
+test('refuses an override from anyone but a SuperAdmin', async () => {
+  const blocking = await approvalService.checkManualExit(instance, user('DepartmentUser'), {
+    complaintId: instance.complaintId,
+    override: true
+  });
+
+  assert.equal(blocking, pending);
+  assert.equal(logged.length, 0);
+});
+
+test('lets a SuperAdmin override and logs the override', async () => {
+  const admin = user('SuperAdmin');
+  const blocking = await approvalService.checkManualExit(instance, admin, {
+    complaintId: instance.complaintId,
+    override: true
+  });
+
+  assert.equal(blocking, null);
+  assert.equal(logged.length, 1);
+  assert.equal(logged[0].action, 'APPROVAL_OVERRIDDEN');
+  assert.equal(logged[0].userId, admin._id);
+});
+
+test('allows the move once no approval is pending', async () => {
+  pending = { ...pending, historyEntryId: new mongoose.Types.ObjectId() };
+
+  assert.equal(await approvalService.checkManualExit(instance, user('Faculty'), {}), null);
+});
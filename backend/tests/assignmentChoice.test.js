@@ -0,0 +1,118 @@
+// tests/assignmentChoice.test.js
+// Automatic assignment leaves out users who are unavailable, out of office or at capacity,
+// narrows the field by skill when asked to, and lets the strategy pick among the rest.
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { User } from '../models/models.js';
+import { assignmentService } from '../services/assignmentService.js';
+
+const now = new Date('2026-03-10T12:00:00Z');
+const complaintTypeId = new mongoose.Types.ObjectId();
+const complaint = { departmentId: new mongoose.Types.ObjectId(), complaintTypeId };
+
+const candidate = (firstName, { openCount = 0, weightedLoad = 0, ...assignment } = {}, outOfOffice) => ({
+  _id: new mongoose.Types.ObjectId(),
+  firstName,
+  lastName: 'Lee',
+  assignment,
+  outOfOffice,
+  load: { openCount, weightedLoad }
+});
+
+let users;
+
+beforeEach(() => {
+  users = [];
+  User.aggregate = async () => users;
+});
+
+test('gives the complaint to the user with the fewest open complaints', async () => {
+  users = [candidate('Ana', { openCount: 4 }), candidate('Ben', { openCount: 1 }), candidate('Cy', { openCount: 2 })];
+
+  const { strategy, assignee, reason } = await assignmentService.chooseAssignee(complaint, {}, now);
+
+  assert.equal(strategy, 'LEAST_LOADED');
+  assert.equal(assignee.name, 'Ben Lee');
+  assert.match(reason, /3 of 3 department user\(s\) eligible/);
+});
+
+test('breaks ties by who waited longest since their last assignment', async () => {
+  users = [
+    candidate('Ana', { openCount: 1, lastAssignedAt: new Date('2026-03-09T00:00:00Z') }),
+    candidate('Ben', { openCount: 1, lastAssignedAt: new Date('2026-03-01T00:00:00Z') })
+  ];
+
+  const { assignee } = await assignmentService.chooseAssignee(complaint, {}, now);
+
+  assert.equal(assignee.name, 'Ben Lee');
+});
+
+test('weighs open complaints by priority', async () => {
+  users = [candidate('Ana', { openCount: 1, weightedLoad: 5 }), candidate('Ben', { openCount: 3, weightedLoad: 3 })];
+
+  const { assignee } = await assignmentService.chooseAssignee(complaint, { strategy: 'WEIGHTED_LOAD' }, now);
+
+  assert.equal(assignee.name, 'Ben Lee');
+});
+
+test('takes turns in round robin, starting with users never assigned', async () => {
+  users = [candidate('Ana', { lastAssignedAt: new Date('2026-03-01T00:00:00Z') }), candidate('Ben')];
+
+  const { assignee } = await assignmentService.chooseAssignee(complaint, { strategy: 'ROUND_ROBIN' }, now);
+
+  assert.equal(assignee.name, 'Ben Lee');
+});
+
+test('leaves out users who are unavailable, out of office or at capacity', async () => {
+  users = [
+    candidate('Ana', { available: false }),
+    candidate('Ben', {}, { startsAt: new Date('2026-03-09T00:00:00Z'), endsAt: new Date('2026-03-12T00:00:00Z') }),
+    candidate('Cy', { openCount: 3, capacity: 3 }),
+    candidate('Dee', { openCount: 8 })
+  ];
+
+  const { assignee, candidates } = await assignmentService.chooseAssignee(complaint, {}, now);
+
+  assert.equal(assignee.name, 'Dee Lee');
+  assert.deepEqual(candidates.map(c => c.excludedReason), [
+    'Marked unavailable',
+    'Out of office until 2026-03-12T00:00:00.000Z',
+    'At capacity (3 of 3 open)',
+    undefined
+  ]);
+});
+
+test('prefers users who handle the complaint type', async () => {
+  users = [candidate('Ana', { openCount: 0 }), candidate('Ben', { openCount: 5, skills: [complaintTypeId] })];
+
+  const { assignee, candidates } = await assignmentService.chooseAssignee(complaint, { skillMatching: 'PREFER' }, now);
+
+  assert.equal(assignee.name, 'Ben Lee');
+  assert.equal(candidates[0].excludedReason, 'Passed over for colleagues who handle this complaint type');
+});
+
+test('falls back to everyone available when nobody preferred handles the type', async () => {
+  users = [candidate('Ana', { openCount: 2 }), candidate('Ben', { openCount: 1 })];
+
+  const { assignee, reason } = await assignmentService.chooseAssignee(complaint, { skillMatching: 'PREFER' }, now);
+
+  assert.equal(assignee.name, 'Ben Lee');
+  assert.match(reason, /everyone available was considered/);
+});
+
+test('assigns nobody when skills are required and nobody has them', async () => {
+  users = [candidate('Ana'), candidate('Ben')];
+
+  const { assignee, reason } = await assignmentService.chooseAssignee(complaint, { skillMatching: 'REQUIRE' }, now);
+
+  assert.equal(assignee, null);
+  assert.equal(reason, 'Nobody assigned: nobody in the department handles this complaint type');
+});
+
+test('assigns nobody in a department without active users', async () => {
+  const { assignee, reason } = await assignmentService.chooseAssignee(complaint, {}, now);
+
+  assert.equal(assignee, null);
+  assert.equal(reason, 'Nobody assigned: the department has no active users');
+});
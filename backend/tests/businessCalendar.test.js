@@ -0,0 +1,69 @@
+// tests/businessCalendar.test.js
+// Business time only counts a calendar's working windows, in its own time zone, so it
+// follows daylight saving changes and skips weekends and holidays.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { businessCalendarService } from '../services/businessCalendarService.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Monday to Friday, 09:00 to 17:00 in New York, which moves to daylight time on 8 March 2026
+const weekdays = {
+  timeZone: 'America/New_York',
+  workingHours: [1, 2, 3, 4, 5].map(dayOfWeek => ({ dayOfWeek, start: '09:00', end: '17:00' })),
+  holidays: []
+};
+
+// Friday 6 March 2026, 16:00 EST
+const fridayAfternoon = new Date('2026-03-06T21:00:00Z');
+
+test('carries business time over the weekend into the new daylight offset', () => {
+  const due = businessCalendarService.addBusinessTime(fridayAfternoon, 2 * HOUR_MS, weekdays);
+
+  // Monday 9 March, 10:00 EDT
+  assert.equal(due.toISOString(), '2026-03-09T14:00:00.000Z');
+});
+
+test('skips holidays when adding business time', () => {
+  const calendar = { ...weekdays, holidays: [{ date: '2026-03-09', name: 'Closure' }] };
+  const due = businessCalendarService.addBusinessTime(fridayAfternoon, 2 * HOUR_MS, calendar);
+
+  assert.equal(due.toISOString(), '2026-03-10T14:00:00.000Z');
+});
+
+test('starts counting at the next working window', () => {
+  // Monday 9 March, 07:00 EDT
+  const due = businessCalendarService.addBusinessTime(new Date('2026-03-09T11:00:00Z'), HOUR_MS, weekdays);
+
+  assert.equal(due.toISOString(), '2026-03-09T14:00:00.000Z');
+});
+
+test('counts around the clock without working hours', () => {
+  const due = businessCalendarService.addBusinessTime(fridayAfternoon, 2 * HOUR_MS, null);
+
+  assert.equal(due.getTime(), fridayAfternoon.getTime() + 2 * HOUR_MS);
+  assert.equal(businessCalendarService.businessTimeBetween(fridayAfternoon, due, null), 2 * HOUR_MS);
+});
+
+test('measures only the working time between two moments', () => {
+  const mondayMorning = new Date('2026-03-09T14:00:00Z');
+
+  assert.equal(businessCalendarService.businessTimeBetween(fridayAfternoon, mondayMorning, weekdays), 2 * HOUR_MS);
+  assert.equal(businessCalendarService.businessTimeBetween(mondayMorning, fridayAfternoon, weekdays), 0);
+});
+
+test('leaves holidays out of the time between two moments', () => {
+  const calendar = { ...weekdays, holidays: [{ date: '2026-03-09', name: 'Closure' }] };
+  const tuesdayMorning = new Date('2026-03-10T14:00:00Z');
+
+  assert.equal(businessCalendarService.businessTimeBetween(fridayAfternoon, tuesdayMorning, calendar), 2 * HOUR_MS);
+});
+
+test('counts the extra hour of the day daylight saving ends', () => {
+  // Sunday 1 November 2026 lasts 25 hours in New York
+  const sundays = { timeZone: 'America/New_York', workingHours: [{ dayOfWeek: 0, start: '00:00', end: '24:00' }] };
+  const from = new Date('2026-10-31T12:00:00Z');
+  const to = new Date('2026-11-03T12:00:00Z');
+
+  assert.equal(businessCalendarService.businessTimeBetween(from, to, sundays), 25 * HOUR_MS);
+});
@@ -0,0 +1,74 @@
+// tests/mergeClaim.test.js
+// Two merges of the same duplicate at once copy its log entries into a parent only
+// once, and the copied entries are announced to the parent's open feeds.
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { Complaint, ComplaintLog, ComplaintTransfer, WorkflowInstance } from '../models/models.js';
+import { mergeService } from '../services/mergeService.js';
+import { realtimeService } from '../services/realtimeService.js';
+import { notificationDispatchService } from '../services/notificationDispatchService.js';
+
+const newComplaint = (title) => {
+  const complaint = new Complaint({
+    organizationId: new mongoose.Types.ObjectId(),
+    complainantId: new mongoose.Types.ObjectId(),
+    complaintTypeId: new mongoose.Types.ObjectId(),
+    departmentId: new mongoose.Types.ObjectId(),
+    title,
+    description: `${title} in the east wing`,
+    status: 'Open'
+  });
+  complaint.save = async () => complaint;
+  return complaint;
+};
+
+let inserted;
+let published;
+
+beforeEach(() => {
+  inserted = [];
+  published = [];
+
+  let mergedInto = null;
+  Complaint.findOneAndUpdate = async (filter, update) => {
+    if (filter.mergedInto !== mergedInto) return null;
+    mergedInto = update.$set.mergedInto;
+    return { _id: filter._id };
+  };
+  Complaint.updateMany = async () => ({ modifiedCount: 0 });
+  ComplaintLog.find = () => ({
+    sort: () => ({ lean: async () => [{ _id: new mongoose.Types.ObjectId(), action: 'CREATED' }] })
+  });
+  ComplaintLog.insertMany = async (logs) => inserted.push(...logs);
+  ComplaintLog.create = async () => ({});
+  ComplaintTransfer.updateMany = async () => ({ modifiedCount: 0 });
+  WorkflowInstance.findOne = async () => null;
+  notificationDispatchService.dispatch = async () => {};
+  mergeService.propagateStatus = async () => {};
+  realtimeService.publishComplaintEvent = (complaintId, event, data) => published.push({ complaintId, event, data });
+});
+
+test('only one of two simultaneous merges of a duplicate goes ahead', async () => {
+  const duplicate = newComplaint('Leaking roof');
+  const user = { _id: new mongoose.Types.ObjectId() };
+
+  const results = await Promise.all([
+    mergeService.merge(duplicate, newComplaint('Roof leaks'), user),
+    mergeService.merge(duplicate, newComplaint('Water from the ceiling'), user)
+  ]);
+
+  assert.equal(results.filter(Boolean).length, 1);
+  assert.equal(inserted.length, 1);
+});
+
+test('announces the copied log entries to the parent\'s feeds', async () => {
+  const parent = newComplaint('Roof leaks');
+
+  await mergeService.merge(newComplaint('Leaking roof'), parent, { _id: new mongoose.Types.ObjectId() });
+
+  assert.equal(published.length, 1);
+  assert.equal(published[0].complaintId, parent._id);
+  assert.equal(published[0].event, 'complaint-log');
+  assert.equal(published[0].data.count, 1);
+});
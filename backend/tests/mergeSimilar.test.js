@@ -0,0 +1,113 @@
+// tests/mergeSimilar.test.js
+// Likely duplicates are scored on the words their title and description share with the
+// new complaint, and only open, unmerged complaints can be merged into another one.
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { Complaint } from '../models/models.js';
+import { mergeService } from '../services/mergeService.js';
+
+const complaint = {
+  organizationId: new mongoose.Types.ObjectId(),
+  departmentId: new mongoose.Types.ObjectId(),
+  complaintTypeId: new mongoose.Types.ObjectId(),
+  title: 'Broken heater in library',
+  description: 'The heater on the second floor of the library is broken'
+};
+
+const existing = (title, description) => ({
+  _id: new mongoose.Types.ObjectId(),
+  title,
+  description,
+  status: 'Open',
+  createdAt: new Date('2026-03-09T12:00:00Z')
+});
+
+let candidates;
+let filters;
+
+beforeEach(() => {
+  candidates = [];
+  filters = [];
+  Complaint.find = (filter) => {
+    filters.push(filter);
+    const query = { select: () => query, sort: () => query, limit: async () => candidates };
+    return query;
+  };
+});
+
+afterEach(() => {
+  delete process.env.DUPLICATE_SIMILARITY_THRESHOLD;
+  delete process.env.DUPLICATE_WINDOW_DAYS;
+});
+
+test('scores complaints by their shared words, most similar first', async () => {
+  const same = existing('Broken heater in library', 'The heater on the second floor of the library is broken');
+  const close = existing('Library heaters broken', 'No heating upstairs');
+  const unrelated = existing('Projector missing', 'The projector in room 4 was taken');
+  candidates = [unrelated, close, same];
+
+  const similar = await mergeService.findSimilar(complaint);
+
+  assert.deepEqual(similar.map(s => s._id), [same._id, close._id]);
+  assert.equal(similar[0].score, 1);
+  assert.equal(similar[1].score, 0.6);
+});
+
+test('ignores common words, case and plurals', async () => {
+  candidates = [existing('THE HEATERS, IN THE LIBRARY, ARE BROKEN', '')];
+
+  const [match] = await mergeService.findSimilar(complaint);
+
+  assert.equal(match.score, 0.6);
+});
+
+test('leaves out complaints below the similarity threshold', async () => {
+  process.env.DUPLICATE_SIMILARITY_THRESHOLD = '0.7';
+  candidates = [existing('Library heaters broken', 'No heating upstairs')];
+
+  assert.deepEqual(await mergeService.findSimilar(complaint), []);
+});
+
+test('looks only at recent open complaints of the same type and department', async () => {
+  process.env.DUPLICATE_WINDOW_DAYS = '7';
+  const excludeId = new mongoose.Types.ObjectId();
+
+  await mergeService.findSimilar(complaint, { excludeId, now: new Date('2026-03-10T00:00:00Z') });
+
+  const [filter] = filters;
+  assert.equal(filter.departmentId, complaint.departmentId);
+  assert.equal(filter.complaintTypeId, complaint.complaintTypeId);
+  assert.equal(filter.mergedInto, null);
+  assert.equal(filter.createdAt.$gte.toISOString(), '2026-03-03T00:00:00.000Z');
+  assert.equal(filter._id.$ne, excludeId);
+});
+
+test('returns at most five matches', async () => {
+  candidates = Array.from({ length: 8 }, () => existing(complaint.title, complaint.description));
+
+  assert.equal((await mergeService.findSimilar(complaint)).length, 5);
+});
+
+const open = (fields = {}) => ({ _id: new mongoose.Types.ObjectId(), status: 'Open', mergedInto: null, ...fields });
+
+test('allows merging one open complaint into another', () => {
+  assert.equal(mergeService.validateMerge(open(), open({ status: 'Resolved' })), null);
+});
+
+test('refuses merges that cannot go ahead', () => {
+  const duplicate = open();
+
+  assert.equal(mergeService.validateMerge(duplicate, null), 'Choose the complaint to merge into');
+  assert.equal(mergeService.validateMerge(duplicate, duplicate), 'A complaint cannot be merged into itself');
+  assert.equal(
+    mergeService.validateMerge(open({ mergedInto: new mongoose.Types.ObjectId() }), open()),
+    'This complaint was already merged into another one'
+  );
+  assert.equal(
+    mergeService.validateMerge(duplicate, open({ mergedInto: new mongoose.Types.ObjectId() })),
+    'That complaint was itself merged into another one; merge into that one instead'
+  );
+  assert.equal(mergeService.validateMerge(open({ status: 'Resolved' }), open()), 'Only open complaints can be merged');
+  assert.equal(mergeService.validateMerge(duplicate, open({ status: 'Closed' })), 'Cannot merge into a closed complaint');
+});
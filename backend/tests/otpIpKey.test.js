@@ -0,0 +1,64 @@
+// tests/otpIpKey.test.js
+// The password reset throttles count per client IP. Behind a proxy that IP must
+// come from X-Forwarded-For, or every client would share the proxy's limit.
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { PasswordResetOtp, OtpThrottle } from '../models/models.js';
+import { otpService } from '../services/otpService.js';
+import { trustProxyHops } from '../config/proxy.js';
+
+let throttleKeys = [];
+
+beforeEach(() => {
+  OtpThrottle.find = () => ({ sort: () => ({ limit: async () => [] }) });
+  OtpThrottle.findOneAndUpdate = async (filter) => {
+    throttleKeys.push(filter.key);
+    return { count: 1 };
+  };
+  PasswordResetOtp.findOne = async () => null;
+  PasswordResetOtp.findOneAndUpdate = async () => ({});
+});
+
+// Serve one forgot-password style request and return the send throttle key it counted
+const sendKeyFor = async (hops, forwardedFor) => {
+  throttleKeys = [];
+  const app = express();
+  app.set('trust proxy', trustProxyHops(hops));
+  app.post('/otp', async (req, res) => {
+    await otpService.issueOTP('user@example.com', req.ip);
+    res.end();
+  });
+
+  const server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  try {
+    await fetch(`http://127.0.0.1:${server.address().port}/otp`, {
+      method: 'POST',
+      headers: forwardedFor ? { 'X-Forwarded-For': forwardedFor } : {}
+    });
+  } finally {
+    server.close();
+  }
+  return throttleKeys.find(key => key.startsWith('send:ip:'));
+};
+
+test('keys the send limit on the client behind one proxy', async () => {
+  assert.equal(await sendKeyFor('1', '203.0.113.7'), 'send:ip:203.0.113.7');
+  assert.equal(await sendKeyFor('1', '198.51.100.23'), 'send:ip:198.51.100.23');
+});
+
+test('ignores addresses a client prepends to X-Forwarded-For', async () => {
+  assert.equal(await sendKeyFor('1', '10.0.0.1, 203.0.113.7'), 'send:ip:203.0.113.7');
+});
+
+test('keys on the connecting address when no proxy is trusted', async () => {
+  assert.equal(await sendKeyFor('0', '203.0.113.7'), 'send:ip:127.0.0.1');
+});
+
+test('reads the hop count from TRUST_PROXY_HOPS, falling back to the platform default', () => {
+  assert.equal(trustProxyHops('2'), 2);
+  assert.equal(trustProxyHops('0'), 0);
+  assert.equal(trustProxyHops('abc'), process.env.VERCEL ? 1 : 0);
+  assert.equal(trustProxyHops(undefined), process.env.VERCEL ? 1 : 0);
+});
@@ -0,0 +1,70 @@
+// tests/realtimeAudience.test.js
+// Complaint events reach everyone who can see the complaint: followers and the
+// Faculty reviewers of its current stage included, other users of the organization not.
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { Complaint } from '../models/models.js';
+import { realtimeService } from '../services/realtimeService.js';
+import { complaintAccessService } from '../services/complaintAccessService.js';
+
+const organizationId = new mongoose.Types.ObjectId();
+const departmentId = new mongoose.Types.ObjectId();
+const otherDepartmentId = new mongoose.Types.ObjectId();
+const complaint = {
+  _id: new mongoose.Types.ObjectId(),
+  organizationId,
+  departmentId,
+  complainantId: new mongoose.Types.ObjectId(),
+  followers: [new mongoose.Types.ObjectId()]
+};
+
+let received;
+let removers;
+let reviewerRoles;
+
+const connect = (role, { _id = new mongoose.Types.ObjectId(), department = departmentId } = {}) => {
+  const user = { _id, role, organizationId, departmentId: department };
+  removers.push(realtimeService.addClient(user, { write: () => received.push(_id.toString()) }));
+  return _id.toString();
+};
+
+beforeEach(() => {
+  received = [];
+  removers = [];
+  reviewerRoles = [];
+  Complaint.findById = () => ({ select: () => ({ lean: async () => complaint }) });
+  complaintAccessService.getReviewerRoles = async () => reviewerRoles;
+});
+
+afterEach(() => removers.forEach(remove => remove()));
+
+test('reaches the complainant and the followers', async () => {
+  const complainant = connect('Student', { _id: complaint.complainantId });
+  const follower = connect('Student', { _id: complaint.followers[0] });
+  const stranger = connect('Student');
+
+  await realtimeService.publishComplaintEvent(complaint._id, 'complaint-log', {});
+
+  assert.deepEqual(received.sort(), [complainant, follower].sort());
+  assert.ok(!received.includes(stranger));
+});
+
+test('reaches Faculty reviewing the current stage in the complaint\'s department', async () => {
+  reviewerRoles = ['Faculty'];
+  const reviewer = connect('Faculty');
+  const elsewhere = connect('Faculty', { department: otherDepartmentId });
+
+  await realtimeService.publishComplaintEvent(complaint._id, 'workflow-stage', {});
+
+  assert.deepEqual(received, [reviewer]);
+  assert.ok(!received.includes(elsewhere));
+});
+
+test('leaves out Faculty when no current stage is theirs to review', async () => {
+  connect('Faculty');
+
+  await realtimeService.publishComplaintEvent(complaint._id, 'workflow-stage', {});
+
+  assert.deepEqual(received, []);
+});
@@ -0,0 +1,88 @@
+// tests/slaStatus.test.js
+// A complaint's SLA state is the worst state of its first response and resolution targets,
+// and a paused resolution clock is judged at the moment it was paused.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { slaService } from '../services/slaService.js';
+
+const now = new Date('2026-03-10T12:00:00Z');
+
+const complaintWith = (sla, fields = {}) => ({
+  sla: {
+    policyId: new mongoose.Types.ObjectId(),
+    policyName: 'Standard',
+    firstResponseWarnAt: new Date('2026-03-10T10:00:00Z'),
+    firstResponseDueAt: new Date('2026-03-10T14:00:00Z'),
+    resolutionWarnAt: new Date('2026-03-12T10:00:00Z'),
+    resolutionDueAt: new Date('2026-03-13T10:00:00Z'),
+    ...sla
+  },
+  ...fields
+});
+
+test('has no status without a policy', () => {
+  assert.equal(slaService.getStatus({}, now), null);
+  assert.equal(slaService.getStatus({ sla: {} }, now), null);
+});
+
+test('is on track before any warning date', () => {
+  const status = slaService.getStatus(complaintWith({ firstRespondedAt: new Date('2026-03-10T09:00:00Z') }), now);
+
+  assert.equal(status.firstResponse.state, 'MET');
+  assert.equal(status.resolution.state, 'ON_TRACK');
+  assert.equal(status.state, 'ON_TRACK');
+  assert.equal(status.policyName, 'Standard');
+});
+
+test('takes the worst state of its targets', () => {
+  const status = slaService.getStatus(complaintWith({}), now);
+
+  assert.equal(status.firstResponse.state, 'AT_RISK');
+  assert.equal(status.state, 'AT_RISK');
+});
+
+test('is breached once a target passes unmet', () => {
+  const status = slaService.getStatus(complaintWith({ firstResponseDueAt: new Date('2026-03-10T11:00:00Z') }), now);
+
+  assert.equal(status.firstResponse.state, 'BREACHED');
+  assert.equal(status.state, 'BREACHED');
+});
+
+test('judges a late response as breached', () => {
+  const status = slaService.getStatus(complaintWith({ firstRespondedAt: new Date('2026-03-10T15:00:00Z') }), now);
+
+  assert.equal(status.firstResponse.state, 'BREACHED');
+});
+
+test('counts resolution by when the complaint was resolved', () => {
+  const status = slaService.getStatus(complaintWith(
+    { firstRespondedAt: new Date('2026-03-10T09:00:00Z') },
+    { resolvedAt: new Date('2026-03-11T09:00:00Z') }
+  ), new Date('2026-03-20T00:00:00Z'));
+
+  assert.equal(status.resolution.state, 'MET');
+  assert.equal(status.state, 'MET');
+});
+
+test('stops the resolution clock while paused', () => {
+  const pausedAt = new Date('2026-03-11T09:00:00Z');
+  const status = slaService.getStatus(complaintWith({
+    firstRespondedAt: new Date('2026-03-10T09:00:00Z'),
+    pausedAt
+  }), new Date('2026-03-20T00:00:00Z'));
+
+  assert.equal(status.resolution.state, 'PAUSED');
+  assert.equal(status.state, 'PAUSED');
+  assert.equal(status.paused, true);
+  assert.equal(status.pausedAt.getTime(), pausedAt.getTime());
+});
+
+test('stays breached when paused after the due date', () => {
+  const status = slaService.getStatus(complaintWith({
+    firstRespondedAt: new Date('2026-03-10T09:00:00Z'),
+    pausedAt: new Date('2026-03-14T00:00:00Z')
+  }), new Date('2026-03-20T00:00:00Z'));
+
+  assert.equal(status.resolution.state, 'BREACHED');
+});
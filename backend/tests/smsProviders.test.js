@@ -0,0 +1,25 @@
+// tests/smsProviders.test.js
+// The console provider prints message bodies, reset codes included, so it must
+// not be usable in production.
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSmsProvider } from '../services/smsProviders.js';
+
+const nodeEnv = process.env.NODE_ENV;
+
+afterEach(() => {
+  if (nodeEnv === undefined) delete process.env.NODE_ENV;
+  else process.env.NODE_ENV = nodeEnv;
+});
+
+test('refuses the console provider in production', () => {
+  process.env.NODE_ENV = 'production';
+
+  assert.throws(() => createSmsProvider('console'), /cannot be used in production/);
+});
+
+test('creates the console provider outside production', () => {
+  process.env.NODE_ENV = 'development';
+
+  assert.equal(createSmsProvider('console').name, 'console');
+});
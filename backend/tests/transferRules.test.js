@@ -0,0 +1,42 @@
+// tests/transferRules.test.js
+// A transfer waits for the receiving department when it asks for that, unless the requester
+// could accept it themselves, and only that department's users or a SuperAdmin decide it.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { transferService } from '../services/transferService.js';
+
+const facilities = { _id: new mongoose.Types.ObjectId(), name: 'Facilities', requireTransferApproval: true };
+const library = new mongoose.Types.ObjectId();
+
+const user = (role, departmentId) => ({ _id: new mongoose.Types.ObjectId(), role, departmentId });
+
+test('waits for a department that requires approval', () => {
+  assert.equal(transferService.needsApproval(facilities, user('DepartmentUser', library)), true);
+});
+
+test('moves straight away into a department that does not require approval', () => {
+  const department = { ...facilities, requireTransferApproval: false };
+
+  assert.equal(transferService.needsApproval(department, user('DepartmentUser', library)), false);
+});
+
+test('moves straight away when the requester could accept it', () => {
+  assert.equal(transferService.needsApproval(facilities, user('SuperAdmin')), false);
+  assert.equal(transferService.needsApproval(facilities, user('DepartmentUser', facilities._id)), false);
+});
+
+test('lets users of the receiving department decide', () => {
+  const transfer = { toDepartmentId: facilities._id };
+
+  assert.equal(transferService.canDecide(user('DepartmentUser', facilities._id), transfer), true);
+  assert.equal(transferService.canDecide(user('SuperAdmin'), transfer), true);
+});
+
+test('keeps everyone else from deciding', () => {
+  const transfer = { toDepartmentId: facilities._id };
+
+  assert.equal(transferService.canDecide(user('DepartmentUser', library), transfer), false);
+  assert.equal(transferService.canDecide(user('Faculty', facilities._id), transfer), false);
+  assert.equal(transferService.canDecide(user('Student'), transfer), false);
+});
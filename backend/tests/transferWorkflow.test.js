@@ -0,0 +1,106 @@
+// tests/transferWorkflow.test.js
+// A transfer keeps the complaint's workflow history, whether the instance is rebound to
+// the receiving department's workflow or ended, and is carried out once however many
+// users accept it at the same time.
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { WorkflowInstance, Complaint, ComplaintTransfer, Approval } from '../models/models.js';
+import { workflowService } from '../services/workflowService.js';
+import { workflowVersionService } from '../services/workflowVersionService.js';
+import { transferService } from '../services/transferService.js';
+
+const newWorkflow = { _id: new mongoose.Types.ObjectId() };
+const newVersion = {
+  _id: new mongoose.Types.ObjectId(),
+  stages: [
+    { id: 'triage', name: 'Triage', order: 1, transitions: [{ targetStageId: 'fix' }] },
+    { id: 'fix', name: 'Fix', order: 2, transitions: [] }
+  ]
+};
+
+let instance;
+let complaint;
+
+beforeEach(() => {
+  complaint = new Complaint({
+    organizationId: new mongoose.Types.ObjectId(),
+    complainantId: new mongoose.Types.ObjectId(),
+    complaintTypeId: new mongoose.Types.ObjectId(),
+    departmentId: new mongoose.Types.ObjectId(),
+    title: 'Broken heater',
+    description: 'The heater in the library is broken',
+    status: 'Open'
+  });
+
+  instance = new WorkflowInstance({
+    complaintId: complaint._id,
+    workflowId: new mongoose.Types.ObjectId(),
+    currentStageId: 'review',
+    history: [
+      { stageId: 'intake', enteredAt: new Date(), exitedAt: new Date(), actions: [] },
+      { stageId: 'review', enteredAt: new Date(), actions: [] }
+    ]
+  });
+  instance.save = async () => instance;
+
+  Approval.updateMany = async () => ({ modifiedCount: 0 });
+  workflowVersionService.getCurrentVersion = async () => newVersion;
+});
+
+test('rebinding appends the new first stage after the old history', async () => {
+  const firstStage = await workflowService.rebindWorkflow(instance, newWorkflow, complaint, { note: 'Transferred' });
+
+  assert.equal(firstStage.id, 'triage');
+  assert.deepEqual(instance.history.map(h => h.stageId), ['intake', 'review', 'triage']);
+  assert.ok(instance.history[1].exitedAt);
+  assert.equal(instance.history[2].actions[0].type, 'REBOUND');
+  assert.equal(instance.currentStageId, 'triage');
+  assert.equal(instance.status, 'ACTIVE');
+});
+
+test('ending the workflow cancels the instance and keeps its history', async () => {
+  await workflowService.endWorkflow(instance, { note: 'Transferred' });
+
+  assert.equal(instance.status, 'CANCELED');
+  assert.equal(instance.isCompleted, true);
+  assert.equal(instance.history.length, 2);
+  assert.ok(instance.history.every(h => h.exitedAt));
+  assert.equal(instance.history[1].actions[0].type, 'ENDED');
+});
+
+test('only one of two simultaneous accepts completes the transfer', async () => {
+  const transfer = new ComplaintTransfer({
+    organizationId: complaint.organizationId,
+    complaintId: complaint._id,
+    fromDepartmentId: complaint.departmentId,
+    toDepartmentId: new mongoose.Types.ObjectId(),
+    reason: 'Belongs to facilities',
+    requestedBy: new mongoose.Types.ObjectId()
+  });
+
+  let status = 'PENDING';
+  ComplaintTransfer.findOneAndUpdate = async (filter, update) => {
+    if (status !== filter.status) return null;
+    status = update.$set.status;
+    return transfer;
+  };
+  Complaint.findById = async () => complaint;
+
+  const completed = [];
+  const complete = transferService.complete;
+  transferService.complete = async (claimed) => completed.push(claimed) && claimed;
+
+  try {
+    const user = { _id: new mongoose.Types.ObjectId() };
+    const results = await Promise.all([
+      transferService.decide(transfer, user, 'ACCEPTED'),
+      transferService.decide(transfer, user, 'ACCEPTED')
+    ]);
+
+    assert.equal(completed.length, 1);
+    assert.equal(results.filter(Boolean).length, 1);
+  } finally {
+    transferService.complete = complete;
+  }
+});
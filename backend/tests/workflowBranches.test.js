@@ -0,0 +1,93 @@
+// tests/workflowBranches.test.js
+// Every branch of a fork must meet at the same join, and the join's rule sets how many
+// of the opened branches it waits for.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { workflowBranchService } from '../services/workflowBranchService.js';
+
+const stage = (id, type, ...targets) => ({
+  id,
+  name: id,
+  type,
+  transitions: targets.map(targetStageId => ({ targetStageId }))
+});
+
+const fork = stage('fork', 'FORK', 'it', 'finance');
+
+test('finds the join every branch reaches', () => {
+  const stages = [
+    fork,
+    stage('it', 'TASK', 'it-check'),
+    stage('it-check', 'TASK', 'join'),
+    stage('finance', 'TASK', 'join'),
+    stage('join', 'JOIN', 'done'),
+    stage('done', 'TASK')
+  ];
+
+  const { join, problem } = workflowBranchService.findJoin(stages, fork);
+
+  assert.equal(join.id, 'join');
+  assert.equal(problem, null);
+});
+
+test('reports branches that end at different joins', () => {
+  const stages = [
+    fork,
+    stage('it', 'TASK', 'join-a'),
+    stage('finance', 'TASK', 'join-b'),
+    stage('join-a', 'JOIN'),
+    stage('join-b', 'JOIN')
+  ];
+
+  const { join, problem } = workflowBranchService.findJoin(stages, fork);
+
+  assert.equal(join, null);
+  assert.equal(problem.code, 'FORK_JOINS_DIFFER');
+  assert.deepEqual(problem.stageIds, ['fork', 'join-a', 'join-b']);
+});
+
+test('reports a branch that can end without a join', () => {
+  const stages = [fork, stage('it', 'TASK', 'join', 'closed'), stage('closed', 'TASK'), stage('finance', 'TASK', 'join'), stage('join', 'JOIN')];
+
+  const { problem } = workflowBranchService.findJoin(stages, fork);
+
+  assert.equal(problem.code, 'BRANCH_WITHOUT_JOIN');
+  assert.deepEqual(problem.stageIds, ['fork', 'closed']);
+});
+
+test('reports a fork nested inside a branch', () => {
+  const stages = [fork, stage('it', 'FORK', 'join'), stage('finance', 'TASK', 'join'), stage('join', 'JOIN')];
+
+  const { problem } = workflowBranchService.findJoin(stages, fork);
+
+  assert.equal(problem.code, 'NESTED_FORK');
+});
+
+test('follows loops inside a branch without running forever', () => {
+  const stages = [
+    fork,
+    stage('it', 'TASK', 'it-check'),
+    stage('it-check', 'TASK', 'it', 'join'),
+    stage('finance', 'TASK', 'join'),
+    stage('join', 'JOIN')
+  ];
+
+  assert.equal(workflowBranchService.findJoin(stages, fork).join.id, 'join');
+});
+
+test('waits for every opened branch by default', () => {
+  assert.equal(workflowBranchService.requiredArrivals({ joinRule: {} }, 3), 3);
+  assert.equal(workflowBranchService.requiredArrivals({ joinRule: { mode: 'ALL' } }, 3), 3);
+  assert.equal(workflowBranchService.requiredArrivals({}, 2), 2);
+});
+
+test('waits for one branch under ANY', () => {
+  assert.equal(workflowBranchService.requiredArrivals({ joinRule: { mode: 'ANY' } }, 3), 1);
+  assert.equal(workflowBranchService.requiredArrivals({ joinRule: { mode: 'ANY' } }, 0), 0);
+});
+
+test('waits for the count under N_OF_M, never more than were opened', () => {
+  assert.equal(workflowBranchService.requiredArrivals({ joinRule: { mode: 'N_OF_M', count: 2 } }, 3), 2);
+  assert.equal(workflowBranchService.requiredArrivals({ joinRule: { mode: 'N_OF_M', count: 4 } }, 3), 3);
+  assert.equal(workflowBranchService.requiredArrivals({ joinRule: { mode: 'N_OF_M' } }, 3), 3);
+});
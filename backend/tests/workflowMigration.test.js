@@ -0,0 +1,70 @@
+// tests/workflowMigration.test.js
+// Migrating a complaint to another stage lets the approvals of the stage it left lapse,
+// and asks for the approval of an APPROVAL stage it is moved into.
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { WorkflowInstance, Complaint, ComplaintLog, Approval } from '../models/models.js';
+import { workflowVersionService } from '../services/workflowVersionService.js';
+import { approvalService } from '../services/approvalService.js';
+
+const approvalAction = { type: 'APPROVAL', config: { approverType: 'DEPARTMENT' } };
+const source = {
+  version: 1,
+  stages: [{ id: 'review', name: 'Review', order: 1, actions: [approvalAction], transitions: [] }]
+};
+const target = {
+  _id: new mongoose.Types.ObjectId(),
+  version: 2,
+  stages: [
+    { id: 'check', name: 'Check', order: 1, actions: [approvalAction], transitions: [] },
+    { id: 'notes', name: 'Notes', order: 2, actions: [], transitions: [] }
+  ]
+};
+
+let instance;
+let cancelled;
+let requested;
+
+beforeEach(() => {
+  cancelled = [];
+  requested = [];
+
+  instance = new WorkflowInstance({
+    complaintId: new mongoose.Types.ObjectId(),
+    workflowId: new mongoose.Types.ObjectId(),
+    currentStageId: 'review',
+    history: [{ stageId: 'review', enteredAt: new Date(), actions: [] }]
+  });
+  instance.save = async () => instance;
+
+  Approval.updateMany = async (filter) => {
+    cancelled.push(...instance.history.filter(h => !filter.historyEntryId.$nin.includes(h._id)).map(h => h.stageId));
+    return { modifiedCount: 0 };
+  };
+  approvalService.requestApproval = async (action, { stage }) => {
+    requested.push(stage.id);
+    return { approvalId: new mongoose.Types.ObjectId(), approvers: 1 };
+  };
+  Complaint.findById = async () => ({ _id: instance.complaintId });
+  Complaint.updateOne = async () => ({});
+  ComplaintLog.create = async () => ({});
+});
+
+test('lets the approval of the stage left lapse and asks for the new stage\'s', async () => {
+  const stage = target.stages.find(s => s.id === 'check');
+  const result = await workflowVersionService.migrate([{ instance, stage }], source, target);
+
+  assert.equal(result.moved, 1);
+  assert.deepEqual(cancelled, ['review']);
+  assert.deepEqual(requested, ['check']);
+  assert.equal(instance.history[1].actions[0].type, 'APPROVAL');
+});
+
+test('asks for no approval when the new stage has none', async () => {
+  const stage = target.stages.find(s => s.id === 'notes');
+  await workflowVersionService.migrate([{ instance, stage }], source, target);
+
+  assert.deepEqual(cancelled, ['review']);
+  assert.deepEqual(requested, []);
+});
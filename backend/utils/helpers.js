@@ -0,0 +1,37 @@
+// utils/helpers.js
+// Small helpers the services share.
+
+// Complaint statuses still being worked on
+export const OPEN_STATUSES = ['Open', 'In Progress'];
+
+/**
+ * ID of a document, a populated reference or a raw ObjectId, as a string for comparing
+ * @param {Object|String} value - Document, ObjectId or ID string
+ * @returns {String|undefined}
+ */
+export const idOf = (value) => (value?._id || value)?.toString();
+
+/**
+ * Read a positive number from the environment, falling back to a default
+ * @param {String} key - Environment variable
+ * @param {Number} fallback - Used when the variable is unset or not a positive number
+ * @returns {Number}
+ */
+export const numberFromEnv = (key, fallback) => {
+  const value = parseFloat(process.env[key]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+};
+
+/**
+ * Whether Intl knows a time zone name, e.g. "Asia/Karachi"
+ * @param {String} timeZone - IANA time zone name
+ * @returns {Boolean}
+ */
+export const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
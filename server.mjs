@@ -10,6 +10,18 @@ import complaintTypeRoutes from './backend/routes/complaintTypeRoutes.js';
 import workflowRoutes from './backend/routes/workflowRoutes.js';
 import notificationRoutes from './backend/routes/notificationRoutes.js';
 import feedbackRoutes from './backend/routes/feedbackRoutes.js';
+import jobRoutes from './backend/routes/jobRoutes.js';
+import escalationRuleRoutes from './backend/routes/escalationRuleRoutes.js';
+import eventRoutes from './backend/routes/eventRoutes.js';
+import roleRoutes from './backend/routes/roleRoutes.js';
+import emailTemplateRoutes from './backend/routes/emailTemplateRoutes.js';
+import emailMessageRoutes from './backend/routes/emailMessageRoutes.js';
+import smsRoutes from './backend/routes/smsRoutes.js';
+import approvalRoutes from './backend/routes/approvalRoutes.js';
+import slaRoutes from './backend/routes/slaRoutes.js';
+import transferRoutes from './backend/routes/transferRoutes.js';
+import startScheduler from './backend/config/scheduler.js';
+import { trustProxyHops } from './backend/config/proxy.js';
 import cors from 'cors';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -21,6 +33,9 @@ dotenv.config();
 
 const app = express();
 
+// Read the client IP from X-Forwarded-For behind the deployment's proxy
+app.set('trust proxy', trustProxyHops());
+
 // Middleware
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
@@ -40,6 +55,9 @@ app.use('/uploads', express.static(path.join(__dirname, 'backend/uploads')));
 // Connect to Database
 connectDB();
 
+// Background jobs (workflow SLA sweep, etc.)
+startScheduler();
+
 // Health check
 app.get('/api/health', (req, res) => {
   res.json({ 
@@ -59,6 +77,16 @@ app.use('/api/complaints', complaintRoutes);
 app.use('/api/workflows', workflowRoutes);
 app.use('/api/notifications', notificationRoutes);
 app.use('/api/feedback', feedbackRoutes);
+app.use('/api/jobs', jobRoutes);
+app.use('/api/escalation-rules', escalationRuleRoutes);
+app.use('/api/events', eventRoutes);
+app.use('/api/roles', roleRoutes);
+app.use('/api/email-templates', emailTemplateRoutes);
+app.use('/api/email-messages', emailMessageRoutes);
+app.use('/api/sms', smsRoutes);
+app.use('/api/approvals', approvalRoutes);
+app.use('/api/sla', slaRoutes);
+app.use('/api/transfers', transferRoutes);
 
 // Serve frontend in production
 if (process.env.NODE_ENV === 'production') {
@@ -1,6 +1,7 @@
 import React from 'react';
 import { BrowserRouter as Router, Routes, Route } from 'react-router-dom';
 import { AuthProvider } from './contexts/AuthContext';
+import { RealtimeProvider } from './contexts/RealtimeContext';
 import LandingPage from './pages/LandingPage';
 import LoginPage from './pages/LoginPage';
 import SignupPage from './pages/SignupPage';
@@ -12,52 +13,78 @@ import ProtectedRoute from './components/common/ProtectedRoute';
 import ComplaintManagement from './pages/ComplaintManagement';
 import StudentDashboard from './pages/StudentDashboard';
 import DepartmentDashboard from './pages/DepartmentDashboard';
+import FacultyDashboard from './pages/FacultyDashboard';
 import WorkflowManagement from './pages/WorkflowManagement';
 import NotificationsPage from './pages/NotificationsPage';
+import NotificationSettingsPage from './pages/NotificationSettingsPage';
+import OutOfOfficePage from './pages/OutOfOfficePage';
+import ApprovalsPage from './pages/ApprovalsPage';
 
 const App = () => {
   return (
     <AuthProvider>
-      <Router>
-        <Routes>
-          <Route path="/" element={<LandingPage />} />
-          <Route path="/organisation-registration" element={<OrganizationRegistrationPage />} />
-          <Route path="/register-superadmin" element={<SuperAdminRegistrationPage />} />
-          <Route path="/signup" element={<SignupPage />} />
-          <Route path="/login" element={<LoginPage />} />
-          <Route path="/forgot-password" element={<ForgotPasswordPage />} />
-          <Route path="/admin/dashboard" element={
-            <ProtectedRoute requiredRoles={['SuperAdmin']}>
-              <SuperAdminDashboard />
-            </ProtectedRoute>
-          } />
-          <Route path="/complaints" element={
-            <ProtectedRoute>
-              <ComplaintManagement />
-            </ProtectedRoute>
-          } />
-          <Route path="/student/dashboard" element={
-            <ProtectedRoute requiredRoles={['Student']}>
-              <StudentDashboard />
-            </ProtectedRoute>
-          } />
-          <Route path="/department/dashboard" element={
-            <ProtectedRoute requiredRoles={['DepartmentUser']}>
-              <DepartmentDashboard />
-            </ProtectedRoute>
-          } />
-          <Route path="/workflows" element={
-            <ProtectedRoute requiredRoles={['SuperAdmin']}>
-              <WorkflowManagement />
-            </ProtectedRoute>
-          } />
-          <Route path="/notifications" element={
-            <ProtectedRoute>
-              <NotificationsPage />
-            </ProtectedRoute>
-          } />
-        </Routes>
-      </Router>
+      <RealtimeProvider>
+        <Router>
+          <Routes>
+            <Route path="/" element={<LandingPage />} />
+            <Route path="/organisation-registration" element={<OrganizationRegistrationPage />} />
+            <Route path="/register-superadmin" element={<SuperAdminRegistrationPage />} />
+            <Route path="/signup" element={<SignupPage />} />
+            <Route path="/login" element={<LoginPage />} />
+            <Route path="/forgot-password" element={<ForgotPasswordPage />} />
+            <Route path="/admin/dashboard" element={
+              <ProtectedRoute requiredPermissions={['user.manage']}>
+                <SuperAdminDashboard />
+              </ProtectedRoute>
+            } />
+            <Route path="/complaints" element={
+              <ProtectedRoute requiredPermissions={['complaint.view']}>
+                <ComplaintManagement />
+              </ProtectedRoute>
+            } />
+            <Route path="/student/dashboard" element={
+              <ProtectedRoute requiredRoles={['Student']} requiredPermissions={['complaint.create']}>
+                <StudentDashboard />
+              </ProtectedRoute>
+            } />
+            <Route path="/department/dashboard" element={
+              <ProtectedRoute requiredRoles={['DepartmentUser']} requiredPermissions={['complaint.updateStatus']}>
+                <DepartmentDashboard />
+              </ProtectedRoute>
+            } />
+            <Route path="/faculty/dashboard" element={
+              <ProtectedRoute requiredRoles={['Faculty']} requiredPermissions={['workflow.transition']}>
+                <FacultyDashboard />
+              </ProtectedRoute>
+            } />
+            <Route path="/workflows" element={
+              <ProtectedRoute requiredPermissions={['workflow.edit']}>
+                <WorkflowManagement />
+              </ProtectedRoute>
+            } />
+            <Route path="/notifications" element={
+              <ProtectedRoute>
+                <NotificationsPage />
+              </ProtectedRoute>
+            } />
+            <Route path="/settings/notifications" element={
+              <ProtectedRoute>
+                <NotificationSettingsPage />
+              </ProtectedRoute>
+            } />
+            <Route path="/settings/out-of-office" element={
+              <ProtectedRoute requiredPermissions={['outOfOffice.manage']}>
+                <OutOfOfficePage />
+              </ProtectedRoute>
+            } />
+            <Route path="/approvals" element={
+              <ProtectedRoute requiredPermissions={['approval.decide']}>
+                <ApprovalsPage />
+              </ProtectedRoute>
+            } />
+          </Routes>
+        </Router>
+      </RealtimeProvider>
     </AuthProvider>
   );
 };
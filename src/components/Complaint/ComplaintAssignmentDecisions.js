@@ -0,0 +1,98 @@
+import React, { useState, useEffect } from 'react';
+import { format } from 'date-fns';
+import { UserCheck, ChevronDown, ChevronRight } from 'lucide-react';
+import { getAssignmentDecisions } from '../../services/api';
+
+const STRATEGY_LABELS = {
+  LEAST_LOADED: 'Fewest open complaints',
+  WEIGHTED_LOAD: 'Weighted by priority',
+  ROUND_ROBIN: 'Round robin'
+};
+
+const SKILL_MATCHING_LABELS = {
+  PREFER: 'skills preferred',
+  REQUIRE: 'skills required'
+};
+
+// Why automatic assignment gave this complaint to whom; renders nothing if it never ran
+const ComplaintAssignmentDecisions = ({ complaintId, refreshKey }) => {
+  const [decisions, setDecisions] = useState([]);
+  const [expandedId, setExpandedId] = useState(null);
+
+  useEffect(() => {
+    getAssignmentDecisions(complaintId)
+      .then(setDecisions)
+      .catch(err => console.error('Error loading assignment decisions:', err));
+  }, [complaintId, refreshKey]);
+
+  if (decisions.length === 0) return null;
+
+  return (
+    <div className="space-y-3">
+      <h3 className="text-xl font-medium text-gray-900 flex items-center">
+        <UserCheck className="mr-2 h-5 w-5 text-gray-500" />
+        Automatic Assignment
+      </h3>
+
+      {decisions.map(decision => (
+        <div key={decision._id} className="border border-gray-200 rounded-lg">
+          <button
+            onClick={() => setExpandedId(expandedId === decision._id ? null : decision._id)}
+            className="w-full flex items-start justify-between p-3 text-left hover:bg-gray-50"
+          >
+            <div>
+              <p className="text-sm font-medium text-gray-900">
+                {decision.assignedTo
+                  ? `Assigned to ${decision.assignedTo.firstName} ${decision.assignedTo.lastName}`
+                  : 'Nobody assigned'}
+              </p>
+              <p className="text-sm text-gray-600">{decision.reason}</p>
+              <p className="text-xs text-gray-400">
+                {format(new Date(decision.createdAt), 'MMM d, yyyy h:mm a')} · {STRATEGY_LABELS[decision.strategy] || decision.strategy}
+                {SKILL_MATCHING_LABELS[decision.skillMatching] && ` · ${SKILL_MATCHING_LABELS[decision.skillMatching]}`}
+              </p>
+            </div>
+            {expandedId === decision._id
+              ? <ChevronDown className="h-4 w-4 text-gray-400 flex-shrink-0" />
+              : <ChevronRight className="h-4 w-4 text-gray-400 flex-shrink-0" />}
+          </button>
+
+          {expandedId === decision._id && (
+            <div className="overflow-x-auto border-t border-gray-200">
+              <table className="min-w-full text-sm">
+                <thead className="bg-gray-50 text-xs text-gray-500 uppercase">
+                  <tr>
+                    <th className="px-3 py-2 text-left">User</th>
+                    <th className="px-3 py-2 text-left">Open</th>
+                    <th className="px-3 py-2 text-left">Weighted</th>
+                    <th className="px-3 py-2 text-left">Capacity</th>
+                    <th className="px-3 py-2 text-left">Handles type</th>
+                    <th className="px-3 py-2 text-left">Outcome</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100">
+                  {decision.candidates.map(candidate => (
+                    <tr key={candidate.userId}>
+                      <td className="px-3 py-2 text-gray-900">{candidate.name}</td>
+                      <td className="px-3 py-2 text-gray-600">{candidate.openCount}</td>
+                      <td className="px-3 py-2 text-gray-600">{candidate.weightedLoad}</td>
+                      <td className="px-3 py-2 text-gray-600">{candidate.capacity || 'No limit'}</td>
+                      <td className="px-3 py-2 text-gray-600">{candidate.hasSkill ? 'Yes' : 'No'}</td>
+                      <td className="px-3 py-2 text-gray-600">
+                        {candidate.userId === decision.assignedTo?._id
+                          ? <span className="text-green-700 font-medium">Chosen</span>
+                          : candidate.excludedReason || 'Eligible'}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default ComplaintAssignmentDecisions;
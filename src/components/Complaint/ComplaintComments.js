@@ -9,9 +9,16 @@ import {
   CheckCircle2, 
   ArrowUpCircle,
   MessageCircle,
+  RotateCcw,
+  Timer,
+  Plane,
+  ArrowRightLeft,
+  Merge,
   X 
 } from 'lucide-react';
 import { fetchComplaintComments, addCommentToComplaint } from '../../services/api';
+import { REOPEN_REASONS } from './ComplaintReopen';
+import { useRealtimeEvent } from '../../contexts/RealtimeContext';
 
 const ComplaintComments = ({ 
   complaint,
@@ -120,6 +127,13 @@ const ComplaintComments = ({
     }
   }, [complaint?._id]);
 
+  // Pick up comments and updates made by other users as they happen
+  useRealtimeEvent('complaint-log', (event) => {
+    if (complaint?._id && event.complaintId === complaint._id) {
+      fetchComments();
+    }
+  });
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     if (!newComment.trim() || !complaint?._id || state.isSubmitting || isDisabled) return;
@@ -199,6 +213,12 @@ const ComplaintComments = ({
           label: 'Escalation',
           className: 'bg-red-50 text-red-700'
         };
+      case 'REOPENED':
+        return {
+          icon: RotateCcw,
+          label: 'Reopened',
+          className: 'bg-yellow-50 text-yellow-700'
+        };
       case 'CREATED':
         return {
           icon: CheckCircle2,
@@ -217,6 +237,72 @@ const ComplaintComments = ({
           label: 'Workflow Update',
           className: 'bg-indigo-50 text-black-700'
         };
+      case 'APPROVAL_DECISION':
+        return {
+          icon: CheckCircle2,
+          label: 'Approval Decision',
+          className: 'bg-teal-50 text-teal-700'
+        };
+      case 'APPROVAL_OVERRIDDEN':
+        return {
+          icon: ArrowUpCircle,
+          label: 'Approval Overridden',
+          className: 'bg-orange-50 text-orange-700'
+        };
+      case 'SLA_PAUSED':
+        return {
+          icon: Timer,
+          label: 'SLA Paused',
+          className: 'bg-gray-100 text-gray-700'
+        };
+      case 'SLA_RESUMED':
+        return {
+          icon: Timer,
+          label: 'SLA Resumed',
+          className: 'bg-green-50 text-green-700'
+        };
+      case 'ASSIGNMENT_REDIRECTED':
+        return {
+          icon: Plane,
+          label: 'Assigned to Delegate',
+          className: 'bg-gray-100 text-gray-700'
+        };
+      case 'TRANSFER_REQUESTED':
+        return {
+          icon: ArrowRightLeft,
+          label: 'Transfer Requested',
+          className: 'bg-yellow-50 text-yellow-700'
+        };
+      case 'TRANSFERRED':
+        return {
+          icon: ArrowRightLeft,
+          label: 'Transferred',
+          className: 'bg-[#88BDBC]/20 text-[#254E58]'
+        };
+      case 'TRANSFER_REJECTED':
+        return {
+          icon: ArrowRightLeft,
+          label: 'Transfer Declined',
+          className: 'bg-red-50 text-red-700'
+        };
+      case 'TRANSFER_CANCELLED':
+        return {
+          icon: ArrowRightLeft,
+          label: 'Transfer Withdrawn',
+          className: 'bg-gray-100 text-gray-700'
+        };
+      case 'MERGED':
+        return {
+          icon: Merge,
+          label: 'Merged',
+          className: 'bg-[#88BDBC]/20 text-[#254E58]'
+        };
+      case 'DUPLICATE_MERGED':
+        return {
+          icon: Merge,
+          label: 'Duplicate Merged',
+          className: 'bg-[#88BDBC]/20 text-[#254E58]'
+        };
       default:
         return {
           icon: MessageCircle,
@@ -310,6 +396,11 @@ const ComplaintComments = ({
                         {typeInfo.label}
                       </span>
                     )}
+                    {comment.mergedFrom && (
+                      <span className={`text-xs italic ${isCurrentUser ? 'text-gray-300' : 'text-gray-500'}`}>
+                        from a merged duplicate
+                      </span>
+                    )}
                   </div>
 
                   {/* Comment Content */}
@@ -323,6 +414,18 @@ const ComplaintComments = ({
                       <p>Complaint Escalated</p>
                       <p className="mt-1">{comment.comment}</p>
                     </div>
+                  ) : comment.action === 'REOPENED' ? (
+                    <div className="mt-1 text-sm">
+                      <p>
+                        Reopened: {REOPEN_REASONS.find(r => r.value === comment.reasonCode)?.label || 'No reason given'}
+                      </p>
+                      <p className="mt-1">{comment.comment}</p>
+                    </div>
+                  ) : comment.action === 'APPROVAL_DECISION' ? (
+                    <div className="mt-1 text-sm">
+                      <p>Approval in {comment.previousStage}, moved to {comment.newStage}</p>
+                      <p className="mt-1">{comment.comment}</p>
+                    </div>
                   ) : comment.action === 'WORKFLOW_UPDATED' ? (
                     <div className="mt-1 text-sm">
                       <p>Workflow Updated: {comment.previousStage} → {comment.newStage}</p>
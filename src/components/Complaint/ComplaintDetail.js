@@ -14,17 +14,27 @@ import {
   Loader,
   ExternalLink,
   RefreshCw,
-  MessageSquare
+  MessageSquare,
+  RotateCcw,
+  ArrowRightLeft,
+  Merge
 } from 'lucide-react';
 
 import ComplaintComments from './ComplaintComments';
 import ComplaintStatusUpdate from './ComplaintStatusUpdate';
 import ComplaintEscalate from './ComplaintEscalate';
+import ComplaintReopen from './ComplaintReopen';
+import ComplaintSla from './ComplaintSla';
+import ComplaintAssignmentDecisions from './ComplaintAssignmentDecisions';
+import ComplaintTransfer from './ComplaintTransfer';
+import ComplaintTransfers from './ComplaintTransfers';
+import ComplaintDuplicates from './ComplaintDuplicates';
+import SlaBadge from './SlaBadge';
 import WorkflowViewer from '../Workflow/WorkflowViewer';
 import WorkflowStageUpdater from '../Workflow/WorkflowStageUpdater';
 import FeedbackModal from '../Feedback/FeedbackModal';
 import FeedbackDisplay from '../Feedback/FeedbackDisplay';
-import { getComplaintById, submitFeedback, getFeedbackByComplaint, canProvideFeedback } from '../../services/api';
+import { getComplaintById, submitFeedback, getFeedbackByComplaint, canProvideFeedback, reopenComplaint, updateSlaPause, requestComplaintTransfer } from '../../services/api';
 import workflowService from '../../services/workflowService';
 
 const priorityConfig = {
@@ -65,6 +75,8 @@ const ComplaintDetail = ({
   const [state, setState] = useState({
     showStatusModal: false,
     showEscalateModal: false,
+    showReopenModal: false,
+    showTransferModal: false,
     showWorkflowModal: false,
     isLoading: false,
     isRefreshing: false,
@@ -216,20 +228,38 @@ const ComplaintDetail = ({
     }
   };
 
-  // Check user permissions
-  const canUpdateStatus = ['SuperAdmin', 'DepartmentUser'].includes(currentUser?.role) &&
+  // Check user permissions. The server reports as canUpdate whether the complaint
+  // is within the user's reach (their department, assigned to them or in a stage
+  // they review); the role's permissions decide which actions they may take.
+  const hasPermission = (permission) => currentUser?.permissions?.includes(permission);
+  const canAct = complaint.canUpdate === true;
+
+  // A duplicate merged into another complaint follows that complaint and is not worked on itself
+  const isMerged = Boolean(complaint.mergedInto);
+
+  const canUpdateStatus = canAct &&
+    !isMerged &&
+    hasPermission('complaint.updateStatus') &&
     complaint.status !== 'Closed';
 
-  const canEscalate = ['SuperAdmin', 'DepartmentUser'].includes(currentUser?.role) &&
+  const canEscalate = canAct &&
+    !isMerged &&
+    hasPermission('complaint.escalate') &&
     complaint.status !== 'Closed' &&
     !complaint.escalatedAt;
     
-  const canUpdateWorkflow = ['SuperAdmin', 'DepartmentUser'].includes(currentUser?.role) &&
+  const canUpdateWorkflow = canAct &&
+    hasPermission('workflow.transition') &&
     complaint.status !== 'Closed' &&
     workflowData && 
     workflowData.instance && 
     !workflowData.instance.isCompleted;
 
+  const canTransfer = canAct &&
+    !isMerged &&
+    hasPermission('complaint.assign') &&
+    ['Open', 'In Progress'].includes(complaint.status);
+
   // Handle status update
   const handleStatusUpdate = async (data) => {
     try {
@@ -262,11 +292,48 @@ const ComplaintDetail = ({
     }
   };
 
+  // The server only sends reopenUntil to the complainant while the reopen window is open
+  const canReopen = !!complaint.reopenUntil &&
+    ['Resolved', 'Closed'].includes(complaint.status) &&
+    new Date(complaint.reopenUntil) > new Date();
+
+  // Handle reopening; errors are shown inside the reopen modal
+  const handleReopen = async (data) => {
+    await reopenComplaint(complaint._id, data);
+    await refreshComplaintData(complaint._id);
+  };
+
+  // Transfer to another department; errors are shown inside the transfer modal. Once moved
+  // the complaint may be out of a department user's reach, so the detail view closes.
+  const handleTransfer = async (data) => {
+    const transfer = await requestComplaintTransfer(complaint._id, data);
+    const movedAway = transfer.status === 'COMPLETED' &&
+      currentUser?.role === 'DepartmentUser' &&
+      currentUser.departmentId !== transfer.toDepartmentId?._id;
+
+    if (movedAway) {
+      onClose();
+    } else {
+      await refreshComplaintData(complaint._id);
+    }
+  };
+
+  // Accepting a transfer moves the complaint into the user's department; refresh either way
+  const handleTransferChanged = async () => {
+    await refreshComplaintData(complaint._id);
+  };
+
+  // Pause or resume the SLA clock; errors are shown inside the SLA panel
+  const handleSlaPause = async (paused, comment) => {
+    await updateSlaPause(complaint._id, { paused, comment });
+    await refreshComplaintData(complaint._id);
+  };
+
   // Handle workflow stage update
-  const handleWorkflowStageUpdate = async (stageId, comment) => {
+  const handleWorkflowStageUpdate = async (stageId, comment, branchId) => {
     try {
       setState(prev => ({ ...prev, isLoading: true, error: null }));
-      await workflowService.updateWorkflowStage(complaint._id, stageId, comment);
+      await workflowService.updateWorkflowStage(complaint._id, stageId, comment, branchId);
       await refreshComplaintData(complaint._id);
       setState(prev => ({ ...prev, showWorkflowModal: false, isLoading: false }));
     } catch (err) {
@@ -371,6 +438,7 @@ const ComplaintDetail = ({
           <div className="flex flex-wrap gap-3">
             <StatusBadge status={complaint.status} />
             <PriorityBadge priority={complaint.priority} />
+            <SlaBadge status={complaint.slaStatus} />
           </div>
         </div>
         <div className="flex items-center space-x-4">
@@ -404,6 +472,16 @@ const ComplaintDetail = ({
         </div>
       )}
 
+      {/* Merged Notice */}
+      {isMerged && (
+        <div className="mx-8 mt-4 bg-[#88BDBC]/20 border border-[#88BDBC] text-[#112D32] px-5 py-4 rounded-lg flex items-center">
+          <Merge className="mr-3 flex-shrink-0" size={22} />
+          <span>
+            Merged into "{complaint.mergedInto.title || 'another complaint'}" on {formatDate(complaint.mergedAt)}. Its status updates apply to this complaint too.
+          </span>
+        </div>
+      )}
+
       {/* Refreshing Indicator */}
       {(state.isRefreshing || isRefreshing) && (
         <div className="mx-8 mt-4 bg-blue-50 border border-blue-200 text-blue-700 px-5 py-4 rounded-lg flex items-center">
@@ -534,6 +612,46 @@ const ComplaintDetail = ({
               )}
             </div>
 
+            {/* Service level targets */}
+            {complaint.slaStatus && (
+              <div className="pb-6 border-b border-gray-200">
+                <ComplaintSla
+                  status={complaint.slaStatus}
+                  canPause={canUpdateStatus}
+                  isActive={isActiveComplaint}
+                  onPause={(comment) => handleSlaPause(true, comment)}
+                  onResume={() => handleSlaPause(false)}
+                />
+              </div>
+            )}
+
+            {/* Why automatic assignment chose the assignee */}
+            {canAct && hasPermission('complaint.assign') && (
+              <ComplaintAssignmentDecisions
+                complaintId={complaint._id}
+                refreshKey={complaint.assignedTo?._id || complaint.assignedTo}
+              />
+            )}
+
+            {/* Moves between departments, and a transfer waiting for a decision */}
+            <ComplaintTransfers
+              complaintId={complaint._id}
+              currentUser={currentUser}
+              canWithdraw={canTransfer}
+              refreshKey={state.activityLogKey}
+              onChanged={handleTransferChanged}
+            />
+
+            {/* Similar open complaints to merge, and the duplicates merged so far */}
+            {canAct && hasPermission('complaint.assign') && !isMerged && (
+              <ComplaintDuplicates
+                complaintId={complaint._id}
+                canMerge={complaint.status !== 'Closed'}
+                refreshKey={state.activityLogKey}
+                onMerged={() => refreshComplaintData(complaint._id)}
+              />
+            )}
+
             {/* Description */}
             <div className="space-y-4">
               <h3 className="text-xl font-medium text-gray-900">Description</h3>
@@ -649,13 +767,29 @@ const ComplaintDetail = ({
                   <p>Feedback can only be provided once the complaint is resolved.</p>
                 </div>
               )}
+
+              {/* Reopen Action */}
+              {canReopen && (
+                <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 p-4 bg-yellow-50 border border-yellow-200 rounded-lg">
+                  <p className="text-sm text-yellow-800">
+                    Not fixed after all? You can reopen this complaint until {formatDate(complaint.reopenUntil)}.
+                  </p>
+                  <button
+                    onClick={() => setState(prev => ({ ...prev, showReopenModal: true }))}
+                    className="inline-flex items-center justify-center px-4 py-2 border border-yellow-300 rounded-md text-sm font-medium text-yellow-800 bg-white hover:bg-yellow-100 transition-colors"
+                  >
+                    <RotateCcw size={16} className="mr-2" />
+                    Reopen Complaint
+                  </button>
+                </div>
+              )}
             </div>
           </div>
         )}
       </div>
 
       {/* Action Footer */}
-      {(canUpdateStatus || canEscalate || canUpdateWorkflow) && isActiveComplaint && (
+      {(canUpdateStatus || canEscalate || canUpdateWorkflow || canTransfer) && isActiveComplaint && (
         <div className="px-8 py-5 bg-gray-50 border-t border-gray-200 flex justify-end space-x-4">
           {canUpdateWorkflow && (
             <button
@@ -716,6 +850,17 @@ const ComplaintDetail = ({
               )}
             </button>
           )}
+
+          {canTransfer && (
+            <button
+              onClick={() => setState(prev => ({ ...prev, showTransferModal: true }))}
+              disabled={state.isLoading}
+              className="inline-flex items-center px-5 py-2.5 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-[#254E58] disabled:opacity-50 transition-colors"
+            >
+              <ArrowRightLeft className="mr-2 -ml-1 h-4 w-4 text-gray-500" />
+              Transfer
+            </button>
+          )}
         </div>
       )}
 
@@ -737,6 +882,22 @@ const ComplaintDetail = ({
         />
       )}
       
+      {state.showReopenModal && (
+        <ComplaintReopen
+          complaint={complaint}
+          onReopen={handleReopen}
+          onClose={() => setState(prev => ({ ...prev, showReopenModal: false }))}
+        />
+      )}
+
+      {state.showTransferModal && (
+        <ComplaintTransfer
+          complaint={complaint}
+          onTransfer={handleTransfer}
+          onClose={() => setState(prev => ({ ...prev, showTransferModal: false }))}
+        />
+      )}
+
       {state.showWorkflowModal && workflowData && (
         <WorkflowStageUpdater
           workflowData={workflowData}
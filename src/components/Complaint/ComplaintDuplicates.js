@@ -0,0 +1,110 @@
+import React, { useState, useEffect } from 'react';
+import { format } from 'date-fns';
+import { Merge, Loader } from 'lucide-react';
+import { getComplaintDuplicates, mergeComplaint } from '../../services/api';
+
+// Open complaints that look like this one, which can be merged into it, and the duplicates
+// merged so far. Renders nothing when there are neither.
+const ComplaintDuplicates = ({ complaintId, canMerge, refreshKey, onMerged }) => {
+  const [duplicates, setDuplicates] = useState({ similar: [], merged: [] });
+  const [confirmingId, setConfirmingId] = useState(null);
+  const [mergingId, setMergingId] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    getComplaintDuplicates(complaintId)
+      .then(setDuplicates)
+      .catch(err => console.error('Error loading duplicates:', err));
+  }, [complaintId, refreshKey]);
+
+  const { similar, merged } = duplicates;
+  if (similar.length === 0 && merged.length === 0) return null;
+
+  const handleMerge = async (duplicate) => {
+    try {
+      setMergingId(duplicate._id);
+      setError('');
+      await mergeComplaint(duplicate._id, { parentId: complaintId });
+      await onMerged();
+    } catch (err) {
+      setError(err.msg || err.errors?.[0]?.msg || 'Failed to merge the complaints');
+    } finally {
+      setMergingId(null);
+      setConfirmingId(null);
+    }
+  };
+
+  return (
+    <div className="space-y-3">
+      <h3 className="text-xl font-medium text-gray-900 flex items-center">
+        <Merge className="mr-2 h-5 w-5 text-gray-500" />
+        Duplicates
+      </h3>
+
+      {error && <p className="text-sm text-red-600">{error}</p>}
+
+      {similar.length > 0 && (
+        <div className="space-y-2">
+          <p className="text-sm text-gray-600">Similar open complaints in this department</p>
+          {similar.map(duplicate => (
+            <div key={duplicate._id} className="flex items-center justify-between gap-3 border border-gray-200 rounded-lg p-3">
+              <div className="min-w-0">
+                <p className="text-sm font-medium text-gray-900 truncate">{duplicate.title}</p>
+                <p className="text-xs text-gray-400">
+                  {duplicate.status} · filed {format(new Date(duplicate.createdAt), 'MMM d, yyyy h:mm a')} · {Math.round(duplicate.score * 100)}% similar
+                </p>
+              </div>
+              {canMerge && confirmingId !== duplicate._id && (
+                <button
+                  onClick={() => setConfirmingId(duplicate._id)}
+                  disabled={Boolean(mergingId)}
+                  className="inline-flex items-center flex-shrink-0 px-3 py-1.5 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-md hover:bg-gray-50 disabled:opacity-50"
+                >
+                  <Merge className="h-4 w-4 mr-1 text-gray-500" />
+                  Merge into this
+                </button>
+              )}
+              {canMerge && confirmingId === duplicate._id && (
+                <div className="flex flex-shrink-0 gap-2">
+                  <button
+                    onClick={() => setConfirmingId(null)}
+                    disabled={Boolean(mergingId)}
+                    className="px-3 py-1.5 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-md hover:bg-gray-50 disabled:opacity-50"
+                  >
+                    Cancel
+                  </button>
+                  <button
+                    onClick={() => handleMerge(duplicate)}
+                    disabled={Boolean(mergingId)}
+                    title="Its complainant will follow this complaint from now on"
+                    className="inline-flex items-center px-3 py-1.5 text-sm font-medium text-white bg-[#254E58] rounded-md hover:bg-[#112D32] disabled:opacity-50"
+                  >
+                    {mergingId === duplicate._id && <Loader className="h-4 w-4 mr-1 animate-spin" />}
+                    Confirm merge
+                  </button>
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {merged.length > 0 && (
+        <div className="space-y-2">
+          <p className="text-sm text-gray-600">Merged into this complaint</p>
+          {merged.map(duplicate => (
+            <div key={duplicate._id} className="border border-gray-200 rounded-lg p-3">
+              <p className="text-sm font-medium text-gray-900 truncate">{duplicate.title}</p>
+              <p className="text-xs text-gray-400">
+                {duplicate.complainantId ? `${duplicate.complainantId.firstName} ${duplicate.complainantId.lastName}` : 'Unknown'}
+                {duplicate.mergedAt && ` · merged ${format(new Date(duplicate.mergedAt), 'MMM d, yyyy h:mm a')}`}
+              </p>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ComplaintDuplicates;
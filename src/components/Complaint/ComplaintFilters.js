@@ -1,14 +1,90 @@
 // components/ComplaintFilters.js
-import React from 'react';
-import { Search, Filter } from 'lucide-react';
+import React, { useState, useEffect, useRef } from 'react';
+import { Search } from 'lucide-react';
+
+const SORT_OPTIONS = [
+  { value: 'updatedAt:desc', label: 'Recently Updated' },
+  { value: 'createdAt:desc', label: 'Newest First' },
+  { value: 'createdAt:asc', label: 'Oldest First' },
+  { value: 'priority:desc', label: 'Priority (High to Low)' },
+  { value: 'status:asc', label: 'Status' },
+  { value: 'title:asc', label: 'Title (A-Z)' }
+];
+
+const selectClassName = 'w-full border border-gray-300 rounded-lg px-3 py-2 focus:outline-none focus:ring-2 focus:ring-[#254E58] focus:border-transparent';
+
+// Sum the facet counts for the given option values
+export const getFacetCount = (facets, key, values) =>
+  (facets?.[key] || [])
+    .filter(facet => values.includes(facet.value))
+    .reduce((sum, facet) => sum + facet.count, 0);
 
 const ComplaintFilters = ({ 
   filters, 
   onFilterChange,
-  departments = [] 
+  departments = [],
+  facets = {}
 }) => {
+  const [searchText, setSearchText] = useState(filters.q || '');
+
+  // Parents pass a new handler on every render; keep the latest without restarting the debounce
+  const onFilterChangeRef = useRef(onFilterChange);
+  onFilterChangeRef.current = onFilterChange;
+
+  // Only search once the user stops typing
+  useEffect(() => {
+    const timeout = setTimeout(() => {
+      if (searchText.trim() !== (filters.q || '')) {
+        onFilterChangeRef.current('q', searchText.trim());
+      }
+    }, 400);
+    return () => clearTimeout(timeout);
+  }, [searchText, filters.q]);
+
+  // Show the count next to an option when the server reported one
+  const withCount = (key, value, label) => {
+    if (!facets[key]) return label;
+    return `${label} (${getFacetCount(facets, key, [value])})`;
+  };
+
+  const sortValue = `${filters.sortBy || (filters.q ? 'relevance' : 'updatedAt')}:${filters.sortOrder || 'desc'}`;
+  const sortOptions = filters.q
+    ? [{ value: 'relevance:desc', label: 'Best Match' }, ...SORT_OPTIONS]
+    : SORT_OPTIONS;
+
   return (
     <div className="mb-6 space-y-4">
+      {/* Search and Sort Row */}
+      <div className="flex flex-wrap gap-4">
+        <div className="flex-[2] min-w-[240px] relative">
+          <Search className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" size={18} />
+          <input
+            type="text"
+            placeholder="Search complaints by title or description..."
+            className="w-full border border-gray-300 rounded-lg pl-10 pr-3 py-2 focus:outline-none focus:ring-2 focus:ring-[#254E58] focus:border-transparent"
+            value={searchText}
+            onChange={(e) => setSearchText(e.target.value)}
+          />
+        </div>
+
+        <div className="flex-1 min-w-[200px]">
+          <select
+            className={selectClassName}
+            value={sortValue}
+            onChange={(e) => {
+              const [sortBy, sortOrder] = e.target.value.split(':');
+              onFilterChange('sortBy', sortBy);
+              onFilterChange('sortOrder', sortOrder);
+            }}
+          >
+            {sortOptions.map(option => (
+              <option key={option.value} value={option.value}>
+                Sort: {option.label}
+              </option>
+            ))}
+          </select>
+        </div>
+      </div>
 
       {/* Filter Row */}
       <div className="flex flex-wrap gap-4">
@@ -18,15 +94,15 @@ const ComplaintFilters = ({
             Status
           </label>
           <select
-            className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:outline-none focus:ring-2 focus:ring-[#254E58] focus:border-transparent"
+            className={selectClassName}
             value={filters.status}
             onChange={(e) => onFilterChange('status', e.target.value)}
           >
             <option value="">All Statuses</option>
-            <option value="Open">Open</option>
-            <option value="In Progress">In Progress</option>
-            <option value="Resolved">Resolved</option>
-            <option value="Closed">Closed</option>
+            <option value="Open">{withCount('status', 'Open', 'Open')}</option>
+            <option value="In Progress">{withCount('status', 'In Progress', 'In Progress')}</option>
+            <option value="Resolved">{withCount('status', 'Resolved', 'Resolved')}</option>
+            <option value="Closed">{withCount('status', 'Closed', 'Closed')}</option>
           </select>
         </div>
 
@@ -36,36 +112,59 @@ const ComplaintFilters = ({
             Priority
           </label>
           <select
-            className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:outline-none focus:ring-2 focus:ring-[#254E58] focus:border-transparent"
+            className={selectClassName}
             value={filters.priority}
             onChange={(e) => onFilterChange('priority', e.target.value)}
           >
             <option value="">All Priorities</option>
-            <option value="Low">Low</option>
-            <option value="Medium">Medium</option>
-            <option value="High">High</option>
-            <option value="Urgent">Urgent</option>
+            <option value="Low">{withCount('priority', 'Low', 'Low')}</option>
+            <option value="Medium">{withCount('priority', 'Medium', 'Medium')}</option>
+            <option value="High">{withCount('priority', 'High', 'High')}</option>
+            <option value="Urgent">{withCount('priority', 'Urgent', 'Urgent')}</option>
           </select>
         </div>
 
         {/* Department Filter */}
-        <div className="flex-1 min-w-[200px]">
-          <label className="block text-sm font-medium text-gray-700 mb-1">
-            Department
-          </label>
-          <select
-            className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:outline-none focus:ring-2 focus:ring-[#254E58] focus:border-transparent"
-            value={filters.department}
-            onChange={(e) => onFilterChange('department', e.target.value)}
-          >
-            <option value="">All Departments</option>
-            {departments.map(dept => (
-              <option key={dept._id} value={dept._id}>
-                {dept.name}
-              </option>
-            ))}
-          </select>
-        </div>
+        {departments.length > 0 && (
+          <div className="flex-1 min-w-[200px]">
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Department
+            </label>
+            <select
+              className={selectClassName}
+              value={filters.department}
+              onChange={(e) => onFilterChange('department', e.target.value)}
+            >
+              <option value="">All Departments</option>
+              {departments.map(dept => (
+                <option key={dept._id} value={dept._id}>
+                  {withCount('department', dept._id, dept.name)}
+                </option>
+              ))}
+            </select>
+          </div>
+        )}
+
+        {/* Complaint Type Filter */}
+        {(facets.complaintType?.length > 0 || filters.complaintType) && (
+          <div className="flex-1 min-w-[200px]">
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Type
+            </label>
+            <select
+              className={selectClassName}
+              value={filters.complaintType || ''}
+              onChange={(e) => onFilterChange('complaintType', e.target.value)}
+            >
+              <option value="">All Types</option>
+              {(facets.complaintType || []).map(type => (
+                <option key={type.value} value={type.value}>
+                  {type.label || 'Unknown'} ({type.count})
+                </option>
+              ))}
+            </select>
+          </div>
+        )}
 
         {/* Date Range Filter */}
         <div className="flex-1 min-w-[200px]">
@@ -73,7 +172,7 @@ const ComplaintFilters = ({
             Date Range
           </label>
           <select
-            className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:outline-none focus:ring-2 focus:ring-[#254E58] focus:border-transparent"
+            className={selectClassName}
             value={filters.dateRange}
             onChange={(e) => onFilterChange('dateRange', e.target.value)}
           >
@@ -1,9 +1,10 @@
 // components/ComplaintForm.js
 import React, { useState, useEffect } from 'react';
-import { Formik, Form, Field } from 'formik';
+import { Formik, Form, Field, useFormikContext } from 'formik';
 import * as Yup from 'yup';
-import { AlertCircle, Upload, X, Loader } from 'lucide-react';
-import { getAllDepartments, getComplaintTypes } from '../../services/api';
+import { format } from 'date-fns';
+import { AlertCircle, AlertTriangle, Upload, X, Loader } from 'lucide-react';
+import { getAllDepartments, getComplaintTypes, checkSimilarComplaints } from '../../services/api';
 
 const validationSchema = Yup.object({
   title: Yup.string()
@@ -37,6 +38,49 @@ const FormField = ({ label, error, touched, children }) => (
   </div>
 );
 
+// Open complaints that look like the one being written, checked once the user stops typing
+const SimilarComplaintsWarning = () => {
+  const { values } = useFormikContext();
+  const [similar, setSimilar] = useState([]);
+  const { title, description, complaintTypeId, departmentId } = values;
+
+  useEffect(() => {
+    if (!complaintTypeId || !departmentId || title.trim().length < 5) {
+      setSimilar([]);
+      return undefined;
+    }
+
+    const timer = setTimeout(() => {
+      checkSimilarComplaints({ title, description, complaintTypeId, departmentId })
+        .then(setSimilar)
+        .catch(err => console.error('Error checking similar complaints:', err));
+    }, 600);
+    return () => clearTimeout(timer);
+  }, [title, description, complaintTypeId, departmentId]);
+
+  if (similar.length === 0) return null;
+
+  return (
+    <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-4">
+      <div className="flex items-center text-sm font-medium text-yellow-800">
+        <AlertTriangle size={18} className="mr-2 flex-shrink-0" />
+        Similar open complaints
+      </div>
+      <p className="mt-1 text-sm text-yellow-700">
+        This issue may already be reported. You can still submit yours; the department can merge it so you get the same updates.
+      </p>
+      <ul className="mt-2 space-y-1">
+        {similar.map(complaint => (
+          <li key={complaint._id} className="text-sm text-gray-700">
+            <span className="font-medium">{complaint.title}</span>
+            <span className="text-xs text-gray-500"> · {complaint.status} · filed {format(new Date(complaint.createdAt), 'MMM d, yyyy')}</span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
 const ComplaintForm = ({ onSubmit, onClose, initialValues = null }) => {
   const [departments, setDepartments] = useState([]);
   const [complaintTypes, setComplaintTypes] = useState([]);
@@ -277,6 +321,8 @@ const ComplaintForm = ({ onSubmit, onClose, initialValues = null }) => {
               </Field>
             </FormField>
 
+            <SimilarComplaintsWarning />
+
             <FormField label="Priority" error={errors.priority} touched={touched.priority}>
               <Field
                 as="select"
@@ -8,8 +8,12 @@ import {
   CheckCircle2,
   XCircle,
   User,
-  Building2
+  Building2,
+  ChevronLeft,
+  ChevronRight,
+  Merge
 } from 'lucide-react';
+import SlaBadge from './SlaBadge';
 
 const priorityColors = {
   Low: 'bg-blue-100 text-blue-800',
@@ -62,7 +66,9 @@ const ComplaintList = ({
   error, 
   onViewComplaint,
     currentUser,
-  currentFilters = {}  
+  currentFilters = {},
+  pagination = null,
+  onPageChange
 }) => {
   if (isLoading) {
     return (
@@ -109,6 +115,7 @@ const ComplaintList = ({
   const needsAttention = (complaint) => {
     return complaint.priority === 'Urgent' || 
            complaint.status === 'Escalated' || 
+           complaint.slaStatus?.state === 'BREACHED' ||
            (complaint.status === 'Open' && 
             new Date() - new Date(complaint.createdAt) > 24 * 60 * 60 * 1000); // 24 hours
   };
@@ -138,6 +145,13 @@ const ComplaintList = ({
                       </h3>
                       <StatusBadge status={complaint.status} />
                       <PriorityBadge priority={complaint.priority} />
+                      <SlaBadge status={complaint.slaStatus} />
+                      {complaint.mergedInto && (
+                        <span className="inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-[#88BDBC]/20 text-[#254E58]">
+                          <Merge size={12} className="mr-1" />
+                          Merged
+                        </span>
+                      )}
                     </div>
                     <div className="mt-2 flex items-center text-sm text-gray-500">
                       <span className="truncate">
@@ -179,6 +193,11 @@ const ComplaintList = ({
                     <p>
                       Opened: {formatDate(complaint.createdAt)}
                     </p>
+                    {complaint.slaStatus?.resolution && !complaint.slaStatus.resolution.achievedAt && (
+                      <p className={`ml-4 ${complaint.slaStatus.resolution.state === 'BREACHED' ? 'text-red-600 font-medium' : ''}`}>
+                        Due: {formatDate(complaint.slaStatus.resolution.dueAt)}
+                      </p>
+                    )}
                   </div>
                 </div>
               </div>
@@ -186,6 +205,34 @@ const ComplaintList = ({
           );
         })}
       </ul>
+
+      {/* Pagination */}
+      {pagination && pagination.totalPages > 1 && (
+        <div className="px-4 py-3 border-t border-gray-200 flex justify-between items-center bg-gray-50">
+          <div className="text-sm text-gray-500">
+            {pagination.totalCount} complaints
+          </div>
+          <div className="flex items-center space-x-2">
+            <button
+              onClick={() => onPageChange(pagination.currentPage - 1)}
+              disabled={pagination.currentPage <= 1}
+              className="p-1 rounded border border-gray-300 disabled:opacity-50"
+            >
+              <ChevronLeft size={16} />
+            </button>
+            <span className="text-sm">
+              {pagination.currentPage} / {pagination.totalPages}
+            </span>
+            <button
+              onClick={() => onPageChange(pagination.currentPage + 1)}
+              disabled={pagination.currentPage >= pagination.totalPages}
+              className="p-1 rounded border border-gray-300 disabled:opacity-50"
+            >
+              <ChevronRight size={16} />
+            </button>
+          </div>
+        </div>
+      )}
     </div>
   );
 };
@@ -0,0 +1,182 @@
+import React, { useState } from 'react';
+import { format } from 'date-fns';
+import { X, RotateCcw, Loader } from 'lucide-react';
+
+export const REOPEN_REASONS = [
+  { value: 'NOT_RESOLVED', label: 'The issue was not actually resolved' },
+  { value: 'ISSUE_RECURRED', label: 'The issue came back' },
+  { value: 'INCOMPLETE_RESOLUTION', label: 'Only part of the issue was fixed' },
+  { value: 'OTHER', label: 'Other' }
+];
+
+const ComplaintReopen = ({
+  complaint,
+  onReopen,
+  onClose
+}) => {
+  const [reasonCode, setReasonCode] = useState(REOPEN_REASONS[0].value);
+  const [reason, setReason] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!reason.trim()) {
+      setError('Please explain why you are reopening this complaint');
+      return;
+    }
+
+    try {
+      setIsSubmitting(true);
+      setError('');
+      await onReopen({
+        reasonCode,
+        reason: reason.trim()
+      });
+      onClose();
+    } catch (err) {
+      setError(err.msg || err.message || 'Failed to reopen complaint. Please try again.');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 overflow-y-auto">
+      <div className="flex min-h-screen items-end justify-center px-4 pt-4 pb-20 text-center sm:block sm:p-0">
+        {/* Background overlay */}
+        <div
+          className="fixed inset-0 bg-gray-500 bg-opacity-75 transition-opacity"
+          onClick={onClose}
+        />
+
+        {/* Modal panel */}
+        <div className="inline-block transform overflow-hidden rounded-lg bg-white text-left align-bottom shadow-xl transition-all sm:my-8 sm:w-full sm:max-w-lg sm:align-middle">
+          <form onSubmit={handleSubmit}>
+            <div className="bg-white px-4 pt-5 pb-4 sm:p-6">
+              <div className="sm:flex sm:items-start">
+                <div className="mx-auto flex h-12 w-12 flex-shrink-0 items-center justify-center rounded-full bg-yellow-100 sm:mx-0 sm:h-10 sm:w-10">
+                  <RotateCcw className="h-6 w-6 text-yellow-600" />
+                </div>
+                <div className="mt-3 text-center sm:mt-0 sm:ml-4 sm:text-left w-full">
+                  <div className="flex items-center justify-between">
+                    <h3 className="text-lg font-medium leading-6 text-gray-900">
+                      Reopen Complaint
+                    </h3>
+                    <button
+                      type="button"
+                      onClick={onClose}
+                      className="text-gray-400 hover:text-gray-500 transition-colors"
+                    >
+                      <X className="h-6 w-6" />
+                    </button>
+                  </div>
+
+                  <div className="mt-2">
+                    <p className="text-sm text-gray-500">
+                      {complaint.title}
+                    </p>
+                    {complaint.reopenUntil && (
+                      <p className="mt-1 text-xs text-gray-400">
+                        Can be reopened until {format(new Date(complaint.reopenUntil), 'MMM d, yyyy h:mm a')}
+                      </p>
+                    )}
+                  </div>
+
+                  {/* Reason Category */}
+                  <div className="mt-4">
+                    <label
+                      htmlFor="reopen-reason-code"
+                      className="block text-sm font-medium text-gray-700"
+                    >
+                      What went wrong?
+                      <span className="text-red-500 ml-1">*</span>
+                    </label>
+                    <select
+                      id="reopen-reason-code"
+                      value={reasonCode}
+                      onChange={(e) => setReasonCode(e.target.value)}
+                      className="mt-1 block w-full rounded-md border-gray-300 shadow-sm
+                        focus:border-[#254E58] focus:ring-[#254E58] sm:text-sm"
+                    >
+                      {REOPEN_REASONS.map(option => (
+                        <option key={option.value} value={option.value}>
+                          {option.label}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+
+                  {/* Reason Input */}
+                  <div className="mt-4">
+                    <label
+                      htmlFor="reopen-reason"
+                      className="block text-sm font-medium text-gray-700"
+                    >
+                      Details
+                      <span className="text-red-500 ml-1">*</span>
+                    </label>
+                    <textarea
+                      id="reopen-reason"
+                      value={reason}
+                      onChange={(e) => setReason(e.target.value)}
+                      rows={4}
+                      className="mt-1 block w-full rounded-md border-gray-300 shadow-sm
+                        focus:border-[#254E58] focus:ring-[#254E58] sm:text-sm"
+                      placeholder="Describe what still needs to be done..."
+                      maxLength={1000}
+                      required
+                    />
+                    <div className="mt-1 text-xs text-gray-500 flex justify-between">
+                      <span>{reason.length}/1000 characters</span>
+                      {error && (
+                        <span className="text-red-500">{error}</span>
+                      )}
+                    </div>
+                  </div>
+                </div>
+              </div>
+            </div>
+
+            {/* Action Buttons */}
+            <div className="bg-gray-50 px-4 py-3 sm:flex sm:flex-row-reverse sm:px-6">
+              <button
+                type="submit"
+                disabled={isSubmitting || !reason.trim()}
+                className="inline-flex w-full justify-center rounded-md border border-transparent
+                  bg-[#254E58] px-4 py-2 text-base font-medium text-white shadow-sm
+                  hover:bg-[#112D32] focus:outline-none focus:ring-2 focus:ring-[#254E58]
+                  focus:ring-offset-2 sm:ml-3 sm:w-auto sm:text-sm
+                  disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {isSubmitting ? (
+                  <>
+                    <Loader className="animate-spin -ml-1 mr-2 h-5 w-5" />
+                    Reopening...
+                  </>
+                ) : (
+                  'Reopen Complaint'
+                )}
+              </button>
+              <button
+                type="button"
+                onClick={onClose}
+                disabled={isSubmitting}
+                className="mt-3 inline-flex w-full justify-center rounded-md border
+                  border-gray-300 bg-white px-4 py-2 text-base font-medium text-gray-700
+                  shadow-sm hover:bg-gray-50 focus:outline-none focus:ring-2
+                  focus:ring-indigo-500 focus:ring-offset-2 sm:mt-0 sm:ml-3
+                  sm:w-auto sm:text-sm"
+              >
+                Cancel
+              </button>
+            </div>
+          </form>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ComplaintReopen;
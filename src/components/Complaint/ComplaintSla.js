@@ -0,0 +1,140 @@
+import React, { useState } from 'react';
+import { format } from 'date-fns';
+import { Timer, PauseCircle, PlayCircle, Loader } from 'lucide-react';
+import { SLA_STATE_STYLES } from './SlaBadge';
+
+const TARGET_STATE_LABELS = {
+  BREACHED: 'Breached',
+  AT_RISK: 'At risk',
+  PAUSED: 'Paused',
+  ON_TRACK: 'On track',
+  MET: 'Met'
+};
+
+const formatDate = (date) => {
+  if (!date) return 'Not set';
+  try {
+    return format(new Date(date), 'MMM d, yyyy h:mm a');
+  } catch {
+    return 'Invalid date';
+  }
+};
+
+const SlaTarget = ({ label, target, achievedLabel }) => (
+  <div className="bg-white rounded-lg border border-gray-200 p-4">
+    <div className="flex items-center justify-between">
+      <span className="text-sm font-medium text-gray-900">{label}</span>
+      <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${SLA_STATE_STYLES[target.state]}`}>
+        {TARGET_STATE_LABELS[target.state]}
+      </span>
+    </div>
+    <p className="mt-2 text-sm text-gray-600">Due: {formatDate(target.dueAt)}</p>
+    {target.achievedAt && (
+      <p className="text-sm text-gray-600">{achievedLabel}: {formatDate(target.achievedAt)}</p>
+    )}
+  </div>
+);
+
+// SLA targets of a complaint, with the waiting-on-complainant pause for staff who can act on it
+const ComplaintSla = ({ status, canPause, isActive, onPause, onResume }) => {
+  const [showPauseForm, setShowPauseForm] = useState(false);
+  const [comment, setComment] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  if (!status) return null;
+
+  const submit = async (action) => {
+    try {
+      setIsSubmitting(true);
+      setError(null);
+      await action();
+      setShowPauseForm(false);
+      setComment('');
+    } catch (err) {
+      setError(err.msg || err.message || 'Failed to update the SLA clock');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <h3 className="text-xl font-medium text-gray-900 flex items-center">
+          <Timer className="mr-2 h-5 w-5 text-gray-500" />
+          Service Level
+        </h3>
+        <span className="text-sm text-gray-500">{status.policyName}</span>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        {status.firstResponse && (
+          <SlaTarget label="First response" target={status.firstResponse} achievedLabel="Responded" />
+        )}
+        {status.resolution && (
+          <SlaTarget label="Resolution" target={status.resolution} achievedLabel="Resolved" />
+        )}
+      </div>
+
+      {status.paused && (
+        <p className="text-sm text-gray-600">
+          Waiting on the complainant since {formatDate(status.pausedAt)}. The clock restarts when they reply.
+        </p>
+      )}
+
+      {error && <p className="text-sm text-red-600">{error}</p>}
+
+      {canPause && isActive && (
+        status.paused ? (
+          <button
+            onClick={() => submit(onResume)}
+            disabled={isSubmitting}
+            className="inline-flex items-center px-4 py-2 border border-gray-300 shadow-sm text-sm rounded-md text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+          >
+            {isSubmitting ? <Loader className="mr-2 h-4 w-4 animate-spin" /> : <PlayCircle className="mr-2 h-4 w-4" />}
+            Resume SLA clock
+          </button>
+        ) : showPauseForm ? (
+          <div className="space-y-2">
+            <textarea
+              value={comment}
+              onChange={(e) => setComment(e.target.value)}
+              rows="2"
+              maxLength={1000}
+              placeholder="What do you need from the complainant?"
+              className="w-full p-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-[#88BDBC]"
+            />
+            <div className="flex space-x-2">
+              <button
+                onClick={() => submit(() => onPause(comment.trim()))}
+                disabled={isSubmitting || !comment.trim()}
+                className="inline-flex items-center px-4 py-2 text-sm rounded-md text-white bg-[#254E58] hover:bg-[#112D32] disabled:opacity-50"
+              >
+                {isSubmitting ? <Loader className="mr-2 h-4 w-4 animate-spin" /> : <PauseCircle className="mr-2 h-4 w-4" />}
+                Pause and ask
+              </button>
+              <button
+                onClick={() => setShowPauseForm(false)}
+                disabled={isSubmitting}
+                className="px-4 py-2 text-sm rounded-md text-gray-700 bg-white border border-gray-300 hover:bg-gray-50"
+              >
+                Cancel
+              </button>
+            </div>
+          </div>
+        ) : (
+          <button
+            onClick={() => setShowPauseForm(true)}
+            className="inline-flex items-center px-4 py-2 border border-gray-300 shadow-sm text-sm rounded-md text-gray-700 bg-white hover:bg-gray-50"
+          >
+            <PauseCircle className="mr-2 h-4 w-4" />
+            Waiting on complainant
+          </button>
+        )
+      )}
+    </div>
+  );
+};
+
+export default ComplaintSla;
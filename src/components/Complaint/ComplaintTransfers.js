@@ -0,0 +1,149 @@
+import React, { useState, useEffect } from 'react';
+import { format } from 'date-fns';
+import { ArrowRightLeft, Check, X, Loader } from 'lucide-react';
+import { getComplaintTransfers, decideTransfer, cancelTransfer } from '../../services/api';
+
+const STATUS_STYLES = {
+  PENDING: { label: 'Waiting for acceptance', color: 'bg-yellow-100 text-yellow-800' },
+  COMPLETED: { label: 'Transferred', color: 'bg-green-100 text-green-800' },
+  REJECTED: { label: 'Declined', color: 'bg-red-100 text-red-800' },
+  CANCELLED: { label: 'Withdrawn', color: 'bg-gray-100 text-gray-800' }
+};
+
+const WORKFLOW_NOTES = {
+  REBOUND: "Restarted on the receiving department's workflow",
+  STARTED: "Started the receiving department's workflow",
+  KEPT: 'Kept its workflow',
+  ENDED: 'Workflow ended; the receiving department has none for this type'
+};
+
+const nameOf = (user) => (user ? `${user.firstName} ${user.lastName}` : 'Unknown');
+
+// Transfers of a complaint between departments; a pending one can be accepted or declined by
+// the receiving department and withdrawn by the sending side. Renders nothing without transfers.
+const ComplaintTransfers = ({ complaintId, currentUser, canWithdraw, refreshKey, onChanged }) => {
+  const [transfers, setTransfers] = useState([]);
+  const [comment, setComment] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    getComplaintTransfers(complaintId)
+      .then(setTransfers)
+      .catch(err => console.error('Error loading transfers:', err));
+  }, [complaintId, refreshKey]);
+
+  if (transfers.length === 0) return null;
+
+  const pending = transfers.find(t => t.status === 'PENDING');
+  const mayWithdraw = pending && (canWithdraw || pending.requestedBy?._id === currentUser?.userId);
+
+  const runAction = async (action) => {
+    try {
+      setIsSubmitting(true);
+      setError('');
+      const transfer = await action();
+      setComment('');
+      await onChanged(transfer);
+    } catch (err) {
+      setError(err.msg || err.errors?.[0]?.msg || 'Failed to update the transfer');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleDecision = (decision) => {
+    if (decision === 'REJECTED' && !comment.trim()) {
+      setError('Please explain why the transfer is declined');
+      return;
+    }
+    runAction(() => decideTransfer(pending._id, { decision, comment: comment.trim() || undefined }));
+  };
+
+  return (
+    <div className="space-y-3">
+      <h3 className="text-xl font-medium text-gray-900 flex items-center">
+        <ArrowRightLeft className="mr-2 h-5 w-5 text-gray-500" />
+        Transfers
+      </h3>
+
+      {pending && (pending.canDecide || mayWithdraw) && (
+        <div className="p-4 bg-yellow-50 border border-yellow-200 rounded-lg space-y-3">
+          <p className="text-sm text-yellow-800">
+            {nameOf(pending.requestedBy)} asks {pending.toDepartmentId?.name} to take over this complaint: {pending.reason}
+          </p>
+
+          {pending.canDecide && (
+            <textarea
+              value={comment}
+              onChange={(e) => setComment(e.target.value)}
+              rows={2}
+              maxLength={1000}
+              className="block w-full rounded-md border-gray-300 shadow-sm focus:border-[#254E58] focus:ring-[#254E58] sm:text-sm"
+              placeholder="Comment (required to decline)"
+            />
+          )}
+          {error && <p className="text-sm text-red-600">{error}</p>}
+
+          <div className="flex justify-end gap-2">
+            {mayWithdraw && (
+              <button
+                onClick={() => runAction(() => cancelTransfer(pending._id))}
+                disabled={isSubmitting}
+                className="px-3 py-1.5 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-md hover:bg-gray-50 disabled:opacity-50"
+              >
+                Withdraw
+              </button>
+            )}
+            {pending.canDecide && (
+              <>
+                <button
+                  onClick={() => handleDecision('REJECTED')}
+                  disabled={isSubmitting}
+                  className="inline-flex items-center px-3 py-1.5 text-sm font-medium text-red-700 bg-white border border-red-300 rounded-md hover:bg-red-50 disabled:opacity-50"
+                >
+                  <X className="h-4 w-4 mr-1" />
+                  Decline
+                </button>
+                <button
+                  onClick={() => handleDecision('ACCEPTED')}
+                  disabled={isSubmitting}
+                  className="inline-flex items-center px-3 py-1.5 text-sm font-medium text-white bg-[#254E58] rounded-md hover:bg-[#112D32] disabled:opacity-50"
+                >
+                  {isSubmitting ? <Loader className="h-4 w-4 mr-1 animate-spin" /> : <Check className="h-4 w-4 mr-1" />}
+                  Accept
+                </button>
+              </>
+            )}
+          </div>
+        </div>
+      )}
+
+      {transfers.map(transfer => {
+        const style = STATUS_STYLES[transfer.status] || STATUS_STYLES.PENDING;
+        return (
+          <div key={transfer._id} className="border border-gray-200 rounded-lg p-3">
+            <div className="flex items-start justify-between gap-3">
+              <p className="text-sm font-medium text-gray-900">
+                {transfer.fromDepartmentId?.name || 'Unknown'} → {transfer.toDepartmentId?.name || 'Unknown'}
+              </p>
+              <span className={`inline-flex px-2 py-0.5 rounded-full text-xs font-medium ${style.color}`}>
+                {style.label}
+              </span>
+            </div>
+            <p className="text-sm text-gray-600">{transfer.reason}</p>
+            {transfer.comment && (
+              <p className="text-sm text-gray-600 italic">{nameOf(transfer.decidedBy)}: {transfer.comment}</p>
+            )}
+            <p className="text-xs text-gray-400">
+              {nameOf(transfer.requestedBy)} · {format(new Date(transfer.createdAt), 'MMM d, yyyy h:mm a')}
+              {WORKFLOW_NOTES[transfer.workflow?.outcome] && ` · ${WORKFLOW_NOTES[transfer.workflow.outcome]}`}
+            </p>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default ComplaintTransfers;
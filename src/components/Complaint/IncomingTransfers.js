@@ -0,0 +1,52 @@
+import React, { useState, useEffect } from 'react';
+import { formatDistanceToNow } from 'date-fns';
+import { ArrowRightLeft } from 'lucide-react';
+import { getIncomingTransfers } from '../../services/api';
+
+// Complaints other departments ask this department to take over; renders nothing when there are none
+const IncomingTransfers = ({ onViewComplaint, refreshKey }) => {
+  const [transfers, setTransfers] = useState([]);
+
+  useEffect(() => {
+    getIncomingTransfers()
+      .then(setTransfers)
+      .catch(err => console.error('Error loading incoming transfers:', err));
+  }, [refreshKey]);
+
+  if (transfers.length === 0) return null;
+
+  return (
+    <div className="bg-white rounded-lg shadow mb-4">
+      <div className="p-4 border-b border-gray-200 flex items-center">
+        <ArrowRightLeft className="mr-2 h-5 w-5 text-[#254E58]" />
+        <h2 className="text-lg font-semibold text-gray-900">Incoming Transfers</h2>
+        <span className="ml-2 bg-yellow-100 text-yellow-800 px-2.5 py-0.5 rounded-full text-xs font-medium">
+          {transfers.length} waiting
+        </span>
+      </div>
+      <ul className="divide-y divide-gray-100">
+        {transfers.map(transfer => (
+          <li key={transfer._id}>
+            <button
+              onClick={() => onViewComplaint(transfer.complaintId?._id)}
+              disabled={!transfer.complaintId}
+              className="w-full text-left px-4 py-3 hover:bg-gray-50"
+            >
+              <p className="text-sm font-medium text-gray-900">
+                {transfer.complaintId?.title || 'Deleted complaint'}
+              </p>
+              <p className="text-sm text-gray-600 truncate">
+                From {transfer.fromDepartmentId?.name || 'another department'}: {transfer.reason}
+              </p>
+              <p className="text-xs text-gray-400">
+                {transfer.requestedBy?.firstName} {transfer.requestedBy?.lastName} · {formatDistanceToNow(new Date(transfer.createdAt), { addSuffix: true })}
+              </p>
+            </button>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default IncomingTransfers;
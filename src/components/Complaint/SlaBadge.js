@@ -0,0 +1,38 @@
+import React from 'react';
+import { format } from 'date-fns';
+import { Timer } from 'lucide-react';
+
+export const SLA_STATE_STYLES = {
+  BREACHED: 'bg-red-100 text-red-800',
+  AT_RISK: 'bg-orange-100 text-orange-800',
+  PAUSED: 'bg-gray-100 text-gray-700',
+  ON_TRACK: 'bg-green-100 text-green-800',
+  MET: 'bg-teal-100 text-teal-800'
+};
+
+export const SLA_STATE_LABELS = {
+  BREACHED: 'SLA breached',
+  AT_RISK: 'SLA at risk',
+  PAUSED: 'SLA paused',
+  ON_TRACK: 'SLA on track',
+  MET: 'SLA met'
+};
+
+// Where a complaint stands against its SLA targets; renders nothing without a policy
+const SlaBadge = ({ status }) => {
+  if (!status) return null;
+
+  const dueAt = status.resolution?.achievedAt ? null : status.resolution?.dueAt;
+
+  return (
+    <span
+      className={`inline-flex items-center rounded-full px-2.5 py-0.5 text-xs font-medium ${SLA_STATE_STYLES[status.state]}`}
+      title={dueAt ? `Resolution due ${format(new Date(dueAt), 'MMM d, yyyy h:mm a')}` : status.policyName}
+    >
+      <Timer className="mr-1" size={12} />
+      {SLA_STATE_LABELS[status.state]}
+    </span>
+  );
+};
+
+export default SlaBadge;
@@ -0,0 +1,176 @@
+import React, { useState } from 'react';
+import { format } from 'date-fns';
+import { Loader } from 'lucide-react';
+import { updateDepartmentUserAssignment } from '../../services/api';
+
+const toInputValue = (date) => (date ? format(new Date(date), "yyyy-MM-dd'T'HH:mm") : '');
+const toIsoString = (value) => (value ? new Date(value).toISOString() : null);
+
+// How automatic assignment treats one department user
+const AssignmentSettingsForm = ({ department, user, complaintTypes, colleagues, onSaved, onCancel }) => {
+  const [settings, setSettings] = useState({
+    available: user.assignment?.available ?? true,
+    capacity: user.assignment?.capacity ?? '',
+    skills: (user.assignment?.skills || []).map(String),
+    startsAt: toInputValue(user.outOfOffice?.startsAt),
+    endsAt: toInputValue(user.outOfOffice?.endsAt),
+    delegateId: user.outOfOffice?.delegateId || '',
+    handOver: Boolean(user.outOfOffice?.handOver)
+  });
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const toggleSkill = (typeId) => {
+    setSettings(prev => ({
+      ...prev,
+      skills: prev.skills.includes(typeId)
+        ? prev.skills.filter(id => id !== typeId)
+        : [...prev.skills, typeId]
+    }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      setError(null);
+      const saved = await updateDepartmentUserAssignment(department._id, user._id, {
+        available: settings.available,
+        capacity: settings.capacity === '' ? null : Number(settings.capacity),
+        skills: settings.skills,
+        outOfOffice: {
+          startsAt: toIsoString(settings.startsAt),
+          endsAt: toIsoString(settings.endsAt),
+          delegateId: settings.delegateId || null,
+          handOver: Boolean(settings.delegateId) && settings.handOver
+        }
+      });
+      onSaved(saved);
+    } catch (err) {
+      setError(err.msg || err.errors?.[0]?.msg || 'Failed to save assignment settings');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const inputClassName = 'mt-1 block w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-[#88BDBC]';
+
+  return (
+    <form onSubmit={handleSubmit} className="mt-2 p-3 bg-gray-50 rounded-lg space-y-3 text-sm">
+      <label className="flex items-center space-x-2 text-gray-700">
+        <input
+          type="checkbox"
+          checked={settings.available}
+          onChange={(e) => setSettings(prev => ({ ...prev, available: e.target.checked }))}
+          className="rounded text-[#254E58] focus:ring-[#254E58]"
+        />
+        <span>Available for automatic assignment</span>
+      </label>
+
+      <div>
+        <label className="block font-medium text-gray-700">Capacity</label>
+        <input
+          type="number"
+          min="1"
+          value={settings.capacity}
+          onChange={(e) => setSettings(prev => ({ ...prev, capacity: e.target.value }))}
+          placeholder="No limit"
+          className={inputClassName}
+        />
+        <p className="mt-1 text-xs text-gray-500">Most open complaints automatic assignment gives them</p>
+      </div>
+
+      <div>
+        <span className="block font-medium text-gray-700">Handles complaint types</span>
+        <div className="mt-1 grid grid-cols-2 gap-1">
+          {complaintTypes.map(type => (
+            <label key={type._id} className="flex items-center space-x-2 text-gray-700">
+              <input
+                type="checkbox"
+                checked={settings.skills.includes(type._id)}
+                onChange={() => toggleSkill(type._id)}
+                className="rounded text-[#254E58] focus:ring-[#254E58]"
+              />
+              <span>{type.name}</span>
+            </label>
+          ))}
+        </div>
+      </div>
+
+      <div className="grid grid-cols-2 gap-2">
+        <div>
+          <label className="block font-medium text-gray-700">Out of office from</label>
+          <input
+            type="datetime-local"
+            value={settings.startsAt}
+            onChange={(e) => setSettings(prev => ({ ...prev, startsAt: e.target.value }))}
+            className={inputClassName}
+          />
+        </div>
+        <div>
+          <label className="block font-medium text-gray-700">Until</label>
+          <input
+            type="datetime-local"
+            value={settings.endsAt}
+            onChange={(e) => setSettings(prev => ({ ...prev, endsAt: e.target.value }))}
+            className={inputClassName}
+          />
+        </div>
+      </div>
+
+      {settings.endsAt && (
+        <div className="space-y-2">
+          <div>
+            <label className="block font-medium text-gray-700">Delegate</label>
+            <select
+              value={settings.delegateId}
+              onChange={(e) => setSettings(prev => ({ ...prev, delegateId: e.target.value }))}
+              className={inputClassName}
+            >
+              <option value="">No delegate</option>
+              {colleagues.map(colleague => (
+                <option key={colleague._id} value={colleague._id}>
+                  {colleague.firstName} {colleague.lastName}
+                </option>
+              ))}
+            </select>
+            <p className="mt-1 text-xs text-gray-500">Gets their new assignments and notifications while they are away</p>
+          </div>
+          <label className="flex items-center space-x-2 text-gray-700">
+            <input
+              type="checkbox"
+              checked={settings.handOver}
+              disabled={!settings.delegateId}
+              onChange={(e) => setSettings(prev => ({ ...prev, handOver: e.target.checked }))}
+              className="rounded text-[#254E58] focus:ring-[#254E58] disabled:opacity-50"
+            />
+            <span>Hand over their open complaints when the period starts</span>
+          </label>
+        </div>
+      )}
+
+      {error && <p className="text-red-600">{error}</p>}
+
+      <div className="flex justify-end space-x-2">
+        <button
+          type="button"
+          onClick={onCancel}
+          disabled={saving}
+          className="px-3 py-1.5 text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-50"
+        >
+          Cancel
+        </button>
+        <button
+          type="submit"
+          disabled={saving}
+          className="inline-flex items-center px-3 py-1.5 text-white bg-[#254E58] rounded-lg hover:bg-[#112D32] disabled:opacity-50"
+        >
+          {saving && <Loader className="w-4 h-4 mr-2 animate-spin" />}
+          Save
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default AssignmentSettingsForm;
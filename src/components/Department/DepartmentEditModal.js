@@ -33,7 +33,8 @@ const DepartmentEditModal = ({ department, onClose, onUpdate, isOpen }) => {
               initialValues={{
                 name: department.name,
                 description: department.description,
-                isActive: department.isActive
+                isActive: department.isActive,
+                requireTransferApproval: department.requireTransferApproval || false
               }}
               onSubmit={async (values, { setSubmitting }) => {
                 try {
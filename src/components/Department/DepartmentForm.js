@@ -8,6 +8,7 @@ const DepartmentForm = ({ initialValues, onSubmit, isEdit }) => {
     name: '',
     description: '',
     isActive: true,
+    requireTransferApproval: false,
     ...initialValues
   };
 
@@ -20,7 +21,8 @@ const DepartmentForm = ({ initialValues, onSubmit, isEdit }) => {
       .required('Description is required')
       .min(10, 'Description must be at least 10 characters')
       .max(200, 'Description must not exceed 200 characters'),
-    isActive: Yup.boolean()
+    isActive: Yup.boolean(),
+    requireTransferApproval: Yup.boolean()
   });
 
   return (
@@ -89,6 +91,21 @@ const DepartmentForm = ({ initialValues, onSubmit, isEdit }) => {
             </label>
           </div>
 
+          <div className="flex items-start">
+            <Field
+              type="checkbox"
+              id="requireTransferApproval"
+              name="requireTransferApproval"
+              className="mt-0.5 h-4 w-4 text-[#254E58] focus:ring-[#254E58] border-gray-300 rounded"
+            />
+            <label htmlFor="requireTransferApproval" className="ml-2 block text-sm text-gray-700">
+              Accept transfers first
+              <span className="block text-xs text-gray-500">
+                Complaints transferred from other departments wait until one of this department's users accepts them.
+              </span>
+            </label>
+          </div>
+
           <button
             type="submit"
             disabled={isSubmitting}
@@ -1,15 +1,31 @@
 import React, { useState, useEffect } from 'react';
-import { X, Search, UserPlus, UserMinus, Loader, AlertCircle } from 'lucide-react';
+import { X, Search, UserPlus, UserMinus, Loader, AlertCircle, SlidersHorizontal } from 'lucide-react';
 import { 
   getDepartmentUsers, 
   fetchUsers, 
   assignUsersToDepartment,
   removeUserFromDepartment,
-  fetchDepartmentEligibleUsers
+  fetchDepartmentEligibleUsers,
+  getComplaintTypes
 } from '../../services/api';
+import AssignmentSettingsForm from './AssignmentSettingsForm';
+
+// Summary of a department user's automatic assignment settings
+const assignmentSummary = (user) => {
+  const now = new Date();
+  const { startsAt, endsAt } = user.outOfOffice || {};
+  const parts = [];
+  if (user.assignment?.available === false) parts.push('Unavailable');
+  if ((startsAt || endsAt) && (!startsAt || new Date(startsAt) <= now) && (!endsAt || new Date(endsAt) > now)) {
+    parts.push(user.outOfOffice.delegateId ? 'Out of office, delegated' : 'Out of office');
+  }
+  if (user.assignment?.capacity) parts.push(`Capacity ${user.assignment.capacity}`);
+  if (user.assignment?.skills?.length) parts.push(`${user.assignment.skills.length} skill(s)`);
+  return parts.join(' · ');
+};
 
 // User Item Component
-const UserItem = ({ user, onAction, actionType }) => (
+const UserItem = ({ user, onAction, actionType, onSettings }) => (
   <div className="flex items-center justify-between p-2 hover:bg-gray-50 rounded-lg">
     <div>
       <div className="flex items-center">
@@ -24,27 +40,43 @@ const UserItem = ({ user, onAction, actionType }) => (
           {user.isActive ? 'Active' : 'Inactive'}
         </span>
       </div>
+      {onSettings && assignmentSummary(user) && (
+        <div className="text-xs text-gray-500">{assignmentSummary(user)}</div>
+      )}
+    </div>
+    <div className="flex items-center space-x-1">
+      {onSettings && user.isActive && (
+        <button
+          onClick={() => onSettings(user)}
+          className="p-1 text-gray-500 hover:text-[#254E58]"
+          title="Automatic assignment settings"
+        >
+          <SlidersHorizontal size={20} />
+        </button>
+      )}
+      {user.isActive && (
+        <button
+          onClick={() => onAction(user._id)}
+          className={`p-1 ${
+            actionType === 'assign' 
+              ? 'text-[#254E58] hover:text-[#112D32]' 
+              : 'text-red-600 hover:text-red-700'
+          }`}
+          title={actionType === 'assign' ? 'Assign to department' : 'Remove from department'}
+          disabled={!user.isActive}
+        >
+          {actionType === 'assign' ? <UserPlus size={20} /> : <UserMinus size={20} />}
+        </button>
+      )}
     </div>
-    {user.isActive && (
-      <button
-        onClick={() => onAction(user._id)}
-        className={`p-1 ${
-          actionType === 'assign' 
-            ? 'text-[#254E58] hover:text-[#112D32]' 
-            : 'text-red-600 hover:text-red-700'
-        }`}
-        title={actionType === 'assign' ? 'Assign to department' : 'Remove from department'}
-        disabled={!user.isActive}
-      >
-        {actionType === 'assign' ? <UserPlus size={20} /> : <UserMinus size={20} />}
-      </button>
-    )}
   </div>
 );
 
 const DepartmentUsersModal = ({ department, isOpen, onClose, onUserUpdate }) => {
   const [users, setUsers] = useState([]);
   const [departmentUsers, setDepartmentUsers] = useState([]);
+  const [complaintTypes, setComplaintTypes] = useState([]);
+  const [settingsUserId, setSettingsUserId] = useState(null);
   const [searchTerm, setSearchTerm] = useState('');
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
@@ -59,13 +91,15 @@ const DepartmentUsersModal = ({ department, isOpen, onClose, onUserUpdate }) =>
     try {
       setLoading(true);
       setError(null);
-      const [eligibleUsers, deptUsers] = await Promise.all([
+      const [eligibleUsers, deptUsers, types] = await Promise.all([
         fetchDepartmentEligibleUsers(),
-        getDepartmentUsers(department._id)
+        getDepartmentUsers(department._id),
+        getComplaintTypes()
       ]);
       
       setUsers(eligibleUsers);
       setDepartmentUsers(deptUsers);
+      setComplaintTypes(types);
     } catch (err) {
       setError('Failed to load users');
       console.error('Error loading users:', err);
@@ -185,12 +219,27 @@ const DepartmentUsersModal = ({ department, isOpen, onClose, onUserUpdate }) =>
                 ) : (
                   <div className="space-y-2 max-h-96 overflow-y-auto">
                     {departmentUsers.map(user => (
-                      <UserItem 
-                        key={user._id} 
-                        user={user} 
-                        onAction={handleRemoveUser} 
-                        actionType="remove"
-                      />
+                      <div key={user._id}>
+                        <UserItem 
+                          user={user} 
+                          onAction={handleRemoveUser} 
+                          actionType="remove"
+                          onSettings={(u) => setSettingsUserId(settingsUserId === u._id ? null : u._id)}
+                        />
+                        {settingsUserId === user._id && (
+                          <AssignmentSettingsForm
+                            department={department}
+                            user={user}
+                            complaintTypes={complaintTypes}
+                            colleagues={departmentUsers.filter(du => du._id !== user._id && du.isActive !== false)}
+                            onCancel={() => setSettingsUserId(null)}
+                            onSaved={(saved) => {
+                              setDepartmentUsers(prev => prev.map(du => (du._id === saved._id ? { ...du, ...saved } : du)));
+                              setSettingsUserId(null);
+                            }}
+                          />
+                        )}
+                      </div>
                     ))}
                     {departmentUsers.length === 0 && (
                       <div className="text-center text-gray-500 py-4">
@@ -0,0 +1,275 @@
+// components/EmailLog/EmailLogManagement.js
+import React, { useState, useEffect, useCallback } from 'react';
+import { format } from 'date-fns';
+import {
+  AlertCircle,
+  Clock,
+  CheckCircle,
+  XCircle,
+  RefreshCw,
+  Search,
+  ChevronLeft,
+  ChevronRight
+} from 'lucide-react';
+import { getEmailMessages, getEmailMessageStats } from '../../services/api';
+
+import EmailMessageDetail, { EMAIL_STATUS_STYLES, EMAIL_STATUS_LABELS } from './EmailMessageDetail';
+import LoadingSpinner from '../common/LoadingSpinner';
+
+const PAGE_SIZE = 20;
+
+const EmailLogManagement = () => {
+  const [state, setState] = useState({
+    messages: [],
+    stats: null,
+    pagination: { currentPage: 1, totalPages: 1, totalCount: 0 },
+    filters: { status: '', q: '' },
+    isLoading: true,
+    error: null,
+    selectedMessageId: null
+  });
+  const [searchText, setSearchText] = useState('');
+
+  const { filters } = state;
+  const { currentPage } = state.pagination;
+
+  const loadData = useCallback(async () => {
+    try {
+      setState(prev => ({ ...prev, isLoading: true, error: null }));
+
+      const params = { page: currentPage, limit: PAGE_SIZE };
+      if (filters.status) params.status = filters.status;
+      if (filters.q) params.q = filters.q;
+
+      const [result, stats] = await Promise.all([
+        getEmailMessages(params),
+        getEmailMessageStats()
+      ]);
+
+      setState(prev => ({
+        ...prev,
+        messages: result.messages,
+        stats,
+        pagination: {
+          currentPage: result.currentPage,
+          totalPages: result.totalPages,
+          totalCount: result.totalCount
+        },
+        isLoading: false
+      }));
+    } catch (err) {
+      console.error('Error loading email log:', err);
+      setState(prev => ({
+        ...prev,
+        error: 'Failed to load the email log. Please try again.',
+        isLoading: false
+      }));
+    }
+  }, [currentPage, filters.status, filters.q]);
+
+  useEffect(() => {
+    loadData();
+  }, [loadData]);
+
+  // Only search once the user stops typing
+  useEffect(() => {
+    const timeout = setTimeout(() => {
+      if (searchText.trim() !== filters.q) {
+        setState(prev => ({
+          ...prev,
+          filters: { ...prev.filters, q: searchText.trim() },
+          pagination: { ...prev.pagination, currentPage: 1 }
+        }));
+      }
+    }, 400);
+    return () => clearTimeout(timeout);
+  }, [searchText, filters.q]);
+
+  const setFilter = (key, value) => {
+    setState(prev => ({
+      ...prev,
+      filters: { ...prev.filters, [key]: value },
+      pagination: { ...prev.pagination, currentPage: 1 }
+    }));
+  };
+
+  const setPage = (page) => {
+    setState(prev => ({ ...prev, pagination: { ...prev.pagination, currentPage: page } }));
+  };
+
+  const stats = state.stats || { PENDING: 0, SENDING: 0, SENT: 0, DEAD: 0 };
+
+  const statCards = [
+    { label: 'Queued', value: stats.PENDING + stats.SENDING, status: 'PENDING', icon: Clock, color: 'bg-yellow-100 text-yellow-600' },
+    { label: 'Sent', value: stats.SENT, status: 'SENT', icon: CheckCircle, color: 'bg-green-100 text-green-600' },
+    { label: 'Failed', value: stats.DEAD, status: 'DEAD', icon: XCircle, color: 'bg-red-100 text-red-600' }
+  ];
+
+  return (
+    <div className="space-y-6">
+      {/* Header Section */}
+      <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Email Delivery Log</h1>
+          <p className="mt-1 text-sm text-gray-500">
+            Every email is queued and retried with increasing delays. Emails that keep failing are marked failed and can be resent.
+          </p>
+        </div>
+
+        <button
+          onClick={loadData}
+          disabled={state.isLoading}
+          className="inline-flex items-center px-4 py-2 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+        >
+          <RefreshCw className={`h-4 w-4 mr-2 ${state.isLoading ? 'animate-spin' : ''}`} />
+          Refresh
+        </button>
+      </div>
+
+      {/* Statistics Section */}
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        {statCards.map(card => (
+          <button
+            key={card.label}
+            onClick={() => setFilter('status', filters.status === card.status ? '' : card.status)}
+            className={`text-left bg-white rounded-lg shadow-sm border p-4 ${
+              filters.status === card.status ? 'border-[#254E58] ring-1 ring-[#254E58]' : 'border-gray-200'
+            }`}
+          >
+            <div className="flex items-center justify-between">
+              <div>
+                <p className="text-sm font-medium text-gray-500">{card.label}</p>
+                <p className="mt-1 text-2xl font-semibold text-gray-900">{card.value}</p>
+              </div>
+              <div className={`p-3 rounded-full ${card.color}`}>
+                <card.icon className="h-5 w-5" />
+              </div>
+            </div>
+          </button>
+        ))}
+      </div>
+
+      {/* Filters */}
+      <div className="flex flex-col sm:flex-row gap-3">
+        <div className="relative flex-1">
+          <Search className="absolute left-3 top-1/2 -translate-y-1/2 h-4 w-4 text-gray-400" />
+          <input
+            type="text"
+            value={searchText}
+            onChange={(e) => setSearchText(e.target.value)}
+            placeholder="Search by recipient or subject"
+            className="block w-full pl-9 rounded-md border-gray-300 shadow-sm focus:border-[#254E58] focus:ring-[#254E58] sm:text-sm"
+          />
+        </div>
+        <select
+          value={filters.status}
+          onChange={(e) => setFilter('status', e.target.value)}
+          className="rounded-md border-gray-300 shadow-sm focus:border-[#254E58] focus:ring-[#254E58] sm:text-sm"
+        >
+          <option value="">All statuses</option>
+          {Object.entries(EMAIL_STATUS_LABELS).map(([status, label]) => (
+            <option key={status} value={status}>{label}</option>
+          ))}
+        </select>
+      </div>
+
+      {/* Error Display */}
+      {state.error && (
+        <div className="rounded-md bg-red-50 p-4 flex items-center border border-red-200">
+          <AlertCircle className="h-5 w-5 text-red-400 mr-2" />
+          <span className="text-sm text-red-700">{state.error}</span>
+        </div>
+      )}
+
+      {/* List Section */}
+      <div className="bg-white shadow-sm border border-gray-200 rounded-lg overflow-hidden">
+        {state.isLoading && state.messages.length === 0 ? (
+          <div className="flex items-center justify-center min-h-[200px]">
+            <LoadingSpinner />
+          </div>
+        ) : state.messages.length === 0 ? (
+          <p className="p-6 text-center text-sm text-gray-500">No emails found.</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Recipient</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Subject</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Attempts</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Queued</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {state.messages.map(message => (
+                  <tr
+                    key={message._id}
+                    onClick={() => setState(prev => ({ ...prev, selectedMessageId: message._id }))}
+                    className="hover:bg-gray-50 cursor-pointer"
+                  >
+                    <td className="px-6 py-4 text-sm text-gray-900 break-all">{message.to}</td>
+                    <td className="px-6 py-4 text-sm text-gray-700">
+                      <p>{message.subject}</p>
+                      {message.status !== 'SENT' && message.lastError && (
+                        <p className="mt-1 text-xs text-red-600 truncate max-w-md">{message.lastError}</p>
+                      )}
+                    </td>
+                    <td className="px-6 py-4">
+                      <span className={`inline-flex px-2 py-0.5 rounded-full text-xs font-medium ${EMAIL_STATUS_STYLES[message.status]}`}>
+                        {EMAIL_STATUS_LABELS[message.status]}
+                      </span>
+                    </td>
+                    <td className="px-6 py-4 text-sm text-gray-500">{message.attempts}/{message.maxAttempts}</td>
+                    <td className="px-6 py-4 text-sm text-gray-500 whitespace-nowrap">
+                      {format(new Date(message.createdAt), 'MMM d, HH:mm')}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {/* Pagination */}
+        {state.pagination.totalPages > 1 && (
+          <div className="px-4 py-3 border-t border-gray-200 flex justify-between items-center bg-gray-50">
+            <div className="text-sm text-gray-500">
+              {state.pagination.totalCount} emails
+            </div>
+            <div className="flex items-center space-x-2">
+              <button
+                onClick={() => setPage(currentPage - 1)}
+                disabled={currentPage <= 1}
+                className="p-1 rounded border border-gray-300 disabled:opacity-50"
+              >
+                <ChevronLeft size={16} />
+              </button>
+              <span className="text-sm">
+                {currentPage} / {state.pagination.totalPages}
+              </span>
+              <button
+                onClick={() => setPage(currentPage + 1)}
+                disabled={currentPage >= state.pagination.totalPages}
+                className="p-1 rounded border border-gray-300 disabled:opacity-50"
+              >
+                <ChevronRight size={16} />
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+
+      {/* Detail Modal */}
+      {state.selectedMessageId && (
+        <EmailMessageDetail
+          messageId={state.selectedMessageId}
+          onClose={() => setState(prev => ({ ...prev, selectedMessageId: null }))}
+          onResent={loadData}
+        />
+      )}
+    </div>
+  );
+};
+
+export default EmailLogManagement;
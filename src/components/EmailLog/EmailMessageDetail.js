@@ -0,0 +1,241 @@
+// components/EmailLog/EmailMessageDetail.js
+import React, { useState, useEffect, useCallback } from 'react';
+import PropTypes from 'prop-types';
+import { format } from 'date-fns';
+import { X, Loader, RefreshCw, AlertCircle, CheckCircle } from 'lucide-react';
+import { getEmailMessage, resendEmailMessage } from '../../services/api';
+import LoadingSpinner from '../common/LoadingSpinner';
+
+export const EMAIL_STATUS_STYLES = {
+  PENDING: 'bg-yellow-100 text-yellow-800',
+  SENDING: 'bg-blue-100 text-blue-800',
+  SENT: 'bg-green-100 text-green-800',
+  DEAD: 'bg-red-100 text-red-800'
+};
+
+export const EMAIL_STATUS_LABELS = {
+  PENDING: 'Queued',
+  SENDING: 'Sending',
+  SENT: 'Sent',
+  DEAD: 'Failed'
+};
+
+const formatDateTime = (date) => (date ? format(new Date(date), 'MMM d, yyyy HH:mm:ss') : '—');
+
+const EmailMessageDetail = ({ messageId, onClose, onResent }) => {
+  const [state, setState] = useState({
+    message: null,
+    isLoading: true,
+    isResending: false,
+    error: null,
+    notice: null
+  });
+
+  const handleEscape = useCallback((event) => {
+    if (event.key === 'Escape') onClose();
+  }, [onClose]);
+
+  useEffect(() => {
+    document.addEventListener('keydown', handleEscape);
+    return () => document.removeEventListener('keydown', handleEscape);
+  }, [handleEscape]);
+
+  useEffect(() => {
+    const loadMessage = async () => {
+      try {
+        setState(prev => ({ ...prev, isLoading: true, error: null }));
+        const message = await getEmailMessage(messageId);
+        setState(prev => ({ ...prev, message, isLoading: false }));
+      } catch (err) {
+        setState(prev => ({
+          ...prev,
+          error: err?.msg || 'Failed to load email',
+          isLoading: false
+        }));
+      }
+    };
+
+    loadMessage();
+  }, [messageId]);
+
+  const handleResend = async () => {
+    try {
+      setState(prev => ({ ...prev, isResending: true, error: null, notice: null }));
+      await resendEmailMessage(messageId);
+      setState(prev => ({ ...prev, isResending: false, notice: 'A copy has been queued for delivery' }));
+      onResent();
+    } catch (err) {
+      setState(prev => ({
+        ...prev,
+        isResending: false,
+        error: err?.msg || 'Failed to resend email'
+      }));
+    }
+  };
+
+  const { message } = state;
+  const canResend = message && !message.sensitive && ['SENT', 'DEAD'].includes(message.status);
+
+  return (
+    <div className="fixed inset-0 z-50 overflow-y-auto" role="dialog" aria-modal="true">
+      <div className="flex min-h-screen items-center justify-center p-4">
+        <div
+          className="fixed inset-0 bg-gray-500 bg-opacity-75 transition-opacity"
+          aria-hidden="true"
+          onClick={onClose}
+        />
+
+        <div className="relative transform overflow-hidden rounded-lg bg-white text-left shadow-xl w-full max-w-4xl">
+          <div className="p-6 space-y-4">
+            <div className="flex justify-between items-start">
+              <h3 className="text-lg font-semibold text-gray-900 pr-4">
+                {message?.subject || 'Email'}
+              </h3>
+              <button
+                onClick={onClose}
+                className="text-gray-400 hover:text-gray-500 transition-colors p-1"
+              >
+                <X className="h-5 w-5" />
+              </button>
+            </div>
+
+            {state.error && (
+              <div className="rounded-md bg-red-50 p-3 flex items-center text-sm text-red-700">
+                <AlertCircle className="h-5 w-5 mr-2 flex-shrink-0" />
+                {state.error}
+              </div>
+            )}
+            {state.notice && (
+              <div className="rounded-md bg-green-50 p-3 flex items-center text-sm text-green-700">
+                <CheckCircle className="h-5 w-5 mr-2 flex-shrink-0" />
+                {state.notice}
+              </div>
+            )}
+
+            {state.isLoading && (
+              <div className="flex items-center justify-center min-h-[200px]">
+                <LoadingSpinner />
+              </div>
+            )}
+
+            {message && (
+              <>
+                <dl className="grid grid-cols-1 sm:grid-cols-3 gap-4 text-sm">
+                  <div>
+                    <dt className="text-gray-500">To</dt>
+                    <dd className="font-medium text-gray-900 break-all">{message.to}</dd>
+                  </div>
+                  <div>
+                    <dt className="text-gray-500">Status</dt>
+                    <dd>
+                      <span className={`inline-flex px-2 py-0.5 rounded-full text-xs font-medium ${EMAIL_STATUS_STYLES[message.status]}`}>
+                        {EMAIL_STATUS_LABELS[message.status]}
+                      </span>
+                    </dd>
+                  </div>
+                  <div>
+                    <dt className="text-gray-500">Email</dt>
+                    <dd className="text-gray-900">{message.eventType}</dd>
+                  </div>
+                  <div>
+                    <dt className="text-gray-500">Queued</dt>
+                    <dd className="text-gray-900">{formatDateTime(message.createdAt)}</dd>
+                  </div>
+                  <div>
+                    <dt className="text-gray-500">{message.status === 'SENT' ? 'Sent' : 'Next attempt'}</dt>
+                    <dd className="text-gray-900">
+                      {message.status === 'SENT'
+                        ? formatDateTime(message.sentAt)
+                        : message.status === 'DEAD' ? 'None — gave up' : formatDateTime(message.nextAttemptAt)}
+                    </dd>
+                  </div>
+                  <div>
+                    <dt className="text-gray-500">Attempts</dt>
+                    <dd className="text-gray-900">{message.attempts} of {message.maxAttempts}</dd>
+                  </div>
+                  {message.requestedBy && (
+                    <div>
+                      <dt className="text-gray-500">Requested by</dt>
+                      <dd className="text-gray-900">
+                        {message.requestedBy.firstName} {message.requestedBy.lastName}
+                        {message.resendOf && ' (resend)'}
+                      </dd>
+                    </div>
+                  )}
+                </dl>
+
+                {/* Delivery Attempts */}
+                <div>
+                  <p className="text-sm font-medium text-gray-700 mb-2">Delivery attempts</p>
+                  {message.deliveryLog.length === 0 ? (
+                    <p className="text-sm text-gray-500">Not attempted yet.</p>
+                  ) : (
+                    <ul className="divide-y divide-gray-200 border border-gray-200 rounded-lg text-sm">
+                      {message.deliveryLog.map((attempt, index) => (
+                        <li key={attempt._id || index} className="px-4 py-2 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-1">
+                          <span className="text-gray-500">{formatDateTime(attempt.attemptedAt)}</span>
+                          {attempt.status === 'SENT' ? (
+                            <span className="text-green-700">Delivered in {attempt.durationMs} ms</span>
+                          ) : (
+                            <span className="text-red-600 break-all">
+                              {attempt.responseCode ? `${attempt.responseCode}: ` : ''}{attempt.error}
+                            </span>
+                          )}
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </div>
+
+                {/* Content */}
+                {message.sensitive ? (
+                  <p className="text-sm text-gray-500 border border-gray-200 rounded-lg p-4">
+                    This email held a one-time code, so its content is not kept and it cannot be resent.
+                  </p>
+                ) : (
+                  <div className="border border-gray-200 rounded-lg overflow-hidden">
+                    <iframe
+                      title="Email content"
+                      sandbox=""
+                      srcDoc={message.html}
+                      className="w-full h-[400px] bg-white"
+                    />
+                  </div>
+                )}
+
+                <div className="flex justify-end gap-3">
+                  <button
+                    type="button"
+                    onClick={onClose}
+                    className="px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-md hover:bg-gray-50"
+                  >
+                    Close
+                  </button>
+                  {canResend && (
+                    <button
+                      type="button"
+                      onClick={handleResend}
+                      disabled={state.isResending}
+                      className="inline-flex items-center px-4 py-2 text-sm font-medium text-white bg-[#254E58] rounded-md hover:bg-[#112D32] disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                      {state.isResending ? <Loader className="h-4 w-4 mr-2 animate-spin" /> : <RefreshCw className="h-4 w-4 mr-2" />}
+                      Resend
+                    </button>
+                  )}
+                </div>
+              </>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+EmailMessageDetail.propTypes = {
+  messageId: PropTypes.string.isRequired,
+  onClose: PropTypes.func.isRequired,
+  onResent: PropTypes.func.isRequired
+};
+
+export default EmailMessageDetail;
@@ -0,0 +1,374 @@
+// components/EmailTemplate/EmailTemplateEditor.js
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import PropTypes from 'prop-types';
+import { X, Loader, Send, RotateCcw, AlertCircle, CheckCircle } from 'lucide-react';
+import { previewEmailTemplate, sendTestEmail } from '../../services/api';
+
+const inputClassName = `mt-1 block w-full rounded-md border-gray-300 shadow-sm
+  focus:border-[#254E58] focus:ring-[#254E58] sm:text-sm`;
+
+const DEFAULT_LANGUAGE = 'en';
+
+// Start a language from its saved template, or from the English wording when it has none yet
+const toDraft = (templates, language) => {
+  const template = templates.find(t => t.language === language)
+    || templates.find(t => t.language === DEFAULT_LANGUAGE);
+
+  return {
+    subject: template?.subject || '',
+    body: template?.body || '',
+    isActive: template?.isActive ?? true,
+    exists: templates.some(t => t.language === language)
+  };
+};
+
+const EmailTemplateEditor = ({
+  event,
+  templates,
+  languages,
+  initialLanguage,
+  onSave,
+  onReset,
+  onClose
+}) => {
+  const bodyRef = useRef(null);
+  const [language, setLanguage] = useState(initialLanguage);
+  const [draft, setDraft] = useState(() => toDraft(templates, initialLanguage));
+  const [state, setState] = useState({
+    preview: null,
+    isPreviewing: false,
+    isSaving: false,
+    isSendingTest: false,
+    isResetting: false,
+    error: null,
+    message: null
+  });
+
+  const handleLanguageChange = (code) => {
+    setLanguage(code);
+    setDraft(toDraft(templates, code));
+    setState(prev => ({ ...prev, error: null, message: null }));
+  };
+
+  // Re-render the preview once the admin stops typing
+  useEffect(() => {
+    if (!draft.subject.trim() || !draft.body.trim()) return undefined;
+
+    let cancelled = false;
+    const timeout = setTimeout(async () => {
+      try {
+        setState(prev => ({ ...prev, isPreviewing: true }));
+        const preview = await previewEmailTemplate({
+          eventType: event.eventType,
+          subject: draft.subject,
+          body: draft.body
+        });
+        if (!cancelled) {
+          setState(prev => ({ ...prev, preview, isPreviewing: false }));
+        }
+      } catch (err) {
+        if (!cancelled) {
+          setState(prev => ({ ...prev, isPreviewing: false }));
+        }
+      }
+    }, 500);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timeout);
+    };
+  }, [event.eventType, draft.subject, draft.body]);
+
+  const insertVariable = useCallback((name) => {
+    const placeholder = `{{${name}}}`;
+    const textarea = bodyRef.current;
+
+    setDraft(prev => {
+      if (!textarea) return { ...prev, body: prev.body + placeholder };
+      const start = textarea.selectionStart;
+      const end = textarea.selectionEnd;
+      return { ...prev, body: prev.body.slice(0, start) + placeholder + prev.body.slice(end) };
+    });
+  }, []);
+
+  const handleSave = async () => {
+    try {
+      setState(prev => ({ ...prev, isSaving: true, error: null, message: null }));
+      await onSave(language, {
+        subject: draft.subject,
+        body: draft.body,
+        isActive: draft.isActive
+      });
+      setDraft(prev => ({ ...prev, exists: true }));
+      setState(prev => ({ ...prev, isSaving: false, message: 'Template saved' }));
+    } catch (err) {
+      setState(prev => ({
+        ...prev,
+        isSaving: false,
+        error: err?.msg || err?.errors?.[0]?.msg || 'Failed to save template'
+      }));
+    }
+  };
+
+  const handleReset = async () => {
+    try {
+      setState(prev => ({ ...prev, isResetting: true, error: null, message: null }));
+      const result = await onReset(language);
+      setDraft(toDraft(result.templates, language));
+      setState(prev => ({ ...prev, isResetting: false, message: result.msg }));
+    } catch (err) {
+      setState(prev => ({
+        ...prev,
+        isResetting: false,
+        error: err?.msg || 'Failed to reset template'
+      }));
+    }
+  };
+
+  const handleSendTest = async () => {
+    try {
+      setState(prev => ({ ...prev, isSendingTest: true, error: null, message: null }));
+      const result = await sendTestEmail({
+        eventType: event.eventType,
+        subject: draft.subject,
+        body: draft.body
+      });
+      setState(prev => ({ ...prev, isSendingTest: false, message: result.msg }));
+    } catch (err) {
+      setState(prev => ({
+        ...prev,
+        isSendingTest: false,
+        error: err?.msg || err?.errors?.[0]?.msg || 'Failed to send test email'
+      }));
+    }
+  };
+
+  const isBusy = state.isSaving || state.isSendingTest || state.isResetting;
+  const isEmpty = !draft.subject.trim() || !draft.body.trim();
+  const unknownVariables = state.preview?.unknownVariables || [];
+
+  return (
+    <div className="fixed inset-0 z-50 overflow-y-auto" role="dialog" aria-modal="true">
+      <div className="flex min-h-screen items-center justify-center p-4">
+        <div
+          className="fixed inset-0 bg-gray-500 bg-opacity-75 transition-opacity"
+          aria-hidden="true"
+          onClick={isBusy ? undefined : onClose}
+        />
+
+        <div className="relative transform overflow-hidden rounded-lg bg-white text-left shadow-xl w-full max-w-6xl">
+          <div className="p-6 space-y-4">
+            <div className="flex justify-between items-start">
+              <div>
+                <h3 className="text-lg font-semibold text-gray-900">{event.label}</h3>
+                <p className="text-sm text-gray-500">{event.description}</p>
+              </div>
+              <button
+                onClick={onClose}
+                disabled={isBusy}
+                className="text-gray-400 hover:text-gray-500 transition-colors disabled:opacity-50 p-1"
+              >
+                <X className="h-5 w-5" />
+              </button>
+            </div>
+
+            {/* Language Tabs */}
+            <div className="flex flex-wrap gap-2 border-b border-gray-200 pb-3">
+              {languages.map(({ code, label }) => {
+                const hasTemplate = templates.some(t => t.language === code);
+                return (
+                  <button
+                    key={code}
+                    type="button"
+                    onClick={() => handleLanguageChange(code)}
+                    disabled={isBusy}
+                    className={`px-3 py-1 rounded-full text-sm font-medium border ${
+                      language === code
+                        ? 'bg-[#254E58] text-white border-[#254E58]'
+                        : hasTemplate
+                          ? 'bg-white text-gray-700 border-gray-300 hover:bg-gray-50'
+                          : 'bg-white text-gray-400 border-dashed border-gray-300 hover:bg-gray-50'
+                    }`}
+                  >
+                    {label}
+                  </button>
+                );
+              })}
+            </div>
+
+            {!draft.exists && language !== DEFAULT_LANGUAGE && (
+              <p className="text-sm text-gray-500">
+                No {languages.find(l => l.code === language)?.label} version yet. Recipients get the
+                English email until you save a translation; the English wording is filled in below to start from.
+              </p>
+            )}
+
+            {state.error && (
+              <div className="rounded-md bg-red-50 p-3 flex items-center text-sm text-red-700">
+                <AlertCircle className="h-5 w-5 mr-2 flex-shrink-0" />
+                {state.error}
+              </div>
+            )}
+            {state.message && (
+              <div className="rounded-md bg-green-50 p-3 flex items-center text-sm text-green-700">
+                <CheckCircle className="h-5 w-5 mr-2 flex-shrink-0" />
+                {state.message}
+              </div>
+            )}
+
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+              {/* Editor */}
+              <div className="space-y-4">
+                <div>
+                  <label htmlFor="template-subject" className="block text-sm font-medium text-gray-700">Subject</label>
+                  <input
+                    id="template-subject"
+                    type="text"
+                    value={draft.subject}
+                    onChange={(e) => setDraft(prev => ({ ...prev, subject: e.target.value }))}
+                    className={inputClassName}
+                  />
+                </div>
+
+                <div>
+                  <label htmlFor="template-body" className="block text-sm font-medium text-gray-700">Body (HTML)</label>
+                  <textarea
+                    id="template-body"
+                    ref={bodyRef}
+                    rows={16}
+                    value={draft.body}
+                    onChange={(e) => setDraft(prev => ({ ...prev, body: e.target.value }))}
+                    className={`${inputClassName} font-mono text-xs`}
+                  />
+                  <p className="mt-1 text-xs text-gray-500">
+                    Wrap text in {'{{#name}}…{{/name}}'} to show it only when that variable has a value.
+                  </p>
+                </div>
+
+                <div>
+                  <p className="text-sm font-medium text-gray-700 mb-2">Variables</p>
+                  <div className="flex flex-wrap gap-2">
+                    {event.variables.map(variable => (
+                      <button
+                        key={variable.name}
+                        type="button"
+                        title={variable.description}
+                        onClick={() => insertVariable(variable.name)}
+                        className="px-2 py-1 rounded bg-gray-100 text-xs font-mono text-gray-700 hover:bg-[#88BDBC] hover:text-white"
+                      >
+                        {`{{${variable.name}}}`}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+
+                <label className="flex items-center space-x-2 text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={draft.isActive}
+                    onChange={(e) => setDraft(prev => ({ ...prev, isActive: e.target.checked }))}
+                    className="rounded border-gray-300 text-[#254E58] focus:ring-[#254E58]"
+                  />
+                  <span>Active (when off, the {language === DEFAULT_LANGUAGE ? 'built-in' : 'English'} email is sent instead)</span>
+                </label>
+              </div>
+
+              {/* Preview */}
+              <div className="space-y-2">
+                <div className="flex items-center justify-between">
+                  <p className="text-sm font-medium text-gray-700">Preview</p>
+                  {state.isPreviewing && <Loader className="h-4 w-4 animate-spin text-gray-400" />}
+                </div>
+                {unknownVariables.length > 0 && (
+                  <p className="text-xs text-red-600">
+                    Unknown variables: {unknownVariables.map(name => `{{${name}}}`).join(', ')}
+                  </p>
+                )}
+                <div className="border border-gray-200 rounded-lg overflow-hidden">
+                  <div className="px-3 py-2 bg-gray-50 border-b border-gray-200 text-sm">
+                    <span className="text-gray-500">Subject: </span>
+                    <span className="font-medium text-gray-900">{state.preview?.subject}</span>
+                  </div>
+                  <iframe
+                    title="Email preview"
+                    sandbox=""
+                    srcDoc={state.preview?.html || ''}
+                    className="w-full h-[480px] bg-white"
+                  />
+                </div>
+                <p className="text-xs text-gray-500">Shown with sample values.</p>
+              </div>
+            </div>
+
+            <div className="flex flex-col sm:flex-row sm:justify-between gap-3 pt-2 border-t border-gray-200">
+              <div className="flex gap-3">
+                <button
+                  type="button"
+                  onClick={handleSendTest}
+                  disabled={isBusy || isEmpty}
+                  className="inline-flex items-center px-4 py-2 text-sm font-medium text-[#254E58] bg-white border border-[#254E58] rounded-md hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  {state.isSendingTest ? <Loader className="h-4 w-4 mr-2 animate-spin" /> : <Send className="h-4 w-4 mr-2" />}
+                  Send test to me
+                </button>
+                {draft.exists && (
+                  <button
+                    type="button"
+                    onClick={handleReset}
+                    disabled={isBusy}
+                    className="inline-flex items-center px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-md hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    {state.isResetting ? <Loader className="h-4 w-4 mr-2 animate-spin" /> : <RotateCcw className="h-4 w-4 mr-2" />}
+                    {language === DEFAULT_LANGUAGE ? 'Reset to default' : 'Remove translation'}
+                  </button>
+                )}
+              </div>
+              <div className="flex gap-3 justify-end">
+                <button
+                  type="button"
+                  onClick={onClose}
+                  disabled={isBusy}
+                  className="px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-md hover:bg-gray-50"
+                >
+                  Close
+                </button>
+                <button
+                  type="button"
+                  onClick={handleSave}
+                  disabled={isBusy || isEmpty || unknownVariables.length > 0}
+                  className="inline-flex items-center px-4 py-2 text-sm font-medium text-white bg-[#254E58] rounded-md hover:bg-[#112D32] disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  {state.isSaving && <Loader className="h-4 w-4 mr-2 animate-spin" />}
+                  Save
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+EmailTemplateEditor.propTypes = {
+  event: PropTypes.shape({
+    eventType: PropTypes.string.isRequired,
+    label: PropTypes.string.isRequired,
+    description: PropTypes.string,
+    variables: PropTypes.arrayOf(PropTypes.shape({
+      name: PropTypes.string.isRequired,
+      description: PropTypes.string
+    })).isRequired
+  }).isRequired,
+  templates: PropTypes.arrayOf(PropTypes.object).isRequired,
+  languages: PropTypes.arrayOf(PropTypes.shape({
+    code: PropTypes.string.isRequired,
+    label: PropTypes.string.isRequired
+  })).isRequired,
+  initialLanguage: PropTypes.string.isRequired,
+  onSave: PropTypes.func.isRequired,
+  onReset: PropTypes.func.isRequired,
+  onClose: PropTypes.func.isRequired
+};
+
+export default EmailTemplateEditor;
@@ -0,0 +1,218 @@
+// components/EmailTemplate/EmailTemplateManagement.js
+import React, { useState, useEffect, useCallback } from 'react';
+import { AlertCircle, Mail, Edit, Globe } from 'lucide-react';
+import {
+  getEmailTemplateCatalog,
+  getEmailTemplates,
+  saveEmailTemplate,
+  resetEmailTemplate,
+  updateEmailSettings
+} from '../../services/api';
+
+import EmailTemplateEditor from './EmailTemplateEditor';
+import LoadingSpinner from '../common/LoadingSpinner';
+
+const EmailTemplateManagement = () => {
+  const [state, setState] = useState({
+    catalog: null,
+    templates: [],
+    isLoading: true,
+    error: null,
+    editingEvent: null,
+    isSavingSettings: false
+  });
+
+  const loadData = useCallback(async () => {
+    try {
+      setState(prev => ({ ...prev, isLoading: true, error: null }));
+
+      const [catalog, templates] = await Promise.all([
+        getEmailTemplateCatalog(),
+        getEmailTemplates()
+      ]);
+
+      setState(prev => ({
+        ...prev,
+        catalog,
+        templates,
+        isLoading: false
+      }));
+    } catch (err) {
+      console.error('Error loading email templates:', err);
+      setState(prev => ({
+        ...prev,
+        error: 'Failed to load email templates. Please try again.',
+        isLoading: false
+      }));
+    }
+  }, []);
+
+  useEffect(() => {
+    loadData();
+  }, [loadData]);
+
+  const templatesFor = (eventType, templates = state.templates) =>
+    templates.filter(template => template.eventType === eventType);
+
+  // Errors are shown inside the editor, so let them propagate
+  const handleSave = async (language, values) => {
+    const saved = await saveEmailTemplate(state.editingEvent.eventType, language, values);
+    setState(prev => ({
+      ...prev,
+      templates: [
+        ...prev.templates.filter(t => !(t.eventType === saved.eventType && t.language === saved.language)),
+        saved
+      ]
+    }));
+  };
+
+  const handleReset = async (language) => {
+    const { eventType } = state.editingEvent;
+    const result = await resetEmailTemplate(eventType, language);
+    const templates = [
+      ...state.templates.filter(t => !(t.eventType === eventType && t.language === language)),
+      ...(result.template ? [result.template] : [])
+    ];
+
+    setState(prev => ({ ...prev, templates }));
+    return { msg: result.msg, templates: templatesFor(eventType, templates) };
+  };
+
+  const handleDefaultLanguageChange = async (defaultLanguage) => {
+    try {
+      setState(prev => ({ ...prev, isSavingSettings: true, error: null }));
+      const settings = await updateEmailSettings({ defaultLanguage });
+      setState(prev => ({
+        ...prev,
+        catalog: { ...prev.catalog, defaultLanguage: settings.defaultLanguage },
+        isSavingSettings: false
+      }));
+    } catch (err) {
+      console.error('Error updating email settings:', err);
+      setState(prev => ({
+        ...prev,
+        error: err?.msg || 'Failed to update the default language.',
+        isSavingSettings: false
+      }));
+    }
+  };
+
+  if (state.isLoading) {
+    return (
+      <div className="flex items-center justify-center min-h-[400px]">
+        <LoadingSpinner />
+      </div>
+    );
+  }
+
+  const languageLabel = (code) =>
+    state.catalog?.languages.find(language => language.code === code)?.label || code;
+
+  return (
+    <div className="space-y-6">
+      {/* Header Section */}
+      <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Email Templates</h1>
+          <p className="mt-1 text-sm text-gray-500">
+            Edit the wording of the emails ResolveSuite sends and add translations.
+            Users receive their chosen language, or the organization default.
+          </p>
+        </div>
+
+        {state.catalog && (
+          <label className="flex items-center space-x-2 text-sm text-gray-700">
+            <Globe className="h-4 w-4 text-gray-500" />
+            <span>Default language</span>
+            <select
+              value={state.catalog.defaultLanguage}
+              onChange={(e) => handleDefaultLanguageChange(e.target.value)}
+              disabled={state.isSavingSettings}
+              className="rounded-md border-gray-300 shadow-sm focus:border-[#254E58] focus:ring-[#254E58] sm:text-sm"
+            >
+              {state.catalog.languages.map(language => (
+                <option key={language.code} value={language.code}>{language.label}</option>
+              ))}
+            </select>
+          </label>
+        )}
+      </div>
+
+      {/* Error Display */}
+      {state.error && (
+        <div className="rounded-md bg-red-50 p-4 flex items-center border border-red-200">
+          <AlertCircle className="h-5 w-5 text-red-400 mr-2" />
+          <span className="text-sm text-red-700">{state.error}</span>
+        </div>
+      )}
+
+      {/* List Section */}
+      {state.catalog && (
+        <div className="bg-white shadow-sm border border-gray-200 rounded-lg overflow-hidden">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Email</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Languages</th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {state.catalog.events.map(event => (
+                <tr key={event.eventType} className="hover:bg-gray-50">
+                  <td className="px-6 py-4">
+                    <div className="flex items-center">
+                      <Mail className="h-5 w-5 text-[#254E58] mr-3 flex-shrink-0" />
+                      <div>
+                        <p className="text-sm font-medium text-gray-900">{event.label}</p>
+                        <p className="text-sm text-gray-500">{event.description}</p>
+                      </div>
+                    </div>
+                  </td>
+                  <td className="px-6 py-4">
+                    <div className="flex flex-wrap gap-1">
+                      {templatesFor(event.eventType).map(template => (
+                        <span
+                          key={template.language}
+                          className={`px-2 py-0.5 rounded-full text-xs font-medium ${
+                            template.isActive ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-500'
+                          }`}
+                        >
+                          {languageLabel(template.language)}
+                        </span>
+                      ))}
+                    </div>
+                  </td>
+                  <td className="px-6 py-4 text-right">
+                    <button
+                      onClick={() => setState(prev => ({ ...prev, editingEvent: event }))}
+                      className="inline-flex items-center text-sm font-medium text-[#254E58] hover:text-[#112D32]"
+                    >
+                      <Edit className="h-4 w-4 mr-1" />
+                      Edit
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {/* Editor Modal */}
+      {state.editingEvent && (
+        <EmailTemplateEditor
+          event={state.editingEvent}
+          templates={templatesFor(state.editingEvent.eventType)}
+          languages={state.catalog.languages}
+          initialLanguage={state.catalog.defaultLanguage}
+          onSave={handleSave}
+          onReset={handleReset}
+          onClose={() => setState(prev => ({ ...prev, editingEvent: null }))}
+        />
+      )}
+    </div>
+  );
+};
+
+export default EmailTemplateManagement;
@@ -0,0 +1,353 @@
+// components/EscalationRule/EscalationRuleForm.js
+import React from "react";
+import PropTypes from "prop-types";
+import { Formik, Form, Field } from "formik";
+import * as Yup from "yup";
+import { Loader } from "lucide-react";
+import FormField from "../common/FormField";
+
+export const CONDITION_TYPES = [
+  {
+    value: "TIME_BASED",
+    label: "Time in stage exceeds",
+    hint: "Fires when a complaint stays in the From stage longer than the given time.",
+  },
+  {
+    value: "NO_ACTIVITY",
+    label: "No activity for N hours",
+    hint: "Fires when nobody has commented, updated or moved the complaint for the given hours.",
+  },
+  {
+    value: "URGENT_UNASSIGNED",
+    label: "Urgent and unassigned",
+    hint: "Fires when an Urgent complaint has no assignee, optionally after a grace period.",
+  },
+  {
+    value: "LOW_RATING_REOPEN",
+    label: "Low rating on reopen",
+    hint: "Fires when a reopened complaint was previously rated below the threshold.",
+  },
+];
+
+const selectClassName = `mt-1 block w-full rounded-md border-gray-300 shadow-sm
+  focus:border-[#254E58] focus:ring-[#254E58] sm:text-sm`;
+
+// Treat empty inputs as "not set" rather than as an invalid number
+const numberField = () =>
+  Yup.number()
+    .typeError("Must be a number")
+    .transform((value, originalValue) => (originalValue === "" ? undefined : value));
+
+const validationSchema = Yup.object({
+  name: Yup.string()
+    .required("Name is required")
+    .max(100, "Name must not exceed 100 characters"),
+  complaintTypeId: Yup.string().required("Complaint type is required"),
+  fromStage: Yup.string().required("From stage is required"),
+  toStage: Yup.string()
+    .required("To stage is required")
+    .notOneOf([Yup.ref("fromStage")], "To stage must differ from the From stage"),
+  conditionType: Yup.string().required("Condition is required"),
+  duration: numberField().when("conditionType", {
+    is: "TIME_BASED",
+    then: (schema) => schema.required("Duration is required").positive("Must be positive"),
+  }),
+  hours: numberField().when("conditionType", {
+    is: "NO_ACTIVITY",
+    then: (schema) => schema.required("Hours are required").positive("Must be positive"),
+    otherwise: (schema) => schema.min(0, "Must be zero or more"),
+  }),
+  rating: numberField().when("conditionType", {
+    is: "LOW_RATING_REOPEN",
+    then: (schema) => schema.required("Rating is required").min(2).max(5),
+  }),
+});
+
+// Flatten a rule's conditionValue into form fields
+const toFormValues = (rule) => ({
+  name: rule?.name || "",
+  description: rule?.description || "",
+  complaintTypeId: rule?.complaintTypeId?._id || rule?.complaintTypeId || "",
+  fromStage: rule?.fromStage || "",
+  toStage: rule?.toStage || "",
+  conditionType: rule?.conditionType || "TIME_BASED",
+  duration: rule?.conditionValue?.duration ?? 24,
+  unit: rule?.conditionValue?.unit || "hours",
+  hours: rule?.conditionValue?.hours ?? "",
+  rating: rule?.conditionValue?.rating ?? 3,
+  isActive: rule?.isActive ?? true,
+});
+
+// Build the API payload from form fields
+const toRulePayload = (values) => {
+  const conditionValue = {
+    TIME_BASED: { duration: Number(values.duration), unit: values.unit },
+    NO_ACTIVITY: { hours: Number(values.hours) },
+    URGENT_UNASSIGNED: values.hours !== "" ? { hours: Number(values.hours) } : {},
+    LOW_RATING_REOPEN: { rating: Number(values.rating) },
+  }[values.conditionType];
+
+  return {
+    name: values.name,
+    description: values.description,
+    complaintTypeId: values.complaintTypeId,
+    fromStage: values.fromStage,
+    toStage: values.toStage,
+    conditionType: values.conditionType,
+    conditionValue,
+    isActive: values.isActive,
+  };
+};
+
+const EscalationRuleForm = ({
+  onSubmit,
+  onCancel,
+  initialValues = null,
+  complaintTypes = [],
+  workflows = [],
+}) => {
+  // Stages of every workflow attached to the selected complaint type
+  const getStageOptions = (complaintTypeId) => {
+    const seen = new Set();
+    return workflows
+      .filter((w) => (w.complaintTypeId?._id || w.complaintTypeId) === complaintTypeId)
+      .flatMap((w) =>
+        [...w.stages]
+          .sort((a, b) => a.order - b.order)
+          .map((stage) => ({ ...stage, workflowName: w.name }))
+      )
+      .filter((stage) => {
+        if (seen.has(stage.id)) return false;
+        seen.add(stage.id);
+        return true;
+      });
+  };
+
+  return (
+    <Formik
+      initialValues={toFormValues(initialValues)}
+      validationSchema={validationSchema}
+      onSubmit={(values, helpers) => onSubmit(toRulePayload(values), helpers)}
+      enableReinitialize
+    >
+      {({ values, errors, touched, isSubmitting, handleChange, handleBlur, setFieldValue }) => {
+        const stageOptions = getStageOptions(values.complaintTypeId);
+        const condition = CONDITION_TYPES.find((c) => c.value === values.conditionType);
+
+        return (
+          <Form className="space-y-6">
+            <FormField
+              label="Rule Name"
+              name="name"
+              placeholder="e.g. Urgent IT issue not picked up"
+              error={errors.name}
+              touched={touched.name}
+              required
+            />
+
+            <FormField
+              label="Description"
+              name="description"
+              placeholder="Optional notes for other administrators"
+            />
+
+            <div className="space-y-1">
+              <label htmlFor="complaintTypeId" className="block text-sm font-medium text-gray-700">
+                Complaint Type <span className="text-red-500">*</span>
+              </label>
+              <select
+                id="complaintTypeId"
+                name="complaintTypeId"
+                className={selectClassName}
+                value={values.complaintTypeId}
+                onChange={(e) => {
+                  handleChange(e);
+                  setFieldValue("fromStage", "");
+                  setFieldValue("toStage", "");
+                }}
+                onBlur={handleBlur}
+              >
+                <option value="">Select Complaint Type</option>
+                {complaintTypes.map((type) => (
+                  <option key={type._id} value={type._id}>
+                    {type.name}
+                  </option>
+                ))}
+              </select>
+              {errors.complaintTypeId && touched.complaintTypeId && (
+                <p className="mt-1 text-sm text-red-500">{errors.complaintTypeId}</p>
+              )}
+              {values.complaintTypeId && stageOptions.length === 0 && (
+                <p className="mt-1 text-sm text-yellow-700">
+                  This complaint type has no workflow yet. Create one before adding rules.
+                </p>
+              )}
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              {[
+                { name: "fromStage", label: "From Stage" },
+                { name: "toStage", label: "Escalate To Stage" },
+              ].map((field) => (
+                <div key={field.name} className="space-y-1">
+                  <label htmlFor={field.name} className="block text-sm font-medium text-gray-700">
+                    {field.label} <span className="text-red-500">*</span>
+                  </label>
+                  <select
+                    id={field.name}
+                    name={field.name}
+                    className={selectClassName}
+                    value={values[field.name]}
+                    onChange={handleChange}
+                    onBlur={handleBlur}
+                    disabled={stageOptions.length === 0}
+                  >
+                    <option value="">Select Stage</option>
+                    {stageOptions.map((stage) => (
+                      <option key={stage.id} value={stage.id}>
+                        {stage.name} ({stage.workflowName})
+                      </option>
+                    ))}
+                  </select>
+                  {errors[field.name] && touched[field.name] && (
+                    <p className="mt-1 text-sm text-red-500">{errors[field.name]}</p>
+                  )}
+                </div>
+              ))}
+            </div>
+
+            <div className="space-y-1">
+              <label htmlFor="conditionType" className="block text-sm font-medium text-gray-700">
+                Condition <span className="text-red-500">*</span>
+              </label>
+              <select
+                id="conditionType"
+                name="conditionType"
+                className={selectClassName}
+                value={values.conditionType}
+                onChange={handleChange}
+                onBlur={handleBlur}
+              >
+                {CONDITION_TYPES.map((c) => (
+                  <option key={c.value} value={c.value}>
+                    {c.label}
+                  </option>
+                ))}
+              </select>
+              {condition && <p className="mt-1 text-sm text-gray-500">{condition.hint}</p>}
+            </div>
+
+            {values.conditionType === "TIME_BASED" && (
+              <div className="grid grid-cols-2 gap-4">
+                <FormField
+                  label="Duration"
+                  name="duration"
+                  type="number"
+                  min="1"
+                  error={errors.duration}
+                  touched={touched.duration}
+                  required
+                />
+                <div className="space-y-1">
+                  <label htmlFor="unit" className="block text-sm font-medium text-gray-700">
+                    Unit
+                  </label>
+                  <Field as="select" id="unit" name="unit" className={selectClassName}>
+                    <option value="minutes">Minutes</option>
+                    <option value="hours">Hours</option>
+                    <option value="days">Days</option>
+                  </Field>
+                </div>
+              </div>
+            )}
+
+            {(values.conditionType === "NO_ACTIVITY" ||
+              values.conditionType === "URGENT_UNASSIGNED") && (
+              <FormField
+                label={
+                  values.conditionType === "NO_ACTIVITY"
+                    ? "Hours without activity"
+                    : "Grace period (hours)"
+                }
+                name="hours"
+                type="number"
+                min="0"
+                error={errors.hours}
+                touched={touched.hours}
+                required={values.conditionType === "NO_ACTIVITY"}
+              />
+            )}
+
+            {values.conditionType === "LOW_RATING_REOPEN" && (
+              <FormField
+                label="Fire when rating is below"
+                name="rating"
+                type="number"
+                min="2"
+                max="5"
+                error={errors.rating}
+                touched={touched.rating}
+                required
+              />
+            )}
+
+            <label className="flex items-center space-x-2 text-sm text-gray-700">
+              <Field
+                type="checkbox"
+                name="isActive"
+                className="rounded border-gray-300 text-[#254E58] focus:ring-[#254E58]"
+              />
+              <span>Rule is active</span>
+            </label>
+
+            <div className="flex justify-end space-x-3 pt-4">
+              <button
+                type="button"
+                onClick={onCancel}
+                className="px-4 py-2 text-gray-700 bg-white border border-gray-300
+                  rounded-lg hover:bg-gray-50 focus:outline-none focus:ring-2
+                  focus:ring-offset-2 focus:ring-[#254E58]"
+                disabled={isSubmitting}
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                disabled={isSubmitting}
+                className="inline-flex items-center px-4 py-2 text-white
+                  bg-[#254E58] rounded-lg hover:bg-[#1a3940]
+                  focus:outline-none focus:ring-2 focus:ring-offset-2
+                  focus:ring-[#254E58] disabled:opacity-50
+                  disabled:cursor-not-allowed"
+              >
+                {isSubmitting ? (
+                  <>
+                    <Loader className="w-4 h-4 mr-2 animate-spin" />
+                    Saving...
+                  </>
+                ) : (
+                  "Save"
+                )}
+              </button>
+            </div>
+          </Form>
+        );
+      }}
+    </Formik>
+  );
+};
+
+EscalationRuleForm.propTypes = {
+  onSubmit: PropTypes.func.isRequired,
+  onCancel: PropTypes.func.isRequired,
+  initialValues: PropTypes.object,
+  complaintTypes: PropTypes.arrayOf(
+    PropTypes.shape({
+      _id: PropTypes.string.isRequired,
+      name: PropTypes.string.isRequired,
+    })
+  ).isRequired,
+  workflows: PropTypes.array.isRequired,
+};
+
+export default EscalationRuleForm;
@@ -0,0 +1,139 @@
+// components/EscalationRule/EscalationRuleList.js
+import React from "react";
+import PropTypes from "prop-types";
+import { ArrowRight, Pen, Trash2 } from "lucide-react";
+import { CONDITION_TYPES } from "./EscalationRuleForm";
+
+// Describe a rule's condition the same way the server logs it
+const describeCondition = (rule) => {
+  const value = rule.conditionValue || {};
+
+  switch (rule.conditionType) {
+    case "TIME_BASED":
+      return `In stage for more than ${value.duration} ${value.unit || "hours"}`;
+    case "NO_ACTIVITY":
+      return `No activity for ${value.hours} hours`;
+    case "URGENT_UNASSIGNED":
+      return value.hours
+        ? `Urgent and unassigned for ${value.hours} hours`
+        : "Urgent and unassigned";
+    case "LOW_RATING_REOPEN":
+      return `Reopened after a rating below ${value.rating}`;
+    default:
+      return CONDITION_TYPES.find((c) => c.value === rule.conditionType)?.label || rule.conditionType;
+  }
+};
+
+const EscalationRuleList = ({ rules, getStageName, onEdit, onDelete, onToggleActive }) => {
+  if (!rules?.length) {
+    return (
+      <div className="text-center py-12 bg-gray-50 rounded-lg">
+        <p className="text-gray-500 text-lg">
+          No escalation rules found. Create your first rule to get started.
+        </p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-white shadow rounded-lg overflow-hidden">
+      <div className="overflow-x-auto">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">
+                Rule
+              </th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">
+                Stages
+              </th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">
+                Condition
+              </th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">
+                Fired
+              </th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">
+                Status
+              </th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">
+                Actions
+              </th>
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {rules.map((rule) => (
+              <tr key={rule._id} className="hover:bg-gray-50">
+                <td className="px-6 py-4">
+                  <div className="text-sm font-medium text-gray-900">
+                    {rule.name || "Unnamed rule"}
+                  </div>
+                  <div className="text-sm text-gray-500">
+                    {rule.complaintTypeId?.name || "Unknown type"}
+                  </div>
+                </td>
+                <td className="px-6 py-4 whitespace-nowrap">
+                  <div className="flex items-center text-sm text-gray-700">
+                    <span>{getStageName(rule, rule.fromStage)}</span>
+                    <ArrowRight className="h-4 w-4 mx-2 text-gray-400" />
+                    <span>{getStageName(rule, rule.toStage)}</span>
+                  </div>
+                </td>
+                <td className="px-6 py-4 text-sm text-gray-500">
+                  {describeCondition(rule)}
+                </td>
+                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                  <div>{rule.fireCount || 0} time(s)</div>
+                  {rule.lastFiredAt && (
+                    <div className="text-xs text-gray-400">
+                      Last: {new Date(rule.lastFiredAt).toLocaleString()}
+                    </div>
+                  )}
+                </td>
+                <td className="px-6 py-4 whitespace-nowrap">
+                  <button
+                    onClick={() => onToggleActive(rule)}
+                    className={`px-2 py-1 text-xs font-medium rounded-full ${
+                      rule.isActive
+                        ? "bg-green-100 text-green-800"
+                        : "bg-gray-100 text-gray-600"
+                    }`}
+                    title={rule.isActive ? "Click to disable" : "Click to enable"}
+                  >
+                    {rule.isActive ? "Active" : "Disabled"}
+                  </button>
+                </td>
+                <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
+                  <button
+                    onClick={() => onEdit(rule)}
+                    className="text-indigo-600 hover:text-indigo-900 mr-4"
+                    title={`Edit ${rule.name || "rule"}`}
+                  >
+                    <Pen className="h-4 w-4" />
+                  </button>
+                  <button
+                    onClick={() => onDelete(rule)}
+                    className="text-red-600 hover:text-red-900"
+                    title={`Delete ${rule.name || "rule"}`}
+                  >
+                    <Trash2 className="h-4 w-4" />
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+EscalationRuleList.propTypes = {
+  rules: PropTypes.array.isRequired,
+  getStageName: PropTypes.func.isRequired,
+  onEdit: PropTypes.func.isRequired,
+  onDelete: PropTypes.func.isRequired,
+  onToggleActive: PropTypes.func.isRequired,
+};
+
+export default EscalationRuleList;
@@ -0,0 +1,283 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { AlertCircle, AlertTriangle, Plus, Zap } from 'lucide-react';
+import {
+  getEscalationRules,
+  createEscalationRule,
+  updateEscalationRule,
+  deleteEscalationRule,
+  getComplaintTypes,
+  getWorkflows
+} from '../../services/api';
+
+import EscalationRuleForm from './EscalationRuleForm';
+import EscalationRuleList from './EscalationRuleList';
+import DeleteConfirmationModal from '../common/DeleteConfirmationModal';
+import LoadingSpinner from '../common/LoadingSpinner';
+
+const EscalationRuleManagement = () => {
+  const [state, setState] = useState({
+    rules: [],
+    complaintTypes: [],
+    workflows: [],
+    isLoading: true,
+    error: null,
+    showForm: false,
+    editingRule: null,
+    deleteConfirmOpen: false,
+    ruleToDelete: null,
+    isDeleting: false
+  });
+
+  const loadData = useCallback(async () => {
+    try {
+      setState(prev => ({ ...prev, isLoading: true, error: null }));
+
+      const [rules, types, workflows] = await Promise.all([
+        getEscalationRules(),
+        getComplaintTypes(),
+        getWorkflows()
+      ]);
+
+      setState(prev => ({
+        ...prev,
+        rules,
+        complaintTypes: types,
+        workflows,
+        isLoading: false
+      }));
+    } catch (err) {
+      console.error('Error loading escalation rules:', err);
+      setState(prev => ({
+        ...prev,
+        error: 'Failed to load escalation rules. Please try again.',
+        isLoading: false
+      }));
+    }
+  }, []);
+
+  useEffect(() => {
+    loadData();
+  }, [loadData]);
+
+  // Resolve a stage ID to its name using the workflows of the rule's complaint type
+  const getStageName = (rule, stageId) => {
+    const complaintTypeId = rule.complaintTypeId?._id || rule.complaintTypeId;
+    for (const workflow of state.workflows) {
+      if ((workflow.complaintTypeId?._id || workflow.complaintTypeId) !== complaintTypeId) continue;
+      const stage = workflow.stages.find(s => s.id === stageId);
+      if (stage) return stage.name;
+    }
+    return stageId;
+  };
+
+  const handleSubmit = async (values, { setSubmitting }) => {
+    try {
+      setState(prev => ({ ...prev, error: null }));
+
+      if (state.editingRule) {
+        await updateEscalationRule(state.editingRule._id, values);
+      } else {
+        await createEscalationRule(values);
+      }
+
+      await loadData();
+      handleCloseForm();
+    } catch (err) {
+      console.error('Error saving escalation rule:', err);
+      setState(prev => ({
+        ...prev,
+        error: err?.msg || `Failed to ${state.editingRule ? 'update' : 'create'} escalation rule.`
+      }));
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleCloseForm = () => {
+    setState(prev => ({
+      ...prev,
+      showForm: false,
+      editingRule: null
+    }));
+  };
+
+  const handleToggleActive = async (rule) => {
+    try {
+      setState(prev => ({ ...prev, error: null }));
+      const updated = await updateEscalationRule(rule._id, { isActive: !rule.isActive });
+      setState(prev => ({
+        ...prev,
+        rules: prev.rules.map(r => (r._id === rule._id ? { ...r, isActive: updated.isActive } : r))
+      }));
+    } catch (err) {
+      console.error('Error toggling escalation rule:', err);
+      setState(prev => ({
+        ...prev,
+        error: err?.msg || 'Failed to update escalation rule.'
+      }));
+    }
+  };
+
+  const handleDelete = async () => {
+    try {
+      setState(prev => ({ ...prev, isDeleting: true, error: null }));
+      await deleteEscalationRule(state.ruleToDelete._id);
+      await loadData();
+      setState(prev => ({
+        ...prev,
+        deleteConfirmOpen: false,
+        ruleToDelete: null,
+        isDeleting: false
+      }));
+    } catch (err) {
+      console.error('Error deleting escalation rule:', err);
+      setState(prev => ({
+        ...prev,
+        error: 'Failed to delete escalation rule.',
+        isDeleting: false
+      }));
+    }
+  };
+
+  if (state.isLoading) {
+    return (
+      <div className="flex items-center justify-center min-h-[400px]">
+        <LoadingSpinner />
+      </div>
+    );
+  }
+
+  const stats = {
+    total: state.rules.length,
+    active: state.rules.filter(rule => rule.isActive).length,
+    fired: state.rules.reduce((sum, rule) => sum + (rule.fireCount || 0), 0)
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Header Section */}
+      <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Escalation Rules</h1>
+          <p className="mt-1 text-sm text-gray-500">
+            Automatically move and escalate complaints that meet a condition
+          </p>
+        </div>
+
+        <button
+          onClick={() => setState(prev => ({ ...prev, showForm: true }))}
+          className="inline-flex items-center px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-[#254E58] hover:bg-[#112D32] focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-[#254E58]"
+        >
+          <Plus className="h-4 w-4 mr-2" />
+          Add Escalation Rule
+        </button>
+      </div>
+
+      {/* Statistics Section */}
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-4">
+          <div className="flex items-center justify-between">
+            <div>
+              <p className="text-sm font-medium text-gray-500">Total Rules</p>
+              <p className="mt-1 text-2xl font-semibold text-gray-900">{stats.total}</p>
+            </div>
+            <div className="p-3 rounded-full bg-blue-100 text-blue-600">
+              <AlertTriangle className="h-5 w-5" />
+            </div>
+          </div>
+        </div>
+        <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-4">
+          <div className="flex items-center justify-between">
+            <div>
+              <p className="text-sm font-medium text-gray-500">Active Rules</p>
+              <p className="mt-1 text-2xl font-semibold text-gray-900">{stats.active}</p>
+            </div>
+            <div className="p-3 rounded-full bg-green-100 text-green-600">
+              <AlertTriangle className="h-5 w-5" />
+            </div>
+          </div>
+        </div>
+        <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-4">
+          <div className="flex items-center justify-between">
+            <div>
+              <p className="text-sm font-medium text-gray-500">Times Fired</p>
+              <p className="mt-1 text-2xl font-semibold text-gray-900">{stats.fired}</p>
+            </div>
+            <div className="p-3 rounded-full bg-orange-100 text-orange-600">
+              <Zap className="h-5 w-5" />
+            </div>
+          </div>
+        </div>
+      </div>
+
+      {/* Error Display */}
+      {state.error && (
+        <div className="rounded-md bg-red-50 p-4 flex items-center border border-red-200">
+          <AlertCircle className="h-5 w-5 text-red-400 mr-2" />
+          <span className="text-sm text-red-700">{state.error}</span>
+        </div>
+      )}
+
+      {/* Form Modal */}
+      {state.showForm && (
+        <div className="fixed inset-0 z-50 overflow-y-auto">
+          <div className="flex min-h-screen items-center justify-center p-4">
+            <div
+              className="fixed inset-0 bg-gray-500 bg-opacity-75 transition-opacity"
+              onClick={handleCloseForm}
+            />
+            <div className="relative transform overflow-hidden rounded-lg bg-white shadow-xl w-full max-w-2xl">
+              <div className="p-6">
+                <h3 className="text-lg font-semibold text-gray-900 mb-4">
+                  {state.editingRule ? 'Edit Escalation Rule' : 'Create New Escalation Rule'}
+                </h3>
+                <EscalationRuleForm
+                  onSubmit={handleSubmit}
+                  onCancel={handleCloseForm}
+                  initialValues={state.editingRule}
+                  complaintTypes={state.complaintTypes}
+                  workflows={state.workflows}
+                />
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* List Section */}
+      <div className="bg-white shadow-sm border border-gray-200 rounded-lg">
+        <EscalationRuleList
+          rules={state.rules}
+          getStageName={getStageName}
+          onEdit={(rule) => setState(prev => ({
+            ...prev,
+            editingRule: rule,
+            showForm: true
+          }))}
+          onDelete={(rule) => setState(prev => ({
+            ...prev,
+            ruleToDelete: rule,
+            deleteConfirmOpen: true
+          }))}
+          onToggleActive={handleToggleActive}
+        />
+      </div>
+
+      {/* Delete Confirmation Modal */}
+      <DeleteConfirmationModal
+        isOpen={state.deleteConfirmOpen}
+        onClose={() => setState(prev => ({
+          ...prev,
+          deleteConfirmOpen: false,
+          ruleToDelete: null
+        }))}
+        onConfirm={handleDelete}
+        title="Delete Escalation Rule"
+        itemName={state.ruleToDelete?.name}
+        isDeleting={state.isDeleting}
+      />
+    </div>
+  );
+};
+
+export default EscalationRuleManagement;
@@ -1,13 +1,14 @@
 // components/Admin/FeedbackStats.js
 import React, { useState, useEffect } from 'react';
-import { Star, MessageSquare, TrendingUp, BarChart3 } from 'lucide-react';
+import { Star, MessageSquare, TrendingUp, BarChart3, RotateCcw } from 'lucide-react';
 import { getFeedbackStats } from '../../services/api';
 
 const FeedbackStats = () => {
   const [stats, setStats] = useState({
     totalFeedback: 0,
     averageRating: 0,
-    ratingDistribution: []
+    ratingDistribution: [],
+    reopenStats: []
   });
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState('');
@@ -181,6 +182,47 @@ const FeedbackStats = () => {
             </div>
           </div>
         )}
+
+        {/* Reopen Rates */}
+        {stats.reopenStats?.length > 0 && (
+          <div className="mt-6">
+            <h4 className="text-md font-medium text-gray-800 mb-4 flex items-center">
+              <RotateCcw className="mr-2" size={20} />
+              Reopen Rate by Department
+            </h4>
+            <div className="overflow-x-auto border rounded-lg">
+              <table className="min-w-full divide-y divide-gray-200 text-sm">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Department</th>
+                    <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Resolved</th>
+                    <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Reopened</th>
+                    <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Reopen Rate</th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {stats.reopenStats.map((row) => (
+                    <tr key={row.departmentId}>
+                      <td className="px-4 py-2 text-gray-900">{row.departmentName}</td>
+                      <td className="px-4 py-2 text-right text-gray-600">{row.resolvedComplaints}</td>
+                      <td className="px-4 py-2 text-right text-gray-600">
+                        {row.reopenedComplaints}
+                        {row.totalReopens > row.reopenedComplaints && (
+                          <span className="text-xs text-gray-400"> ({row.totalReopens} times)</span>
+                        )}
+                      </td>
+                      <td className={`px-4 py-2 text-right font-medium ${
+                        row.reopenRate >= 20 ? 'text-red-600' : row.reopenRate >= 10 ? 'text-yellow-600' : 'text-green-600'
+                      }`}>
+                        {row.reopenRate}%
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,192 @@
+// components/Role/RoleForm.js
+import React from "react";
+import PropTypes from "prop-types";
+import { Formik, Form, Field } from "formik";
+import * as Yup from "yup";
+import { Loader } from "lucide-react";
+import FormField from "../common/FormField";
+
+export const BASE_ROLES = [
+  { value: "Student", label: "Student" },
+  { value: "Faculty", label: "Faculty" },
+  { value: "DepartmentUser", label: "Department User" },
+];
+
+const selectClassName = `mt-1 block w-full rounded-md border-gray-300 shadow-sm
+  focus:border-[#254E58] focus:ring-[#254E58] sm:text-sm`;
+
+const validationSchema = Yup.object({
+  name: Yup.string()
+    .trim()
+    .required("Name is required")
+    .max(60, "Name must not exceed 60 characters"),
+  baseRole: Yup.string().required("Base role is required"),
+  permissions: Yup.array().of(Yup.string()),
+});
+
+const toFormValues = (role) => ({
+  name: role?.name || "",
+  description: role?.description || "",
+  baseRole: role?.baseRole || "Student",
+  permissions: role?.permissions || [],
+});
+
+const RoleForm = ({ onSubmit, onCancel, initialValues = null, permissionCatalog = [] }) => {
+  const isSystem = !!initialValues?.isSystem;
+
+  // Keep the catalog order, grouped under the headings the server defines
+  const groups = permissionCatalog.reduce((acc, permission) => {
+    (acc[permission.group] = acc[permission.group] || []).push(permission);
+    return acc;
+  }, {});
+
+  return (
+    <Formik
+      initialValues={toFormValues(initialValues)}
+      validationSchema={validationSchema}
+      onSubmit={onSubmit}
+      enableReinitialize
+    >
+      {({ values, errors, touched, isSubmitting, setFieldValue }) => {
+        const toggleGroup = (permissions, checked) => {
+          const keys = permissions.map((p) => p.key);
+          setFieldValue(
+            "permissions",
+            checked
+              ? [...new Set([...values.permissions, ...keys])]
+              : values.permissions.filter((key) => !keys.includes(key))
+          );
+        };
+
+        return (
+          <Form className="space-y-6">
+            <FormField
+              label="Role Name"
+              name="name"
+              placeholder="e.g. Hostel Warden"
+              error={errors.name}
+              touched={touched.name}
+              disabled={isSystem}
+              required
+            />
+
+            <FormField
+              label="Description"
+              name="description"
+              placeholder="What this role is for"
+            />
+
+            <div className="space-y-1">
+              <label htmlFor="baseRole" className="block text-sm font-medium text-gray-700">
+                Based On <span className="text-red-500">*</span>
+              </label>
+              <Field
+                as="select"
+                id="baseRole"
+                name="baseRole"
+                className={selectClassName}
+                disabled={isSystem}
+              >
+                {BASE_ROLES.map((role) => (
+                  <option key={role.value} value={role.value}>
+                    {role.label}
+                  </option>
+                ))}
+              </Field>
+              <p className="mt-1 text-sm text-gray-500">
+                Users of this type can be given the role. It decides their dashboard and
+                which complaints they can reach.
+              </p>
+            </div>
+
+            <div className="space-y-4">
+              <p className="block text-sm font-medium text-gray-700">Permissions</p>
+              {Object.entries(groups).map(([group, permissions]) => {
+                const allChecked = permissions.every((p) => values.permissions.includes(p.key));
+
+                return (
+                  <fieldset key={group} className="border border-gray-200 rounded-lg p-4">
+                    <legend className="px-1 text-sm font-medium text-gray-900">
+                      <label className="flex items-center space-x-2">
+                        <input
+                          type="checkbox"
+                          checked={allChecked}
+                          onChange={(e) => toggleGroup(permissions, e.target.checked)}
+                          className="rounded border-gray-300 text-[#254E58] focus:ring-[#254E58]"
+                        />
+                        <span>{group}</span>
+                      </label>
+                    </legend>
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+                      {permissions.map((permission) => (
+                        <label
+                          key={permission.key}
+                          className="flex items-center space-x-2 text-sm text-gray-700"
+                        >
+                          <Field
+                            type="checkbox"
+                            name="permissions"
+                            value={permission.key}
+                            className="rounded border-gray-300 text-[#254E58] focus:ring-[#254E58]"
+                          />
+                          <span>{permission.label}</span>
+                          <span className="text-xs text-gray-400">{permission.key}</span>
+                        </label>
+                      ))}
+                    </div>
+                  </fieldset>
+                );
+              })}
+            </div>
+
+            <div className="flex justify-end space-x-3 pt-4">
+              <button
+                type="button"
+                onClick={onCancel}
+                className="px-4 py-2 text-gray-700 bg-white border border-gray-300
+                  rounded-lg hover:bg-gray-50 focus:outline-none focus:ring-2
+                  focus:ring-offset-2 focus:ring-[#254E58]"
+                disabled={isSubmitting}
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                disabled={isSubmitting}
+                className="inline-flex items-center px-4 py-2 text-white
+                  bg-[#254E58] rounded-lg hover:bg-[#1a3940]
+                  focus:outline-none focus:ring-2 focus:ring-offset-2
+                  focus:ring-[#254E58] disabled:opacity-50
+                  disabled:cursor-not-allowed"
+              >
+                {isSubmitting ? (
+                  <>
+                    <Loader className="w-4 h-4 mr-2 animate-spin" />
+                    Saving...
+                  </>
+                ) : (
+                  "Save"
+                )}
+              </button>
+            </div>
+          </Form>
+        );
+      }}
+    </Formik>
+  );
+};
+
+RoleForm.propTypes = {
+  onSubmit: PropTypes.func.isRequired,
+  onCancel: PropTypes.func.isRequired,
+  initialValues: PropTypes.object,
+  permissionCatalog: PropTypes.arrayOf(
+    PropTypes.shape({
+      key: PropTypes.string.isRequired,
+      label: PropTypes.string.isRequired,
+      group: PropTypes.string.isRequired,
+    })
+  ).isRequired,
+};
+
+export default RoleForm;
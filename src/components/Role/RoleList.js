@@ -0,0 +1,98 @@
+// components/Role/RoleList.js
+import React from "react";
+import PropTypes from "prop-types";
+import { Lock, Pen, Trash2 } from "lucide-react";
+import { BASE_ROLES } from "./RoleForm";
+
+const RoleList = ({ roles, onEdit, onDelete }) => {
+  if (!roles?.length) {
+    return (
+      <div className="text-center py-12 bg-gray-50 rounded-lg">
+        <p className="text-gray-500 text-lg">No roles found.</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-white shadow rounded-lg overflow-hidden">
+      <div className="overflow-x-auto">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">
+                Role
+              </th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">
+                Based On
+              </th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">
+                Permissions
+              </th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">
+                Users
+              </th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">
+                Actions
+              </th>
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {roles.map((role) => (
+              <tr key={role._id} className="hover:bg-gray-50">
+                <td className="px-6 py-4">
+                  <div className="flex items-center text-sm font-medium text-gray-900">
+                    {role.name}
+                    {role.isSystem && (
+                      <span className="ml-2 inline-flex items-center px-2 py-0.5 text-xs font-medium rounded-full bg-gray-100 text-gray-600">
+                        <Lock className="h-3 w-3 mr-1" />
+                        Built-in
+                      </span>
+                    )}
+                  </div>
+                  {role.description && (
+                    <div className="text-sm text-gray-500">{role.description}</div>
+                  )}
+                </td>
+                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                  {BASE_ROLES.find((r) => r.value === role.baseRole)?.label || role.baseRole}
+                </td>
+                <td className="px-6 py-4 text-sm text-gray-500">
+                  {role.permissions.length} granted
+                </td>
+                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                  {role.userCount || 0}
+                </td>
+                <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
+                  <button
+                    onClick={() => onEdit(role)}
+                    className="text-indigo-600 hover:text-indigo-900 mr-4"
+                    title={`Edit ${role.name}`}
+                  >
+                    <Pen className="h-4 w-4" />
+                  </button>
+                  {!role.isSystem && (
+                    <button
+                      onClick={() => onDelete(role)}
+                      className="text-red-600 hover:text-red-900"
+                      title={`Delete ${role.name}`}
+                    >
+                      <Trash2 className="h-4 w-4" />
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+RoleList.propTypes = {
+  roles: PropTypes.array.isRequired,
+  onEdit: PropTypes.func.isRequired,
+  onDelete: PropTypes.func.isRequired,
+};
+
+export default RoleList;
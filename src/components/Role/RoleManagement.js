@@ -0,0 +1,250 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { AlertCircle, Plus, Shield, ShieldCheck, Users } from 'lucide-react';
+import {
+  getRoles,
+  getPermissionCatalog,
+  createRole,
+  updateRole,
+  deleteRole
+} from '../../services/api';
+
+import RoleForm from './RoleForm';
+import RoleList from './RoleList';
+import DeleteConfirmationModal from '../common/DeleteConfirmationModal';
+import LoadingSpinner from '../common/LoadingSpinner';
+
+const RoleManagement = () => {
+  const [state, setState] = useState({
+    roles: [],
+    permissionCatalog: [],
+    isLoading: true,
+    error: null,
+    showForm: false,
+    editingRole: null,
+    deleteConfirmOpen: false,
+    roleToDelete: null,
+    isDeleting: false
+  });
+
+  const loadData = useCallback(async () => {
+    try {
+      setState(prev => ({ ...prev, isLoading: true, error: null }));
+
+      const [roles, permissionCatalog] = await Promise.all([
+        getRoles(),
+        getPermissionCatalog()
+      ]);
+
+      setState(prev => ({
+        ...prev,
+        roles,
+        permissionCatalog,
+        isLoading: false
+      }));
+    } catch (err) {
+      console.error('Error loading roles:', err);
+      setState(prev => ({
+        ...prev,
+        error: 'Failed to load roles. Please try again.',
+        isLoading: false
+      }));
+    }
+  }, []);
+
+  useEffect(() => {
+    loadData();
+  }, [loadData]);
+
+  const handleSubmit = async (values, { setSubmitting }) => {
+    try {
+      setState(prev => ({ ...prev, error: null }));
+
+      if (state.editingRole) {
+        await updateRole(state.editingRole._id, values);
+      } else {
+        await createRole(values);
+      }
+
+      await loadData();
+      handleCloseForm();
+    } catch (err) {
+      console.error('Error saving role:', err);
+      setState(prev => ({
+        ...prev,
+        error: err?.msg || `Failed to ${state.editingRole ? 'update' : 'create'} role.`
+      }));
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleCloseForm = () => {
+    setState(prev => ({
+      ...prev,
+      showForm: false,
+      editingRole: null
+    }));
+  };
+
+  const handleDelete = async () => {
+    try {
+      setState(prev => ({ ...prev, isDeleting: true, error: null }));
+      await deleteRole(state.roleToDelete._id);
+      await loadData();
+      setState(prev => ({
+        ...prev,
+        deleteConfirmOpen: false,
+        roleToDelete: null,
+        isDeleting: false
+      }));
+    } catch (err) {
+      console.error('Error deleting role:', err);
+      setState(prev => ({
+        ...prev,
+        error: err?.msg || 'Failed to delete role.',
+        isDeleting: false
+      }));
+    }
+  };
+
+  if (state.isLoading) {
+    return (
+      <div className="flex items-center justify-center min-h-[400px]">
+        <LoadingSpinner />
+      </div>
+    );
+  }
+
+  const stats = {
+    total: state.roles.length,
+    custom: state.roles.filter(role => !role.isSystem).length,
+    customUsers: state.roles
+      .filter(role => !role.isSystem)
+      .reduce((sum, role) => sum + (role.userCount || 0), 0)
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Header Section */}
+      <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Roles & Permissions</h1>
+          <p className="mt-1 text-sm text-gray-500">
+            Choose what each kind of user can do. Super admins always hold every permission.
+          </p>
+        </div>
+
+        <button
+          onClick={() => setState(prev => ({ ...prev, showForm: true }))}
+          className="inline-flex items-center px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-[#254E58] hover:bg-[#112D32] focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-[#254E58]"
+        >
+          <Plus className="h-4 w-4 mr-2" />
+          Add Role
+        </button>
+      </div>
+
+      {/* Statistics Section */}
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-4">
+          <div className="flex items-center justify-between">
+            <div>
+              <p className="text-sm font-medium text-gray-500">Total Roles</p>
+              <p className="mt-1 text-2xl font-semibold text-gray-900">{stats.total}</p>
+            </div>
+            <div className="p-3 rounded-full bg-blue-100 text-blue-600">
+              <Shield className="h-5 w-5" />
+            </div>
+          </div>
+        </div>
+        <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-4">
+          <div className="flex items-center justify-between">
+            <div>
+              <p className="text-sm font-medium text-gray-500">Custom Roles</p>
+              <p className="mt-1 text-2xl font-semibold text-gray-900">{stats.custom}</p>
+            </div>
+            <div className="p-3 rounded-full bg-green-100 text-green-600">
+              <ShieldCheck className="h-5 w-5" />
+            </div>
+          </div>
+        </div>
+        <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-4">
+          <div className="flex items-center justify-between">
+            <div>
+              <p className="text-sm font-medium text-gray-500">Users With Custom Roles</p>
+              <p className="mt-1 text-2xl font-semibold text-gray-900">{stats.customUsers}</p>
+            </div>
+            <div className="p-3 rounded-full bg-purple-100 text-purple-600">
+              <Users className="h-5 w-5" />
+            </div>
+          </div>
+        </div>
+      </div>
+
+      {/* Error Display */}
+      {state.error && (
+        <div className="rounded-md bg-red-50 p-4 flex items-center border border-red-200">
+          <AlertCircle className="h-5 w-5 text-red-400 mr-2" />
+          <span className="text-sm text-red-700">{state.error}</span>
+        </div>
+      )}
+
+      {/* Form Modal */}
+      {state.showForm && (
+        <div className="fixed inset-0 z-50 overflow-y-auto">
+          <div className="flex min-h-screen items-center justify-center p-4">
+            <div
+              className="fixed inset-0 bg-gray-500 bg-opacity-75 transition-opacity"
+              onClick={handleCloseForm}
+            />
+            <div className="relative transform overflow-hidden rounded-lg bg-white shadow-xl w-full max-w-2xl">
+              <div className="p-6">
+                <h3 className="text-lg font-semibold text-gray-900 mb-4">
+                  {state.editingRole ? 'Edit Role' : 'Create New Role'}
+                </h3>
+                <RoleForm
+                  onSubmit={handleSubmit}
+                  onCancel={handleCloseForm}
+                  initialValues={state.editingRole}
+                  permissionCatalog={state.permissionCatalog}
+                />
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* List Section */}
+      <div className="bg-white shadow-sm border border-gray-200 rounded-lg">
+        <RoleList
+          roles={state.roles}
+          onEdit={(role) => setState(prev => ({
+            ...prev,
+            editingRole: role,
+            showForm: true
+          }))}
+          onDelete={(role) => setState(prev => ({
+            ...prev,
+            roleToDelete: role,
+            deleteConfirmOpen: true
+          }))}
+        />
+      </div>
+
+      {/* Delete Confirmation Modal */}
+      <DeleteConfirmationModal
+        isOpen={state.deleteConfirmOpen}
+        onClose={() => setState(prev => ({
+          ...prev,
+          deleteConfirmOpen: false,
+          roleToDelete: null
+        }))}
+        onConfirm={handleDelete}
+        title="Delete Role"
+        itemName={state.roleToDelete?.name}
+        isDeleting={state.isDeleting}
+      />
+    </div>
+  );
+};
+
+export default RoleManagement;
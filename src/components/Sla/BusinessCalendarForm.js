@@ -0,0 +1,234 @@
+// components/Sla/BusinessCalendarForm.js
+import React from "react";
+import PropTypes from "prop-types";
+import { Formik, Form, Field, FieldArray } from "formik";
+import * as Yup from "yup";
+import { Loader, Plus, Trash2 } from "lucide-react";
+import FormField from "../common/FormField";
+
+export const WEEKDAYS = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+
+const browserTimeZone = Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC";
+const TIME_ZONES = typeof Intl.supportedValuesOf === "function"
+  ? Intl.supportedValuesOf("timeZone")
+  : [browserTimeZone];
+
+const inputClassName = `block w-full rounded-md border-gray-300 shadow-sm
+  focus:border-[#254E58] focus:ring-[#254E58] sm:text-sm`;
+
+// Monday to Friday, nine to five
+const DEFAULT_WORKING_HOURS = [1, 2, 3, 4, 5].map((dayOfWeek) => ({
+  dayOfWeek,
+  start: "09:00",
+  end: "17:00",
+}));
+
+const validationSchema = Yup.object({
+  name: Yup.string()
+    .required("Name is required")
+    .max(100, "Name must not exceed 100 characters"),
+  timeZone: Yup.string().required("Time zone is required"),
+  workingHours: Yup.array().min(1, "Add working hours for at least one day").of(
+    Yup.object({
+      start: Yup.string().required("Start is required"),
+      end: Yup.string()
+        .required("End is required")
+        .test("after-start", "End must be after start", function (end) {
+          return !end || !this.parent.start || end > this.parent.start;
+        }),
+    })
+  ),
+  holidays: Yup.array().of(
+    Yup.object({
+      date: Yup.string().required("Date is required"),
+    })
+  ),
+});
+
+const toFormValues = (calendar) => ({
+  name: calendar?.name || "",
+  timeZone: calendar?.timeZone || browserTimeZone,
+  workingHours: calendar
+    ? calendar.workingHours.map(({ dayOfWeek, start, end }) => ({ dayOfWeek, start, end }))
+    : DEFAULT_WORKING_HOURS,
+  holidays: (calendar?.holidays || []).map(({ date, name }) => ({ date, name: name || "" })),
+});
+
+const toCalendarPayload = (values) => ({
+  ...values,
+  workingHours: values.workingHours
+    .map((window) => ({ ...window, dayOfWeek: Number(window.dayOfWeek) }))
+    .sort((a, b) => a.dayOfWeek - b.dayOfWeek || a.start.localeCompare(b.start)),
+  holidays: [...values.holidays].sort((a, b) => a.date.localeCompare(b.date)),
+});
+
+const BusinessCalendarForm = ({ onSubmit, onCancel, initialValues = null }) => (
+  <Formik
+    initialValues={toFormValues(initialValues)}
+    validationSchema={validationSchema}
+    onSubmit={(values, helpers) => onSubmit(toCalendarPayload(values), helpers)}
+    enableReinitialize
+  >
+    {({ values, errors, touched, isSubmitting }) => (
+      <Form className="space-y-6">
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <FormField
+            label="Calendar Name"
+            name="name"
+            placeholder="e.g. Main campus office hours"
+            error={errors.name}
+            touched={touched.name}
+            required
+          />
+          <div className="space-y-1">
+            <label htmlFor="timeZone" className="block text-sm font-medium text-gray-700">
+              Time Zone <span className="text-red-500">*</span>
+            </label>
+            <Field as="select" id="timeZone" name="timeZone" className={`mt-1 ${inputClassName}`}>
+              {[...new Set([values.timeZone, ...TIME_ZONES])].map((timeZone) => (
+                <option key={timeZone} value={timeZone}>
+                  {timeZone}
+                </option>
+              ))}
+            </Field>
+          </div>
+        </div>
+
+        <FieldArray name="workingHours">
+          {({ push, remove }) => (
+            <div className="space-y-2">
+              <div className="flex items-center justify-between">
+                <span className="block text-sm font-medium text-gray-700">Working Hours</span>
+                <button
+                  type="button"
+                  onClick={() => push({ dayOfWeek: 1, start: "09:00", end: "17:00" })}
+                  className="inline-flex items-center text-sm text-[#254E58] hover:text-[#112D32]"
+                >
+                  <Plus className="h-4 w-4 mr-1" />
+                  Add hours
+                </button>
+              </div>
+              {typeof errors.workingHours === "string" && (
+                <p className="text-sm text-red-600">{errors.workingHours}</p>
+              )}
+              {values.workingHours.map((window, index) => {
+                const windowErrors = errors.workingHours?.[index];
+                const windowTouched = touched.workingHours?.[index];
+                return (
+                  <div key={index} className="space-y-1">
+                    <div className="flex items-center gap-2">
+                      <Field as="select" name={`workingHours.${index}.dayOfWeek`} className={inputClassName}>
+                        {WEEKDAYS.map((day, dayOfWeek) => (
+                          <option key={day} value={dayOfWeek}>
+                            {day}
+                          </option>
+                        ))}
+                      </Field>
+                      <Field type="time" name={`workingHours.${index}.start`} className={inputClassName} />
+                      <span className="text-sm text-gray-500">to</span>
+                      <Field type="time" name={`workingHours.${index}.end`} className={inputClassName} />
+                      <button
+                        type="button"
+                        onClick={() => remove(index)}
+                        className="text-red-600 hover:text-red-900"
+                        title="Remove these hours"
+                      >
+                        <Trash2 className="h-4 w-4" />
+                      </button>
+                    </div>
+                    {typeof windowErrors === "object" && windowTouched && (
+                      <p className="text-sm text-red-600">{windowErrors.start || windowErrors.end}</p>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+          )}
+        </FieldArray>
+
+        <FieldArray name="holidays">
+          {({ push, remove }) => (
+            <div className="space-y-2">
+              <div className="flex items-center justify-between">
+                <span className="block text-sm font-medium text-gray-700">Holidays</span>
+                <button
+                  type="button"
+                  onClick={() => push({ date: "", name: "" })}
+                  className="inline-flex items-center text-sm text-[#254E58] hover:text-[#112D32]"
+                >
+                  <Plus className="h-4 w-4 mr-1" />
+                  Add holiday
+                </button>
+              </div>
+              {values.holidays.length === 0 && (
+                <p className="text-sm text-gray-500">No holidays. Add the days the office is closed.</p>
+              )}
+              {values.holidays.map((holiday, index) => (
+                <div key={index} className="space-y-1">
+                  <div className="flex items-center gap-2">
+                    <Field type="date" name={`holidays.${index}.date`} className={inputClassName} />
+                    <Field
+                      name={`holidays.${index}.name`}
+                      placeholder="e.g. New Year's Day"
+                      className={inputClassName}
+                    />
+                    <button
+                      type="button"
+                      onClick={() => remove(index)}
+                      className="text-red-600 hover:text-red-900"
+                      title="Remove holiday"
+                    >
+                      <Trash2 className="h-4 w-4" />
+                    </button>
+                  </div>
+                  {errors.holidays?.[index]?.date && touched.holidays?.[index]?.date && (
+                    <p className="text-sm text-red-600">{errors.holidays[index].date}</p>
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
+        </FieldArray>
+
+        <div className="flex justify-end space-x-3 pt-4">
+          <button
+            type="button"
+            onClick={onCancel}
+            className="px-4 py-2 text-gray-700 bg-white border border-gray-300
+              rounded-lg hover:bg-gray-50 focus:outline-none focus:ring-2
+              focus:ring-offset-2 focus:ring-[#254E58]"
+            disabled={isSubmitting}
+          >
+            Cancel
+          </button>
+          <button
+            type="submit"
+            disabled={isSubmitting}
+            className="inline-flex items-center px-4 py-2 text-white
+              bg-[#254E58] rounded-lg hover:bg-[#1a3940]
+              focus:outline-none focus:ring-2 focus:ring-offset-2
+              focus:ring-[#254E58] disabled:opacity-50
+              disabled:cursor-not-allowed"
+          >
+            {isSubmitting ? (
+              <>
+                <Loader className="w-4 h-4 mr-2 animate-spin" />
+                Saving...
+              </>
+            ) : (
+              "Save"
+            )}
+          </button>
+        </div>
+      </Form>
+    )}
+  </Formik>
+);
+
+BusinessCalendarForm.propTypes = {
+  onSubmit: PropTypes.func.isRequired,
+  onCancel: PropTypes.func.isRequired,
+  initialValues: PropTypes.object,
+};
+
+export default BusinessCalendarForm;
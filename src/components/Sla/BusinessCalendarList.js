@@ -0,0 +1,88 @@
+// components/Sla/BusinessCalendarList.js
+import React from "react";
+import PropTypes from "prop-types";
+import { Pen, Trash2 } from "lucide-react";
+import { WEEKDAYS } from "./BusinessCalendarForm";
+
+// e.g. "Mon 09:00–17:00, Tue 09:00–17:00"
+const describeWorkingHours = (workingHours = []) =>
+  workingHours
+    .map((window) => `${WEEKDAYS[window.dayOfWeek].slice(0, 3)} ${window.start}–${window.end}`)
+    .join(", ");
+
+const BusinessCalendarList = ({ calendars, onEdit, onDelete }) => {
+  if (!calendars?.length) {
+    return (
+      <div className="text-center py-12 bg-gray-50 rounded-lg">
+        <p className="text-gray-500 text-lg">
+          No business calendars yet. Policies without one count around the clock.
+        </p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-white shadow rounded-lg overflow-hidden">
+      <div className="overflow-x-auto">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">
+                Calendar
+              </th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">
+                Working Hours
+              </th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">
+                Holidays
+              </th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">
+                Actions
+              </th>
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {calendars.map((calendar) => (
+              <tr key={calendar._id} className="hover:bg-gray-50">
+                <td className="px-6 py-4">
+                  <div className="text-sm font-medium text-gray-900">{calendar.name}</div>
+                  <div className="text-sm text-gray-500">{calendar.timeZone}</div>
+                </td>
+                <td className="px-6 py-4 text-sm text-gray-700">
+                  {describeWorkingHours(calendar.workingHours)}
+                </td>
+                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                  {calendar.holidays?.length || 0} day(s)
+                </td>
+                <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
+                  <button
+                    onClick={() => onEdit(calendar)}
+                    className="text-indigo-600 hover:text-indigo-900 mr-4"
+                    title={`Edit ${calendar.name}`}
+                  >
+                    <Pen className="h-4 w-4" />
+                  </button>
+                  <button
+                    onClick={() => onDelete(calendar)}
+                    className="text-red-600 hover:text-red-900"
+                    title={`Delete ${calendar.name}`}
+                  >
+                    <Trash2 className="h-4 w-4" />
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+BusinessCalendarList.propTypes = {
+  calendars: PropTypes.array.isRequired,
+  onEdit: PropTypes.func.isRequired,
+  onDelete: PropTypes.func.isRequired,
+};
+
+export default BusinessCalendarList;
@@ -0,0 +1,268 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { AlertCircle, CalendarDays, Plus, Timer } from 'lucide-react';
+import {
+  getSlaPolicies,
+  createSlaPolicy,
+  updateSlaPolicy,
+  deleteSlaPolicy,
+  getBusinessCalendars,
+  createBusinessCalendar,
+  updateBusinessCalendar,
+  deleteBusinessCalendar,
+  getComplaintTypes
+} from '../../services/api';
+
+import SlaPolicyForm from './SlaPolicyForm';
+import SlaPolicyList from './SlaPolicyList';
+import BusinessCalendarForm from './BusinessCalendarForm';
+import BusinessCalendarList from './BusinessCalendarList';
+import DeleteConfirmationModal from '../common/DeleteConfirmationModal';
+import LoadingSpinner from '../common/LoadingSpinner';
+
+// API calls and labels for the two kinds of item managed here
+const KINDS = {
+  policy: {
+    label: 'SLA policy',
+    create: createSlaPolicy,
+    update: updateSlaPolicy,
+    remove: deleteSlaPolicy
+  },
+  calendar: {
+    label: 'business calendar',
+    create: createBusinessCalendar,
+    update: updateBusinessCalendar,
+    remove: deleteBusinessCalendar
+  }
+};
+
+const SlaManagement = () => {
+  const [state, setState] = useState({
+    policies: [],
+    calendars: [],
+    complaintTypes: [],
+    isLoading: true,
+    error: null,
+    form: null, // { kind, item }
+    toDelete: null, // { kind, item }
+    isDeleting: false
+  });
+
+  const loadData = useCallback(async () => {
+    try {
+      setState(prev => ({ ...prev, isLoading: true, error: null }));
+
+      const [policies, calendars, types] = await Promise.all([
+        getSlaPolicies(),
+        getBusinessCalendars(),
+        getComplaintTypes()
+      ]);
+
+      setState(prev => ({
+        ...prev,
+        policies,
+        calendars,
+        complaintTypes: types,
+        isLoading: false
+      }));
+    } catch (err) {
+      console.error('Error loading SLA policies:', err);
+      setState(prev => ({
+        ...prev,
+        error: 'Failed to load SLA policies. Please try again.',
+        isLoading: false
+      }));
+    }
+  }, []);
+
+  useEffect(() => {
+    loadData();
+  }, [loadData]);
+
+  const handleCloseForm = () => {
+    setState(prev => ({ ...prev, form: null }));
+  };
+
+  const handleSubmit = async (values, { setSubmitting }) => {
+    const { kind, item } = state.form;
+    try {
+      setState(prev => ({ ...prev, error: null }));
+
+      if (item) {
+        await KINDS[kind].update(item._id, values);
+      } else {
+        await KINDS[kind].create(values);
+      }
+
+      await loadData();
+      handleCloseForm();
+    } catch (err) {
+      console.error(`Error saving ${KINDS[kind].label}:`, err);
+      setState(prev => ({
+        ...prev,
+        error: err?.msg || `Failed to ${item ? 'update' : 'create'} ${KINDS[kind].label}.`
+      }));
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleToggleActive = async (policy) => {
+    try {
+      setState(prev => ({ ...prev, error: null }));
+      const updated = await updateSlaPolicy(policy._id, { isActive: !policy.isActive });
+      setState(prev => ({
+        ...prev,
+        policies: prev.policies.map(p => (p._id === policy._id ? { ...p, isActive: updated.isActive } : p))
+      }));
+    } catch (err) {
+      console.error('Error toggling SLA policy:', err);
+      setState(prev => ({
+        ...prev,
+        error: err?.msg || 'Failed to update SLA policy.'
+      }));
+    }
+  };
+
+  const handleDelete = async () => {
+    const { kind, item } = state.toDelete;
+    try {
+      setState(prev => ({ ...prev, isDeleting: true, error: null }));
+      await KINDS[kind].remove(item._id);
+      await loadData();
+      setState(prev => ({ ...prev, toDelete: null, isDeleting: false }));
+    } catch (err) {
+      console.error(`Error deleting ${KINDS[kind].label}:`, err);
+      // A calendar still used by a policy cannot be deleted; the server says which
+      setState(prev => ({
+        ...prev,
+        error: err?.msg || `Failed to delete ${KINDS[kind].label}.`,
+        toDelete: null,
+        isDeleting: false
+      }));
+    }
+  };
+
+  if (state.isLoading) {
+    return (
+      <div className="flex items-center justify-center min-h-[400px]">
+        <LoadingSpinner />
+      </div>
+    );
+  }
+
+  const form = state.form;
+
+  return (
+    <div className="space-y-6">
+      {/* Header Section */}
+      <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">SLA Policies</h1>
+          <p className="mt-1 text-sm text-gray-500">
+            First response and resolution targets by complaint type and priority
+          </p>
+        </div>
+
+        <button
+          onClick={() => setState(prev => ({ ...prev, form: { kind: 'policy', item: null } }))}
+          className="inline-flex items-center px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-[#254E58] hover:bg-[#112D32] focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-[#254E58]"
+        >
+          <Plus className="h-4 w-4 mr-2" />
+          Add SLA Policy
+        </button>
+      </div>
+
+      {/* Error Display */}
+      {state.error && (
+        <div className="rounded-md bg-red-50 p-4 flex items-center border border-red-200">
+          <AlertCircle className="h-5 w-5 text-red-400 mr-2" />
+          <span className="text-sm text-red-700">{state.error}</span>
+        </div>
+      )}
+
+      {/* Form Modal */}
+      {form && (
+        <div className="fixed inset-0 z-50 overflow-y-auto">
+          <div className="flex min-h-screen items-center justify-center p-4">
+            <div
+              className="fixed inset-0 bg-gray-500 bg-opacity-75 transition-opacity"
+              onClick={handleCloseForm}
+            />
+            <div className="relative transform overflow-hidden rounded-lg bg-white shadow-xl w-full max-w-2xl">
+              <div className="p-6">
+                <h3 className="text-lg font-semibold text-gray-900 mb-4">
+                  {form.kind === 'policy'
+                    ? (form.item ? 'Edit SLA Policy' : 'Create New SLA Policy')
+                    : (form.item ? 'Edit Business Calendar' : 'Create New Business Calendar')}
+                </h3>
+                {form.kind === 'policy' ? (
+                  <SlaPolicyForm
+                    onSubmit={handleSubmit}
+                    onCancel={handleCloseForm}
+                    initialValues={form.item}
+                    complaintTypes={state.complaintTypes}
+                    calendars={state.calendars}
+                  />
+                ) : (
+                  <BusinessCalendarForm
+                    onSubmit={handleSubmit}
+                    onCancel={handleCloseForm}
+                    initialValues={form.item}
+                  />
+                )}
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Policies Section */}
+      <div className="space-y-3">
+        <h2 className="text-lg font-semibold text-gray-900 flex items-center">
+          <Timer className="h-5 w-5 mr-2 text-gray-500" />
+          Policies
+        </h2>
+        <SlaPolicyList
+          policies={state.policies}
+          onEdit={(policy) => setState(prev => ({ ...prev, form: { kind: 'policy', item: policy } }))}
+          onDelete={(policy) => setState(prev => ({ ...prev, toDelete: { kind: 'policy', item: policy } }))}
+          onToggleActive={handleToggleActive}
+        />
+      </div>
+
+      {/* Calendars Section */}
+      <div className="space-y-3">
+        <div className="flex items-center justify-between">
+          <h2 className="text-lg font-semibold text-gray-900 flex items-center">
+            <CalendarDays className="h-5 w-5 mr-2 text-gray-500" />
+            Business Calendars
+          </h2>
+          <button
+            onClick={() => setState(prev => ({ ...prev, form: { kind: 'calendar', item: null } }))}
+            className="inline-flex items-center px-3 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50"
+          >
+            <Plus className="h-4 w-4 mr-2" />
+            Add Calendar
+          </button>
+        </div>
+        <BusinessCalendarList
+          calendars={state.calendars}
+          onEdit={(calendar) => setState(prev => ({ ...prev, form: { kind: 'calendar', item: calendar } }))}
+          onDelete={(calendar) => setState(prev => ({ ...prev, toDelete: { kind: 'calendar', item: calendar } }))}
+        />
+      </div>
+
+      {/* Delete Confirmation Modal */}
+      <DeleteConfirmationModal
+        isOpen={Boolean(state.toDelete)}
+        onClose={() => setState(prev => ({ ...prev, toDelete: null }))}
+        onConfirm={handleDelete}
+        title={state.toDelete?.kind === 'calendar' ? 'Delete Business Calendar' : 'Delete SLA Policy'}
+        itemName={state.toDelete?.item.name}
+        isDeleting={state.isDeleting}
+      />
+    </div>
+  );
+};
+
+export default SlaManagement;
@@ -0,0 +1,220 @@
+// components/Sla/SlaPolicyForm.js
+import React from "react";
+import PropTypes from "prop-types";
+import { Formik, Form, Field } from "formik";
+import * as Yup from "yup";
+import { Loader } from "lucide-react";
+import FormField from "../common/FormField";
+
+export const PRIORITIES = ["Low", "Medium", "High", "Urgent"];
+
+const selectClassName = `mt-1 block w-full rounded-md border-gray-300 shadow-sm
+  focus:border-[#254E58] focus:ring-[#254E58] sm:text-sm`;
+
+// Treat empty inputs as "not set" rather than as an invalid number
+const numberField = () =>
+  Yup.number()
+    .typeError("Must be a number")
+    .transform((value, originalValue) => (originalValue === "" ? undefined : value));
+
+const validationSchema = Yup.object({
+  name: Yup.string()
+    .required("Name is required")
+    .max(100, "Name must not exceed 100 characters"),
+  firstResponseHours: numberField().positive("Must be positive"),
+  resolutionHours: numberField()
+    .required("Resolution target is required")
+    .positive("Must be positive"),
+  warningPercent: numberField()
+    .required("Warning threshold is required")
+    .integer("Must be a whole number")
+    .min(1, "Must be at least 1")
+    .max(99, "Must be at most 99"),
+});
+
+const toFormValues = (policy) => ({
+  name: policy?.name || "",
+  description: policy?.description || "",
+  complaintTypeId: policy?.complaintTypeId?._id || policy?.complaintTypeId || "",
+  priority: policy?.priority || "",
+  firstResponseHours: policy?.firstResponseHours ?? "",
+  resolutionHours: policy?.resolutionHours ?? 72,
+  warningPercent: policy?.warningPercent ?? 80,
+  calendarId: policy?.calendarId?._id || policy?.calendarId || "",
+  isActive: policy?.isActive ?? true,
+});
+
+// Empty selects and inputs are sent as "" so the server clears them
+const toPolicyPayload = (values) => ({
+  ...values,
+  firstResponseHours: values.firstResponseHours === "" ? "" : Number(values.firstResponseHours),
+  resolutionHours: Number(values.resolutionHours),
+  warningPercent: Number(values.warningPercent),
+});
+
+const SlaPolicyForm = ({
+  onSubmit,
+  onCancel,
+  initialValues = null,
+  complaintTypes = [],
+  calendars = [],
+}) => (
+  <Formik
+    initialValues={toFormValues(initialValues)}
+    validationSchema={validationSchema}
+    onSubmit={(values, helpers) => onSubmit(toPolicyPayload(values), helpers)}
+    enableReinitialize
+  >
+    {({ errors, touched, isSubmitting }) => (
+      <Form className="space-y-6">
+        <FormField
+          label="Policy Name"
+          name="name"
+          placeholder="e.g. Urgent IT issues"
+          error={errors.name}
+          touched={touched.name}
+          required
+        />
+
+        <FormField
+          label="Description"
+          name="description"
+          placeholder="Optional notes for other administrators"
+        />
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div className="space-y-1">
+            <label htmlFor="complaintTypeId" className="block text-sm font-medium text-gray-700">
+              Complaint Type
+            </label>
+            <Field as="select" id="complaintTypeId" name="complaintTypeId" className={selectClassName}>
+              <option value="">Any type</option>
+              {complaintTypes.map((type) => (
+                <option key={type._id} value={type._id}>
+                  {type.name}
+                </option>
+              ))}
+            </Field>
+          </div>
+          <div className="space-y-1">
+            <label htmlFor="priority" className="block text-sm font-medium text-gray-700">
+              Priority
+            </label>
+            <Field as="select" id="priority" name="priority" className={selectClassName}>
+              <option value="">Any priority</option>
+              {PRIORITIES.map((priority) => (
+                <option key={priority} value={priority}>
+                  {priority}
+                </option>
+              ))}
+            </Field>
+          </div>
+        </div>
+        <p className="-mt-4 text-sm text-gray-500">
+          When several policies match a complaint, the one naming its type and priority wins over
+          the one naming only the type, then only the priority, then neither.
+        </p>
+
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <FormField
+            label="First response (hours)"
+            name="firstResponseHours"
+            type="number"
+            min="0"
+            step="0.25"
+            hint="Leave empty for no target"
+            error={errors.firstResponseHours}
+            touched={touched.firstResponseHours}
+          />
+          <FormField
+            label="Resolution (hours)"
+            name="resolutionHours"
+            type="number"
+            min="0"
+            step="0.25"
+            error={errors.resolutionHours}
+            touched={touched.resolutionHours}
+            required
+          />
+          <FormField
+            label="Warn at (% of target)"
+            name="warningPercent"
+            type="number"
+            min="1"
+            max="99"
+            error={errors.warningPercent}
+            touched={touched.warningPercent}
+            required
+          />
+        </div>
+
+        <div className="space-y-1">
+          <label htmlFor="calendarId" className="block text-sm font-medium text-gray-700">
+            Business Hours
+          </label>
+          <Field as="select" id="calendarId" name="calendarId" className={selectClassName}>
+            <option value="">Around the clock</option>
+            {calendars.map((calendar) => (
+              <option key={calendar._id} value={calendar._id}>
+                {calendar.name} ({calendar.timeZone})
+              </option>
+            ))}
+          </Field>
+          <p className="mt-1 text-sm text-gray-500">
+            Targets only count time inside the calendar's working hours, skipping its holidays.
+          </p>
+        </div>
+
+        <label className="flex items-center space-x-2 text-sm text-gray-700">
+          <Field
+            type="checkbox"
+            name="isActive"
+            className="rounded border-gray-300 text-[#254E58] focus:ring-[#254E58]"
+          />
+          <span>Policy is active</span>
+        </label>
+
+        <div className="flex justify-end space-x-3 pt-4">
+          <button
+            type="button"
+            onClick={onCancel}
+            className="px-4 py-2 text-gray-700 bg-white border border-gray-300
+              rounded-lg hover:bg-gray-50 focus:outline-none focus:ring-2
+              focus:ring-offset-2 focus:ring-[#254E58]"
+            disabled={isSubmitting}
+          >
+            Cancel
+          </button>
+          <button
+            type="submit"
+            disabled={isSubmitting}
+            className="inline-flex items-center px-4 py-2 text-white
+              bg-[#254E58] rounded-lg hover:bg-[#1a3940]
+              focus:outline-none focus:ring-2 focus:ring-offset-2
+              focus:ring-[#254E58] disabled:opacity-50
+              disabled:cursor-not-allowed"
+          >
+            {isSubmitting ? (
+              <>
+                <Loader className="w-4 h-4 mr-2 animate-spin" />
+                Saving...
+              </>
+            ) : (
+              "Save"
+            )}
+          </button>
+        </div>
+      </Form>
+    )}
+  </Formik>
+);
+
+SlaPolicyForm.propTypes = {
+  onSubmit: PropTypes.func.isRequired,
+  onCancel: PropTypes.func.isRequired,
+  initialValues: PropTypes.object,
+  complaintTypes: PropTypes.array.isRequired,
+  calendars: PropTypes.array.isRequired,
+};
+
+export default SlaPolicyForm;
@@ -0,0 +1,113 @@
+// components/Sla/SlaPolicyList.js
+import React from "react";
+import PropTypes from "prop-types";
+import { Pen, Trash2 } from "lucide-react";
+
+const formatHours = (hours) => (hours == null ? "None" : `${hours} h`);
+
+const SlaPolicyList = ({ policies, onEdit, onDelete, onToggleActive }) => {
+  if (!policies?.length) {
+    return (
+      <div className="text-center py-12 bg-gray-50 rounded-lg">
+        <p className="text-gray-500 text-lg">
+          No SLA policies found. Create your first policy to get started.
+        </p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-white shadow rounded-lg overflow-hidden">
+      <div className="overflow-x-auto">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">
+                Policy
+              </th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">
+                Applies To
+              </th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">
+                Targets
+              </th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">
+                Business Hours
+              </th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">
+                Status
+              </th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">
+                Actions
+              </th>
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {policies.map((policy) => (
+              <tr key={policy._id} className="hover:bg-gray-50">
+                <td className="px-6 py-4">
+                  <div className="text-sm font-medium text-gray-900">{policy.name}</div>
+                  {policy.description && (
+                    <div className="text-sm text-gray-500">{policy.description}</div>
+                  )}
+                </td>
+                <td className="px-6 py-4 text-sm text-gray-700">
+                  <div>{policy.complaintTypeId?.name || "Any type"}</div>
+                  <div className="text-gray-500">{policy.priority || "Any priority"}</div>
+                </td>
+                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-700">
+                  <div>First response: {formatHours(policy.firstResponseHours)}</div>
+                  <div>Resolution: {formatHours(policy.resolutionHours)}</div>
+                  <div className="text-xs text-gray-400">Warn at {policy.warningPercent}%</div>
+                </td>
+                <td className="px-6 py-4 text-sm text-gray-500">
+                  {policy.calendarId
+                    ? `${policy.calendarId.name} (${policy.calendarId.timeZone})`
+                    : "Around the clock"}
+                </td>
+                <td className="px-6 py-4 whitespace-nowrap">
+                  <button
+                    onClick={() => onToggleActive(policy)}
+                    className={`px-2 py-1 text-xs font-medium rounded-full ${
+                      policy.isActive
+                        ? "bg-green-100 text-green-800"
+                        : "bg-gray-100 text-gray-600"
+                    }`}
+                    title={policy.isActive ? "Click to disable" : "Click to enable"}
+                  >
+                    {policy.isActive ? "Active" : "Disabled"}
+                  </button>
+                </td>
+                <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
+                  <button
+                    onClick={() => onEdit(policy)}
+                    className="text-indigo-600 hover:text-indigo-900 mr-4"
+                    title={`Edit ${policy.name}`}
+                  >
+                    <Pen className="h-4 w-4" />
+                  </button>
+                  <button
+                    onClick={() => onDelete(policy)}
+                    className="text-red-600 hover:text-red-900"
+                    title={`Delete ${policy.name}`}
+                  >
+                    <Trash2 className="h-4 w-4" />
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+SlaPolicyList.propTypes = {
+  policies: PropTypes.array.isRequired,
+  onEdit: PropTypes.func.isRequired,
+  onDelete: PropTypes.func.isRequired,
+  onToggleActive: PropTypes.func.isRequired,
+};
+
+export default SlaPolicyList;
@@ -0,0 +1,283 @@
+// components/Sms/SmsManagement.js
+import React, { useState, useEffect, useCallback } from 'react';
+import { format } from 'date-fns';
+import {
+  AlertCircle,
+  CheckCircle,
+  RefreshCw,
+  Loader,
+  ChevronLeft,
+  ChevronRight
+} from 'lucide-react';
+import { getSmsUsage, getSmsMessages, updateSmsSettings } from '../../services/api';
+import LoadingSpinner from '../common/LoadingSpinner';
+
+const PAGE_SIZE = 20;
+
+const SMS_STATUS_STYLES = {
+  SENT: 'bg-green-100 text-green-800',
+  FAILED: 'bg-red-100 text-red-800',
+  QUOTA_EXCEEDED: 'bg-yellow-100 text-yellow-800'
+};
+
+const SMS_STATUS_LABELS = {
+  SENT: 'Sent',
+  FAILED: 'Failed',
+  QUOTA_EXCEEDED: 'Over quota'
+};
+
+const SmsManagement = () => {
+  const [state, setState] = useState({
+    usage: null,
+    messages: [],
+    pagination: { currentPage: 1, totalPages: 1, totalCount: 0 },
+    status: '',
+    quotaInput: '',
+    isLoading: true,
+    isSaving: false,
+    error: null,
+    notice: null
+  });
+
+  const { status } = state;
+  const { currentPage } = state.pagination;
+
+  const loadData = useCallback(async () => {
+    try {
+      setState(prev => ({ ...prev, isLoading: true, error: null }));
+
+      const params = { page: currentPage, limit: PAGE_SIZE };
+      if (status) params.status = status;
+
+      const [usage, result] = await Promise.all([
+        getSmsUsage(),
+        getSmsMessages(params)
+      ]);
+
+      setState(prev => ({
+        ...prev,
+        usage,
+        quotaInput: String(usage.quota),
+        messages: result.messages,
+        pagination: {
+          currentPage: result.currentPage,
+          totalPages: result.totalPages,
+          totalCount: result.totalCount
+        },
+        isLoading: false
+      }));
+    } catch (err) {
+      console.error('Error loading SMS data:', err);
+      setState(prev => ({
+        ...prev,
+        error: 'Failed to load SMS usage. Please try again.',
+        isLoading: false
+      }));
+    }
+  }, [currentPage, status]);
+
+  useEffect(() => {
+    loadData();
+  }, [loadData]);
+
+  const handleSaveQuota = async (e) => {
+    e.preventDefault();
+    try {
+      setState(prev => ({ ...prev, isSaving: true, error: null, notice: null }));
+      const usage = await updateSmsSettings({ monthlyQuota: parseInt(state.quotaInput) });
+      setState(prev => ({
+        ...prev,
+        usage: { month: usage.month, used: usage.used, quota: usage.quota },
+        quotaInput: String(usage.quota),
+        isSaving: false,
+        notice: 'Monthly quota updated'
+      }));
+    } catch (err) {
+      setState(prev => ({
+        ...prev,
+        isSaving: false,
+        error: err?.msg || err?.errors?.[0]?.msg || 'Failed to update the quota'
+      }));
+    }
+  };
+
+  const setPage = (page) => {
+    setState(prev => ({ ...prev, pagination: { ...prev.pagination, currentPage: page } }));
+  };
+
+  const { usage } = state;
+  const usedShare = usage && usage.quota > 0 ? Math.min(100, Math.round((usage.used / usage.quota) * 100)) : 100;
+
+  return (
+    <div className="space-y-6">
+      {/* Header Section */}
+      <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">SMS</h1>
+          <p className="mt-1 text-sm text-gray-500">
+            Urgent complaints, escalations and password reset codes are texted to users who turned on SMS and added a phone number.
+          </p>
+        </div>
+
+        <button
+          onClick={loadData}
+          disabled={state.isLoading}
+          className="inline-flex items-center px-4 py-2 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+        >
+          <RefreshCw className={`h-4 w-4 mr-2 ${state.isLoading ? 'animate-spin' : ''}`} />
+          Refresh
+        </button>
+      </div>
+
+      {state.error && (
+        <div className="rounded-md bg-red-50 p-4 flex items-center border border-red-200">
+          <AlertCircle className="h-5 w-5 text-red-400 mr-2" />
+          <span className="text-sm text-red-700">{state.error}</span>
+        </div>
+      )}
+      {state.notice && (
+        <div className="rounded-md bg-green-50 p-4 flex items-center border border-green-200">
+          <CheckCircle className="h-5 w-5 text-green-500 mr-2" />
+          <span className="text-sm text-green-700">{state.notice}</span>
+        </div>
+      )}
+
+      {/* Usage Section */}
+      {usage && (
+        <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6 space-y-4">
+          <div className="flex items-baseline justify-between">
+            <p className="text-sm font-medium text-gray-500">Used this month ({usage.month})</p>
+            <p className="text-2xl font-semibold text-gray-900">
+              {usage.used} <span className="text-base font-normal text-gray-500">of {usage.quota}</span>
+            </p>
+          </div>
+          <div className="w-full bg-gray-200 rounded-full h-2">
+            <div
+              className={`h-2 rounded-full ${usedShare >= 90 ? 'bg-red-500' : 'bg-[#254E58]'}`}
+              style={{ width: `${usedShare}%` }}
+            />
+          </div>
+
+          <form onSubmit={handleSaveQuota} className="flex items-end gap-3">
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Monthly quota</label>
+              <input
+                type="number"
+                min="0"
+                value={state.quotaInput}
+                onChange={(e) => setState(prev => ({ ...prev, quotaInput: e.target.value, notice: null }))}
+                className="mt-1 block w-40 rounded-md border-gray-300 shadow-sm focus:border-[#254E58] focus:ring-[#254E58] sm:text-sm"
+              />
+            </div>
+            <button
+              type="submit"
+              disabled={state.isSaving || state.quotaInput === '' || state.quotaInput === String(usage.quota)}
+              className="inline-flex items-center px-4 py-2 text-sm font-medium text-white bg-[#254E58] rounded-md hover:bg-[#112D32] disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {state.isSaving && <Loader className="h-4 w-4 mr-2 animate-spin" />}
+              Save
+            </button>
+          </form>
+        </div>
+      )}
+
+      {/* Filters */}
+      <div className="flex justify-end">
+        <select
+          value={status}
+          onChange={(e) => setState(prev => ({
+            ...prev,
+            status: e.target.value,
+            pagination: { ...prev.pagination, currentPage: 1 }
+          }))}
+          className="rounded-md border-gray-300 shadow-sm focus:border-[#254E58] focus:ring-[#254E58] sm:text-sm"
+        >
+          <option value="">All statuses</option>
+          {Object.entries(SMS_STATUS_LABELS).map(([value, label]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+      </div>
+
+      {/* List Section */}
+      <div className="bg-white shadow-sm border border-gray-200 rounded-lg overflow-hidden">
+        {state.isLoading && state.messages.length === 0 ? (
+          <div className="flex items-center justify-center min-h-[200px]">
+            <LoadingSpinner />
+          </div>
+        ) : state.messages.length === 0 ? (
+          <p className="p-6 text-center text-sm text-gray-500">No SMS sent yet.</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Recipient</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Message</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Sent</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {state.messages.map(message => (
+                  <tr key={message._id}>
+                    <td className="px-6 py-4 text-sm text-gray-900 whitespace-nowrap">
+                      <p>{message.userId ? `${message.userId.firstName} ${message.userId.lastName}` : '—'}</p>
+                      <p className="text-xs text-gray-500">{message.to}</p>
+                    </td>
+                    <td className="px-6 py-4 text-sm text-gray-700">
+                      {message.sensitive
+                        ? <p className="italic text-gray-500">Contains a one-time code; not shown</p>
+                        : <p>{message.body}</p>}
+                      {message.error && (
+                        <p className="mt-1 text-xs text-red-600">{message.error}</p>
+                      )}
+                    </td>
+                    <td className="px-6 py-4">
+                      <span className={`inline-flex px-2 py-0.5 rounded-full text-xs font-medium ${SMS_STATUS_STYLES[message.status]}`}>
+                        {SMS_STATUS_LABELS[message.status]}
+                      </span>
+                    </td>
+                    <td className="px-6 py-4 text-sm text-gray-500 whitespace-nowrap">
+                      {format(new Date(message.createdAt), 'MMM d, HH:mm')}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {/* Pagination */}
+        {state.pagination.totalPages > 1 && (
+          <div className="px-4 py-3 border-t border-gray-200 flex justify-between items-center bg-gray-50">
+            <div className="text-sm text-gray-500">
+              {state.pagination.totalCount} messages
+            </div>
+            <div className="flex items-center space-x-2">
+              <button
+                onClick={() => setPage(currentPage - 1)}
+                disabled={currentPage <= 1}
+                className="p-1 rounded border border-gray-300 disabled:opacity-50"
+              >
+                <ChevronLeft size={16} />
+              </button>
+              <span className="text-sm">
+                {currentPage} / {state.pagination.totalPages}
+              </span>
+              <button
+                onClick={() => setPage(currentPage + 1)}
+                disabled={currentPage >= state.pagination.totalPages}
+                className="p-1 rounded border border-gray-300 disabled:opacity-50"
+              >
+                <ChevronRight size={16} />
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SmsManagement;
@@ -13,9 +13,81 @@ import {
   Save,
   Workflow,
   AlertTriangle,
-  BookTemplateIcon
+  BookTemplateIcon,
+  PlayCircle,
+  ClipboardCheck
 } from 'lucide-react';
 import WorkflowTemplateSelector from './WorkflowTemplateSelector';
+import WorkflowSimulationPanel from './WorkflowSimulationPanel';
+import { validateWorkflow } from '../../services/api';
+
+const DEFAULT_REOPEN_POLICY = { windowInDays: 14, mode: 'RESUME', stageId: '' };
+
+const CONDITION_ROLES = [
+  { value: 'SuperAdmin', label: 'Super Admin' },
+  { value: 'DepartmentUser', label: 'Department User' },
+  { value: 'Faculty', label: 'Faculty' },
+  { value: 'Student', label: 'Student' }
+];
+
+const APPROVER_ROLES = CONDITION_ROLES.filter(role => role.value !== 'Student');
+
+const APPROVAL_OUTCOMES = [
+  { field: 'onApprove', label: 'When approved, move to', required: true },
+  { field: 'onReject', label: 'When rejected, move to', required: true },
+  { field: 'onRequestChanges', label: 'When changes are requested, move to', required: false }
+];
+
+const ASSIGNMENT_STRATEGIES = [
+  { value: 'LEAST_LOADED', label: 'Fewest open complaints' },
+  { value: 'WEIGHTED_LOAD', label: 'Lightest load, weighted by priority' },
+  { value: 'ROUND_ROBIN', label: 'Round robin' }
+];
+
+const SKILL_MATCHING = [
+  { value: 'OFF', label: 'Ignore skills' },
+  { value: 'PREFER', label: 'Prefer users who handle the complaint type' },
+  { value: 'REQUIRE', label: 'Only users who handle the complaint type' }
+];
+
+const CONDITION_EXAMPLE = '{"all": [{"field": "priority", "op": "gte", "value": "High"}, {"field": "attachmentCount", "op": "gt", "value": 0}]}';
+
+// Editor for CUSTOM transition expressions; keeps the raw text so half-typed JSON is not lost
+const ConditionExpressionInput = ({ value, onChange }) => {
+  const [text, setText] = useState(value ? JSON.stringify(value, null, 2) : '');
+  const [parseError, setParseError] = useState('');
+
+  const handleChange = (e) => {
+    setText(e.target.value);
+    try {
+      onChange(e.target.value.trim() ? JSON.parse(e.target.value) : null);
+      setParseError('');
+    } catch (err) {
+      onChange(null);
+      setParseError('Not valid JSON yet');
+    }
+  };
+
+  return (
+    <div>
+      <label className="block text-sm font-medium text-gray-700">Condition expression</label>
+      <textarea
+        value={text}
+        onChange={handleChange}
+        rows="4"
+        className="mt-1 block w-full border border-gray-300 rounded-md shadow-sm font-mono text-xs focus:ring-[#254E58] focus:border-[#254E58]"
+        placeholder={CONDITION_EXAMPLE}
+      />
+      {parseError && <p className="mt-1 text-xs text-red-600">{parseError}</p>}
+      <p className="mt-1 text-xs text-gray-500">
+        Compare <code>priority</code>, <code>type</code> or <code>department</code> (by ID), <code>ageInHours</code> or{' '}
+        <code>attachmentCount</code> with <code>eq</code>, <code>ne</code>, <code>in</code>, <code>notIn</code>,{' '}
+        <code>gt</code>, <code>gte</code>, <code>lt</code>, <code>lte</code>. Combine with <code>all</code>,{' '}
+        <code>any</code> and <code>not</code>. Checked when you save.
+      </p>
+    </div>
+  );
+};
 
 // Stage configuration panel component
 const StageConfigPanel = ({ stage, onUpdate, onClose, departments, actions = [] }) => {
@@ -23,6 +95,12 @@ const StageConfigPanel = ({ stage, onUpdate, onClose, departments, actions = []
     name: stage?.name || '',
     description: stage?.description || '',
     durationInHours: stage?.durationInHours || 24,
+    reviewerRole: stage?.reviewerRole || '',
+    type: stage?.type || 'TASK',
+    joinRule: {
+      mode: stage?.joinRule?.mode || 'ALL',
+      count: stage?.joinRule?.count || 2
+    },
     actions: stage?.actions || [],
     transitions: stage?.transitions || []
   });
@@ -148,7 +226,7 @@ const StageConfigPanel = ({ stage, onUpdate, onClose, departments, actions = []
                 })}
                 className="mt-1 block w-full border border-gray-300 rounded-md shadow-sm focus:ring-[#254E58] focus:border-[#254E58]"
               >
-                <option value="AUTO">Automatic (Balance Load)</option>
+                <option value="AUTO">Automatic</option>
                 <option value="SPECIFIC">Specific User</option>
               </select>
             </div>
@@ -167,20 +245,59 @@ const StageConfigPanel = ({ stage, onUpdate, onClose, departments, actions = []
                 />
               </div>
             )}
-            {action.config?.assignmentType === 'AUTO' && (
+            {(action.config?.assignmentType || 'AUTO') === 'AUTO' && (
               <label className="flex items-center space-x-2">
                 <input
                   type="checkbox"
                   checked={action.config?.findAvailableUser || false}
                   onChange={(e) => onChange({
                     ...action.config,
+                    assignmentType: 'AUTO',
                     findAvailableUser: e.target.checked
                   })}
                   className="rounded text-[#254E58] focus:ring-[#254E58]"
                 />
-                <span>Find user with least active complaints</span>
+                <span>Pick an available department user</span>
               </label>
             )}
+            {action.config?.assignmentType === 'AUTO' && action.config?.findAvailableUser && (
+              <>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700">Strategy</label>
+                  <select
+                    value={action.config?.strategy || 'LEAST_LOADED'}
+                    onChange={(e) => onChange({
+                      ...action.config,
+                      strategy: e.target.value
+                    })}
+                    className="mt-1 block w-full border border-gray-300 rounded-md shadow-sm focus:ring-[#254E58] focus:border-[#254E58]"
+                  >
+                    {ASSIGNMENT_STRATEGIES.map(strategy => (
+                      <option key={strategy.value} value={strategy.value}>{strategy.label}</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700">Skills</label>
+                  <select
+                    value={action.config?.skillMatching || 'OFF'}
+                    onChange={(e) => onChange({
+                      ...action.config,
+                      skillMatching: e.target.value
+                    })}
+                    className="mt-1 block w-full border border-gray-300 rounded-md shadow-sm focus:ring-[#254E58] focus:border-[#254E58]"
+                  >
+                    {SKILL_MATCHING.map(option => (
+                      <option key={option.value} value={option.value}>{option.label}</option>
+                    ))}
+                  </select>
+                </div>
+                <p className="text-xs text-gray-500">
+                  Users marked unavailable, out of office or at their capacity are skipped.
+                  Set these per user under Departments.
+                </p>
+              </>
+            )}
           </div>
         );
       case 'ESCALATION':
@@ -213,6 +330,100 @@ const StageConfigPanel = ({ stage, onUpdate, onClose, departments, actions = []
             </label>
           </div>
         );
+      case 'APPROVAL':
+        return (
+          <div className="space-y-3">
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Approvers</label>
+              <select
+                value={action.config?.approverType || ''}
+                onChange={(e) => onChange({
+                  ...action.config,
+                  approverType: e.target.value
+                })}
+                className="mt-1 block w-full border border-gray-300 rounded-md shadow-sm focus:ring-[#254E58] focus:border-[#254E58]"
+              >
+                <option value="">Select who approves</option>
+                <option value="USERS">Specific users</option>
+                <option value="ROLE">Everyone with a role</option>
+                <option value="DEPARTMENT">The complaint's department</option>
+              </select>
+            </div>
+            {action.config?.approverType === 'USERS' && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700">User IDs (comma separated)</label>
+                <input
+                  type="text"
+                  value={(action.config?.userIds || []).join(', ')}
+                  onChange={(e) => onChange({
+                    ...action.config,
+                    userIds: e.target.value.split(',').map(id => id.trim())
+                  })}
+                  className="mt-1 block w-full border border-gray-300 rounded-md shadow-sm focus:ring-[#254E58] focus:border-[#254E58]"
+                  placeholder="User IDs"
+                />
+              </div>
+            )}
+            {action.config?.approverType === 'ROLE' && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700">Role</label>
+                <select
+                  value={action.config?.role || ''}
+                  onChange={(e) => onChange({
+                    ...action.config,
+                    role: e.target.value
+                  })}
+                  className="mt-1 block w-full border border-gray-300 rounded-md shadow-sm focus:ring-[#254E58] focus:border-[#254E58]"
+                >
+                  <option value="">Select a role</option>
+                  {APPROVER_ROLES.map(role => (
+                    <option key={role.value} value={role.value}>{role.label}</option>
+                  ))}
+                </select>
+                <p className="mt-1 text-xs text-gray-500">
+                  Approvers are looked up in the complaint's department, except Super Admins.
+                </p>
+              </div>
+            )}
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Instructions</label>
+              <textarea
+                value={action.config?.instructions || ''}
+                onChange={(e) => onChange({
+                  ...action.config,
+                  instructions: e.target.value
+                })}
+                rows="2"
+                className="mt-1 block w-full border border-gray-300 rounded-md shadow-sm focus:ring-[#254E58] focus:border-[#254E58]"
+                placeholder="What should the approvers check?"
+              />
+            </div>
+            {formData.transitions.length === 0 ? (
+              <p className="text-xs text-gray-500 italic">
+                Add transitions to this stage, then choose where each decision moves the complaint.
+              </p>
+            ) : APPROVAL_OUTCOMES.map(({ field, label, required }) => (
+              <div key={field}>
+                <label className="block text-sm font-medium text-gray-700">{label}</label>
+                <select
+                  value={action.config?.[field] || ''}
+                  onChange={(e) => onChange({
+                    ...action.config,
+                    [field]: e.target.value
+                  })}
+                  className="mt-1 block w-full border border-gray-300 rounded-md shadow-sm focus:ring-[#254E58] focus:border-[#254E58]"
+                >
+                  <option value="">{required ? 'Select a stage' : 'Not offered'}</option>
+                  {formData.transitions.filter(t => t.targetStageId).map(transition => (
+                    <option key={transition.targetStageId} value={transition.targetStageId}>
+                      {actions.find(s => s.id === transition.targetStageId)?.name || 'Unknown Stage'}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            ))}
+          </div>
+        );
       default:
         return <div>No configuration needed</div>;
     }
@@ -237,48 +448,39 @@ const StageConfigPanel = ({ stage, onUpdate, onClose, departments, actions = []
             />
           </div>
         );
-      case 'USER_ROLE':
+      case 'USER_ROLE': {
+        // Older workflows store a single role
+        const roles = [].concat(condition.value || []);
         return (
           <div>
-            <label className="block text-sm font-medium text-gray-700">Required Role</label>
-            <select
-              value={condition.value || ''}
-              onChange={(e) => onChange({
-                ...condition,
-                value: e.target.value
-              })}
-              className="mt-1 block w-full border border-gray-300 rounded-md shadow-sm focus:ring-[#254E58] focus:border-[#254E58]"
-            >
-              <option value="">Select a role</option>
-              <option value="SuperAdmin">Super Admin</option>
-              <option value="DepartmentUser">Department User</option>
-              <option value="Student">Student</option>
-              <option value="Faculty">Faculty</option>
-            </select>
+            <label className="block text-sm font-medium text-gray-700">Roles that may take this transition</label>
+            <div className="mt-1 grid grid-cols-2 gap-1">
+              {CONDITION_ROLES.map(role => (
+                <label key={role.value} className="flex items-center space-x-2">
+                  <input
+                    type="checkbox"
+                    checked={roles.includes(role.value)}
+                    onChange={(e) => onChange({
+                      ...condition,
+                      value: e.target.checked
+                        ? [...roles, role.value]
+                        : roles.filter(r => r !== role.value)
+                    })}
+                    className="rounded border-gray-300 text-[#254E58] focus:ring-[#254E58]"
+                  />
+                  <span className="text-sm">{role.label}</span>
+                </label>
+              ))}
+            </div>
           </div>
         );
+      }
       case 'CUSTOM':
         return (
-          <div>
-            <label className="block text-sm font-medium text-gray-700">Custom Condition (JSON)</label>
-            <textarea
-              value={condition.value ? JSON.stringify(condition.value) : ''}
-              onChange={(e) => {
-                try {
-                  const value = e.target.value ? JSON.parse(e.target.value) : null;
-                  onChange({
-                    ...condition,
-                    value
-                  });
-                } catch (err) {
-                  // If not valid JSON, don't update
-                }
-              }}
-              rows="3"
-              className="mt-1 block w-full border border-gray-300 rounded-md shadow-sm focus:ring-[#254E58] focus:border-[#254E58]"
-              placeholder='{"field": "value"}'
-            />
-          </div>
+          <ConditionExpressionInput
+            value={condition.value}
+            onChange={(value) => onChange({ ...condition, value })}
+          />
         );
       case 'ALWAYS':
       default:
@@ -370,7 +572,12 @@ const StageConfigPanel = ({ stage, onUpdate, onClose, departments, actions = []
     e.preventDefault();
     onUpdate({
       ...stage,
-      ...formData
+      ...formData,
+      reviewerRole: formData.reviewerRole || undefined,
+      // Only joins wait for branches, and only N_OF_M needs a count
+      joinRule: formData.type === 'JOIN'
+        ? { mode: formData.joinRule.mode, ...(formData.joinRule.mode === 'N_OF_M' && { count: formData.joinRule.count }) }
+        : undefined
     });
     onClose();
   };
@@ -419,6 +626,65 @@ const StageConfigPanel = ({ stage, onUpdate, onClose, departments, actions = []
                   />
                 </div>
 
+                <div>
+                  <label className="block text-sm font-medium text-gray-700">Stage Type</label>
+                  <select
+                    value={formData.type}
+                    onChange={(e) => setFormData({ ...formData, type: e.target.value })}
+                    className="mt-1 block w-full border border-gray-300 rounded-md shadow-sm focus:ring-[#254E58] focus:border-[#254E58]"
+                  >
+                    <option value="TASK">Task</option>
+                    <option value="FORK">Fork (parallel split)</option>
+                    <option value="JOIN">Join (wait for branches)</option>
+                  </select>
+                  <p className="mt-1 text-xs text-gray-500">
+                    {formData.type === 'FORK'
+                      ? 'Every transition of a fork opens a branch that runs in parallel; all branches must lead to the same join'
+                      : formData.type === 'JOIN'
+                        ? 'The complaint waits here until enough branches of the fork have arrived'
+                        : 'A complaint is in one task stage at a time'}
+                  </p>
+                </div>
+
+                {formData.type === 'JOIN' && (
+                  <div className="grid grid-cols-2 gap-4">
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700">Continue When</label>
+                      <select
+                        value={formData.joinRule.mode}
+                        onChange={(e) => setFormData({
+                          ...formData,
+                          joinRule: { ...formData.joinRule, mode: e.target.value }
+                        })}
+                        className="mt-1 block w-full border border-gray-300 rounded-md shadow-sm focus:ring-[#254E58] focus:border-[#254E58]"
+                      >
+                        <option value="ALL">All branches arrive</option>
+                        <option value="ANY">Any branch arrives</option>
+                        <option value="N_OF_M">A number of branches arrive</option>
+                      </select>
+                    </div>
+                    {formData.joinRule.mode === 'N_OF_M' && (
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700">Branches to Wait For</label>
+                        <input
+                          type="number"
+                          value={formData.joinRule.count}
+                          onChange={(e) => setFormData({
+                            ...formData,
+                            joinRule: { ...formData.joinRule, count: parseInt(e.target.value) || 1 }
+                          })}
+                          min="1"
+                          className="mt-1 block w-full border border-gray-300 rounded-md shadow-sm focus:ring-[#254E58] focus:border-[#254E58]"
+                          required
+                        />
+                      </div>
+                    )}
+                    <p className="col-span-2 text-xs text-gray-500">
+                      Branches still open when the join continues are cancelled
+                    </p>
+                  </div>
+                )}
+
                 <div>
                   <label className="block text-sm font-medium text-gray-700">Expected Duration (hours)</label>
                   <input
@@ -437,6 +703,21 @@ const StageConfigPanel = ({ stage, onUpdate, onClose, departments, actions = []
                   </p>
                 </div>
 
+                <div>
+                  <label className="block text-sm font-medium text-gray-700">Reviewed By</label>
+                  <select
+                    value={formData.reviewerRole}
+                    onChange={(e) => setFormData({ ...formData, reviewerRole: e.target.value })}
+                    className="mt-1 block w-full border border-gray-300 rounded-md shadow-sm focus:ring-[#254E58] focus:border-[#254E58]"
+                  >
+                    <option value="">Department staff (default)</option>
+                    <option value="Faculty">Faculty</option>
+                  </select>
+                  <p className="mt-1 text-xs text-gray-500">
+                    Faculty reviewers see complaints in this stage on their dashboard and can move them on
+                  </p>
+                </div>
+
                 {/* Actions Section */}
                 <div className="border rounded-lg p-4 bg-gray-50">
                   <h4 className="font-medium text-gray-700 mb-2">Stage Actions</h4>
@@ -454,6 +735,7 @@ const StageConfigPanel = ({ stage, onUpdate, onClose, departments, actions = []
                               {action.type === 'STATUS_UPDATE' && <Check className="mr-2 h-4 w-4 text-green-500" />}
                               {action.type === 'ASSIGNMENT' && <Users className="mr-2 h-4 w-4 text-purple-500" />}
                               {action.type === 'ESCALATION' && <AlertTriangle className="mr-2 h-4 w-4 text-red-500" />}
+                              {action.type === 'APPROVAL' && <ClipboardCheck className="mr-2 h-4 w-4 text-teal-600" />}
                               <span className="font-medium">{action.type}</span>
                             </div>
                             <button
@@ -494,6 +776,7 @@ const StageConfigPanel = ({ stage, onUpdate, onClose, departments, actions = []
                             <option value="STATUS_UPDATE">Status Update</option>
                             <option value="ASSIGNMENT">Assignment</option>
                             <option value="ESCALATION">Escalation</option>
+                            <option value="APPROVAL">Approval</option>
                           </select>
                         </div>
                         <button
@@ -537,7 +820,9 @@ const StageConfigPanel = ({ stage, onUpdate, onClose, departments, actions = []
                 <div className="border rounded-lg p-4 bg-gray-50">
                   <h4 className="font-medium text-gray-700 mb-2">Stage Transitions</h4>
                   <p className="text-sm text-gray-500 mb-4">
-                    Define possible transitions from this stage to other stages
+                    {formData.type === 'FORK'
+                      ? 'Each transition opens a parallel branch starting at its target stage'
+                      : 'Define possible transitions from this stage to other stages'}
                   </p>
 
                   {formData.transitions.length > 0 ? (
@@ -733,7 +1018,8 @@ const WorkflowBuilder = ({
     complaintTypeId: workflow?.complaintTypeId || '',
     departmentId: workflow?.departmentId || '',
     isActive: workflow?.isActive !== undefined ? workflow.isActive : true,
-    stages: workflow?.stages || []
+    stages: workflow?.stages || [],
+    reopenPolicy: { ...DEFAULT_REOPEN_POLICY, ...workflow?.reopenPolicy }
   });
 
   const [selectedStage, setSelectedStage] = useState(null);
@@ -742,6 +1028,8 @@ const WorkflowBuilder = ({
   const [newStageName, setNewStageName] = useState('');
   const [error, setError] = useState('');
   const [showTemplateSelector, setShowTemplateSelector] = useState(false);
+  const [showSimulation, setShowSimulation] = useState(false);
+  const [versionNotes, setVersionNotes] = useState('');
   const stageRefs = useRef({});
 
   // Handle template selection
@@ -780,7 +1068,8 @@ const WorkflowBuilder = ({
         complaintTypeId: workflow.complaintTypeId?._id || workflow.complaintTypeId || '',
         departmentId: workflow.departmentId?._id || workflow.departmentId || '',
         isActive: workflow.isActive !== undefined ? workflow.isActive : true,
-        stages: workflow.stages || []
+        stages: workflow.stages || [],
+        reopenPolicy: { ...DEFAULT_REOPEN_POLICY, ...workflow.reopenPolicy }
       });
     }
   }, [workflow]);
@@ -880,6 +1169,13 @@ const WorkflowBuilder = ({
     });
   };
 
+  const setReopenPolicy = (changes) => {
+    setWorkflowData({
+      ...workflowData,
+      reopenPolicy: { ...workflowData.reopenPolicy, ...changes }
+    });
+  };
+
   // Form validation
   const validateForm = () => {
     if (!workflowData.name) {
@@ -901,15 +1197,37 @@ const WorkflowBuilder = ({
       setError('Workflow must have at least one stage');
       return false;
     }
+
+    if (workflowData.reopenPolicy.mode === 'STAGE' &&
+      !workflowData.stages.some(s => s.id === workflowData.reopenPolicy.stageId)) {
+      setError('Please select the stage reopened complaints return to');
+      return false;
+    }
     
     return true;
   };
 
   // Submit the workflow
-  const handleSubmit = (e) => {
+  const handleSubmit = async (e) => {
     e.preventDefault();
     
     if (!validateForm()) return;
+
+    // Transition conditions must be valid even on drafts; the server checks again on save
+    try {
+      const validation = await validateWorkflow({
+        stages: workflowData.stages,
+        reopenPolicy: workflowData.reopenPolicy
+      });
+      const conditionErrors = validation.errors.filter(issue => issue.code === 'INVALID_CONDITION');
+      if (conditionErrors.length > 0) {
+        setError(conditionErrors.map(issue => issue.message).join(' '));
+        return;
+      }
+    } catch (err) {
+      console.error('Error validating workflow:', err);
+    }
+    setError('');
     
     // Clone and clean up data before submitting
     const workflowToSave = {
@@ -918,7 +1236,8 @@ const WorkflowBuilder = ({
         ...stage,
         actions: stage.actions || [],
         transitions: stage.transitions || []
-      }))
+      })),
+      ...(versionNotes.trim() && { versionNotes: versionNotes.trim() })
     };
     
     onSave(workflowToSave);
@@ -930,7 +1249,16 @@ const WorkflowBuilder = ({
         <form onSubmit={handleSubmit} className="space-y-6">
           {/* Basic Workflow Info */}
           <div className="space-y-4">
-            <div className="flex justify-end mb-4">
+            <div className="flex justify-end mb-4 space-x-3">
+              <button
+                type="button"
+                onClick={() => setShowSimulation(true)}
+                disabled={workflowData.stages.length === 0}
+                className="inline-flex items-center px-4 py-2 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-[#254E58] disabled:opacity-50"
+              >
+                <PlayCircle className="h-4 w-4 mr-2" />
+                Check &amp; Simulate
+              </button>
               <button
                 type="button"
                 onClick={() => setShowTemplateSelector(true)}
@@ -1024,6 +1352,61 @@ const WorkflowBuilder = ({
                 Active
               </label>
             </div>
+
+            {/* Reopen Policy */}
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <div>
+                <label htmlFor="reopenWindow" className="block text-sm font-medium text-gray-700">
+                  Reopen Window (days)
+                </label>
+                <input
+                  id="reopenWindow"
+                  type="number"
+                  min="0"
+                  value={workflowData.reopenPolicy.windowInDays}
+                  onChange={(e) => setReopenPolicy({ windowInDays: Math.max(0, parseInt(e.target.value, 10) || 0) })}
+                  className="mt-1 block w-full border border-gray-300 rounded-md shadow-sm focus:ring-[#254E58] focus:border-[#254E58]"
+                />
+                <p className="mt-1 text-xs text-gray-500">0 stops complainants from reopening</p>
+              </div>
+
+              <div>
+                <label htmlFor="reopenMode" className="block text-sm font-medium text-gray-700">
+                  Reopened Complaints Go To
+                </label>
+                <select
+                  id="reopenMode"
+                  value={workflowData.reopenPolicy.mode}
+                  onChange={(e) => setReopenPolicy({ mode: e.target.value })}
+                  className="mt-1 block w-full border border-gray-300 rounded-md shadow-sm focus:ring-[#254E58] focus:border-[#254E58]"
+                >
+                  <option value="RESUME">The stage before resolution</option>
+                  <option value="RESTART">The first stage</option>
+                  <option value="STAGE">A specific stage</option>
+                </select>
+              </div>
+
+              {workflowData.reopenPolicy.mode === 'STAGE' && (
+                <div>
+                  <label htmlFor="reopenStage" className="block text-sm font-medium text-gray-700">
+                    Reopen Stage
+                  </label>
+                  <select
+                    id="reopenStage"
+                    value={workflowData.reopenPolicy.stageId || ''}
+                    onChange={(e) => setReopenPolicy({ stageId: e.target.value })}
+                    className="mt-1 block w-full border border-gray-300 rounded-md shadow-sm focus:ring-[#254E58] focus:border-[#254E58]"
+                  >
+                    <option value="">Select a stage</option>
+                    {workflowData.stages.map(stage => (
+                      <option key={stage.id} value={stage.id}>
+                        {stage.name}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              )}
+            </div>
           </div>
 
           {/* Error display */}
@@ -1107,6 +1490,16 @@ const WorkflowBuilder = ({
                               {stage.durationInHours}h
                             </span>
                           )}
+                          {stage.reviewerRole && (
+                            <span className="ml-2 px-2 py-0.5 text-xs rounded-full bg-purple-100 text-purple-800">
+                              {stage.reviewerRole} review
+                            </span>
+                          )}
+                          {(stage.type === 'FORK' || stage.type === 'JOIN') && (
+                            <span className="ml-2 px-2 py-0.5 text-xs rounded-full bg-[#88BDBC] bg-opacity-30 text-[#112D32]">
+                              {stage.type === 'FORK' ? 'Fork' : 'Join'}
+                            </span>
+                          )}
                         </div>
                         {stage.description && (
                           <p className="text-sm text-gray-500 ml-8">{stage.description}</p>
@@ -1142,6 +1535,27 @@ const WorkflowBuilder = ({
             )}
           </div>
 
+          {/* Version notes - only meaningful when the edit publishes a new version */}
+          {workflow?._id && (
+            <div>
+              <label htmlFor="versionNotes" className="block text-sm font-medium text-gray-700">
+                What changed?
+              </label>
+              <input
+                type="text"
+                id="versionNotes"
+                value={versionNotes}
+                onChange={(e) => setVersionNotes(e.target.value)}
+                className="mt-1 block w-full border border-gray-300 rounded-md shadow-sm focus:ring-[#254E58] focus:border-[#254E58]"
+                placeholder="Optional note for the version history"
+              />
+              <p className="mt-1 text-xs text-gray-500">
+                Changes to stages or the reopen policy are published as version {(workflow.currentVersion || 0) + 1}.
+                Open complaints stay on the version they started on.
+              </p>
+            </div>
+          )}
+
           {/* Action buttons */}
           <div className="flex justify-end space-x-3 pt-4 border-t">
             <button
@@ -1173,6 +1587,15 @@ const WorkflowBuilder = ({
         />
       )}
 
+      {showSimulation && (
+        <WorkflowSimulationPanel
+          stages={workflowData.stages}
+          reopenPolicy={workflowData.reopenPolicy}
+          departmentId={workflowData.departmentId}
+          onClose={() => setShowSimulation(false)}
+        />
+      )}
+
       {showTemplateSelector && (
         <div className="fixed inset-0 z-50 overflow-y-auto bg-gray-500 bg-opacity-75 flex items-center justify-center">
           <WorkflowTemplateSelector
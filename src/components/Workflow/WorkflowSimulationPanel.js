@@ -0,0 +1,266 @@
+// components/Workflow/WorkflowSimulationPanel.js
+import React, { useState, useEffect, useCallback } from 'react';
+import PropTypes from 'prop-types';
+import { format } from 'date-fns';
+import {
+  X,
+  AlertCircle,
+  AlertTriangle,
+  CheckCircle,
+  Clock,
+  Flag,
+  Loader,
+  PlayCircle
+} from 'lucide-react';
+import { simulateWorkflow } from '../../services/api';
+
+const PRIORITIES = ['Low', 'Medium', 'High', 'Urgent'];
+
+const formatHours = (hours) => (hours >= 24 && hours % 24 === 0 ? `${hours / 24} day${hours === 24 ? '' : 's'}` : `${hours}h`);
+
+const WorkflowSimulationPanel = ({ stages, reopenPolicy, departmentId, onClose }) => {
+  const [state, setState] = useState({
+    priority: 'Medium',
+    path: [],
+    result: null,
+    isLoading: true,
+    error: null
+  });
+
+  const { priority, path } = state;
+
+  const runSimulation = useCallback(async () => {
+    try {
+      setState(prev => ({ ...prev, isLoading: true, error: null }));
+      const result = await simulateWorkflow({
+        stages,
+        reopenPolicy,
+        departmentId: departmentId || undefined,
+        sample: { priority },
+        path
+      });
+      setState(prev => ({ ...prev, result, isLoading: false }));
+    } catch (err) {
+      setState(prev => ({
+        ...prev,
+        error: err?.msg || err?.errors?.[0]?.msg || 'Failed to simulate the workflow',
+        isLoading: false
+      }));
+    }
+  }, [stages, reopenPolicy, departmentId, priority, path]);
+
+  useEffect(() => {
+    runSimulation();
+  }, [runSimulation]);
+
+  // Take a different branch at one step; later choices no longer apply
+  const chooseBranch = (stepIndex, stageId) => {
+    const taken = state.result.steps.slice(0, stepIndex).map(step => step.nextStageId);
+    setState(prev => ({ ...prev, path: [...taken, stageId] }));
+  };
+
+  const { result } = state;
+  const validation = result?.validation;
+
+  return (
+    <div className="fixed inset-0 z-50 overflow-y-auto">
+      <div className="flex min-h-screen items-center justify-center p-4">
+        <div className="fixed inset-0 bg-gray-500 bg-opacity-75 transition-opacity" onClick={onClose} />
+        <div className="relative transform overflow-hidden rounded-lg bg-white shadow-xl w-full max-w-3xl">
+          <div className="p-6 max-h-[90vh] overflow-y-auto space-y-6">
+            <div className="flex justify-between items-start">
+              <div>
+                <h2 className="text-xl font-semibold text-gray-900 flex items-center">
+                  <PlayCircle className="h-5 w-5 mr-2 text-[#254E58]" />
+                  Check and simulate
+                </h2>
+                <p className="mt-1 text-sm text-gray-500">
+                  A sample complaint walks through this draft. Nothing is saved and nobody is notified.
+                </p>
+              </div>
+              <button onClick={onClose} className="text-gray-400 hover:text-gray-500">
+                <X className="h-6 w-6" />
+              </button>
+            </div>
+
+            {state.error && (
+              <div className="rounded-md bg-red-50 p-4 flex items-center border border-red-200">
+                <AlertCircle className="h-5 w-5 text-red-400 mr-2" />
+                <span className="text-sm text-red-700">{state.error}</span>
+              </div>
+            )}
+
+            {/* Validation */}
+            {validation && (
+              validation.errors.length === 0 && validation.warnings.length === 0 ? (
+                <div className="rounded-md bg-green-50 p-4 flex items-center border border-green-200">
+                  <CheckCircle className="h-5 w-5 text-green-500 mr-2" />
+                  <span className="text-sm text-green-700">No problems found. Every stage is reachable and every path can finish.</span>
+                </div>
+              ) : (
+                <div className="space-y-2">
+                  {validation.errors.map((issue, index) => (
+                    <div key={`error-${index}`} className="rounded-md bg-red-50 px-4 py-2 flex items-start border border-red-200">
+                      <AlertCircle className="h-4 w-4 text-red-400 mr-2 mt-0.5 flex-shrink-0" />
+                      <span className="text-sm text-red-700">{issue.message}</span>
+                    </div>
+                  ))}
+                  {validation.warnings.map((issue, index) => (
+                    <div key={`warning-${index}`} className="rounded-md bg-yellow-50 px-4 py-2 flex items-start border border-yellow-200">
+                      <AlertTriangle className="h-4 w-4 text-yellow-500 mr-2 mt-0.5 flex-shrink-0" />
+                      <span className="text-sm text-yellow-800">{issue.message}</span>
+                    </div>
+                  ))}
+                  {!validation.valid && (
+                    <p className="text-xs text-gray-500">Errors must be fixed before the workflow can be active.</p>
+                  )}
+                </div>
+              )
+            )}
+
+            {/* Sample complaint */}
+            <div className="flex items-center gap-3">
+              <label className="text-sm font-medium text-gray-700">Sample priority</label>
+              <select
+                value={priority}
+                onChange={(e) => setState(prev => ({ ...prev, priority: e.target.value }))}
+                className="rounded-md border-gray-300 shadow-sm focus:border-[#254E58] focus:ring-[#254E58] sm:text-sm"
+              >
+                {PRIORITIES.map(value => (
+                  <option key={value} value={value}>{value}</option>
+                ))}
+              </select>
+              {path.length > 0 && (
+                <button
+                  onClick={() => setState(prev => ({ ...prev, path: [] }))}
+                  className="text-sm text-[#254E58] hover:text-[#112D32]"
+                >
+                  Reset branches
+                </button>
+              )}
+              {state.isLoading && <Loader className="h-4 w-4 animate-spin text-[#254E58]" />}
+            </div>
+
+            {/* Steps */}
+            {result && (
+              <ol className="relative border-l border-gray-200 ml-3 space-y-6">
+                {result.steps.map((step, index) => (
+                  <li key={`${step.stageId}-${index}`} className="ml-6">
+                    <span className="absolute -left-3 flex items-center justify-center w-6 h-6 rounded-full bg-[#88BDBC] text-white text-xs font-medium">
+                      {index + 1}
+                    </span>
+                    <div className="flex flex-wrap items-baseline justify-between gap-2">
+                      <h3 className="text-sm font-semibold text-gray-900">
+                        {step.branch && (
+                          <span className="block text-xs font-normal text-[#254E58]">Branch {step.branch}</span>
+                        )}
+                        {step.stageName}
+                        {step.type !== 'TASK' && (
+                          <span className="ml-2 px-1.5 py-0.5 rounded text-xs font-medium bg-[#88BDBC] bg-opacity-30 text-[#112D32]">
+                            {step.type === 'FORK' ? 'Fork' : 'Join'}
+                          </span>
+                        )}
+                        {step.reviewerRole && (
+                          <span className="ml-2 text-xs font-normal text-gray-500">reviewed by {step.reviewerRole}</span>
+                        )}
+                      </h3>
+                      <span className="text-xs text-gray-500 flex items-center">
+                        <Clock className="h-3 w-3 mr-1" />
+                        {formatHours(step.durationInHours)}, due {format(new Date(step.dueAt), 'MMM d, HH:mm')}
+                      </span>
+                    </div>
+
+                    <p className="mt-1 text-xs text-gray-500">
+                      Status {step.state.status} · Priority {step.state.priority}
+                      {step.state.assignee && ` · Assigned to ${step.state.assignee}`}
+                    </p>
+
+                    {step.actions.length > 0 && (
+                      <ul className="mt-2 space-y-1">
+                        {step.actions.map((action, actionIndex) => (
+                          <li key={actionIndex} className="text-sm text-gray-700">
+                            <span className="inline-flex px-1.5 py-0.5 mr-2 rounded text-xs font-medium bg-gray-100 text-gray-700">
+                              {action.type}
+                            </span>
+                            {action.description}
+                            {action.recipients?.length > 0 && (
+                              <span className="block ml-1 text-xs text-gray-500">To: {action.recipients.join('; ')}</span>
+                            )}
+                            {action.skipped?.map(note => (
+                              <span key={note} className="block ml-1 text-xs text-yellow-700">{note}</span>
+                            ))}
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+
+                    {step.joinRule && (
+                      <p className="mt-2 text-xs text-gray-500">{step.joinRule}</p>
+                    )}
+
+                    {step.whenOverdue && (
+                      <p className="mt-2 text-xs text-gray-500">If overdue: {step.whenOverdue}</p>
+                    )}
+
+                    {step.type === 'FORK' ? (
+                      <p className="mt-2 text-xs text-gray-500">
+                        Opens {step.transitions.filter(t => t.taken).length} parallel branch
+                        {step.transitions.filter(t => t.taken).length === 1 ? '' : 'es'}
+                      </p>
+                    ) : step.transitions.length > 1 && (
+                      <div className="mt-2 flex items-center gap-2">
+                        <span className="text-xs text-gray-500">Next:</span>
+                        <select
+                          value={step.nextStageId || ''}
+                          onChange={(e) => chooseBranch(index, e.target.value)}
+                          className="rounded-md border-gray-300 shadow-sm focus:border-[#254E58] focus:ring-[#254E58] text-xs"
+                        >
+                          {!step.nextStageId && <option value="">Choose a transition</option>}
+                          {step.transitions.map(transition => (
+                            <option key={transition.targetStageId} value={transition.targetStageId}>
+                              {transition.targetName || transition.targetStageId}
+                              {transition.condition !== 'ALWAYS' ? ` (${transition.conditionDescription})` : ''}
+                              {transition.conditionMet === false ? ' - not met by the sample' : ''}
+                            </option>
+                          ))}
+                        </select>
+                      </div>
+                    )}
+                  </li>
+                ))}
+              </ol>
+            )}
+
+            {/* Outcome */}
+            {result && (
+              <div className={`rounded-md p-4 flex items-start border ${
+                result.completed ? 'bg-green-50 border-green-200' : 'bg-yellow-50 border-yellow-200'
+              }`}>
+                <Flag className={`h-5 w-5 mr-2 flex-shrink-0 ${result.completed ? 'text-green-500' : 'text-yellow-500'}`} />
+                <div className="text-sm">
+                  {result.completed ? (
+                    <p className="text-green-800">
+                      Completes after {result.steps.length} stage{result.steps.length === 1 ? '' : 's'}.
+                      Projected SLA {formatHours(result.totalHours)}, done by {format(new Date(result.projectedCompletion), 'MMM d, yyyy HH:mm')} if filed now.
+                    </p>
+                  ) : (
+                    <p className="text-yellow-800">{result.stoppedReason}</p>
+                  )}
+                </div>
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+WorkflowSimulationPanel.propTypes = {
+  stages: PropTypes.arrayOf(PropTypes.object).isRequired,
+  reopenPolicy: PropTypes.object,
+  departmentId: PropTypes.string,
+  onClose: PropTypes.func.isRequired
+};
+
+export default WorkflowSimulationPanel;
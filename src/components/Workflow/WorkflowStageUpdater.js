@@ -8,6 +8,7 @@ const WorkflowStageUpdater = ({
   onUpdate,
   onClose
 }) => {
+  const [selectedBranchId, setSelectedBranchId] = useState('');
   const [selectedStageId, setSelectedStageId] = useState('');
   const [comment, setComment] = useState('');
   const [isSubmitting, setIsSubmitting] = useState(false);
@@ -15,29 +16,40 @@ const WorkflowStageUpdater = ({
   const [transitions, setTransitions] = useState([]);
   const [statusChangeInfo, setStatusChangeInfo] = useState(null);
 
-  // Load available transitions when component mounts
+  // While a fork's branches are open, each branch moves on its own
+  const activeBranches = workflowData?.activeBranches || [];
+  const fromStage = selectedBranchId
+    ? activeBranches.find(branch => branch._id === selectedBranchId)?.stage
+    : workflowData?.currentStage;
+
+  // Start on the first open branch, if any
+  useEffect(() => {
+    setSelectedBranchId(workflowData?.activeBranches?.[0]?._id || '');
+  }, [workflowData]);
+
+  // Load available transitions for the main stage or the selected branch
   useEffect(() => {
     if (workflowData) {
-      const availableTransitions = workflowService.getAvailableTransitions(workflowData);
+      const availableTransitions = workflowService.getAvailableTransitions(workflowData, selectedBranchId || undefined);
       setTransitions(availableTransitions);
       
-      // Default to first transition if available
-      if (availableTransitions.length > 0) {
-        setSelectedStageId(availableTransitions[0].id);
-        // Check if this transition causes a status change
-        checkStatusChange(availableTransitions[0].id);
-      }
+      // Default to the first transition this user may take
+      const firstOpen = availableTransitions.find(t => !t.blockedReason);
+      setSelectedStageId(firstOpen ? firstOpen.id : '');
+      // Check if this transition causes a status change
+      checkStatusChange(firstOpen ? firstOpen.id : '');
     }
-  }, [workflowData]);
+  }, [workflowData, selectedBranchId]);
 
   // Update status change info when selected stage changes
   const checkStatusChange = (stageId) => {
-    if (!workflowData || !workflowData.workflow || !workflowData.currentStage) {
+    if (!stageId || !workflowData || !workflowData.workflow || !workflowData.currentStage) {
       setStatusChangeInfo(null);
       return;
     }
     
-    const changeInfo = workflowService.getStatusChangeForStageTransition(
+    // Stages inside a branch only change the status through their own actions
+    const changeInfo = selectedBranchId ? null : workflowService.getStatusChangeForStageTransition(
       workflowData.workflow,
       workflowData.currentStage.id,
       stageId
@@ -76,7 +88,7 @@ const WorkflowStageUpdater = ({
     try {
       setIsSubmitting(true);
       setError('');
-      await onUpdate(selectedStageId, comment.trim());
+      await onUpdate(selectedStageId, comment.trim(), selectedBranchId || undefined);
       // Note: onClose should be called by the parent component
       // after successful update and refresh
     } catch (err) {
@@ -159,11 +171,34 @@ const WorkflowStageUpdater = ({
                 </button>
               </div>
 
+              {/* Parallel branch to move */}
+              {activeBranches.length > 0 && (
+                <div className="mb-4">
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Branch of {workflowData.currentStage?.name || 'the fork'}
+                  </label>
+                  <select
+                    value={selectedBranchId}
+                    onChange={(e) => setSelectedBranchId(e.target.value)}
+                    className="w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 sm:text-sm"
+                  >
+                    {activeBranches.map(branch => (
+                      <option key={branch._id} value={branch._id}>
+                        {branch.stage?.name || branch.stageId}
+                      </option>
+                    ))}
+                  </select>
+                  <p className="mt-1 text-xs text-gray-500">
+                    The complaint continues past the fork once its join stage is reached by enough branches.
+                  </p>
+                </div>
+              )}
+
               {/* Current and Target Stage */}
               <div className="mb-6">
                 <div className="flex items-center justify-center my-4">
                   <div className="bg-blue-100 text-blue-800 px-3 py-1 rounded-lg">
-                    {workflowData.currentStage?.name || 'Current Stage'}
+                    {fromStage?.name || 'Current Stage'}
                   </div>
                   <ArrowRight className="mx-4 text-gray-400" />
                   <div className="relative w-56">
@@ -173,9 +208,10 @@ const WorkflowStageUpdater = ({
                       className="w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 sm:text-sm"
                       required
                     >
+                      {!selectedStageId && <option value="">No transition available to you</option>}
                       {transitions.map((transition) => (
-                        <option key={transition.id} value={transition.id}>
-                          {transition.name}
+                        <option key={transition.id} value={transition.id} disabled={Boolean(transition.blockedReason)}>
+                          {transition.name}{transition.blockedReason ? ` (${transition.blockedReason})` : ''}
                         </option>
                       ))}
                     </select>
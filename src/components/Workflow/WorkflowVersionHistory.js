@@ -0,0 +1,383 @@
+// components/Workflow/WorkflowVersionHistory.js
+import React, { useState, useEffect, useCallback } from 'react';
+import PropTypes from 'prop-types';
+import { format } from 'date-fns';
+import { X, Loader, AlertCircle, CheckCircle, ArrowRight, GitCompare } from 'lucide-react';
+import { getWorkflowVersions, getWorkflowVersionDiff, migrateWorkflowInstances } from '../../services/api';
+import LoadingSpinner from '../common/LoadingSpinner';
+
+const FIELD_LABELS = {
+  name: 'Name',
+  description: 'Description',
+  order: 'Order',
+  durationInHours: 'Duration (hours)',
+  reviewerRole: 'Reviewer role',
+  actions: 'Actions',
+  transitions: 'Transitions'
+};
+
+// Readable form of a changed stage field
+const formatValue = (field, value, stageNames) => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (field === 'actions') {
+    return value.length ? value.map(action => action.type).join(', ') : 'None';
+  }
+  if (field === 'transitions') {
+    return value.length
+      ? value.map(transition => {
+        const target = stageNames[transition.targetStageId] || transition.targetStageId;
+        const condition = transition.condition?.type;
+        return condition && condition !== 'ALWAYS' ? `${target} (${condition})` : target;
+      }).join(', ')
+      : 'None';
+  }
+  return String(value);
+};
+
+const formatPolicy = (policy, stageNames) => {
+  if (!policy) return '—';
+  const target = policy.mode === 'STAGE' ? ` → ${stageNames[policy.stageId] || policy.stageId}` : '';
+  return `${policy.mode}${target}, ${policy.windowInDays} day window`;
+};
+
+const WorkflowVersionHistory = ({ workflow, onClose }) => {
+  const [state, setState] = useState({
+    versions: [],
+    compare: { from: '', to: '' },
+    diff: null,
+    migration: null, // { fromVersion, mapping: { [stageId]: targetStageId } }
+    isLoading: true,
+    isDiffLoading: false,
+    isMigrating: false,
+    error: null,
+    notice: null
+  });
+
+  const loadVersions = useCallback(async () => {
+    try {
+      setState(prev => ({ ...prev, isLoading: true, error: null }));
+      const versions = await getWorkflowVersions(workflow._id);
+      setState(prev => ({
+        ...prev,
+        versions,
+        // Compare the two newest versions by default
+        compare: versions.length > 1
+          ? { from: versions[1].version, to: versions[0].version }
+          : { from: '', to: '' },
+        isLoading: false
+      }));
+    } catch (err) {
+      setState(prev => ({
+        ...prev,
+        error: err?.msg || 'Failed to load version history',
+        isLoading: false
+      }));
+    }
+  }, [workflow._id]);
+
+  useEffect(() => {
+    loadVersions();
+  }, [loadVersions]);
+
+  const { from, to } = state.compare;
+
+  useEffect(() => {
+    if (!from || !to || from === to) {
+      setState(prev => ({ ...prev, diff: null }));
+      return;
+    }
+
+    const loadDiff = async () => {
+      try {
+        setState(prev => ({ ...prev, isDiffLoading: true }));
+        const diff = await getWorkflowVersionDiff(workflow._id, from, to);
+        setState(prev => ({ ...prev, diff, isDiffLoading: false }));
+      } catch (err) {
+        setState(prev => ({
+          ...prev,
+          error: err?.msg || 'Failed to compare versions',
+          isDiffLoading: false
+        }));
+      }
+    };
+
+    loadDiff();
+  }, [workflow._id, from, to]);
+
+  const currentVersion = state.versions.find(version => version.isCurrent);
+  const versionByNumber = (number) => state.versions.find(version => version.version === Number(number));
+
+  // Stage names across every version, for transitions that point at removed stages
+  const stageNames = state.versions.reduce((names, version) => {
+    version.stages.forEach(stage => { names[stage.id] = names[stage.id] || stage.name; });
+    return names;
+  }, {});
+  if (state.diff) {
+    [...state.diff.added, ...state.diff.removed].forEach(stage => { stageNames[stage.id] = stage.name; });
+  }
+
+  const startMigration = (version) => {
+    const mapping = Object.keys(version.activeStages).reduce((result, stageId) => {
+      result[stageId] = currentVersion.stages.some(stage => stage.id === stageId) ? stageId : '';
+      return result;
+    }, {});
+    setState(prev => ({ ...prev, migration: { fromVersion: version.version, mapping }, notice: null, error: null }));
+  };
+
+  const setMapping = (stageId, targetStageId) => {
+    setState(prev => ({
+      ...prev,
+      migration: { ...prev.migration, mapping: { ...prev.migration.mapping, [stageId]: targetStageId } }
+    }));
+  };
+
+  const handleMigrate = async () => {
+    try {
+      setState(prev => ({ ...prev, isMigrating: true, error: null }));
+      const result = await migrateWorkflowInstances(workflow._id, {
+        fromVersion: state.migration.fromVersion,
+        toVersion: currentVersion.version,
+        stageMapping: state.migration.mapping
+      });
+      setState(prev => ({ ...prev, isMigrating: false, migration: null, notice: result.msg }));
+      await loadVersions();
+    } catch (err) {
+      setState(prev => ({
+        ...prev,
+        isMigrating: false,
+        error: err?.msg || err?.errors?.[0]?.msg || 'Failed to move complaints'
+      }));
+    }
+  };
+
+  const migrationSource = state.migration && versionByNumber(state.migration.fromVersion);
+  const migrationReady = state.migration && Object.values(state.migration.mapping).every(Boolean);
+  const selectClass = 'rounded-md border-gray-300 shadow-sm focus:border-[#254E58] focus:ring-[#254E58] sm:text-sm';
+
+  return (
+    <div className="fixed inset-0 z-50 overflow-y-auto">
+      <div className="flex min-h-screen items-center justify-center p-4">
+        <div className="fixed inset-0 bg-gray-500 bg-opacity-75 transition-opacity" onClick={onClose} />
+        <div className="relative transform overflow-hidden rounded-lg bg-white shadow-xl w-full max-w-4xl">
+          <div className="p-6 max-h-[90vh] overflow-y-auto space-y-6">
+            <div className="flex justify-between items-start">
+              <div>
+                <h2 className="text-xl font-semibold text-gray-900">Version history</h2>
+                <p className="mt-1 text-sm text-gray-500">
+                  {workflow.name}. Complaints stay on the version they started on unless you move them.
+                </p>
+              </div>
+              <button onClick={onClose} className="text-gray-400 hover:text-gray-500">
+                <X className="h-6 w-6" />
+              </button>
+            </div>
+
+            {state.error && (
+              <div className="rounded-md bg-red-50 p-4 flex items-center border border-red-200">
+                <AlertCircle className="h-5 w-5 text-red-400 mr-2" />
+                <span className="text-sm text-red-700">{state.error}</span>
+              </div>
+            )}
+            {state.notice && (
+              <div className="rounded-md bg-green-50 p-4 flex items-center border border-green-200">
+                <CheckCircle className="h-5 w-5 text-green-500 mr-2" />
+                <span className="text-sm text-green-700">{state.notice}</span>
+              </div>
+            )}
+
+            {state.isLoading && state.versions.length === 0 ? (
+              <div className="flex items-center justify-center min-h-[200px]">
+                <LoadingSpinner />
+              </div>
+            ) : (
+              <>
+                {/* Versions */}
+                <div className="border border-gray-200 rounded-lg overflow-hidden">
+                  <table className="min-w-full divide-y divide-gray-200">
+                    <thead className="bg-gray-50">
+                      <tr>
+                        <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Version</th>
+                        <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Published</th>
+                        <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Notes</th>
+                        <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Open complaints</th>
+                        <th className="px-4 py-3" />
+                      </tr>
+                    </thead>
+                    <tbody className="bg-white divide-y divide-gray-200">
+                      {state.versions.map(version => (
+                        <tr key={version._id}>
+                          <td className="px-4 py-3 whitespace-nowrap text-sm font-medium text-gray-900">
+                            v{version.version}
+                            {version.isCurrent && (
+                              <span className="ml-2 px-2 py-0.5 rounded-full text-xs font-medium bg-green-100 text-green-800">Current</span>
+                            )}
+                            <p className="text-xs font-normal text-gray-500">{version.stages.length} stages</p>
+                          </td>
+                          <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-500">
+                            <p>{format(new Date(version.publishedAt), 'MMM d, yyyy HH:mm')}</p>
+                            {version.publishedBy && (
+                              <p className="text-xs">{version.publishedBy.firstName} {version.publishedBy.lastName}</p>
+                            )}
+                          </td>
+                          <td className="px-4 py-3 text-sm text-gray-700">{version.notes || '—'}</td>
+                          <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-700">{version.activeCount}</td>
+                          <td className="px-4 py-3 whitespace-nowrap text-right">
+                            {!version.isCurrent && version.activeCount > 0 && currentVersion && (
+                              <button
+                                onClick={() => startMigration(version)}
+                                className="inline-flex items-center text-sm font-medium text-[#254E58] hover:text-[#112D32]"
+                              >
+                                Move to v{currentVersion.version}
+                                <ArrowRight className="h-4 w-4 ml-1" />
+                              </button>
+                            )}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+
+                {/* Migration */}
+                {migrationSource && (
+                  <div className="border border-gray-200 rounded-lg p-4 space-y-4">
+                    <div>
+                      <h3 className="text-sm font-medium text-gray-900">
+                        Move {migrationSource.activeCount} open complaint{migrationSource.activeCount === 1 ? '' : 's'} from
+                        v{migrationSource.version} to v{currentVersion.version}
+                      </h3>
+                      <p className="text-sm text-gray-500">
+                        Choose where complaints in each stage continue. Stage actions are not run again, except that approval stages ask their approvers.
+                      </p>
+                    </div>
+                    <div className="space-y-2">
+                      {Object.keys(state.migration.mapping).map(stageId => (
+                        <div key={stageId} className="flex items-center gap-3">
+                          <span className="w-56 text-sm text-gray-700">
+                            {migrationSource.stages.find(stage => stage.id === stageId)?.name || stageId}
+                            <span className="text-gray-400"> ({migrationSource.activeStages[stageId]})</span>
+                          </span>
+                          <ArrowRight className="h-4 w-4 text-gray-400" />
+                          <select
+                            value={state.migration.mapping[stageId]}
+                            onChange={(e) => setMapping(stageId, e.target.value)}
+                            className={selectClass}
+                          >
+                            <option value="">Choose a stage</option>
+                            {[...currentVersion.stages].sort((a, b) => a.order - b.order).map(stage => (
+                              <option key={stage.id} value={stage.id}>{stage.name}</option>
+                            ))}
+                          </select>
+                        </div>
+                      ))}
+                    </div>
+                    <div className="flex justify-end gap-3">
+                      <button
+                        onClick={() => setState(prev => ({ ...prev, migration: null }))}
+                        className="px-4 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50"
+                      >
+                        Cancel
+                      </button>
+                      <button
+                        onClick={handleMigrate}
+                        disabled={!migrationReady || state.isMigrating}
+                        className="inline-flex items-center px-4 py-2 text-sm font-medium text-white bg-[#254E58] rounded-md hover:bg-[#112D32] disabled:opacity-50 disabled:cursor-not-allowed"
+                      >
+                        {state.isMigrating && <Loader className="h-4 w-4 mr-2 animate-spin" />}
+                        Move complaints
+                      </button>
+                    </div>
+                  </div>
+                )}
+
+                {/* Diff */}
+                {state.versions.length > 1 && (
+                  <div className="border border-gray-200 rounded-lg p-4 space-y-4">
+                    <div className="flex items-center gap-3">
+                      <GitCompare className="h-5 w-5 text-gray-500" />
+                      <span className="text-sm font-medium text-gray-900">Compare</span>
+                      {['from', 'to'].map(key => (
+                        <select
+                          key={key}
+                          value={state.compare[key]}
+                          onChange={(e) => setState(prev => ({
+                            ...prev,
+                            compare: { ...prev.compare, [key]: Number(e.target.value) }
+                          }))}
+                          className={selectClass}
+                        >
+                          {state.versions.map(version => (
+                            <option key={version._id} value={version.version}>v{version.version}</option>
+                          ))}
+                        </select>
+                      ))}
+                      {state.isDiffLoading && <Loader className="h-4 w-4 animate-spin text-[#254E58]" />}
+                    </div>
+
+                    {from === to ? (
+                      <p className="text-sm text-gray-500">Choose two different versions.</p>
+                    ) : state.diff && (
+                      <div className="space-y-3 text-sm">
+                        {state.diff.name && (
+                          <p className="text-gray-700">
+                            Renamed from <span className="font-medium">{state.diff.name.from}</span> to{' '}
+                            <span className="font-medium">{state.diff.name.to}</span>
+                          </p>
+                        )}
+                        {state.diff.added.map(stage => (
+                          <div key={`added-${stage.id}`} className="rounded-md bg-green-50 border border-green-200 px-3 py-2 text-green-800">
+                            Added stage <span className="font-medium">{stage.name}</span>
+                          </div>
+                        ))}
+                        {state.diff.removed.map(stage => (
+                          <div key={`removed-${stage.id}`} className="rounded-md bg-red-50 border border-red-200 px-3 py-2 text-red-800">
+                            Removed stage <span className="font-medium">{stage.name}</span>
+                          </div>
+                        ))}
+                        {state.diff.changed.map(stage => (
+                          <div key={`changed-${stage.id}`} className="rounded-md bg-yellow-50 border border-yellow-200 px-3 py-2 text-yellow-900">
+                            <p>Changed stage <span className="font-medium">{stage.name}</span></p>
+                            <ul className="mt-1 space-y-0.5">
+                              {stage.fields.map(change => (
+                                <li key={change.field} className="text-xs">
+                                  {FIELD_LABELS[change.field]}: {formatValue(change.field, change.from, stageNames)}
+                                  {' → '}
+                                  {formatValue(change.field, change.to, stageNames)}
+                                </li>
+                              ))}
+                            </ul>
+                          </div>
+                        ))}
+                        {state.diff.reopenPolicy && (
+                          <div className="rounded-md bg-yellow-50 border border-yellow-200 px-3 py-2 text-yellow-900">
+                            Reopen policy: {formatPolicy(state.diff.reopenPolicy.from, stageNames)}
+                            {' → '}
+                            {formatPolicy(state.diff.reopenPolicy.to, stageNames)}
+                          </div>
+                        )}
+                        {!state.diff.name && !state.diff.reopenPolicy && state.diff.added.length === 0 &&
+                          state.diff.removed.length === 0 && state.diff.changed.length === 0 && (
+                          <p className="text-gray-500">No differences in stages or reopen policy.</p>
+                        )}
+                      </div>
+                    )}
+                  </div>
+                )}
+              </>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+WorkflowVersionHistory.propTypes = {
+  workflow: PropTypes.shape({
+    _id: PropTypes.string.isRequired,
+    name: PropTypes.string
+  }).isRequired,
+  onClose: PropTypes.func.isRequired
+};
+
+export default WorkflowVersionHistory;
@@ -10,8 +10,13 @@ import {
   Info,
   ArrowRight,
   ChevronDown,
-  ChevronUp
+  ChevronUp,
+  GitBranch,
+  GitMerge,
+  ClipboardCheck
 } from 'lucide-react';
+import workflowService from '../../services/workflowService';
+import { useRealtimeEvent } from '../../contexts/RealtimeContext';
 
 // Helper function to format dates
 const formatDate = (date) => {
@@ -57,17 +62,46 @@ const getTimeProgressPercentage = (startTime, duration) => {
   return Math.min(Math.max(percentage, 0), 100); // Clamp between 0-100
 };
 
+// Describe when a join stage lets the complaint continue
+const describeJoinRule = (joinRule = {}) => {
+  if (joinRule.mode === 'ANY') return 'Continues when any branch arrives';
+  if (joinRule.mode === 'N_OF_M') return `Continues when ${joinRule.count} branches arrive`;
+  return 'Continues when all branches arrive';
+};
+
+const BRANCH_STATUS_STYLES = {
+  ACTIVE: 'bg-blue-100 text-blue-800',
+  ARRIVED: 'bg-green-100 text-green-800',
+  CANCELLED: 'bg-gray-100 text-gray-600'
+};
+
 const WorkflowViewer = ({ 
-  workflowData,
+  workflowData: initialWorkflowData,
   complaint,
   isFullView = false,
   onStageClick = null
 }) => {
   const [expanded, setExpanded] = useState(isFullView);
+  const [workflowData, setWorkflowData] = useState(initialWorkflowData);
   
   useEffect(() => {
     setExpanded(isFullView);
   }, [isFullView]);
+
+  useEffect(() => {
+    setWorkflowData(initialWorkflowData);
+  }, [initialWorkflowData]);
+
+  // Reload when the server reports that this complaint moved to another stage
+  useRealtimeEvent('workflow-stage', async (event) => {
+    if (!complaint?._id || event.complaintId !== complaint._id) return;
+    try {
+      const data = await workflowService.getWorkflowForComplaint(complaint._id);
+      if (data) setWorkflowData(data);
+    } catch (error) {
+      console.error('Failed to reload workflow data:', error);
+    }
+  });
   
   if (!workflowData || !workflowData.instance) {
     return (
@@ -77,10 +111,22 @@ const WorkflowViewer = ({
     );
   }
 
-  const { instance, currentStage, allStages, expectedCompletionDate } = workflowData;
+  const { instance, version, currentStage, allStages, expectedCompletionDate } = workflowData;
+  const branches = workflowData.branches || [];
+  const activeBranches = workflowData.activeBranches || [];
+  const approvals = workflowData.approvals || [];
   const workflowName = instance.workflowId?.name || 'Workflow';
   const stages = [...allStages].sort((a, b) => a.order - b.order);
   const currentStageIndex = stages.findIndex(s => s.id === instance.currentStageId);
+
+  // Stages inside the open parallel section: where each branch is now, and where branches have been
+  const branchStageIds = new Set(activeBranches.map(branch => branch.stageId));
+  const branchDoneStageIds = new Set(
+    (instance.history || [])
+      .filter(h => h.branchId && h.exitedAt && branches.some(branch => branch._id === h.branchId))
+      .map(h => h.stageId)
+  );
+  const stageName = (stageId) => stages.find(s => s.id === stageId)?.name || stageId;
   
   // Calculate progress percentage
   const progressPercentage = currentStageIndex >= 0 
@@ -96,7 +142,10 @@ const WorkflowViewer = ({
   const CompactView = () => (
     <div className="bg-white border border-gray-200 rounded-lg p-4">
       <div className="flex justify-between items-center mb-2">
-        <h3 className="text-sm font-medium text-gray-900">{workflowName}</h3>
+        <h3 className="text-sm font-medium text-gray-900">
+          {workflowName}
+          {version && <span className="ml-2 text-xs font-normal text-gray-500">v{version}</span>}
+        </h3>
         <button 
           onClick={() => setExpanded(!expanded)}
           className="text-gray-400 hover:text-gray-600 p-1"
@@ -138,7 +187,11 @@ const WorkflowViewer = ({
         {/* Current stage info */}
         <div className="flex justify-between items-center text-xs text-gray-500">
           <div>
-            Current: <span className="font-medium text-gray-900">{currentStage?.name || 'Unknown'}</span>
+            Current: <span className="font-medium text-gray-900">
+              {activeBranches.length > 0
+                ? activeBranches.map(branch => branch.stage?.name || branch.stageId).join(', ')
+                : currentStage?.name || 'Unknown'}
+            </span>
           </div>
           {expectedCompletionDate && (
             <div className="flex items-center">
@@ -157,9 +210,10 @@ const WorkflowViewer = ({
       {/* Stage timeline */}
       <div className="relative pt-1">
         {stages.map((stage, index) => {
-          const isPast = index < currentStageIndex;
-          const isCurrent = index === currentStageIndex;
-          const isFuture = index > currentStageIndex;
+          const isCurrent = branchStageIds.has(stage.id) || index === currentStageIndex;
+          const isPast = !isCurrent && (index < currentStageIndex || branchDoneStageIds.has(stage.id));
+          const isFuture = !isCurrent && !isPast;
+          const isOpenFork = isCurrent && stage.type === 'FORK' && branches.length > 0;
           
           // Find stage in history
           const stageHistory = instance.history?.find(h => h.stageId === stage.id);
@@ -221,6 +275,8 @@ const WorkflowViewer = ({
                   `}>
                     {stage.name}
                   </h4>
+                  {stage.type === 'FORK' && <GitBranch size={14} className="ml-2 text-gray-400" />}
+                  {stage.type === 'JOIN' && <GitMerge size={14} className="ml-2 text-gray-400" />}
                   {isCurrent && instance.status === 'ESCALATED' && (
                     <span className="ml-2 px-2 py-0.5 bg-red-100 text-red-800 text-xs rounded-full">
                       Escalated
@@ -249,7 +305,29 @@ const WorkflowViewer = ({
                           <Clock size={12} className="mr-1" />
                           Elapsed: {getElapsedTime(stageStarted)}
                         </div>
-                        {stage.durationInHours && (
+                        {approvals.filter(approval => approval.stageId === stage.id).map(approval => (
+                          <div key={approval._id} className="flex items-start mt-2 text-teal-700">
+                            <ClipboardCheck size={12} className="mr-1 mt-0.5 flex-shrink-0" />
+                            <span>
+                              Waiting for approval from{' '}
+                              {(approval.approverIds || []).map(user => `${user.firstName} ${user.lastName}`).join(', ')}
+                            </span>
+                          </div>
+                        ))}
+                        {isOpenFork && (
+                          <div className="mt-2 space-y-1">
+                            <div>Waiting on {activeBranches.length} of {branches.length} parallel branches</div>
+                            {branches.map(branch => (
+                              <div key={branch._id} className="flex items-center">
+                                <span className={`px-1.5 py-0.5 rounded mr-2 ${BRANCH_STATUS_STYLES[branch.status] || ''}`}>
+                                  {branch.status.toLowerCase()}
+                                </span>
+                                {stageName(branch.stageId)}
+                              </div>
+                            ))}
+                          </div>
+                        )}
+                        {stage.durationInHours && !isOpenFork && (
                           <div className="mt-2">
                             <div className="flex justify-between text-xs mb-1">
                               <span>Time progress:</span>
@@ -272,11 +350,15 @@ const WorkflowViewer = ({
                   </div>
                 )}
                 
-                {isFuture && (
+                {isFuture && stage.type !== 'FORK' && stage.type !== 'JOIN' && (
                   <div className="text-xs text-gray-400 mt-1">
                     Expected duration: {stage.durationInHours || 24}h
                   </div>
                 )}
+
+                {stage.type === 'JOIN' && (isFuture || isCurrent) && (
+                  <div className="text-xs text-gray-500 mt-1">{describeJoinRule(stage.joinRule)}</div>
+                )}
                 
                 {/* Actions if any */}
                 {stage.actions && stage.actions.length > 0 && (
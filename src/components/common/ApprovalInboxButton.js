@@ -0,0 +1,56 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { ClipboardCheck } from 'lucide-react';
+import { getPendingApprovalCount } from '../../services/api';
+import { useRealtimeEvent } from '../../contexts/RealtimeContext';
+import { useAuth } from '../../contexts/AuthContext';
+
+// Header shortcut to the approval inbox, badged with the decisions waiting for the user
+const ApprovalInboxButton = () => {
+  const [pendingCount, setPendingCount] = useState(0);
+  const navigate = useNavigate();
+  const { hasPermission } = useAuth();
+  const canDecide = hasPermission('approval.decide');
+
+  const fetchPendingCount = useCallback(async () => {
+    if (!canDecide) return;
+    try {
+      setPendingCount(await getPendingApprovalCount());
+    } catch (err) {
+      console.error('Error fetching pending approval count:', err);
+    }
+  }, [canDecide]);
+
+  useEffect(() => {
+    fetchPendingCount();
+  }, [fetchPendingCount]);
+
+  useRealtimeEvent('ready', () => {
+    fetchPendingCount();
+  });
+
+  useRealtimeEvent('notification', (notification) => {
+    if (notification.type === 'APPROVAL_REQUESTED') {
+      fetchPendingCount();
+    }
+  });
+
+  if (!canDecide) return null;
+
+  return (
+    <button
+      className="text-gray-600 hover:text-gray-900 p-1 rounded-full transition-colors relative"
+      onClick={() => navigate('/approvals')}
+      title="Approvals"
+    >
+      <ClipboardCheck className="h-6 w-6" />
+      {pendingCount > 0 && (
+        <span className="absolute top-0 right-0 h-4 w-4 bg-red-500 text-white text-xs rounded-full flex items-center justify-center transform translate-x-1 -translate-y-1">
+          {pendingCount > 9 ? '9+' : pendingCount}
+        </span>
+      )}
+    </button>
+  );
+};
+
+export default ApprovalInboxButton;
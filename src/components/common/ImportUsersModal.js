@@ -0,0 +1,288 @@
+// components/common/ImportUsersModal.js
+import React, { useCallback, useEffect, useState } from 'react';
+import PropTypes from 'prop-types';
+import { X, Upload, FileSpreadsheet, Loader, AlertCircle, CheckCircle } from 'lucide-react';
+import { importUsers } from '../../services/api';
+
+const STATUS_STYLES = {
+  valid: 'bg-green-100 text-green-800',
+  created: 'bg-green-100 text-green-800',
+  duplicate: 'bg-yellow-100 text-yellow-800',
+  error: 'bg-red-100 text-red-800',
+  failed: 'bg-red-100 text-red-800'
+};
+
+const initialState = {
+  step: 'upload', // upload -> preview -> results
+  file: null,
+  sendEmails: true,
+  report: null,
+  isSubmitting: false,
+  error: null
+};
+
+const ImportUsersModal = ({ isOpen, onClose, onImported }) => {
+  const [state, setState] = useState(initialState);
+
+  const handleClose = useCallback(() => {
+    if (state.isSubmitting) return;
+    setState(initialState);
+    onClose();
+  }, [state.isSubmitting, onClose]);
+
+  const handleEscape = useCallback((event) => {
+    if (event.key === 'Escape') {
+      handleClose();
+    }
+  }, [handleClose]);
+
+  useEffect(() => {
+    if (isOpen) {
+      document.addEventListener('keydown', handleEscape);
+      return () => {
+        document.removeEventListener('keydown', handleEscape);
+      };
+    }
+  }, [isOpen, handleEscape]);
+
+  const handlePreview = async (e) => {
+    e.preventDefault();
+    if (!state.file) return;
+
+    try {
+      setState(prev => ({ ...prev, isSubmitting: true, error: null }));
+      const report = await importUsers(state.file, { dryRun: true });
+      setState(prev => ({ ...prev, report, step: 'preview', isSubmitting: false }));
+    } catch (err) {
+      setState(prev => ({
+        ...prev,
+        error: err?.msg || 'Failed to read the file',
+        isSubmitting: false
+      }));
+    }
+  };
+
+  const handleImport = async () => {
+    try {
+      setState(prev => ({ ...prev, isSubmitting: true, error: null }));
+      const report = await importUsers(state.file, { sendEmails: state.sendEmails });
+      setState(prev => ({ ...prev, report, step: 'results', isSubmitting: false }));
+      onImported(report.summary);
+    } catch (err) {
+      setState(prev => ({
+        ...prev,
+        error: err?.msg || 'Failed to import users',
+        isSubmitting: false
+      }));
+    }
+  };
+
+  if (!isOpen) return null;
+
+  const { report } = state;
+
+  return (
+    <div
+      className="fixed inset-0 z-50 overflow-y-auto"
+      aria-labelledby="import-modal-title"
+      role="dialog"
+      aria-modal="true"
+    >
+      <div className="flex min-h-screen items-center justify-center p-4">
+        <div
+          className="fixed inset-0 bg-gray-500 bg-opacity-75 transition-opacity"
+          aria-hidden="true"
+          onClick={handleClose}
+        />
+
+        <div className="relative transform overflow-hidden rounded-lg bg-white text-left shadow-xl transition-all w-full max-w-4xl">
+          <div className="px-4 pt-5 pb-4 sm:p-6">
+            <div className="flex justify-between items-center mb-4">
+              <h3 id="import-modal-title" className="text-lg font-medium leading-6 text-gray-900">
+                {state.step === 'upload' && 'Import Users'}
+                {state.step === 'preview' && 'Review Import'}
+                {state.step === 'results' && 'Import Complete'}
+              </h3>
+              <button
+                onClick={handleClose}
+                disabled={state.isSubmitting}
+                className="text-gray-400 hover:text-gray-500 transition-colors disabled:opacity-50 disabled:cursor-not-allowed p-1"
+              >
+                <X className="h-5 w-5" />
+              </button>
+            </div>
+
+            {state.error && (
+              <div className="mb-4 rounded-md bg-red-50 p-3 flex items-center text-sm text-red-700">
+                <AlertCircle className="h-5 w-5 mr-2 flex-shrink-0" />
+                {state.error}
+              </div>
+            )}
+
+            {state.step === 'upload' && (
+              <form onSubmit={handlePreview} className="space-y-4">
+                <p className="text-sm text-gray-500">
+                  Upload a CSV or Excel file with <strong>email</strong> and <strong>role</strong> columns
+                  (Student, Faculty or DepartmentUser). Optional columns: <strong>department</strong>,
+                  {' '}<strong>firstName</strong> and <strong>lastName</strong>.
+                </p>
+
+                <label className="flex flex-col items-center justify-center w-full h-40 border-2 border-dashed border-gray-300 rounded-lg cursor-pointer hover:border-[#254E58] hover:bg-gray-50">
+                  {state.file ? (
+                    <>
+                      <FileSpreadsheet className="h-8 w-8 text-[#254E58] mb-2" />
+                      <span className="text-sm font-medium text-gray-900">{state.file.name}</span>
+                      <span className="text-xs text-gray-500">Click to choose another file</span>
+                    </>
+                  ) : (
+                    <>
+                      <Upload className="h-8 w-8 text-gray-400 mb-2" />
+                      <span className="text-sm text-gray-500">Click to choose a .csv or .xlsx file (max 5MB)</span>
+                    </>
+                  )}
+                  <input
+                    type="file"
+                    accept=".csv,.xlsx"
+                    className="hidden"
+                    onChange={(e) => setState(prev => ({ ...prev, file: e.target.files[0] || null, error: null }))}
+                  />
+                </label>
+
+                <div className="flex justify-end space-x-3">
+                  <button
+                    type="button"
+                    onClick={handleClose}
+                    className="px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-md hover:bg-gray-50"
+                  >
+                    Cancel
+                  </button>
+                  <button
+                    type="submit"
+                    disabled={!state.file || state.isSubmitting}
+                    className="inline-flex items-center px-4 py-2 text-sm font-medium text-white bg-[#254E58] rounded-md hover:bg-[#112D32] disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    {state.isSubmitting && <Loader className="h-4 w-4 mr-2 animate-spin" />}
+                    Check File
+                  </button>
+                </div>
+              </form>
+            )}
+
+            {state.step !== 'upload' && report && (
+              <div className="space-y-4">
+                <div className="flex flex-wrap gap-2 text-sm">
+                  <span className="px-3 py-1 rounded-full bg-gray-100 text-gray-700">{report.summary.total} rows</span>
+                  {state.step === 'preview' ? (
+                    <span className="px-3 py-1 rounded-full bg-green-100 text-green-800">{report.summary.valid} ready</span>
+                  ) : (
+                    <span className="px-3 py-1 rounded-full bg-green-100 text-green-800">{report.summary.created} created</span>
+                  )}
+                  <span className="px-3 py-1 rounded-full bg-yellow-100 text-yellow-800">{report.summary.duplicates} duplicates</span>
+                  <span className="px-3 py-1 rounded-full bg-red-100 text-red-800">
+                    {report.summary.errors + (report.summary.failed || 0)} with errors
+                  </span>
+                  {state.step === 'results' && state.sendEmails && (
+                    <span className="px-3 py-1 rounded-full bg-blue-100 text-blue-800">{report.summary.emailed} emailed</span>
+                  )}
+                </div>
+
+                <div className="max-h-96 overflow-auto border border-gray-200 rounded-lg">
+                  <table className="min-w-full divide-y divide-gray-200 text-sm">
+                    <thead className="bg-gray-50 sticky top-0">
+                      <tr>
+                        <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Row</th>
+                        <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Email</th>
+                        <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Role</th>
+                        <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Department</th>
+                        <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">
+                          {state.step === 'results' ? 'Registration ID' : 'Status'}
+                        </th>
+                      </tr>
+                    </thead>
+                    <tbody className="bg-white divide-y divide-gray-200">
+                      {report.rows.map(row => (
+                        <tr key={row.rowNumber}>
+                          <td className="px-4 py-2 text-gray-500">{row.rowNumber}</td>
+                          <td className="px-4 py-2 text-gray-900">{row.email || '—'}</td>
+                          <td className="px-4 py-2 text-gray-500">{row.role || '—'}</td>
+                          <td className="px-4 py-2 text-gray-500">{row.department || '—'}</td>
+                          <td className="px-4 py-2">
+                            {row.registrationId ? (
+                              <span className="font-medium text-gray-900">{row.registrationId}</span>
+                            ) : (
+                              <span className={`inline-flex px-2 py-0.5 rounded-full text-xs font-medium ${STATUS_STYLES[row.status]}`}>
+                                {row.status}
+                              </span>
+                            )}
+                            {row.errors?.length > 0 && (
+                              <p className="mt-1 text-xs text-red-600">{row.errors.join('; ')}</p>
+                            )}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+
+                {state.step === 'preview' ? (
+                  <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+                    <label className="flex items-center space-x-2 text-sm text-gray-700">
+                      <input
+                        type="checkbox"
+                        checked={state.sendEmails}
+                        onChange={(e) => setState(prev => ({ ...prev, sendEmails: e.target.checked }))}
+                        className="rounded border-gray-300 text-[#254E58] focus:ring-[#254E58]"
+                      />
+                      <span>Email each new user their registration ID</span>
+                    </label>
+                    <div className="flex justify-end space-x-3">
+                      <button
+                        type="button"
+                        onClick={() => setState(prev => ({ ...prev, step: 'upload', report: null, error: null }))}
+                        disabled={state.isSubmitting}
+                        className="px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-md hover:bg-gray-50"
+                      >
+                        Back
+                      </button>
+                      <button
+                        type="button"
+                        onClick={handleImport}
+                        disabled={report.summary.valid === 0 || state.isSubmitting}
+                        className="inline-flex items-center px-4 py-2 text-sm font-medium text-white bg-[#254E58] rounded-md hover:bg-[#112D32] disabled:opacity-50 disabled:cursor-not-allowed"
+                      >
+                        {state.isSubmitting && <Loader className="h-4 w-4 mr-2 animate-spin" />}
+                        Import {report.summary.valid} User{report.summary.valid === 1 ? '' : 's'}
+                      </button>
+                    </div>
+                  </div>
+                ) : (
+                  <div className="flex items-center justify-between">
+                    <span className="flex items-center text-sm text-green-700">
+                      <CheckCircle className="h-5 w-5 mr-2" />
+                      Users can now sign up with their registration ID.
+                    </span>
+                    <button
+                      type="button"
+                      onClick={handleClose}
+                      className="px-4 py-2 text-sm font-medium text-white bg-[#254E58] rounded-md hover:bg-[#112D32]"
+                    >
+                      Done
+                    </button>
+                  </div>
+                )}
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+ImportUsersModal.propTypes = {
+  isOpen: PropTypes.bool.isRequired,
+  onClose: PropTypes.func.isRequired,
+  onImported: PropTypes.func.isRequired
+};
+
+export default ImportUsersModal;
@@ -1,5 +1,5 @@
 import React, { useState, useEffect, useRef } from 'react';
-import { Bell, CheckCheck, Check, X, Trash2, Clock, AlertCircle, MessageSquare, User } from 'lucide-react';
+import { Bell, CheckCheck, Check, X, Trash2, Clock, AlertCircle, MessageSquare, User, ClipboardCheck, ArrowRightLeft, Merge } from 'lucide-react';
 import { 
   getNotifications, 
   getUnreadNotificationCount, 
@@ -7,6 +7,7 @@ import {
   markAllNotificationsAsRead,
   deleteNotification
 } from '../../services/api';
+import { useRealtimeEvent } from '../../contexts/RealtimeContext';
 
 const NotificationCenter = ({ onOpenSidebar }) => {
   const [isOpen, setIsOpen] = useState(false);
@@ -38,11 +39,18 @@ const NotificationCenter = ({ onOpenSidebar }) => {
     }
   }, [isOpen]);
 
-  // Periodically update unread count
-  useEffect(() => {
-    const intervalId = setInterval(fetchUnreadCount, 60000); // Every minute
-    return () => clearInterval(intervalId);
-  }, []);
+  // Catch up on anything missed while the live connection was down
+  useRealtimeEvent('ready', () => {
+    fetchUnreadCount();
+  });
+
+  // New notifications are pushed by the server
+  useRealtimeEvent('notification', (notification) => {
+    setUnreadCount(prev => prev + 1);
+    if (isOpen) {
+      setNotifications(prev => [notification, ...prev].slice(0, 10));
+    }
+  });
 
   const fetchNotifications = async () => {
     try {
@@ -130,6 +138,12 @@ const NotificationCenter = ({ onOpenSidebar }) => {
         return <AlertCircle className="text-red-500" size={18} />;
       case 'ASSIGNED_COMPLAINT':
         return <User className="text-purple-500" size={18} />;
+      case 'APPROVAL_REQUESTED':
+        return <ClipboardCheck className="text-teal-600" size={18} />;
+      case 'COMPLAINT_TRANSFERRED':
+        return <ArrowRightLeft className="text-[#254E58]" size={18} />;
+      case 'COMPLAINT_MERGED':
+        return <Merge className="text-[#254E58]" size={18} />;
       case 'WORKFLOW_UPDATED':
         return <Clock className="text-blue-500" size={18} />;
       default:
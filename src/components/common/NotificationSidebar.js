@@ -11,16 +11,23 @@ import {
   ChevronRight,
   MessageSquare,
   User,
-  X
+  ClipboardCheck,
+  ArrowRightLeft,
+  Merge,
+  X,
+  Settings
 } from 'lucide-react';
+import { useNavigate } from 'react-router-dom';
 import { 
   getNotifications, 
   markNotificationAsRead, 
   markAllNotificationsAsRead,
   deleteNotification
 } from '../../services/api';
+import { useRealtimeEvent } from '../../contexts/RealtimeContext';
 
 const NotificationSidebar = ({ isOpen, onClose }) => {
+  const navigate = useNavigate();
   const [notifications, setNotifications] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState(null);
@@ -38,6 +45,16 @@ const NotificationSidebar = ({ isOpen, onClose }) => {
     }
   }, [isOpen, filter, pagination.currentPage]);
 
+  // Show pushed notifications at the top of the first page
+  useRealtimeEvent('notification', (notification) => {
+    if (!isOpen || filter === 'read') return;
+
+    setPagination(prev => ({ ...prev, totalCount: prev.totalCount + 1 }));
+    if (pagination.currentPage === 1) {
+      setNotifications(prev => [notification, ...prev].slice(0, 10));
+    }
+  });
+
   const fetchNotifications = async () => {
     try {
       setIsLoading(true);
@@ -115,6 +132,12 @@ const NotificationSidebar = ({ isOpen, onClose }) => {
         return <AlertCircle className="text-red-500" size={20} />;
       case 'ASSIGNED_COMPLAINT':
         return <User className="text-purple-500" size={20} />;
+      case 'APPROVAL_REQUESTED':
+        return <ClipboardCheck className="text-teal-600" size={20} />;
+      case 'COMPLAINT_TRANSFERRED':
+        return <ArrowRightLeft className="text-[#254E58]" size={20} />;
+      case 'COMPLAINT_MERGED':
+        return <Merge className="text-[#254E58]" size={20} />;
       default:
         return <Bell className="text-gray-500" size={20} />;
     }
@@ -162,6 +185,13 @@ const NotificationSidebar = ({ isOpen, onClose }) => {
               <CheckCheck size={16} className="mr-1" />
               <span className="hidden md:inline">Mark all read</span>
             </button>
+            <button
+              onClick={() => navigate('/settings/notifications')}
+              className="p-2 rounded-full hover:bg-gray-100 text-gray-600"
+              title="Notification settings"
+            >
+              <Settings size={18} />
+            </button>
             <button
               onClick={onClose}
               className="p-2 rounded-full hover:bg-gray-100"
@@ -0,0 +1,34 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Plane } from 'lucide-react';
+import { getOutOfOffice } from '../../services/api';
+import { useAuth } from '../../contexts/AuthContext';
+
+// Header shortcut to the out-of-office settings, highlighted while the user is away
+const OutOfOfficeButton = () => {
+  const [isOutOfOffice, setIsOutOfOffice] = useState(false);
+  const navigate = useNavigate();
+  const { hasPermission } = useAuth();
+  const canGoAway = hasPermission('outOfOffice.manage');
+
+  useEffect(() => {
+    if (!canGoAway) return;
+    getOutOfOffice()
+      .then(data => setIsOutOfOffice(data.isOutOfOffice))
+      .catch(err => console.error('Error fetching out-of-office period:', err));
+  }, [canGoAway]);
+
+  if (!canGoAway) return null;
+
+  return (
+    <button
+      className={`p-1 rounded-full transition-colors ${isOutOfOffice ? 'text-[#88BDBC] hover:text-[#254E58]' : 'text-gray-600 hover:text-gray-900'}`}
+      onClick={() => navigate('/settings/out-of-office')}
+      title={isOutOfOffice ? 'You are out of office' : 'Out of office'}
+    >
+      <Plane className="h-6 w-6" />
+    </button>
+  );
+};
+
+export default OutOfOfficeButton;
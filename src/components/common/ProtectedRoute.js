@@ -2,8 +2,16 @@ import React from 'react';
 import { Navigate, useLocation } from 'react-router-dom';
 import { useAuth } from '../../contexts/AuthContext';
 
-const ProtectedRoute = ({ children, requiredRoles = [] }) => {
-  const { isAuthenticated, user, loading } = useAuth();
+// Dashboard each built-in role lands on
+const HOME_ROUTES = {
+  SuperAdmin: '/admin/dashboard',
+  DepartmentUser: '/department/dashboard',
+  Student: '/student/dashboard',
+  Faculty: '/faculty/dashboard'
+};
+
+const ProtectedRoute = ({ children, requiredPermissions = [], requiredRoles = [] }) => {
+  const { isAuthenticated, user, loading, hasPermission } = useAuth();
   const location = useLocation();
 
   if (loading) {
@@ -15,21 +23,15 @@ const ProtectedRoute = ({ children, requiredRoles = [] }) => {
     return <Navigate to="/login" state={{ from: location.pathname }} />;
   }
 
-  // Check role requirements if specified
-  if (requiredRoles.length > 0 && !requiredRoles.includes(user.role)) {
-    // Redirect to appropriate dashboard based on user role
-    switch (user.role) {
-      case 'SuperAdmin':
-        return <Navigate to="/admin/dashboard" />;
-      case 'DepartmentUser':
-        return <Navigate to="/department/dashboard" />;
-      case 'Student':
-        return <Navigate to="/student/dashboard" />;
-      case 'Faculty':
-        return <Navigate to="/faculty/dashboard" />;
-      default:
-        return <Navigate to="/" />;
-    }
+  // Check role and permission requirements if specified; role dashboards also require
+  // their role, since roles share many permissions
+  const allowed = (requiredRoles.length === 0 || requiredRoles.includes(user.role)) &&
+    (requiredPermissions.length === 0 || hasPermission(...requiredPermissions));
+
+  if (!allowed) {
+    // Redirect to the user's own dashboard, unless that is the page being refused
+    const home = HOME_ROUTES[user.role] || '/';
+    return <Navigate to={home === location.pathname ? '/' : home} />;
   }
 
   return children;
@@ -1,5 +1,5 @@
 // components/common/UserManagement.js
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { 
   Plus, 
   Edit2, 
@@ -9,15 +9,21 @@ import {
   Users as UsersIcon,
   UserCheck,
   UserX,
-  Loader
+  Loader,
+  Upload
 } from 'lucide-react';
-import { fetchUsers, addUser, deleteUser } from '../../services/api';
+import { fetchUsers, addUser, deleteUser, getRoles, assignUserRole } from '../../services/api';
+import { useAuth } from '../../contexts/AuthContext';
 import AddUserModal from './AddUserModal';
+import ImportUsersModal from './ImportUsersModal';
 import DeleteConfirmationModal from './DeleteConfirmationModal';
 
 const UserManagement = () => {
+  const { hasPermission } = useAuth();
+  const canManageRoles = hasPermission('role.manage');
   const [state, setState] = useState({
     users: [],
+    roles: [],
     filteredUsers: [],
     newUser: { email: '', role: 'Student' },
     error: '',
@@ -28,25 +34,26 @@ const UserManagement = () => {
     searchQuery: '',
     filterRole: 'all',
     showAddForm: false,
+    showImport: false,
     showDeleteConfirm: false,
     userToDelete: null
   });
 
-  useEffect(() => {
-    fetchUsersData();
-  }, []);
-
   useEffect(() => {
     filterUsers();
   }, [state.searchQuery, state.filterRole, state.users]);
 
-  const fetchUsersData = async () => {
+  const fetchUsersData = useCallback(async () => {
     try {
       setState(prev => ({ ...prev, isLoading: true }));
-      const data = await fetchUsers();
+      const [data, roles] = await Promise.all([
+        fetchUsers(),
+        canManageRoles ? getRoles() : []
+      ]);
       setState(prev => ({ 
         ...prev, 
         users: data,
+        roles,
         filteredUsers: data,
         error: '' 
       }));
@@ -58,7 +65,11 @@ const UserManagement = () => {
     } finally {
       setState(prev => ({ ...prev, isLoading: false }));
     }
-  };
+  }, [canManageRoles]);
+
+  useEffect(() => {
+    fetchUsersData();
+  }, [fetchUsersData]);
 
   const filterUsers = () => {
     let filtered = [...state.users];
@@ -109,6 +120,29 @@ const UserManagement = () => {
     }
   };
 
+  const handleRoleChange = async (user, roleId) => {
+    try {
+      const response = await assignUserRole(user._id, roleId);
+      setState(prev => ({
+        ...prev,
+        users: prev.users.map(u => (u._id === user._id ? { ...u, roleId: response.roleId } : u)),
+        success: `Role updated for ${user.email}`,
+        error: ''
+      }));
+    } catch (err) {
+      setState(prev => ({
+        ...prev,
+        error: err?.msg || 'Failed to update role',
+        success: ''
+      }));
+    }
+  };
+
+  // Roles a user can hold are those built on their user type; no custom role means the built-in one
+  const getRoleOptions = (user) => state.roles.filter(role => role.baseRole === user.role);
+  const getRoleValue = (user) =>
+    user.roleId || state.roles.find(role => role.isSystem && role.baseRole === user.role)?._id || '';
+
   const handleDeleteClick = (user) => {
     setState(prev => ({
       ...prev,
@@ -153,6 +187,15 @@ const UserManagement = () => {
     }));
   };
 
+  const handleImported = (summary) => {
+    setState(prev => ({
+      ...prev,
+      success: `Imported ${summary.created} user${summary.created === 1 ? '' : 's'}`,
+      error: ''
+    }));
+    fetchUsersData();
+  };
+
   // Calculate statistics
   const stats = {
     total: state.users.length,
@@ -184,13 +227,22 @@ const UserManagement = () => {
           </p>
         </div>
 
-        <button
-          onClick={() => setState(prev => ({ ...prev, showAddForm: true }))}
-          className="inline-flex items-center px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-[#254E58] hover:bg-[#112D32] focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-[#254E58]"
-        >
-          <Plus className="h-4 w-4 mr-2" />
-          Add User
-        </button>
+        <div className="flex gap-3">
+          <button
+            onClick={() => setState(prev => ({ ...prev, showImport: true }))}
+            className="inline-flex items-center px-4 py-2 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-[#254E58]"
+          >
+            <Upload className="h-4 w-4 mr-2" />
+            Import Users
+          </button>
+          <button
+            onClick={() => setState(prev => ({ ...prev, showAddForm: true }))}
+            className="inline-flex items-center px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-[#254E58] hover:bg-[#112D32] focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-[#254E58]"
+          >
+            <Plus className="h-4 w-4 mr-2" />
+            Add User
+          </button>
+        </div>
       </div>
 
       {/* Statistics Section */}
@@ -281,7 +333,20 @@ const UserManagement = () => {
                     </div>
                     <span className="hidden sm:block text-sm text-gray-900">{user.email}</span>
                   </td>
-                  <td className="px-4 sm:px-6 py-4 whitespace-nowrap text-sm text-gray-500 hidden sm:table-cell">{user.role}</td>
+                  <td className="px-4 sm:px-6 py-4 whitespace-nowrap text-sm text-gray-500 hidden sm:table-cell">
+                    {canManageRoles && user.role !== 'SuperAdmin' ? (
+                      <select
+                        value={getRoleValue(user)}
+                        onChange={(e) => handleRoleChange(user, e.target.value)}
+                        className="pl-2 pr-8 py-1 border border-gray-300 rounded-md text-sm focus:ring-2 focus:ring-[#254E58] focus:border-transparent"
+                        aria-label={`Role for ${user.email}`}
+                      >
+                        {getRoleOptions(user).map(role => (
+                          <option key={role._id} value={role._id}>{role.name}</option>
+                        ))}
+                      </select>
+                    ) : user.role}
+                  </td>
                   <td className="px-4 sm:px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900 hidden md:table-cell">{user.registrationId}</td>
                   <td className="px-4 sm:px-6 py-4 whitespace-nowrap hidden sm:table-cell">
                     <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${
@@ -331,6 +396,13 @@ const UserManagement = () => {
         error={state.modalError}
       />
 
+      {/* Import Users Modal */}
+      <ImportUsersModal
+        isOpen={state.showImport}
+        onClose={() => setState(prev => ({ ...prev, showImport: false }))}
+        onImported={handleImported}
+      />
+
       {/* Delete Confirmation Modal */}
       <DeleteConfirmationModal
         isOpen={state.showDeleteConfirm}
@@ -1,6 +1,21 @@
 // AuthContext.js
-import React, { createContext, useContext, useState, useEffect } from 'react';
-import API from '../services/api';
+import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
+import API, { getMyPermissions, refreshAccessToken } from '../services/api';
+
+// Refresh the access token this long before it expires
+const REFRESH_AHEAD_MS = 60 * 1000;
+const REFRESH_RETRY_MS = 30 * 1000;
+
+// Read the expiry time (ms) from a stored "Bearer <jwt>" token
+const getTokenExpiry = (token) => {
+  try {
+    const payload = token.replace('Bearer ', '').split('.')[1];
+    const { exp } = JSON.parse(atob(payload.replace(/-/g, '+').replace(/_/g, '/')));
+    return exp ? exp * 1000 : null;
+  } catch {
+    return null;
+  }
+};
 
 const AuthContext = createContext(null);
 
@@ -20,16 +35,60 @@ export const AuthProvider = ({ children }) => {
         
         // Set the token in axios defaults for all requests
         API.defaults.headers.common['Authorization'] = token;
+
+        // Roles can change between sessions, so reload the stored permissions
+        getMyPermissions()
+          .then(({ permissions }) => {
+            const refreshedUser = { ...userData, permissions, isAuthenticated: true };
+            setUser(refreshedUser);
+            localStorage.setItem('user', JSON.stringify(refreshedUser));
+          })
+          .catch(error => console.error('Error refreshing permissions:', error))
+          .finally(() => setLoading(false));
+        return;
       } catch (error) {
         // Clear invalid data
         localStorage.removeItem('user');
         localStorage.removeItem('token');
+        localStorage.removeItem('refreshToken');
       }
     }
     
     setLoading(false);
   }, []);
 
+  // Silently refresh the access token shortly before it expires
+  useEffect(() => {
+    if (!user?.isAuthenticated) return undefined;
+
+    let timer = null;
+
+    const schedule = (delay) => {
+      timer = setTimeout(async () => {
+        try {
+          await refreshAccessToken();
+          scheduleFromToken();
+        } catch (error) {
+          console.error('Silent token refresh failed:', error);
+          // Retry network failures; a rejected refresh token is left to the 401 handler
+          if (!error.response && localStorage.getItem('refreshToken')) schedule(REFRESH_RETRY_MS);
+        }
+      }, delay);
+    };
+
+    const scheduleFromToken = () => {
+      const token = localStorage.getItem('token');
+      const expiresAt = token && getTokenExpiry(token);
+      if (expiresAt && localStorage.getItem('refreshToken')) {
+        schedule(Math.max(expiresAt - Date.now() - REFRESH_AHEAD_MS, 0));
+      }
+    };
+
+    scheduleFromToken();
+
+    return () => clearTimeout(timer);
+  }, [user?.isAuthenticated]);
+
   const login = (userData) => {
     if (!userData) return;
     
@@ -42,6 +101,7 @@ export const AuthProvider = ({ children }) => {
       organizationId: userData.organizationId || '',
       departmentId: userData.departmentId || '',
       userId: userData.userId || '',
+      permissions: userData.permissions || [],
       isAuthenticated: true
     };
     
@@ -79,12 +139,20 @@ export const AuthProvider = ({ children }) => {
       setUser(null);
       localStorage.removeItem('user');
       localStorage.removeItem('token');
+      localStorage.removeItem('refreshToken');
       delete API.defaults.headers.common['Authorization'];
     }
   };
 
+  // True when the user holds every given permission
+  const hasPermission = useCallback(
+    (...permissions) => permissions.every(permission => user?.permissions?.includes(permission)),
+    [user]
+  );
+
   const value = {
     user,
+    hasPermission,
     login,
     logout,
     updateUserData,
@@ -0,0 +1,99 @@
+// RealtimeContext.js
+import React, { createContext, useContext, useEffect, useRef } from 'react';
+import API, { createStreamTicket } from '../services/api';
+import { useAuth } from './AuthContext';
+
+// Events pushed by /api/events/stream; 'ready' fires on every (re)connect
+const EVENT_TYPES = ['ready', 'notification', 'complaint-log', 'workflow-stage'];
+const RECONNECT_DELAY_MS = 5000;
+
+const RealtimeContext = createContext(null);
+
+export const RealtimeProvider = ({ children }) => {
+  const { isAuthenticated } = useAuth();
+  const listenersRef = useRef(new Map());
+
+  useEffect(() => {
+    if (!isAuthenticated) return undefined;
+
+    let source = null;
+    let reconnectTimer = null;
+    let closed = false;
+
+    const scheduleReconnect = () => {
+      if (!closed) reconnectTimer = setTimeout(connect, RECONNECT_DELAY_MS);
+    };
+
+    const connect = async () => {
+      if (!localStorage.getItem('token')) return;
+
+      // EventSource cannot send an Authorization header, so open the stream with a single-use ticket
+      let ticket;
+      try {
+        ({ ticket } = await createStreamTicket());
+      } catch {
+        scheduleReconnect();
+        return;
+      }
+      if (closed) return;
+
+      const url = `${API.defaults.baseURL}/events/stream?ticket=${encodeURIComponent(ticket)}`;
+      const stream = new EventSource(url, { withCredentials: true });
+      source = stream;
+
+      EVENT_TYPES.forEach(type => {
+        stream.addEventListener(type, (event) => {
+          let data;
+          try {
+            data = JSON.parse(event.data);
+          } catch {
+            return;
+          }
+          (listenersRef.current.get(type) || []).forEach(listener => listener(data));
+        });
+      });
+
+      // The browser would retry with the same, already used ticket; reconnect with a new one instead
+      stream.onerror = () => {
+        stream.close();
+        scheduleReconnect();
+      };
+    };
+
+    connect();
+
+    return () => {
+      closed = true;
+      clearTimeout(reconnectTimer);
+      if (source) source.close();
+    };
+  }, [isAuthenticated]);
+
+  const subscribe = (type, listener) => {
+    const listeners = listenersRef.current;
+    if (!listeners.has(type)) listeners.set(type, new Set());
+    listeners.get(type).add(listener);
+    return () => listeners.get(type).delete(listener);
+  };
+
+  return (
+    <RealtimeContext.Provider value={{ subscribe }}>
+      {children}
+    </RealtimeContext.Provider>
+  );
+};
+
+/**
+ * Run a handler whenever the server pushes the given event.
+ * The latest handler is always used, so it can read current state.
+ */
+export const useRealtimeEvent = (type, handler) => {
+  const context = useContext(RealtimeContext);
+  const handlerRef = useRef(handler);
+  handlerRef.current = handler;
+
+  useEffect(() => {
+    if (!context) return undefined;
+    return context.subscribe(type, (data) => handlerRef.current(data));
+  }, [context, type]);
+};
@@ -0,0 +1,287 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import {
+  ClipboardCheck,
+  Check,
+  X,
+  RotateCcw,
+  Clock,
+  Filter,
+  ChevronLeft,
+  ChevronRight,
+  ExternalLink
+} from 'lucide-react';
+import { getApprovals, decideApproval } from '../services/api';
+
+const DECISION_BUTTONS = {
+  APPROVED: { label: 'Approve', icon: Check, className: 'bg-green-600 hover:bg-green-700 text-white' },
+  REJECTED: { label: 'Reject', icon: X, className: 'bg-red-600 hover:bg-red-700 text-white' },
+  CHANGES_REQUESTED: { label: 'Request changes', icon: RotateCcw, className: 'bg-amber-500 hover:bg-amber-600 text-white' }
+};
+
+const STATUS_STYLES = {
+  APPROVED: 'bg-green-100 text-green-800',
+  REJECTED: 'bg-red-100 text-red-800',
+  CHANGES_REQUESTED: 'bg-amber-100 text-amber-800',
+  CANCELLED: 'bg-gray-100 text-gray-600',
+  PENDING: 'bg-blue-100 text-blue-800'
+};
+
+const STATUS_LABELS = {
+  APPROVED: 'Approved',
+  REJECTED: 'Rejected',
+  CHANGES_REQUESTED: 'Changes requested',
+  CANCELLED: 'Cancelled',
+  PENDING: 'Pending'
+};
+
+const fullName = (user) => user ? `${user.firstName} ${user.lastName}` : 'Unknown';
+
+const ApprovalsPage = () => {
+  const [approvals, setApprovals] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [filter, setFilter] = useState('pending'); // 'pending', 'decided'
+  const [comments, setComments] = useState({});
+  const [decisionErrors, setDecisionErrors] = useState({});
+  const [submittingId, setSubmittingId] = useState(null);
+  const [pagination, setPagination] = useState({
+    currentPage: 1,
+    totalPages: 1,
+    totalCount: 0
+  });
+  const navigate = useNavigate();
+
+  const fetchApprovals = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      setError(null);
+
+      const data = await getApprovals({
+        status: filter,
+        page: pagination.currentPage,
+        limit: 20
+      });
+
+      setApprovals(data.approvals);
+      setPagination({
+        currentPage: data.currentPage,
+        totalPages: data.totalPages,
+        totalCount: data.totalCount
+      });
+    } catch (err) {
+      setError('Failed to load approvals');
+      console.error(err);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [filter, pagination.currentPage]);
+
+  useEffect(() => {
+    fetchApprovals();
+  }, [fetchApprovals]);
+
+  const handleDecision = async (approval, decision) => {
+    const comment = comments[approval._id]?.trim();
+    if (decision !== 'APPROVED' && !comment) {
+      setDecisionErrors(prev => ({ ...prev, [approval._id]: 'Please explain the decision in a comment' }));
+      return;
+    }
+
+    try {
+      setSubmittingId(approval._id);
+      setDecisionErrors(prev => ({ ...prev, [approval._id]: null }));
+      await decideApproval(approval._id, { decision, comment });
+      setApprovals(approvals.filter(a => a._id !== approval._id));
+      setPagination(prev => ({ ...prev, totalCount: Math.max(prev.totalCount - 1, 0) }));
+    } catch (err) {
+      setDecisionErrors(prev => ({ ...prev, [approval._id]: err.msg || 'Failed to record the decision' }));
+    } finally {
+      setSubmittingId(null);
+    }
+  };
+
+  const formatDateTime = (dateString) => {
+    const date = new Date(dateString);
+    return date.toLocaleString();
+  };
+
+  const handlePrevPage = () => {
+    if (pagination.currentPage > 1) {
+      setPagination(prev => ({ ...prev, currentPage: prev.currentPage - 1 }));
+    }
+  };
+
+  const handleNextPage = () => {
+    if (pagination.currentPage < pagination.totalPages) {
+      setPagination(prev => ({ ...prev, currentPage: prev.currentPage + 1 }));
+    }
+  };
+
+  return (
+    <div className="container mx-auto p-4 max-w-4xl">
+      <div className="bg-white rounded-lg shadow-md overflow-hidden">
+        {/* Header */}
+        <div className="p-4 border-b border-gray-200 bg-gray-50">
+          <div className="flex justify-between items-center">
+            <h1 className="text-xl font-semibold text-gray-800 flex items-center">
+              <ClipboardCheck className="mr-2" size={24} />
+              Approvals
+            </h1>
+            <div className="flex items-center">
+              <Filter className="mr-2 text-gray-500" size={16} />
+              <select
+                className="border border-gray-300 rounded-md text-sm py-1 px-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                value={filter}
+                onChange={(e) => {
+                  setFilter(e.target.value);
+                  setPagination(prev => ({ ...prev, currentPage: 1 }));
+                }}
+              >
+                <option value="pending">Waiting for me</option>
+                <option value="decided">Decided by me</option>
+              </select>
+            </div>
+          </div>
+        </div>
+
+        {/* Content */}
+        <div>
+          {isLoading ? (
+            <div className="flex justify-center items-center py-8">
+              <div className="animate-spin h-8 w-8 border-4 border-blue-500 border-t-transparent rounded-full"></div>
+            </div>
+          ) : error ? (
+            <div className="text-red-500 p-6 text-center">{error}</div>
+          ) : approvals.length === 0 ? (
+            <div className="text-gray-500 p-8 text-center">
+              <ClipboardCheck className="mx-auto mb-3 text-gray-400" size={32} />
+              <p>{filter === 'pending' ? 'Nothing is waiting for your decision' : 'You have not decided any approvals yet'}</p>
+            </div>
+          ) : (
+            <ul className="divide-y divide-gray-100">
+              {approvals.map(approval => {
+                const complaint = approval.complaintId || {};
+                return (
+                  <li key={approval._id} className="p-4">
+                    <div className="flex justify-between items-start">
+                      <div className="min-w-0">
+                        <p className="text-base font-semibold text-gray-900">{complaint.title}</p>
+                        <p className="text-sm text-gray-600 mt-1">
+                          {approval.stageName}
+                          {complaint.departmentId?.name && ` · ${complaint.departmentId.name}`}
+                          {complaint.priority && ` · ${complaint.priority} priority`}
+                          {complaint.complainantId && ` · filed by ${fullName(complaint.complainantId)}`}
+                        </p>
+                        <div className="flex items-center mt-1 text-sm text-gray-500">
+                          <Clock size={14} className="mr-1" />
+                          Requested {formatDateTime(approval.createdAt)}
+                        </div>
+                      </div>
+                      <div className="flex items-center space-x-2">
+                        {filter === 'decided' && (
+                          <span className={`px-2 py-1 rounded-full text-xs font-medium ${STATUS_STYLES[approval.status]}`}>
+                            {STATUS_LABELS[approval.status]}
+                          </span>
+                        )}
+                        {complaint._id && (
+                          <button
+                            onClick={() => navigate(`/complaints/${complaint._id}`)}
+                            className="text-gray-500 hover:text-gray-800 p-2 rounded-full"
+                            title="Open complaint"
+                          >
+                            <ExternalLink size={18} />
+                          </button>
+                        )}
+                      </div>
+                    </div>
+
+                    {approval.instructions && (
+                      <p className="mt-3 text-sm text-gray-700 bg-gray-50 border border-gray-200 rounded p-2">
+                        {approval.instructions}
+                      </p>
+                    )}
+
+                    {filter === 'pending' ? (
+                      <div className="mt-3">
+                        {approval.approverIds?.length > 1 && (
+                          <p className="text-xs text-gray-500 mb-2">
+                            Also asked: {approval.approverIds.map(fullName).join(', ')}. The first decision counts.
+                          </p>
+                        )}
+                        <textarea
+                          value={comments[approval._id] || ''}
+                          onChange={(e) => setComments(prev => ({ ...prev, [approval._id]: e.target.value }))}
+                          placeholder="Comment (required to reject or request changes)"
+                          rows="2"
+                          maxLength={1000}
+                          className="w-full p-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-[#88BDBC]"
+                        />
+                        {decisionErrors[approval._id] && (
+                          <p className="text-sm text-red-600 mt-1">{decisionErrors[approval._id]}</p>
+                        )}
+                        <div className="flex flex-wrap gap-2 mt-2">
+                          {approval.decisions.map(decision => {
+                            const { label, icon: Icon, className } = DECISION_BUTTONS[decision];
+                            return (
+                              <button
+                                key={decision}
+                                onClick={() => handleDecision(approval, decision)}
+                                disabled={submittingId === approval._id}
+                                className={`text-sm py-1 px-3 rounded flex items-center disabled:opacity-50 ${className}`}
+                              >
+                                <Icon className="mr-1" size={16} />
+                                {label}
+                              </button>
+                            );
+                          })}
+                        </div>
+                      </div>
+                    ) : (
+                      <div className="mt-3 text-sm text-gray-600">
+                        {approval.decidedAt && `Decided ${formatDateTime(approval.decidedAt)}`}
+                        {approval.comment && (
+                          <p className="mt-1 text-gray-700 italic">"{approval.comment}"</p>
+                        )}
+                      </div>
+                    )}
+                  </li>
+                );
+              })}
+            </ul>
+          )}
+        </div>
+
+        {/* Pagination */}
+        {approvals.length > 0 && (
+          <div className="p-4 border-t border-gray-200 flex justify-between items-center">
+            <div className="text-sm text-gray-500">
+              Showing {approvals.length} of {pagination.totalCount} approvals
+            </div>
+            <div className="flex items-center space-x-2">
+              <button
+                onClick={handlePrevPage}
+                disabled={pagination.currentPage <= 1}
+                className="p-2 rounded border border-gray-300 disabled:opacity-50"
+              >
+                <ChevronLeft size={18} />
+              </button>
+              <span className="px-3 py-1">
+                Page {pagination.currentPage} of {pagination.totalPages}
+              </span>
+              <button
+                onClick={handleNextPage}
+                disabled={pagination.currentPage >= pagination.totalPages}
+                className="p-2 rounded border border-gray-300 disabled:opacity-50"
+              >
+                <ChevronRight size={18} />
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ApprovalsPage;
@@ -23,7 +23,7 @@ import workflowService from '../services/workflowService';
 // Import components
 import ComplaintList from '../components/Complaint/ComplaintList';
 import ComplaintDetail from '../components/Complaint/ComplaintDetail';
-import ComplaintFilters from '../components/Complaint/ComplaintFilters';
+import ComplaintFilters, { getFacetCount } from '../components/Complaint/ComplaintFilters';
 
 const ComplaintManagement = () => {
   const { user } = useAuth();
@@ -44,9 +44,19 @@ const ComplaintManagement = () => {
     status: '',
     priority: '',
     department: '',
-    search: '',
-    dateRange: ''
+    complaintType: '',
+    q: '',
+    dateRange: '',
+    sortBy: '',
+    sortOrder: '',
+    page: 1
   });
+  const [pagination, setPagination] = useState({
+    currentPage: 1,
+    totalPages: 1,
+    totalCount: 0
+  });
+  const [facets, setFacets] = useState({});
   
   // Analytics state
   const [stats, setStats] = useState({
@@ -78,7 +88,13 @@ const ComplaintManagement = () => {
     try {
       setIsLoading(true);
       const data = await getComplaints(filters);
-      setComplaints(data);
+      setComplaints(data.complaints);
+      setPagination({
+        currentPage: data.currentPage,
+        totalPages: data.totalPages,
+        totalCount: data.totalCount
+      });
+      setFacets(data.facets);
       
       // Calculate statistics
       updateStats(data);
@@ -113,13 +129,13 @@ const ComplaintManagement = () => {
     }
   };
 
-  // Calculate and update statistics based on complaints
-  const updateStats = (complaintsData) => {
+  // Calculate and update statistics from the server-side facet counts
+  const updateStats = (data) => {
     const stats = {
-      total: complaintsData.length,
-      pending: complaintsData.filter(c => c.status === 'Open' || c.status === 'In Progress').length,
-      resolved: complaintsData.filter(c => c.status === 'Resolved' || c.status === 'Closed').length,
-      urgent: complaintsData.filter(c => c.priority === 'Urgent').length
+      total: data.totalCount,
+      pending: getFacetCount(data.facets, 'status', ['Open', 'In Progress']),
+      resolved: getFacetCount(data.facets, 'status', ['Resolved', 'Closed']),
+      urgent: getFacetCount(data.facets, 'priority', ['Urgent'])
     };
     setStats(stats);
   };
@@ -128,10 +144,15 @@ const ComplaintManagement = () => {
   const handleFilterChange = (key, value) => {
     setFilters(prev => ({
       ...prev,
-      [key]: value
+      [key]: value,
+      page: 1
     }));
   };
 
+  const handlePageChange = (page) => {
+    setFilters(prev => ({ ...prev, page }));
+  };
+
   // Handle complaint status update
   const handleStatusUpdate = async (complaintId, statusData) => {
     try {
@@ -291,11 +312,8 @@ const ComplaintManagement = () => {
       prev.map(c => c._id === updatedComplaint._id ? updatedComplaint : c)
     );
     
-    // Update stats based on the updated list
-    updateStats([
-      ...complaints.filter(c => c._id !== updatedComplaint._id),
-      updatedComplaint
-    ]);
+    // Statistics are counted on the server, so reload them
+    loadComplaints();
   };
 
   // StatCard component for statistics display
@@ -366,6 +384,7 @@ const ComplaintManagement = () => {
           filters={filters}
           onFilterChange={handleFilterChange}
           departments={departments}
+          facets={facets}
         />
       </div>
 
@@ -399,6 +418,8 @@ const ComplaintManagement = () => {
                 onViewComplaint={handleSelectComplaint}
                 currentUser={user}
                 currentFilters={filters}
+                pagination={pagination}
+                onPageChange={handlePageChange}
               />
             </div>
           </div>
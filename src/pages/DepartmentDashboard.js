@@ -11,7 +11,8 @@ import {
   Users,
   AlertCircle,
   MessageSquare,
-  Star
+  Star,
+  RotateCcw
 } from 'lucide-react';
 import { useAuth } from '../contexts/AuthContext';
 import {
@@ -29,8 +30,11 @@ import {
 // Import existing components
 import ComplaintList from '../components/Complaint/ComplaintList';
 import ComplaintDetail from '../components/Complaint/ComplaintDetail';
-import ComplaintFilters from '../components/Complaint/ComplaintFilters';
+import ComplaintFilters, { getFacetCount } from '../components/Complaint/ComplaintFilters';
+import IncomingTransfers from '../components/Complaint/IncomingTransfers';
 import NotificationCenter from '../components/common/NotificationCenter';
+import ApprovalInboxButton from '../components/common/ApprovalInboxButton';
+import OutOfOfficeButton from '../components/common/OutOfOfficeButton';
 import NotificationSidebar from '../components/common/NotificationSidebar';
 import FeedbackStats from '../components/Feedback/FeedbackStats';
 
@@ -69,9 +73,19 @@ const DepartmentDashboard = () => {
   const [filters, setFilters] = useState({
     status: '',
     priority: '',
-    search: '',
-    dateRange: ''
+    complaintType: '',
+    q: '',
+    dateRange: '',
+    sortBy: '',
+    sortOrder: '',
+    page: 1
   });
+  const [pagination, setPagination] = useState({
+    currentPage: 1,
+    totalPages: 1,
+    totalCount: 0
+  });
+  const [facets, setFacets] = useState({});
 
   // Load initial data
   useEffect(() => {
@@ -117,11 +131,17 @@ const DepartmentDashboard = () => {
       };
       
       const data = await getComplaints(departmentFilters);
-      setComplaints(data);
+      setComplaints(data.complaints);
+      setPagination({
+        currentPage: data.currentPage,
+        totalPages: data.totalPages,
+        totalCount: data.totalCount
+      });
+      setFacets(data.facets);
       
       // If there's a selected complaint, refresh its data
       if (selectedComplaint) {
-        const updatedComplaint = data.find(c => c._id === selectedComplaint._id);
+        const updatedComplaint = data.complaints.find(c => c._id === selectedComplaint._id);
         if (updatedComplaint) {
           setSelectedComplaint(updatedComplaint);
         }
@@ -157,23 +177,14 @@ const DepartmentDashboard = () => {
   };
 
   // Helper functions
-  const calculateStats = (complaints, departmentUsers) => {
-    const now = new Date();
-    const resolvedComplaints = complaints.filter(c => c.resolvedAt);
-    
-    const averageTime = resolvedComplaints.length > 0 
-      ? resolvedComplaints.reduce((sum, complaint) => {
-          const created = new Date(complaint.createdAt);
-          const resolved = new Date(complaint.resolvedAt);
-          return sum + (resolved - created);
-        }, 0) / resolvedComplaints.length / (1000 * 60 * 60 * 24) // Convert to days
-      : 0;
+  const calculateStats = (data, departmentUsers) => {
+    const averageTime = data.averageResolutionMs / (1000 * 60 * 60 * 24); // Convert to days
 
     setStats({
-      total: complaints.length,
-      inProgress: complaints.filter(c => c.status === 'In Progress').length,
-      resolved: complaints.filter(c => ['Resolved', 'Closed'].includes(c.status)).length,
-      urgent: complaints.filter(c => c.priority === 'Urgent').length,
+      total: data.totalCount,
+      inProgress: getFacetCount(data.facets, 'status', ['In Progress']),
+      resolved: getFacetCount(data.facets, 'status', ['Resolved', 'Closed']),
+      urgent: getFacetCount(data.facets, 'priority', ['Urgent']),
       averageResolutionTime: Math.round(averageTime),
       activeUsers: departmentUsers.filter(u => u.isActive).length
     });
@@ -268,10 +279,15 @@ const DepartmentDashboard = () => {
   const handleFilterChange = (key, value) => {
     setFilters(prev => ({
       ...prev,
-      [key]: value
+      [key]: value,
+      page: 1
     }));
   };
 
+  const handlePageChange = (page) => {
+    setFilters(prev => ({ ...prev, page }));
+  };
+
   const handleLogout = async () => {
     try {
       await logout();
@@ -330,6 +346,8 @@ const DepartmentDashboard = () => {
             </div>
             
             <div className="flex items-center space-x-4">
+              <ApprovalInboxButton />
+              <OutOfOfficeButton />
               {/* Update NotificationCenter to include onOpenSidebar */}
               <NotificationCenter onOpenSidebar={() => setIsNotificationSidebarOpen(true)} />
               
@@ -393,8 +411,8 @@ const DepartmentDashboard = () => {
         </div>
 
         {/* Additional Feedback Stats Row */}
-        {feedbackStats.totalFeedback > 0 && (
-          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4 mb-4">
+        {(feedbackStats.totalFeedback > 0 || feedbackStats.reopenStats) && (
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4 mb-4">
             <StatCard
               title="Feedback Received"
               value={feedbackStats.totalFeedback}
@@ -416,9 +434,22 @@ const DepartmentDashboard = () => {
               color="text-green-600"
               subtitle="4+ stars"
             />
+            <StatCard
+              title="Reopen Rate"
+              value={`${feedbackStats.reopenStats?.reopenRate || 0}%`}
+              icon={RotateCcw}
+              color="text-orange-600"
+              subtitle={`${feedbackStats.reopenStats?.reopenedComplaints || 0} of ${feedbackStats.reopenStats?.resolvedComplaints || 0} resolved reopened`}
+            />
           </div>
         )}
 
+        {/* Complaints other departments want to hand over */}
+        <IncomingTransfers
+          onViewComplaint={handleSelectComplaint}
+          refreshKey={selectedComplaint?._id}
+        />
+
         {/* Enhanced Complaints Section */}
         <div className="flex flex-col lg:flex-row gap-4 h-[calc(100vh-24rem)]">
           <div className={`${selectedComplaint ? 'lg:w-2/5' : 'w-full'} transition-all duration-300 flex flex-col`}>
@@ -429,6 +460,7 @@ const DepartmentDashboard = () => {
                   <ComplaintFilters
                     filters={filters}
                     onFilterChange={handleFilterChange}
+                    facets={facets}
                   />
                 </div>
               </div>
@@ -439,6 +471,8 @@ const DepartmentDashboard = () => {
                   error={error}
                   onViewComplaint={handleSelectComplaint}
                   currentUser={user}
+                  pagination={pagination}
+                  onPageChange={handlePageChange}
                 />
               </div>
             </div>
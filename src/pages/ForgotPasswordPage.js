@@ -1,8 +1,8 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { Formik, Form, Field } from 'formik';
 import * as Yup from 'yup';
 import { useNavigate, Link } from 'react-router-dom';
-import { Mail, Lock, ChevronRight, AlertCircle, ArrowLeft, Eye, EyeOff } from 'lucide-react';
+import { Mail, Lock, ChevronRight, AlertCircle, ArrowLeft, Eye, EyeOff, Clock } from 'lucide-react';
 import { requestPasswordReset, verifyOTP, resetPassword } from '../services/api';
 
 // Progress bar component for steps
@@ -57,6 +57,10 @@ const LoadingSpinner = () => (
   </svg>
 );
 
+// Format a wait in seconds as "45s" or "12 min"
+const formatWait = (seconds) =>
+  seconds < 60 ? `${seconds}s` : `${Math.ceil(seconds / 60)} min`;
+
 const ForgotPasswordPage = () => {
   const [step, setStep] = useState(1);
   const [email, setEmail] = useState('');
@@ -65,8 +69,24 @@ const ForgotPasswordPage = () => {
   const [isLoading, setIsLoading] = useState(false);
   const [showPassword, setShowPassword] = useState(false);
   const [showConfirmPassword, setShowConfirmPassword] = useState(false);
+  const [resetToken, setResetToken] = useState('');
+  const [resendAvailableAt, setResendAvailableAt] = useState(0);
+  const [lockedUntil, setLockedUntil] = useState(0);
+  const [attemptsRemaining, setAttemptsRemaining] = useState(null);
+  const [now, setNow] = useState(Date.now());
   const navigate = useNavigate();
 
+  // Tick once a second while a resend cooldown or lockout is counting down
+  useEffect(() => {
+    if (Math.max(resendAvailableAt, lockedUntil) <= now) return undefined;
+    const timer = setTimeout(() => setNow(Date.now()), 1000);
+    return () => clearTimeout(timer);
+  }, [now, resendAvailableAt, lockedUntil]);
+
+  const resendIn = Math.max(Math.ceil((resendAvailableAt - now) / 1000), 0);
+  const lockedFor = Math.max(Math.ceil((lockedUntil - now) / 1000), 0);
+  const codeUsedUp = step === 2 && attemptsRemaining === 0;
+
   const validationSchemas = {
     email: Yup.object({
       email: Yup.string()
@@ -92,6 +112,52 @@ const ForgotPasswordPage = () => {
     }),
   };
 
+  // Start the resend cooldown returned by the server after a code is sent
+  const startResendCooldown = (seconds) => {
+    setNow(Date.now());
+    setResendAvailableAt(Date.now() + (seconds || 0) * 1000);
+  };
+
+  // Map the server's OTP error codes onto page state
+  const handleOtpError = (err, submittedEmail) => {
+    const retryAt = err?.retryAfter ? Date.now() + err.retryAfter * 1000 : 0;
+    setNow(Date.now());
+
+    switch (err?.code) {
+      case 'LOCKED':
+        setLockedUntil(retryAt);
+        break;
+      case 'RESEND_COOLDOWN':
+        setResendAvailableAt(retryAt);
+        // A code was sent to this address moments ago, so let the user enter it
+        if (step === 1 && submittedEmail) {
+          setEmail(submittedEmail);
+          setAttemptsRemaining(null);
+          setStep(2);
+        }
+        break;
+      case 'SEND_LIMIT':
+        setResendAvailableAt(retryAt);
+        break;
+      case 'INVALID_OTP':
+        setAttemptsRemaining(err.attemptsRemaining);
+        break;
+      case 'TOO_MANY_ATTEMPTS':
+      case 'OTP_EXPIRED':
+        setAttemptsRemaining(0);
+        break;
+      case 'RESET_TOKEN_INVALID':
+        setResetToken('');
+        setAttemptsRemaining(0);
+        setStep(2);
+        break;
+      default:
+        break;
+    }
+
+    setError(err?.msg || err?.message || 'Something went wrong. Please try again.');
+  };
+
   const handleSubmit = async (values, { resetForm }) => {
     setError('');
     setSuccess('');
@@ -100,27 +166,49 @@ const ForgotPasswordPage = () => {
     try {
       // eslint-disable-next-line default-case
       switch (step) {
-        case 1:
-          await requestPasswordReset(values.email);
+        case 1: {
+          const response = await requestPasswordReset(values.email);
           setEmail(values.email);
+          setAttemptsRemaining(null);
+          startResendCooldown(response.resendAfter);
           setSuccess('OTP has been sent to your email');
           resetForm();
           setStep(2);
           break;
-        case 2:
-          await verifyOTP(email, values.otp);
+        }
+        case 2: {
+          const response = await verifyOTP(email, values.otp);
+          setResetToken(response.resetToken);
           setSuccess('OTP verified successfully');
           resetForm();
           setStep(3);
           break;
+        }
         case 3:
-          await resetPassword(email, values.password);
+          await resetPassword(email, values.password, resetToken);
           setSuccess('Redirecting to login page...');
           setTimeout(() => navigate('/login'), 2000);
           break;
       }
     } catch (err) {
-      setError(err.response?.data?.msg || err.message);
+      handleOtpError(err, values.email);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleResend = async () => {
+    setError('');
+    setSuccess('');
+    setIsLoading(true);
+
+    try {
+      const response = await requestPasswordReset(email);
+      setAttemptsRemaining(null);
+      startResendCooldown(response.resendAfter);
+      setSuccess('A new OTP has been sent to your email');
+    } catch (err) {
+      handleOtpError(err);
     } finally {
       setIsLoading(false);
     }
@@ -196,6 +284,25 @@ const ForgotPasswordPage = () => {
                     {errors.otp}
                   </div>
                 )}
+                {attemptsRemaining > 0 && (
+                  <p className="text-sm mt-1 text-orange-600">
+                    {attemptsRemaining} attempt{attemptsRemaining === 1 ? '' : 's'} left for this code
+                  </p>
+                )}
+                <div className="mt-3 text-sm text-gray-500 text-center">
+                  {resendIn > 0 ? (
+                    <span>You can request a new code in {formatWait(resendIn)}</span>
+                  ) : (
+                    <button
+                      type="button"
+                      onClick={handleResend}
+                      disabled={isLoading || lockedFor > 0}
+                      className="text-[#254E58] hover:text-[#112D32] font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                      {codeUsedUp ? 'Request a new code' : "Didn't get the code? Resend"}
+                    </button>
+                  )}
+                </div>
               </div>
             )}
 
@@ -263,9 +370,9 @@ const ForgotPasswordPage = () => {
 
               <button
                 type="submit"
-                disabled={isLoading}
+                disabled={isLoading || lockedFor > 0 || codeUsedUp}
                 className={`flex-1 bg-gradient-to-r from-[#254E58] to-[#112D32] text-[#88BDBC] font-bold py-3 px-4 rounded-lg hover:from-[#112D32] hover:to-[#254E58] transition-all duration-300 flex items-center justify-center ${
-                  isLoading ? 'opacity-75 cursor-not-allowed' : ''
+                  isLoading || lockedFor > 0 || codeUsedUp ? 'opacity-75 cursor-not-allowed' : ''
                 }`}
               >
                 {isLoading ? (
@@ -304,7 +411,16 @@ const ForgotPasswordPage = () => {
 
             {renderForm()}
 
-            {(error || success) && (
+            {lockedFor > 0 && (
+              <div className="mt-4 p-4 rounded-lg flex items-center bg-orange-50 text-orange-700 border border-orange-200">
+                <Clock size={20} className="mr-2 flex-shrink-0" />
+                <span className="text-sm">
+                  Too many attempts. You can try again in {formatWait(lockedFor)}.
+                </span>
+              </div>
+            )}
+
+            {lockedFor === 0 && (error || success) && (
               <div
                 className={`mt-4 p-4 rounded-lg flex items-center ${
                   error
@@ -0,0 +1,332 @@
+// pages/NotificationSettingsPage.js
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { ArrowLeft, AlertCircle, CheckCircle, Loader, Settings } from 'lucide-react';
+import { getNotificationPreferences, updateNotificationPreferences } from '../services/api';
+import LoadingSpinner from '../components/common/LoadingSpinner';
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const HOURS = Array.from({ length: 24 }, (_, hour) => hour);
+
+const browserTimeZone = Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+const TIME_ZONES = typeof Intl.supportedValuesOf === 'function'
+  ? Intl.supportedValuesOf('timeZone')
+  : [browserTimeZone];
+
+const NotificationSettingsPage = () => {
+  const navigate = useNavigate();
+  const [state, setState] = useState({
+    catalog: null,
+    email: true,
+    sms: false,
+    phone: '',
+    events: {},
+    language: '',
+    digest: { frequency: 'off', hour: 8, dayOfWeek: 1, timeZone: browserTimeZone },
+    isLoading: true,
+    isSaving: false,
+    error: null,
+    notice: null
+  });
+
+  useEffect(() => {
+    const loadPreferences = async () => {
+      try {
+        const preferences = await getNotificationPreferences();
+        // Suggest this device's time zone until a digest has been set up
+        const digest = preferences.digest.frequency === 'off'
+          ? { ...preferences.digest, timeZone: browserTimeZone }
+          : preferences.digest;
+        setState(prev => ({ ...prev, ...preferences, digest, isLoading: false }));
+      } catch (err) {
+        setState(prev => ({
+          ...prev,
+          error: err?.msg || 'Failed to load notification settings',
+          isLoading: false
+        }));
+      }
+    };
+
+    loadPreferences();
+  }, []);
+
+  const toggleChannel = (eventType, channel) => {
+    setState(prev => ({
+      ...prev,
+      notice: null,
+      events: {
+        ...prev.events,
+        [eventType]: { ...prev.events[eventType], [channel]: !prev.events[eventType][channel] }
+      }
+    }));
+  };
+
+  const setDigest = (key, value) => {
+    setState(prev => ({ ...prev, notice: null, digest: { ...prev.digest, [key]: value } }));
+  };
+
+  const handleSave = async () => {
+    try {
+      setState(prev => ({ ...prev, isSaving: true, error: null, notice: null }));
+      const preferences = await updateNotificationPreferences({
+        email: state.email,
+        sms: state.sms,
+        phone: state.phone.trim(),
+        events: state.events,
+        language: state.language,
+        digest: {
+          frequency: state.digest.frequency,
+          hour: state.digest.hour,
+          dayOfWeek: state.digest.dayOfWeek,
+          timeZone: state.digest.timeZone
+        }
+      });
+      setState(prev => ({
+        ...prev,
+        ...preferences,
+        isSaving: false,
+        notice: 'Notification settings saved'
+      }));
+    } catch (err) {
+      setState(prev => ({
+        ...prev,
+        isSaving: false,
+        error: err?.msg || err?.errors?.[0]?.msg || 'Failed to save notification settings'
+      }));
+    }
+  };
+
+  if (state.isLoading) {
+    return (
+      <div className="flex items-center justify-center min-h-screen">
+        <LoadingSpinner />
+      </div>
+    );
+  }
+
+  const { catalog, digest } = state;
+  const digestEnabled = state.email && digest.frequency !== 'off';
+
+  return (
+    <div className="container mx-auto p-4 max-w-4xl space-y-6">
+      {/* Header Section */}
+      <div className="flex items-center gap-3">
+        <button
+          onClick={() => navigate(-1)}
+          className="p-2 rounded-full hover:bg-gray-100 text-gray-600"
+          title="Back"
+        >
+          <ArrowLeft size={20} />
+        </button>
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900 flex items-center">
+            <Settings className="mr-2" size={24} />
+            Notification Settings
+          </h1>
+          <p className="mt-1 text-sm text-gray-500">
+            Choose how you hear about each kind of update. Account emails such as password resets are always sent.
+          </p>
+        </div>
+      </div>
+
+      {state.error && (
+        <div className="rounded-md bg-red-50 p-4 flex items-center border border-red-200">
+          <AlertCircle className="h-5 w-5 text-red-400 mr-2" />
+          <span className="text-sm text-red-700">{state.error}</span>
+        </div>
+      )}
+      {state.notice && (
+        <div className="rounded-md bg-green-50 p-4 flex items-center border border-green-200">
+          <CheckCircle className="h-5 w-5 text-green-500 mr-2" />
+          <span className="text-sm text-green-700">{state.notice}</span>
+        </div>
+      )}
+
+      {catalog && (
+        <>
+          {/* Email Settings */}
+          <div className="bg-white shadow-sm border border-gray-200 rounded-lg p-6 space-y-4">
+            <label className="flex items-start gap-3">
+              <input
+                type="checkbox"
+                checked={state.email}
+                onChange={(e) => setState(prev => ({ ...prev, email: e.target.checked, notice: null }))}
+                className="mt-1 rounded border-gray-300 text-[#254E58] focus:ring-[#254E58]"
+              />
+              <span>
+                <span className="block text-sm font-medium text-gray-900">Email notifications</span>
+                <span className="block text-sm text-gray-500">Turn off to stop every notification email, whatever is chosen below.</span>
+              </span>
+            </label>
+
+            <div className="max-w-xs">
+              <label className="block text-sm font-medium text-gray-700">Email language</label>
+              <select
+                value={state.language}
+                onChange={(e) => setState(prev => ({ ...prev, language: e.target.value, notice: null }))}
+                className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-[#254E58] focus:ring-[#254E58] sm:text-sm"
+              >
+                <option value="">Organization default</option>
+                {catalog.languages.map(language => (
+                  <option key={language.code} value={language.code}>{language.label}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          {/* SMS Settings */}
+          <div className="bg-white shadow-sm border border-gray-200 rounded-lg p-6 space-y-4">
+            <label className="flex items-start gap-3">
+              <input
+                type="checkbox"
+                checked={state.sms}
+                onChange={(e) => setState(prev => ({ ...prev, sms: e.target.checked, notice: null }))}
+                className="mt-1 rounded border-gray-300 text-[#254E58] focus:ring-[#254E58]"
+              />
+              <span>
+                <span className="block text-sm font-medium text-gray-900">Text messages</span>
+                <span className="block text-sm text-gray-500">Get urgent complaints, escalations and password reset codes by SMS.</span>
+              </span>
+            </label>
+
+            <div className="max-w-xs">
+              <label className="block text-sm font-medium text-gray-700">Mobile number</label>
+              <input
+                type="tel"
+                value={state.phone}
+                onChange={(e) => setState(prev => ({ ...prev, phone: e.target.value, notice: null }))}
+                placeholder="+919876543210"
+                className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-[#254E58] focus:ring-[#254E58] sm:text-sm"
+              />
+              <p className="mt-1 text-xs text-gray-500">International format, starting with + and the country code.</p>
+            </div>
+          </div>
+
+          {/* Digest Settings */}
+          <div className="bg-white shadow-sm border border-gray-200 rounded-lg p-6 space-y-4">
+            <div>
+              <h2 className="text-sm font-medium text-gray-900">Digest email</h2>
+              <p className="text-sm text-gray-500">
+                A summary of new, assigned, overdue and escalated complaints, recent feedback and any events you route to the digest below.
+              </p>
+            </div>
+            <div className="grid grid-cols-1 sm:grid-cols-4 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700">Frequency</label>
+                <select
+                  value={digest.frequency}
+                  disabled={!state.email}
+                  onChange={(e) => setDigest('frequency', e.target.value)}
+                  className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-[#254E58] focus:ring-[#254E58] sm:text-sm disabled:opacity-50"
+                >
+                  <option value="off">Off</option>
+                  <option value="daily">Daily</option>
+                  <option value="weekly">Weekly</option>
+                </select>
+              </div>
+              {digest.frequency === 'weekly' && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700">Day</label>
+                  <select
+                    value={digest.dayOfWeek}
+                    disabled={!digestEnabled}
+                    onChange={(e) => setDigest('dayOfWeek', parseInt(e.target.value))}
+                    className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-[#254E58] focus:ring-[#254E58] sm:text-sm disabled:opacity-50"
+                  >
+                    {WEEKDAYS.map((day, index) => (
+                      <option key={day} value={index}>{day}</option>
+                    ))}
+                  </select>
+                </div>
+              )}
+              <div>
+                <label className="block text-sm font-medium text-gray-700">Time</label>
+                <select
+                  value={digest.hour}
+                  disabled={!digestEnabled}
+                  onChange={(e) => setDigest('hour', parseInt(e.target.value))}
+                  className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-[#254E58] focus:ring-[#254E58] sm:text-sm disabled:opacity-50"
+                >
+                  {HOURS.map(hour => (
+                    <option key={hour} value={hour}>{`${String(hour).padStart(2, '0')}:00`}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700">Time zone</label>
+                <select
+                  value={digest.timeZone}
+                  disabled={!digestEnabled}
+                  onChange={(e) => setDigest('timeZone', e.target.value)}
+                  className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-[#254E58] focus:ring-[#254E58] sm:text-sm disabled:opacity-50"
+                >
+                  {[...new Set([digest.timeZone, ...TIME_ZONES])].map(timeZone => (
+                    <option key={timeZone} value={timeZone}>{timeZone}</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+            {digest.lastSentAt && (
+              <p className="text-xs text-gray-500">Last sent {new Date(digest.lastSentAt).toLocaleString()}</p>
+            )}
+          </div>
+
+          {/* Event Channels */}
+          <div className="bg-white shadow-sm border border-gray-200 rounded-lg overflow-hidden">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Event</th>
+                  {catalog.channels.map(channel => (
+                    <th key={channel.key} className="px-6 py-3 text-center text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      {channel.label}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {catalog.events.map(event => (
+                  <tr key={event.type}>
+                    <td className="px-6 py-4">
+                      <p className="text-sm font-medium text-gray-900">{event.label}</p>
+                      <p className="text-sm text-gray-500">{event.description}</p>
+                    </td>
+                    {catalog.channels.map(channel => {
+                      const disabled = (channel.key === 'email' && !state.email) ||
+                        (channel.key === 'digest' && !digestEnabled);
+                      return (
+                        <td key={channel.key} className="px-6 py-4 text-center">
+                          <input
+                            type="checkbox"
+                            aria-label={`${event.label}: ${channel.label}`}
+                            checked={Boolean(state.events[event.type]?.[channel.key]) && !disabled}
+                            disabled={disabled}
+                            onChange={() => toggleChannel(event.type, channel.key)}
+                            className="rounded border-gray-300 text-[#254E58] focus:ring-[#254E58] disabled:opacity-50"
+                          />
+                        </td>
+                      );
+                    })}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="flex justify-end">
+            <button
+              onClick={handleSave}
+              disabled={state.isSaving}
+              className="inline-flex items-center px-4 py-2 text-sm font-medium text-white bg-[#254E58] rounded-md hover:bg-[#112D32] disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {state.isSaving && <Loader className="h-4 w-4 mr-2 animate-spin" />}
+              Save settings
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default NotificationSettingsPage;
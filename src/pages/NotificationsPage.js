@@ -11,7 +11,11 @@ import {
   ChevronLeft, 
   ChevronRight,
   MessageSquare,
-  User
+  User,
+  ClipboardCheck,
+  ArrowRightLeft,
+  Merge,
+  Settings
 } from 'lucide-react';
 import { 
   getNotifications, 
@@ -127,6 +131,12 @@ const NotificationsPage = () => {
         return <AlertCircle className="text-red-500" size={20} />;
       case 'ASSIGNED_COMPLAINT':
         return <User className="text-purple-500" size={20} />;
+      case 'APPROVAL_REQUESTED':
+        return <ClipboardCheck className="text-teal-600" size={20} />;
+      case 'COMPLAINT_TRANSFERRED':
+        return <ArrowRightLeft className="text-[#254E58]" size={20} />;
+      case 'COMPLAINT_MERGED':
+        return <Merge className="text-[#254E58]" size={20} />;
       default:
         return <Bell className="text-gray-500" size={20} />;
     }
@@ -187,6 +197,13 @@ const NotificationsPage = () => {
                 <CheckCheck className="mr-1" size={16} />
                 Mark all as read
               </button>
+              <button
+                onClick={() => navigate('/settings/notifications')}
+                className="text-gray-600 hover:text-gray-800 p-1 rounded-full"
+                title="Notification settings"
+              >
+                <Settings size={18} />
+              </button>
             </div>
           </div>
         </div>
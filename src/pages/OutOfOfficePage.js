@@ -0,0 +1,237 @@
+// pages/OutOfOfficePage.js
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { format } from 'date-fns';
+import { ArrowLeft, AlertCircle, CheckCircle, Loader, Plane } from 'lucide-react';
+import { getOutOfOffice, setOutOfOffice, clearOutOfOffice } from '../services/api';
+import LoadingSpinner from '../components/common/LoadingSpinner';
+
+const toInputValue = (date) => (date ? format(new Date(date), "yyyy-MM-dd'T'HH:mm") : '');
+const toIsoString = (value) => (value ? new Date(value).toISOString() : null);
+
+// Form fields for a saved period, or an empty form
+const toForm = (outOfOffice) => ({
+  startsAt: toInputValue(outOfOffice?.startsAt),
+  endsAt: toInputValue(outOfOffice?.endsAt),
+  delegateId: outOfOffice?.delegateId || '',
+  handOver: Boolean(outOfOffice?.handOver)
+});
+
+const OutOfOfficePage = () => {
+  const navigate = useNavigate();
+  const [state, setState] = useState({
+    outOfOffice: null,
+    isOutOfOffice: false,
+    delegates: [],
+    form: toForm(null),
+    isLoading: true,
+    isSaving: false,
+    error: null,
+    notice: null
+  });
+
+  useEffect(() => {
+    const loadPeriod = async () => {
+      try {
+        const data = await getOutOfOffice();
+        setState(prev => ({ ...prev, ...data, form: toForm(data.outOfOffice), isLoading: false }));
+      } catch (err) {
+        setState(prev => ({
+          ...prev,
+          error: err?.msg || 'Failed to load out-of-office settings',
+          isLoading: false
+        }));
+      }
+    };
+
+    loadPeriod();
+  }, []);
+
+  const setField = (key, value) => {
+    setState(prev => ({ ...prev, notice: null, form: { ...prev.form, [key]: value } }));
+  };
+
+  const handleSave = async () => {
+    try {
+      setState(prev => ({ ...prev, isSaving: true, error: null, notice: null }));
+      const { handedOver, ...data } = await setOutOfOffice({
+        startsAt: toIsoString(state.form.startsAt),
+        endsAt: toIsoString(state.form.endsAt),
+        delegateId: state.form.delegateId || null,
+        handOver: Boolean(state.form.delegateId) && state.form.handOver
+      });
+      setState(prev => ({
+        ...prev,
+        ...data,
+        form: toForm(data.outOfOffice),
+        isSaving: false,
+        notice: handedOver > 0
+          ? `Out of office saved; ${handedOver} open complaint(s) handed over`
+          : 'Out of office saved'
+      }));
+    } catch (err) {
+      setState(prev => ({
+        ...prev,
+        isSaving: false,
+        error: err?.msg || err?.errors?.[0]?.msg || 'Failed to save out-of-office settings'
+      }));
+    }
+  };
+
+  const handleClear = async () => {
+    try {
+      setState(prev => ({ ...prev, isSaving: true, error: null, notice: null }));
+      const data = await clearOutOfOffice();
+      setState(prev => ({
+        ...prev,
+        ...data,
+        form: toForm(null),
+        isSaving: false,
+        notice: 'You are back in the office'
+      }));
+    } catch (err) {
+      setState(prev => ({
+        ...prev,
+        isSaving: false,
+        error: err?.msg || 'Failed to end out of office'
+      }));
+    }
+  };
+
+  if (state.isLoading) {
+    return (
+      <div className="flex items-center justify-center min-h-screen">
+        <LoadingSpinner />
+      </div>
+    );
+  }
+
+  const { form, outOfOffice } = state;
+  const delegate = state.delegates.find(d => d._id === outOfOffice?.delegateId);
+
+  return (
+    <div className="container mx-auto p-4 max-w-2xl space-y-6">
+      {/* Header Section */}
+      <div className="flex items-center gap-3">
+        <button
+          onClick={() => navigate(-1)}
+          className="p-2 rounded-full hover:bg-gray-100 text-gray-600"
+          title="Back"
+        >
+          <ArrowLeft size={20} />
+        </button>
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900 flex items-center">
+            <Plane className="mr-2" size={24} />
+            Out of Office
+          </h1>
+          <p className="mt-1 text-sm text-gray-500">
+            While you are away, new assignments and your notifications go to the colleague you choose.
+          </p>
+        </div>
+      </div>
+
+      {state.error && (
+        <div className="rounded-md bg-red-50 p-4 flex items-center border border-red-200">
+          <AlertCircle className="h-5 w-5 text-red-400 mr-2" />
+          <span className="text-sm text-red-700">{state.error}</span>
+        </div>
+      )}
+      {state.notice && (
+        <div className="rounded-md bg-green-50 p-4 flex items-center border border-green-200">
+          <CheckCircle className="h-5 w-5 text-green-500 mr-2" />
+          <span className="text-sm text-green-700">{state.notice}</span>
+        </div>
+      )}
+
+      {outOfOffice && (
+        <div className="rounded-md bg-[#88BDBC]/20 p-4 border border-[#88BDBC] text-sm text-[#112D32]">
+          {state.isOutOfOffice
+            ? 'You are out of office'
+            : `You will be out of office from ${format(new Date(outOfOffice.startsAt), 'MMM d, yyyy h:mm a')}`}
+          {' until '}{format(new Date(outOfOffice.endsAt), 'MMM d, yyyy h:mm a')}
+          {delegate ? `; ${delegate.firstName} ${delegate.lastName} stands in for you.` : ', with no delegate.'}
+        </div>
+      )}
+
+      <div className="bg-white shadow-sm border border-gray-200 rounded-lg p-6 space-y-4">
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700">From</label>
+            <input
+              type="datetime-local"
+              value={form.startsAt}
+              onChange={(e) => setField('startsAt', e.target.value)}
+              className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-[#254E58] focus:ring-[#254E58] sm:text-sm"
+            />
+            <p className="mt-1 text-xs text-gray-500">Leave empty to start now.</p>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Until</label>
+            <input
+              type="datetime-local"
+              value={form.endsAt}
+              onChange={(e) => setField('endsAt', e.target.value)}
+              className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-[#254E58] focus:ring-[#254E58] sm:text-sm"
+            />
+          </div>
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700">Delegate</label>
+          <select
+            value={form.delegateId}
+            onChange={(e) => setField('delegateId', e.target.value)}
+            className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-[#254E58] focus:ring-[#254E58] sm:text-sm"
+          >
+            <option value="">No delegate</option>
+            {state.delegates.map(d => (
+              <option key={d._id} value={d._id}>{d.firstName} {d.lastName} ({d.email})</option>
+            ))}
+          </select>
+          {!form.delegateId && (
+            <p className="mt-1 text-xs text-gray-500">Without a delegate, nobody can assign complaints to you while you are away.</p>
+          )}
+        </div>
+
+        <label className="flex items-start gap-3">
+          <input
+            type="checkbox"
+            checked={form.handOver}
+            disabled={!form.delegateId}
+            onChange={(e) => setField('handOver', e.target.checked)}
+            className="mt-1 rounded border-gray-300 text-[#254E58] focus:ring-[#254E58] disabled:opacity-50"
+          />
+          <span>
+            <span className="block text-sm font-medium text-gray-900">Hand over my open complaints</span>
+            <span className="block text-sm text-gray-500">
+              Reassign the complaints you are working on to your delegate when the period starts. They stay with them when you return.
+            </span>
+          </span>
+        </label>
+      </div>
+
+      <div className="flex justify-end gap-3">
+        {outOfOffice && (
+          <button
+            onClick={handleClear}
+            disabled={state.isSaving}
+            className="px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-md hover:bg-gray-50 disabled:opacity-50"
+          >
+            {state.isOutOfOffice ? "I'm back" : 'Cancel out of office'}
+          </button>
+        )}
+        <button
+          onClick={handleSave}
+          disabled={state.isSaving || !form.endsAt}
+          className="inline-flex items-center px-4 py-2 text-sm font-medium text-white bg-[#254E58] rounded-md hover:bg-[#112D32] disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {state.isSaving && <Loader className="h-4 w-4 mr-2 animate-spin" />}
+          Save
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default OutOfOfficePage;
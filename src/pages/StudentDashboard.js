@@ -15,7 +15,7 @@ import {
 import ComplaintList from '../components/Complaint/ComplaintList';
 import ComplaintDetail from '../components/Complaint/ComplaintDetail';
 import ComplaintForm from '../components/Complaint/ComplaintForm';
-import ComplaintFilters from '../components/Complaint/ComplaintFilters';
+import ComplaintFilters, { getFacetCount } from '../components/Complaint/ComplaintFilters';
 import NotificationCenter from '../components/common/NotificationCenter';
 import NotificationSidebar from '../components/common/NotificationSidebar';
 
@@ -40,9 +40,19 @@ const StudentDashboard = () => {
     status: '',
     priority: '',
     department: '',
-    search: '',
-    dateRange: ''
+    complaintType: '',
+    q: '',
+    dateRange: '',
+    sortBy: '',
+    sortOrder: '',
+    page: 1
   });
+  const [pagination, setPagination] = useState({
+    currentPage: 1,
+    totalPages: 1,
+    totalCount: 0
+  });
+  const [facets, setFacets] = useState({});
 
   useEffect(() => {
     loadComplaints();
@@ -53,20 +63,26 @@ const StudentDashboard = () => {
     try {
       setIsLoading(true);
       const data = await getComplaints(filters);
-      setComplaints(data);
+      setComplaints(data.complaints);
+      setPagination({
+        currentPage: data.currentPage,
+        totalPages: data.totalPages,
+        totalCount: data.totalCount
+      });
+      setFacets(data.facets);
       
-      // Calculate statistics
+      // Statistics come from the server-side facet counts
       const stats = {
-        total: data.length,
-        pending: data.filter(c => c.status === 'Open' || c.status === 'In Progress').length,
-        resolved: data.filter(c => c.status === 'Resolved' || c.status === 'Closed').length,
-        urgent: data.filter(c => c.priority === 'Urgent').length
+        total: data.totalCount,
+        pending: getFacetCount(data.facets, 'status', ['Open', 'In Progress']),
+        resolved: getFacetCount(data.facets, 'status', ['Resolved', 'Closed']),
+        urgent: getFacetCount(data.facets, 'priority', ['Urgent'])
       };
       setStats(stats);
       
       // If there's a selected complaint, refresh its data
       if (selectedComplaint) {
-        const updatedComplaint = data.find(c => c._id === selectedComplaint._id);
+        const updatedComplaint = data.complaints.find(c => c._id === selectedComplaint._id);
         if (updatedComplaint) {
           setSelectedComplaint(updatedComplaint);
         }
@@ -93,10 +109,15 @@ const StudentDashboard = () => {
   const handleFilterChange = (key, value) => {
     setFilters(prev => ({
       ...prev,
-      [key]: value
+      [key]: value,
+      page: 1
     }));
   };
 
+  const handlePageChange = (page) => {
+    setFilters(prev => ({ ...prev, page }));
+  };
+
   const handleCreateComplaint = async (complaintData) => {
     try {
       await createComplaint(complaintData);
@@ -244,6 +265,7 @@ const StudentDashboard = () => {
             filters={filters}
             onFilterChange={handleFilterChange}
             departments={departments}
+            facets={facets}
           />
         </div>
 
@@ -269,6 +291,8 @@ const StudentDashboard = () => {
                   onViewComplaint={handleSelectComplaint}
                   currentUser={user}
                   currentFilters={filters} 
+                  pagination={pagination}
+                  onPageChange={handlePageChange}
                 />
               </div>
             </div>
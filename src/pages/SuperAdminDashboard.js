@@ -10,7 +10,13 @@ import {
   Building2,
   FolderGit,
   ChevronRight,
-  Workflow
+  Workflow,
+  AlertTriangle,
+  Shield,
+  Mail,
+  Inbox,
+  Smartphone,
+  Timer
 } from 'lucide-react';
 import { useAuth } from '../contexts/AuthContext';
 
@@ -20,8 +26,16 @@ import DepartmentManagement from './DepartmentManagement';
 import ComplaintPage from './ComplaintManagement';
 import WorkflowManagement from './WorkflowManagement';
 import NotificationCenter from '../components/common/NotificationCenter';
+import ApprovalInboxButton from '../components/common/ApprovalInboxButton';
+import OutOfOfficeButton from '../components/common/OutOfOfficeButton';
 import NotificationSidebar from '../components/common/NotificationSidebar';
 import FeedbackStats from '../components/Feedback/FeedbackStats';
+import EscalationRuleManagement from '../components/EscalationRule/EscalationRuleManagement';
+import SlaManagement from '../components/Sla/SlaManagement';
+import RoleManagement from '../components/Role/RoleManagement';
+import EmailTemplateManagement from '../components/EmailTemplate/EmailTemplateManagement';
+import EmailLogManagement from '../components/EmailLog/EmailLogManagement';
+import SmsManagement from '../components/Sms/SmsManagement';
 import Sidebar from '../components/Layout/Sidebar';
 
 const SuperAdminDashboard = () => {
@@ -31,7 +45,7 @@ const SuperAdminDashboard = () => {
   const [isSidebarCollapsed, setIsSidebarCollapsed] = useState(false);
   const [isNotificationSidebarOpen, setIsNotificationSidebarOpen] = useState(false);
   const navigate = useNavigate();
-  const { user, logout } = useAuth(); // Added logout from useAuth hook
+  const { user, logout, hasPermission } = useAuth(); // Added logout from useAuth hook
 
   // Get user initials for avatar
   const getInitials = () => {
@@ -64,12 +78,13 @@ const SuperAdminDashboard = () => {
     }
   };
 
-  const tabs = [
+  const allTabs = [
     {
       id: 'users',
       name: 'User Management',
       icon: Users,
       description: 'Manage users and permissions',
+      permission: 'user.manage',
       count: 0
     },
     {
@@ -77,6 +92,7 @@ const SuperAdminDashboard = () => {
       name: 'Departments',
       icon: Building2,
       description: 'Manage organizational departments',
+      permission: 'department.manage',
       count: 0
     },
     {
@@ -84,19 +100,38 @@ const SuperAdminDashboard = () => {
       name: 'Complaint Types',
       icon: FolderGit,
       description: 'Manage complaint categories and types',
+      permission: 'complaintType.manage',
       count: 0
     },
     {
       id: 'complaints',
       name: 'Complaints',
       icon: MessageSquare,
-      description: 'Manage and track complaints'
+      description: 'Manage and track complaints',
+      permission: 'complaint.view'
     },
     {
       id: 'workflows',
       name: 'Workflows',
       icon: Workflow,
       description: 'Configure complaint resolution workflows',
+      permission: 'workflow.edit',
+      count: 0
+    },
+    {
+      id: 'escalationRules',
+      name: 'Escalation Rules',
+      icon: AlertTriangle,
+      description: 'Automatically escalate complaints that meet a condition',
+      permission: 'escalationRule.manage',
+      count: 0
+    },
+    {
+      id: 'sla',
+      name: 'SLA Policies',
+      icon: Timer,
+      description: 'Response and resolution targets with business hours',
+      permission: 'sla.manage',
       count: 0
     },
     {
@@ -104,10 +139,46 @@ const SuperAdminDashboard = () => {
       name: 'Feedback',
       icon: MessageSquare, // or you can use Star from lucide-react
       description: 'View customer feedback and analytics',
+      permission: 'feedback.view',
+      count: 0
+    },
+    {
+      id: 'roles',
+      name: 'Roles & Permissions',
+      icon: Shield,
+      description: 'Define roles and what each one can do',
+      permission: 'role.manage',
+      count: 0
+    },
+    {
+      id: 'emailTemplates',
+      name: 'Email Templates',
+      icon: Mail,
+      description: 'Customize and translate notification emails',
+      permission: 'emailTemplate.manage',
+      count: 0
+    },
+    {
+      id: 'emailLog',
+      name: 'Email Log',
+      icon: Inbox,
+      description: 'Track email delivery and resend failed emails',
+      permission: 'emailLog.manage',
+      count: 0
+    },
+    {
+      id: 'sms',
+      name: 'SMS',
+      icon: Smartphone,
+      description: 'Monitor SMS usage and set the monthly quota',
+      permission: 'sms.manage',
       count: 0
     }
   ];
 
+  // Only show the sections the user's permissions allow
+  const tabs = allTabs.filter(tab => hasPermission(tab.permission));
+
   return (
     <div className="min-h-screen bg-gray-50 flex">
       {/* Sidebar */}
@@ -150,6 +221,8 @@ const SuperAdminDashboard = () => {
 
             {/* Right Section */}
             <div className="flex items-center space-x-4">
+              <ApprovalInboxButton />
+              <OutOfOfficeButton />
               {/* Update NotificationCenter to include onOpenSidebar */}
               <NotificationCenter onOpenSidebar={() => setIsNotificationSidebarOpen(true)} />
 
@@ -199,7 +272,13 @@ const SuperAdminDashboard = () => {
           {activeTab === 'complaints' && <ComplaintPage />}
           {activeTab === 'complaintTypes' && <ComplaintTypeManagement />}
           {activeTab === 'workflows' && <WorkflowManagement />}
+          {activeTab === 'escalationRules' && <EscalationRuleManagement />}
+          {activeTab === 'sla' && <SlaManagement />}
           {activeTab === 'feedback' && <FeedbackStats />}
+          {activeTab === 'roles' && <RoleManagement />}
+          {activeTab === 'emailTemplates' && <EmailTemplateManagement />}
+          {activeTab === 'emailLog' && <EmailLogManagement />}
+          {activeTab === 'sms' && <SmsManagement />}
         </main>
       </div>
 
@@ -14,7 +14,8 @@ import {
   Check,
   Workflow as WorkflowIcon,
   X,
-  Book
+  Book,
+  History
 } from 'lucide-react';
 
 import { 
@@ -27,6 +28,7 @@ import {
 } from '../services/api';
 
 import WorkflowBuilder from '../components/Workflow/WorkflowBuilder';
+import WorkflowVersionHistory from '../components/Workflow/WorkflowVersionHistory';
 import DeleteConfirmationModal from '../components/common/DeleteConfirmationModal';
 
 const WorkflowManagement = () => {
@@ -37,11 +39,13 @@ const WorkflowManagement = () => {
     complaintTypes: [],
     isLoading: true,
     error: null,
+    saveError: null,
     showWorkflowBuilder: false,
     editingWorkflow: null,
     deleteConfirmOpen: false,
     workflowToDelete: null,
     isDeleting: false,
+    historyWorkflow: null,
     searchQuery: '',
     filterDepartment: '',
     filterType: '',
@@ -135,7 +139,7 @@ const WorkflowManagement = () => {
   // Handle workflow creation or update
   const handleSaveWorkflow = async (workflowData) => {
     try {
-      setState(prev => ({ ...prev, isLoading: true, error: null }));
+      setState(prev => ({ ...prev, isLoading: true, error: null, saveError: null }));
       
       if (state.editingWorkflow) {
         await updateWorkflow(state.editingWorkflow._id, workflowData);
@@ -154,7 +158,11 @@ const WorkflowManagement = () => {
       console.error('Error saving workflow:', err);
       setState(prev => ({
         ...prev,
-        error: `Failed to ${state.editingWorkflow ? 'update' : 'create'} workflow.`,
+        // Shown inside the builder, which stays open so the workflow can be fixed
+        saveError: {
+          msg: err?.msg || `Failed to ${state.editingWorkflow ? 'update' : 'create'} workflow.`,
+          issues: err?.validation?.errors || []
+        },
         isLoading: false
       }));
     }
@@ -419,6 +427,9 @@ const WorkflowManagement = () => {
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
                       {workflow.stages?.length || 0} stage{workflow.stages?.length !== 1 ? 's' : ''}
+                      {workflow.currentVersion > 0 && (
+                        <span className="ml-2 text-xs text-gray-400">v{workflow.currentVersion}</span>
+                      )}
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap">
                       <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${
@@ -441,6 +452,13 @@ const WorkflowManagement = () => {
                       >
                         <PenSquare size={16} />
                       </button>
+                      <button
+                        onClick={() => setState(prev => ({ ...prev, historyWorkflow: workflow }))}
+                        className="text-gray-600 hover:text-gray-900 mr-4"
+                        title="Version History"
+                      >
+                        <History size={16} />
+                      </button>
                       <button
                         onClick={() => setState(prev => ({
                           ...prev,
@@ -467,7 +485,7 @@ const WorkflowManagement = () => {
           <div className="flex min-h-screen items-center justify-center p-4">
             <div 
               className="fixed inset-0 bg-gray-500 bg-opacity-75 transition-opacity" 
-              onClick={() => setState(prev => ({ ...prev, showWorkflowBuilder: false, editingWorkflow: null }))}
+              onClick={() => setState(prev => ({ ...prev, showWorkflowBuilder: false, editingWorkflow: null, saveError: null }))}
             />
             <div className="relative transform overflow-hidden rounded-lg bg-white shadow-xl w-full max-w-6xl">
               <div className="p-6 max-h-[90vh] overflow-y-auto">
@@ -476,18 +494,33 @@ const WorkflowManagement = () => {
                     {state.editingWorkflow ? 'Edit Workflow' : 'Create New Workflow'}
                   </h2>
                   <button
-                    onClick={() => setState(prev => ({ ...prev, showWorkflowBuilder: false, editingWorkflow: null }))}
+                    onClick={() => setState(prev => ({ ...prev, showWorkflowBuilder: false, editingWorkflow: null, saveError: null }))}
                     className="text-gray-400 hover:text-gray-500"
                   >
                     <X className="h-6 w-6" />
                   </button>
                 </div>
+                {state.saveError && (
+                  <div className="mb-4 rounded-md bg-red-50 border border-red-200 p-4 text-red-700">
+                    <div className="flex items-center">
+                      <AlertCircle className="h-5 w-5 mr-2" />
+                      <span>{state.saveError.msg}</span>
+                    </div>
+                    {state.saveError.issues.length > 0 && (
+                      <ul className="mt-2 ml-7 list-disc text-sm">
+                        {state.saveError.issues.map((issue, index) => (
+                          <li key={index}>{issue.message}</li>
+                        ))}
+                      </ul>
+                    )}
+                  </div>
+                )}
                 <WorkflowBuilder
                   workflow={state.editingWorkflow}
                   complaintTypes={state.complaintTypes}
                   departments={state.departments}
                   onSave={handleSaveWorkflow}
-                  onCancel={() => setState(prev => ({ ...prev, showWorkflowBuilder: false, editingWorkflow: null }))}
+                  onCancel={() => setState(prev => ({ ...prev, showWorkflowBuilder: false, editingWorkflow: null, saveError: null }))}
                 />
               </div>
             </div>
@@ -495,6 +528,14 @@ const WorkflowManagement = () => {
         </div>
       )}
 
+      {/* Version History Modal */}
+      {state.historyWorkflow && (
+        <WorkflowVersionHistory
+          workflow={state.historyWorkflow}
+          onClose={() => setState(prev => ({ ...prev, historyWorkflow: null }))}
+        />
+      )}
+
       {/* Delete Confirmation Modal */}
       <DeleteConfirmationModal
         isOpen={state.deleteConfirmOpen}
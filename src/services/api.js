@@ -70,15 +70,31 @@ API.interceptors.response.use(
     }
     return response;
   },
-  (error) => {
+  async (error) => {
     console.error('❌ API Error:', {
       status: error.response?.status,
       message: error.response?.data?.msg || error.message,
       url: error.config?.url
     });
     
-    // Handle 401 Unauthorized
+    // Handle 401 Unauthorized: refresh the access token once and replay the request
     if (error.response?.status === 401) {
+      const originalRequest = error.config;
+      const canRetry = originalRequest &&
+        !originalRequest._retried &&
+        !NO_REFRESH_URLS.includes(originalRequest.url) &&
+        localStorage.getItem('refreshToken');
+
+      if (canRetry) {
+        originalRequest._retried = true;
+        try {
+          originalRequest.headers.Authorization = await refreshAccessToken();
+          return API(originalRequest);
+        } catch (refreshError) {
+          console.error('Session refresh failed:', refreshError.response?.data || refreshError.message);
+        }
+      }
+
       handleUnauthorized();
     }
     
@@ -94,10 +110,51 @@ API.interceptors.response.use(
   }
 );
 
+// Requests that must not trigger a token refresh when they fail with 401
+const NO_REFRESH_URLS = ['/auth/login', '/auth/refresh'];
+
+// Save a freshly issued access/refresh token pair
+const storeTokens = (token, refreshToken) => {
+  const fullToken = `Bearer ${token}`;
+  localStorage.setItem('token', fullToken);
+  localStorage.setItem('refreshToken', refreshToken);
+  API.defaults.headers.common['Authorization'] = fullToken;
+  return fullToken;
+};
+
+let refreshPromise = null;
+
+// Exchange the stored refresh token for a new token pair. Concurrent callers
+// share one request, since each refresh token can only be used once.
+export const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    const refreshToken = localStorage.getItem('refreshToken');
+
+    refreshPromise = (refreshToken
+      ? axios.post(`${API_BASE_URL}/auth/refresh`, { refreshToken }, { withCredentials: true })
+      : Promise.reject(new Error('No refresh token')))
+      .then(({ data }) => storeTokens(data.token, data.refreshToken))
+      .catch((error) => {
+        // Another tab may have rotated the token first; use the pair it stored
+        const latestRefreshToken = localStorage.getItem('refreshToken');
+        if (refreshToken && latestRefreshToken && latestRefreshToken !== refreshToken) {
+          return localStorage.getItem('token');
+        }
+        throw error;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+
+  return refreshPromise;
+};
+
 // Handle unauthorized access
 export const handleUnauthorized = () => {
   console.log('🚫 Unauthorized access detected. Redirecting to login.');
   localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
   localStorage.removeItem('user');
   delete API.defaults.headers.common['Authorization'];
   window.location.href = '/login';
@@ -157,11 +214,10 @@ export const checkOrganizationName = async (name) => {
 export const loginUser = async (email, password, organizationId) => {
   try {
     const response = await API.post('/auth/login', { email, password, organizationId });
-    const { token, role, userId, firstName, lastName, departmentId } = response.data;
+    const { token, refreshToken, role, userId, firstName, lastName, departmentId, permissions } = response.data;
     
-    // Store token in localStorage
-    const fullToken = `Bearer ${token}`;
-    localStorage.setItem('token', fullToken);
+    // Store tokens in localStorage
+    const fullToken = storeTokens(token, refreshToken);
     
     // Return user data for context
     return {
@@ -173,6 +229,7 @@ export const loginUser = async (email, password, organizationId) => {
       lastName,
       organizationId,
       departmentId,
+      permissions,
       isAuthenticated: true
     };
   } catch (error) {
@@ -185,6 +242,7 @@ export const logoutUser = async () => {
   try {
     await API.post('/auth/logout');
     localStorage.removeItem('token');
+    localStorage.removeItem('refreshToken');
     localStorage.removeItem('user');
     delete API.defaults.headers.common['Authorization'];
     console.log('User logged out successfully');
@@ -192,6 +250,7 @@ export const logoutUser = async () => {
     console.error('Error logging out:', error.response?.data || error.message);
     // Still remove token and user data even if the API call fails
     localStorage.removeItem('token');
+    localStorage.removeItem('refreshToken');
     localStorage.removeItem('user');
     delete API.defaults.headers.common['Authorization'];
     throw error;
@@ -238,9 +297,36 @@ export const verifyOTP = async (email, otp) => {
   }
 };
 
-export const resetPassword = async (email, password) => {
+export const resetPassword = async (email, password, resetToken) => {
+  try {
+    const response = await API.post('/auth/reset-password', { email, password, resetToken });
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || error.message;
+  }
+};
+
+export const getSessions = async () => {
+  try {
+    const response = await API.get('/auth/sessions');
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || error.message;
+  }
+};
+
+export const revokeSession = async (sessionId) => {
+  try {
+    const response = await API.delete(`/auth/sessions/${sessionId}`);
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || error.message;
+  }
+};
+
+export const revokeOtherSessions = async () => {
   try {
-    const response = await API.post('/auth/reset-password', { email, password });
+    const response = await API.delete('/auth/sessions');
     return response.data;
   } catch (error) {
     throw error.response?.data || error.message;
@@ -290,6 +376,31 @@ export const fetchDepartmentEligibleUsers = async () => {
   }
 };
 
+export const assignUserRole = async (userId, roleId) => {
+  try {
+    const response = await API.put(`/users/${userId}/role`, { roleId });
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || error.message;
+  }
+};
+
+export const importUsers = async (file, { dryRun = false, sendEmails = false } = {}) => {
+  try {
+    const formData = new FormData();
+    formData.append('file', file);
+    formData.append('dryRun', String(dryRun));
+    formData.append('sendEmails', String(sendEmails));
+
+    const response = await API.post('/users/import', formData, {
+      headers: { 'Content-Type': 'multipart/form-data' }
+    });
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || error.message;
+  }
+};
+
 // ========== DEPARTMENT APIs ==========
 export const createDepartment = async (departmentData) => {
   try {
@@ -367,6 +478,15 @@ export const removeUserFromDepartment = async (departmentId, userId) => {
   }
 };
 
+export const updateDepartmentUserAssignment = async (departmentId, userId, settings) => {
+  try {
+    const response = await API.put(`/departments/${departmentId}/users/${userId}/assignment`, settings);
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || error.message;
+  }
+};
+
 // ========== COMPLAINT APIs ==========
 export const createComplaint = async (complaintData) => {
   try {
@@ -445,6 +565,33 @@ export const escalateComplaint = async (id, escalationData) => {
   }
 };
 
+export const reopenComplaint = async (id, reopenData) => {
+  try {
+    const response = await API.post(`/complaints/${id}/reopen`, reopenData);
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || error.message;
+  }
+};
+
+export const updateSlaPause = async (id, pauseData) => {
+  try {
+    const response = await API.put(`/complaints/${id}/sla-pause`, pauseData);
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || error.message;
+  }
+};
+
+export const getAssignmentDecisions = async (id) => {
+  try {
+    const response = await API.get(`/complaints/${id}/assignment-decisions`);
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || error.message;
+  }
+};
+
 export const assignComplaint = async (id, assignmentData) => {
   try {
     const response = await API.put(`/complaints/${id}/assign`, assignmentData);
@@ -624,6 +771,373 @@ export const importWorkflowTemplates = async (data) => {
   }
 };
 
+export const getWorkflowVersions = async (id) => {
+  try {
+    const response = await API.get(`/workflows/${id}/versions`);
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || error.message;
+  }
+};
+
+export const getWorkflowVersionDiff = async (id, from, to) => {
+  try {
+    const response = await API.get(`/workflows/${id}/versions/diff`, { params: { from, to } });
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || error.message;
+  }
+};
+
+export const migrateWorkflowInstances = async (id, migration) => {
+  try {
+    const response = await API.post(`/workflows/${id}/migrate`, migration);
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || error.message;
+  }
+};
+
+export const validateWorkflow = async (workflowData) => {
+  try {
+    const response = await API.post('/workflows/validate', workflowData);
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || error.message;
+  }
+};
+
+export const simulateWorkflow = async (simulationData) => {
+  try {
+    const response = await API.post('/workflows/simulate', simulationData);
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || error.message;
+  }
+};
+
+// ========== ESCALATION RULE APIs ==========
+export const getEscalationRules = async (params = {}) => {
+  try {
+    const response = await API.get('/escalation-rules', { params });
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || error.message;
+  }
+};
+
+export const createEscalationRule = async (ruleData) => {
+  try {
+    const response = await API.post('/escalation-rules', ruleData);
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || error.message;
+  }
+};
+
+export const updateEscalationRule = async (id, ruleData) => {
+  try {
+    const response = await API.put(`/escalation-rules/${id}`, ruleData);
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || error.message;
+  }
+};
+
+export const deleteEscalationRule = async (id) => {
+  try {
+    const response = await API.delete(`/escalation-rules/${id}`);
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || error.message;
+  }
+};
+
+// ========== SLA APIs ==========
+export const getSlaPolicies = async () => {
+  try {
+    const response = await API.get('/sla/policies');
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || error.message;
+  }
+};
+
+export const createSlaPolicy = async (policyData) => {
+  try {
+    const response = await API.post('/sla/policies', policyData);
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || error.message;
+  }
+};
+
+export const updateSlaPolicy = async (id, policyData) => {
+  try {
+    const response = await API.put(`/sla/policies/${id}`, policyData);
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || error.message;
+  }
+};
+
+export const deleteSlaPolicy = async (id) => {
+  try {
+    const response = await API.delete(`/sla/policies/${id}`);
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || error.message;
+  }
+};
+
+export const getBusinessCalendars = async () => {
+  try {
+    const response = await API.get('/sla/calendars');
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || error.message;
+  }
+};
+
+export const createBusinessCalendar = async (calendarData) => {
+  try {
+    const response = await API.post('/sla/calendars', calendarData);
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || error.message;
+  }
+};
+
+export const updateBusinessCalendar = async (id, calendarData) => {
+  try {
+    const response = await API.put(`/sla/calendars/${id}`, calendarData);
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || error.message;
+  }
+};
+
+export const deleteBusinessCalendar = async (id) => {
+  try {
+    const response = await API.delete(`/sla/calendars/${id}`);
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || error.message;
+  }
+};
+
+// ========== ROLE APIs ==========
+export const getMyPermissions = async () => {
+  try {
+    const response = await API.get('/roles/me');
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || error.message;
+  }
+};
+
+export const getPermissionCatalog = async () => {
+  try {
+    const response = await API.get('/roles/permissions');
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || error.message;
+  }
+};
+
+export const getRoles = async () => {
+  try {
+    const response = await API.get('/roles');
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || error.message;
+  }
+};
+
+export const createRole = async (roleData) => {
+  try {
+    const response = await API.post('/roles', roleData);
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || error.message;
+  }
+};
+
+export const updateRole = async (id, roleData) => {
+  try {
+    const response = await API.put(`/roles/${id}`, roleData);
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || error.message;
+  }
+};
+
+export const deleteRole = async (id) => {
+  try {
+    const response = await API.delete(`/roles/${id}`);
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || error.message;
+  }
+};
+
+// ========== EMAIL TEMPLATE APIs ==========
+export const getEmailTemplateCatalog = async () => {
+  try {
+    const response = await API.get('/email-templates/catalog');
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || error.message;
+  }
+};
+
+export const getEmailTemplates = async () => {
+  try {
+    const response = await API.get('/email-templates');
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || error.message;
+  }
+};
+
+export const saveEmailTemplate = async (eventType, language, templateData) => {
+  try {
+    const response = await API.put(`/email-templates/${eventType}/${language}`, templateData);
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || error.message;
+  }
+};
+
+export const resetEmailTemplate = async (eventType, language) => {
+  try {
+    const response = await API.delete(`/email-templates/${eventType}/${language}`);
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || error.message;
+  }
+};
+
+export const previewEmailTemplate = async (draft) => {
+  try {
+    const response = await API.post('/email-templates/preview', draft);
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || error.message;
+  }
+};
+
+export const sendTestEmail = async (draft) => {
+  try {
+    const response = await API.post('/email-templates/test', draft);
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || error.message;
+  }
+};
+
+export const updateEmailSettings = async (settings) => {
+  try {
+    const response = await API.put('/email-templates/settings', settings);
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || error.message;
+  }
+};
+
+// ========== EMAIL DELIVERY LOG APIs ==========
+export const getEmailMessages = async (params = {}) => {
+  try {
+    const response = await API.get('/email-messages', { params });
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || error.message;
+  }
+};
+
+export const getEmailMessageStats = async () => {
+  try {
+    const response = await API.get('/email-messages/stats');
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || error.message;
+  }
+};
+
+export const getEmailMessage = async (id) => {
+  try {
+    const response = await API.get(`/email-messages/${id}`);
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || error.message;
+  }
+};
+
+export const resendEmailMessage = async (id) => {
+  try {
+    const response = await API.post(`/email-messages/${id}/resend`);
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || error.message;
+  }
+};
+
+// ========== SMS APIs ==========
+export const getSmsUsage = async () => {
+  try {
+    const response = await API.get('/sms/usage');
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || error.message;
+  }
+};
+
+export const getSmsMessages = async (params = {}) => {
+  try {
+    const response = await API.get('/sms/messages', { params });
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || error.message;
+  }
+};
+
+export const updateSmsSettings = async (settings) => {
+  try {
+    const response = await API.put('/sms/settings', settings);
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || error.message;
+  }
+};
+
+// ========== APPROVAL APIs ==========
+export const getApprovals = async (params = {}) => {
+  try {
+    const response = await API.get('/approvals', { params });
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || error.message;
+  }
+};
+
+export const getPendingApprovalCount = async () => {
+  try {
+    const response = await API.get('/approvals/count');
+    return response.data.count;
+  } catch (error) {
+    throw error.response?.data || error.message;
+  }
+};
+
+export const decideApproval = async (approvalId, decision) => {
+  try {
+    const response = await API.put(`/approvals/${approvalId}/decision`, decision);
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || error.message;
+  }
+};
+
 // ========== NOTIFICATION APIs ==========
 export const getNotifications = async (params = {}) => {
   try {
@@ -675,6 +1189,139 @@ export const deleteNotification = async (notificationId) => {
   }
 };
 
+export const getNotificationPreferences = async () => {
+  try {
+    const response = await API.get('/notifications/preferences');
+    return response.data;
+  } catch (error) {
+    console.error('Error fetching notification preferences:', error);
+    throw error.response?.data || error;
+  }
+};
+
+export const updateNotificationPreferences = async (preferences) => {
+  try {
+    const response = await API.put('/notifications/preferences', preferences);
+    return response.data;
+  } catch (error) {
+    console.error('Error updating notification preferences:', error);
+    throw error.response?.data || error;
+  }
+};
+
+// ========== EVENT STREAM APIs ==========
+export const createStreamTicket = async () => {
+  try {
+    const response = await API.post('/events/ticket');
+    return response.data;
+  } catch (error) {
+    console.error('Error opening event stream:', error);
+    throw error.response?.data || error;
+  }
+};
+
+// ========== OUT OF OFFICE APIs ==========
+export const getOutOfOffice = async () => {
+  try {
+    const response = await API.get('/users/me/out-of-office');
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || error.message;
+  }
+};
+
+export const setOutOfOffice = async (period) => {
+  try {
+    const response = await API.put('/users/me/out-of-office', period);
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || error.message;
+  }
+};
+
+export const clearOutOfOffice = async () => {
+  try {
+    const response = await API.delete('/users/me/out-of-office');
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || error.message;
+  }
+};
+
+// ========== TRANSFER APIs ==========
+export const requestComplaintTransfer = async (complaintId, transfer) => {
+  try {
+    const response = await API.post(`/complaints/${complaintId}/transfers`, transfer);
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || error.message;
+  }
+};
+
+export const getComplaintTransfers = async (complaintId) => {
+  try {
+    const response = await API.get(`/complaints/${complaintId}/transfers`);
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || error.message;
+  }
+};
+
+export const getIncomingTransfers = async () => {
+  try {
+    const response = await API.get('/transfers');
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || error.message;
+  }
+};
+
+export const decideTransfer = async (transferId, decision) => {
+  try {
+    const response = await API.put(`/transfers/${transferId}/decision`, decision);
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || error.message;
+  }
+};
+
+export const cancelTransfer = async (transferId) => {
+  try {
+    const response = await API.delete(`/transfers/${transferId}`);
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || error.message;
+  }
+};
+
+// ========== DUPLICATE APIs ==========
+export const checkSimilarComplaints = async (complaint) => {
+  try {
+    const response = await API.post('/complaints/similar', complaint);
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || error.message;
+  }
+};
+
+export const getComplaintDuplicates = async (complaintId) => {
+  try {
+    const response = await API.get(`/complaints/${complaintId}/duplicates`);
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || error.message;
+  }
+};
+
+export const mergeComplaint = async (complaintId, merge) => {
+  try {
+    const response = await API.post(`/complaints/${complaintId}/merge`, merge);
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || error.message;
+  }
+};
+
 // ========== FEEDBACK APIs ==========
 export const submitFeedback = async (feedbackData) => {
   try {
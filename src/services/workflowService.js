@@ -36,18 +36,33 @@ class WorkflowService {
       return null;
     }
 
-    const workflow = workflowInstance.workflowId;
+    // Stages come from the version the complaint is pinned to, which may be older than the workflow
+    const version = workflowInstance.workflowVersionId?.stages ? workflowInstance.workflowVersionId : null;
+    const workflow = version
+      ? { ...workflowInstance.workflowId, stages: version.stages, reopenPolicy: version.reopenPolicy }
+      : workflowInstance.workflowId;
     const currentStageId = workflowInstance.currentStageId;
     const currentStage = workflow.stages.find(s => s.id === currentStageId) || null;
     
     // Sort stages by order for consistent display
     const allStages = [...workflow.stages].sort((a, b) => a.order - b.order);
+
+    // Branches a fork opened that have not reached their join yet
+    const branches = workflowInstance.branches || [];
+    const activeBranches = branches
+      .filter(branch => branch.status === 'ACTIVE')
+      .map(branch => ({ ...branch, stage: workflow.stages.find(s => s.id === branch.stageId) || null }));
     
     return {
       instance: workflowInstance,
       workflow,
+      version: version?.version,
       currentStage,
       allStages,
+      blockedTransitions: workflowInstance.blockedTransitions || [],
+      branches,
+      activeBranches,
+      approvals: workflowInstance.approvals || [],
       expectedCompletionDate: workflowInstance.expectedCompletionDate
     };
   }
@@ -57,13 +72,15 @@ class WorkflowService {
    * @param {string} complaintId - The ID of the complaint
    * @param {string} stageId - The ID of the target stage
    * @param {string} comment - Comment explaining the stage change
+   * @param {string} [branchId] - The parallel branch to move, when the complaint is in a fork
    * @returns {Promise<Object>} - Updated workflow instance
    */
-  async updateWorkflowStage(complaintId, stageId, comment) {
+  async updateWorkflowStage(complaintId, stageId, comment, branchId) {
     try {
       const response = await API.put(`/workflows/complaint/${complaintId}/stage`, {
         stageId,
-        comment
+        comment,
+        branchId
       });
       
       // Return the formatted workflow data
@@ -75,25 +92,38 @@ class WorkflowService {
   }
 
   /**
-   * Get available transitions for current stage
+   * Get available transitions for current stage, or for the stage of a parallel branch
    * @param {Object} workflowData - Formatted workflow data
+   * @param {string} [branchId] - The branch to move instead of the main stage
    * @returns {Array} - List of possible transitions
    */
-  getAvailableTransitions(workflowData) {
+  getAvailableTransitions(workflowData, branchId) {
     if (!workflowData || !workflowData.currentStage) {
       return [];
     }
 
-    const { currentStage, allStages } = workflowData;
+    const { allStages, blockedTransitions = [], activeBranches = [] } = workflowData;
+    const currentStage = branchId
+      ? activeBranches.find(branch => branch._id === branchId)?.stage
+      : workflowData.currentStage;
+
+    if (!currentStage) {
+      return [];
+    }
     
     // If the workflow has defined transitions, use those
     if (currentStage.transitions && currentStage.transitions.length > 0) {
       return currentStage.transitions.map(transition => {
         const targetStage = allStages.find(s => s.id === transition.targetStageId);
+        // The server reports role and custom conditions the current user does not meet
+        const blocked = blockedTransitions.find(b =>
+          b.targetStageId === transition.targetStageId && (b.branchId || null) === (branchId || null)
+        );
         return {
           id: transition.targetStageId,
           name: transition.name || (targetStage ? targetStage.name : 'Unknown Stage'),
           description: transition.description || '',
+          blockedReason: blocked?.reason || null,
           targetStage
         };
       });